@@ -0,0 +1,388 @@
+/**
+ * The HTTP API of the reference server: the sync endpoints the app uses
+ * (see "Sync API" in the README), plus reading the log by date and managing
+ * custom foods.
+ *
+ * Input is checked with copies of the app's validators (`./validation.js`),
+ * so the server accepts exactly what `AppContext` would, and stores the same
+ * normalized values.
+ */
+import {
+  validateGoal,
+  validateLogItem,
+  validateCustomFood,
+} from './validation.js';
+
+/**
+ * The largest request body accepted, in bytes.
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Matches a `YYYY-MM-DD` date key.
+ */
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Creates an error that is sent to the client with the given status.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - What went wrong.
+ * @returns {Error} The error.
+ */
+const createHttpError = (status, message) =>
+  Object.assign(new Error(message), { status });
+
+/**
+ * Runs a validator and turns its first problem into a 400 error.
+ * @param {Function} validate - A validator from `./validation.js`.
+ * @param {*} value - The value to check.
+ * @returns {*} The normalized value.
+ */
+const validateOrThrow = (validate, value) => {
+  let problem = null;
+  const normalized = validate(value, (message) => {
+    problem ??= message;
+  });
+  if (normalized === null) {
+    throw createHttpError(400, problem ?? 'Invalid input.');
+  }
+  return normalized;
+};
+
+/**
+ * Reads the `baseRevision` a write is based on.
+ * @param {*} value - The value from the body or query.
+ * @returns {number | null} The revision, or null for a new record.
+ */
+const parseBaseRevision = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 0) {
+    throw createHttpError(400, `Invalid baseRevision: ${value}.`);
+  }
+  return revision;
+};
+
+/**
+ * Reads the item of a `PUT` body, which must carry the ID in the URL (or none).
+ * @param {object} body - The parsed body.
+ * @param {string} id - The ID from the URL.
+ * @returns {object} The item, with the ID.
+ */
+const readItem = (body, id) => {
+  const { item } = body ?? {};
+  if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+    throw createHttpError(400, 'The body must have an "item" object.');
+  }
+  if (item.id !== undefined && item.id !== id) {
+    throw createHttpError(
+      400,
+      `The item ID (${item.id}) doesn't match the URL.`
+    );
+  }
+  return { ...item, id };
+};
+
+/**
+ * Works out the local `YYYY-MM-DD` day of a timestamp.
+ * @param {string} loggedAt - An ISO timestamp.
+ * @param {number} timezoneOffset - Minutes behind UTC, as from `Date#getTimezoneOffset`.
+ * @returns {string} The day key.
+ */
+const toLocalDateKey = (loggedAt, timezoneOffset) =>
+  new Date(Date.parse(loggedAt) - timezoneOffset * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+
+/**
+ * Reads the day range of `GET /log`: `date`, or `from` and `to` (inclusive),
+ * as `YYYY-MM-DD`, in the client's time zone given by `timezoneOffset`.
+ * @param {URLSearchParams} query - The query string.
+ * @returns {{ fromKey: string, toKey: string, timezoneOffset: number } | null} The range, or null for every day.
+ */
+const readDayRange = (query) => {
+  const fromKey = query.get('date') ?? query.get('from');
+  const toKey = query.get('date') ?? query.get('to');
+  if (fromKey === null && toKey === null) {
+    return null;
+  }
+  [fromKey, toKey].forEach((key) => {
+    if (key !== null && !DATE_KEY_PATTERN.test(key)) {
+      throw createHttpError(400, `Invalid date: ${key}. Use YYYY-MM-DD.`);
+    }
+  });
+  const timezoneOffset = Number(query.get('timezoneOffset') ?? 0);
+  if (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+    throw createHttpError(
+      400,
+      `Invalid timezoneOffset: ${query.get('timezoneOffset')}.`
+    );
+  }
+  return {
+    fromKey: fromKey ?? '0000-01-01',
+    toKey: toKey ?? '9999-12-31',
+    timezoneOffset,
+  };
+};
+
+/**
+ * Sends the result of a write: 200, or 409 with the server's copy.
+ * @param {import('./store.js').WriteResult} result - The result.
+ * @returns {{ status: number, body: object }} The response.
+ */
+const writeResponse = ({ conflict, record }) => ({
+  status: conflict ? 409 : 200,
+  body: record,
+});
+
+/**
+ * Builds the routes, each a method, a path pattern and a handler that
+ * receives the path parameters, query and parsed body.
+ * @param {object} store - The data store (see `./store.js`).
+ * @returns {Array<{ method: string, pattern: RegExp, handle: Function }>} The routes.
+ */
+const createRoutes = (store) => [
+  {
+    method: 'GET',
+    pattern: /^\/health$/,
+    handle: () => ({ status: 200, body: { ok: true } }),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/changes$/,
+    handle: ({ query }) => {
+      const since = Number(query.get('since') ?? 0);
+      return {
+        status: 200,
+        body: store.getChanges(
+          Number.isInteger(since) && since > 0 ? since : 0
+        ),
+      };
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/goal$/,
+    handle: () => ({
+      status: 200,
+      body: store.getGoal() ?? { value: null, revision: null },
+    }),
+  },
+  {
+    method: 'PUT',
+    pattern: /^\/goal$/,
+    handle: async ({ body }) => {
+      const value =
+        body?.value === null
+          ? null
+          : validateOrThrow(validateGoal, body?.value);
+      return writeResponse(
+        await store.putGoal(value, parseBaseRevision(body?.baseRevision))
+      );
+    },
+  },
+  {
+    method: 'GET',
+    pattern: /^\/log$/,
+    handle: ({ query }) => {
+      const range = readDayRange(query);
+      const records = store
+        .listRecords('log')
+        .filter(
+          ({ item }) =>
+            !range ||
+            (item.loggedAt &&
+              toLocalDateKey(item.loggedAt, range.timezoneOffset) >=
+                range.fromKey &&
+              toLocalDateKey(item.loggedAt, range.timezoneOffset) <=
+                range.toKey)
+        )
+        .sort((a, b) =>
+          (a.item.loggedAt ?? '').localeCompare(b.item.loggedAt ?? '')
+        );
+      return { status: 200, body: { log: records } };
+    },
+  },
+  ...[
+    { collection: 'log', path: 'log', validate: validateLogItem },
+    {
+      collection: 'foods',
+      path: 'foods',
+      validate: (food, report) => {
+        const normalized = validateCustomFood(food, report);
+        return normalized && { id: food.id, ...normalized };
+      },
+    },
+  ].flatMap(({ collection, path, validate }) => [
+    {
+      method: 'GET',
+      pattern: new RegExp(`^/${path}/([^/]+)$`),
+      handle: ({ params: [id] }) => {
+        const record = store.getRecord(collection, id);
+        if (!record || record.deleted) {
+          throw createHttpError(404, `No ${collection} record with ID ${id}.`);
+        }
+        return { status: 200, body: record };
+      },
+    },
+    {
+      method: 'PUT',
+      pattern: new RegExp(`^/${path}/([^/]+)$`),
+      handle: async ({ params: [id], body }) => {
+        const item = validateOrThrow(validate, readItem(body, id));
+        return writeResponse(
+          await store.putRecord(
+            collection,
+            id,
+            item,
+            parseBaseRevision(body.baseRevision)
+          )
+        );
+      },
+    },
+    {
+      method: 'DELETE',
+      pattern: new RegExp(`^/${path}/([^/]+)$`),
+      handle: async ({ params: [id], query }) => {
+        const result = await store.deleteRecord(
+          collection,
+          id,
+          parseBaseRevision(query.get('baseRevision'))
+        );
+        if (!result) {
+          throw createHttpError(404, `No ${collection} record with ID ${id}.`);
+        }
+        return writeResponse(result);
+      },
+    },
+  ]),
+  {
+    method: 'GET',
+    pattern: /^\/foods$/,
+    handle: () => ({
+      status: 200,
+      body: { foods: store.listRecords('foods') },
+    }),
+  },
+];
+
+/**
+ * Reads and parses a JSON request body.
+ * @param {import('node:http').IncomingMessage} request - The request.
+ * @returns {Promise<* | undefined>} The parsed body, or undefined if empty.
+ */
+const readJsonBody = async (request) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw createHttpError(413, 'The request body is too large.');
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (text.trim() === '') {
+    return undefined;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw createHttpError(400, 'The request body is not valid JSON.');
+  }
+};
+
+/**
+ * Creates the request handler for `http.createServer`.
+ * @param {object} options - Settings.
+ * @param {object} options.store - The data store (see `./store.js`).
+ * @param {string} [options.basePath='/api'] - The path the API is served under.
+ * @param {string} [options.corsOrigin='*'] - The origin browsers may call the API from.
+ * @returns {(request: import('node:http').IncomingMessage, response: import('node:http').ServerResponse) => Promise<void>}
+ *   The handler.
+ */
+export function createApp({ store, basePath = '/api', corsOrigin = '*' }) {
+  const routes = createRoutes(store);
+
+  /**
+   * Sends a JSON response with the CORS headers.
+   * @param {import('node:http').ServerResponse} response - The response.
+   * @param {number} status - The HTTP status.
+   * @param {object} [body] - The JSON body.
+   * @param {object} [headers] - Extra headers.
+   */
+  const send = (response, status, body, headers = {}) => {
+    response.writeHead(status, {
+      'Access-Control-Allow-Origin': corsOrigin,
+      ...(body === undefined
+        ? {}
+        : { 'Content-Type': 'application/json; charset=utf-8' }),
+      ...headers,
+    });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+  };
+
+  return async (request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    if (!url.pathname.startsWith(`${basePath}/`)) {
+      send(response, 404, { error: 'Not found.' });
+      return;
+    }
+    const path = url.pathname.slice(basePath.length);
+
+    const matching = routes
+      .map((route) => ({ route, match: path.match(route.pattern) }))
+      .filter(({ match }) => match);
+    if (matching.length === 0) {
+      send(response, 404, { error: 'Not found.' });
+      return;
+    }
+    const allowed = matching.map(({ route }) => route.method);
+    if (request.method === 'OPTIONS') {
+      send(response, 204, undefined, {
+        'Access-Control-Allow-Methods': [...allowed, 'OPTIONS'].join(', '),
+        'Access-Control-Allow-Headers': 'Content-Type, Accept',
+        'Access-Control-Max-Age': '86400',
+      });
+      return;
+    }
+    const found = matching.find(({ route }) => route.method === request.method);
+    if (!found) {
+      send(
+        response,
+        405,
+        { error: `${request.method} is not allowed here.` },
+        { Allow: allowed.join(', ') }
+      );
+      return;
+    }
+
+    try {
+      const body = ['PUT', 'POST'].includes(request.method)
+        ? await readJsonBody(request)
+        : undefined;
+      const params = found.match.slice(1).map((param) => {
+        try {
+          return decodeURIComponent(param);
+        } catch {
+          throw createHttpError(400, `Invalid path: ${path}.`);
+        }
+      });
+      const result = await found.route.handle({
+        params,
+        query: url.searchParams,
+        body,
+      });
+      send(response, result.status, result.body);
+    } catch (error) {
+      if (error.status) {
+        send(response, error.status, { error: error.message });
+        return;
+      }
+      console.error('[server] Error handling request:', error);
+      send(response, 500, { error: 'Internal server error.' });
+    }
+  };
+}
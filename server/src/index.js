@@ -0,0 +1,41 @@
+/**
+ * Starts the reference server.
+ *
+ * Settings come from environment variables:
+ * - `PORT`: the port to listen on (default 3001, matching the app's
+ *   `VITE_API_BASE_URL` of `http://localhost:3001/api`).
+ * - `DATA_FILE`: where the data is saved (default `server/data/tracker.json`).
+ * - `CORS_ORIGIN`: the origin browsers may call the API from (default `*`).
+ */
+import { createServer } from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { createApp } from './app.js';
+import { createFileStore } from './store.js';
+
+const port = Number(process.env.PORT) || 3001;
+const dataFile =
+  process.env.DATA_FILE ||
+  fileURLToPath(new URL('../data/tracker.json', import.meta.url));
+
+const store = await createFileStore(dataFile);
+const server = createServer(
+  createApp({ store, corsOrigin: process.env.CORS_ORIGIN || '*' })
+);
+
+server.listen(port, () => {
+  console.log(`[server] Listening on http://localhost:${port}/api`);
+  console.log(`[server] Saving data to ${dataFile}`);
+});
+
+/**
+ * Stops accepting requests and waits for pending saves before exiting.
+ */
+const shutDown = () => {
+  server.close(async () => {
+    await store.flush();
+    process.exit(0);
+  });
+};
+
+process.on('SIGINT', shutDown);
+process.on('SIGTERM', shutDown);
@@ -0,0 +1,247 @@
+/**
+ * The server's data store: the calorie goal, the food log and custom foods,
+ * kept in memory and saved to a JSON file after every change.
+ *
+ * Every record has a revision that is incremented on each write. A write
+ * states the revision it is based on and is refused as a conflict if the
+ * record has moved on since (see "Sync API" in the README). Deleted records
+ * are kept as tombstones so clients that sync later learn about them.
+ *
+ * Each write also takes the next number of a store-wide sequence, which
+ * clients use as a cursor to fetch only what changed since their last sync.
+ */
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * The record collections the store holds, besides the goal.
+ */
+export const COLLECTIONS = ['log', 'foods'];
+
+/**
+ * @typedef {object} StoredRecord
+ * @property {string} id - The record's ID.
+ * @property {number} revision - Incremented on each write.
+ * @property {boolean} deleted - Whether the record was deleted.
+ * @property {object} [item] - The record's data, unless deleted.
+ */
+
+/**
+ * @typedef {object} WriteResult
+ * @property {boolean} conflict - True if the write was refused because the record changed.
+ * @property {object} record - The stored copy after the write.
+ */
+
+/**
+ * Creates the data of an empty store.
+ * @returns {object} The data.
+ */
+const createEmptyData = () => ({
+  sequence: 0,
+  goal: null,
+  log: Object.create(null),
+  foods: Object.create(null),
+});
+
+/**
+ * Strips the internal sequence number from a stored record.
+ * @param {object} record - The stored record.
+ * @returns {StoredRecord} The record as clients see it.
+ */
+const toPublicRecord = ({ id, revision, deleted, item }) =>
+  deleted ? { id, revision, deleted } : { id, revision, deleted, item };
+
+/**
+ * Checks a write's base revision against the stored record. Creating a
+ * record never conflicts, so a client can always add new entries.
+ * @param {{ revision: number } | null | undefined} stored - The stored record.
+ * @param {number | null} baseRevision - The revision the write is based on.
+ * @returns {boolean} True if the write conflicts.
+ */
+const isConflict = (stored, baseRevision) =>
+  Boolean(stored) && stored.revision !== baseRevision;
+
+/**
+ * Opens the store saved at `filePath`, or an empty one if the file doesn't
+ * exist yet. Rejects if the file can't be read or parsed, rather than
+ * starting empty and overwriting it.
+ * @param {string} filePath - Where the data is saved.
+ * @returns {Promise<object>} The store.
+ */
+export async function createFileStore(filePath) {
+  let data = createEmptyData();
+  try {
+    const saved = JSON.parse(await readFile(filePath, 'utf8'));
+    data.sequence = saved.sequence ?? 0;
+    data.goal = saved.goal ?? null;
+    // Records are keyed by client-chosen IDs, so the collections have no
+    // prototype that an ID like "__proto__" could reach
+    COLLECTIONS.forEach((collection) =>
+      Object.assign(data[collection], saved[collection])
+    );
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(
+        `Could not read the data file ${filePath}: ${error.message}`
+      );
+    }
+  }
+
+  let writing = Promise.resolve();
+
+  /**
+   * Runs a write after the earlier ones. `change` gets the current data and
+   * returns the write's result, plus the new data if anything changed. The
+   * new data replaces the current data only once it is saved, so a failed
+   * save leaves the store as it was and the write can be retried. Saves go
+   * to a temporary file first so a crash never leaves a half-written file.
+   * @param {(current: object) => { result: WriteResult, nextData?: object }} change - Builds the write.
+   * @returns {Promise<WriteResult>} The result, once the data is saved.
+   */
+  const commit = (change) => {
+    const committing = writing.then(async () => {
+      const { result, nextData } = change(data);
+      if (nextData) {
+        await mkdir(dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await writeFile(tempPath, JSON.stringify(nextData));
+        await rename(tempPath, filePath);
+        data = nextData;
+      }
+      return result;
+    });
+    // A failed write is reported to its caller but doesn't block later ones
+    writing = committing.catch(() => {});
+    return committing;
+  };
+
+  /**
+   * Writes a record, unless it conflicts.
+   * @param {string} collection - One of `COLLECTIONS`.
+   * @param {string} id - The record's ID.
+   * @param {object | null} item - The data, or null to delete.
+   * @param {number | null} baseRevision - The revision the write is based on.
+   * @returns {Promise<WriteResult>} The result.
+   */
+  const writeRecord = (collection, id, item, baseRevision) =>
+    commit((current) => {
+      const stored = current[collection][id];
+      if (isConflict(stored, baseRevision)) {
+        return { result: { conflict: true, record: toPublicRecord(stored) } };
+      }
+      const sequence = current.sequence + 1;
+      const record = {
+        id,
+        revision: (stored?.revision ?? 0) + 1,
+        deleted: item === null,
+        sequence,
+      };
+      if (item !== null) {
+        record.item = item;
+      }
+      const records = Object.assign(Object.create(null), current[collection]);
+      records[id] = record;
+      return {
+        result: { conflict: false, record: toPublicRecord(record) },
+        nextData: { ...current, sequence, [collection]: records },
+      };
+    });
+
+  return {
+    /**
+     * @returns {{ value: number | null, revision: number } | null} The goal, or null if never set.
+     */
+    getGoal: () =>
+      data.goal && { value: data.goal.value, revision: data.goal.revision },
+
+    /**
+     * Sets the goal, unless it conflicts.
+     * @param {number | null} value - The goal.
+     * @param {number | null} baseRevision - The revision the write is based on.
+     * @returns {Promise<WriteResult>} The result.
+     */
+    putGoal: (value, baseRevision) =>
+      commit((current) => {
+        if (isConflict(current.goal, baseRevision)) {
+          return { result: { conflict: true, record: { ...current.goal } } };
+        }
+        const goal = { value, revision: (current.goal?.revision ?? 0) + 1 };
+        return {
+          result: { conflict: false, record: { ...goal } },
+          nextData: { ...current, sequence: current.sequence + 1, goal },
+        };
+      }),
+
+    /**
+     * @param {string} collection - One of `COLLECTIONS`.
+     * @param {string} id - The record's ID.
+     * @returns {StoredRecord | null} The record, including tombstones, or null.
+     */
+    getRecord: (collection, id) => {
+      const stored = data[collection][id];
+      return stored ? toPublicRecord(stored) : null;
+    },
+
+    /**
+     * @param {string} collection - One of `COLLECTIONS`.
+     * @returns {StoredRecord[]} Every record that isn't deleted.
+     */
+    listRecords: (collection) =>
+      Object.values(data[collection])
+        .filter((stored) => !stored.deleted)
+        .map(toPublicRecord),
+
+    /**
+     * Creates or replaces a record, unless it conflicts.
+     * @param {string} collection - One of `COLLECTIONS`.
+     * @param {string} id - The record's ID.
+     * @param {object} item - The data.
+     * @param {number | null} baseRevision - The revision the write is based on.
+     * @returns {Promise<WriteResult>} The result.
+     */
+    putRecord: (collection, id, item, baseRevision) =>
+      writeRecord(collection, id, item, baseRevision),
+
+    /**
+     * Deletes a record, leaving a tombstone, unless it conflicts.
+     * @param {string} collection - One of `COLLECTIONS`.
+     * @param {string} id - The record's ID.
+     * @param {number | null} baseRevision - The revision the delete is based on.
+     * @returns {Promise<WriteResult | null>} The result, or null if there is no such record.
+     */
+    deleteRecord: async (collection, id, baseRevision) => {
+      const stored = data[collection][id];
+      if (!stored || stored.deleted) {
+        return null;
+      }
+      return writeRecord(collection, id, null, baseRevision);
+    },
+
+    /**
+     * Returns what changed since a cursor. A cursor from a different or reset
+     * store (larger than the current sequence) gets everything.
+     * @param {number} since - The sequence number the client has seen.
+     * @returns {{ cursor: string, goal: object | null, log: StoredRecord[] }} The changes.
+     */
+    getChanges: (since) => {
+      const after = since > data.sequence ? 0 : since;
+      return {
+        cursor: String(data.sequence),
+        goal: data.goal && {
+          value: data.goal.value,
+          revision: data.goal.revision,
+        },
+        log: Object.values(data.log)
+          .filter((stored) => stored.sequence > after)
+          .sort((a, b) => a.sequence - b.sequence)
+          .map(toPublicRecord),
+      };
+    },
+
+    /**
+     * Waits for pending writes, e.g. before shutting down.
+     * @returns {Promise<void>}
+     */
+    flush: () => writing,
+  };
+}
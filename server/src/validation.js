@@ -0,0 +1,221 @@
+/**
+ * The validation rules for the data the server accepts: the calorie goal,
+ * log entries and custom foods. Each validator returns the normalized value,
+ * or null after passing a description of the first problem to `report`.
+ *
+ * These are copies of the app's validators (`src/utils/validation.js`), kept
+ * here so the server doesn't depend on the app's source and can be deployed
+ * on its own. They must accept and normalize exactly what the app does; the
+ * server's tests check that they agree (`tests/validation.test.js`), so a
+ * change to either side fails `npm test` here until the other follows.
+ */
+
+/**
+ * The macronutrients tracked on log entries and foods.
+ */
+export const MACRO_KEYS = ['protein', 'carbs', 'fat'];
+
+/**
+ * The meal slots a log entry can be filed under.
+ */
+export const MEAL_KEYS = ['breakfast', 'lunch', 'dinner', 'snacks'];
+
+/**
+ * The units an amount of food can be given in.
+ */
+export const UNIT_KEYS = ['g', 'oz', 'cup', 'piece', 'serving'];
+
+/**
+ * Checks if a value is a usable quantity (a finite number > 0).
+ * @param {*} value - The value to validate.
+ * @returns {boolean} True if the value is a valid quantity.
+ */
+const isValidQuantity = (value) =>
+  typeof value === 'number' && isFinite(value) && value > 0;
+
+/**
+ * Default problem reporter: logs a console warning.
+ * @param {string} message - The problem.
+ */
+const warnInvalid = (message) => console.warn(`[validation] ${message}`);
+
+/**
+ * Validates a daily calorie goal, which must be a positive number.
+ * @param {*} goal - The goal to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {number | null} The goal as a number, or null if invalid.
+ */
+export function validateGoal(goal, report = warnInvalid) {
+  const goalNumber = Number(goal);
+  if (isNaN(goalNumber) || goalNumber <= 0) {
+    report(`Invalid goal value: ${goal}. Goal must be a positive number.`);
+    return null;
+  }
+  return goalNumber;
+}
+
+/**
+ * Validates and normalizes log entry fields. Only the fields present on
+ * `fields` are checked: names are trimmed and must be non-empty, calories and
+ * macro grams must be non-negative numbers, `loggedAt` must parse as a date,
+ * `meal` must be a known meal slot, `quantity` must be a positive number and
+ * `unit` a known unit. A macro set to null is kept as null.
+ * Reports the first invalid field.
+ * @param {object} fields - The fields to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized fields, or null if any is invalid.
+ */
+function validateLogItemFields(fields, report = warnInvalid) {
+  const normalized = {};
+
+  if ('name' in fields) {
+    const trimmedName = fields.name?.trim?.();
+    if (!trimmedName) {
+      report('Invalid log item: Name cannot be empty.');
+      return null;
+    }
+    normalized.name = trimmedName;
+  }
+
+  if ('calories' in fields) {
+    const calorieNumber = Number(fields.calories);
+    if (isNaN(calorieNumber) || calorieNumber < 0) {
+      report(
+        `Invalid log item: Calories (${fields.calories}) must be a non-negative number.`
+      );
+      return null;
+    }
+    normalized.calories = calorieNumber;
+  }
+
+  if ('loggedAt' in fields) {
+    const timestamp = new Date(fields.loggedAt ?? NaN);
+    if (isNaN(timestamp.getTime())) {
+      report(
+        `Invalid log item: loggedAt (${fields.loggedAt}) must be a valid date.`
+      );
+      return null;
+    }
+    normalized.loggedAt = timestamp.toISOString();
+  }
+
+  if ('meal' in fields) {
+    if (!MEAL_KEYS.includes(fields.meal)) {
+      report(
+        `Invalid log item: meal (${fields.meal}) must be one of ${MEAL_KEYS.join(', ')}.`
+      );
+      return null;
+    }
+    normalized.meal = fields.meal;
+  }
+
+  if ('quantity' in fields) {
+    const quantity = Number(fields.quantity);
+    if (fields.quantity === '' || !isValidQuantity(quantity)) {
+      report(
+        `Invalid log item: quantity (${fields.quantity}) must be a positive number.`
+      );
+      return null;
+    }
+    normalized.quantity = quantity;
+  }
+
+  if ('unit' in fields) {
+    if (!UNIT_KEYS.includes(fields.unit)) {
+      report(
+        `Invalid log item: unit (${fields.unit}) must be one of ${UNIT_KEYS.join(', ')}.`
+      );
+      return null;
+    }
+    normalized.unit = fields.unit;
+  }
+
+  for (const macro of MACRO_KEYS) {
+    if (!(macro in fields)) {
+      continue;
+    }
+    if (fields[macro] === null) {
+      normalized[macro] = null;
+      continue;
+    }
+    const grams = Number(fields[macro]);
+    if (fields[macro] === '' || !isFinite(grams) || grams < 0) {
+      report(
+        `Invalid log item: ${macro} (${fields[macro]}) must be a non-negative number of grams.`
+      );
+      return null;
+    }
+    normalized[macro] = grams;
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates a complete log entry: it needs an ID, a name and calories, with
+ * optional `loggedAt`, `meal`, amount (`quantity` and `unit` together) and
+ * macros. Macros that are null are dropped.
+ * @param {object} item - The entry to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized entry, or null if invalid.
+ */
+export function validateLogItem(item, report = warnInvalid) {
+  if (typeof item?.id !== 'string' || item.id.trim() === '') {
+    report('Invalid log item: An ID is required.');
+    return null;
+  }
+  const fields = { name: item.name, calories: item.calories };
+  ['loggedAt', 'meal'].forEach((field) => {
+    if (item[field] !== undefined) {
+      fields[field] = item[field];
+    }
+  });
+  if (item.quantity !== undefined || item.unit !== undefined) {
+    fields.quantity = item.quantity;
+    fields.unit = item.unit;
+  }
+  MACRO_KEYS.forEach((macro) => {
+    if (item[macro] !== undefined && item[macro] !== null) {
+      fields[macro] = item[macro];
+    }
+  });
+  const normalized = validateLogItemFields(fields, report);
+  return normalized ? { id: item.id, ...normalized } : null;
+}
+
+/**
+ * Validates and normalizes a custom food. Name, calories and macros follow the
+ * log entry rules; `serving` is an optional description and `servingGrams` an
+ * optional positive weight. Reports the first invalid field.
+ * @param {object} food - The food to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized food (without an id), or null if invalid.
+ */
+export function validateCustomFood(food, report = warnInvalid) {
+  const fields = { name: food?.name, calories: food?.calories };
+  MACRO_KEYS.forEach((macro) => {
+    if (food?.[macro] !== undefined && food[macro] !== null) {
+      fields[macro] = food[macro];
+    }
+  });
+  const normalized = validateLogItemFields(fields, report);
+  if (!normalized) {
+    return null;
+  }
+
+  const serving = food.serving?.trim?.();
+  if (serving) {
+    normalized.serving = serving;
+  }
+  if (food.servingGrams !== undefined && food.servingGrams !== null) {
+    const servingGrams = Number(food.servingGrams);
+    if (!isValidQuantity(servingGrams)) {
+      report(
+        `Invalid custom food: servingGrams (${food.servingGrams}) must be a positive number.`
+      );
+      return null;
+    }
+    normalized.servingGrams = servingGrams;
+  }
+  return normalized;
+}
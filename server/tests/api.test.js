@@ -0,0 +1,339 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createServer } from 'node:http';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createApp } from '../src/app.js';
+import { createFileStore } from '../src/store.js';
+import { createSyncApi } from '../../src/utils/syncApi.js';
+import { createSyncClient } from '../../src/utils/syncClient.js';
+
+const apple = {
+  id: 'apple',
+  name: 'Apple',
+  calories: 95,
+  loggedAt: '2025-04-15T22:30:00.000Z',
+  meal: 'snacks',
+};
+
+/**
+ * Starts the server on a free port with its data in `dataFile`.
+ * @returns {Promise<{ baseUrl: string, close: () => Promise<void> }>}
+ */
+const startServer = async (dataFile) => {
+  const store = await createFileStore(dataFile);
+  const server = createServer(createApp({ store }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}/api`,
+    close: async () => {
+      await new Promise((resolve) => server.close(resolve));
+      await store.flush();
+    },
+  };
+};
+
+describe('reference server', () => {
+  let dataDir;
+  let dataFile;
+  let server;
+
+  /**
+   * Sends a JSON request and returns the status and parsed body.
+   */
+  const request = async (method, path, body) => {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  beforeEach(async () => {
+    dataDir = await mkdtemp(join(tmpdir(), 'tracker-server-'));
+    dataFile = join(dataDir, 'tracker.json');
+    server = await startServer(dataFile);
+  });
+
+  afterEach(async () => {
+    await server.close();
+    await rm(dataDir, { recursive: true, force: true });
+  });
+
+  describe('goal', () => {
+    it('stores the goal with a revision and refuses stale writes', async () => {
+      expect(await request('GET', '/goal')).toEqual({
+        status: 200,
+        body: { value: null, revision: null },
+      });
+
+      expect(
+        await request('PUT', '/goal', { value: '2200', baseRevision: null })
+      ).toEqual({ status: 200, body: { value: 2200, revision: 1 } });
+
+      expect(
+        await request('PUT', '/goal', { value: 1800, baseRevision: null })
+      ).toEqual({ status: 409, body: { value: 2200, revision: 1 } });
+    });
+
+    it('rejects goals AppContext would reject', async () => {
+      expect(await request('PUT', '/goal', { value: -5 })).toEqual({
+        status: 400,
+        body: {
+          error: 'Invalid goal value: -5. Goal must be a positive number.',
+        },
+      });
+    });
+  });
+
+  describe('log', () => {
+    it('saves, updates and deletes entries by revision', async () => {
+      const created = await request('PUT', '/log/apple', {
+        item: { ...apple, name: '  Apple ' },
+        baseRevision: null,
+      });
+      expect(created).toEqual({
+        status: 200,
+        body: { id: 'apple', revision: 1, deleted: false, item: apple },
+      });
+
+      const stale = await request('PUT', '/log/apple', {
+        item: { ...apple, calories: 80 },
+        baseRevision: 0,
+      });
+      expect(stale.status).toBe(409);
+      expect(stale.body.item.calories).toBe(95);
+
+      expect(
+        (await request('DELETE', '/log/apple?baseRevision=1')).body
+      ).toEqual({ id: 'apple', revision: 2, deleted: true });
+      expect((await request('GET', '/log/apple')).status).toBe(404);
+      expect((await request('DELETE', '/log/apple')).status).toBe(404);
+    });
+
+    it('stores entries under any ID', async () => {
+      const item = { ...apple, id: '__proto__' };
+      expect((await request('PUT', '/log/__proto__', { item })).status).toBe(
+        200
+      );
+      expect((await request('GET', '/log/__proto__')).body.item).toEqual(item);
+      expect((await request('GET', '/log')).body.log).toHaveLength(1);
+    });
+
+    it('rejects invalid entries with the validation message', async () => {
+      expect(
+        await request('PUT', '/log/apple', {
+          item: { ...apple, calories: 'lots' },
+        })
+      ).toEqual({
+        status: 400,
+        body: {
+          error:
+            'Invalid log item: Calories (lots) must be a non-negative number.',
+        },
+      });
+      expect(
+        (await request('PUT', '/log/apple', { item: { ...apple, id: 'pear' } }))
+          .status
+      ).toBe(400);
+      expect((await request('PUT', '/log/apple', [])).status).toBe(400);
+    });
+
+    it("lists entries by day in the client's time zone", async () => {
+      await request('PUT', '/log/apple', { item: apple });
+      await request('PUT', '/log/toast', {
+        item: {
+          id: 'toast',
+          name: 'Toast',
+          calories: 80,
+          loggedAt: '2025-04-15T07:00:00.000Z',
+        },
+      });
+
+      const utc = await request('GET', '/log?date=2025-04-15');
+      expect(utc.body.log.map(({ id }) => id)).toEqual(['toast', 'apple']);
+
+      // 22:30 UTC is already the next day two hours east of UTC
+      const berlin = await request(
+        'GET',
+        '/log?from=2025-04-16&to=2025-04-30&timezoneOffset=-120'
+      );
+      expect(berlin.body.log).toEqual([
+        { id: 'apple', revision: 1, deleted: false, item: apple },
+      ]);
+
+      expect((await request('GET', '/log?date=15.04.2025')).status).toBe(400);
+    });
+  });
+
+  describe('custom foods', () => {
+    it('saves, lists and deletes foods', async () => {
+      const bar = { name: 'Protein bar', calories: 210, protein: 20 };
+      expect(await request('PUT', '/foods/bar', { item: bar })).toEqual({
+        status: 200,
+        body: {
+          id: 'bar',
+          revision: 1,
+          deleted: false,
+          item: { id: 'bar', ...bar },
+        },
+      });
+      expect((await request('GET', '/foods')).body.foods).toHaveLength(1);
+
+      expect(
+        (
+          await request('PUT', '/foods/bad', {
+            item: { name: '', calories: 5 },
+          })
+        ).body
+      ).toEqual({ error: 'Invalid log item: Name cannot be empty.' });
+
+      await request('DELETE', '/foods/bar?baseRevision=1');
+      expect((await request('GET', '/foods')).body.foods).toEqual([]);
+    });
+  });
+
+  describe('changes', () => {
+    it('returns the goal and the entries changed since a cursor', async () => {
+      await request('PUT', '/log/apple', { item: apple });
+      const first = await request('GET', '/changes');
+      expect(first.body).toEqual({
+        cursor: '1',
+        goal: null,
+        log: [{ id: 'apple', revision: 1, deleted: false, item: apple }],
+      });
+
+      await request('DELETE', '/log/apple?baseRevision=1');
+      const next = await request('GET', `/changes?since=${first.body.cursor}`);
+      expect(next.body.log).toEqual([
+        { id: 'apple', revision: 2, deleted: true },
+      ]);
+    });
+  });
+
+  describe('HTTP', () => {
+    it('answers CORS preflight requests', async () => {
+      const response = await fetch(`${server.baseUrl}/log/apple`, {
+        method: 'OPTIONS',
+      });
+      expect(response.status).toBe(204);
+      expect(response.headers.get('access-control-allow-origin')).toBe('*');
+      expect(response.headers.get('access-control-allow-methods')).toBe(
+        'GET, PUT, DELETE, OPTIONS'
+      );
+    });
+
+    it('reports unknown paths, wrong methods and invalid JSON', async () => {
+      expect((await request('GET', '/nothing')).status).toBe(404);
+      expect((await request('POST', '/goal', {})).status).toBe(405);
+
+      const response = await fetch(`${server.baseUrl}/goal`, {
+        method: 'PUT',
+        body: '{not json',
+      });
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('storage', () => {
+    it('keeps the data across restarts', async () => {
+      await request('PUT', '/goal', { value: 2100 });
+      await request('PUT', '/log/apple', { item: apple });
+      await server.close();
+
+      server = await startServer(dataFile);
+      expect((await request('GET', '/goal')).body.value).toBe(2100);
+      expect((await request('GET', '/log/apple')).body.item).toEqual(apple);
+    });
+
+    it('keeps a write that could not be saved out of the data', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const putGoal = () =>
+        request('PUT', '/goal', { value: 2100, baseRevision: null });
+      const putApple = () =>
+        request('PUT', '/log/apple', { item: apple, baseRevision: null });
+      // A directory where the temporary file goes makes the save fail
+      await mkdir(`${dataFile}.tmp`);
+
+      expect((await putGoal()).status).toBe(500);
+      expect((await putApple()).status).toBe(500);
+      expect((await request('GET', '/goal')).body.revision).toBeNull();
+      expect((await request('GET', '/log/apple')).status).toBe(404);
+      expect((await request('GET', '/changes')).body.log).toEqual([]);
+
+      // Retrying the same writes succeeds instead of conflicting
+      await rm(`${dataFile}.tmp`, { recursive: true });
+      expect(await putGoal()).toEqual({
+        status: 200,
+        body: { value: 2100, revision: 1 },
+      });
+      expect((await putApple()).body).toMatchObject({
+        revision: 1,
+        item: apple,
+      });
+      vi.restoreAllMocks();
+    });
+
+    it('refuses to start with an unreadable data file', async () => {
+      const brokenFile = join(dataDir, 'broken.json');
+      await writeFile(brokenFile, '{broken');
+      await expect(createFileStore(brokenFile)).rejects.toThrow(
+        /Could not read the data file/
+      );
+      expect(await readFile(brokenFile, 'utf8')).toBe('{broken');
+    });
+  });
+
+  describe('with the app sync client', () => {
+    /**
+     * Creates a sync client for one device, with its own storage.
+     */
+    const createDevice = () => {
+      const values = new Map();
+      const onRemoteChanges = vi.fn();
+      const client = createSyncClient({
+        api: createSyncApi({ baseUrl: server.baseUrl }),
+        onRemoteChanges,
+        storage: {
+          getItem: (key) => values.get(key) ?? null,
+          setItem: (key, value) => values.set(key, value),
+        },
+        isOnline: () => true,
+      });
+      return { client, onRemoteChanges };
+    };
+
+    it('syncs two devices and resolves conflicts by revision', async () => {
+      const laptop = createDevice();
+      const phone = createDevice();
+
+      laptop.client.queueGoal(1900);
+      laptop.client.queueLogChanges([apple], []);
+      await laptop.client.sync();
+      await phone.client.sync();
+      expect(phone.onRemoteChanges).toHaveBeenCalledWith({
+        goal: { value: 1900, initial: true },
+        saved: [apple],
+        deleted: [],
+      });
+
+      laptop.client.queueLogChanges([{ ...apple, calories: 100 }], []);
+      await laptop.client.sync();
+      phone.client.queueLogChanges([], ['apple']);
+      await phone.client.sync();
+
+      // The laptop's newer edit wins over the phone's stale delete
+      expect(phone.onRemoteChanges).toHaveBeenLastCalledWith({
+        saved: [{ ...apple, calories: 100 }],
+        deleted: [],
+      });
+      expect(phone.client.getStatus()).toMatchObject({
+        state: 'idle',
+        conflicts: 1,
+      });
+      expect((await request('GET', '/log/apple')).body.revision).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import * as serverValidation from '../src/validation.js';
+// The app's validators, which the server's copies must agree with
+import * as appValidation from '../../src/utils/validation.js';
+import { MACRO_KEYS } from '../../src/utils/nutrition.js';
+import { MEAL_KEYS } from '../../src/utils/meals.js';
+import { UNIT_KEYS } from '../../src/utils/units.js';
+
+/**
+ * Runs a validator and collects what it reports.
+ */
+const run = (validate, value) => {
+  const problems = [];
+  const result = validate(value, (message) => problems.push(message));
+  return { result, problems };
+};
+
+const GOALS = [2000, '1800', 0, -5, 'lots', null];
+
+const LOG_ITEMS = [
+  { id: 'a', name: ' Toast ', calories: '80' },
+  {
+    id: 'b',
+    name: 'Oatmeal',
+    calories: 300,
+    loggedAt: '2025-04-15T08:00:00.000Z',
+    meal: 'breakfast',
+    quantity: '2',
+    unit: 'cup',
+    protein: 10,
+    carbs: null,
+  },
+  { name: 'No ID', calories: 10 },
+  { id: 'c', name: '  ', calories: 10 },
+  { id: 'd', name: 'Egg', calories: -1 },
+  { id: 'e', name: 'Egg', calories: 78, loggedAt: 'soon' },
+  { id: 'f', name: 'Egg', calories: 78, meal: 'brunch' },
+  { id: 'g', name: 'Egg', calories: 78, quantity: 1 },
+  { id: 'h', name: 'Egg', calories: 78, fat: '' },
+];
+
+const CUSTOM_FOODS = [
+  { name: 'Granola', calories: 450, serving: ' 1 bowl ', servingGrams: '60' },
+  { name: 'Granola', calories: 450, servingGrams: 0 },
+  { name: 'Granola', calories: 450, protein: -2 },
+  { calories: 100 },
+];
+
+describe('server validation', () => {
+  it('uses the same keys as the app', () => {
+    expect(serverValidation.MACRO_KEYS).toEqual(MACRO_KEYS);
+    expect(serverValidation.MEAL_KEYS).toEqual(MEAL_KEYS);
+    expect(serverValidation.UNIT_KEYS).toEqual(UNIT_KEYS);
+  });
+
+  it.each([
+    ['validateGoal', GOALS],
+    ['validateLogItem', LOG_ITEMS],
+    ['validateCustomFood', CUSTOM_FOODS],
+  ])('%s accepts and reports exactly what the app does', (name, values) => {
+    values.forEach((value) => {
+      expect(run(serverValidation[name], value)).toEqual(
+        run(appValidation[name], value)
+      );
+    });
+  });
+});
@@ -1,61 +1,155 @@
-import React from 'react';
+import React, { useContext } from 'react';
+import PropTypes from 'prop-types';
 import { AppProvider } from './context/AppContext.jsx';
+import { ProfileProvider, ProfileContext } from './context/ProfileContext.jsx';
 import GoalSetter from './components/GoalSetter.jsx';
 import ProgressDisplay from './components/ProgressDisplay.jsx';
 import CalorieInput from './components/CalorieInput.jsx';
+import QuickAddPanel from './components/QuickAddPanel.jsx';
 import LogList from './components/LogList.jsx';
+import LogCalendar from './components/LogCalendar.jsx';
+import WeightTracker from './components/WeightTracker.jsx';
+import ExerciseLog from './components/ExerciseLog.jsx';
 import FoodSuggestions from './components/FoodSuggestions.jsx';
+import FoodLibrary from './components/FoodLibrary.jsx';
+import DataBackup from './components/DataBackup.jsx';
+import CsvTransfer from './components/CsvTransfer.jsx';
+import StorageAlert from './components/StorageAlert.jsx';
+import SyncStatus from './components/SyncStatus.jsx';
+import UndoRedo from './components/UndoRedo.jsx';
+import ProfileSwitcher from './components/ProfileSwitcher.jsx';
+import ProfileLock from './components/ProfileLock.jsx';
+import { DEFAULT_PROFILE_ID } from './utils/storage.js';
+
+/**
+ * The page for the active profile: its own AppProvider, keyed by the profile
+ * so switching profiles loads that profile's data from scratch, or the lock
+ * screen while the profile's PIN hasn't been entered.
+ * @param {object} props - Component props.
+ * @param {string} props.appTitle - The title shown in the header.
+ * @returns {JSX.Element} The page.
+ */
+function ProfilePage({ appTitle }) {
+  const { activeProfile, locked } = useContext(ProfileContext);
+
+  const header = (
+    <header className="mb-8">
+      <h1 className="text-center text-3xl font-bold text-green-700 md:text-4xl">
+        {appTitle}
+      </h1>
+      <ProfileSwitcher />
+      {/* Sync with the backend, if one is configured */}
+      {!locked && <SyncStatus />}
+      {/* Undo and redo the latest changes */}
+      {!locked && <UndoRedo />}
+    </header>
+  );
+
+  if (locked) {
+    return (
+      <>
+        {header}
+        <ProfileLock />
+      </>
+    );
+  }
+
+  return (
+    // AppProvider wraps the profile's page to provide its state context
+    <AppProvider
+      key={activeProfile.id}
+      profileId={activeProfile.id}
+      storage={import.meta.env.VITE_LOG_STORAGE || undefined}
+      // The sync server keeps one person's data, which belongs to the
+      // default profile
+      syncUrl={
+        activeProfile.id === DEFAULT_PROFILE_ID
+          ? import.meta.env.VITE_API_BASE_URL || undefined
+          : undefined
+      }
+    >
+      {header}
+
+      {/* Problems loading saved data, if any */}
+      <StorageAlert />
+
+      <main className="grid grid-cols-1 gap-8 md:grid-cols-3">
+        {/* Left Column: Goal Setting, Progress, Exercise and Weight */}
+        <section className="space-y-6 md:col-span-1">
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <GoalSetter />
+          </div>
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <ProgressDisplay />
+          </div>
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <ExerciseLog />
+          </div>
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <WeightTracker />
+          </div>
+        </section>
+
+        {/* Middle Column: Calorie Input, Quick Add, History and Log */}
+        <section className="space-y-6 md:col-span-1">
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <CalorieInput />
+          </div>
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <QuickAddPanel />
+          </div>
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <LogCalendar />
+          </div>
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <LogList />
+          </div>
+        </section>
+
+        {/* Right Column: Food Library, Suggestions, Backup and CSV */}
+        <section className="space-y-6 md:col-span-1">
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <FoodLibrary />
+          </div>
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <FoodSuggestions />
+          </div>
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <DataBackup />
+          </div>
+          <div className="rounded-lg bg-white p-6 shadow-md">
+            <CsvTransfer />
+          </div>
+        </section>
+      </main>
+    </AppProvider>
+  );
+}
+
+ProfilePage.propTypes = {
+  /**
+   * The title shown in the header.
+   */
+  appTitle: PropTypes.string.isRequired,
+};
 
 function App() {
   // Access the app title from environment variables, providing a fallback
   const appTitle = import.meta.env.VITE_APP_TITLE || 'Fitness Goal Tracker';
 
   return (
-    // AppProvider wraps the entire application to provide global state context
-    <AppProvider>
+    // ProfileProvider wraps the entire application to provide the profiles
+    <ProfileProvider>
       <div className="min-h-screen bg-gray-50 font-sans antialiased">
         <div className="container mx-auto p-4 md:p-6 lg:p-8">
-          <header className="mb-8">
-            <h1 className="text-center text-3xl font-bold text-green-700 md:text-4xl">
-              {appTitle}
-            </h1>
-          </header>
-
-          <main className="grid grid-cols-1 gap-8 md:grid-cols-3">
-            {/* Left Column: Goal Setting and Progress */}
-            <section className="space-y-6 md:col-span-1">
-              <div className="rounded-lg bg-white p-6 shadow-md">
-                <GoalSetter />
-              </div>
-              <div className="rounded-lg bg-white p-6 shadow-md">
-                <ProgressDisplay />
-              </div>
-            </section>
-
-            {/* Middle Column: Calorie Input and Log */}
-            <section className="space-y-6 md:col-span-1">
-              <div className="rounded-lg bg-white p-6 shadow-md">
-                <CalorieInput />
-              </div>
-              <div className="rounded-lg bg-white p-6 shadow-md">
-                <LogList />
-              </div>
-            </section>
-
-            {/* Right Column: Food Suggestions */}
-            <section className="md:col-span-1">
-              <div className="rounded-lg bg-white p-6 shadow-md">
-                <FoodSuggestions />
-              </div>
-            </section>
-          </main>
+          <ProfilePage appTitle={appTitle} />
 
           <footer className="mt-12 border-t border-gray-200 pt-6 text-center text-sm text-gray-500">
             <p>&copy; {new Date().getFullYear()} {appTitle}. MVP.</p>
           </footer>
         </div>
       </div>
-    </AppProvider>
+    </ProfileProvider>
   );
 }
 
@@ -0,0 +1,192 @@
+import React, { useContext, useMemo } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+import Button from './common/Button.jsx';
+import {
+  CONFIDENCE_LABELS,
+  EXPENDITURE_WINDOW_DAYS,
+  MIN_LOGGED_DAYS,
+  MIN_WEIGHT_SPAN_DAYS,
+  estimateExpenditure,
+  suggestGoal,
+} from '../utils/expenditure.js';
+import {
+  comparePace,
+  formatTargetPace,
+  formatWeeklyRate,
+  getDisplayUnit,
+} from '../utils/weight.js';
+import {
+  WEEKDAY_LABELS,
+  findScheduledGoal,
+  getWeekdayKey,
+} from '../utils/goals.js';
+import { formatDateLabel } from '../utils/dates.js';
+
+/**
+ * @component AdaptiveGoal
+ * @description
+ * Estimates the calories the user actually burns each day from the food
+ * logged and the weight change over the last few weeks (see
+ * `src/utils/expenditure.js`), with how confident the estimate is. When the
+ * weight isn't changing at the target pace, suggests the goal that would get
+ * it there, applied with one click.
+ *
+ * The suggestion is compared with the goal that applies today
+ * (`getGoalForDate`), which a scheduled or weekday goal may override. With a
+ * scheduled goal active, applying schedules the new goal from today until
+ * that one ends. With a weekday goal active, it says so: applying sets the
+ * daily goal, which only applies on days without a weekday goal. Reads
+ * `logByDate`, `weightLog`, `targetPace`, `goal`, `weekdayGoals`,
+ * `goalSchedule`, `getGoalForDate`, `setGoal` and `addScheduledGoal` from
+ * `AppContext`.
+ */
+function AdaptiveGoal() {
+  const {
+    logByDate,
+    weightLog,
+    targetPace,
+    goal,
+    weekdayGoals,
+    goalSchedule,
+    getGoalForDate,
+    setGoal,
+    addScheduledGoal,
+    today,
+  } = useContext(AppContext);
+
+  const estimate = useMemo(
+    () => estimateExpenditure(logByDate, weightLog, today),
+    [logByDate, weightLog, today]
+  );
+  const suggestedGoal = suggestGoal(
+    estimate,
+    targetPace,
+    getGoalForDate(today)
+  );
+  const unit = getDisplayUnit(weightLog);
+  const hasTargetPace = typeof targetPace === 'number';
+
+  // What sets today's goal, if not the daily goal
+  const scheduledGoal = findScheduledGoal(goalSchedule, today);
+  const weekdayKey = getWeekdayKey(today);
+  const weekdayGoal = scheduledGoal ? null : weekdayGoals?.[weekdayKey];
+  const hasWeekdayGoal = typeof weekdayGoal === 'number' && weekdayGoal > 0;
+  // On a weekday goal's day, applying to the daily goal must still change it
+  const canApply =
+    !hasWeekdayGoal || suggestGoal(estimate, targetPace, goal) !== null;
+
+  /**
+   * Applies the suggested goal where it takes effect today: to the active
+   * scheduled goal's remaining days, or to the daily goal.
+   */
+  const handleApply = () => {
+    if (scheduledGoal) {
+      addScheduledGoal({
+        start: today,
+        ...(scheduledGoal.end ? { end: scheduledGoal.end } : {}),
+        goal: suggestedGoal,
+      });
+      return;
+    }
+    setGoal(suggestedGoal);
+  };
+
+  /**
+   * Explains where the suggested goal takes effect when a scheduled or
+   * weekday goal sets today's goal.
+   * @returns {string | null} The explanation, or null for the daily goal.
+   */
+  const describeOverride = () => {
+    if (scheduledGoal) {
+      return scheduledGoal.end
+        ? `Today's goal of ${scheduledGoal.goal} calories is scheduled until ${formatDateLabel(scheduledGoal.end, today)}, so the new goal will be scheduled from today until then.`
+        : `Today's goal of ${scheduledGoal.goal} calories is scheduled with no end date, so the new goal will be scheduled from today on.`;
+    }
+    if (hasWeekdayGoal) {
+      const weekday = WEEKDAY_LABELS[weekdayKey];
+      return canApply
+        ? `Today's goal of ${weekdayGoal} calories is your ${weekday} goal. Applying changes the daily goal, which is used on days without a weekday goal.`
+        : `Today's goal of ${weekdayGoal} calories is your ${weekday} goal, so update your weekday goals to use the suggestion.`;
+    }
+    return null;
+  };
+
+  /**
+   * Describes what to do about the goal when there is nothing to apply.
+   * @returns {string} The advice.
+   */
+  const describeNoSuggestion = () => {
+    if (!hasTargetPace) {
+      return 'Set a target pace to get a suggested goal.';
+    }
+    if (comparePace(estimate.weeklyRateKg, targetPace) === 'onPace') {
+      return 'Your weight is changing at the target pace, so your goal is working.';
+    }
+    return 'Your goal already fits the target pace; eating closer to it should get you there.';
+  };
+
+  return (
+    <section aria-labelledby="adaptive-goal-heading" className="mt-6">
+      <h3
+        id="adaptive-goal-heading"
+        className="mb-2 text-sm font-medium text-gray-700"
+      >
+        Estimated Expenditure:
+      </h3>
+      {estimate ? (
+        <>
+          <p className="text-sm text-gray-600">
+            About{' '}
+            <span className="font-medium">{estimate.expenditure} calories</span>{' '}
+            a day ({CONFIDENCE_LABELS[estimate.confidence].toLowerCase()})
+          </p>
+          <p className="mb-2 text-xs text-gray-500">
+            From {estimate.loggedDays} of the last {estimate.windowDays} days
+            logged, averaging {estimate.intake} calories, and a weight change of{' '}
+            {formatWeeklyRate(estimate.weeklyRateKg, unit)}.
+          </p>
+          {suggestedGoal !== null ? (
+            <div role="status">
+              <p className="mb-2 text-sm text-gray-600">
+                Your weight is changing by{' '}
+                {formatWeeklyRate(estimate.weeklyRateKg, unit)} against a target
+                to {formatTargetPace(targetPace, unit).toLowerCase()}. A goal of{' '}
+                <span className="font-medium">{suggestedGoal} calories</span>{' '}
+                should get you on pace.
+              </p>
+              {describeOverride() && (
+                <p className="mb-2 text-xs text-gray-500">
+                  {describeOverride()}
+                </p>
+              )}
+              {canApply && (
+                <Button
+                  variant="secondary"
+                  onClick={handleApply}
+                  className="w-full"
+                >
+                  Apply Suggested Goal
+                </Button>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-600" role="status">
+              {describeNoSuggestion()}
+            </p>
+          )}
+        </>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Log your food on at least {MIN_LOGGED_DAYS} of the last{' '}
+          {EXPENDITURE_WINDOW_DAYS} days and your weight over at least{' '}
+          {MIN_WEIGHT_SPAN_DAYS} days to estimate how much you burn.
+        </p>
+      )}
+    </section>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+AdaptiveGoal.propTypes = {};
+
+export default AdaptiveGoal;
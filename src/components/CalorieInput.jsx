@@ -1,24 +1,74 @@
-import React, { useState, useContext } from 'react';
-import { nanoid } from 'nanoid';
+import React, { useState, useContext, useMemo } from 'react';
 import { AppContext } from '../context/AppContext.jsx';
 import Input from './common/Input.jsx';
 import Button from './common/Button.jsx';
+import Select from './common/Select.jsx';
+import FoodAutocomplete from './FoodAutocomplete.jsx';
+import { foods as databaseFoods } from '../data/foods.js';
+import { MACRO_KEYS, MACRO_LABELS } from '../utils/nutrition.js';
+import { MEAL_KEYS, MEAL_LABELS, getMealForTime } from '../utils/meals.js';
+import {
+  UNIT_LABELS,
+  getAvailableUnits,
+  scaleNutrition,
+} from '../utils/units.js';
+import { recipeToFood } from '../utils/recipes.js';
+
+// Options for the meal selector
+const MEAL_OPTIONS = MEAL_KEYS.map((key) => ({
+  value: key,
+  label: MEAL_LABELS[key],
+}));
+
+// Empty macro inputs, keyed by macro name
+const EMPTY_MACROS = { protein: '', carbs: '', fat: '' };
+
+// Amount a picked food starts at
+const DEFAULT_QUANTITY = '1';
+const DEFAULT_UNIT = 'serving';
 
 /**
  * @component CalorieInput
  * @description Provides a form for users to input a food item name and its calorie count,
- * then add it to the daily log managed in AppContext. Includes input validation.
+ * plus optional protein/carbs/fat grams, then add it to the daily log managed in
+ * AppContext. A meal selector defaults to the meal matching the time of day.
+ * The food name field searches the local food database; picking a match shows
+ * quantity and unit fields, and calories and macros are computed from the
+ * food's per-serving or per-100g values as the amount changes. The computed
+ * values can still be adjusted by hand. The user's saved foods and recipes are
+ * searched alongside the database; a recipe is logged per serving.
+ * Includes input validation.
  */
 function CalorieInput() {
-  const { addLogItem } = useContext(AppContext);
+  const { addLogItem, customFoods, recipes } = useContext(AppContext);
+
+  // The user's saved foods and recipes, followed by the food database
+  const searchableFoods = useMemo(
+    () => [
+      ...(Array.isArray(customFoods) ? customFoods : []),
+      ...(Array.isArray(recipes) ? recipes : [])
+        .map(recipeToFood)
+        .filter(Boolean),
+      ...databaseFoods,
+    ],
+    [customFoods, recipes]
+  );
 
   // Local state for form inputs
   const [foodName, setFoodName] = useState('');
   const [calories, setCalories] = useState('');
+  const [macros, setMacros] = useState(EMPTY_MACROS);
+  const [meal, setMeal] = useState(() => getMealForTime());
+  // The database food the current values came from, if any
+  const [selectedFood, setSelectedFood] = useState(null);
+  const [quantity, setQuantity] = useState(DEFAULT_QUANTITY);
+  const [unit, setUnit] = useState(DEFAULT_UNIT);
 
   // Local state for validation errors
   const [nameError, setNameError] = useState('');
   const [caloriesError, setCaloriesError] = useState('');
+  const [macrosError, setMacrosError] = useState('');
+  const [quantityError, setQuantityError] = useState('');
 
   // --- Validation Helpers ---
 
@@ -55,6 +105,35 @@ function CalorieInput() {
     return ''; // No error
   };
 
+  /**
+   * Validates the optional macro inputs. Empty fields are allowed.
+   * @param {{ protein: string, carbs: string, fat: string }} macroValues - The macro values as strings.
+   * @returns {string} - Error message string, or empty string if valid.
+   */
+  const validateMacros = (macroValues) => {
+    const invalidMacro = MACRO_KEYS.find((key) => {
+      const value = macroValues[key].trim();
+      return value !== '' && !/^\d+(\.\d+)?$/.test(value);
+    });
+    if (invalidMacro) {
+      return `${MACRO_LABELS[invalidMacro]} must be a number of grams (0 or more).`;
+    }
+    return ''; // No error
+  };
+
+  /**
+   * Validates the quantity input shown for a picked food.
+   * @param {string} quantityValue - The quantity as a string.
+   * @returns {string} - Error message string, or empty string if valid.
+   */
+  const validateQuantity = (quantityValue) => {
+    const value = quantityValue.trim();
+    if (!/^\d+(\.\d+)?$/.test(value) || !(parseFloat(value) > 0)) {
+      return 'Quantity must be a positive number.';
+    }
+    return ''; // No error
+  };
+
   // --- Event Handlers ---
 
   /**
@@ -66,6 +145,73 @@ function CalorieInput() {
     const newName = event.target.value;
     setFoodName(newName);
     setNameError(validateName(newName)); // Update error state based on validation
+    setSelectedFood(null); // Typed text no longer names the picked food
+  };
+
+  /**
+   * Fills calories and macros with a food's values scaled to an amount.
+   * Macros the food doesn't list are left empty. Does nothing if the amount
+   * is invalid, so the last computed values stay in place.
+   * @param {object} food - The food to scale.
+   * @param {string} quantityValue - The quantity as a string.
+   * @param {string} unitValue - The unit key.
+   */
+  const applyAmount = (food, quantityValue, unitValue) => {
+    const currentQuantityError = validateQuantity(quantityValue);
+    setQuantityError(currentQuantityError);
+    if (currentQuantityError) {
+      return;
+    }
+    const scaled = scaleNutrition(food, parseFloat(quantityValue), unitValue);
+    if (!scaled) {
+      return;
+    }
+    const newMacros = { ...EMPTY_MACROS };
+    MACRO_KEYS.forEach((key) => {
+      if (scaled[key] !== undefined) {
+        newMacros[key] = String(scaled[key]);
+      }
+    });
+    setCalories(String(scaled.calories));
+    setMacros(newMacros);
+    setCaloriesError('');
+    setMacrosError('');
+  };
+
+  /**
+   * Fills the form from a food picked in the autocomplete, starting at one
+   * serving (or the first unit the food supports).
+   * @param {object} food - The chosen food from the database.
+   */
+  const handleSelectFood = (food) => {
+    const units = getAvailableUnits(food);
+    const initialUnit = units.includes(DEFAULT_UNIT) ? DEFAULT_UNIT : units[0];
+    setFoodName(food.name);
+    setNameError('');
+    setSelectedFood(food);
+    setQuantity(DEFAULT_QUANTITY);
+    setUnit(initialUnit);
+    applyAmount(food, DEFAULT_QUANTITY, initialUnit);
+  };
+
+  /**
+   * Handles changes in the quantity input and rescales the picked food.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The input change event.
+   */
+  const handleQuantityChange = (event) => {
+    const newQuantity = event.target.value;
+    setQuantity(newQuantity);
+    applyAmount(selectedFood, newQuantity, unit);
+  };
+
+  /**
+   * Handles changes in the unit selector and rescales the picked food.
+   * @param {React.ChangeEvent<HTMLSelectElement>} event - The select change event.
+   */
+  const handleUnitChange = (event) => {
+    const newUnit = event.target.value;
+    setUnit(newUnit);
+    applyAmount(selectedFood, quantity, newUnit);
   };
 
   /**
@@ -79,6 +225,17 @@ function CalorieInput() {
     setCaloriesError(validateCalories(newCalories)); // Update error state
   };
 
+  /**
+   * Handles changes in one of the macro input fields.
+   * @param {'protein' | 'carbs' | 'fat'} key - The macro being edited.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The input change event.
+   */
+  const handleMacroChange = (key, event) => {
+    const newMacros = { ...macros, [key]: event.target.value };
+    setMacros(newMacros);
+    setMacrosError(validateMacros(newMacros));
+  };
+
   /**
    * Handles form submission to add a log item.
    * Performs final validation, calls context function, and resets form state.
@@ -90,13 +247,22 @@ function CalorieInput() {
     // Perform final validation on current state values before submitting
     const currentNameError = validateName(foodName);
     const currentCaloriesError = validateCalories(calories);
+    const currentMacrosError = validateMacros(macros);
+    const currentQuantityError = selectedFood ? validateQuantity(quantity) : '';
 
     // Update error states based on final validation
     setNameError(currentNameError);
     setCaloriesError(currentCaloriesError);
+    setMacrosError(currentMacrosError);
+    setQuantityError(currentQuantityError);
 
     // Check if there are any errors
-    if (currentNameError || currentCaloriesError) {
+    if (
+      currentNameError ||
+      currentCaloriesError ||
+      currentMacrosError ||
+      currentQuantityError
+    ) {
       return; // Stop submission if validation fails
     }
 
@@ -104,18 +270,40 @@ function CalorieInput() {
     const trimmedName = foodName.trim();
     const parsedCalories = parseInt(calories.trim(), 10); // Already validated as integer
 
-    // Call the context function to add the item
-    addLogItem({
+    const newItem = {
       name: trimmedName,
       calories: parsedCalories,
+      meal,
       // ID generation is handled within AppContext's addLogItem function based on its provided implementation
+    };
+    // Only include the macros the user filled in
+    MACRO_KEYS.forEach((key) => {
+      if (macros[key].trim() !== '') {
+        newItem[key] = parseFloat(macros[key].trim());
+      }
     });
 
+    // Record the amount eaten when it was computed from a picked food
+    if (selectedFood) {
+      newItem.quantity = parseFloat(quantity.trim());
+      newItem.unit = unit;
+    }
+
+    // Call the context function to add the item
+    addLogItem(newItem);
+
     // Reset form fields and errors after successful submission
     setFoodName('');
     setCalories('');
+    setMacros(EMPTY_MACROS);
+    setMeal(getMealForTime());
+    setSelectedFood(null);
+    setQuantity(DEFAULT_QUANTITY);
+    setUnit(DEFAULT_UNIT);
     setNameError('');
     setCaloriesError('');
+    setMacrosError('');
+    setQuantityError('');
   };
 
   // --- Derived State ---
@@ -125,7 +313,9 @@ function CalorieInput() {
     !foodName.trim() || // Disable if name is empty
     !calories.trim() || // Disable if calories is empty
     !!nameError || // Disable if there's a name error
-    !!caloriesError; // Disable if there's a calories error
+    !!caloriesError || // Disable if there's a calories error
+    !!macrosError || // Disable if a macro is invalid
+    !!quantityError; // Disable if the amount of a picked food is invalid
 
   // --- Render Logic ---
 
@@ -142,24 +332,80 @@ function CalorieInput() {
         >
           Food Name:
         </label>
-        <Input
-          type="text"
+        <FoodAutocomplete
           id="food-name-input"
           name="foodName"
           placeholder="E.g., Apple"
           value={foodName}
           onChange={handleNameChange}
+          onSelectFood={handleSelectFood}
+          foods={searchableFoods}
           required={true}
           className={`mb-1 ${nameError ? 'border-red-500' : ''}`} // Apply error border and spacing
           aria-describedby="name-error"
           aria-invalid={!!nameError}
-          autoComplete="off"
         />
-        {/* Name Error Message Area */}
+        {/* Name Error Message Area, or the serving size of a picked food */}
         <p id="name-error" className="mb-2 h-4 text-sm text-red-600">
           {nameError || ''}
+          {!nameError && selectedFood?.serving && (
+            <span className="text-gray-500">
+              Per serving: {selectedFood.serving}
+            </span>
+          )}
         </p>
 
+        {/* Amount of a picked food, used to scale its calories and macros */}
+        {selectedFood && (
+          <>
+            <div className="grid grid-cols-2 gap-2">
+              <div>
+                <label
+                  htmlFor="quantity-input"
+                  className="mb-1 block text-sm font-medium text-gray-700"
+                >
+                  Quantity:
+                </label>
+                <Input
+                  type="number"
+                  id="quantity-input"
+                  name="quantity"
+                  value={quantity}
+                  onChange={handleQuantityChange}
+                  min={0}
+                  step={0.1}
+                  className={quantityError ? 'border-red-500' : ''}
+                  aria-describedby="quantity-error"
+                  aria-invalid={!!quantityError}
+                  autoComplete="off"
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="unit-select"
+                  className="mb-1 block text-sm font-medium text-gray-700"
+                >
+                  Unit:
+                </label>
+                <Select
+                  id="unit-select"
+                  name="unit"
+                  value={unit}
+                  onChange={handleUnitChange}
+                  options={getAvailableUnits(selectedFood).map((key) => ({
+                    value: key,
+                    label: UNIT_LABELS[key],
+                  }))}
+                />
+              </div>
+            </div>
+            {/* Quantity Error Message Area */}
+            <p id="quantity-error" className="mb-2 h-4 text-sm text-red-600">
+              {quantityError}
+            </p>
+          </>
+        )}
+
         {/* Calories Input */}
         <label
           htmlFor="calories-input"
@@ -183,10 +429,63 @@ function CalorieInput() {
           autoComplete="off"
         />
         {/* Calories Error Message Area */}
-        <p id="calories-error" className="mb-4 h-4 text-sm text-red-600">
+        <p id="calories-error" className="mb-2 h-4 text-sm text-red-600">
           {caloriesError || ''}
         </p>
 
+        {/* Meal Selector */}
+        <label
+          htmlFor="meal-select"
+          className="mb-1 block text-sm font-medium text-gray-700"
+        >
+          Meal:
+        </label>
+        <Select
+          id="meal-select"
+          name="meal"
+          value={meal}
+          onChange={(event) => setMeal(event.target.value)}
+          options={MEAL_OPTIONS}
+          className="mb-4"
+        />
+
+        {/* Optional Macro Inputs */}
+        <fieldset>
+          <legend className="mb-1 block text-sm font-medium text-gray-700">
+            Macros (optional):
+          </legend>
+          <div className="grid grid-cols-3 gap-2">
+            {MACRO_KEYS.map((key) => (
+              <div key={key}>
+                <label
+                  htmlFor={`${key}-input`}
+                  className="mb-1 block text-xs text-gray-600"
+                >
+                  {MACRO_LABELS[key]} (g):
+                </label>
+                <Input
+                  type="number"
+                  id={`${key}-input`}
+                  name={key}
+                  placeholder="0"
+                  value={macros[key]}
+                  onChange={(event) => handleMacroChange(key, event)}
+                  min={0}
+                  step={0.1}
+                  className={macrosError ? 'border-red-500' : ''}
+                  aria-describedby="macros-error"
+                  aria-invalid={!!macrosError}
+                  autoComplete="off"
+                />
+              </div>
+            ))}
+          </div>
+        </fieldset>
+        {/* Macros Error Message Area */}
+        <p id="macros-error" className="mb-4 h-4 text-sm text-red-600">
+          {macrosError || ''}
+        </p>
+
         {/* Submit Button */}
         <Button
           type="submit"
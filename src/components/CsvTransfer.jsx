@@ -0,0 +1,402 @@
+import React, { useContext, useMemo, useRef, useState } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+import Button from './common/Button.jsx';
+import Select from './common/Select.jsx';
+import {
+  LOG_CSV_FIELDS,
+  LOG_CSV_FIELD_LABELS,
+  REQUIRED_LOG_CSV_FIELDS,
+  parseCsv,
+  detectDelimiter,
+  detectDecimalSeparator,
+  detectDateOrder,
+  guessColumnMapping,
+  parseLogCsv,
+  excludeLoggedEntries,
+  logToCsv,
+} from '../utils/csv.js';
+import { MACRO_KEYS } from '../utils/nutrition.js';
+import { toDateKey } from '../utils/dates.js';
+import { downloadFile } from '../utils/download.js';
+
+/**
+ * How many row errors are listed before the rest are summarized.
+ */
+const ERROR_LIMIT = 5;
+
+/**
+ * Number formats for exported files: the decimal separator, and the field
+ * delimiter spreadsheets expect with it.
+ */
+const NUMBER_FORMAT_OPTIONS = [
+  { value: '.', label: '1234.5 (comma-separated)' },
+  { value: ',', label: '1234,5 (semicolon-separated)' },
+];
+
+const DECIMAL_SEPARATOR_OPTIONS = [
+  { value: '.', label: 'Point (12.5)' },
+  { value: ',', label: 'Comma (12,5)' },
+];
+
+const DATE_ORDER_OPTIONS = [
+  { value: 'dmy', label: 'Day first (04/05 is 4 May)' },
+  { value: 'mdy', label: 'Month first (04/05 is April 5)' },
+];
+
+/**
+ * @component CsvTransfer
+ * @description Moves the food log in and out of spreadsheets as CSV (see
+ * `src/utils/csv.js`). Exporting downloads every entry with its date, time,
+ * meal, name, calories and macros. Importing reads a file with a header row
+ * (e.g. exported from another tracker), guesses which column holds each
+ * field and how numbers and dates are written, and lets the user adjust
+ * both. A preview counts the entries that will be added, leaves out those
+ * already logged, and lists rows that can't be imported by row number.
+ * Confirming adds the entries with `addLogItems` from `AppContext`.
+ */
+function CsvTransfer() {
+  const { getAllData, addLogItems } = useContext(AppContext);
+  const fileInputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  const [exportDecimalSeparator, setExportDecimalSeparator] = useState('.');
+  // The chosen file and how to read it, waiting for confirmation
+  const [pendingImport, setPendingImport] = useState(null);
+
+  const preview = useMemo(() => {
+    if (!pendingImport) {
+      return null;
+    }
+    const { table, mapping, decimalSeparator, dateOrder, currentLog } =
+      pendingImport;
+    const missingFields = REQUIRED_LOG_CSV_FIELDS.filter(
+      (field) => mapping[field] === null
+    );
+    const { items, errors } = parseLogCsv(table, {
+      mapping,
+      decimalSeparator,
+      dateOrder,
+    });
+    const { newItems, duplicateCount } = excludeLoggedEntries(
+      items,
+      currentLog
+    );
+    return { missingFields, newItems, duplicateCount, errors };
+  }, [pendingImport]);
+
+  // --- Event Handlers ---
+
+  /**
+   * Downloads the whole log as CSV.
+   */
+  const handleExport = async () => {
+    setBusy(true);
+    setError('');
+    setStatus('');
+    try {
+      const { log } = await getAllData();
+      const csv = logToCsv(log, {
+        delimiter: exportDecimalSeparator === ',' ? ';' : ',',
+        decimalSeparator: exportDecimalSeparator,
+      });
+      downloadFile(
+        `health-fit-log-${toDateKey(new Date())}.csv`,
+        csv,
+        'text/csv'
+      );
+      setStatus('Log exported.');
+    } catch (exportError) {
+      console.error('[CsvTransfer] Error exporting log:', exportError);
+      setError('Could not export your log.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Reads the chosen file and guesses how to import it.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The file input's change event.
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    // Allow choosing the same file again later
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    setBusy(true);
+    setError('');
+    setStatus('');
+    setPendingImport(null);
+    try {
+      const text = await file.text();
+      const table = parseCsv(text, detectDelimiter(text));
+      if (table.length < 2) {
+        setError('The file has no rows to import.');
+        return;
+      }
+      const mapping = guessColumnMapping(table[0]);
+      const columnValues = (fields) =>
+        table
+          .slice(1)
+          .flatMap((cells) =>
+            fields
+              .filter((field) => mapping[field] !== null)
+              .map((field) => cells[mapping[field]] ?? '')
+          );
+      const { log } = await getAllData();
+      setPendingImport({
+        fileName: file.name,
+        table,
+        mapping,
+        decimalSeparator: detectDecimalSeparator(
+          columnValues(['calories', ...MACRO_KEYS])
+        ),
+        dateOrder: detectDateOrder(columnValues(['date'])),
+        currentLog: log,
+      });
+    } catch (readError) {
+      console.error('[CsvTransfer] Error reading CSV file:', readError);
+      setError('Could not read the file.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Changes one of the import settings.
+   * @param {object} changes - The settings to change.
+   */
+  const updatePendingImport = (changes) =>
+    setPendingImport((prev) => ({ ...prev, ...changes }));
+
+  /**
+   * Adds the previewed entries to the log.
+   */
+  const handleConfirmImport = () => {
+    addLogItems(preview.newItems);
+    setStatus(
+      `Imported ${preview.newItems.length} ${
+        preview.newItems.length === 1 ? 'entry' : 'entries'
+      } from ${pendingImport.fileName}.`
+    );
+    setPendingImport(null);
+  };
+
+  // --- Render Logic ---
+
+  const columnOptions = pendingImport
+    ? [
+        { value: '', label: 'Not in file' },
+        ...pendingImport.table[0].map((header, index) => ({
+          value: String(index),
+          label: header.trim() || `Column ${index + 1}`,
+        })),
+      ]
+    : [];
+
+  return (
+    <div>
+      <h2 className="mb-1 text-xl font-semibold text-gray-700">Spreadsheets</h2>
+      <p className="mb-4 text-sm text-gray-500">
+        Export your log as CSV, or import entries from a spreadsheet or another
+        tracker.
+      </p>
+
+      <label
+        htmlFor="csv-number-format"
+        className="mb-1 block text-sm font-medium text-gray-700"
+      >
+        Export number format:
+      </label>
+      <Select
+        id="csv-number-format"
+        value={exportDecimalSeparator}
+        onChange={(event) => setExportDecimalSeparator(event.target.value)}
+        options={NUMBER_FORMAT_OPTIONS}
+        className="mb-3"
+      />
+
+      <div className="flex flex-wrap gap-2">
+        <Button onClick={handleExport} disabled={busy}>
+          Export log (CSV)
+        </Button>
+        <Button
+          variant="secondary"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy}
+        >
+          Import CSV…
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,text/csv"
+          onChange={handleFileChange}
+          className="hidden"
+          aria-label="CSV file"
+        />
+      </div>
+
+      {error && (
+        <p className="mt-2 text-sm text-red-600" role="alert">
+          {error}
+        </p>
+      )}
+
+      {pendingImport && preview && (
+        <section
+          className="mt-4 space-y-3 rounded border border-gray-200 p-3 text-sm"
+          aria-label="CSV import"
+        >
+          <p className="font-medium text-gray-700">
+            Import {pendingImport.fileName}?
+          </p>
+
+          <fieldset>
+            <legend className="mb-1 text-xs font-medium text-gray-700">
+              Columns
+            </legend>
+            <div className="grid grid-cols-2 gap-2">
+              {LOG_CSV_FIELDS.map((field) => (
+                <div key={field}>
+                  <label
+                    htmlFor={`csv-column-${field}`}
+                    className="block text-xs text-gray-600"
+                  >
+                    {LOG_CSV_FIELD_LABELS[field]}
+                    {REQUIRED_LOG_CSV_FIELDS.includes(field) && ' (required)'}
+                  </label>
+                  <Select
+                    id={`csv-column-${field}`}
+                    value={
+                      pendingImport.mapping[field] === null
+                        ? ''
+                        : String(pendingImport.mapping[field])
+                    }
+                    onChange={(event) =>
+                      updatePendingImport({
+                        mapping: {
+                          ...pendingImport.mapping,
+                          [field]:
+                            event.target.value === ''
+                              ? null
+                              : Number(event.target.value),
+                        },
+                      })
+                    }
+                    options={columnOptions}
+                  />
+                </div>
+              ))}
+            </div>
+          </fieldset>
+
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <label
+                htmlFor="csv-decimal-separator"
+                className="block text-xs text-gray-600"
+              >
+                Decimal separator
+              </label>
+              <Select
+                id="csv-decimal-separator"
+                value={pendingImport.decimalSeparator}
+                onChange={(event) =>
+                  updatePendingImport({ decimalSeparator: event.target.value })
+                }
+                options={DECIMAL_SEPARATOR_OPTIONS}
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="csv-date-order"
+                className="block text-xs text-gray-600"
+              >
+                Dates
+              </label>
+              <Select
+                id="csv-date-order"
+                value={pendingImport.dateOrder}
+                onChange={(event) =>
+                  updatePendingImport({ dateOrder: event.target.value })
+                }
+                options={DATE_ORDER_OPTIONS}
+              />
+            </div>
+          </div>
+
+          {preview.missingFields.length > 0 ? (
+            <p className="text-red-600">
+              Choose the column for{' '}
+              {preview.missingFields
+                .map((field) => LOG_CSV_FIELD_LABELS[field])
+                .join(' and ')}
+              .
+            </p>
+          ) : (
+            <>
+              <p className="text-gray-600">
+                {preview.newItems.length === 1
+                  ? '1 entry ready to import.'
+                  : `${preview.newItems.length} entries ready to import.`}
+                {preview.duplicateCount > 0 &&
+                  ` ${preview.duplicateCount} already in your log will be skipped.`}
+              </p>
+              {preview.errors.length > 0 && (
+                <div className="text-yellow-800">
+                  <p>
+                    {preview.errors.length === 1
+                      ? "1 row can't be imported:"
+                      : `${preview.errors.length} rows can't be imported:`}
+                  </p>
+                  <ul className="ml-4 list-disc text-xs">
+                    {preview.errors
+                      .slice(0, ERROR_LIMIT)
+                      .map(({ row, message }) => (
+                        <li key={row}>
+                          Row {row}: {message}
+                        </li>
+                      ))}
+                  </ul>
+                  {preview.errors.length > ERROR_LIMIT && (
+                    <p className="text-xs">
+                      …and {preview.errors.length - ERROR_LIMIT} more.
+                    </p>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="flex gap-2">
+            <Button
+              onClick={handleConfirmImport}
+              disabled={
+                preview.missingFields.length > 0 ||
+                preview.newItems.length === 0
+              }
+            >
+              Import
+            </Button>
+            <Button variant="secondary" onClick={() => setPendingImport(null)}>
+              Cancel
+            </Button>
+          </div>
+        </section>
+      )}
+
+      <p role="status" className="mt-2 h-4 text-sm text-green-700">
+        {status}
+      </p>
+    </div>
+  );
+}
+
+// Define prop types for consistency, even though none are used directly.
+CsvTransfer.propTypes = {};
+
+// Export the component for use in App.jsx
+export default CsvTransfer;
@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Input from './common/Input.jsx';
+import Button from './common/Button.jsx';
+import { MACRO_KEYS, MACRO_LABELS } from '../utils/nutrition.js';
+
+/**
+ * Converts a saved food into form input strings ('' for missing values).
+ * @param {object} [food] - The food being edited, if any.
+ * @returns {object} The input values.
+ */
+const toInputs = (food) => {
+  const inputs = {
+    name: food?.name ?? '',
+    serving: food?.serving ?? '',
+    calories: typeof food?.calories === 'number' ? String(food.calories) : '',
+  };
+  MACRO_KEYS.forEach((key) => {
+    inputs[key] = typeof food?.[key] === 'number' ? String(food[key]) : '';
+  });
+  return inputs;
+};
+
+/**
+ * Checks the form inputs, using the same rules as CalorieInput.
+ * @param {object} inputs - The input values.
+ * @returns {string} - Error message string, or empty string if valid.
+ */
+const validateInputs = (inputs) => {
+  if (!inputs.name.trim()) {
+    return 'Food name cannot be empty.';
+  }
+  if (!/^\d+$/.test(inputs.calories.trim())) {
+    return 'Calories must be a whole number (0 or more).';
+  }
+  const invalidMacro = MACRO_KEYS.find((key) => {
+    const value = inputs[key].trim();
+    return value !== '' && !/^\d+(\.\d+)?$/.test(value);
+  });
+  if (invalidMacro) {
+    return `${MACRO_LABELS[invalidMacro]} must be a number of grams (0 or more).`;
+  }
+  return ''; // No error
+};
+
+/**
+ * @component CustomFoodForm
+ * @description A form for saving a food to the user's library: a name, an
+ * optional serving description, and calories and optional macros per serving.
+ * Pre-filled when editing an existing food. Remount it (e.g., with a `key`)
+ * to load a different food.
+ * @param {object} props - Component props.
+ * @param {object} [props.food] - The saved food being edited, if any.
+ * @param {(food: object) => void} props.onSave - Called with the food details on save.
+ * @param {() => void} [props.onCancel] - Called when editing is cancelled.
+ * @returns {JSX.Element} The rendered form.
+ */
+function CustomFoodForm({ food, onSave, onCancel }) {
+  const [inputs, setInputs] = useState(() => toInputs(food));
+  const [error, setError] = useState('');
+
+  /**
+   * Updates one input and re-validates once an error is showing.
+   * @param {string} field - The input being edited.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The input change event.
+   */
+  const handleChange = (field, event) => {
+    const newInputs = { ...inputs, [field]: event.target.value };
+    setInputs(newInputs);
+    if (error) {
+      setError(validateInputs(newInputs));
+    }
+  };
+
+  /**
+   * Validates the form and passes the food details to `onSave`.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const currentError = validateInputs(inputs);
+    setError(currentError);
+    if (currentError) {
+      return;
+    }
+
+    const savedFood = {
+      name: inputs.name.trim(),
+      calories: parseInt(inputs.calories.trim(), 10),
+    };
+    if (inputs.serving.trim()) {
+      savedFood.serving = inputs.serving.trim();
+    }
+    // Only include the macros the user filled in
+    MACRO_KEYS.forEach((key) => {
+      if (inputs[key].trim() !== '') {
+        savedFood[key] = parseFloat(inputs[key].trim());
+      }
+    });
+    onSave(savedFood);
+
+    if (!food) {
+      setInputs(toInputs(null));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2" noValidate>
+      <div>
+        <label
+          htmlFor="custom-food-name"
+          className="mb-1 block text-sm font-medium text-gray-700"
+        >
+          Food Name:
+        </label>
+        <Input
+          id="custom-food-name"
+          value={inputs.name}
+          onChange={(event) => handleChange('name', event)}
+          placeholder="E.g., Homemade granola"
+          aria-describedby="custom-food-error"
+          autoComplete="off"
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label
+            htmlFor="custom-food-serving"
+            className="mb-1 block text-sm font-medium text-gray-700"
+          >
+            Serving:
+          </label>
+          <Input
+            id="custom-food-serving"
+            value={inputs.serving}
+            onChange={(event) => handleChange('serving', event)}
+            placeholder="E.g., 1/2 cup (50 g)"
+            autoComplete="off"
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="custom-food-calories"
+            className="mb-1 block text-sm font-medium text-gray-700"
+          >
+            Calories:
+          </label>
+          <Input
+            type="number"
+            id="custom-food-calories"
+            value={inputs.calories}
+            onChange={(event) => handleChange('calories', event)}
+            min={0}
+            step={1}
+            aria-describedby="custom-food-error"
+            autoComplete="off"
+          />
+        </div>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        {MACRO_KEYS.map((key) => (
+          <div key={key}>
+            <label
+              htmlFor={`custom-food-${key}`}
+              className="mb-1 block text-xs text-gray-600"
+            >
+              {MACRO_LABELS[key]} (g):
+            </label>
+            <Input
+              type="number"
+              id={`custom-food-${key}`}
+              value={inputs[key]}
+              onChange={(event) => handleChange(key, event)}
+              min={0}
+              step={0.1}
+              placeholder="—"
+              aria-describedby="custom-food-error"
+              autoComplete="off"
+            />
+          </div>
+        ))}
+      </div>
+      <p id="custom-food-error" className="h-4 text-sm text-red-600">
+        {error}
+      </p>
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <Button variant="secondary" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit">{food ? 'Update Food' : 'Save Food'}</Button>
+      </div>
+    </form>
+  );
+}
+
+// Define prop types for the component for type checking and documentation
+CustomFoodForm.propTypes = {
+  /**
+   * The saved food being edited. Omit to create a new food.
+   */
+  food: PropTypes.shape({
+    name: PropTypes.string,
+    serving: PropTypes.string,
+    calories: PropTypes.number,
+    protein: PropTypes.number,
+    carbs: PropTypes.number,
+    fat: PropTypes.number,
+  }),
+  /**
+   * Function called with the validated food details when the form is saved.
+   */
+  onSave: PropTypes.func.isRequired,
+  /**
+   * Function called when editing is cancelled. The cancel button is hidden if omitted.
+   */
+  onCancel: PropTypes.func,
+};
+
+export default CustomFoodForm;
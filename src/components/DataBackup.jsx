@@ -0,0 +1,282 @@
+import React, { useContext, useMemo, useRef, useState } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+import Button from './common/Button.jsx';
+import {
+  createBackup,
+  getBackupFileName,
+  parseBackup,
+  previewImport,
+} from '../utils/backup.js';
+import { downloadFile } from '../utils/download.js';
+
+/**
+ * How many skipped records are listed before the rest are summarized.
+ */
+const PROBLEM_LIMIT = 5;
+
+/**
+ * Labels for the import modes.
+ */
+const IMPORT_MODE_LABELS = {
+  merge: "Merge: add what's new and keep my current settings",
+  replace: "Replace: use only the backup's data",
+};
+
+/**
+ * Describes what importing will do to one list.
+ * @param {import('../utils/backup.js').ImportPreviewSection} summary - The list's preview.
+ * @returns {string} E.g. "3 new, 2 already saved".
+ */
+const describeChanges = ({ added, updated, unchanged, skipped, removed }) =>
+  [
+    added > 0 && `${added} new`,
+    updated > 0 && `${updated} updated`,
+    unchanged > 0 && `${unchanged} already saved`,
+    skipped > 0 && `${skipped} kept as saved (the backup's differ)`,
+    removed > 0 && `${removed} removed`,
+  ]
+    .filter(Boolean)
+    .join(', ') || 'nothing to import';
+
+/**
+ * @component DataBackup
+ * @description Backs up all of the tracker's data to a JSON file and restores
+ * it, e.g. to move to another browser. Exporting downloads the data from
+ * `getAllData` in `AppContext` as a versioned document (see
+ * `src/utils/backup.js`). Importing validates the chosen file, previews what
+ * will be added, updated or removed in the chosen mode (merge or replace),
+ * lists records that will be skipped, and only calls `importData` once the
+ * user confirms.
+ */
+function DataBackup() {
+  const { getAllData, importData } = useContext(AppContext);
+  const fileInputRef = useRef(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [status, setStatus] = useState('');
+  // The parsed backup waiting for confirmation, with the data it would change
+  const [pendingImport, setPendingImport] = useState(null);
+  const [mode, setMode] = useState('merge');
+
+  const preview = useMemo(
+    () =>
+      pendingImport
+        ? previewImport(pendingImport.currentData, pendingImport.data, mode)
+        : null,
+    [pendingImport, mode]
+  );
+
+  // --- Event Handlers ---
+
+  /**
+   * Downloads a backup of all data.
+   */
+  const handleExport = async () => {
+    setBusy(true);
+    setError('');
+    setStatus('');
+    try {
+      const now = new Date();
+      const backup = createBackup(await getAllData(), now);
+      downloadFile(
+        getBackupFileName(now),
+        JSON.stringify(backup, null, 2),
+        'application/json'
+      );
+      setStatus('Backup downloaded.');
+    } catch (exportError) {
+      console.error('[DataBackup] Error exporting data:', exportError);
+      setError('Could not export your data.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Reads and validates the chosen backup file, then shows the preview.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The file input's change event.
+   */
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    // Allow choosing the same file again later
+    event.target.value = '';
+    if (!file) {
+      return;
+    }
+    setBusy(true);
+    setError('');
+    setStatus('');
+    setPendingImport(null);
+    try {
+      const {
+        data,
+        error: parseError,
+        problems,
+      } = parseBackup(await file.text());
+      if (parseError) {
+        setError(parseError);
+        return;
+      }
+      setPendingImport({
+        fileName: file.name,
+        data,
+        problems,
+        currentData: await getAllData(),
+      });
+      setMode('merge');
+    } catch (readError) {
+      console.error('[DataBackup] Error reading backup:', readError);
+      setError('Could not read the backup file.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Imports the previewed backup in the chosen mode.
+   */
+  const handleConfirmImport = async () => {
+    setBusy(true);
+    try {
+      await importData(pendingImport.data, mode);
+      setPendingImport(null);
+      setStatus(`Imported ${pendingImport.fileName}.`);
+    } catch (importError) {
+      console.error('[DataBackup] Error importing data:', importError);
+      setError('Could not import the backup.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // --- Render Logic ---
+
+  return (
+    <div>
+      <h2 className="mb-1 text-xl font-semibold text-gray-700">Backup</h2>
+      <p className="mb-4 text-sm text-gray-500">
+        Save all your data to a file, or restore it in this or another browser.
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        <Button onClick={handleExport} disabled={busy}>
+          Export data
+        </Button>
+        <Button
+          variant="secondary"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy}
+        >
+          Import data…
+        </Button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleFileChange}
+          className="hidden"
+          aria-label="Backup file"
+        />
+      </div>
+
+      {error && (
+        <p className="mt-2 text-sm text-red-600" role="alert">
+          {error}
+        </p>
+      )}
+
+      {pendingImport && preview && (
+        <section
+          className="mt-4 space-y-3 rounded border border-gray-200 p-3 text-sm"
+          aria-label="Import preview"
+        >
+          <p className="font-medium text-gray-700">
+            Import {pendingImport.fileName}?
+          </p>
+
+          <fieldset>
+            <legend className="mb-1 text-xs font-medium text-gray-700">
+              How to import
+            </legend>
+            {Object.entries(IMPORT_MODE_LABELS).map(([value, label]) => (
+              <label
+                key={value}
+                className="flex items-center gap-2 text-gray-600"
+              >
+                <input
+                  type="radio"
+                  name="import-mode"
+                  value={value}
+                  checked={mode === value}
+                  onChange={() => setMode(value)}
+                  className="accent-green-600"
+                />
+                {label}
+              </label>
+            ))}
+          </fieldset>
+
+          <ul className="space-y-1 text-gray-600">
+            {preview.lists.map((summary) => (
+              <li key={summary.section}>
+                <span className="font-medium">{summary.label}:</span>{' '}
+                {describeChanges(summary)}
+              </li>
+            ))}
+            {preview.settings.length > 0 && (
+              <li>
+                <span className="font-medium">Settings replaced:</span>{' '}
+                {preview.settings.join(', ')}
+              </li>
+            )}
+          </ul>
+
+          {pendingImport.problems.length > 0 && (
+            <div className="text-yellow-800">
+              <p>
+                {pendingImport.problems.length === 1
+                  ? '1 record in the file is invalid and will be skipped:'
+                  : `${pendingImport.problems.length} records in the file are invalid and will be skipped:`}
+              </p>
+              <ul className="ml-4 list-disc text-xs">
+                {pendingImport.problems
+                  .slice(0, PROBLEM_LIMIT)
+                  .map((problem, index) => (
+                    <li key={index}>{problem}</li>
+                  ))}
+              </ul>
+              {pendingImport.problems.length > PROBLEM_LIMIT && (
+                <p className="text-xs">
+                  …and {pendingImport.problems.length - PROBLEM_LIMIT} more.
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <Button onClick={handleConfirmImport} disabled={busy}>
+              Import
+            </Button>
+            <Button
+              variant="secondary"
+              onClick={() => setPendingImport(null)}
+              disabled={busy}
+            >
+              Cancel
+            </Button>
+          </div>
+        </section>
+      )}
+
+      <p role="status" className="mt-2 h-4 text-sm text-green-700">
+        {status}
+      </p>
+    </div>
+  );
+}
+
+// Define prop types for consistency, even though none are used directly.
+DataBackup.propTypes = {};
+
+// Export the component for use in App.jsx
+export default DataBackup;
@@ -0,0 +1,233 @@
+import React, { useState, useContext } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+import Input from './common/Input.jsx';
+import Select from './common/Select.jsx';
+import Button from './common/Button.jsx';
+import { activities } from '../data/activities.js';
+import { formatDateLabel } from '../utils/dates.js';
+import {
+  INTENSITY_KEYS,
+  INTENSITY_LABELS,
+  MAX_DURATION_MINUTES,
+  estimateExerciseCalories,
+  findActivity,
+  getBodyWeightForDate,
+  getExerciseForDate,
+} from '../utils/exercise.js';
+
+const ACTIVITY_OPTIONS = activities.map((activity) => ({
+  value: activity.id,
+  label: activity.name,
+}));
+
+const INTENSITY_OPTIONS = INTENSITY_KEYS.map((key) => ({
+  value: key,
+  label: INTENSITY_LABELS[key],
+}));
+
+const INITIAL_INPUTS = {
+  activity: activities[0].id,
+  intensity: 'moderate',
+  duration: '',
+};
+
+/**
+ * @component ExerciseLog
+ * @description
+ * Logs exercise sessions (activity, intensity and duration) on the selected
+ * day and lists that day's sessions. The calories burned are estimated from
+ * the activity table's MET values and the user's logged weight (see
+ * `src/utils/exercise.js`); the estimate is shown before logging. Also holds
+ * the setting for whether burned calories add to the day's budget. Reads
+ * `exerciseLog`, `addExerciseEntry`, `removeExerciseEntry`,
+ * `addBurnedCalories` and `setAddBurnedCalories` from `AppContext`.
+ */
+function ExerciseLog() {
+  const {
+    exerciseLog,
+    addExerciseEntry,
+    removeExerciseEntry,
+    addBurnedCalories,
+    setAddBurnedCalories,
+    weightLog,
+    selectedDate,
+    today,
+  } = useContext(AppContext);
+
+  const [inputs, setInputs] = useState(INITIAL_INPUTS);
+  const [error, setError] = useState('');
+
+  const dayLabel = formatDateLabel(selectedDate, today);
+  const sessions = getExerciseForDate(exerciseLog, selectedDate);
+  const durationMinutes = Number(inputs.duration);
+  const estimate =
+    inputs.duration.trim() !== '' && durationMinutes > 0
+      ? estimateExerciseCalories(
+          { ...inputs, durationMinutes },
+          getBodyWeightForDate(weightLog, selectedDate)
+        )
+      : null;
+
+  /**
+   * Updates one of the inputs and clears the previous error.
+   * @param {'activity' | 'intensity' | 'duration'} key - The input being edited.
+   * @param {React.ChangeEvent<HTMLInputElement | HTMLSelectElement>} event - The change event object.
+   */
+  const handleInputChange = (key, event) => {
+    setInputs({ ...inputs, [key]: event.target.value });
+    setError('');
+  };
+
+  /**
+   * Validates the duration and logs the session. The context validates it
+   * again; this check gives a friendlier message.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event object.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (
+      inputs.duration.trim() === '' ||
+      !(durationMinutes > 0 && durationMinutes <= MAX_DURATION_MINUTES)
+    ) {
+      setError(
+        `Duration must be more than 0 and at most ${MAX_DURATION_MINUTES} minutes.`
+      );
+      return;
+    }
+    addExerciseEntry({
+      activity: inputs.activity,
+      intensity: inputs.intensity,
+      durationMinutes,
+    });
+    setInputs({ ...inputs, duration: '' });
+  };
+
+  return (
+    <div>
+      <h2 className="mb-1 text-xl font-semibold text-gray-700">Exercise</h2>
+      <p className="mb-4 text-sm text-gray-500">{dayLabel}</p>
+
+      <form onSubmit={handleSubmit} noValidate>
+        <div className="grid grid-cols-2 gap-2">
+          <div className="col-span-2">
+            <label
+              htmlFor="exercise-activity-select"
+              className="mb-1 block text-xs text-gray-600"
+            >
+              Activity:
+            </label>
+            <Select
+              id="exercise-activity-select"
+              name="exerciseActivity"
+              value={inputs.activity}
+              onChange={(event) => handleInputChange('activity', event)}
+              options={ACTIVITY_OPTIONS}
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="exercise-intensity-select"
+              className="mb-1 block text-xs text-gray-600"
+            >
+              Intensity:
+            </label>
+            <Select
+              id="exercise-intensity-select"
+              name="exerciseIntensity"
+              value={inputs.intensity}
+              onChange={(event) => handleInputChange('intensity', event)}
+              options={INTENSITY_OPTIONS}
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="exercise-duration-input"
+              className="mb-1 block text-xs text-gray-600"
+            >
+              Duration (minutes):
+            </label>
+            <Input
+              type="number"
+              id="exercise-duration-input"
+              name="exerciseDuration"
+              placeholder="E.g., 30"
+              value={inputs.duration}
+              onChange={(event) => handleInputChange('duration', event)}
+              min={1}
+              max={MAX_DURATION_MINUTES}
+              step={1}
+              aria-describedby="exercise-error"
+              autoComplete="off"
+            />
+          </div>
+        </div>
+        <p id="exercise-error" className="mb-2 h-4 text-sm text-red-600">
+          {error ||
+            (estimate !== null && (
+              <span className="text-gray-500">
+                Burns about {estimate} calories.
+              </span>
+            ))}
+        </p>
+        <Button
+          type="submit"
+          variant="primary"
+          disabled={!!error}
+          className="w-full"
+        >
+          Log Exercise
+        </Button>
+      </form>
+
+      {sessions.length > 0 && (
+        <ul
+          className="mt-4 divide-y divide-gray-100 text-sm"
+          aria-label={`Exercise for ${dayLabel}`}
+        >
+          {sessions.map((entry) => {
+            const name = findActivity(entry.activity)?.name ?? entry.activity;
+            return (
+              <li
+                key={entry.id}
+                className="flex items-center justify-between py-1"
+              >
+                <span className="min-w-0 truncate text-gray-700">
+                  {name} · {INTENSITY_LABELS[entry.intensity]} ·{' '}
+                  {entry.durationMinutes} min
+                </span>
+                <span className="ml-2 flex items-center gap-2">
+                  <span className="whitespace-nowrap text-gray-900">
+                    {entry.calories} calories
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => removeExerciseEntry(entry.id)}
+                    className="text-xs text-gray-500 hover:text-red-600 focus:ring-2 focus:ring-red-500 focus:outline-none"
+                    aria-label={`Delete ${name} (${entry.durationMinutes} min)`}
+                  >
+                    Delete
+                  </button>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <label className="mt-4 flex items-center gap-2 text-sm text-gray-600">
+        <input
+          type="checkbox"
+          checked={addBurnedCalories === true}
+          onChange={(event) => setAddBurnedCalories(event.target.checked)}
+          className="accent-green-600"
+        />
+        Add burned calories to the day&apos;s budget
+      </label>
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+ExerciseLog.propTypes = {};
+
+export default ExerciseLog;
@@ -0,0 +1,196 @@
+import React, { useId, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import Input from './common/Input.jsx';
+import { foods as defaultFoods } from '../data/foods.js';
+import { searchByName } from '../utils/search.js';
+
+/**
+ * @component FoodAutocomplete
+ * @description A text input that fuzzy-searches a food list as the user types
+ * and offers the matches in a dropdown, following the ARIA 1.2 combobox
+ * pattern (`role="combobox"` input controlling a `role="listbox"` popup).
+ *
+ * Keyboard support: ArrowDown/ArrowUp move through the matches (opening the
+ * list if it is closed), Enter picks the highlighted match, and Escape closes
+ * the list. The typed text always remains free-form; picking a match is
+ * optional and reported through `onSelectFood`.
+ * @param {object} props - Component props. Unlisted props are passed to the input.
+ * @param {string} props.value - The current text (controlled).
+ * @param {(event: React.ChangeEvent<HTMLInputElement>) => void} props.onChange - Called as the user types.
+ * @param {(food: object) => void} props.onSelectFood - Called with the food the user picked.
+ * @param {Array<object>} [props.foods] - The foods to search. Defaults to the bundled database.
+ * @param {string} [props.id] - The input id, used to associate a label.
+ * @returns {JSX.Element} The rendered combobox.
+ */
+function FoodAutocomplete({
+  value,
+  onChange,
+  onSelectFood,
+  foods = defaultFoods,
+  id,
+  ...rest
+}) {
+  // Whether the popup is open, and which option is highlighted (-1 for none)
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const generatedId = useId();
+  const listboxId = `${id ?? generatedId}-listbox`;
+  const getOptionId = (index) => `${listboxId}-option-${index}`;
+
+  const matches = useMemo(() => searchByName(value, foods), [value, foods]);
+  const isExpanded = isOpen && matches.length > 0;
+
+  // --- Event Handlers ---
+
+  /**
+   * Forwards the change and re-opens the list for the new text.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The input change event.
+   */
+  const handleChange = (event) => {
+    onChange(event);
+    setIsOpen(true);
+    setActiveIndex(-1);
+  };
+
+  /**
+   * Picks a food and closes the list.
+   * @param {object} food - The chosen food.
+   */
+  const selectFood = (food) => {
+    onSelectFood(food);
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  /**
+   * Handles keyboard navigation within the list.
+   * @param {React.KeyboardEvent<HTMLInputElement>} event - The key event.
+   */
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'ArrowDown':
+        if (matches.length === 0) {
+          return;
+        }
+        event.preventDefault();
+        setIsOpen(true);
+        setActiveIndex((prevIndex) =>
+          !isExpanded || prevIndex >= matches.length - 1 ? 0 : prevIndex + 1
+        );
+        break;
+      case 'ArrowUp':
+        if (matches.length === 0) {
+          return;
+        }
+        event.preventDefault();
+        setIsOpen(true);
+        setActiveIndex((prevIndex) =>
+          !isExpanded || prevIndex <= 0 ? matches.length - 1 : prevIndex - 1
+        );
+        break;
+      case 'Enter':
+        // Only intercept Enter when it picks a match; otherwise the form submits
+        if (isExpanded && activeIndex >= 0) {
+          event.preventDefault();
+          selectFood(matches[activeIndex]);
+        }
+        break;
+      case 'Escape':
+        if (isExpanded) {
+          event.preventDefault();
+          setIsOpen(false);
+          setActiveIndex(-1);
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  // --- Render Logic ---
+
+  return (
+    <div className="relative">
+      <Input
+        type="text"
+        id={id}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setIsOpen(false)}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={isExpanded}
+        aria-controls={listboxId}
+        aria-activedescendant={
+          isExpanded && activeIndex >= 0 ? getOptionId(activeIndex) : undefined
+        }
+        autoComplete="off"
+        {...rest}
+      />
+      <ul
+        id={listboxId}
+        role="listbox"
+        aria-label="Matching foods"
+        hidden={!isExpanded}
+        className="absolute z-10 mt-1 max-h-60 w-full overflow-auto rounded-md border border-gray-200 bg-white py-1 text-sm shadow-lg"
+      >
+        {isExpanded &&
+          matches.map((food, index) => (
+            <li
+              key={food.id}
+              id={getOptionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input so blur doesn't close the list first
+              onMouseDown={(event) => event.preventDefault()}
+              onClick={() => selectFood(food)}
+              className={`flex cursor-pointer justify-between gap-2 px-3 py-1 ${
+                index === activeIndex ? 'bg-green-100' : 'hover:bg-gray-50'
+              }`}
+            >
+              <span className="truncate text-gray-700">{food.name}</span>
+              <span className="whitespace-nowrap text-gray-500">
+                {food.calories} kcal
+                {food.serving ? ` · ${food.serving}` : ''}
+              </span>
+            </li>
+          ))}
+      </ul>
+    </div>
+  );
+}
+
+// Define prop types for the component for type checking and documentation
+FoodAutocomplete.propTypes = {
+  /**
+   * The current text of the input (controlled component).
+   */
+  value: PropTypes.string.isRequired,
+  /**
+   * Function called when the text changes. Receives the event object.
+   */
+  onChange: PropTypes.func.isRequired,
+  /**
+   * Function called with the food object the user picked from the list.
+   */
+  onSelectFood: PropTypes.func.isRequired,
+  /**
+   * The foods to search, each with at least an id, name and calories.
+   */
+  foods: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      calories: PropTypes.number.isRequired,
+      serving: PropTypes.string,
+    })
+  ),
+  /**
+   * The id attribute for the input element, useful for associating labels.
+   */
+  id: PropTypes.string,
+};
+
+export default FoodAutocomplete;
@@ -0,0 +1,223 @@
+import React, { useContext, useMemo, useState } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+import CustomFoodForm from './CustomFoodForm.jsx';
+import RecipeForm from './RecipeForm.jsx';
+import { foods as databaseFoods } from '../data/foods.js';
+import { getRecipePerServing } from '../utils/recipes.js';
+
+/**
+ * @component FoodLibrary
+ * @description Manages the user's saved foods and recipes from `AppContext`.
+ * Lists what has been saved with edit and delete controls, and hosts the
+ * forms for adding or editing a food or recipe. Recipe ingredients can be
+ * picked from the food database and the user's own foods.
+ * Saved items appear in the CalorieInput food search.
+ */
+function FoodLibrary() {
+  const {
+    customFoods,
+    recipes,
+    addCustomFood,
+    updateCustomFood,
+    removeCustomFood,
+    addRecipe,
+    updateRecipe,
+    removeRecipe,
+  } = useContext(AppContext);
+
+  // The saved food or recipe currently loaded into its form, if any
+  const [editingFood, setEditingFood] = useState(null);
+  const [editingRecipe, setEditingRecipe] = useState(null);
+
+  const savedFoods = Array.isArray(customFoods) ? customFoods : [];
+  const savedRecipes = Array.isArray(recipes) ? recipes : [];
+
+  // Ingredients can come from the user's own foods or the database
+  const ingredientFoods = useMemo(
+    () => [
+      ...(Array.isArray(customFoods) ? customFoods : []),
+      ...databaseFoods,
+    ],
+    [customFoods]
+  );
+
+  // --- Event Handlers ---
+
+  /**
+   * Saves the food form as a new food, or over the food being edited.
+   * @param {object} food - The food details from the form.
+   */
+  const handleSaveFood = (food) => {
+    if (editingFood) {
+      updateCustomFood(editingFood.id, food);
+      setEditingFood(null);
+    } else {
+      addCustomFood(food);
+    }
+  };
+
+  /**
+   * Saves the recipe form as a new recipe, or over the recipe being edited.
+   * @param {object} recipe - The recipe details from the form.
+   */
+  const handleSaveRecipe = (recipe) => {
+    if (editingRecipe) {
+      updateRecipe(editingRecipe.id, recipe);
+      setEditingRecipe(null);
+    } else {
+      addRecipe(recipe);
+    }
+  };
+
+  // --- Render Logic ---
+
+  return (
+    <div>
+      <h2 className="mb-4 text-xl font-semibold text-gray-700">
+        My Foods &amp; Recipes
+      </h2>
+
+      {/* Saved foods */}
+      <section aria-labelledby="my-foods-heading" className="mb-6">
+        <h3
+          id="my-foods-heading"
+          className="mb-2 text-sm font-semibold text-gray-700"
+        >
+          {editingFood ? `Edit "${editingFood.name}"` : 'New Food'}
+        </h3>
+        <CustomFoodForm
+          key={editingFood?.id ?? 'new-food'}
+          food={editingFood ?? undefined}
+          onSave={handleSaveFood}
+          onCancel={editingFood ? () => setEditingFood(null) : undefined}
+        />
+        {savedFoods.length > 0 ? (
+          <ul
+            className="mt-2 divide-y divide-gray-100 text-sm"
+            aria-label="Saved foods"
+          >
+            {savedFoods.map((food) => (
+              <li
+                key={food.id}
+                className="flex items-center justify-between py-1"
+              >
+                <span className="min-w-0 truncate text-gray-700">
+                  {food.name}
+                  {food.serving && (
+                    <span className="ml-2 text-xs text-gray-400">
+                      {food.serving}
+                    </span>
+                  )}
+                </span>
+                <span className="ml-2 flex items-center gap-2">
+                  <span className="whitespace-nowrap text-gray-900">
+                    {food.calories} kcal
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setEditingFood(food)}
+                    className="text-xs text-gray-500 hover:text-green-700 focus:ring-2 focus:ring-green-500 focus:outline-none"
+                    aria-label={`Edit ${food.name}`}
+                  >
+                    Edit
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      removeCustomFood(food.id);
+                      if (editingFood?.id === food.id) {
+                        setEditingFood(null);
+                      }
+                    }}
+                    className="text-xs text-gray-500 hover:text-red-600 focus:ring-2 focus:ring-red-500 focus:outline-none"
+                    aria-label={`Delete ${food.name}`}
+                  >
+                    Delete
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-2 text-sm text-gray-500">No saved foods yet.</p>
+        )}
+      </section>
+
+      {/* Saved recipes */}
+      <section aria-labelledby="my-recipes-heading">
+        <h3
+          id="my-recipes-heading"
+          className="mb-2 text-sm font-semibold text-gray-700"
+        >
+          {editingRecipe ? `Edit "${editingRecipe.name}"` : 'New Recipe'}
+        </h3>
+        <RecipeForm
+          key={editingRecipe?.id ?? 'new-recipe'}
+          recipe={editingRecipe ?? undefined}
+          foods={ingredientFoods}
+          onSave={handleSaveRecipe}
+          onCancel={editingRecipe ? () => setEditingRecipe(null) : undefined}
+        />
+        {savedRecipes.length > 0 ? (
+          <ul
+            className="mt-2 divide-y divide-gray-100 text-sm"
+            aria-label="Saved recipes"
+          >
+            {savedRecipes.map((recipe) => {
+              const perServing = getRecipePerServing(recipe);
+              return (
+                <li
+                  key={recipe.id}
+                  className="flex items-center justify-between py-1"
+                >
+                  <span className="min-w-0 truncate text-gray-700">
+                    {recipe.name}
+                    <span className="ml-2 text-xs text-gray-400">
+                      {recipe.servings}{' '}
+                      {recipe.servings === 1 ? 'serving' : 'servings'}
+                    </span>
+                  </span>
+                  <span className="ml-2 flex items-center gap-2">
+                    {perServing && (
+                      <span className="whitespace-nowrap text-gray-900">
+                        {perServing.calories} kcal / serving
+                      </span>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => setEditingRecipe(recipe)}
+                      className="text-xs text-gray-500 hover:text-green-700 focus:ring-2 focus:ring-green-500 focus:outline-none"
+                      aria-label={`Edit ${recipe.name}`}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => {
+                        removeRecipe(recipe.id);
+                        if (editingRecipe?.id === recipe.id) {
+                          setEditingRecipe(null);
+                        }
+                      }}
+                      className="text-xs text-gray-500 hover:text-red-600 focus:ring-2 focus:ring-red-500 focus:outline-none"
+                      aria-label={`Delete ${recipe.name}`}
+                    >
+                      Delete
+                    </button>
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <p className="mt-2 text-sm text-gray-500">No saved recipes yet.</p>
+        )}
+      </section>
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+FoodLibrary.propTypes = {};
+
+export default FoodLibrary;
@@ -1,21 +1,180 @@
-import React from 'react';
+import React, { useContext, useMemo, useState } from 'react';
 import PropTypes from 'prop-types';
-// Assuming suggestions data is exported as a named export 'suggestions'
-// Adjust the import path if the actual file structure differs slightly, but based
-// on the provided structure, this relative path is correct.
-import { suggestions } from '../data/suggestions.js';
+import { AppContext } from '../context/AppContext.jsx';
+import { suggestions, SUGGESTION_TAG_LABELS } from '../data/suggestions.js';
+import { getRemainingCalories } from '../utils/helpers.js';
+import { getBurnedCalories } from '../utils/exercise.js';
+import { MACRO_KEYS, MACRO_LABELS, isValidGrams } from '../utils/nutrition.js';
+import {
+  DIET_KEYS,
+  DIET_LABELS,
+  ALLERGEN_KEYS,
+  ALLERGEN_LABELS,
+  matchesDietaryPreferences,
+} from '../utils/diet.js';
+import {
+  SUGGESTION_LIMIT,
+  isValidSuggestion,
+  rankSuggestions,
+} from '../utils/suggestions.js';
+
+/**
+ * Builds the `addLogItem` details for a suggestion, with any macros it lists.
+ * @param {object} suggestion - The suggestion to log.
+ * @returns {{ name: string, calories: number, protein?: number, carbs?: number, fat?: number }}
+ *   The food item details.
+ */
+const toLogItem = (suggestion) => {
+  const item = { name: suggestion.name, calories: suggestion.calories };
+  MACRO_KEYS.forEach((key) => {
+    if (isValidGrams(suggestion[key])) {
+      item[key] = suggestion[key];
+    }
+  });
+  return item;
+};
+
+/**
+ * Toggles a key in a list of selected keys.
+ * @param {string[]} selected - The selected keys.
+ * @param {string} key - The key to add or remove.
+ * @returns {string[]} The new list.
+ */
+const toggleKey = (selected, key) =>
+  selected.includes(key)
+    ? selected.filter((value) => value !== key)
+    : [...selected, key];
 
 /**
  * @component FoodSuggestions
- * @description Displays a static list of predefined food suggestions.
- * Fetches data from `src/data/suggestions.js` and handles cases where
- * the data might be missing, invalid, or empty.
+ * @description Suggests foods from `src/data/suggestions.js` that suit the
+ * rest of the selected day. Suggestions are ranked against the calories
+ * remaining, computed from `dayGoal` and `log` in `AppContext` the same way as
+ * ProgressDisplay (including burned calories when `addBurnedCalories` is on),
+ * so those that fit come first. Each suggestion can be
+ * logged with one click. Suggestions that don't meet the user's
+ * `dietaryPreferences` (required diets, excluded allergens) are never shown;
+ * the active filters are summarized above the list and can be edited in
+ * place. Handles cases where the data might be missing, invalid, or empty.
  */
 function FoodSuggestions() {
-  // --- Data Validation and Conditional Rendering ---
+  const {
+    goal,
+    dayGoal,
+    log,
+    exerciseLog,
+    addBurnedCalories,
+    selectedDate,
+    addLogItem,
+    dietaryPreferences,
+    setDietaryPreferences,
+  } = useContext(AppContext);
+  const [status, setStatus] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+
+  const diets = dietaryPreferences?.diets ?? [];
+  const excludedAllergens = dietaryPreferences?.allergens ?? [];
+
+  // --- Data Validation ---
+
+  const isDataValid = Array.isArray(suggestions);
+
+  // Skip malformed suggestions, logging each once per change of the data
+  const validSuggestions = useMemo(() => {
+    if (!isDataValid) {
+      return [];
+    }
+    return suggestions.filter((suggestion, index) => {
+      if (isValidSuggestion(suggestion)) {
+        return true;
+      }
+      console.warn(
+        `[FoodSuggestions] Invalid suggestion found at index ${index}. Expected a name and calories, got:`,
+        suggestion
+      );
+      return false;
+    });
+  }, [isDataValid]);
+
+  // --- Calculations ---
+
+  // The selected day's goal, which weekday and scheduled goals may change
+  const remainingCalories = getRemainingCalories(
+    dayGoal ?? goal,
+    log,
+    addBurnedCalories ? getBurnedCalories(exerciseLog, selectedDate) : 0
+  );
+
+  const rankedSuggestions = useMemo(
+    () =>
+      rankSuggestions(
+        validSuggestions.filter((suggestion) =>
+          matchesDietaryPreferences(suggestion, dietaryPreferences)
+        ),
+        remainingCalories
+      ).slice(0, SUGGESTION_LIMIT),
+    [validSuggestions, dietaryPreferences, remainingCalories]
+  );
+
+  // --- Event Handlers ---
+
+  /**
+   * Logs a suggestion on the selected day.
+   * @param {object} suggestion - The suggestion to log.
+   */
+  const handleLog = (suggestion) => {
+    addLogItem(toLogItem(suggestion));
+    setStatus(`Logged ${suggestion.name}.`);
+  };
+
+  // --- Render Logic ---
+
+  const filterSummary =
+    diets.length === 0 && excludedAllergens.length === 0
+      ? 'No dietary filters.'
+      : [
+          diets.map((key) => DIET_LABELS[key]).join(', '),
+          excludedAllergens.length > 0 &&
+            `No ${excludedAllergens
+              .map((key) => ALLERGEN_LABELS[key].toLowerCase())
+              .join(', ')}`,
+        ]
+          .filter(Boolean)
+          .join(' · ');
+
+  /**
+   * Renders a group of filter checkboxes.
+   * @param {string} legend - The group's legend.
+   * @param {string[]} keys - The options.
+   * @param {Record<string, string>} labels - The option labels.
+   * @param {string[]} selected - The checked options.
+   * @param {string} field - The `dietaryPreferences` field the group edits.
+   * @returns {JSX.Element} The rendered fieldset.
+   */
+  const renderFilterGroup = (legend, keys, labels, selected, field) => (
+    <fieldset>
+      <legend className="mb-1 text-xs font-medium text-gray-700">
+        {legend}
+      </legend>
+      <div className="grid grid-cols-2 gap-1">
+        {keys.map((key) => (
+          <label key={key} className="flex items-center gap-1 text-gray-600">
+            <input
+              type="checkbox"
+              checked={selected.includes(key)}
+              onChange={() =>
+                setDietaryPreferences({ [field]: toggleKey(selected, key) })
+              }
+              className="accent-green-600"
+            />
+            {labels[key]}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
 
-  // Check 1: Is the imported 'suggestions' data a valid array?
-  if (!Array.isArray(suggestions)) {
+  if (!isDataValid) {
     // Log a warning for development visibility
     console.warn(
       '[FoodSuggestions] Suggestions data imported from ../data/suggestions.js is not a valid array:',
@@ -32,50 +191,131 @@ function FoodSuggestions() {
     );
   }
 
-  // Check 2: Is the suggestions array empty?
-  const isEmpty = suggestions.length === 0;
-
-  // --- Render Logic ---
+  let budgetMessage;
+  if (remainingCalories === null) {
+    budgetMessage = 'Set a calorie goal to see suggestions that fit your day.';
+  } else if (remainingCalories > 0) {
+    budgetMessage = `${remainingCalories} kcal left — suggestions that fit come first.`;
+  } else {
+    budgetMessage = 'No calories left — lightest options first.';
+  }
 
   return (
     <div>
       {/* Consistent heading style as seen in other components */}
-      <h2 className="mb-4 text-xl font-semibold text-gray-700">
+      <h2 className="mb-1 text-xl font-semibold text-gray-700">
         Food Suggestions
       </h2>
+      <p className="mb-2 text-sm text-gray-500">{budgetMessage}</p>
+
+      {/* Dietary filters: always summarized, editable on demand */}
+      <div className="mb-4 rounded border border-gray-200 p-2 text-sm">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-gray-600">
+            <span className="font-medium">Filters:</span> {filterSummary}
+          </p>
+          {setDietaryPreferences && (
+            <button
+              type="button"
+              onClick={() => setShowFilters((prevShow) => !prevShow)}
+              className="text-xs whitespace-nowrap text-green-700 hover:underline focus:ring-2 focus:ring-green-500 focus:outline-none"
+              aria-expanded={showFilters}
+              aria-controls="dietary-filters"
+            >
+              {showFilters ? 'Done' : 'Edit filters'}
+            </button>
+          )}
+        </div>
+        {showFilters && setDietaryPreferences && (
+          <div id="dietary-filters" className="mt-2 space-y-2 text-xs">
+            {renderFilterGroup(
+              'Only show foods that are:',
+              DIET_KEYS,
+              DIET_LABELS,
+              diets,
+              'diets'
+            )}
+            {renderFilterGroup(
+              'Exclude foods containing:',
+              ALLERGEN_KEYS,
+              ALLERGEN_LABELS,
+              excludedAllergens,
+              'allergens'
+            )}
+          </div>
+        )}
+      </div>
 
-      {isEmpty ? (
-        // Display message when the suggestions list is empty
+      {rankedSuggestions.length === 0 ? (
+        // Display message when there are no suggestions to show
         <p className="text-sm text-gray-500">
-          No suggestions available currently.
+          {validSuggestions.length > 0
+            ? 'No suggestions match your dietary filters.'
+            : 'No suggestions available currently.'}
         </p>
       ) : (
-        // Render the list of suggestions if the array is valid and not empty
-        // Using ul/li for semantic list structure
-        <ul className="space-y-2">
-          {suggestions.map((suggestion, index) => (
-            // Validate that suggestion is a string before rendering
-            typeof suggestion === 'string' ? (
-              <li
-                key={index} // Using index as key is acceptable for a static, non-reordering list
-                className="text-sm text-gray-600" // Consistent text style
+        <ul className="space-y-2" aria-label="Suggested foods">
+          {rankedSuggestions.map(({ suggestion, fits }) => (
+            <li
+              key={suggestion.id ?? suggestion.name}
+              className="flex items-start justify-between gap-2 text-sm"
+            >
+              <div className={`min-w-0 ${fits ? '' : 'opacity-60'}`}>
+                <p className="text-gray-700">{suggestion.name}</p>
+                <p className="text-xs text-gray-500">
+                  {suggestion.calories} kcal
+                  {MACRO_KEYS.filter((key) =>
+                    isValidGrams(suggestion[key])
+                  ).map((key) => (
+                    <span key={key}>
+                      {' · '}
+                      {MACRO_LABELS[key]} {suggestion[key]} g
+                    </span>
+                  ))}
+                  {!fits && (
+                    <span className="ml-1 text-red-600">(over budget)</span>
+                  )}
+                </p>
+                {Array.isArray(suggestion.allergens) &&
+                  suggestion.allergens.length > 0 && (
+                    <p className="text-xs text-gray-400">
+                      Contains:{' '}
+                      {suggestion.allergens
+                        .map((key) => ALLERGEN_LABELS[key] ?? key)
+                        .join(', ')}
+                    </p>
+                  )}
+                {Array.isArray(suggestion.tags) &&
+                  suggestion.tags.length > 0 && (
+                    <p className="mt-1 flex flex-wrap gap-1">
+                      {suggestion.tags.map((tag) => (
+                        <span
+                          key={tag}
+                          className="rounded bg-green-50 px-1.5 py-0.5 text-xs text-green-700"
+                        >
+                          {SUGGESTION_TAG_LABELS[tag] ??
+                            DIET_LABELS[tag] ??
+                            tag}
+                        </span>
+                      ))}
+                    </p>
+                  )}
+              </div>
+              <button
+                type="button"
+                onClick={() => handleLog(suggestion)}
+                className="rounded px-2 py-1 text-xs font-medium text-green-700 hover:bg-green-50 focus:ring-2 focus:ring-green-500 focus:outline-none"
+                aria-label={`Log ${suggestion.name}`}
               >
-                {suggestion}
-              </li>
-            ) : (
-              // Handle unexpected data types within the array gracefully
-              // Log a warning and skip rendering this specific item
-              (() => {
-                console.warn(
-                  `[FoodSuggestions] Invalid item type found in suggestions array at index ${index}. Expected string, got:`,
-                  typeof suggestion
-                );
-                return null; // Don't render non-string items
-              })()
-            )
+                + Log
+              </button>
+            </li>
           ))}
         </ul>
       )}
+      <p role="status" className="mt-2 h-4 text-sm text-green-700">
+        {status}
+      </p>
     </div>
   );
 }
@@ -85,4 +325,4 @@ function FoodSuggestions() {
 FoodSuggestions.propTypes = {};
 
 // Export the component for use in App.jsx
-export default FoodSuggestions;
\ No newline at end of file
+export default FoodSuggestions;
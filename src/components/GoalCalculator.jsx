@@ -0,0 +1,477 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Input from './common/Input.jsx';
+import Select from './common/Select.jsx';
+import Button from './common/Button.jsx';
+import { MACRO_KEYS, MACRO_LABELS } from '../utils/nutrition.js';
+import {
+  BMR_FORMULA_KEYS,
+  BMR_FORMULA_LABELS,
+  ACTIVITY_LEVEL_KEYS,
+  ACTIVITY_LEVELS,
+  TARGET_KEYS,
+  TARGET_LABELS,
+  MIN_GOAL_CALORIES,
+  CM_PER_INCH,
+  KG_PER_POUND,
+  validateBodyDetails,
+  calculateGoalPlan,
+} from '../utils/energy.js';
+
+/**
+ * The weekly rates offered for losing or gaining weight, in each unit system.
+ */
+const WEEKLY_RATES = {
+  metric: { values: ['0.25', '0.5', '0.75', '1'], unit: 'kg' },
+  imperial: { values: ['0.5', '1', '1.5', '2'], unit: 'lb' },
+};
+
+const FORMULA_OPTIONS = BMR_FORMULA_KEYS.map((key) => ({
+  value: key,
+  label: BMR_FORMULA_LABELS[key],
+}));
+
+const ACTIVITY_OPTIONS = ACTIVITY_LEVEL_KEYS.map((key) => ({
+  value: key,
+  label: ACTIVITY_LEVELS[key].label,
+}));
+
+const TARGET_OPTIONS = TARGET_KEYS.map((key) => ({
+  value: key,
+  label: TARGET_LABELS[key],
+}));
+
+const INITIAL_INPUTS = {
+  units: 'metric',
+  sex: '',
+  age: '',
+  heightCm: '',
+  heightFt: '',
+  heightIn: '',
+  weight: '',
+  bodyFat: '',
+  formula: 'mifflin',
+  activity: 'sedentary',
+  target: 'maintain',
+  rate: '0.5',
+};
+
+/**
+ * Parses a number input; empty or invalid inputs become NaN.
+ * @param {string} value - The input value.
+ * @returns {number} The number.
+ */
+const parseInput = (value) => (value.trim() === '' ? NaN : Number(value));
+
+/**
+ * Converts the height and weight inputs to the other unit system, so the
+ * user doesn't have to enter them again. Inputs that aren't numbers are
+ * cleared.
+ * @param {typeof INITIAL_INPUTS} inputs - The current inputs.
+ * @param {'metric' | 'imperial'} units - The unit system to switch to.
+ * @returns {typeof INITIAL_INPUTS} The converted inputs.
+ */
+const convertInputs = (inputs, units) => {
+  const converted = {
+    ...inputs,
+    units,
+    rate: WEEKLY_RATES[units].values[1],
+    heightCm: '',
+    heightFt: '',
+    heightIn: '',
+    weight: '',
+  };
+  const weight = parseInput(inputs.weight);
+  if (units === 'imperial') {
+    const totalInches = Math.round(parseInput(inputs.heightCm) / CM_PER_INCH);
+    if (!isNaN(totalInches)) {
+      converted.heightFt = String(Math.floor(totalInches / 12));
+      converted.heightIn = String(totalInches % 12);
+    }
+    if (!isNaN(weight)) {
+      converted.weight = String(Math.round(weight / KG_PER_POUND));
+    }
+  } else {
+    const totalInches =
+      parseInput(inputs.heightFt) * 12 + (parseInput(inputs.heightIn) || 0);
+    if (!isNaN(totalInches)) {
+      converted.heightCm = String(Math.round(totalInches * CM_PER_INCH));
+    }
+    if (!isNaN(weight)) {
+      converted.weight = String(Math.round(weight * KG_PER_POUND * 10) / 10);
+    }
+  }
+  return converted;
+};
+
+/**
+ * Turns the form inputs into metric body details.
+ * @param {typeof INITIAL_INPUTS} inputs - The input values.
+ * @returns {import('../utils/energy.js').BodyDetails} The details to validate.
+ */
+const toBodyDetails = (inputs) => {
+  const imperial = inputs.units === 'imperial';
+  const details = {
+    sex: inputs.sex,
+    age: parseInput(inputs.age),
+    heightCm: imperial
+      ? (parseInput(inputs.heightFt) * 12 +
+          (parseInput(inputs.heightIn) || 0)) *
+        CM_PER_INCH
+      : parseInput(inputs.heightCm),
+    weightKg: imperial
+      ? parseInput(inputs.weight) * KG_PER_POUND
+      : parseInput(inputs.weight),
+    formula: inputs.formula,
+    activity: inputs.activity,
+    target: inputs.target,
+    weeklyRateKg: imperial
+      ? Number(inputs.rate) * KG_PER_POUND
+      : Number(inputs.rate),
+  };
+  if (inputs.bodyFat.trim() !== '') {
+    details.bodyFat = parseInput(inputs.bodyFat);
+  }
+  return details;
+};
+
+/**
+ * @component GoalCalculator
+ * @description A guided calculator for the daily calorie goal. Takes age,
+ * sex, height, weight (metric or imperial), an optional body fat percentage,
+ * the activity level and whether to lose, keep or gain weight, then shows the
+ * BMR, TDEE and a proposed goal with a macro split (see
+ * `src/utils/energy.js`). The proposal is passed to `onApply`, with or
+ * without the macros, along with the weekly weight change it aims for.
+ * @param {object} props - Component props.
+ * @param {(goal: { calories: number, macros?: { protein: number, carbs: number, fat: number }, pace: number }) => void} props.onApply -
+ *   Called with the goal to apply. `pace` is in kilograms a week, negative
+ *   to lose weight.
+ * @param {boolean} [props.offerMacros=true] - Whether to offer applying the macro split too.
+ * @param {() => void} [props.onCancel] - Called when the calculator is closed.
+ * @returns {JSX.Element} The rendered calculator.
+ */
+function GoalCalculator({ onApply, offerMacros = true, onCancel }) {
+  const [inputs, setInputs] = useState(INITIAL_INPUTS);
+  const [error, setError] = useState('');
+  // The calculated proposal; cleared whenever an input changes
+  const [plan, setPlan] = useState(null);
+  const [applyMacros, setApplyMacros] = useState(true);
+
+  const imperial = inputs.units === 'imperial';
+  const rates = WEEKLY_RATES[inputs.units];
+
+  /**
+   * Updates one input and hides the outdated proposal.
+   * @param {string} field - The input being edited.
+   * @param {string} value - The new value.
+   */
+  const handleChange = (field, value) => {
+    setInputs((prevInputs) =>
+      field === 'units'
+        ? convertInputs(prevInputs, value)
+        : { ...prevInputs, [field]: value }
+    );
+    setPlan(null);
+  };
+
+  /**
+   * Validates the inputs and shows the proposed goal.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleCalculate = (event) => {
+    event.preventDefault();
+    let currentError = '';
+    const details = validateBodyDetails(
+      toBodyDetails(inputs),
+      (message) => {
+        currentError = message;
+      },
+      inputs.units
+    );
+    setError(currentError);
+    setPlan(details ? calculateGoalPlan(details) : null);
+  };
+
+  /**
+   * Passes the proposal to `onApply`. The inputs are the ones it was
+   * calculated from, since editing them hides the proposal.
+   */
+  const handleApply = () => {
+    const { target, weeklyRateKg } = toBodyDetails(inputs);
+    const pace =
+      target === 'maintain' ? 0 : (target === 'lose' ? -1 : 1) * weeklyRateKg;
+    onApply(
+      offerMacros && applyMacros
+        ? { calories: plan.calories, macros: plan.macros, pace }
+        : { calories: plan.calories, pace }
+    );
+  };
+
+  const labelClassName = 'mb-1 block text-xs text-gray-600';
+
+  return (
+    <div className="rounded-md border border-gray-200 p-3">
+      <form onSubmit={handleCalculate} className="space-y-2" noValidate>
+        <fieldset className="flex gap-4 text-sm text-gray-700">
+          <legend className="sr-only">Units</legend>
+          {['metric', 'imperial'].map((units) => (
+            <label key={units} className="flex items-center gap-1">
+              <input
+                type="radio"
+                name="calculator-units"
+                value={units}
+                checked={inputs.units === units}
+                onChange={() => handleChange('units', units)}
+              />
+              {units === 'metric' ? 'Metric (cm, kg)' : 'Imperial (ft, lb)'}
+            </label>
+          ))}
+        </fieldset>
+        <fieldset className="flex gap-4 text-sm text-gray-700">
+          <legend className={labelClassName}>
+            Sex (used by the formulas):
+          </legend>
+          {['female', 'male'].map((sex) => (
+            <label key={sex} className="flex items-center gap-1">
+              <input
+                type="radio"
+                name="calculator-sex"
+                value={sex}
+                checked={inputs.sex === sex}
+                onChange={() => handleChange('sex', sex)}
+              />
+              {sex === 'female' ? 'Female' : 'Male'}
+            </label>
+          ))}
+        </fieldset>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label htmlFor="calculator-age" className={labelClassName}>
+              Age (years):
+            </label>
+            <Input
+              type="number"
+              id="calculator-age"
+              value={inputs.age}
+              onChange={(event) => handleChange('age', event.target.value)}
+              min={1}
+              step={1}
+              aria-describedby="calculator-error"
+            />
+          </div>
+          <div>
+            <label htmlFor="calculator-weight" className={labelClassName}>
+              Weight ({imperial ? 'lb' : 'kg'}):
+            </label>
+            <Input
+              type="number"
+              id="calculator-weight"
+              value={inputs.weight}
+              onChange={(event) => handleChange('weight', event.target.value)}
+              min={1}
+              step="any"
+              aria-describedby="calculator-error"
+            />
+          </div>
+          {imperial ? (
+            <div className="col-span-2 grid grid-cols-2 gap-2">
+              <div>
+                <label
+                  htmlFor="calculator-height-ft"
+                  className={labelClassName}
+                >
+                  Height (ft):
+                </label>
+                <Input
+                  type="number"
+                  id="calculator-height-ft"
+                  value={inputs.heightFt}
+                  onChange={(event) =>
+                    handleChange('heightFt', event.target.value)
+                  }
+                  min={1}
+                  step={1}
+                  aria-describedby="calculator-error"
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="calculator-height-in"
+                  className={labelClassName}
+                >
+                  Height (in):
+                </label>
+                <Input
+                  type="number"
+                  id="calculator-height-in"
+                  value={inputs.heightIn}
+                  onChange={(event) =>
+                    handleChange('heightIn', event.target.value)
+                  }
+                  min={0}
+                  max={11}
+                  step="any"
+                  aria-describedby="calculator-error"
+                />
+              </div>
+            </div>
+          ) : (
+            <div>
+              <label htmlFor="calculator-height-cm" className={labelClassName}>
+                Height (cm):
+              </label>
+              <Input
+                type="number"
+                id="calculator-height-cm"
+                value={inputs.heightCm}
+                onChange={(event) =>
+                  handleChange('heightCm', event.target.value)
+                }
+                min={1}
+                step="any"
+                aria-describedby="calculator-error"
+              />
+            </div>
+          )}
+          <div>
+            <label htmlFor="calculator-body-fat" className={labelClassName}>
+              Body fat (%, optional):
+            </label>
+            <Input
+              type="number"
+              id="calculator-body-fat"
+              value={inputs.bodyFat}
+              onChange={(event) => handleChange('bodyFat', event.target.value)}
+              min={1}
+              step="any"
+              aria-describedby="calculator-error"
+            />
+          </div>
+        </div>
+        <div>
+          <label htmlFor="calculator-activity" className={labelClassName}>
+            Activity level:
+          </label>
+          <Select
+            id="calculator-activity"
+            value={inputs.activity}
+            onChange={(event) => handleChange('activity', event.target.value)}
+            options={ACTIVITY_OPTIONS}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <label htmlFor="calculator-target" className={labelClassName}>
+              Target:
+            </label>
+            <Select
+              id="calculator-target"
+              value={inputs.target}
+              onChange={(event) => handleChange('target', event.target.value)}
+              options={TARGET_OPTIONS}
+            />
+          </div>
+          {inputs.target !== 'maintain' && (
+            <div>
+              <label htmlFor="calculator-rate" className={labelClassName}>
+                Rate:
+              </label>
+              <Select
+                id="calculator-rate"
+                value={inputs.rate}
+                onChange={(event) => handleChange('rate', event.target.value)}
+                options={rates.values.map((value) => ({
+                  value,
+                  label: `${value} ${rates.unit} a week`,
+                }))}
+              />
+            </div>
+          )}
+        </div>
+        <div>
+          <label htmlFor="calculator-formula" className={labelClassName}>
+            Formula:
+          </label>
+          <Select
+            id="calculator-formula"
+            value={inputs.formula}
+            onChange={(event) => handleChange('formula', event.target.value)}
+            options={FORMULA_OPTIONS}
+          />
+        </div>
+        <p id="calculator-error" className="h-4 text-sm text-red-600">
+          {error}
+        </p>
+        <div className="flex justify-end gap-2">
+          {onCancel && (
+            <Button variant="secondary" onClick={onCancel}>
+              Close
+            </Button>
+          )}
+          <Button type="submit" variant="secondary">
+            Calculate
+          </Button>
+        </div>
+      </form>
+
+      {plan && (
+        <div
+          role="region"
+          aria-label="Suggested goal"
+          className="mt-3 space-y-2 border-t border-gray-200 pt-3 text-sm text-gray-700"
+        >
+          <p>
+            BMR: {plan.bmr} kcal · TDEE: {plan.tdee} kcal
+          </p>
+          <p className="font-medium">
+            Suggested goal: {plan.calories} calories
+          </p>
+          {plan.limited && (
+            <p className="text-xs text-amber-700">
+              Raised to {MIN_GOAL_CALORIES} calories, the lowest goal suggested
+              without medical advice. Try a slower rate.
+            </p>
+          )}
+          <p>
+            {MACRO_KEYS.map(
+              (key) => `${MACRO_LABELS[key]} ${plan.macros[key]} g`
+            ).join(' · ')}
+          </p>
+          {offerMacros && (
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={applyMacros}
+                onChange={(event) => setApplyMacros(event.target.checked)}
+              />
+              Also set the macro goals
+            </label>
+          )}
+          <Button onClick={handleApply} className="w-full">
+            Apply Suggested Goal
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Define prop types for the component for type checking and documentation
+GoalCalculator.propTypes = {
+  /**
+   * Function called with the proposed goal (and macros, if chosen) and its
+   * target pace to apply.
+   */
+  onApply: PropTypes.func.isRequired,
+  /**
+   * Whether to offer applying the macro split along with the calorie goal.
+   */
+  offerMacros: PropTypes.bool,
+  /**
+   * Function called when the calculator is closed. The close button is hidden if omitted.
+   */
+  onCancel: PropTypes.func,
+};
+
+export default GoalCalculator;
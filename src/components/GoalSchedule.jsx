@@ -0,0 +1,190 @@
+import React, { useState, useContext } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+import Input from './common/Input.jsx';
+import Button from './common/Button.jsx';
+import { formatDateLabel } from '../utils/dates.js';
+
+const INITIAL_INPUTS = { start: '', end: '', goal: '' };
+
+/**
+ * @component GoalSchedule
+ * @description
+ * Lists the calorie goals set for ranges of dates (e.g. 1800 calories until
+ * December 1) and lets the user add or delete them. A scheduled goal takes
+ * precedence over weekday goals and the daily goal on the days it covers;
+ * where ranges overlap, the one starting last wins. Reads `goalSchedule`,
+ * `addScheduledGoal` and `removeScheduledGoal` from `AppContext`.
+ */
+function GoalSchedule() {
+  const { goalSchedule, addScheduledGoal, removeScheduledGoal, today } =
+    useContext(AppContext);
+
+  const [inputs, setInputs] = useState(INITIAL_INPUTS);
+  const [error, setError] = useState('');
+
+  const scheduledGoals = (Array.isArray(goalSchedule) ? goalSchedule : [])
+    .slice()
+    .sort((a, b) => a.start.localeCompare(b.start));
+
+  /**
+   * Updates one of the inputs and clears the previous error.
+   * @param {'start' | 'end' | 'goal'} key - The input being edited.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The input change event object.
+   */
+  const handleInputChange = (key, event) => {
+    setInputs({ ...inputs, [key]: event.target.value });
+    setError('');
+  };
+
+  /**
+   * Validates the inputs and schedules the goal. The context validates the
+   * entry again; these checks give friendlier messages.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event object.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const goalValue = parseInt(inputs.goal, 10);
+    if (!inputs.start) {
+      setError('Choose the first day of the goal.');
+      return;
+    }
+    // Date inputs give zero-padded keys, which compare chronologically.
+    if (inputs.end && inputs.end < inputs.start) {
+      setError('The last day cannot be before the first.');
+      return;
+    }
+    if (isNaN(goalValue) || goalValue <= 0) {
+      setError('Goal must be a positive whole number (e.g., 1 or more).');
+      return;
+    }
+    addScheduledGoal({
+      start: inputs.start,
+      ...(inputs.end && { end: inputs.end }),
+      goal: goalValue,
+    });
+    setInputs(INITIAL_INPUTS);
+  };
+
+  return (
+    <section aria-labelledby="goal-schedule-heading" className="mt-6">
+      <h3
+        id="goal-schedule-heading"
+        className="mb-2 text-sm font-medium text-gray-700"
+      >
+        Scheduled Goals (optional):
+      </h3>
+      {scheduledGoals.length > 0 ? (
+        <ul
+          className="mb-2 divide-y divide-gray-100 text-sm"
+          aria-label="Scheduled goals"
+        >
+          {scheduledGoals.map((entry) => {
+            const range = entry.end
+              ? `${formatDateLabel(entry.start, today)} – ${formatDateLabel(entry.end, today)}`
+              : `From ${formatDateLabel(entry.start, today)}`;
+            return (
+              <li
+                key={entry.id}
+                className="flex items-center justify-between py-1"
+              >
+                <span className="min-w-0 truncate text-gray-700">{range}</span>
+                <span className="ml-2 flex items-center gap-2">
+                  <span className="whitespace-nowrap text-gray-900">
+                    {entry.goal} kcal
+                  </span>
+                  {removeScheduledGoal && (
+                    <button
+                      type="button"
+                      onClick={() => removeScheduledGoal(entry.id)}
+                      className="text-xs text-gray-500 hover:text-red-600 focus:ring-2 focus:ring-red-500 focus:outline-none"
+                      aria-label={`Delete the goal for ${range}`}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="mb-2 text-sm text-gray-500">
+          No goals scheduled. Set one for a diet phase or a holiday.
+        </p>
+      )}
+
+      <form onSubmit={handleSubmit} noValidate>
+        <div className="grid grid-cols-3 gap-2">
+          <div>
+            <label
+              htmlFor="schedule-start-input"
+              className="mb-1 block text-xs text-gray-600"
+            >
+              From:
+            </label>
+            <Input
+              type="date"
+              id="schedule-start-input"
+              name="scheduleStart"
+              value={inputs.start}
+              onChange={(event) => handleInputChange('start', event)}
+              aria-describedby="goal-schedule-error"
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="schedule-end-input"
+              className="mb-1 block text-xs text-gray-600"
+            >
+              Until (optional):
+            </label>
+            <Input
+              type="date"
+              id="schedule-end-input"
+              name="scheduleEnd"
+              value={inputs.end}
+              onChange={(event) => handleInputChange('end', event)}
+              aria-describedby="goal-schedule-error"
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="schedule-goal-input"
+              className="mb-1 block text-xs text-gray-600"
+            >
+              Goal (calories):
+            </label>
+            <Input
+              type="number"
+              id="schedule-goal-input"
+              name="scheduleGoal"
+              placeholder="E.g., 1800"
+              value={inputs.goal}
+              onChange={(event) => handleInputChange('goal', event)}
+              min={1}
+              step={1}
+              aria-describedby="goal-schedule-error"
+              autoComplete="off"
+            />
+          </div>
+        </div>
+        <p id="goal-schedule-error" className="mb-2 h-4 text-sm text-red-600">
+          {error}
+        </p>
+        <Button
+          type="submit"
+          variant="secondary"
+          disabled={!!error}
+          className="w-full"
+        >
+          Schedule Goal
+        </Button>
+      </form>
+    </section>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+GoalSchedule.propTypes = {};
+
+export default GoalSchedule;
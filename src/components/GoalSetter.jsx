@@ -1,8 +1,80 @@
-import React, { useState, useContext } from 'react';
+import React, { useState, useContext, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { AppContext } from '../context/AppContext.jsx';
 import Input from './common/Input.jsx';
 import Button from './common/Button.jsx';
+import Select from './common/Select.jsx';
+import GoalCalculator from './GoalCalculator.jsx';
+import GoalSchedule from './GoalSchedule.jsx';
+import AdaptiveGoal from './AdaptiveGoal.jsx';
+import { MACRO_KEYS, MACRO_LABELS } from '../utils/nutrition.js';
+import { MEAL_KEYS, MEAL_LABELS } from '../utils/meals.js';
+import { WEEKDAY_KEYS, WEEKDAY_LABELS } from '../utils/goals.js';
+import {
+  TARGET_PACES_KG,
+  calculateWeightTrend,
+  calculateWeeklyRate,
+  comparePace,
+  formatTargetPace,
+  formatWeeklyRate,
+  fromKilograms,
+  getDisplayUnit,
+} from '../utils/weight.js';
+
+/**
+ * Converts stored optional goals into input strings ('' for unset goals).
+ * @param {Record<string, number | null>} goals - The stored goals.
+ * @param {string[]} keys - The goal keys to convert.
+ * @returns {Record<string, string>} The input values.
+ */
+const toGoalInputs = (goals, keys) =>
+  keys.reduce((inputs, key) => {
+    const value = goals?.[key];
+    inputs[key] = typeof value === 'number' && value > 0 ? String(value) : '';
+    return inputs;
+  }, {});
+
+/**
+ * Converts optional goal inputs back into goals (null for empty inputs).
+ * @param {Record<string, string>} inputs - The input values.
+ * @param {string[]} keys - The goal keys to convert.
+ * @returns {Record<string, number | null>} The goals to save.
+ */
+const fromGoalInputs = (inputs, keys) =>
+  keys.reduce((goals, key) => {
+    const value = inputs[key].trim();
+    goals[key] = value === '' ? null : parseFloat(value);
+    return goals;
+  }, {});
+
+/**
+ * Finds the first input that is filled in but not a positive number.
+ * @param {Record<string, string>} inputs - The input values.
+ * @param {string[]} keys - The goal keys to check.
+ * @returns {string | undefined} The first invalid key, if any.
+ */
+const findInvalidGoalInput = (inputs, keys) =>
+  keys.find((key) => {
+    const value = inputs[key].trim();
+    return value !== '' && !(parseFloat(value) > 0);
+  });
+
+/**
+ * Describes how the weekly weight trend compares with the target pace.
+ * @param {number} rateKg - The weekly rate, in kilograms.
+ * @param {number} paceKg - The target pace, in kilograms a week.
+ * @param {'kg' | 'lb'} unit - The unit to show the numbers in.
+ * @returns {string} The comparison.
+ */
+const describePace = (rateKg, paceKg, unit) => {
+  const trend = `Your weight trend (${formatWeeklyRate(rateKg, unit)})`;
+  const status = comparePace(rateKg, paceKg);
+  if (status === 'onPace') {
+    return `${trend} is on pace.`;
+  }
+  const difference = fromKilograms(Math.abs(rateKg - paceKg), unit).toFixed(1);
+  return `${trend} is ${difference} ${unit}/week ${status} the target pace.`;
+};
 
 /**
  * @component GoalSetter
@@ -10,10 +82,33 @@ import Button from './common/Button.jsx';
  * This component provides an interface for users to view their current daily calorie goal
  * and set a new goal. It reads the current goal from `AppContext` and uses the
  * `setGoal` function from the context to update it. Includes input validation.
+ * Optional per-macro goals (grams of protein, carbs, fat) are set with
+ * `setMacroGoals`; leaving a macro empty clears its goal. Optional per-meal
+ * calorie budgets work the same way through `setMealBudgets`.
+ * A guided calculator (`GoalCalculator`) can propose the calorie goal, and
+ * the macro goals with it, from the user's body details.
+ * The daily goal can be overridden for days of the week (`setWeekdayGoals`)
+ * and for ranges of dates (`GoalSchedule`).
+ * An optional target pace (`setTargetPace`, also set by the calculator) is
+ * compared with the weekly rate of the weight trend from `weightLog`, and
+ * `AdaptiveGoal` suggests a goal from the calories actually burned.
  */
 function GoalSetter() {
   // Consume the application context to access global state and actions
-  const { goal, setGoal } = useContext(AppContext);
+  const {
+    goal,
+    setGoal,
+    macroGoals,
+    setMacroGoals,
+    mealBudgets,
+    setMealBudgets,
+    weekdayGoals,
+    setWeekdayGoals,
+    addScheduledGoal,
+    weightLog,
+    targetPace,
+    setTargetPace,
+  } = useContext(AppContext);
 
   // Local state for the input field's value (controlled component)
   // Stored as a string to handle empty input and user typing
@@ -22,6 +117,47 @@ function GoalSetter() {
   // Local state for storing validation error messages for the input field
   const [error, setError] = useState('');
 
+  // Local state for the optional macro goal inputs, pre-filled from context
+  const [macroInputs, setMacroInputs] = useState(() =>
+    toGoalInputs(macroGoals, MACRO_KEYS)
+  );
+  const [macroError, setMacroError] = useState('');
+
+  // Local state for the optional meal budget inputs, pre-filled from context
+  const [mealInputs, setMealInputs] = useState(() =>
+    toGoalInputs(mealBudgets, MEAL_KEYS)
+  );
+  const [mealError, setMealError] = useState('');
+
+  // Local state for the optional weekday goal inputs, pre-filled from context
+  const [weekdayInputs, setWeekdayInputs] = useState(() =>
+    toGoalInputs(weekdayGoals, WEEKDAY_KEYS)
+  );
+  const [weekdayError, setWeekdayError] = useState('');
+
+  // Whether the goal calculator is open
+  const [showCalculator, setShowCalculator] = useState(false);
+
+  // How fast the weight trend is changing, to compare with the target pace
+  const weeklyRate = useMemo(
+    () => calculateWeeklyRate(calculateWeightTrend(weightLog)),
+    [weightLog]
+  );
+  const weightUnit = getDisplayUnit(weightLog);
+  const hasTargetPace = typeof targetPace === 'number';
+  // A pace from the calculator in pounds may not be one of the listed ones
+  const paces =
+    hasTargetPace && !TARGET_PACES_KG.includes(targetPace)
+      ? [...TARGET_PACES_KG, targetPace].sort((a, b) => a - b)
+      : TARGET_PACES_KG;
+  const paceOptions = [
+    { value: '', label: 'Not set' },
+    ...paces.map((pace) => ({
+      value: String(pace),
+      label: formatTargetPace(pace, weightUnit),
+    })),
+  ];
+
   // --- Event Handlers ---
 
   /**
@@ -83,6 +219,113 @@ function GoalSetter() {
     // setInputValue('');
   };
 
+  /**
+   * Applies a goal proposed by the calculator, its macro split if chosen
+   * and its target pace, and shows the new values in the inputs.
+   * @param {{ calories: number, macros?: Record<string, number>, pace?: number }} proposal - The goal to apply.
+   */
+  const handleApplyCalculatedGoal = ({ calories, macros, pace }) => {
+    setGoal(calories);
+    if (pace !== undefined && setTargetPace) {
+      setTargetPace(pace);
+    }
+    setInputValue(String(calories));
+    setError('');
+    if (macros && setMacroGoals) {
+      setMacroGoals(macros);
+      setMacroInputs(toGoalInputs(macros, MACRO_KEYS));
+      setMacroError('');
+    }
+    setShowCalculator(false);
+  };
+
+  /**
+   * Handles changes in one of the macro goal inputs with real-time validation.
+   * @param {'protein' | 'carbs' | 'fat'} key - The macro being edited.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The input change event object.
+   */
+  const handleMacroInputChange = (key, event) => {
+    const newInputs = { ...macroInputs, [key]: event.target.value };
+    setMacroInputs(newInputs);
+
+    const invalidMacro = findInvalidGoalInput(newInputs, MACRO_KEYS);
+    setMacroError(
+      invalidMacro
+        ? `${MACRO_LABELS[invalidMacro]} goal must be a positive number of grams.`
+        : ''
+    );
+  };
+
+  /**
+   * Saves the macro goals. Empty inputs clear the corresponding goal.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event object.
+   */
+  const handleMacroGoalsSubmit = (event) => {
+    event.preventDefault();
+    if (macroError) {
+      return;
+    }
+    setMacroGoals(fromGoalInputs(macroInputs, MACRO_KEYS));
+  };
+
+  /**
+   * Handles changes in one of the meal budget inputs with real-time validation.
+   * @param {'breakfast' | 'lunch' | 'dinner' | 'snacks'} key - The meal being edited.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The input change event object.
+   */
+  const handleMealInputChange = (key, event) => {
+    const newInputs = { ...mealInputs, [key]: event.target.value };
+    setMealInputs(newInputs);
+
+    const invalidMeal = findInvalidGoalInput(newInputs, MEAL_KEYS);
+    setMealError(
+      invalidMeal
+        ? `${MEAL_LABELS[invalidMeal]} budget must be a positive number of calories.`
+        : ''
+    );
+  };
+
+  /**
+   * Saves the meal budgets. Empty inputs clear the corresponding budget.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event object.
+   */
+  const handleMealBudgetsSubmit = (event) => {
+    event.preventDefault();
+    if (mealError) {
+      return;
+    }
+    setMealBudgets(fromGoalInputs(mealInputs, MEAL_KEYS));
+  };
+
+  /**
+   * Handles changes in one of the weekday goal inputs with real-time validation.
+   * @param {'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat' | 'sun'} key - The day being edited.
+   * @param {React.ChangeEvent<HTMLInputElement>} event - The input change event object.
+   */
+  const handleWeekdayInputChange = (key, event) => {
+    const newInputs = { ...weekdayInputs, [key]: event.target.value };
+    setWeekdayInputs(newInputs);
+
+    const invalidDay = findInvalidGoalInput(newInputs, WEEKDAY_KEYS);
+    setWeekdayError(
+      invalidDay
+        ? `${WEEKDAY_LABELS[invalidDay]} goal must be a positive number of calories.`
+        : ''
+    );
+  };
+
+  /**
+   * Saves the weekday goals. Empty inputs fall back to the daily goal.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event object.
+   */
+  const handleWeekdayGoalsSubmit = (event) => {
+    event.preventDefault();
+    if (weekdayError) {
+      return;
+    }
+    setWeekdayGoals(fromGoalInputs(weekdayInputs, WEEKDAY_KEYS));
+  };
+
   // --- Derived State for Button Disablement ---
 
   // Determine if the button should be disabled based on input state and context
@@ -144,6 +387,208 @@ function GoalSetter() {
           Set Goal
         </Button>
       </form>
+
+      {/* Guided goal calculator */}
+      <div className="mt-4">
+        {showCalculator ? (
+          <GoalCalculator
+            onApply={handleApplyCalculatedGoal}
+            offerMacros={Boolean(setMacroGoals)}
+            onCancel={() => setShowCalculator(false)}
+          />
+        ) : (
+          <button
+            type="button"
+            onClick={() => setShowCalculator(true)}
+            className="text-sm text-green-700 hover:underline focus:ring-2 focus:ring-green-500 focus:outline-none"
+          >
+            Not sure? Calculate a goal from your body details
+          </button>
+        )}
+      </div>
+
+      {/* Optional target pace, compared with the weight trend */}
+      {setTargetPace && (
+        <div className="mt-6">
+          <label
+            htmlFor="target-pace-select"
+            className="mb-1 block text-sm font-medium text-gray-700"
+          >
+            Target Pace (optional):
+          </label>
+          <Select
+            id="target-pace-select"
+            name="targetPace"
+            value={hasTargetPace ? String(targetPace) : ''}
+            onChange={(event) =>
+              setTargetPace(
+                event.target.value === '' ? null : Number(event.target.value)
+              )
+            }
+            options={paceOptions}
+          />
+          {hasTargetPace && (
+            <p className="mt-1 text-sm text-gray-600" role="status">
+              {weeklyRate !== null
+                ? describePace(weeklyRate, targetPace, weightUnit)
+                : 'Log your weight for a week to compare your trend with this pace.'}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Estimated expenditure and a suggested goal for the target pace */}
+      {setTargetPace && <AdaptiveGoal />}
+
+      {/* Optional macro goals */}
+      {setMacroGoals && (
+        <form onSubmit={handleMacroGoalsSubmit} className="mt-6" noValidate>
+          <fieldset>
+            <legend className="mb-2 block text-sm font-medium text-gray-700">
+              Macro Goals (grams, optional):
+            </legend>
+            <div className="grid grid-cols-3 gap-2">
+              {MACRO_KEYS.map((key) => (
+                <div key={key}>
+                  <label
+                    htmlFor={`${key}-goal-input`}
+                    className="mb-1 block text-xs text-gray-600"
+                  >
+                    {MACRO_LABELS[key]}:
+                  </label>
+                  <Input
+                    type="number"
+                    id={`${key}-goal-input`}
+                    name={`${key}Goal`}
+                    placeholder="—"
+                    value={macroInputs[key]}
+                    onChange={(event) => handleMacroInputChange(key, event)}
+                    min={1}
+                    step={1}
+                    className={macroError ? 'border-red-500' : ''}
+                    aria-describedby="macro-goal-error"
+                    aria-invalid={!!macroError}
+                    autoComplete="off"
+                  />
+                </div>
+              ))}
+            </div>
+          </fieldset>
+          <p id="macro-goal-error" className="mb-2 h-4 text-sm text-red-600">
+            {macroError}
+          </p>
+          <Button
+            type="submit"
+            variant="secondary"
+            disabled={!!macroError}
+            className="w-full"
+          >
+            Save Macro Goals
+          </Button>
+        </form>
+      )}
+
+      {/* Optional meal budgets */}
+      {setMealBudgets && (
+        <form onSubmit={handleMealBudgetsSubmit} className="mt-6" noValidate>
+          <fieldset>
+            <legend className="mb-2 block text-sm font-medium text-gray-700">
+              Meal Budgets (calories, optional):
+            </legend>
+            <div className="grid grid-cols-2 gap-2">
+              {MEAL_KEYS.map((key) => (
+                <div key={key}>
+                  <label
+                    htmlFor={`${key}-budget-input`}
+                    className="mb-1 block text-xs text-gray-600"
+                  >
+                    {MEAL_LABELS[key]}:
+                  </label>
+                  <Input
+                    type="number"
+                    id={`${key}-budget-input`}
+                    name={`${key}Budget`}
+                    placeholder="—"
+                    value={mealInputs[key]}
+                    onChange={(event) => handleMealInputChange(key, event)}
+                    min={1}
+                    step={1}
+                    className={mealError ? 'border-red-500' : ''}
+                    aria-describedby="meal-budget-error"
+                    aria-invalid={!!mealError}
+                    autoComplete="off"
+                  />
+                </div>
+              ))}
+            </div>
+          </fieldset>
+          <p id="meal-budget-error" className="mb-2 h-4 text-sm text-red-600">
+            {mealError}
+          </p>
+          <Button
+            type="submit"
+            variant="secondary"
+            disabled={!!mealError}
+            className="w-full"
+          >
+            Save Meal Budgets
+          </Button>
+        </form>
+      )}
+
+      {/* Optional goals for days of the week */}
+      {setWeekdayGoals && (
+        <form onSubmit={handleWeekdayGoalsSubmit} className="mt-6" noValidate>
+          <fieldset>
+            <legend className="mb-2 block text-sm font-medium text-gray-700">
+              Weekday Goals (calories, optional):
+            </legend>
+            <p className="mb-2 text-xs text-gray-500">
+              Days left empty use the daily goal.
+            </p>
+            <div className="grid grid-cols-4 gap-2">
+              {WEEKDAY_KEYS.map((key) => (
+                <div key={key}>
+                  <label
+                    htmlFor={`${key}-goal-input`}
+                    className="mb-1 block text-xs text-gray-600"
+                  >
+                    {WEEKDAY_LABELS[key]}:
+                  </label>
+                  <Input
+                    type="number"
+                    id={`${key}-goal-input`}
+                    name={`${key}Goal`}
+                    placeholder="—"
+                    value={weekdayInputs[key]}
+                    onChange={(event) => handleWeekdayInputChange(key, event)}
+                    min={1}
+                    step={1}
+                    className={weekdayError ? 'border-red-500' : ''}
+                    aria-describedby="weekday-goal-error"
+                    aria-invalid={!!weekdayError}
+                    autoComplete="off"
+                  />
+                </div>
+              ))}
+            </div>
+          </fieldset>
+          <p id="weekday-goal-error" className="mb-2 h-4 text-sm text-red-600">
+            {weekdayError}
+          </p>
+          <Button
+            type="submit"
+            variant="secondary"
+            disabled={!!weekdayError}
+            className="w-full"
+          >
+            Save Weekday Goals
+          </Button>
+        </form>
+      )}
+
+      {/* Optional goals for ranges of dates */}
+      {addScheduledGoal && <GoalSchedule />}
     </div>
   );
 }
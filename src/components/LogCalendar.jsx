@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useContext, useMemo } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+import Button from './common/Button.jsx';
+import { getMonthGrid, parseDateKey, formatDateLabel } from '../utils/dates.js';
+import { sumCalories, getGoalStatus } from '../utils/helpers.js';
+
+// Column headers for the calendar grid (weeks start on Sunday)
+const WEEKDAY_LABELS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+// Cell background per goal status; days with nothing logged stay neutral
+const STATUS_CLASSES = {
+  met: 'bg-green-100 text-green-800 hover:bg-green-200',
+  missed: 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200',
+  exceeded: 'bg-red-100 text-red-800 hover:bg-red-200',
+};
+
+const STATUS_LABELS = {
+  met: 'goal met',
+  missed: 'under goal',
+  exceeded: 'goal exceeded',
+};
+
+/**
+ * @component LogCalendar
+ * @description
+ * A month calendar for browsing past days. Each day is colored by whether its
+ * logged calories met, missed (fell short of), or exceeded the goal that
+ * applied on that day (see `getGoalForDate`).
+ * Clicking a day calls `selectDate` from `AppContext`, which switches the
+ * `LogList` and `ProgressDisplay` to that day. Future days are disabled.
+ * Browsing to a month asks `loadLogDays` for its entries, for storage that
+ * loads the log lazily.
+ */
+function LogCalendar() {
+  const {
+    goal,
+    getGoalForDate,
+    logByDate,
+    selectedDate,
+    today,
+    selectDate,
+    loadLogDays,
+  } = useContext(AppContext);
+
+  // The month currently shown, as { year, month } with a zero-based month
+  const [visibleMonth, setVisibleMonth] = useState(() => {
+    const date = parseDateKey(selectedDate);
+    return { year: date.getFullYear(), month: date.getMonth() };
+  });
+
+  // Follow the selection when it moves to another month (e.g. at rollover)
+  useEffect(() => {
+    const date = parseDateKey(selectedDate);
+    setVisibleMonth({ year: date.getFullYear(), month: date.getMonth() });
+  }, [selectedDate]);
+
+  const weeks = useMemo(
+    () => getMonthGrid(visibleMonth.year, visibleMonth.month),
+    [visibleMonth]
+  );
+
+  // Make sure the visible month's entries are loaded, if the log is loaded lazily
+  useEffect(() => {
+    const days = weeks.flat().filter(Boolean);
+    loadLogDays?.(days[0], days[days.length - 1]);
+  }, [weeks, loadLogDays]);
+
+  // Calorie totals for every day that has entries
+  const dailyTotals = useMemo(() => {
+    const totals = {};
+    Object.entries(logByDate || {}).forEach(([dateKey, items]) => {
+      totals[dateKey] = sumCalories(items);
+    });
+    return totals;
+  }, [logByDate]);
+
+  const todayDate = parseDateKey(today);
+  const isCurrentMonth =
+    visibleMonth.year === todayDate.getFullYear() &&
+    visibleMonth.month === todayDate.getMonth();
+
+  const monthLabel = new Date(
+    visibleMonth.year,
+    visibleMonth.month,
+    1
+  ).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+
+  // --- Event Handlers ---
+
+  /**
+   * Moves the visible month forwards or backwards.
+   * @param {number} offset - Number of months to move (-1 or 1).
+   */
+  const changeMonth = (offset) => {
+    setVisibleMonth(({ year, month }) => {
+      const date = new Date(year, month + offset, 1);
+      return { year: date.getFullYear(), month: date.getMonth() };
+    });
+  };
+
+  // --- Render Logic ---
+
+  return (
+    <div>
+      <h2 className="mb-4 text-xl font-semibold text-gray-700">History</h2>
+
+      {/* Month navigation */}
+      <div className="mb-2 flex items-center justify-between">
+        <Button
+          variant="secondary"
+          className="px-2 py-1"
+          onClick={() => changeMonth(-1)}
+          aria-label="Previous month"
+        >
+          &lsaquo;
+        </Button>
+        <span className="text-sm font-medium text-gray-700" aria-live="polite">
+          {monthLabel}
+        </span>
+        <Button
+          variant="secondary"
+          className="px-2 py-1"
+          onClick={() => changeMonth(1)}
+          disabled={isCurrentMonth}
+          aria-label="Next month"
+        >
+          &rsaquo;
+        </Button>
+      </div>
+
+      {/* Calendar grid */}
+      <table className="w-full table-fixed text-center text-sm" role="grid">
+        <thead>
+          <tr>
+            {WEEKDAY_LABELS.map((label) => (
+              <th
+                key={label}
+                scope="col"
+                className="pb-1 text-xs font-medium text-gray-500"
+              >
+                {label}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {weeks.map((week, weekIndex) => (
+            <tr key={weekIndex}>
+              {week.map((dateKey, dayIndex) => {
+                if (!dateKey) {
+                  return <td key={`blank-${dayIndex}`} />;
+                }
+
+                const total = dailyTotals[dateKey] || 0;
+                const status = getGoalStatus(
+                  total,
+                  getGoalForDate ? getGoalForDate(dateKey) : goal
+                );
+                const isFuture = dateKey > today;
+                const isSelected = dateKey === selectedDate;
+                const dayNumber = parseDateKey(dateKey).getDate();
+
+                const label = [
+                  formatDateLabel(dateKey, today),
+                  total > 0 ? `${total} calories` : 'nothing logged',
+                  status ? STATUS_LABELS[status] : null,
+                ]
+                  .filter(Boolean)
+                  .join(', ');
+
+                const cellClassName = [
+                  'w-full rounded-md py-1 transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-green-500',
+                  status
+                    ? STATUS_CLASSES[status]
+                    : 'text-gray-700 hover:bg-gray-100',
+                  isSelected ? 'ring-2 ring-green-600' : '',
+                  dateKey === today ? 'font-bold' : '',
+                  isFuture
+                    ? 'cursor-not-allowed text-gray-300 hover:bg-transparent'
+                    : '',
+                ]
+                  .join(' ')
+                  .trim()
+                  .replace(/\s+/g, ' ');
+
+                return (
+                  <td key={dateKey} className="p-0.5">
+                    <button
+                      type="button"
+                      className={cellClassName}
+                      onClick={() => selectDate(dateKey)}
+                      disabled={isFuture}
+                      aria-label={label}
+                      aria-pressed={isSelected}
+                      title={label}
+                    >
+                      {dayNumber}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Selected day summary and shortcut back to today */}
+      <div className="mt-3 flex items-center justify-between text-sm text-gray-600">
+        <span>
+          {formatDateLabel(selectedDate, today)}:{' '}
+          <span className="font-medium">
+            {dailyTotals[selectedDate] || 0} calories
+          </span>
+        </span>
+        <Button
+          variant="secondary"
+          className="px-2 py-1"
+          onClick={() => selectDate(today)}
+          disabled={selectedDate === today}
+        >
+          Today
+        </Button>
+      </div>
+
+      {/* Legend */}
+      <ul className="mt-3 flex flex-wrap gap-3 text-xs text-gray-500">
+        <li className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm bg-green-100" /> Met
+        </li>
+        <li className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm bg-yellow-100" />{' '}
+          Under
+        </li>
+        <li className="flex items-center gap-1">
+          <span className="inline-block h-3 w-3 rounded-sm bg-red-100" />{' '}
+          Exceeded
+        </li>
+      </ul>
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with LogList.
+LogCalendar.propTypes = {};
+
+export default LogCalendar;
@@ -1,19 +1,50 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
+import Input from './common/Input.jsx';
+import Button from './common/Button.jsx';
+import Select from './common/Select.jsx';
+import { formatTime, toTimeInputValue, withTimeOfDay } from '../utils/dates.js';
+import { MACRO_KEYS, MACRO_LABELS, isValidGrams } from '../utils/nutrition.js';
+import { MEAL_KEYS, MEAL_LABELS, getItemMeal } from '../utils/meals.js';
+import { formatQuantity } from '../utils/units.js';
+
+// Options for the meal selector in the edit form
+const MEAL_OPTIONS = MEAL_KEYS.map((key) => ({
+  value: key,
+  label: MEAL_LABELS[key],
+}));
 
 /**
  * @component LogItem
  * @description Renders a single entry from the daily food log, displaying the
- *              food item's name and its corresponding calorie count.
- *              Includes basic validation for the item prop.
- * @param {{ item: { id: string, name: string, calories: number } }} props - Component props.
+ *              food item's name, time and calorie count, with controls to edit
+ *              the entry inline or delete it.
+ *              Includes basic validation for the item prop and the edit form.
+ * @param {object} props - Component props.
  * @param {object} props.item - The log item object to display.
  * @param {string} props.item.id - Unique identifier for the log item.
  * @param {string} props.item.name - Name of the food item.
  * @param {number} props.item.calories - Calorie count for the food item.
+ * @param {string} [props.item.loggedAt] - ISO 8601 timestamp of when the item was eaten.
+ * @param {string} [props.item.meal] - Meal slot the item belongs to.
+ * @param {number} [props.item.protein] - Grams of protein, if recorded.
+ * @param {number} [props.item.carbs] - Grams of carbohydrate, if recorded.
+ * @param {number} [props.item.fat] - Grams of fat, if recorded.
+ * @param {number} [props.item.quantity] - How much was eaten, if recorded.
+ * @param {string} [props.item.unit] - The unit of `quantity`.
+ * @param {(id: string, patch: object) => void} [props.onUpdate] - Called with the edited fields on save.
+ * @param {(item: object) => void} [props.onRemove] - Called with the item when it is deleted.
  * @returns {JSX.Element|null} The rendered log item or null if the item prop is invalid.
  */
-function LogItem({ item }) {
+function LogItem({ item, onUpdate, onRemove }) {
+  // Local state for the inline edit form
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [draftCalories, setDraftCalories] = useState('');
+  const [draftTime, setDraftTime] = useState('');
+  const [draftMeal, setDraftMeal] = useState('');
+  const [editError, setEditError] = useState('');
+
   // Defensive check for the item prop and its required nested properties
   if (
     !item ||
@@ -29,19 +60,194 @@ function LogItem({ item }) {
     return null; // Render nothing if the prop structure is invalid
   }
 
+  // --- Event Handlers ---
+
+  /**
+   * Opens the edit form pre-filled with the item's current values.
+   */
+  const startEditing = () => {
+    setDraftName(item.name);
+    setDraftCalories(String(item.calories));
+    setDraftTime(toTimeInputValue(item.loggedAt));
+    setDraftMeal(getItemMeal(item));
+    setEditError('');
+    setIsEditing(true);
+  };
+
+  /**
+   * Validates the edit form and passes the changed fields to `onUpdate`.
+   * Uses the same rules as CalorieInput so edits cannot create entries
+   * that could not have been added.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSave = (event) => {
+    event.preventDefault();
+
+    if (!draftName.trim()) {
+      setEditError('Food name cannot be empty.');
+      return;
+    }
+    if (!/^\d+$/.test(draftCalories.trim())) {
+      setEditError('Calories must be a whole number (0 or more).');
+      return;
+    }
+
+    const patch = {
+      name: draftName.trim(),
+      calories: parseInt(draftCalories.trim(), 10),
+    };
+
+    // Time is only editable for items that already carry a timestamp
+    if (item.loggedAt && draftTime !== toTimeInputValue(item.loggedAt)) {
+      const loggedAt = withTimeOfDay(item.loggedAt, draftTime);
+      if (!loggedAt) {
+        setEditError('Time must be a valid time of day.');
+        return;
+      }
+      patch.loggedAt = loggedAt;
+    }
+
+    if (draftMeal !== getItemMeal(item)) {
+      patch.meal = draftMeal;
+    }
+
+    onUpdate(item.id, patch);
+    setIsEditing(false);
+  };
+
+  /**
+   * Closes the edit form without saving when Escape is pressed.
+   * @param {React.KeyboardEvent<HTMLFormElement>} event - The key event.
+   */
+  const handleEditKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      setIsEditing(false);
+    }
+  };
+
+  // Compact macro summary, e.g. "P 30g · C 12g", for macros that were recorded
+  const macroSummary = MACRO_KEYS.filter((key) => isValidGrams(item[key]))
+    .map((key) => `${MACRO_LABELS[key][0]} ${item[key]}g`)
+    .join(' · ');
+
+  // Amount eaten, e.g. "150 g", if it was recorded
+  const amount = formatQuantity(item.quantity, item.unit);
+
+  // --- Render Logic ---
+
+  if (isEditing) {
+    const errorId = `log-item-${item.id}-error`;
+    return (
+      <form
+        className="space-y-2 border-b border-gray-100 py-2 last:border-b-0"
+        role="listitem"
+        onSubmit={handleSave}
+        onKeyDown={handleEditKeyDown}
+        noValidate
+      >
+        <Input
+          type="text"
+          value={draftName}
+          onChange={(event) => setDraftName(event.target.value)}
+          aria-label="Food name"
+          aria-describedby={errorId}
+          autoComplete="off"
+          autoFocus
+        />
+        <div className="flex gap-2">
+          <Input
+            type="number"
+            value={draftCalories}
+            onChange={(event) => setDraftCalories(event.target.value)}
+            min={0}
+            step={1}
+            aria-label="Calories"
+            aria-describedby={errorId}
+            autoComplete="off"
+          />
+          {item.loggedAt && (
+            <Input
+              type="time"
+              value={draftTime}
+              onChange={(event) => setDraftTime(event.target.value)}
+              aria-label="Time"
+              aria-describedby={errorId}
+            />
+          )}
+          <Select
+            value={draftMeal}
+            onChange={(event) => setDraftMeal(event.target.value)}
+            options={MEAL_OPTIONS}
+            aria-label="Meal"
+          />
+        </div>
+        <p id={errorId} className="h-4 text-sm text-red-600">
+          {editError}
+        </p>
+        <div className="flex justify-end gap-2">
+          <Button
+            variant="secondary"
+            className="px-3 py-1"
+            onClick={() => setIsEditing(false)}
+          >
+            Cancel
+          </Button>
+          <Button type="submit" className="px-3 py-1">
+            Save
+          </Button>
+        </div>
+      </form>
+    );
+  }
+
   return (
     <div
       className="flex items-center justify-between border-b border-gray-100 py-2 last:border-b-0" // Add slight padding and border for separation
       role="listitem" // Add ARIA role for better semantics within the LogList
     >
-      {/* Display food name */}
-      <span className="truncate text-sm text-gray-700" title={item.name}>
+      {/* Display food name and time eaten */}
+      <span
+        className="min-w-0 truncate text-sm text-gray-700"
+        title={item.name}
+      >
         {item.name}
+        {item.loggedAt && (
+          <span className="ml-2 text-xs text-gray-400">
+            {formatTime(item.loggedAt)}
+          </span>
+        )}
+        {amount && <span className="ml-2 text-xs text-gray-400">{amount}</span>}
+        {macroSummary && (
+          <span className="block text-xs text-gray-400">{macroSummary}</span>
+        )}
       </span>
 
-      {/* Display calorie count */}
-      <span className="ml-4 whitespace-nowrap text-sm font-medium text-gray-900">
-        {item.calories} kcal
+      <span className="ml-4 flex items-center gap-2">
+        {/* Display calorie count */}
+        <span className="text-sm font-medium whitespace-nowrap text-gray-900">
+          {item.calories} kcal
+        </span>
+
+        {onUpdate && (
+          <button
+            type="button"
+            onClick={startEditing}
+            className="text-xs text-gray-500 hover:text-green-700 focus:ring-2 focus:ring-green-500 focus:outline-none"
+            aria-label={`Edit ${item.name}`}
+          >
+            Edit
+          </button>
+        )}
+        {onRemove && (
+          <button
+            type="button"
+            onClick={() => onRemove(item)}
+            className="text-xs text-gray-500 hover:text-red-600 focus:ring-2 focus:ring-red-500 focus:outline-none"
+            aria-label={`Delete ${item.name}`}
+          >
+            Delete
+          </button>
+        )}
       </span>
     </div>
   );
@@ -65,7 +271,43 @@ LogItem.propTypes = {
      * The calorie count of the logged food item (should be a non-negative number).
      */
     calories: PropTypes.number.isRequired,
+    /**
+     * ISO 8601 timestamp of when the item was eaten.
+     */
+    loggedAt: PropTypes.string,
+    /**
+     * Meal slot the item belongs to (breakfast, lunch, dinner or snacks).
+     */
+    meal: PropTypes.string,
+    /**
+     * Grams of protein, if recorded.
+     */
+    protein: PropTypes.number,
+    /**
+     * Grams of carbohydrate, if recorded.
+     */
+    carbs: PropTypes.number,
+    /**
+     * Grams of fat, if recorded.
+     */
+    fat: PropTypes.number,
+    /**
+     * How much was eaten, in `unit`, if recorded.
+     */
+    quantity: PropTypes.number,
+    /**
+     * The unit of `quantity` (g, oz, cup, piece or serving).
+     */
+    unit: PropTypes.string,
   }).isRequired,
+  /**
+   * Called with `(id, patch)` when an inline edit is saved. Edit controls are hidden if omitted.
+   */
+  onUpdate: PropTypes.func,
+  /**
+   * Called with the item when it is deleted. The delete control is hidden if omitted.
+   */
+  onRemove: PropTypes.func,
 };
 
-export default LogItem;
\ No newline at end of file
+export default LogItem;
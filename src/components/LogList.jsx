@@ -1,20 +1,82 @@
-import React, { useContext } from 'react';
+import React, { useState, useContext, useMemo, useCallback } from 'react';
 import PropTypes from 'prop-types';
 import { AppContext } from '../context/AppContext.jsx';
-import LogItem from './LogItem.jsx'; // Assume LogItem exists and accepts { item: {id, name, calories} }
+import LogItem from './LogItem.jsx';
+import { formatDateLabel } from '../utils/dates.js';
+import { sumCalories } from '../utils/helpers.js';
+import { MEAL_KEYS, MEAL_LABELS, groupByMeal } from '../utils/meals.js';
 
 /**
  * @component LogList
  * @description
- * Displays the list of daily logged food items. It retrieves the `log` array
- * from the shared `AppContext`. Each item in the log is expected to be an object
- * with the shape `{ id: string, name: string, calories: number }`.
+ * Displays the food items logged on the selected day. It retrieves the `log`
+ * array (already filtered to `selectedDate`) from the shared `AppContext`.
+ * Each item in the log is expected to be an object
+ * with the shape `{ id: string, name: string, calories: number, loggedAt: string }`.
  * The component handles cases where the log data is invalid or empty,
- * and renders a `LogItem` component for each valid entry.
+ * and renders a `LogItem` component for each valid entry, ordered by time.
+ * Entries are grouped into collapsible meal sections with calorie subtotals
+ * (and the meal's budget, if one is set).
+ * Deleted entries can be brought back with the undo history (see `UndoRedo`).
  */
 function LogList() {
   // Consume the application context to access the shared log state
-  const { log } = useContext(AppContext);
+  const {
+    log,
+    logLoading,
+    mealBudgets,
+    selectedDate,
+    today,
+    updateLogItem,
+    removeLogItem,
+  } = useContext(AppContext);
+  const isToday = selectedDate === today;
+
+  // Meal sections the user has collapsed
+  const [collapsedMeals, setCollapsedMeals] = useState(() => new Set());
+
+  // Show entries in the order they were eaten; untimed legacy entries keep
+  // their original order at the top. Array.prototype.sort is stable.
+  const sortedLog = useMemo(
+    () =>
+      Array.isArray(log)
+        ? [...log].sort((a, b) =>
+            String(a?.loggedAt ?? '').localeCompare(String(b?.loggedAt ?? ''))
+          )
+        : log,
+    [log]
+  );
+
+  const logByMeal = useMemo(() => groupByMeal(sortedLog), [sortedLog]);
+
+  // --- Event Handlers ---
+
+  /**
+   * Expands or collapses a meal section.
+   * @param {string} meal - The meal slot to toggle.
+   */
+  const toggleMeal = (meal) => {
+    setCollapsedMeals((prevCollapsed) => {
+      const nextCollapsed = new Set(prevCollapsed);
+      if (nextCollapsed.has(meal)) {
+        nextCollapsed.delete(meal);
+      } else {
+        nextCollapsed.add(meal);
+      }
+      return nextCollapsed;
+    });
+  };
+
+  /**
+   * Deletes an item. The deletion is recorded in the undo history.
+   * @param {object} item - The log item being deleted.
+   */
+  const handleRemove = useCallback(
+    (item) => {
+      removeLogItem(item.id);
+    },
+    [removeLogItem]
+  );
 
   // --- Data Validation and Conditional Rendering ---
 
@@ -36,30 +98,97 @@ function LogList() {
   return (
     <div>
       {/* Consistent heading style */}
-      <h2 className="mb-4 text-xl font-semibold text-gray-700">Daily Log</h2>
+      <h2 className="mb-1 text-xl font-semibold text-gray-700">Daily Log</h2>
+      <p className="mb-4 text-sm text-gray-500">
+        {formatDateLabel(selectedDate, today)}
+      </p>
 
       {/* Conditional rendering based on log content */}
       {log.length === 0 ? (
         // Display message when the log is empty
         <p className="text-sm text-gray-500">
-          No food items logged yet today.
+          {logLoading
+            ? 'Loading…'
+            : isToday
+              ? 'No food items logged yet today.'
+              : 'No food items were logged on this day.'}
         </p>
       ) : (
-        // Render the list of log items if the log is not empty
-        <div className="space-y-2">
-          {' '}
-          {/* Container for list items with vertical spacing */}
-          {log.map((item) => {
-            // Defensive check: Ensure item and item.id exist before rendering
-            // Although AppContext likely ensures this, belt-and-suspenders approach is safer.
-            if (!item || typeof item.id === 'undefined' || item.id === null) {
-              console.warn('[LogList] Invalid log item found:', item);
-              return null; // Skip rendering this invalid item
+        // Render one collapsible section per meal that has entries
+        <div className="space-y-4">
+          {MEAL_KEYS.filter((meal) => logByMeal[meal].length > 0).map(
+            (meal) => {
+              const items = logByMeal[meal];
+              const isCollapsed = collapsedMeals.has(meal);
+              const subtotal = sumCalories(items);
+              const budget = mealBudgets?.[meal];
+              const hasBudget = typeof budget === 'number' && budget > 0;
+              const sectionId = `log-section-${meal}`;
+
+              return (
+                <section key={meal} aria-label={MEAL_LABELS[meal]}>
+                  <button
+                    type="button"
+                    onClick={() => toggleMeal(meal)}
+                    aria-expanded={!isCollapsed}
+                    aria-controls={sectionId}
+                    className="flex w-full items-center justify-between rounded-md bg-gray-50 px-2 py-1 text-left text-sm font-semibold text-gray-700 hover:bg-gray-100 focus:ring-2 focus:ring-green-500 focus:outline-none"
+                  >
+                    <span>
+                      <span
+                        aria-hidden="true"
+                        className="mr-1 inline-block w-3"
+                      >
+                        {isCollapsed ? '▸' : '▾'}
+                      </span>
+                      {MEAL_LABELS[meal]}
+                    </span>
+                    <span
+                      className={`font-medium ${
+                        hasBudget && subtotal > budget
+                          ? 'text-red-600'
+                          : 'text-gray-900'
+                      }`}
+                    >
+                      {hasBudget
+                        ? `${subtotal} / ${budget} kcal`
+                        : `${subtotal} kcal`}
+                    </span>
+                  </button>
+
+                  {!isCollapsed && (
+                    <div id={sectionId} className="space-y-2 px-2">
+                      {items.map((item) => {
+                        // Defensive check: Ensure item and item.id exist before rendering
+                        // Although AppContext likely ensures this, belt-and-suspenders approach is safer.
+                        if (
+                          !item ||
+                          typeof item.id === 'undefined' ||
+                          item.id === null
+                        ) {
+                          console.warn(
+                            '[LogList] Invalid log item found:',
+                            item
+                          );
+                          return null; // Skip rendering this invalid item
+                        }
+                        // Render the LogItem component for each valid log entry
+                        // Pass the entire item object and use its id as the unique key
+                        return (
+                          <LogItem
+                            key={item.id}
+                            item={item}
+                            onUpdate={updateLogItem}
+                            onRemove={handleRemove}
+                          />
+                        );
+                      })}
+                    </div>
+                  )}
+                </section>
+              );
             }
-            // Render the LogItem component for each valid log entry
-            // Pass the entire item object and use its id as the unique key
-            return <LogItem key={item.id} item={item} />;
-          })}
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,47 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { PROFILE_COLORS, getProfileInitial } from '../utils/profiles.js';
+
+/**
+ * @component ProfileAvatar
+ * @description A colored circle with the first letter of a profile's name.
+ * Decorative: the name should be shown or labelled next to it.
+ * @param {object} props - Component props.
+ * @param {string} props.name - The profile name.
+ * @param {string} [props.color] - One of the `PROFILE_COLORS` keys.
+ * @param {'sm' | 'lg'} [props.size='sm'] - How big to draw it.
+ * @returns {JSX.Element} The rendered avatar.
+ */
+function ProfileAvatar({ name, color, size = 'sm' }) {
+  const colorClassName = (PROFILE_COLORS[color] ?? PROFILE_COLORS.green)
+    .className;
+  const sizeClassName =
+    size === 'lg' ? 'h-16 w-16 text-2xl' : 'h-7 w-7 text-sm';
+
+  return (
+    <span
+      className={`inline-flex shrink-0 items-center justify-center rounded-full font-semibold text-white ${colorClassName} ${sizeClassName}`}
+      aria-hidden="true"
+    >
+      {getProfileInitial(name)}
+    </span>
+  );
+}
+
+// Define prop types for the component for type checking and documentation
+ProfileAvatar.propTypes = {
+  /**
+   * The profile name; its first letter is shown.
+   */
+  name: PropTypes.string.isRequired,
+  /**
+   * The avatar color, one of the `PROFILE_COLORS` keys.
+   */
+  color: PropTypes.string,
+  /**
+   * How big to draw the avatar.
+   */
+  size: PropTypes.oneOf(['sm', 'lg']),
+};
+
+export default ProfileAvatar;
@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Input from './common/Input.jsx';
+import Button from './common/Button.jsx';
+import ProfileAvatar from './ProfileAvatar.jsx';
+import {
+  PROFILE_COLORS,
+  PROFILE_COLOR_KEYS,
+  MAX_PROFILE_NAME_LENGTH,
+  validateProfileName,
+  isValidPin,
+} from '../utils/profiles.js';
+
+/**
+ * Checks the form inputs.
+ * @param {{ name: string, pin: string }} inputs - The input values.
+ * @returns {string} - Error message string, or empty string if valid.
+ */
+const validateInputs = (inputs) => {
+  let error = '';
+  validateProfileName(inputs.name, (message) => {
+    error = message;
+  });
+  if (!error && inputs.pin !== '' && !isValidPin(inputs.pin)) {
+    error = 'PIN must be 4 to 8 digits.';
+  }
+  return error;
+};
+
+/**
+ * @component ProfileForm
+ * @description A form for a profile's name and avatar color. When creating a
+ * profile it also offers an optional PIN (a profile's PIN is changed
+ * separately once it exists). Pre-filled when editing an existing profile.
+ * @param {object} props - Component props.
+ * @param {import('../utils/profiles.js').Profile} [props.profile] - The profile being edited, if any.
+ * @param {string} [props.defaultColor] - The color picked at first for a new profile.
+ * @param {(profile: { name: string, color: string, pin?: string }) => void} props.onSave - Called with the details on save.
+ * @param {() => void} [props.onCancel] - Called when the form is cancelled.
+ * @returns {JSX.Element} The rendered form.
+ */
+function ProfileForm({ profile, defaultColor, onSave, onCancel }) {
+  const [inputs, setInputs] = useState(() => ({
+    name: profile?.name ?? '',
+    color: profile?.color ?? defaultColor ?? PROFILE_COLOR_KEYS[0],
+    pin: '',
+  }));
+  const [error, setError] = useState('');
+  // Keeps the input IDs of the add and edit forms apart
+  const idPrefix = profile ? 'edit-profile' : 'new-profile';
+
+  /**
+   * Updates one input and re-validates once an error is showing.
+   * @param {string} field - The input being edited.
+   * @param {string} value - The new value.
+   */
+  const handleChange = (field, value) => {
+    const newInputs = { ...inputs, [field]: value };
+    setInputs(newInputs);
+    if (error) {
+      setError(validateInputs(newInputs));
+    }
+  };
+
+  /**
+   * Validates the form and passes the details to `onSave`.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const currentError = validateInputs(inputs);
+    setError(currentError);
+    if (currentError) {
+      return;
+    }
+    const savedProfile = { name: inputs.name.trim(), color: inputs.color };
+    if (!profile && inputs.pin !== '') {
+      savedProfile.pin = inputs.pin;
+    }
+    onSave(savedProfile);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2" noValidate>
+      <div>
+        <label
+          htmlFor={`${idPrefix}-name`}
+          className="mb-1 block text-sm font-medium text-gray-700"
+        >
+          Name:
+        </label>
+        <Input
+          id={`${idPrefix}-name`}
+          value={inputs.name}
+          onChange={(event) => handleChange('name', event.target.value)}
+          placeholder="E.g., Sam"
+          maxLength={MAX_PROFILE_NAME_LENGTH}
+          aria-describedby={`${idPrefix}-error`}
+          autoComplete="off"
+        />
+      </div>
+      <fieldset>
+        <legend className="mb-1 block text-sm font-medium text-gray-700">
+          Color:
+        </legend>
+        <div className="flex flex-wrap gap-2">
+          {PROFILE_COLOR_KEYS.map((key) => (
+            <label
+              key={key}
+              className={`cursor-pointer rounded-full p-0.5 ${
+                inputs.color === key ? 'ring-2 ring-gray-700' : ''
+              }`}
+            >
+              <input
+                type="radio"
+                name={`${idPrefix}-color`}
+                value={key}
+                checked={inputs.color === key}
+                onChange={() => handleChange('color', key)}
+                aria-label={PROFILE_COLORS[key].label}
+                className="sr-only"
+              />
+              <ProfileAvatar name={inputs.name} color={key} />
+            </label>
+          ))}
+        </div>
+      </fieldset>
+      {!profile && (
+        <div>
+          <label
+            htmlFor={`${idPrefix}-pin`}
+            className="mb-1 block text-sm font-medium text-gray-700"
+          >
+            PIN (optional, 4–8 digits):
+          </label>
+          <Input
+            type="password"
+            id={`${idPrefix}-pin`}
+            value={inputs.pin}
+            onChange={(event) => handleChange('pin', event.target.value)}
+            inputMode="numeric"
+            aria-describedby={`${idPrefix}-error`}
+            autoComplete="new-password"
+          />
+        </div>
+      )}
+      <p id={`${idPrefix}-error`} className="h-4 text-sm text-red-600">
+        {error}
+      </p>
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <Button variant="secondary" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit">
+          {profile ? 'Save Profile' : 'Add Profile'}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// Define prop types for the component for type checking and documentation
+ProfileForm.propTypes = {
+  /**
+   * The profile being edited. Omit to create a new profile.
+   */
+  profile: PropTypes.shape({
+    name: PropTypes.string,
+    color: PropTypes.string,
+  }),
+  /**
+   * The color picked at first when creating a profile.
+   */
+  defaultColor: PropTypes.string,
+  /**
+   * Function called with the validated details when the form is saved.
+   */
+  onSave: PropTypes.func.isRequired,
+  /**
+   * Function called when the form is cancelled. The cancel button is hidden if omitted.
+   */
+  onCancel: PropTypes.func,
+};
+
+export default ProfileForm;
@@ -0,0 +1,91 @@
+import React, { useContext, useState } from 'react';
+import { ProfileContext } from '../context/ProfileContext.jsx';
+import Input from './common/Input.jsx';
+import Button from './common/Button.jsx';
+import ProfileAvatar from './ProfileAvatar.jsx';
+
+/**
+ * @component ProfileLock
+ * @description Shown instead of the tracker while the active profile is
+ * locked (see `locked` in `ProfileContext`): asks for the profile's PIN and
+ * unlocks it. Other profiles can still be picked from the ProfileSwitcher.
+ */
+function ProfileLock() {
+  const { activeProfile, unlock } = useContext(ProfileContext);
+
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+
+  /**
+   * Checks the PIN and unlocks the profile if it is right.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    if (!pin) {
+      setError('Enter the PIN.');
+      return;
+    }
+    setChecking(true);
+    const unlocked = await unlock(pin);
+    // On success this component is unmounted, so only a failure updates it
+    if (!unlocked) {
+      setChecking(false);
+      setPin('');
+      setError('Incorrect PIN.');
+    }
+  };
+
+  return (
+    <div className="mx-auto max-w-sm rounded-lg bg-white p-6 text-center shadow-md">
+      <div className="mb-4 flex flex-col items-center gap-2">
+        <ProfileAvatar
+          name={activeProfile.name}
+          color={activeProfile.color}
+          size="lg"
+        />
+        <h2 className="text-xl font-semibold text-gray-700">
+          {activeProfile.name} is locked
+        </h2>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-2 text-left" noValidate>
+        <label
+          htmlFor="unlock-pin-input"
+          className="mb-1 block text-sm font-medium text-gray-700"
+        >
+          PIN:
+        </label>
+        <Input
+          type="password"
+          id="unlock-pin-input"
+          value={pin}
+          onChange={(event) => {
+            setPin(event.target.value);
+            setError('');
+          }}
+          inputMode="numeric"
+          aria-describedby="unlock-pin-error"
+          aria-invalid={!!error}
+          autoComplete="current-password"
+          autoFocus
+        />
+        <p
+          id="unlock-pin-error"
+          role="alert"
+          className="h-4 text-sm text-red-600"
+        >
+          {error}
+        </p>
+        <Button type="submit" disabled={checking} className="w-full">
+          Unlock
+        </Button>
+      </form>
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+ProfileLock.propTypes = {};
+
+export default ProfileLock;
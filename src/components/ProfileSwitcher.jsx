@@ -0,0 +1,283 @@
+import React, { useContext, useState } from 'react';
+import { ProfileContext } from '../context/ProfileContext.jsx';
+import Input from './common/Input.jsx';
+import Button from './common/Button.jsx';
+import ProfileAvatar from './ProfileAvatar.jsx';
+import ProfileForm from './ProfileForm.jsx';
+import { DEFAULT_PROFILE_ID } from '../utils/storage.js';
+import { getUnusedProfileColor, isValidPin } from '../utils/profiles.js';
+
+/**
+ * @component ProfileSwitcher
+ * @description The profile menu in the header, using `ProfileContext`. Shows
+ * the active profile; opening it lists every profile to switch to (profiles
+ * with a PIN are marked as locked) and offers forms to add a profile, edit
+ * the active one, set or remove its PIN, lock it, or delete it with its data.
+ * Editing is only offered once the active profile is unlocked, and the
+ * default profile can't be deleted.
+ */
+function ProfileSwitcher() {
+  const {
+    profiles,
+    activeProfile,
+    locked,
+    switchProfile,
+    lock,
+    addProfile,
+    updateProfile,
+    setProfilePin,
+    removeProfile,
+  } = useContext(ProfileContext);
+
+  const [open, setOpen] = useState(false);
+  // Which form is showing in the panel: 'add', 'edit', or null
+  const [form, setForm] = useState(null);
+  const [pinInput, setPinInput] = useState('');
+  const [pinError, setPinError] = useState('');
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  const canEdit = !locked;
+  const canDelete = canEdit && activeProfile.id !== DEFAULT_PROFILE_ID;
+
+  // --- Event Handlers ---
+
+  /**
+   * Closes the panel and resets its forms.
+   */
+  const closePanel = () => {
+    setOpen(false);
+    setForm(null);
+    setPinInput('');
+    setPinError('');
+    setConfirmingDelete(false);
+  };
+
+  /**
+   * Switches to another profile and closes the panel.
+   * @param {string} profileId - The profile's ID.
+   */
+  const handleSwitch = (profileId) => {
+    if (profileId !== activeProfile.id) {
+      switchProfile(profileId);
+    }
+    closePanel();
+  };
+
+  /**
+   * Creates a profile from the add form; the new profile becomes active.
+   * @param {{ name: string, color: string, pin?: string }} profile - The form details.
+   */
+  const handleAdd = async (profile) => {
+    if (await addProfile(profile)) {
+      closePanel();
+    }
+  };
+
+  /**
+   * Saves the edit form over the active profile.
+   * @param {{ name: string, color: string }} changes - The form details.
+   */
+  const handleEdit = (changes) => {
+    updateProfile(activeProfile.id, changes);
+    setForm(null);
+  };
+
+  /**
+   * Sets the PIN typed into the PIN form.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSetPin = async (event) => {
+    event.preventDefault();
+    if (!isValidPin(pinInput)) {
+      setPinError('PIN must be 4 to 8 digits.');
+      return;
+    }
+    if (await setProfilePin(pinInput)) {
+      setPinInput('');
+      setPinError('');
+    }
+  };
+
+  /**
+   * Deletes the active profile once the deletion is confirmed.
+   */
+  const handleDelete = () => {
+    removeProfile();
+    closePanel();
+  };
+
+  // --- Render Logic ---
+
+  return (
+    <div className="relative mt-2 flex justify-center">
+      <button
+        type="button"
+        onClick={() => (open ? closePanel() : setOpen(true))}
+        aria-expanded={open}
+        aria-controls="profile-panel"
+        className="flex items-center gap-2 rounded-full px-3 py-1 text-sm font-medium text-gray-700 hover:bg-gray-100 focus:ring-2 focus:ring-green-500 focus:outline-none"
+      >
+        <ProfileAvatar name={activeProfile.name} color={activeProfile.color} />
+        <span>{activeProfile.name}</span>
+        <span className="sr-only">(switch profile)</span>
+      </button>
+
+      {open && (
+        <div
+          id="profile-panel"
+          className="absolute top-full z-10 mt-2 w-72 space-y-4 rounded-lg bg-white p-4 text-left shadow-lg"
+        >
+          <ul aria-label="Profiles" className="space-y-1">
+            {profiles.map((profile) => (
+              <li key={profile.id}>
+                <button
+                  type="button"
+                  onClick={() => handleSwitch(profile.id)}
+                  aria-current={
+                    profile.id === activeProfile.id ? 'true' : undefined
+                  }
+                  className={`flex w-full items-center gap-2 rounded px-2 py-1 text-sm hover:bg-gray-100 ${
+                    profile.id === activeProfile.id
+                      ? 'font-semibold text-gray-900'
+                      : 'text-gray-700'
+                  }`}
+                >
+                  <ProfileAvatar name={profile.name} color={profile.color} />
+                  <span className="flex-grow text-left">{profile.name}</span>
+                  {profile.pinHash && (
+                    <span title="Locked with a PIN">
+                      <span aria-hidden="true">🔒</span>
+                      <span className="sr-only">(locked with a PIN)</span>
+                    </span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {form === 'add' && (
+            <ProfileForm
+              defaultColor={getUnusedProfileColor(profiles)}
+              onSave={handleAdd}
+              onCancel={() => setForm(null)}
+            />
+          )}
+
+          {form === 'edit' && canEdit && (
+            <div className="space-y-4">
+              <ProfileForm
+                profile={activeProfile}
+                onSave={handleEdit}
+                onCancel={() => setForm(null)}
+              />
+
+              <form onSubmit={handleSetPin} className="space-y-2" noValidate>
+                <label
+                  htmlFor="profile-pin-input"
+                  className="mb-1 block text-sm font-medium text-gray-700"
+                >
+                  {activeProfile.pinHash ? 'Change PIN:' : 'Set a PIN:'}
+                </label>
+                <div className="flex gap-2">
+                  <Input
+                    type="password"
+                    id="profile-pin-input"
+                    value={pinInput}
+                    onChange={(event) => {
+                      setPinInput(event.target.value);
+                      setPinError('');
+                    }}
+                    placeholder="4–8 digits"
+                    inputMode="numeric"
+                    aria-describedby="profile-pin-error"
+                    aria-invalid={!!pinError}
+                    autoComplete="new-password"
+                  />
+                  <Button type="submit" variant="secondary">
+                    Save PIN
+                  </Button>
+                </div>
+                <p id="profile-pin-error" className="h-4 text-sm text-red-600">
+                  {pinError}
+                </p>
+                {activeProfile.pinHash && (
+                  <Button
+                    variant="secondary"
+                    onClick={() => setProfilePin(null)}
+                    className="w-full"
+                  >
+                    Remove PIN
+                  </Button>
+                )}
+              </form>
+
+              {canDelete &&
+                (confirmingDelete ? (
+                  <div
+                    role="alert"
+                    className="space-y-2 rounded border border-red-200 bg-red-50 p-2 text-sm text-red-800"
+                  >
+                    <p>
+                      Delete {activeProfile.name} with its goal, food log and
+                      settings? This can&apos;t be undone.
+                    </p>
+                    <div className="flex justify-end gap-2">
+                      <Button
+                        variant="secondary"
+                        onClick={() => setConfirmingDelete(false)}
+                      >
+                        Cancel
+                      </Button>
+                      <Button
+                        onClick={handleDelete}
+                        className="bg-red-600 hover:bg-red-700 focus:ring-red-500"
+                      >
+                        Delete Profile
+                      </Button>
+                    </div>
+                  </div>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => setConfirmingDelete(true)}
+                    className="text-sm text-red-600 hover:underline"
+                  >
+                    Delete this profile…
+                  </button>
+                ))}
+            </div>
+          )}
+
+          {form === null && (
+            <div className="flex flex-wrap gap-2">
+              <Button variant="secondary" onClick={() => setForm('add')}>
+                Add Profile
+              </Button>
+              {canEdit && (
+                <Button variant="secondary" onClick={() => setForm('edit')}>
+                  Edit Profile
+                </Button>
+              )}
+              {canEdit && activeProfile.pinHash && (
+                <Button
+                  variant="secondary"
+                  onClick={() => {
+                    lock();
+                    closePanel();
+                  }}
+                >
+                  Lock
+                </Button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+ProfileSwitcher.propTypes = {};
+
+export default ProfileSwitcher;
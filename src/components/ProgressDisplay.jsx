@@ -1,15 +1,47 @@
 import React, { useContext, useMemo } from 'react';
 import PropTypes from 'prop-types';
 import { AppContext } from '../context/AppContext.jsx';
+import { formatDateLabel } from '../utils/dates.js';
+import { sumCalories, getRemainingCalories } from '../utils/helpers.js';
+import { getBurnedCalories } from '../utils/exercise.js';
+import {
+  MACRO_KEYS,
+  MACRO_LABELS,
+  hasMacros,
+  sumMacros,
+  macrosMatchCalories,
+} from '../utils/nutrition.js';
+import { MEAL_KEYS, MEAL_LABELS, groupByMeal } from '../utils/meals.js';
 
 /**
  * @component ProgressDisplay
  * @description Displays the user's daily calorie intake progress relative to their set goal.
- * Reads the necessary data (`goal` and `log`) from the shared `AppContext`.
+ * Reads the necessary data (`dayGoal` and `log`) from the shared `AppContext`.
+ * The goal is the selected day's, so weekday and scheduled goals are
+ * followed, and past days keep the goal they had.
+ * `log` only contains the selected day's entries, so totals reset each day.
+ * Also shows macro totals against `macroGoals`, and warns about entries whose
+ * macros don't add up to their calories (4/4/9 kcal per gram).
+ * When any per-meal budget is set, each meal's calories are reported against it.
+ * With the exercise log (`exerciseLog`), the calories burned that day and the
+ * net calories (consumed minus burned) are shown too; when
+ * `addBurnedCalories` is on, the burned calories add to what remains.
  */
 function ProgressDisplay() {
   // Consume the application context to access global state
-  const { goal, log } = useContext(AppContext);
+  const {
+    goal: dailyGoal,
+    dayGoal,
+    macroGoals,
+    mealBudgets,
+    log,
+    exerciseLog,
+    addBurnedCalories,
+    selectedDate,
+    today,
+  } = useContext(AppContext);
+  const goal = dayGoal ?? dailyGoal;
+  const showExercise = Array.isArray(exerciseLog);
 
   // --- Calculations ---
 
@@ -21,20 +53,50 @@ function ProgressDisplay() {
       console.warn('[ProgressDisplay] Log data is not an array:', log);
       return 0;
     }
-    return log.reduce((sum, item) => {
-      // Safely access calories and convert to number
-      const calories = Number(item?.calories);
-      // Add only if it's a valid, non-negative number; otherwise, add 0
-      return sum + (isNaN(calories) || calories < 0 ? 0 : calories);
-    }, 0);
+    // Invalid or negative calorie values are counted as 0
+    return sumCalories(log);
   }, [log]); // Dependency array: only recalculate when 'log' changes
 
+  // Calories burned exercising on the selected day
+  const burnedCalories = useMemo(
+    () => getBurnedCalories(exerciseLog, selectedDate),
+    [exerciseLog, selectedDate]
+  );
+  const budgetBurnedCalories = addBurnedCalories ? burnedCalories : 0;
+
+  // Macro totals and cross-check, only relevant once any macros are logged
+  const { macroTotals, showMacros, mismatchedItems } = useMemo(() => {
+    const items = Array.isArray(log) ? log : [];
+    const hasMacroGoals = MACRO_KEYS.some((key) => macroGoals?.[key] > 0);
+    return {
+      macroTotals: sumMacros(items),
+      showMacros: hasMacroGoals || items.some(hasMacros),
+      mismatchedItems: items.filter((item) => !macrosMatchCalories(item)),
+    };
+  }, [log, macroGoals]);
+
+  // Per-meal calories, only relevant once a meal budget is set
+  const { mealTotals, showMeals } = useMemo(() => {
+    const byMeal = groupByMeal(Array.isArray(log) ? log : []);
+    return {
+      mealTotals: Object.fromEntries(
+        MEAL_KEYS.map((key) => [key, sumCalories(byMeal[key])])
+      ),
+      showMeals: MEAL_KEYS.some((key) => mealBudgets?.[key] > 0),
+    };
+  }, [log, mealBudgets]);
+
   // Determine if the goal is valid (a positive number)
   const isGoalValid = typeof goal === 'number' && goal > 0;
 
   // Calculate remaining calories only if the goal is valid
   // Result can be positive, zero, or negative. Use null if goal is invalid.
-  const remainingCalories = isGoalValid ? goal - totalConsumedCalories : null;
+  // Shared with FoodSuggestions so both agree on what is left
+  const remainingCalories = getRemainingCalories(
+    goal,
+    log,
+    budgetBurnedCalories
+  );
 
   // Determine display text and styling for remaining calories
   let remainingDisplay;
@@ -61,9 +123,12 @@ function ProgressDisplay() {
   return (
     <div>
       {/* Heading consistent with GoalSetter */}
-      <h2 className="mb-4 text-xl font-semibold text-gray-700">
+      <h2 className="mb-1 text-xl font-semibold text-gray-700">
         Progress Summary
       </h2>
+      <p className="mb-4 text-sm text-gray-500">
+        {formatDateLabel(selectedDate, today)}
+      </p>
 
       {/* Display Consumed Calories */}
       <p className="mb-2 text-sm text-gray-600">
@@ -71,6 +136,22 @@ function ProgressDisplay() {
         <span className="font-medium">{totalConsumedCalories} calories</span>
       </p>
 
+      {/* Display Burned and Net Calories, with the exercise log */}
+      {showExercise && (
+        <>
+          <p className="mb-2 text-sm text-gray-600">
+            Burned:{' '}
+            <span className="font-medium">{burnedCalories} calories</span>
+          </p>
+          <p className="mb-2 text-sm text-gray-600">
+            Net:{' '}
+            <span className="font-medium">
+              {totalConsumedCalories - burnedCalories} calories
+            </span>
+          </p>
+        </>
+      )}
+
       {/* Display Remaining Calories (conditionally styled/messaged) */}
       <p className="mb-2 text-sm text-gray-600">
         Remaining: {remainingDisplay}
@@ -79,7 +160,75 @@ function ProgressDisplay() {
       {/* Display Set Goal */}
       <p className="text-sm text-gray-600">
         Goal: <span className="font-medium">{goalDisplay}</span>
+        {isGoalValid && budgetBurnedCalories > 0 && (
+          <span className="text-gray-500">
+            {' '}
+            + {budgetBurnedCalories} burned
+          </span>
+        )}
       </p>
+
+      {/* Macro totals versus goals */}
+      {showMacros && (
+        <div className="mt-4 border-t border-gray-100 pt-4">
+          <h3 className="mb-2 text-sm font-semibold text-gray-700">Macros</h3>
+          <ul className="space-y-1">
+            {MACRO_KEYS.map((key) => {
+              const macroGoal = macroGoals?.[key];
+              const hasGoal = typeof macroGoal === 'number' && macroGoal > 0;
+              const isOver = hasGoal && macroTotals[key] > macroGoal;
+              return (
+                <li key={key} className="text-sm text-gray-600">
+                  {MACRO_LABELS[key]}:{' '}
+                  <span
+                    className={`font-medium ${isOver ? 'text-red-600' : ''}`}
+                  >
+                    {macroTotals[key]} g
+                  </span>
+                  {hasGoal && (
+                    <span className="text-gray-500"> / {macroGoal} g</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+
+          {/* Warn when entered macros don't match the stated calories */}
+          {mismatchedItems.length > 0 && (
+            <p className="mt-2 text-sm text-yellow-700" role="alert">
+              Macros don&apos;t add up to the calories for:{' '}
+              {mismatchedItems.map((item) => item.name).join(', ')}.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Meal calories versus budgets */}
+      {showMeals && (
+        <div className="mt-4 border-t border-gray-100 pt-4">
+          <h3 className="mb-2 text-sm font-semibold text-gray-700">Meals</h3>
+          <ul className="space-y-1">
+            {MEAL_KEYS.map((key) => {
+              const budget = mealBudgets?.[key];
+              const hasBudget = typeof budget === 'number' && budget > 0;
+              const isOver = hasBudget && mealTotals[key] > budget;
+              return (
+                <li key={key} className="text-sm text-gray-600">
+                  {MEAL_LABELS[key]}:{' '}
+                  <span
+                    className={`font-medium ${isOver ? 'text-red-600' : ''}`}
+                  >
+                    {mealTotals[key]} calories
+                  </span>
+                  {hasBudget && (
+                    <span className="text-gray-500"> / {budget} calories</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
     </div>
   );
 }
@@ -89,4 +238,4 @@ function ProgressDisplay() {
 // it doesn't have specific props requiring validation here.
 ProgressDisplay.propTypes = {};
 
-export default ProgressDisplay;
\ No newline at end of file
+export default ProgressDisplay;
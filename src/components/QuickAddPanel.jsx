@@ -0,0 +1,190 @@
+import React, { useContext, useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { AppContext } from '../context/AppContext.jsx';
+import {
+  getFoodKey,
+  getFrequentFoods,
+  getRecentFoods,
+  toQuickAddItem,
+} from '../utils/foodHistory.js';
+import { formatQuantity } from '../utils/units.js';
+
+/**
+ * @component QuickAddRow
+ * @description One food in the quick-add panel: a button that logs it, and a
+ * star that pins it to or unpins it from the favorites.
+ * @param {object} props - Component props.
+ * @param {object} props.food - The loggable food fields (see `toQuickAddItem`).
+ * @param {number} [props.count] - How many times the food has been logged.
+ * @param {boolean} props.pinned - Whether the food is a favorite.
+ * @param {() => void} props.onLog - Called to log the food.
+ * @param {() => void} props.onTogglePin - Called to pin or unpin the food.
+ * @returns {JSX.Element} The rendered list item.
+ */
+function QuickAddRow({ food, count, pinned, onLog, onTogglePin }) {
+  return (
+    <li className="flex items-center gap-2 py-1">
+      <button
+        type="button"
+        onClick={onLog}
+        className="flex min-w-0 flex-1 items-center justify-between rounded px-1 text-left hover:bg-green-50 focus:ring-2 focus:ring-green-500 focus:outline-none"
+        aria-label={`Log ${food.name}`}
+      >
+        <span className="min-w-0 truncate text-gray-700">
+          {food.name}
+          {food.quantity !== undefined && (
+            <span className="ml-2 text-xs text-gray-400">
+              {formatQuantity(food.quantity, food.unit)}
+            </span>
+          )}
+        </span>
+        <span className="ml-2 whitespace-nowrap text-gray-900">
+          {food.calories} kcal
+          {count > 1 && (
+            <span className="ml-1 text-xs text-gray-400">×{count}</span>
+          )}
+        </span>
+      </button>
+      <button
+        type="button"
+        onClick={onTogglePin}
+        className={`text-base focus:ring-2 focus:ring-green-500 focus:outline-none ${
+          pinned ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'
+        }`}
+        aria-label={pinned ? `Unpin ${food.name}` : `Pin ${food.name}`}
+        aria-pressed={pinned}
+      >
+        {pinned ? '★' : '☆'}
+      </button>
+    </li>
+  );
+}
+
+QuickAddRow.propTypes = {
+  food: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    calories: PropTypes.number.isRequired,
+    quantity: PropTypes.number,
+    unit: PropTypes.string,
+  }).isRequired,
+  count: PropTypes.number,
+  pinned: PropTypes.bool.isRequired,
+  onLog: PropTypes.func.isRequired,
+  onTogglePin: PropTypes.func.isRequired,
+};
+
+/**
+ * @component QuickAddPanel
+ * @description Lets the user re-log foods with one click instead of retyping
+ * them. Shows the user's pinned favorites, the foods they logged most recently,
+ * and the foods they log most often, built from the full log history in
+ * `AppContext`. Each food is logged with the values from its last entry (or
+ * from when it was pinned) on the selected day, in the meal matching the
+ * current time.
+ */
+function QuickAddPanel() {
+  const { favoriteFoods, foodHistory, addLogItem, pinFood, unpinFood } =
+    useContext(AppContext);
+  const [status, setStatus] = useState('');
+
+  const favorites = useMemo(
+    () => (Array.isArray(favoriteFoods) ? favoriteFoods : []),
+    [favoriteFoods]
+  );
+  const history = useMemo(
+    () => (Array.isArray(foodHistory) ? foodHistory : []),
+    [foodHistory]
+  );
+
+  // Favorites are listed once, in their own section
+  const { recentFoods, frequentFoods } = useMemo(() => {
+    const favoriteKeys = new Set(
+      favorites.map((favorite) => getFoodKey(favorite.name))
+    );
+    const unpinned = history.filter((entry) => !favoriteKeys.has(entry.key));
+    return {
+      recentFoods: getRecentFoods(unpinned),
+      // Only foods logged more than once count as frequent
+      frequentFoods: getFrequentFoods(
+        unpinned.filter((entry) => entry.count > 1)
+      ),
+    };
+  }, [favorites, history]);
+
+  // --- Event Handlers ---
+
+  /**
+   * Logs a food with its stored values.
+   * @param {object} food - The food to log.
+   */
+  const handleLog = (food) => {
+    addLogItem(toQuickAddItem(food));
+    setStatus(`Logged ${food.name}.`);
+  };
+
+  // --- Render Logic ---
+
+  /**
+   * Renders one section of the panel, or nothing if it has no foods.
+   * @param {string} title - The section heading.
+   * @param {Array<{ food: object, count?: number, pinned: boolean }>} rows - The foods to show.
+   * @returns {JSX.Element | null} The rendered section.
+   */
+  const renderSection = (title, rows) =>
+    rows.length > 0 && (
+      <section aria-label={title}>
+        <h3 className="mb-1 text-sm font-semibold text-gray-700">{title}</h3>
+        <ul className="divide-y divide-gray-100 text-sm">
+          {rows.map(({ food, count, pinned }) => (
+            <QuickAddRow
+              key={getFoodKey(food.name)}
+              food={food}
+              count={count}
+              pinned={pinned}
+              onLog={() => handleLog(food)}
+              onTogglePin={() =>
+                pinned ? unpinFood(food.name) : pinFood(food)
+              }
+            />
+          ))}
+        </ul>
+      </section>
+    );
+
+  const toHistoryRow = (entry) => ({
+    food: toQuickAddItem(entry.item),
+    count: entry.count,
+    pinned: false,
+  });
+
+  return (
+    <div>
+      <h2 className="mb-4 text-xl font-semibold text-gray-700">Quick Add</h2>
+      {favorites.length === 0 && history.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Foods you log will appear here for one-click logging.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {renderSection(
+            'Favorites',
+            favorites.map((favorite) => ({
+              food: toQuickAddItem(favorite),
+              pinned: true,
+            }))
+          )}
+          {renderSection('Recent', recentFoods.map(toHistoryRow))}
+          {renderSection('Frequent', frequentFoods.map(toHistoryRow))}
+        </div>
+      )}
+      <p role="status" className="mt-2 h-4 text-sm text-green-700">
+        {status}
+      </p>
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+QuickAddPanel.propTypes = {};
+
+export default QuickAddPanel;
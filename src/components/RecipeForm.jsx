@@ -0,0 +1,294 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Input from './common/Input.jsx';
+import Button from './common/Button.jsx';
+import Select from './common/Select.jsx';
+import FoodAutocomplete from './FoodAutocomplete.jsx';
+import {
+  UNIT_LABELS,
+  formatQuantity,
+  getAvailableUnits,
+  scaleNutrition,
+} from '../utils/units.js';
+import { getRecipePerServing } from '../utils/recipes.js';
+
+/**
+ * @component RecipeForm
+ * @description A form for building a multi-ingredient recipe: a name, the
+ * number of servings it makes, and ingredients picked from a food list with a
+ * quantity and unit. Each ingredient's calories and macros are computed when
+ * it is added, and the per-serving totals are previewed as the recipe changes.
+ * Pre-filled when editing an existing recipe. Remount it (e.g., with a `key`)
+ * to load a different recipe.
+ * @param {object} props - Component props.
+ * @param {object} [props.recipe] - The saved recipe being edited, if any.
+ * @param {Array<object>} [props.foods] - The foods ingredients can be picked from.
+ * @param {(recipe: object) => void} props.onSave - Called with the recipe details on save.
+ * @param {() => void} [props.onCancel] - Called when editing is cancelled.
+ * @returns {JSX.Element} The rendered form.
+ */
+function RecipeForm({ recipe, foods, onSave, onCancel }) {
+  const [name, setName] = useState(recipe?.name ?? '');
+  const [servings, setServings] = useState(
+    recipe ? String(recipe.servings) : '1'
+  );
+  const [ingredients, setIngredients] = useState(recipe?.ingredients ?? []);
+  const [error, setError] = useState('');
+
+  // Ingredient being added
+  const [search, setSearch] = useState('');
+  const [pickedFood, setPickedFood] = useState(null);
+  const [quantity, setQuantity] = useState('1');
+  const [unit, setUnit] = useState('serving');
+
+  const parsedServings = parseFloat(servings);
+  const perServing = getRecipePerServing({
+    servings: parsedServings,
+    ingredients,
+  });
+
+  // --- Event Handlers ---
+
+  /**
+   * Starts adding a picked food, at one serving if the food supports it.
+   * @param {object} food - The food picked in the autocomplete.
+   */
+  const handleSelectFood = (food) => {
+    const units = getAvailableUnits(food);
+    setSearch(food.name);
+    setPickedFood(food);
+    setQuantity('1');
+    setUnit(units.includes('serving') ? 'serving' : units[0]);
+  };
+
+  /**
+   * Adds the picked food to the ingredient list with its scaled values.
+   */
+  const handleAddIngredient = () => {
+    const parsedQuantity = parseFloat(quantity);
+    const scaled = scaleNutrition(pickedFood, parsedQuantity, unit);
+    if (!/^\d+(\.\d+)?$/.test(quantity.trim()) || !scaled) {
+      setError('Quantity must be a positive number.');
+      return;
+    }
+    setIngredients((prevIngredients) => [
+      ...prevIngredients,
+      { name: pickedFood.name, quantity: parsedQuantity, unit, ...scaled },
+    ]);
+    setSearch('');
+    setPickedFood(null);
+    setError('');
+  };
+
+  /**
+   * Removes an ingredient by its position in the list.
+   * @param {number} index - The ingredient's index.
+   */
+  const handleRemoveIngredient = (index) => {
+    setIngredients((prevIngredients) =>
+      prevIngredients.filter((_, itemIndex) => itemIndex !== index)
+    );
+  };
+
+  /**
+   * Validates the recipe and passes it to `onSave`.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!name.trim()) {
+      setError('Recipe name cannot be empty.');
+      return;
+    }
+    if (!/^\d+(\.\d+)?$/.test(servings.trim()) || !(parsedServings > 0)) {
+      setError('Servings must be a positive number.');
+      return;
+    }
+    if (ingredients.length === 0) {
+      setError('Add at least one ingredient.');
+      return;
+    }
+    onSave({ name: name.trim(), servings: parsedServings, ingredients });
+    setError('');
+
+    if (!recipe) {
+      setName('');
+      setServings('1');
+      setIngredients([]);
+    }
+  };
+
+  // --- Render Logic ---
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2" noValidate>
+      <div className="grid grid-cols-3 gap-2">
+        <div className="col-span-2">
+          <label
+            htmlFor="recipe-name"
+            className="mb-1 block text-sm font-medium text-gray-700"
+          >
+            Recipe Name:
+          </label>
+          <Input
+            id="recipe-name"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="E.g., Chili"
+            aria-describedby="recipe-error"
+            autoComplete="off"
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="recipe-servings"
+            className="mb-1 block text-sm font-medium text-gray-700"
+          >
+            Servings:
+          </label>
+          <Input
+            type="number"
+            id="recipe-servings"
+            value={servings}
+            onChange={(event) => setServings(event.target.value)}
+            min={1}
+            step={1}
+            aria-describedby="recipe-error"
+            autoComplete="off"
+          />
+        </div>
+      </div>
+
+      {/* Ingredient picker */}
+      <div>
+        <label
+          htmlFor="ingredient-search"
+          className="mb-1 block text-sm font-medium text-gray-700"
+        >
+          Add Ingredient:
+        </label>
+        <FoodAutocomplete
+          id="ingredient-search"
+          value={search}
+          onChange={(event) => {
+            setSearch(event.target.value);
+            setPickedFood(null);
+          }}
+          onSelectFood={handleSelectFood}
+          foods={foods}
+          placeholder="Search foods"
+        />
+      </div>
+      {pickedFood && (
+        <div className="flex items-end gap-2">
+          <Input
+            type="number"
+            value={quantity}
+            onChange={(event) => setQuantity(event.target.value)}
+            min={0}
+            step={0.1}
+            aria-label="Ingredient quantity"
+            autoComplete="off"
+          />
+          <Select
+            value={unit}
+            onChange={(event) => setUnit(event.target.value)}
+            options={getAvailableUnits(pickedFood).map((key) => ({
+              value: key,
+              label: UNIT_LABELS[key],
+            }))}
+            aria-label="Ingredient unit"
+          />
+          <Button
+            variant="secondary"
+            onClick={handleAddIngredient}
+            className="whitespace-nowrap"
+          >
+            Add
+          </Button>
+        </div>
+      )}
+
+      {/* Ingredient list */}
+      {ingredients.length > 0 && (
+        <ul
+          className="divide-y divide-gray-100 text-sm"
+          aria-label="Ingredients"
+        >
+          {ingredients.map((ingredient, index) => (
+            <li
+              key={`${ingredient.name}-${index}`}
+              className="flex items-center justify-between py-1"
+            >
+              <span className="text-gray-700">
+                {ingredient.name}
+                <span className="ml-2 text-xs text-gray-400">
+                  {formatQuantity(ingredient.quantity, ingredient.unit)}
+                </span>
+              </span>
+              <span className="flex items-center gap-2">
+                <span className="text-gray-900">
+                  {ingredient.calories} kcal
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleRemoveIngredient(index)}
+                  className="text-xs text-gray-500 hover:text-red-600 focus:ring-2 focus:ring-red-500 focus:outline-none"
+                  aria-label={`Remove ${ingredient.name}`}
+                >
+                  Remove
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {perServing && ingredients.length > 0 && (
+        <p className="text-sm text-gray-600">
+          Per serving:{' '}
+          <span className="font-medium">{perServing.calories} kcal</span>
+        </p>
+      )}
+
+      <p id="recipe-error" className="h-4 text-sm text-red-600">
+        {error}
+      </p>
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <Button variant="secondary" onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        <Button type="submit">
+          {recipe ? 'Update Recipe' : 'Save Recipe'}
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+// Define prop types for the component for type checking and documentation
+RecipeForm.propTypes = {
+  /**
+   * The saved recipe being edited. Omit to create a new recipe.
+   */
+  recipe: PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    servings: PropTypes.number.isRequired,
+    ingredients: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }),
+  /**
+   * The foods ingredients can be picked from. Defaults to the bundled database.
+   */
+  foods: PropTypes.arrayOf(PropTypes.object),
+  /**
+   * Function called with the validated recipe details when the form is saved.
+   */
+  onSave: PropTypes.func.isRequired,
+  /**
+   * Function called when editing is cancelled. The cancel button is hidden if omitted.
+   */
+  onCancel: PropTypes.func,
+};
+
+export default RecipeForm;
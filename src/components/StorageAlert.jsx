@@ -0,0 +1,62 @@
+import React, { useContext } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+
+/**
+ * @component StorageAlert
+ * @description Tells the user when saved data couldn't be loaded (or was
+ * only partly kept by an upgrade) when the app started (see `storageErrors`
+ * in `AppContext`), and where a copy of the original data was kept. Renders
+ * nothing when there is nothing to report.
+ */
+function StorageAlert() {
+  const { storageErrors, dismissStorageErrors } = useContext(AppContext);
+
+  if (!Array.isArray(storageErrors) || storageErrors.length === 0) {
+    return null;
+  }
+
+  return (
+    <div
+      role="alert"
+      className="mb-6 rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-800"
+    >
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <p className="font-semibold">
+            Some saved data couldn&apos;t be loaded.
+          </p>
+          <ul className="mt-1 list-disc space-y-1 pl-5">
+            {storageErrors.map((error) => (
+              <li key={`${error.key}:${error.message}`}>
+                {error.label} {error.message}
+                {error.backupKey && (
+                  <>
+                    {' '}
+                    A copy of the original was kept in browser storage under{' '}
+                    <code className="rounded bg-red-100 px-1">
+                      {error.backupKey}
+                    </code>
+                    .
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+        <button
+          type="button"
+          onClick={dismissStorageErrors}
+          className="text-red-600 hover:text-red-800 focus:ring-2 focus:ring-red-500 focus:outline-none"
+          aria-label="Dismiss storage warning"
+        >
+          &times;
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+StorageAlert.propTypes = {};
+
+export default StorageAlert;
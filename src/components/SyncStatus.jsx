@@ -0,0 +1,86 @@
+import React, { useContext } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+
+/**
+ * Labels and dot colors for each sync state.
+ */
+const STATE_DISPLAY = {
+  idle: { label: 'Synced', dotClassName: 'bg-green-500' },
+  syncing: { label: 'Syncing…', dotClassName: 'bg-blue-500 animate-pulse' },
+  offline: { label: 'Offline', dotClassName: 'bg-gray-400' },
+  error: { label: 'Sync error', dotClassName: 'bg-red-500' },
+};
+
+/**
+ * Formats a count of changes, e.g. "1 change".
+ * @param {number} count - The number of changes.
+ * @returns {string} The formatted count.
+ */
+const formatChanges = (count) =>
+  `${count} ${count === 1 ? 'change' : 'changes'}`;
+
+/**
+ * @component SyncStatus
+ * @description Shows whether the goal and food log are synced with the
+ * backend (see `syncStatus` in `AppContext`): when they were last synced,
+ * how many changes are waiting to be sent, and the last error. Offers a
+ * "Sync now" button unless a sync is running. Renders nothing when syncing
+ * is off.
+ */
+function SyncStatus() {
+  const { syncStatus, syncNow } = useContext(AppContext);
+
+  if (!syncStatus) {
+    return null;
+  }
+
+  const { state, pendingChanges, lastSyncedAt, conflicts, error } = syncStatus;
+  const display = STATE_DISPLAY[state] ?? STATE_DISPLAY.idle;
+  const details = [];
+  if (pendingChanges > 0) {
+    details.push(`${formatChanges(pendingChanges)} waiting to be sent`);
+  } else if (state === 'idle' && lastSyncedAt) {
+    details.push(
+      `Last synced at ${new Date(lastSyncedAt).toLocaleTimeString([], {
+        hour: '2-digit',
+        minute: '2-digit',
+      })}`
+    );
+  }
+  if (conflicts > 0) {
+    details.push(
+      `${formatChanges(conflicts)} replaced by newer ones from another device`
+    );
+  }
+
+  return (
+    <div className="mt-2 flex items-center justify-center gap-2 text-sm text-gray-600">
+      <p
+        role="status"
+        className="flex items-center gap-2"
+        title={state === 'error' && error ? error : undefined}
+      >
+        <span
+          className={`inline-block h-2 w-2 rounded-full ${display.dotClassName}`}
+          aria-hidden="true"
+        />
+        <span className="font-medium">{display.label}</span>
+        {details.length > 0 && <span>· {details.join(' · ')}</span>}
+      </p>
+      {state !== 'syncing' && (
+        <button
+          type="button"
+          onClick={() => syncNow()}
+          className="rounded px-2 py-0.5 text-green-700 hover:bg-green-50 focus:ring-2 focus:ring-green-500 focus:outline-none"
+        >
+          Sync now
+        </button>
+      )}
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+SyncStatus.propTypes = {};
+
+export default SyncStatus;
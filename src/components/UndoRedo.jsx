@@ -0,0 +1,146 @@
+import React, { useContext, useEffect, useState, useCallback } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+import Toast from './common/Toast.jsx';
+
+/**
+ * Whether a key press happened in a field, where Ctrl+Z should undo typing
+ * instead of the latest change.
+ * @param {EventTarget | null} target - The element the key was pressed in.
+ * @returns {boolean} True if the element edits text.
+ */
+const isEditableTarget = (target) =>
+  Boolean(
+    target &&
+      (target.isContentEditable ||
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+  );
+
+/**
+ * The notification text and action for a change, or null if the change
+ * needs no notification. Deletions can be undone straight away; undoing or
+ * redoing a change says what happened, so it isn't done by mistake unnoticed.
+ * @param {import('../hooks/useUndoHistory.js').HistoryChange} change - The change.
+ * @returns {{ message: string, actionLabel: string } | null} The notification.
+ */
+const getNotification = (change) => {
+  switch (change.type) {
+    case 'undo':
+      return { message: `Undone: ${change.label}.`, actionLabel: 'Redo' };
+    case 'redo':
+      return { message: `Redone: ${change.label}.`, actionLabel: 'Undo' };
+    default:
+      return change.destructive
+        ? { message: `${change.label}.`, actionLabel: 'Undo' }
+        : null;
+  }
+};
+
+/**
+ * @component UndoRedo
+ * @description Undo and Redo buttons for the changes recorded in `AppContext`
+ * (see `history`), with the usual shortcuts: Ctrl+Z (Cmd+Z on a Mac) to undo,
+ * Ctrl+Shift+Z or Ctrl+Y to redo. The shortcuts are left to the browser
+ * while typing in a field. Deleting something, undoing or redoing shows a
+ * toast that offers to reverse it.
+ */
+function UndoRedo() {
+  const { history, undo, redo } = useContext(AppContext);
+  const lastChange = history?.lastChange ?? null;
+
+  // The ID of the change whose toast was closed
+  const [dismissedChangeId, setDismissedChangeId] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (
+        !(event.ctrlKey || event.metaKey) ||
+        event.altKey ||
+        isEditableTarget(event.target)
+      ) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      let handled = false;
+      if (key === 'z') {
+        handled = event.shiftKey ? redo() : undo();
+      } else if (key === 'y' && !event.shiftKey) {
+        handled = redo();
+      }
+      if (handled) {
+        event.preventDefault();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const handleDismissToast = useCallback(() => {
+    setDismissedChangeId(lastChange?.id ?? null);
+  }, [lastChange]);
+
+  if (!history) {
+    return null;
+  }
+
+  const notification =
+    lastChange && lastChange.id !== dismissedChangeId
+      ? getNotification(lastChange)
+      : null;
+
+  const buttonClassName =
+    'rounded px-2 py-0.5 text-green-700 hover:bg-green-50 focus:ring-2 focus:ring-green-500 focus:outline-none disabled:cursor-not-allowed disabled:text-gray-400 disabled:hover:bg-transparent';
+
+  return (
+    <div className="mt-2 flex items-center justify-center gap-2 text-sm">
+      <button
+        type="button"
+        onClick={() => undo()}
+        disabled={!history.canUndo}
+        title={
+          history.undoLabel
+            ? `Undo: ${history.undoLabel} (Ctrl+Z)`
+            : 'Nothing to undo'
+        }
+        className={buttonClassName}
+      >
+        Undo
+      </button>
+      <button
+        type="button"
+        onClick={() => redo()}
+        disabled={!history.canRedo}
+        title={
+          history.redoLabel
+            ? `Redo: ${history.redoLabel} (Ctrl+Shift+Z)`
+            : 'Nothing to redo'
+        }
+        className={buttonClassName}
+      >
+        Redo
+      </button>
+
+      {notification && (
+        <Toast
+          // A new change restarts the toast's timer, even with the same text
+          key={lastChange.id}
+          message={notification.message}
+          actionLabel={notification.actionLabel}
+          onAction={() => {
+            if (notification.actionLabel === 'Redo') {
+              redo();
+            } else {
+              undo();
+            }
+          }}
+          onDismiss={handleDismissToast}
+        />
+      )}
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+UndoRedo.propTypes = {};
+
+export default UndoRedo;
@@ -0,0 +1,96 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getDaysBetween } from '../utils/dates.js';
+import { fromKilograms, formatWeight } from '../utils/weight.js';
+
+const WIDTH = 300;
+const HEIGHT = 120;
+const PADDING = 8;
+
+/**
+ * @component WeightChart
+ * @description
+ * Plots weigh-ins as dots and their smoothed trend as a line, over time.
+ * Days are spaced by date, so gaps between weigh-ins show as gaps. The
+ * vertical axis spans the lowest to the highest value shown, with the range
+ * labeled at the side.
+ *
+ * @param {object} props - Component props.
+ * @param {import('../utils/weight.js').TrendPoint[]} props.points - The weigh-ins and trend, oldest first.
+ * @param {'kg' | 'lb'} props.unit - The unit to label the weights in.
+ * @returns {JSX.Element | null} The chart, or null with fewer than two points.
+ */
+function WeightChart({ points, unit }) {
+  if (points.length < 2) {
+    return null;
+  }
+  const first = points[0];
+  const last = points[points.length - 1];
+  const days = Math.max(1, getDaysBetween(first.date, last.date));
+  const values = points.flatMap((point) => [point.weightKg, point.trendKg]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  // Keep a flat line in the middle rather than dividing by zero
+  const range = max - min || 1;
+
+  const toX = (date) =>
+    PADDING + (getDaysBetween(first.date, date) / days) * (WIDTH - 2 * PADDING);
+  const toY = (kilograms) =>
+    HEIGHT - PADDING - ((kilograms - min) / range) * (HEIGHT - 2 * PADDING);
+
+  const trendPath = points
+    .map((point) => `${toX(point.date)},${toY(point.trendKg)}`)
+    .join(' ');
+  const label = `Weight from ${first.date} to ${last.date}: trend from ${formatWeight(first.trendKg, unit)} to ${formatWeight(last.trendKg, unit)}`;
+
+  return (
+    <figure className="flex items-stretch gap-2">
+      <figcaption className="flex flex-col justify-between text-xs text-gray-500">
+        <span>{fromKilograms(max, unit).toFixed(1)}</span>
+        <span>{unit}</span>
+        <span>{fromKilograms(min, unit).toFixed(1)}</span>
+      </figcaption>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="h-32 w-full"
+        role="img"
+        aria-label={label}
+      >
+        {points.map((point) => (
+          <circle
+            key={point.date}
+            cx={toX(point.date)}
+            cy={toY(point.weightKg)}
+            r={2.5}
+            className="fill-gray-400"
+          />
+        ))}
+        <polyline
+          points={trendPath}
+          fill="none"
+          strokeWidth={2}
+          className="stroke-green-600"
+        />
+      </svg>
+    </figure>
+  );
+}
+
+WeightChart.propTypes = {
+  /**
+   * The weigh-ins and their trend, oldest first.
+   */
+  points: PropTypes.arrayOf(
+    PropTypes.shape({
+      date: PropTypes.string.isRequired,
+      weightKg: PropTypes.number.isRequired,
+      trendKg: PropTypes.number.isRequired,
+    })
+  ).isRequired,
+  /**
+   * The unit to label the weights in.
+   */
+  unit: PropTypes.oneOf(['kg', 'lb']).isRequired,
+};
+
+export default WeightChart;
@@ -0,0 +1,240 @@
+import React, { useState, useContext, useMemo } from 'react';
+import { AppContext } from '../context/AppContext.jsx';
+import Input from './common/Input.jsx';
+import Select from './common/Select.jsx';
+import Button from './common/Button.jsx';
+import WeightChart from './WeightChart.jsx';
+import { formatDateLabel, getDaysBetween } from '../utils/dates.js';
+import {
+  WEIGHT_UNITS,
+  calculateWeightTrend,
+  calculateWeeklyRate,
+  formatWeight,
+  formatWeeklyRate,
+  getWeightLimits,
+  getDisplayUnit,
+  MIN_RATE_DAYS,
+} from '../utils/weight.js';
+
+/**
+ * How many days back the chart goes.
+ */
+const CHART_DAYS = 90;
+
+/**
+ * How many of the latest weigh-ins are listed.
+ */
+const RECENT_ENTRIES = 5;
+
+const UNIT_OPTIONS = WEIGHT_UNITS.map((unit) => ({ value: unit, label: unit }));
+
+/**
+ * @component WeightTracker
+ * @description
+ * Logs body weight, one weigh-in per day, and shows the smoothed trend with
+ * how fast it is changing each week. The trend filters out the day-to-day
+ * swings of water weight (see `src/utils/weight.js`). Weights are shown in
+ * the unit of the latest weigh-in. Reads `weightLog`, `addWeightEntry` and
+ * `removeWeightEntry` from `AppContext`.
+ */
+function WeightTracker() {
+  const { weightLog, addWeightEntry, removeWeightEntry, today } =
+    useContext(AppContext);
+
+  const entries = useMemo(
+    () =>
+      (Array.isArray(weightLog) ? weightLog : [])
+        .slice()
+        .sort((a, b) => b.date.localeCompare(a.date)),
+    [weightLog]
+  );
+  const trend = useMemo(() => calculateWeightTrend(weightLog), [weightLog]);
+  const weeklyRate = calculateWeeklyRate(trend);
+  const displayUnit = getDisplayUnit(weightLog);
+  const latestTrend = trend[trend.length - 1];
+  const chartPoints = trend.filter(
+    (point) => getDaysBetween(point.date, today) <= CHART_DAYS
+  );
+
+  const [inputs, setInputs] = useState(() => ({
+    date: today,
+    value: '',
+    unit: displayUnit,
+  }));
+  const [error, setError] = useState('');
+
+  /**
+   * Updates one of the inputs and clears the previous error.
+   * @param {'date' | 'value' | 'unit'} key - The input being edited.
+   * @param {React.ChangeEvent<HTMLInputElement | HTMLSelectElement>} event - The change event object.
+   */
+  const handleInputChange = (key, event) => {
+    setInputs({ ...inputs, [key]: event.target.value });
+    setError('');
+  };
+
+  /**
+   * Validates the inputs and logs the weigh-in. The context validates it
+   * again; these checks give friendlier messages.
+   * @param {React.FormEvent<HTMLFormElement>} event - The form submission event object.
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const value = inputs.value.trim() === '' ? NaN : Number(inputs.value);
+    const { min, max } = getWeightLimits(inputs.unit);
+    if (!inputs.date) {
+      setError('Choose the day of the weigh-in.');
+      return;
+    }
+    if (inputs.date > today) {
+      setError('Weigh-ins cannot be in the future.');
+      return;
+    }
+    if (!(value >= min && value <= max)) {
+      setError(`Weight must be between ${min} and ${max} ${inputs.unit}.`);
+      return;
+    }
+    addWeightEntry({ date: inputs.date, value, unit: inputs.unit });
+    setInputs({ ...inputs, value: '' });
+  };
+
+  return (
+    <div>
+      <h2 className="mb-4 text-xl font-semibold text-gray-700">Weight</h2>
+
+      {latestTrend ? (
+        <p className="mb-2 text-sm text-gray-600">
+          Trend:{' '}
+          <span className="font-medium">
+            {formatWeight(latestTrend.trendKg, displayUnit)}
+          </span>
+          {weeklyRate !== null ? (
+            <>
+              {' · '}
+              <span className="font-medium">
+                {formatWeeklyRate(weeklyRate, displayUnit)}
+              </span>
+            </>
+          ) : (
+            <span className="block text-xs text-gray-500">
+              Log weigh-ins over at least {MIN_RATE_DAYS} days to see the weekly
+              rate.
+            </span>
+          )}
+        </p>
+      ) : (
+        <p className="mb-2 text-sm text-gray-500">
+          No weigh-ins yet. Weigh yourself at the same time each day; the trend
+          smooths out the daily ups and downs.
+        </p>
+      )}
+
+      <WeightChart points={chartPoints} unit={displayUnit} />
+
+      <form onSubmit={handleSubmit} className="mt-4" noValidate>
+        <div className="grid grid-cols-3 gap-2">
+          <div>
+            <label
+              htmlFor="weight-date-input"
+              className="mb-1 block text-xs text-gray-600"
+            >
+              Date:
+            </label>
+            <Input
+              type="date"
+              id="weight-date-input"
+              name="weightDate"
+              value={inputs.date}
+              onChange={(event) => handleInputChange('date', event)}
+              max={today}
+              aria-describedby="weight-error"
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="weight-value-input"
+              className="mb-1 block text-xs text-gray-600"
+            >
+              Weight:
+            </label>
+            <Input
+              type="number"
+              id="weight-value-input"
+              name="weightValue"
+              placeholder="E.g., 72.5"
+              value={inputs.value}
+              onChange={(event) => handleInputChange('value', event)}
+              min={0}
+              step={0.1}
+              aria-describedby="weight-error"
+              autoComplete="off"
+            />
+          </div>
+          <div>
+            <label
+              htmlFor="weight-unit-select"
+              className="mb-1 block text-xs text-gray-600"
+            >
+              Unit:
+            </label>
+            <Select
+              id="weight-unit-select"
+              name="weightUnit"
+              value={inputs.unit}
+              onChange={(event) => handleInputChange('unit', event)}
+              options={UNIT_OPTIONS}
+            />
+          </div>
+        </div>
+        <p id="weight-error" className="mb-2 h-4 text-sm text-red-600">
+          {error}
+        </p>
+        <Button
+          type="submit"
+          variant="primary"
+          disabled={!!error}
+          className="w-full"
+        >
+          Log Weight
+        </Button>
+      </form>
+
+      {entries.length > 0 && (
+        <ul
+          className="mt-4 divide-y divide-gray-100 text-sm"
+          aria-label="Recent weigh-ins"
+        >
+          {entries.slice(0, RECENT_ENTRIES).map((entry) => {
+            const dateLabel = formatDateLabel(entry.date, today);
+            return (
+              <li
+                key={entry.id}
+                className="flex items-center justify-between py-1"
+              >
+                <span className="text-gray-700">{dateLabel}</span>
+                <span className="ml-2 flex items-center gap-2">
+                  <span className="whitespace-nowrap text-gray-900">
+                    {entry.value} {entry.unit}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => removeWeightEntry(entry.id)}
+                    className="text-xs text-gray-500 hover:text-red-600 focus:ring-2 focus:ring-red-500 focus:outline-none"
+                    aria-label={`Delete the weigh-in for ${dateLabel}`}
+                  >
+                    Delete
+                  </button>
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// No external props are expected; relies on context. Consistent with GoalSetter.
+WeightTracker.propTypes = {};
+
+export default WeightTracker;
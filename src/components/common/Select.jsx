@@ -0,0 +1,103 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * A reusable select (dropdown) component styled with Tailwind CSS.
+ *
+ * Matches the look of the Input component so the two can sit side by side in
+ * forms. Designed as a controlled component; options are passed as data.
+ */
+const Select = ({
+  value,
+  onChange,
+  options,
+  name,
+  id,
+  disabled = false,
+  'aria-label': ariaLabel,
+  'aria-describedby': ariaDescribedby,
+  className = '',
+  ...rest // Capture any other standard select attributes
+}) => {
+  // Base styles shared with Input.jsx
+  const baseClasses =
+    'block w-full rounded-md border border-gray-300 bg-white py-2 px-3 text-sm shadow-sm transition duration-150 ease-in-out focus:border-green-500 focus:outline-none focus:ring-1 focus:ring-green-500';
+
+  const disabledClasses =
+    'disabled:cursor-not-allowed disabled:bg-gray-100 disabled:text-gray-500 disabled:opacity-75';
+
+  // Combine all classes, consistent with Input.jsx
+  const selectClassName = `${baseClasses} ${
+    disabled ? disabledClasses : ''
+  } ${className}`
+    .trim()
+    .replace(/\s+/g, ' ');
+
+  return (
+    <select
+      value={value}
+      onChange={onChange}
+      name={name}
+      id={id}
+      disabled={disabled}
+      aria-label={ariaLabel}
+      aria-describedby={ariaDescribedby}
+      className={selectClassName}
+      {...rest} // Spread remaining props onto the select element
+    >
+      {options.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+// Define prop types for the component for type checking and documentation
+Select.propTypes = {
+  /**
+   * The currently selected option value (controlled component).
+   */
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  /**
+   * Function called when the selection changes. Receives the event object.
+   */
+  onChange: PropTypes.func.isRequired,
+  /**
+   * The options to choose from, in display order.
+   */
+  options: PropTypes.arrayOf(
+    PropTypes.shape({
+      value: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+        .isRequired,
+      label: PropTypes.string.isRequired,
+    })
+  ).isRequired,
+  /**
+   * The name attribute for the select element, used for form submission.
+   */
+  name: PropTypes.string,
+  /**
+   * The id attribute for the select element, useful for associating labels.
+   */
+  id: PropTypes.string,
+  /**
+   * If `true`, the select will be visually disabled and non-interactive.
+   */
+  disabled: PropTypes.bool,
+  /**
+   * Defines a string value that labels the current element for accessibility.
+   */
+  'aria-label': PropTypes.string,
+  /**
+   * Identifies the element(s) that describe the object for accessibility.
+   */
+  'aria-describedby': PropTypes.string,
+  /**
+   * Additional Tailwind CSS classes to apply for customization.
+   */
+  className: PropTypes.string,
+};
+
+export default Select;
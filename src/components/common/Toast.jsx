@@ -0,0 +1,79 @@
+import React, { useEffect } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * A small notification pinned to the bottom of the screen, styled with Tailwind CSS.
+ *
+ * Shows a message with an optional action (e.g., "Undo") and dismisses itself
+ * after `duration` milliseconds. The parent controls visibility by rendering
+ * or unmounting the toast; `onDismiss` is called when it times out or is closed.
+ */
+const Toast = ({
+  message,
+  actionLabel,
+  onAction,
+  onDismiss,
+  duration = 5000,
+}) => {
+  // Auto-dismiss timer. Restarts if a new message replaces the current one.
+  useEffect(() => {
+    if (!duration) {
+      return undefined;
+    }
+    const timerId = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timerId);
+  }, [message, duration, onDismiss]);
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-4 left-1/2 z-50 flex -translate-x-1/2 items-center gap-4 rounded-md bg-gray-800 px-4 py-3 text-sm text-white shadow-lg"
+    >
+      <span>{message}</span>
+      {actionLabel && onAction && (
+        <button
+          type="button"
+          onClick={onAction}
+          className="font-semibold text-green-300 hover:text-green-200 focus:ring-2 focus:ring-green-400 focus:outline-none"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button
+        type="button"
+        onClick={onDismiss}
+        aria-label="Dismiss notification"
+        className="text-gray-400 hover:text-white focus:ring-2 focus:ring-gray-400 focus:outline-none"
+      >
+        &times;
+      </button>
+    </div>
+  );
+};
+
+// Define prop types for the component for type checking and documentation
+Toast.propTypes = {
+  /**
+   * The text shown in the notification.
+   */
+  message: PropTypes.string.isRequired,
+  /**
+   * Label for the optional action button (e.g., "Undo").
+   */
+  actionLabel: PropTypes.string,
+  /**
+   * Function to execute when the action button is clicked.
+   */
+  onAction: PropTypes.func,
+  /**
+   * Function called when the toast times out or is closed.
+   */
+  onDismiss: PropTypes.func.isRequired,
+  /**
+   * Milliseconds before the toast dismisses itself. Use 0 to keep it open.
+   */
+  duration: PropTypes.number,
+};
+
+export default Toast;
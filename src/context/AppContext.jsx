@@ -1,31 +1,216 @@
 import React, {
   createContext,
   useState,
-  useContext,
+  useEffect,
   useCallback,
   useMemo,
+  useRef,
 } from 'react';
 import PropTypes from 'prop-types';
 import { nanoid } from 'nanoid';
-// Assuming useLocalStorage hook exists and handles persistence correctly
-// Note: The content of useLocalStorage.js was not provided,
-// so its implementation details (like error handling within the hook) are assumed.
-import { useLocalStorage } from '../hooks/useLocalStorage.js';
+import useLocalStorage from '../hooks/useLocalStorage.js';
+import useLogStorage from '../hooks/useLogStorage.js';
+import useSync from '../hooks/useSync.js';
+import useUndoHistory, {
+  DEFAULT_HISTORY_LIMIT,
+} from '../hooks/useUndoHistory.js';
+import {
+  toDateKey,
+  isValidDateKey,
+  parseDateKey,
+  getTodayKey,
+  msUntilNextMidnight,
+  groupLogByDate,
+} from '../utils/dates.js';
+import { MACRO_KEYS } from '../utils/nutrition.js';
+import { MEAL_KEYS, getMealForTime } from '../utils/meals.js';
+import { getFoodKey, getFoodHistory } from '../utils/foodHistory.js';
+import {
+  DEFAULT_PROFILE_ID,
+  getProfileStorageKeys,
+  prepareStorage,
+} from '../utils/storage.js';
+import { IMPORT_MODES, importSection } from '../utils/backup.js';
+import { createMergeByKey, mergeById } from '../utils/sync.js';
+import { LOG_STORAGE_NAMES, resolveLogStorage } from '../utils/logStorage.js';
+import {
+  WEEKDAY_KEYS,
+  DEFAULT_WEEKDAY_GOALS,
+  resolveGoal,
+  getGoalPlanForDate,
+  isSameGoalPlan,
+  addGoalHistoryEntry,
+} from '../utils/goals.js';
+import { formatTargetPace, isValidTargetPace } from '../utils/weight.js';
+import {
+  findActivity,
+  estimateExerciseCalories,
+  getBodyWeightForDate,
+} from '../utils/exercise.js';
+import {
+  validateGoal,
+  validateOptionalGoals,
+  validateLogItemFields,
+  validateDietaryPreferences,
+  validateCustomFood,
+  validateRecipe,
+  validateFavoriteFood,
+  validateScheduledGoal,
+  validateWeightEntry,
+  validateTargetPace,
+  validateExerciseEntry,
+  validateAddBurnedCalories,
+} from '../utils/validation.js';
 
 /**
  * @typedef {object} LogItem
  * @property {string} id - Unique identifier for the log item.
  * @property {string} name - Name of the food item.
  * @property {number} calories - Calorie count for the food item.
+ * @property {string} loggedAt - ISO 8601 timestamp of when the item was eaten.
+ * @property {'breakfast' | 'lunch' | 'dinner' | 'snacks'} meal - The meal slot the item belongs to.
+ * @property {number} [protein] - Grams of protein, if recorded.
+ * @property {number} [carbs] - Grams of carbohydrate, if recorded.
+ * @property {number} [fat] - Grams of fat, if recorded.
+ * @property {number} [quantity] - How much was eaten, in `unit`, if recorded.
+ * @property {'g' | 'oz' | 'cup' | 'piece' | 'serving'} [unit] - The unit of `quantity`.
+ */
+
+/**
+ * @typedef {object} CustomFood
+ * @property {string} id - Unique identifier for the food.
+ * @property {string} name - Name of the food.
+ * @property {string} [serving] - Description of one serving, e.g. "1 bar (40 g)".
+ * @property {number} [servingGrams] - Weight of one serving in grams, if known.
+ * @property {number} calories - Calories per serving.
+ * @property {number} [protein] - Grams of protein per serving, if known.
+ * @property {number} [carbs] - Grams of carbohydrate per serving, if known.
+ * @property {number} [fat] - Grams of fat per serving, if known.
+ */
+
+/**
+ * @typedef {object} RecipeIngredient
+ * @property {string} name - Name of the ingredient.
+ * @property {number} quantity - How much of the ingredient is used, in `unit`.
+ * @property {'g' | 'oz' | 'cup' | 'piece' | 'serving'} unit - The unit of `quantity`.
+ * @property {number} calories - Calories in the amount used.
+ * @property {number} [protein] - Grams of protein in the amount used.
+ * @property {number} [carbs] - Grams of carbohydrate in the amount used.
+ * @property {number} [fat] - Grams of fat in the amount used.
+ */
+
+/**
+ * @typedef {object} Recipe
+ * @property {string} id - Unique identifier for the recipe.
+ * @property {string} name - Name of the recipe.
+ * @property {number} servings - How many servings the recipe makes.
+ * @property {RecipeIngredient[]} ingredients - The ingredients of the whole recipe.
+ */
+
+/**
+ * @typedef {object} FavoriteFood
+ * @property {string} name - Name of the food.
+ * @property {number} calories - Calories logged each time.
+ * @property {number} [protein] - Grams of protein, if recorded.
+ * @property {number} [carbs] - Grams of carbohydrate, if recorded.
+ * @property {number} [fat] - Grams of fat, if recorded.
+ * @property {number} [quantity] - The amount logged each time, in `unit`, if recorded.
+ * @property {'g' | 'oz' | 'cup' | 'piece' | 'serving'} [unit] - The unit of `quantity`.
+ */
+
+/**
+ * @typedef {object} FoodHistoryEntry
+ * @property {string} key - The normalized food name.
+ * @property {LogItem} item - The most recent log entry for the food.
+ * @property {number} count - How many times the food has been logged.
+ * @property {string | null} lastLoggedAt - When the food was last logged.
+ */
+
+/**
+ * @typedef {object} MacroGoals
+ * @property {number | null} protein - Daily protein goal in grams. Null if not set.
+ * @property {number | null} carbs - Daily carbohydrate goal in grams. Null if not set.
+ * @property {number | null} fat - Daily fat goal in grams. Null if not set.
+ */
+
+/**
+ * @typedef {object} MealBudgets
+ * @property {number | null} breakfast - Calorie budget for breakfast. Null if not set.
+ * @property {number | null} lunch - Calorie budget for lunch. Null if not set.
+ * @property {number | null} dinner - Calorie budget for dinner. Null if not set.
+ * @property {number | null} snacks - Calorie budget for snacks. Null if not set.
+ */
+
+/**
+ * @typedef {object} DietaryPreferences
+ * @property {string[]} diets - Dietary requirements suggestions must meet, e.g. "vegan".
+ * @property {string[]} allergens - Allergens suggestions must not contain, e.g. "peanuts".
+ */
+
+/**
+ * @typedef {Record<'mon' | 'tue' | 'wed' | 'thu' | 'fri' | 'sat' | 'sun', number | null>} WeekdayGoals
+ * Calorie goals for days of the week, which replace the daily goal on those days. Null if not set.
  */
 
 /**
  * @typedef {object} AppContextState
  * @property {number | null} goal - The user's daily calorie goal. Null if not set or invalid initial value.
- * @property {LogItem[]} log - An array of logged food items for the current day/period.
+ * @property {WeekdayGoals} weekdayGoals - The user's optional goals for days of the week.
+ * @property {import('../utils/goals.js').ScheduledGoal[]} goalSchedule - The user's goals for ranges of dates.
+ * @property {number | null} dayGoal - The calorie goal that applies on the selected day (see `getGoalForDate`).
+ * @property {(dateKey: string) => number | null} getGoalForDate - Function to find the calorie goal that applies, or applied, on a `YYYY-MM-DD` day.
+ * @property {MacroGoals} macroGoals - The user's optional daily macronutrient goals.
+ * @property {MealBudgets} mealBudgets - The user's optional per-meal calorie budgets.
+ * @property {DietaryPreferences} dietaryPreferences - The user's dietary requirements and excluded allergens.
+ * @property {LogItem[]} log - The logged food items for the selected day.
+ * @property {import('../utils/weight.js').WeightEntry[]} weightLog - Every weigh-in, one per day.
+ * @property {number | null} targetPace - The weight change aimed for, in kilograms a week (negative to lose). Null if not set.
+ * @property {import('../utils/exercise.js').ExerciseEntry[]} exerciseLog - Every exercise session.
+ * @property {boolean} addBurnedCalories - Whether calories burned exercising add to the day's budget.
+ * @property {boolean} logLoading - Whether days of the log are still being loaded (only with a storage adapter).
+ * @property {CustomFood[]} customFoods - The user's saved foods.
+ * @property {Recipe[]} recipes - The user's saved recipes.
+ * @property {FavoriteFood[]} favoriteFoods - Foods the user has pinned for quick adding.
+ * @property {FoodHistoryEntry[]} foodHistory - Every distinct food in the loaded log, most recently logged first.
+ * @property {Record<string, LogItem[]>} logByDate - All loaded food items, keyed by `YYYY-MM-DD` local date.
+ * @property {string} selectedDate - The `YYYY-MM-DD` key of the day currently being viewed.
+ * @property {string} today - The `YYYY-MM-DD` key of the current local day. Updates at midnight.
+ * @property {import('../utils/storage.js').StorageError[]} storageErrors - Saved data that couldn't be loaded when the app started.
+ * @property {() => void} dismissStorageErrors - Function to clear the reported storage errors.
+ * @property {import('../utils/syncClient.js').SyncStatus | null} syncStatus - The state of syncing with the backend. Null if syncing is off.
+ * @property {() => Promise<void>} syncNow - Function to sync with the backend right away.
+ * @property {import('../hooks/useUndoHistory.js').HistoryStatus} history - What can be undone or redone, and the latest change.
+ * @property {() => boolean} undo - Function to undo the latest change to the goal, settings, log or library; returns false if there is none.
+ * @property {() => boolean} redo - Function to redo the latest undone change; returns false if there is none.
+ * @property {() => Promise<import('../utils/backup.js').TrackerData>} getAllData - Function to collect all data, including every day of the log, e.g. for a backup.
+ * @property {(data: import('../utils/backup.js').TrackerData, mode: 'merge' | 'replace') => Promise<void>} importData - Function to import validated backup data.
  * @property {(newGoal: number) => void} setGoal - Function to update the daily calorie goal.
- * @property {(item: { name: string, calories: number }) => void} addLogItem - Function to add a new food item to the log.
+ * @property {(goals: Partial<WeekdayGoals>) => void} setWeekdayGoals - Function to update or clear (with null) weekday goals.
+ * @property {(entry: { start: string, end?: string, goal: number }) => void} addScheduledGoal - Function to set a goal for a range of dates.
+ * @property {(scheduledGoalId: string) => void} removeScheduledGoal - Function to delete a scheduled goal.
+ * @property {(entry: { date: string, value: number, unit: 'kg' | 'lb' }) => void} addWeightEntry - Function to log a weigh-in, replacing the day's earlier one.
+ * @property {(entryId: string) => void} removeWeightEntry - Function to delete a weigh-in.
+ * @property {(pace: number | null) => void} setTargetPace - Function to set or clear (with null) the target pace.
+ * @property {(session: { activity: string, intensity: string, durationMinutes: number, date?: string }) => void} addExerciseEntry - Function to log an exercise session, estimating the calories it burned.
+ * @property {(entryId: string) => void} removeExerciseEntry - Function to delete an exercise session.
+ * @property {(enabled: boolean) => void} setAddBurnedCalories - Function to choose whether burned calories add to the budget.
+ * @property {(goals: Partial<MacroGoals>) => void} setMacroGoals - Function to update or clear (with null) macro goals.
+ * @property {(budgets: Partial<MealBudgets>) => void} setMealBudgets - Function to update or clear (with null) meal budgets.
+ * @property {(preferences: Partial<DietaryPreferences>) => void} setDietaryPreferences - Function to replace the dietary requirements and/or excluded allergens.
+ * @property {(item: { name: string, calories: number, loggedAt?: string, meal?: string, protein?: number, carbs?: number, fat?: number, quantity?: number, unit?: string }) => void} addLogItem - Function to add a new food item to the log.
+ * @property {(items: Array<{ name: string, calories: number, loggedAt?: string, meal?: string, protein?: number, carbs?: number, fat?: number, quantity?: number, unit?: string }>) => void} addLogItems - Function to add many food items to the log at once.
+ * @property {(itemId: string, patch: Partial<Omit<LogItem, 'id'>>) => void} updateLogItem - Function to edit a food item in the log.
  * @property {(itemId: string) => void} removeLogItem - Function to remove a food item from the log by its ID.
+ * @property {(date: Date | string) => void} selectDate - Function to change the day being viewed.
+ * @property {(fromKey: string, toKey: string) => void} loadLogDays - Function to make sure a range of `YYYY-MM-DD` days is loaded (only needed with a storage adapter).
+ * @property {(food: Omit<CustomFood, 'id'>) => void} addCustomFood - Function to save a new food to the library.
+ * @property {(foodId: string, food: Omit<CustomFood, 'id'>) => void} updateCustomFood - Function to replace a saved food's details.
+ * @property {(foodId: string) => void} removeCustomFood - Function to delete a saved food.
+ * @property {(recipe: Omit<Recipe, 'id'>) => void} addRecipe - Function to save a new recipe to the library.
+ * @property {(recipeId: string, recipe: Omit<Recipe, 'id'>) => void} updateRecipe - Function to replace a saved recipe's details.
+ * @property {(recipeId: string) => void} removeRecipe - Function to delete a saved recipe.
+ * @property {(food: FavoriteFood) => void} pinFood - Function to pin a food to the favorites.
+ * @property {(name: string) => void} unpinFood - Function to unpin a favorite food by name.
  */
 
 /**
@@ -36,18 +221,517 @@ import { useLocalStorage } from '../hooks/useLocalStorage.js';
  */
 export const AppContext = createContext(null);
 
+/**
+ * Log item fields that `updateLogItem` is allowed to change.
+ */
+const EDITABLE_LOG_ITEM_FIELDS = [
+  'name',
+  'calories',
+  'loggedAt',
+  'meal',
+  ...MACRO_KEYS,
+];
+
+/**
+ * Backup sections that make up the goal plan, with the history of past plans.
+ */
+const GOAL_PLAN_SECTIONS = [
+  'goal',
+  'weekdayGoals',
+  'goalSchedule',
+  'goalHistory',
+];
+
+/**
+ * Macro goals used until the user sets any.
+ */
+const DEFAULT_MACRO_GOALS = { protein: null, carbs: null, fat: null };
+
+/**
+ * Meal budgets used until the user sets any.
+ */
+const DEFAULT_MEAL_BUDGETS = {
+  breakfast: null,
+  lunch: null,
+  dinner: null,
+  snacks: null,
+};
+
+/**
+ * Dietary preferences used until the user sets any: no restrictions.
+ */
+const DEFAULT_DIETARY_PREFERENCES = { diets: [], allergens: [] };
+
+/**
+ * Merges favorites changed in two tabs at once. Favorites are unique by name.
+ */
+const mergeFavoriteFoods = createMergeByKey((food) => getFoodKey(food.name));
+
+/**
+ * Merges goal history entries by the last day they applied.
+ */
+const mergeGoalHistory = createMergeByKey((entry) => entry.until);
+
+/**
+ * Reports invalid input from the validators in `src/utils/validation.js`.
+ * @param {string} message - The problem.
+ */
+const warn = (message) => console.warn(`[AppContext] ${message}`);
+
+/**
+ * Returns a copy of a log item without macros that were cleared (set to null).
+ * @param {object} item - The log item.
+ * @returns {object} The item with null macros removed.
+ */
+function omitClearedMacros(item) {
+  const cleaned = { ...item };
+  MACRO_KEYS.forEach((macro) => {
+    if (cleaned[macro] === null) {
+      delete cleaned[macro];
+    }
+  });
+  return cleaned;
+}
+
+/**
+ * Collects the fields `addLogItem` accepts from an item, leaving out the
+ * ones that aren't given.
+ * @param {object} item - The item to add.
+ * @returns {object} The fields, ready for `validateLogItemFields`.
+ */
+function pickLogItemFields({
+  name,
+  calories,
+  loggedAt,
+  meal,
+  quantity,
+  unit,
+  ...rest
+}) {
+  const fields = { name, calories };
+  if (loggedAt !== undefined) {
+    fields.loggedAt = loggedAt;
+  }
+  if (meal !== undefined) {
+    fields.meal = meal;
+  }
+  if (quantity !== undefined || unit !== undefined) {
+    fields.quantity = quantity;
+    fields.unit = unit;
+  }
+  MACRO_KEYS.forEach((macro) => {
+    if (rest[macro] !== undefined && rest[macro] !== null) {
+      fields[macro] = rest[macro];
+    }
+  });
+  return fields;
+}
+
+/**
+ * Builds a new log item from validated fields, with a unique ID. Items
+ * without a `loggedAt` are stamped with the current time of day on the given
+ * date, and the meal slot defaults to the one matching the time eaten.
+ * @param {object} validFields - The output of `validateLogItemFields`.
+ * @param {string} dateKey - The day to log untimed items on, as `YYYY-MM-DD`.
+ * @returns {LogItem} The new item.
+ */
+function createLogItem(validFields, dateKey) {
+  let { loggedAt } = validFields;
+  if (!loggedAt) {
+    const now = new Date();
+    const timestamp = parseDateKey(dateKey);
+    timestamp.setHours(
+      now.getHours(),
+      now.getMinutes(),
+      now.getSeconds(),
+      now.getMilliseconds()
+    );
+    loggedAt = timestamp.toISOString();
+  }
+
+  const newItem = {
+    id: nanoid(),
+    name: validFields.name,
+    calories: validFields.calories,
+    loggedAt,
+    meal: validFields.meal ?? getMealForTime(loggedAt),
+  };
+  if (validFields.quantity !== undefined) {
+    newItem.quantity = validFields.quantity;
+    newItem.unit = validFields.unit;
+  }
+  MACRO_KEYS.forEach((macro) => {
+    if (validFields[macro] !== undefined) {
+      newItem[macro] = validFields[macro];
+    }
+  });
+  return newItem;
+}
+
+/**
+ * Swaps records in a list, to undo or redo a change to some of them. The
+ * `removed` records are taken out and the `added` ones put in; a record
+ * that is in both (an edit) keeps its place.
+ * @param {Array<object>} list - The current list.
+ * @param {Array<object>} removed - The records to take out.
+ * @param {Array<object>} added - The records to put in.
+ * @param {(record: object) => string} [getKey] - Identifies a record. Defaults to its ID.
+ * @returns {Array<object>} The new list.
+ */
+function swapRecords(list, removed, added, getKey = (record) => record.id) {
+  const removedKeys = new Set(removed.map(getKey));
+  const addedByKey = new Map(added.map((record) => [getKey(record), record]));
+  const swapped = list.flatMap((record) => {
+    const key = getKey(record);
+    if (addedByKey.has(key)) {
+      const replacement = addedByKey.get(key);
+      addedByKey.delete(key);
+      return [replacement];
+    }
+    return removedKeys.has(key) ? [] : [record];
+  });
+  return [...swapped, ...addedByKey.values()];
+}
+
+/**
+ * Finds a record in a saved list by its ID.
+ * @param {unknown} list - The saved list, which may not be an array if the data is damaged.
+ * @param {string} id - The record's ID.
+ * @returns {object | undefined} The record, if it exists.
+ */
+const findById = (list, id) =>
+  Array.isArray(list) ? list.find((record) => record?.id === id) : undefined;
+
+/**
+ * Identifies a favorite food by its name, as favorites are unique by name.
+ * @param {FavoriteFood} food - The favorite.
+ * @returns {string} The key.
+ */
+const getFavoriteKey = (food) => getFoodKey(food.name);
+
 /**
  * Provides the AppContext to its child components.
  * Manages the application state (calorie goal, food log) and persists it
- * using the `useLocalStorage` hook.
+ * using the `useLocalStorage` hook, which also keeps it in sync with other
+ * open tabs. Saved data is migrated to the current
+ * schema version before it is read; data that can't be loaded is reported
+ * through `storageErrors`.
+ *
+ * The food log can be kept elsewhere with the `storage` prop (see
+ * `src/utils/logStorage.js`). With an adapter, the log is loaded a month at a
+ * time: the current and previous month on start, then the months of the days
+ * that are selected or requested with `loadLogDays`. `logByDate` and
+ * `foodHistory` then cover the loaded months only.
  *
  * @param {object} props - Component props.
  * @param {React.ReactNode} props.children - The child components that will consume the context.
+ * @param {'localStorage' | 'indexedDB' | import('../utils/logStorage.js').LogStorageAdapter} [props.storage='localStorage'] -
+ *   Where the food log is saved. Read once, when the provider mounts.
+ * @param {string} [props.syncUrl] - The base URL of the sync API (see
+ *   `src/utils/syncApi.js`). When set, the goal and food log are synced with
+ *   it; changes made offline are sent once it can be reached again.
+ * @param {string} [props.profileId] - The profile whose data is loaded and
+ *   saved (see `src/utils/profiles.js`). Read once, when the provider mounts;
+ *   give the provider a `key` to switch profiles.
+ * @param {number} [props.historyLimit] - How many changes can be undone.
  * @returns {JSX.Element} The provider component wrapping the children.
  */
-export function AppProvider({ children }) {
-  const [goal, setStoredGoal] = useLocalStorage('fitnessAppGoal', 2000);
-  const [log, setStoredLog] = useLocalStorage('fitnessAppLog', []);
+export function AppProvider({
+  children,
+  storage = 'localStorage',
+  syncUrl,
+  profileId = DEFAULT_PROFILE_ID,
+  historyLimit = DEFAULT_HISTORY_LIMIT,
+}) {
+  const [storageKeys] = useState(() => getProfileStorageKeys(profileId));
+  // Must run before the useLocalStorage calls below read the saved data
+  const [storageErrors, setStorageErrors] = useState(() =>
+    typeof window === 'undefined'
+      ? []
+      : prepareStorage(window.localStorage, profileId).errors
+  );
+  const [logAdapter] = useState(() => resolveLogStorage(storage, profileId));
+  const [goal, setStoredGoal] = useLocalStorage(storageKeys.goal, 2000);
+  const [macroGoals, setStoredMacroGoals] = useLocalStorage(
+    storageKeys.macroGoals,
+    DEFAULT_MACRO_GOALS
+  );
+  const [mealBudgets, setStoredMealBudgets] = useLocalStorage(
+    storageKeys.mealBudgets,
+    DEFAULT_MEAL_BUDGETS
+  );
+  const [dietaryPreferences, setStoredDietaryPreferences] = useLocalStorage(
+    storageKeys.dietaryPreferences,
+    DEFAULT_DIETARY_PREFERENCES
+  );
+  // Lists are merged record by record when another tab changes them, so
+  // entries added in two tabs at once are both kept. Other values follow the
+  // tab that changed them last.
+  // With a log adapter the localStorage copy of the log is left alone.
+  const [localLog, setLocalLog] = useLocalStorage(
+    logAdapter ? null : storageKeys.log,
+    [],
+    { merge: mergeById }
+  );
+  const [customFoods, setStoredCustomFoods] = useLocalStorage(
+    storageKeys.customFoods,
+    [],
+    { merge: mergeById }
+  );
+  const [recipes, setStoredRecipes] = useLocalStorage(storageKeys.recipes, [], {
+    merge: mergeById,
+  });
+  const [favoriteFoods, setStoredFavoriteFoods] = useLocalStorage(
+    storageKeys.favoriteFoods,
+    [],
+    { merge: mergeFavoriteFoods }
+  );
+  const [weekdayGoals, setStoredWeekdayGoals] = useLocalStorage(
+    storageKeys.weekdayGoals,
+    DEFAULT_WEEKDAY_GOALS
+  );
+  const [goalSchedule, setStoredGoalSchedule] = useLocalStorage(
+    storageKeys.goalSchedule,
+    [],
+    { merge: mergeById }
+  );
+  const [goalHistory, setStoredGoalHistory] = useLocalStorage(
+    storageKeys.goalHistory,
+    [],
+    { merge: mergeGoalHistory }
+  );
+  const [weightLog, setStoredWeightLog] = useLocalStorage(
+    storageKeys.weightLog,
+    [],
+    { merge: mergeById }
+  );
+  const [targetPace, setStoredTargetPace] = useLocalStorage(
+    storageKeys.targetPace,
+    null
+  );
+  const [exerciseLog, setStoredExerciseLog] = useLocalStorage(
+    storageKeys.exerciseLog,
+    [],
+    { merge: mergeById }
+  );
+  const [addBurnedCalories, setStoredAddBurnedCalories] = useLocalStorage(
+    storageKeys.addBurnedCalories,
+    false
+  );
+  const [today, setToday] = useState(() => getTodayKey());
+  const [selectedDate, setSelectedDate] = useState(today);
+
+  /**
+   * Reports a log adapter that failed to load or save, once per session.
+   * @param {Error} error - What went wrong.
+   */
+  const handleLogStorageError = useCallback(
+    (error) => {
+      console.error(
+        '[AppContext] Error accessing the food log storage:',
+        error
+      );
+      setStorageErrors((prevErrors) =>
+        prevErrors.some((storageError) => storageError.key === storageKeys.log)
+          ? prevErrors
+          : [
+              ...prevErrors,
+              {
+                key: storageKeys.log,
+                label: 'Food log',
+                message:
+                  'could not be loaded or saved. Recent changes may be lost.',
+              },
+            ]
+      );
+    },
+    [storageKeys]
+  );
+  const {
+    log: adapterLog,
+    setLog: setAdapterLog,
+    loading: logLoading,
+    loadDays: loadLogDays,
+    loadAll: loadAllLog,
+  } = useLogStorage(logAdapter, { onError: handleLogStorageError });
+  const log = logAdapter ? adapterLog : localLog;
+  const setStoredLog = logAdapter ? setAdapterLog : setLocalLog;
+
+  /**
+   * Deletes entries removed on another device from the log adapter too,
+   * since only the loaded ones are in `log`.
+   * @param {string[]} itemIds - The IDs of the deleted entries.
+   */
+  const handleRemoteDelete = useCallback(
+    (itemIds) => {
+      logAdapter?.deleteItems(itemIds).catch(handleLogStorageError);
+    },
+    [logAdapter, handleLogStorageError]
+  );
+
+  // Set when the goal plan is replaced by a restored backup or by the first
+  // goal synced to this device. The plan it replaces is then left out of the
+  // goal history: the new data brings its own past.
+  const goalPlanReplacedRef = useRef(false);
+
+  /**
+   * Applies a goal from the server. The first one a device receives replaces
+   * a goal that was never shared, so it isn't kept as the past goal.
+   * @param {number | null} value - The goal.
+   * @param {{ initial: boolean }} options - Whether this device had never synced its goal.
+   */
+  const handleRemoteGoal = useCallback(
+    (value, { initial }) => {
+      if (initial) {
+        goalPlanReplacedRef.current = true;
+      }
+      setStoredGoal(value);
+    },
+    [setStoredGoal]
+  );
+  const { status: syncStatus, syncNow } = useSync(syncUrl, {
+    goal,
+    log,
+    setGoal: handleRemoteGoal,
+    setLog: setStoredLog,
+    onRemoteDelete: handleRemoteDelete,
+  });
+
+  // Changes record how to undo them, which needs the values they replace.
+  // Reading them from a ref keeps the handlers from changing on every edit.
+  const {
+    status: history,
+    record: recordChange,
+    undo,
+    redo,
+    clear: clearHistory,
+  } = useUndoHistory(historyLimit);
+  const latestRef = useRef(null);
+  latestRef.current = {
+    goal,
+    macroGoals,
+    mealBudgets,
+    dietaryPreferences,
+    log,
+    customFoods,
+    recipes,
+    favoriteFoods,
+    weekdayGoals,
+    goalSchedule,
+    weightLog,
+    targetPace,
+    exerciseLog,
+    addBurnedCalories,
+  };
+
+  /**
+   * Records a change to some records of a list, so it can be undone.
+   * @param {string} label - What the change did.
+   * @param {(update: (prevList: Array<object>) => Array<object>) => void} setList - The list's setter.
+   * @param {Array<object>} removed - The records the change took out (or their old versions).
+   * @param {Array<object>} added - The records the change put in (or their new versions).
+   * @param {{ destructive?: boolean, getKey?: (record: object) => string }} [options] -
+   *   Whether the change deleted something, and how records are identified.
+   */
+  const recordListChange = useCallback(
+    (label, setList, removed, added, { destructive = false, getKey } = {}) => {
+      recordChange({
+        label,
+        destructive,
+        undo: () =>
+          setList((prevList) => swapRecords(prevList, added, removed, getKey)),
+        redo: () =>
+          setList((prevList) => swapRecords(prevList, removed, added, getKey)),
+      });
+    },
+    [recordChange]
+  );
+
+  // With an adapter, load recent history (for the calendar and quick add)
+  // and whichever day is being viewed
+  useEffect(() => {
+    const previousMonthStart = parseDateKey(today);
+    previousMonthStart.setMonth(previousMonthStart.getMonth() - 1, 1);
+    loadLogDays(toDateKey(previousMonthStart), today);
+  }, [loadLogDays, today]);
+
+  useEffect(() => {
+    loadLogDays(selectedDate, selectedDate);
+  }, [loadLogDays, selectedDate]);
+
+  // Roll "today" over at local midnight. If the user was looking at the day
+  // that just ended, follow them into the new day. The timer is re-armed
+  // whenever `today` changes, and the check also runs when the tab becomes
+  // visible again since timers are throttled while a device sleeps.
+  useEffect(() => {
+    const checkForRollover = () => {
+      const currentKey = getTodayKey();
+      if (currentKey !== today) {
+        setSelectedDate((prevSelected) =>
+          prevSelected === today ? currentKey : prevSelected
+        );
+        setToday(currentKey);
+      }
+    };
+
+    const timerId = setTimeout(checkForRollover, msUntilNextMidnight() + 1000);
+    document.addEventListener('visibilitychange', checkForRollover);
+
+    return () => {
+      clearTimeout(timerId);
+      document.removeEventListener('visibilitychange', checkForRollover);
+    };
+  }, [today]);
+
+  // The schema migration gives entries saved before timestamps existed a
+  // time; any still without one are kept on a fixed past day, never today.
+  const logByDate = useMemo(() => groupLogByDate(log), [log]);
+
+  // How often and how recently each food has been logged, across all days
+  const foodHistory = useMemo(() => getFoodHistory(log), [log]);
+
+  // The goals in use now, and the plan they replaced, which is added to the
+  // goal history when they change (whether here, by undo, in another tab or
+  // by sync) so past days keep the goals that applied then. Runs after every
+  // render so a replacement that left the plan as it was isn't carried over
+  // to the next change.
+  const goalPlan = useMemo(
+    () => ({
+      goal,
+      weekdayGoals: { ...DEFAULT_WEEKDAY_GOALS, ...weekdayGoals },
+      goalSchedule: Array.isArray(goalSchedule) ? goalSchedule : [],
+    }),
+    [goal, weekdayGoals, goalSchedule]
+  );
+  const previousGoalPlanRef = useRef(goalPlan);
+
+  useEffect(() => {
+    const previousPlan = previousGoalPlanRef.current;
+    const replaced = goalPlanReplacedRef.current;
+    previousGoalPlanRef.current = goalPlan;
+    goalPlanReplacedRef.current = false;
+    if (!replaced && !isSameGoalPlan(previousPlan, goalPlan)) {
+      setStoredGoalHistory((prevHistory) =>
+        addGoalHistoryEntry(prevHistory, previousPlan, today)
+      );
+    }
+  });
+
+  /**
+   * Finds the calorie goal for a day: scheduled goals first, then weekday
+   * goals, then the daily goal. Days before today use the goals that were
+   * active then.
+   * @param {string} dateKey - The day, as `YYYY-MM-DD`.
+   * @returns {number | null} The goal, or null if none is set.
+   */
+  const getGoalForDate = useCallback(
+    (dateKey) =>
+      resolveGoal(
+        getGoalPlanForDate(goalHistory, goalPlan, dateKey, today),
+        dateKey
+      ),
+    [goalHistory, goalPlan, today]
+  );
 
   /**
    * Updates the daily calorie goal.
@@ -56,51 +740,309 @@ export function AppProvider({ children }) {
    */
   const handleSetGoal = useCallback(
     (newGoal) => {
-      const goalNumber = Number(newGoal);
-      if (isNaN(goalNumber) || goalNumber <= 0) {
+      const goalNumber = validateGoal(newGoal, warn);
+      if (goalNumber === null) {
+        return;
+      }
+      const prevGoal = latestRef.current.goal;
+      setStoredGoal(goalNumber);
+      if (prevGoal !== goalNumber) {
+        recordChange({
+          label: `Set the goal to ${goalNumber} calories`,
+          undo: () => setStoredGoal(prevGoal),
+          redo: () => setStoredGoal(goalNumber),
+        });
+      }
+    },
+    [setStoredGoal, recordChange]
+  );
+
+  /**
+   * Updates the goals for one or more days of the week.
+   * Each provided goal must be a positive number, or null to clear it, in
+   * which case the daily goal applies on that day again.
+   * Nothing is changed if any provided value is invalid.
+   * @param {Partial<WeekdayGoals>} goals - The weekday goals to change.
+   */
+  const handleSetWeekdayGoals = useCallback(
+    (goals) => {
+      const updates = validateOptionalGoals(goals, WEEKDAY_KEYS, 'goal', warn);
+      if (!updates) {
+        return;
+      }
+      const applyUpdates = (prevGoals) => ({
+        ...DEFAULT_WEEKDAY_GOALS,
+        ...prevGoals,
+        ...updates,
+      });
+      const previous = latestRef.current.weekdayGoals;
+      setStoredWeekdayGoals(applyUpdates);
+      recordChange({
+        label: 'Changed the weekday goals',
+        undo: () => setStoredWeekdayGoals(previous),
+        redo: () => setStoredWeekdayGoals(applyUpdates),
+      });
+    },
+    [setStoredWeekdayGoals, recordChange]
+  );
+
+  /**
+   * Sets a calorie goal for a range of dates, e.g. 1800 until the end of a
+   * cut. Without an `end` it applies from `start` on. Where ranges overlap,
+   * the one starting last applies.
+   * @param {{ start: string, end?: string, goal: number }} entry - The range and its goal.
+   */
+  const handleAddScheduledGoal = useCallback(
+    (entry) => {
+      const validEntry = validateScheduledGoal(entry, warn);
+      if (!validEntry) {
+        return;
+      }
+      const newEntry = { id: nanoid(), ...validEntry };
+      setStoredGoalSchedule((prevSchedule) => [...prevSchedule, newEntry]);
+      recordListChange(
+        `Scheduled ${newEntry.goal} calories from ${newEntry.start}`,
+        setStoredGoalSchedule,
+        [],
+        [newEntry]
+      );
+    },
+    [setStoredGoalSchedule, recordListChange]
+  );
+
+  /**
+   * Deletes a scheduled goal.
+   * @param {string} scheduledGoalId - The unique ID of the scheduled goal to remove.
+   */
+  const handleRemoveScheduledGoal = useCallback(
+    (scheduledGoalId) => {
+      if (!scheduledGoalId) {
         console.warn(
-          `[AppContext] Invalid goal value: ${newGoal}. Goal must be a positive number.`
+          '[AppContext] Invalid operation: Scheduled goal ID required for removal.'
         );
         return;
       }
-      setStoredGoal(goalNumber);
+      setStoredGoalSchedule((prevSchedule) =>
+        prevSchedule.filter((entry) => entry.id !== scheduledGoalId)
+      );
+      const removedEntry = findById(
+        latestRef.current.goalSchedule,
+        scheduledGoalId
+      );
+      if (removedEntry) {
+        recordListChange(
+          `Deleted the goal of ${removedEntry.goal} calories from ${removedEntry.start}`,
+          setStoredGoalSchedule,
+          [removedEntry],
+          [],
+          { destructive: true }
+        );
+      }
     },
-    [setStoredGoal]
+    [setStoredGoalSchedule, recordListChange]
+  );
+
+  /**
+   * Updates one or more daily macro goals (in grams).
+   * Each provided goal must be a positive number, or null to clear it.
+   * Nothing is changed if any provided value is invalid.
+   * @param {Partial<MacroGoals>} goals - The macro goals to change.
+   */
+  const handleSetMacroGoals = useCallback(
+    (goals) => {
+      const updates = validateOptionalGoals(goals, MACRO_KEYS, 'goal', warn);
+      if (!updates) {
+        return;
+      }
+      const applyUpdates = (prevGoals) => ({
+        ...DEFAULT_MACRO_GOALS,
+        ...prevGoals,
+        ...updates,
+      });
+      const previous = latestRef.current.macroGoals;
+      setStoredMacroGoals(applyUpdates);
+      recordChange({
+        label: 'Changed the macro goals',
+        undo: () => setStoredMacroGoals(previous),
+        redo: () => setStoredMacroGoals(applyUpdates),
+      });
+    },
+    [setStoredMacroGoals, recordChange]
   );
 
   /**
-   * Adds a new food item to the daily log.
+   * Updates one or more per-meal calorie budgets.
+   * Each provided budget must be a positive number, or null to clear it.
+   * Nothing is changed if any provided value is invalid.
+   * @param {Partial<MealBudgets>} budgets - The meal budgets to change.
+   */
+  const handleSetMealBudgets = useCallback(
+    (budgets) => {
+      const updates = validateOptionalGoals(budgets, MEAL_KEYS, 'budget', warn);
+      if (!updates) {
+        return;
+      }
+      const applyUpdates = (prevBudgets) => ({
+        ...DEFAULT_MEAL_BUDGETS,
+        ...prevBudgets,
+        ...updates,
+      });
+      const previous = latestRef.current.mealBudgets;
+      setStoredMealBudgets(applyUpdates);
+      recordChange({
+        label: 'Changed the meal budgets',
+        undo: () => setStoredMealBudgets(previous),
+        redo: () => setStoredMealBudgets(applyUpdates),
+      });
+    },
+    [setStoredMealBudgets, recordChange]
+  );
+
+  /**
+   * Replaces the dietary requirements and/or the excluded allergens.
+   * Each provided list must only contain known keys; duplicates are dropped.
+   * Nothing is changed if any provided list is invalid.
+   * @param {Partial<DietaryPreferences>} preferences - The lists to replace.
+   */
+  const handleSetDietaryPreferences = useCallback(
+    (preferences) => {
+      const updates = validateDietaryPreferences(preferences, warn);
+      if (!updates) {
+        return;
+      }
+      const applyUpdates = (prevPreferences) => ({
+        ...DEFAULT_DIETARY_PREFERENCES,
+        ...prevPreferences,
+        ...updates,
+      });
+      const previous = latestRef.current.dietaryPreferences;
+      setStoredDietaryPreferences(applyUpdates);
+      recordChange({
+        label: 'Changed the dietary preferences',
+        undo: () => setStoredDietaryPreferences(previous),
+        redo: () => setStoredDietaryPreferences(applyUpdates),
+      });
+    },
+    [setStoredDietaryPreferences, recordChange]
+  );
+
+  /**
+   * Adds a new food item to the log.
    * Validates the input (non-empty name, non-negative calories) before adding.
-   * Generates a unique ID for the new item.
-   * @param {{ name: string, calories: number }} item - The food item details.
+   * Generates a unique ID for the new item. When no `loggedAt` is given the
+   * item is stamped with the current time of day on the selected date.
+   * The meal slot defaults to the one matching the time eaten.
+   * Macros (grams of protein, carbs, fat) are optional and only stored if given.
+   * The amount eaten (`quantity` and `unit`) is optional too, but both must be
+   * given together.
+   * @param {{ name: string, calories: number, loggedAt?: string, meal?: string, protein?: number, carbs?: number, fat?: number, quantity?: number, unit?: string }} item - The food item details.
    */
   const handleAddLogItem = useCallback(
-    ({ name, calories }) => {
-      const trimmedName = name?.trim(); // Use optional chaining for safety
-      const calorieNumber = Number(calories);
+    (item) => {
+      const validFields = validateLogItemFields(pickLogItemFields(item), warn);
+      if (!validFields) {
+        return;
+      }
+      const newItem = createLogItem(validFields, selectedDate);
+      setStoredLog((prevLog) => [...prevLog, newItem]);
+      recordListChange(`Added "${newItem.name}"`, setStoredLog, [], [newItem]);
+    },
+    [setStoredLog, selectedDate, recordListChange] // nanoid is stable and doesn't need to be a dependency
+  );
 
-      if (!trimmedName) {
-        console.warn(
-          '[AppContext] Invalid log item: Name cannot be empty.'
+  /**
+   * Adds many food items to the log at once, e.g. from an imported
+   * spreadsheet. Each item is validated and completed exactly like one
+   * passed to `addLogItem`; invalid items are skipped with a warning and the
+   * rest are still added, in a single update.
+   * @param {Array<{ name: string, calories: number, loggedAt?: string, meal?: string, protein?: number, carbs?: number, fat?: number, quantity?: number, unit?: string }>} items - The food items.
+   */
+  const handleAddLogItems = useCallback(
+    (items) => {
+      if (!Array.isArray(items)) {
+        warn('Invalid operation: An array of items is required.');
+        return;
+      }
+      const newItems = items
+        .map((item) => {
+          if (item === null || typeof item !== 'object') {
+            warn('Invalid log item: Item must be an object.');
+            return null;
+          }
+          const validFields = validateLogItemFields(
+            pickLogItemFields(item),
+            warn
+          );
+          return validFields ? createLogItem(validFields, selectedDate) : null;
+        })
+        .filter(Boolean);
+      if (newItems.length > 0) {
+        setStoredLog((prevLog) => [...prevLog, ...newItems]);
+        recordListChange(
+          newItems.length === 1
+            ? `Added "${newItems[0].name}"`
+            : `Added ${newItems.length} entries`,
+          setStoredLog,
+          [],
+          newItems
         );
+      }
+    },
+    [setStoredLog, selectedDate, recordListChange]
+  );
+
+  /**
+   * Updates fields of an existing log item.
+   * Only `name`, `calories`, `loggedAt`, `meal` and the macros can be
+   * changed; each field present in the patch is validated with the same rules
+   * as `addLogItem`. Setting a macro to null removes it from the item.
+   * @param {string} itemId - The unique ID of the log item to update.
+   * @param {Partial<Omit<LogItem, 'id'>>} patch - The fields to change.
+   */
+  const handleUpdateLogItem = useCallback(
+    (itemId, patch) => {
+      if (!itemId) {
+        console.warn('[AppContext] Invalid operation: Item ID required for update.');
         return;
       }
-      if (isNaN(calorieNumber) || calorieNumber < 0) {
+
+      const fields = {};
+      EDITABLE_LOG_ITEM_FIELDS.forEach((field) => {
+        if (patch && patch[field] !== undefined) {
+          fields[field] = patch[field];
+        }
+      });
+      if (Object.keys(fields).length === 0) {
         console.warn(
-          `[AppContext] Invalid log item: Calories (${calories}) must be a non-negative number.`
+          `[AppContext] Invalid operation: Update for item ${itemId} contains no editable fields.`
         );
         return;
       }
 
-      const newItem = {
-        id: nanoid(),
-        name: trimmedName,
-        calories: calorieNumber,
-      };
+      const validFields = validateLogItemFields(fields, warn);
+      if (!validFields) {
+        return;
+      }
 
-      setStoredLog((prevLog) => [...prevLog, newItem]);
+      setStoredLog((prevLog) =>
+        prevLog.map((item) =>
+          item.id === itemId
+            ? omitClearedMacros({ ...item, ...validFields })
+            : item
+        )
+      );
+      const prevItem = findById(latestRef.current.log, itemId);
+      if (prevItem) {
+        const updatedItem = omitClearedMacros({ ...prevItem, ...validFields });
+        recordListChange(
+          `Edited "${updatedItem.name}"`,
+          setStoredLog,
+          [prevItem],
+          [updatedItem]
+        );
+      }
     },
-    [setStoredLog] // nanoid is stable and doesn't need to be a dependency
+    [setStoredLog, recordListChange]
   );
 
   /**
@@ -114,10 +1056,605 @@ export function AppProvider({ children }) {
          return;
       }
       setStoredLog((prevLog) => prevLog.filter((item) => item.id !== itemId));
+      const removedItem = findById(latestRef.current.log, itemId);
+      if (removedItem) {
+        recordListChange(
+          `Deleted "${removedItem.name}"`,
+          setStoredLog,
+          [removedItem],
+          [],
+          { destructive: true }
+        );
+      }
+    },
+    [setStoredLog, recordListChange]
+  );
+
+  /**
+   * Changes the day whose log is exposed as `log`.
+   * Accepts a Date or a `YYYY-MM-DD` key; future days are rejected.
+   * @param {Date | string} date - The day to select.
+   */
+  const handleSelectDate = useCallback(
+    (date) => {
+      const dateKey = typeof date === 'string' ? date : toDateKey(date);
+      if (!isValidDateKey(dateKey)) {
+        console.warn(
+          `[AppContext] Invalid date: ${date}. Expected a Date or YYYY-MM-DD string.`
+        );
+        return;
+      }
+      // Keys are zero-padded, so string comparison orders them chronologically.
+      if (dateKey > today) {
+        console.warn(
+          `[AppContext] Invalid date: ${dateKey} is in the future.`
+        );
+        return;
+      }
+      setSelectedDate(dateKey);
+    },
+    [today]
+  );
+
+  /**
+   * Saves a new food to the library.
+   * @param {Omit<CustomFood, 'id'>} food - The food details.
+   */
+  const handleAddCustomFood = useCallback(
+    (food) => {
+      const validFood = validateCustomFood(food, warn);
+      if (!validFood) {
+        return;
+      }
+      const newCustomFood = { id: nanoid(), ...validFood };
+      setStoredCustomFoods((prevFoods) => [...prevFoods, newCustomFood]);
+      recordListChange(
+        `Saved the food "${newCustomFood.name}"`,
+        setStoredCustomFoods,
+        [],
+        [newCustomFood]
+      );
+    },
+    [setStoredCustomFoods, recordListChange]
+  );
+
+  /**
+   * Replaces the details of a saved food, validated like `addCustomFood`.
+   * Log entries already made from the food are not changed.
+   * @param {string} foodId - The unique ID of the food to update.
+   * @param {Omit<CustomFood, 'id'>} food - The new food details.
+   */
+  const handleUpdateCustomFood = useCallback(
+    (foodId, food) => {
+      if (!foodId) {
+        console.warn(
+          '[AppContext] Invalid operation: Food ID required for update.'
+        );
+        return;
+      }
+      const validFood = validateCustomFood(food, warn);
+      if (!validFood) {
+        return;
+      }
+      setStoredCustomFoods((prevFoods) =>
+        prevFoods.map((existing) =>
+          existing.id === foodId ? { id: foodId, ...validFood } : existing
+        )
+      );
+      const prevCustomFood = findById(latestRef.current.customFoods, foodId);
+      if (prevCustomFood) {
+        recordListChange(
+          `Edited the food "${validFood.name}"`,
+          setStoredCustomFoods,
+          [prevCustomFood],
+          [{ id: foodId, ...validFood }]
+        );
+      }
+    },
+    [setStoredCustomFoods, recordListChange]
+  );
+
+  /**
+   * Deletes a saved food. Recipes that use it keep their ingredient values.
+   * @param {string} foodId - The unique ID of the food to remove.
+   */
+  const handleRemoveCustomFood = useCallback(
+    (foodId) => {
+      if (!foodId) {
+        console.warn(
+          '[AppContext] Invalid operation: Food ID required for removal.'
+        );
+        return;
+      }
+      setStoredCustomFoods((prevFoods) =>
+        prevFoods.filter((food) => food.id !== foodId)
+      );
+      const removedCustomFood = findById(latestRef.current.customFoods, foodId);
+      if (removedCustomFood) {
+        recordListChange(
+          `Deleted the food "${removedCustomFood.name}"`,
+          setStoredCustomFoods,
+          [removedCustomFood],
+          [],
+          { destructive: true }
+        );
+      }
+    },
+    [setStoredCustomFoods, recordListChange]
+  );
+
+  /**
+   * Saves a new recipe to the library.
+   * @param {Omit<Recipe, 'id'>} recipe - The recipe details.
+   */
+  const handleAddRecipe = useCallback(
+    (recipe) => {
+      const validRecipe = validateRecipe(recipe, warn);
+      if (!validRecipe) {
+        return;
+      }
+      const newRecipe = { id: nanoid(), ...validRecipe };
+      setStoredRecipes((prevRecipes) => [...prevRecipes, newRecipe]);
+      recordListChange(
+        `Saved the recipe "${newRecipe.name}"`,
+        setStoredRecipes,
+        [],
+        [newRecipe]
+      );
+    },
+    [setStoredRecipes, recordListChange]
+  );
+
+  /**
+   * Replaces the details of a saved recipe, validated like `addRecipe`.
+   * Log entries copy a recipe's per-serving values when they are added, so
+   * past entries are not changed.
+   * @param {string} recipeId - The unique ID of the recipe to update.
+   * @param {Omit<Recipe, 'id'>} recipe - The new recipe details.
+   */
+  const handleUpdateRecipe = useCallback(
+    (recipeId, recipe) => {
+      if (!recipeId) {
+        console.warn(
+          '[AppContext] Invalid operation: Recipe ID required for update.'
+        );
+        return;
+      }
+      const validRecipe = validateRecipe(recipe, warn);
+      if (!validRecipe) {
+        return;
+      }
+      setStoredRecipes((prevRecipes) =>
+        prevRecipes.map((existing) =>
+          existing.id === recipeId ? { id: recipeId, ...validRecipe } : existing
+        )
+      );
+      const prevRecipe = findById(latestRef.current.recipes, recipeId);
+      if (prevRecipe) {
+        recordListChange(
+          `Edited the recipe "${validRecipe.name}"`,
+          setStoredRecipes,
+          [prevRecipe],
+          [{ id: recipeId, ...validRecipe }]
+        );
+      }
+    },
+    [setStoredRecipes, recordListChange]
+  );
+
+  /**
+   * Deletes a saved recipe. Log entries made from it are kept.
+   * @param {string} recipeId - The unique ID of the recipe to remove.
+   */
+  const handleRemoveRecipe = useCallback(
+    (recipeId) => {
+      if (!recipeId) {
+        console.warn(
+          '[AppContext] Invalid operation: Recipe ID required for removal.'
+        );
+        return;
+      }
+      setStoredRecipes((prevRecipes) =>
+        prevRecipes.filter((recipe) => recipe.id !== recipeId)
+      );
+      const removedRecipe = findById(latestRef.current.recipes, recipeId);
+      if (removedRecipe) {
+        recordListChange(
+          `Deleted the recipe "${removedRecipe.name}"`,
+          setStoredRecipes,
+          [removedRecipe],
+          [],
+          { destructive: true }
+        );
+      }
+    },
+    [setStoredRecipes, recordListChange]
+  );
+
+  /**
+   * Pins a food to the favorites, validated like `addLogItem`. The food's
+   * values are copied, so the favorite stays even if its log entries are
+   * deleted. Pinning a food with the same name as a favorite replaces it.
+   * @param {FavoriteFood} food - The food details to log from the favorite.
+   */
+  const handlePinFood = useCallback(
+    (food) => {
+      const validFood = validateFavoriteFood(food, warn);
+      if (!validFood) {
+        return;
+      }
+      const key = getFoodKey(validFood.name);
+      setStoredFavoriteFoods((prevFavorites) => [
+        ...prevFavorites.filter(
+          (favorite) => getFoodKey(favorite.name) !== key
+        ),
+        validFood,
+      ]);
+      const prevFavorites = Array.isArray(latestRef.current.favoriteFoods)
+        ? latestRef.current.favoriteFoods
+        : [];
+      recordListChange(
+        `Pinned "${validFood.name}"`,
+        setStoredFavoriteFoods,
+        prevFavorites.filter((favorite) => getFavoriteKey(favorite) === key),
+        [validFood],
+        { getKey: getFavoriteKey }
+      );
     },
-    [setStoredLog]
+    [setStoredFavoriteFoods, recordListChange]
   );
 
+  /**
+   * Unpins a favorite food. Names are matched ignoring case and extra spaces.
+   * @param {string} name - The name of the favorite to remove.
+   */
+  const handleUnpinFood = useCallback(
+    (name) => {
+      const key = getFoodKey(name);
+      if (!key) {
+        console.warn(
+          '[AppContext] Invalid operation: Food name required to unpin.'
+        );
+        return;
+      }
+      setStoredFavoriteFoods((prevFavorites) =>
+        prevFavorites.filter((favorite) => getFoodKey(favorite.name) !== key)
+      );
+      const removedFavorites = Array.isArray(latestRef.current.favoriteFoods)
+        ? latestRef.current.favoriteFoods.filter(
+            (favorite) => getFavoriteKey(favorite) === key
+          )
+        : [];
+      if (removedFavorites.length > 0) {
+        recordListChange(
+          `Unpinned "${removedFavorites[0].name}"`,
+          setStoredFavoriteFoods,
+          removedFavorites,
+          [],
+          { getKey: getFavoriteKey }
+        );
+      }
+    },
+    [setStoredFavoriteFoods, recordListChange]
+  );
+
+  /**
+   * Logs a weigh-in. A day has one weigh-in, so logging another for the same
+   * day replaces it.
+   * @param {{ date: string, value: number, unit: 'kg' | 'lb' }} entry - The day, the weight and its unit.
+   */
+  const handleAddWeightEntry = useCallback(
+    (entry) => {
+      const validEntry = validateWeightEntry(entry, warn);
+      if (!validEntry) {
+        return;
+      }
+      const prevEntry = Array.isArray(latestRef.current.weightLog)
+        ? latestRef.current.weightLog.find(
+            (existing) => existing.date === validEntry.date
+          )
+        : undefined;
+      const newEntry = { id: prevEntry?.id ?? nanoid(), ...validEntry };
+      setStoredWeightLog((prevLog) =>
+        prevLog.some((existing) => existing.date === newEntry.date)
+          ? prevLog.map((existing) =>
+              existing.date === newEntry.date ? newEntry : existing
+            )
+          : [...prevLog, newEntry]
+      );
+      recordListChange(
+        prevEntry
+          ? `Changed the weight for ${newEntry.date} to ${newEntry.value} ${newEntry.unit}`
+          : `Logged a weight of ${newEntry.value} ${newEntry.unit} for ${newEntry.date}`,
+        setStoredWeightLog,
+        prevEntry ? [prevEntry] : [],
+        [newEntry]
+      );
+    },
+    [setStoredWeightLog, recordListChange]
+  );
+
+  /**
+   * Deletes a weigh-in.
+   * @param {string} entryId - The unique ID of the weigh-in to remove.
+   */
+  const handleRemoveWeightEntry = useCallback(
+    (entryId) => {
+      if (!entryId) {
+        console.warn(
+          '[AppContext] Invalid operation: Weight entry ID required for removal.'
+        );
+        return;
+      }
+      setStoredWeightLog((prevLog) =>
+        prevLog.filter((entry) => entry.id !== entryId)
+      );
+      const removedEntry = findById(latestRef.current.weightLog, entryId);
+      if (removedEntry) {
+        recordListChange(
+          `Deleted the weight of ${removedEntry.value} ${removedEntry.unit} for ${removedEntry.date}`,
+          setStoredWeightLog,
+          [removedEntry],
+          [],
+          { destructive: true }
+        );
+      }
+    },
+    [setStoredWeightLog, recordListChange]
+  );
+
+  /**
+   * Sets the weight change aimed for, which the weight trend is compared
+   * against, or clears it with null.
+   * @param {number | null} pace - Kilograms a week, negative to lose weight.
+   */
+  const handleSetTargetPace = useCallback(
+    (pace) => {
+      const validPace = pace === null ? null : validateTargetPace(pace, warn);
+      if (pace !== null && validPace === null) {
+        return;
+      }
+      const prevPace = latestRef.current.targetPace ?? null;
+      setStoredTargetPace(validPace);
+      if (prevPace !== validPace) {
+        recordChange({
+          label:
+            validPace === null
+              ? 'Cleared the target pace'
+              : `Set the target pace to ${formatTargetPace(validPace).toLowerCase()}`,
+          undo: () => setStoredTargetPace(prevPace),
+          redo: () => setStoredTargetPace(validPace),
+        });
+      }
+    },
+    [setStoredTargetPace, recordChange]
+  );
+
+  /**
+   * Logs an exercise session, on the selected day unless a date is given.
+   * The calories burned are estimated from the activity's MET value and the
+   * body weight logged around that day, and saved with the session so later
+   * weigh-ins don't change them.
+   * @param {{ activity: string, intensity: string, durationMinutes: number, date?: string }} session - The session details.
+   */
+  const handleAddExerciseEntry = useCallback(
+    (session) => {
+      const date = session?.date ?? selectedDate;
+      const validEntry = validateExerciseEntry(
+        {
+          ...session,
+          date,
+          calories:
+            estimateExerciseCalories(
+              session ?? {},
+              getBodyWeightForDate(latestRef.current.weightLog, date)
+            ) ?? 0,
+        },
+        warn
+      );
+      if (!validEntry) {
+        return;
+      }
+      const newEntry = { id: nanoid(), ...validEntry };
+      setStoredExerciseLog((prevLog) => [...prevLog, newEntry]);
+      recordListChange(
+        `Logged ${newEntry.durationMinutes} minutes of ${findActivity(newEntry.activity).name.toLowerCase()} for ${newEntry.date}`,
+        setStoredExerciseLog,
+        [],
+        [newEntry]
+      );
+    },
+    [selectedDate, setStoredExerciseLog, recordListChange]
+  );
+
+  /**
+   * Deletes an exercise session.
+   * @param {string} entryId - The unique ID of the session to remove.
+   */
+  const handleRemoveExerciseEntry = useCallback(
+    (entryId) => {
+      if (!entryId) {
+        console.warn(
+          '[AppContext] Invalid operation: Exercise entry ID required for removal.'
+        );
+        return;
+      }
+      setStoredExerciseLog((prevLog) =>
+        prevLog.filter((entry) => entry.id !== entryId)
+      );
+      const removedEntry = findById(latestRef.current.exerciseLog, entryId);
+      if (removedEntry) {
+        recordListChange(
+          `Deleted ${removedEntry.durationMinutes} minutes of ${findActivity(removedEntry.activity)?.name.toLowerCase() ?? 'exercise'} for ${removedEntry.date}`,
+          setStoredExerciseLog,
+          [removedEntry],
+          [],
+          { destructive: true }
+        );
+      }
+    },
+    [setStoredExerciseLog, recordListChange]
+  );
+
+  /**
+   * Chooses whether the calories burned exercising add to the day's budget.
+   * @param {boolean} enabled - True to add them.
+   */
+  const handleSetAddBurnedCalories = useCallback(
+    (enabled) => {
+      const validValue = validateAddBurnedCalories(enabled, warn);
+      if (validValue === null) {
+        return;
+      }
+      const prevValue = latestRef.current.addBurnedCalories === true;
+      setStoredAddBurnedCalories(validValue);
+      if (prevValue !== validValue) {
+        recordChange({
+          label: validValue
+            ? 'Turned on adding burned calories to the budget'
+            : 'Turned off adding burned calories to the budget',
+          undo: () => setStoredAddBurnedCalories(prevValue),
+          redo: () => setStoredAddBurnedCalories(validValue),
+        });
+      }
+    },
+    [setStoredAddBurnedCalories, recordChange]
+  );
+
+  /**
+   * Collects all of the tracker's data, e.g. for a backup. With a log
+   * adapter, every day of the log is loaded first.
+   * @returns {Promise<import('../utils/backup.js').TrackerData>} The data.
+   */
+  const handleGetAllData = useCallback(
+    async () => ({
+      goal,
+      macroGoals: { ...DEFAULT_MACRO_GOALS, ...macroGoals },
+      mealBudgets: { ...DEFAULT_MEAL_BUDGETS, ...mealBudgets },
+      dietaryPreferences: {
+        ...DEFAULT_DIETARY_PREFERENCES,
+        ...dietaryPreferences,
+      },
+      log: logAdapter ? await loadAllLog() : log,
+      customFoods,
+      recipes,
+      favoriteFoods,
+      weekdayGoals: goalPlan.weekdayGoals,
+      goalSchedule: goalPlan.goalSchedule,
+      goalHistory: Array.isArray(goalHistory) ? goalHistory : [],
+      weightLog: Array.isArray(weightLog) ? weightLog : [],
+      targetPace: isValidTargetPace(targetPace) ? targetPace : null,
+      addBurnedCalories: addBurnedCalories === true,
+      exerciseLog: Array.isArray(exerciseLog) ? exerciseLog : [],
+    }),
+    [
+      goal,
+      macroGoals,
+      mealBudgets,
+      dietaryPreferences,
+      logAdapter,
+      loadAllLog,
+      log,
+      customFoods,
+      recipes,
+      favoriteFoods,
+      goalPlan,
+      goalHistory,
+      weightLog,
+      targetPace,
+      exerciseLog,
+      addBurnedCalories,
+    ]
+  );
+
+  /**
+   * Imports data validated by `parseBackup` (see `src/utils/backup.js`).
+   * `merge` adds the records that aren't saved yet and keeps the current
+   * settings; `replace` swaps everything the backup contains for its
+   * contents. Sections the backup doesn't have are left alone. With a log
+   * adapter, every day of the log is loaded first so nothing is missed.
+   * @param {import('../utils/backup.js').TrackerData} data - The data to import.
+   * @param {'merge' | 'replace'} mode - How to combine it with the current data.
+   * @returns {Promise<void>} Resolves once the data is imported.
+   */
+  const handleImportData = useCallback(
+    async (data, mode) => {
+      if (!data || typeof data !== 'object') {
+        console.warn(
+          '[AppContext] Invalid operation: Data required to import.'
+        );
+        return;
+      }
+      if (!IMPORT_MODES.includes(mode)) {
+        console.warn(
+          `[AppContext] Invalid import mode: ${mode}. Expected one of ${IMPORT_MODES.join(', ')}.`
+        );
+        return;
+      }
+      if (logAdapter && data.log !== undefined) {
+        await loadAllLog();
+      }
+      if (
+        mode === 'replace' &&
+        GOAL_PLAN_SECTIONS.some((section) => data[section] !== undefined)
+      ) {
+        goalPlanReplacedRef.current = true;
+      }
+      [
+        ['goal', setStoredGoal],
+        ['macroGoals', setStoredMacroGoals],
+        ['mealBudgets', setStoredMealBudgets],
+        ['dietaryPreferences', setStoredDietaryPreferences],
+        ['log', setStoredLog],
+        ['customFoods', setStoredCustomFoods],
+        ['recipes', setStoredRecipes],
+        ['favoriteFoods', setStoredFavoriteFoods],
+        ['weekdayGoals', setStoredWeekdayGoals],
+        ['goalSchedule', setStoredGoalSchedule],
+        ['goalHistory', setStoredGoalHistory],
+        ['weightLog', setStoredWeightLog],
+        ['targetPace', setStoredTargetPace],
+        ['addBurnedCalories', setStoredAddBurnedCalories],
+        ['exerciseLog', setStoredExerciseLog],
+      ].forEach(([section, setStoredValue]) => {
+        if (data[section] !== undefined) {
+          setStoredValue((prevValue) =>
+            importSection(section, prevValue, data[section], mode)
+          );
+        }
+      });
+      // Earlier changes can't be undone on top of the imported data
+      clearHistory();
+    },
+    [
+      logAdapter,
+      loadAllLog,
+      clearHistory,
+      setStoredGoal,
+      setStoredMacroGoals,
+      setStoredMealBudgets,
+      setStoredDietaryPreferences,
+      setStoredLog,
+      setStoredCustomFoods,
+      setStoredRecipes,
+      setStoredFavoriteFoods,
+      setStoredWeekdayGoals,
+      setStoredGoalSchedule,
+      setStoredGoalHistory,
+      setStoredWeightLog,
+      setStoredTargetPace,
+      setStoredAddBurnedCalories,
+      setStoredExerciseLog,
+    ]
+  );
+
+  /**
+   * Clears the storage problems reported on load, once the user has seen them.
+   */
+  const handleDismissStorageErrors = useCallback(() => {
+    setStorageErrors([]);
+  }, []);
+
   /**
    * Memoized context value to prevent unnecessary re-renders in consumers
    * when the provider itself re-renders but the context value hasn't changed.
@@ -126,12 +1663,122 @@ export function AppProvider({ children }) {
   const contextValue = useMemo(
     () => ({
       goal: goal, // Ensure goal is consistently number or null if useLocalStorage allows nulls
-      log: log || [], // Ensure log is always an array
+      weekdayGoals: goalPlan.weekdayGoals,
+      goalSchedule: goalPlan.goalSchedule,
+      dayGoal: getGoalForDate(selectedDate),
+      getGoalForDate,
+      macroGoals: { ...DEFAULT_MACRO_GOALS, ...macroGoals },
+      mealBudgets: { ...DEFAULT_MEAL_BUDGETS, ...mealBudgets },
+      dietaryPreferences: {
+        ...DEFAULT_DIETARY_PREFERENCES,
+        ...dietaryPreferences,
+      },
+      log: logByDate[selectedDate] || [], // Ensure log is always an array
+      logLoading,
+      logByDate,
+      customFoods: Array.isArray(customFoods) ? customFoods : [],
+      recipes: Array.isArray(recipes) ? recipes : [],
+      favoriteFoods: Array.isArray(favoriteFoods) ? favoriteFoods : [],
+      foodHistory,
+      weightLog: Array.isArray(weightLog) ? weightLog : [],
+      targetPace: isValidTargetPace(targetPace) ? targetPace : null,
+      exerciseLog: Array.isArray(exerciseLog) ? exerciseLog : [],
+      addBurnedCalories: addBurnedCalories === true,
+      selectedDate,
+      today,
+      storageErrors,
+      dismissStorageErrors: handleDismissStorageErrors,
+      syncStatus,
+      syncNow,
+      history,
+      undo,
+      redo,
+      getAllData: handleGetAllData,
+      importData: handleImportData,
       setGoal: handleSetGoal,
+      setWeekdayGoals: handleSetWeekdayGoals,
+      addScheduledGoal: handleAddScheduledGoal,
+      removeScheduledGoal: handleRemoveScheduledGoal,
+      setMacroGoals: handleSetMacroGoals,
+      setMealBudgets: handleSetMealBudgets,
+      setDietaryPreferences: handleSetDietaryPreferences,
       addLogItem: handleAddLogItem,
+      addLogItems: handleAddLogItems,
+      updateLogItem: handleUpdateLogItem,
       removeLogItem: handleRemoveLogItem,
+      selectDate: handleSelectDate,
+      loadLogDays,
+      addCustomFood: handleAddCustomFood,
+      updateCustomFood: handleUpdateCustomFood,
+      removeCustomFood: handleRemoveCustomFood,
+      addRecipe: handleAddRecipe,
+      updateRecipe: handleUpdateRecipe,
+      removeRecipe: handleRemoveRecipe,
+      pinFood: handlePinFood,
+      unpinFood: handleUnpinFood,
+      addWeightEntry: handleAddWeightEntry,
+      removeWeightEntry: handleRemoveWeightEntry,
+      setTargetPace: handleSetTargetPace,
+      addExerciseEntry: handleAddExerciseEntry,
+      removeExerciseEntry: handleRemoveExerciseEntry,
+      setAddBurnedCalories: handleSetAddBurnedCalories,
     }),
-    [goal, log, handleSetGoal, handleAddLogItem, handleRemoveLogItem]
+    [
+      goal,
+      goalPlan,
+      getGoalForDate,
+      macroGoals,
+      mealBudgets,
+      dietaryPreferences,
+      logLoading,
+      logByDate,
+      customFoods,
+      recipes,
+      favoriteFoods,
+      foodHistory,
+      weightLog,
+      targetPace,
+      exerciseLog,
+      addBurnedCalories,
+      selectedDate,
+      today,
+      storageErrors,
+      handleDismissStorageErrors,
+      syncStatus,
+      syncNow,
+      history,
+      undo,
+      redo,
+      handleGetAllData,
+      handleImportData,
+      handleSetGoal,
+      handleSetWeekdayGoals,
+      handleAddScheduledGoal,
+      handleRemoveScheduledGoal,
+      handleSetMacroGoals,
+      handleSetMealBudgets,
+      handleSetDietaryPreferences,
+      handleAddLogItem,
+      handleAddLogItems,
+      handleUpdateLogItem,
+      handleRemoveLogItem,
+      handleSelectDate,
+      loadLogDays,
+      handleAddCustomFood,
+      handleUpdateCustomFood,
+      handleRemoveCustomFood,
+      handleAddRecipe,
+      handleUpdateRecipe,
+      handleRemoveRecipe,
+      handlePinFood,
+      handleUnpinFood,
+      handleAddWeightEntry,
+      handleRemoveWeightEntry,
+      handleSetTargetPace,
+      handleAddExerciseEntry,
+      handleRemoveExerciseEntry,
+      handleSetAddBurnedCalories,
+    ]
   );
 
   return (
@@ -145,4 +1792,28 @@ AppProvider.propTypes = {
    * The child components that will have access to the context.
    */
   children: PropTypes.node.isRequired,
+  /**
+   * Where the food log is saved: a built-in option or a storage adapter.
+   */
+  storage: PropTypes.oneOfType([
+    PropTypes.oneOf(LOG_STORAGE_NAMES),
+    PropTypes.shape({
+      loadDays: PropTypes.func.isRequired,
+      saveItems: PropTypes.func.isRequired,
+      deleteItems: PropTypes.func.isRequired,
+      subscribe: PropTypes.func,
+    }),
+  ]),
+  /**
+   * The base URL of the sync API. Syncing is off without it.
+   */
+  syncUrl: PropTypes.string,
+  /**
+   * The profile whose data is loaded and saved.
+   */
+  profileId: PropTypes.string,
+  /**
+   * How many changes can be undone.
+   */
+  historyLimit: PropTypes.number,
 };
\ No newline at end of file
@@ -0,0 +1,345 @@
+import React, { createContext, useState, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import { nanoid } from 'nanoid';
+import useLocalStorage from '../hooks/useLocalStorage.js';
+import { DEFAULT_PROFILE_ID, removeProfileData } from '../utils/storage.js';
+import { getLogDatabaseName } from '../utils/logStorage.js';
+import { mergeById } from '../utils/sync.js';
+import {
+  PROFILES_KEY,
+  ACTIVE_PROFILE_KEY,
+  DEFAULT_PROFILE,
+  validateProfileName,
+  isValidProfileColor,
+  isValidPin,
+  normalizeProfiles,
+  getUnusedProfileColor,
+  createPinLock,
+  verifyPin,
+} from '../utils/profiles.js';
+
+/**
+ * @typedef {object} ProfileContextState
+ * @property {import('../utils/profiles.js').Profile[]} profiles - Every profile on this device, the default one first.
+ * @property {import('../utils/profiles.js').Profile} activeProfile - The profile being used.
+ * @property {boolean} locked - True while the active profile has a PIN that hasn't been entered.
+ * @property {(profileId: string) => void} switchProfile - Function to change the active profile. A profile with a PIN starts locked.
+ * @property {(pin: string) => Promise<boolean>} unlock - Function to unlock the active profile; resolves to false for a wrong PIN.
+ * @property {() => void} lock - Function to lock the active profile again, if it has a PIN.
+ * @property {(profile: { name: string, color?: string, pin?: string }) => Promise<import('../utils/profiles.js').Profile | null>} addProfile - Function to create a profile and switch to it; resolves to null for invalid input.
+ * @property {(profileId: string, changes: { name?: string, color?: string }) => void} updateProfile - Function to rename a profile or change its color.
+ * @property {(pin: string | null) => Promise<boolean>} setProfilePin - Function to set (or remove, with null) the PIN of the active profile.
+ * @property {() => void} removeProfile - Function to delete the active profile and its data, then switch to the default profile.
+ */
+
+/**
+ * React Context for the profiles on this device and which one is in use.
+ * @type {React.Context<ProfileContextState>}
+ */
+export const ProfileContext = createContext(null);
+
+/**
+ * Reports invalid input to the profile functions.
+ * @param {string} message - The problem.
+ */
+const warn = (message) => console.warn(`[ProfileContext] ${message}`);
+
+/**
+ * Reads the ID of the profile used last.
+ * @returns {string} The ID, or the default profile's if none was saved.
+ */
+const readActiveProfileId = () => {
+  try {
+    return (
+      window.localStorage.getItem(ACTIVE_PROFILE_KEY) ?? DEFAULT_PROFILE_ID
+    );
+  } catch (error) {
+    console.error('[ProfileContext] Error reading the active profile:', error);
+    return DEFAULT_PROFILE_ID;
+  }
+};
+
+/**
+ * Saves the ID of the active profile, so it is opened on the next start.
+ * @param {string} profileId - The profile's ID.
+ */
+const saveActiveProfileId = (profileId) => {
+  try {
+    window.localStorage.setItem(ACTIVE_PROFILE_KEY, profileId);
+  } catch (error) {
+    console.error('[ProfileContext] Error saving the active profile:', error);
+  }
+};
+
+/**
+ * Deletes a profile's IndexedDB food log, if the browser has IndexedDB.
+ * Failures are only logged; the profile is gone from the list either way.
+ * @param {string} profileId - The profile's ID.
+ */
+const deleteLogDatabase = (profileId) => {
+  if (typeof indexedDB === 'undefined') {
+    return;
+  }
+  try {
+    const request = indexedDB.deleteDatabase(getLogDatabaseName(profileId));
+    request.onerror = () =>
+      console.error(
+        '[ProfileContext] Error deleting the food log database:',
+        request.error
+      );
+  } catch (error) {
+    console.error(
+      '[ProfileContext] Error deleting the food log database:',
+      error
+    );
+  }
+};
+
+/**
+ * Provides the ProfileContext to its child components.
+ * Keeps the list of profiles in localStorage (merged with other open tabs)
+ * and tracks which profile is active in this tab and whether it is unlocked.
+ * The active profile is remembered for the next start, but a profile with a
+ * PIN always starts locked.
+ *
+ * Each profile's data is kept by an `AppProvider` given its `profileId`.
+ *
+ * @param {object} props - Component props.
+ * @param {React.ReactNode} props.children - The child components that will consume the context.
+ * @returns {JSX.Element} The provider component wrapping the children.
+ */
+export function ProfileProvider({ children }) {
+  const [storedProfiles, setStoredProfiles] = useLocalStorage(
+    PROFILES_KEY,
+    [DEFAULT_PROFILE],
+    { merge: mergeById }
+  );
+  const profiles = useMemo(
+    () => normalizeProfiles(storedProfiles),
+    [storedProfiles]
+  );
+  const [activeProfileId, setActiveProfileId] = useState(() =>
+    typeof window === 'undefined' ? DEFAULT_PROFILE_ID : readActiveProfileId()
+  );
+  const [unlockedProfileId, setUnlockedProfileId] = useState(null);
+
+  // A profile deleted in another tab falls back to the default profile
+  const activeProfile =
+    profiles.find((profile) => profile.id === activeProfileId) ?? profiles[0];
+  const locked =
+    Boolean(activeProfile.pinHash) && unlockedProfileId !== activeProfile.id;
+
+  /**
+   * Changes the active profile. Switching away locks the previous profile.
+   * @param {string} profileId - The profile's ID.
+   */
+  const handleSwitchProfile = useCallback(
+    (profileId) => {
+      if (!profiles.some((profile) => profile.id === profileId)) {
+        warn(`Cannot switch to unknown profile: ${profileId}.`);
+        return;
+      }
+      setActiveProfileId(profileId);
+      setUnlockedProfileId(null);
+      saveActiveProfileId(profileId);
+    },
+    [profiles]
+  );
+
+  /**
+   * Unlocks the active profile if the PIN is right.
+   * @param {string} pin - The PIN entered.
+   * @returns {Promise<boolean>} True if the profile is now unlocked.
+   */
+  const handleUnlock = useCallback(
+    async (pin) => {
+      const profileId = activeProfile.id;
+      if (!(await verifyPin(activeProfile, pin))) {
+        return false;
+      }
+      setUnlockedProfileId(profileId);
+      return true;
+    },
+    [activeProfile]
+  );
+
+  /**
+   * Locks the active profile again, e.g. before handing the device over.
+   */
+  const handleLock = useCallback(() => {
+    setUnlockedProfileId(null);
+  }, []);
+
+  /**
+   * Creates a profile and switches to it. A new profile with a PIN starts
+   * unlocked, since its PIN was just chosen.
+   * @param {{ name: string, color?: string, pin?: string }} profile - The new profile.
+   * @returns {Promise<import('../utils/profiles.js').Profile | null>} The profile, or null if the input is invalid.
+   */
+  const handleAddProfile = useCallback(
+    async ({ name, color, pin } = {}) => {
+      const profileName = validateProfileName(name, warn);
+      if (profileName === null) {
+        return null;
+      }
+      if (color !== undefined && !isValidProfileColor(color)) {
+        warn(`Invalid profile color: ${color}.`);
+        return null;
+      }
+      if (pin && !isValidPin(pin)) {
+        warn('PIN must be 4 to 8 digits.');
+        return null;
+      }
+      const newProfile = {
+        id: nanoid(),
+        name: profileName,
+        color: color ?? getUnusedProfileColor(profiles),
+        ...(pin ? await createPinLock(pin) : {}),
+      };
+      setStoredProfiles((prevProfiles) => [
+        ...normalizeProfiles(prevProfiles),
+        newProfile,
+      ]);
+      setActiveProfileId(newProfile.id);
+      setUnlockedProfileId(newProfile.id);
+      saveActiveProfileId(newProfile.id);
+      return newProfile;
+    },
+    [profiles, setStoredProfiles]
+  );
+
+  /**
+   * Renames a profile or changes its color.
+   * @param {string} profileId - The profile's ID.
+   * @param {{ name?: string, color?: string }} changes - The new values.
+   */
+  const handleUpdateProfile = useCallback(
+    (profileId, { name, color } = {}) => {
+      const changes = {};
+      if (name !== undefined) {
+        const profileName = validateProfileName(name, warn);
+        if (profileName === null) {
+          return;
+        }
+        changes.name = profileName;
+      }
+      if (color !== undefined) {
+        if (!isValidProfileColor(color)) {
+          warn(`Invalid profile color: ${color}.`);
+          return;
+        }
+        changes.color = color;
+      }
+      if (!profiles.some((profile) => profile.id === profileId)) {
+        warn(`Cannot update unknown profile: ${profileId}.`);
+        return;
+      }
+      setStoredProfiles((prevProfiles) =>
+        normalizeProfiles(prevProfiles).map((profile) =>
+          profile.id === profileId ? { ...profile, ...changes } : profile
+        )
+      );
+    },
+    [profiles, setStoredProfiles]
+  );
+
+  /**
+   * Sets or removes the PIN of the active profile. Only an unlocked profile
+   * can change its PIN.
+   * @param {string | null} pin - The new PIN, or null to remove it.
+   * @returns {Promise<boolean>} True if the PIN was changed.
+   */
+  const handleSetProfilePin = useCallback(
+    async (pin) => {
+      if (locked) {
+        warn('Unlock the profile before changing its PIN.');
+        return false;
+      }
+      if (pin !== null && !isValidPin(pin)) {
+        warn('PIN must be 4 to 8 digits.');
+        return false;
+      }
+      const profileId = activeProfile.id;
+      const pinLock =
+        pin === null
+          ? { pinSalt: undefined, pinHash: undefined }
+          : await createPinLock(pin);
+      setStoredProfiles((prevProfiles) =>
+        normalizeProfiles(prevProfiles).map((profile) =>
+          profile.id === profileId ? { ...profile, ...pinLock } : profile
+        )
+      );
+      setUnlockedProfileId(profileId);
+      return true;
+    },
+    [activeProfile, locked, setStoredProfiles]
+  );
+
+  /**
+   * Deletes the active profile with its goal, log and settings, then switches
+   * to the default profile. The default profile can't be deleted, and a
+   * locked profile must be unlocked first.
+   */
+  const handleRemoveProfile = useCallback(() => {
+    const profileId = activeProfile.id;
+    if (profileId === DEFAULT_PROFILE_ID) {
+      warn('The default profile cannot be deleted.');
+      return;
+    }
+    if (locked) {
+      warn('Unlock the profile before deleting it.');
+      return;
+    }
+    setStoredProfiles((prevProfiles) =>
+      normalizeProfiles(prevProfiles).filter(
+        (profile) => profile.id !== profileId
+      )
+    );
+    removeProfileData(window.localStorage, profileId);
+    deleteLogDatabase(profileId);
+    setActiveProfileId(DEFAULT_PROFILE_ID);
+    setUnlockedProfileId(null);
+    saveActiveProfileId(DEFAULT_PROFILE_ID);
+  }, [activeProfile, locked, setStoredProfiles]);
+
+  const contextValue = useMemo(
+    () => ({
+      profiles,
+      activeProfile,
+      locked,
+      switchProfile: handleSwitchProfile,
+      unlock: handleUnlock,
+      lock: handleLock,
+      addProfile: handleAddProfile,
+      updateProfile: handleUpdateProfile,
+      setProfilePin: handleSetProfilePin,
+      removeProfile: handleRemoveProfile,
+    }),
+    [
+      profiles,
+      activeProfile,
+      locked,
+      handleSwitchProfile,
+      handleUnlock,
+      handleLock,
+      handleAddProfile,
+      handleUpdateProfile,
+      handleSetProfilePin,
+      handleRemoveProfile,
+    ]
+  );
+
+  return (
+    <ProfileContext.Provider value={contextValue}>
+      {children}
+    </ProfileContext.Provider>
+  );
+}
+
+// Define PropTypes for the ProfileProvider component
+ProfileProvider.propTypes = {
+  /**
+   * The child components that will have access to the context.
+   */
+  children: PropTypes.node.isRequired,
+};
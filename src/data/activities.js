@@ -0,0 +1,87 @@
+/**
+ * Static local activity table.
+ *
+ * This module defines and exports a constant array of common activities with
+ * their MET (metabolic equivalent of task) values, used to estimate the
+ * calories an exercise session burns. One MET is the energy used sitting
+ * still, about 1 kcal per kilogram of body weight an hour. Values are rounded
+ * from the 2011 Compendium of Physical Activities. It has no dependencies and
+ * solely provides static data.
+ *
+ * Each activity has:
+ * - `id`: Stable unique identifier, saved with logged exercise.
+ * - `name`: Display name.
+ * - `met`: The MET value at each intensity (`light`, `moderate`, `vigorous`).
+ */
+export const activities = [
+  {
+    id: 'walking',
+    name: 'Walking',
+    met: { light: 2.8, moderate: 3.5, vigorous: 5 },
+  },
+  {
+    id: 'running',
+    name: 'Running',
+    met: { light: 6, moderate: 9.8, vigorous: 11.5 },
+  },
+  {
+    id: 'cycling',
+    name: 'Cycling',
+    met: { light: 4, moderate: 6.8, vigorous: 10 },
+  },
+  {
+    id: 'swimming',
+    name: 'Swimming',
+    met: { light: 5.8, moderate: 8.3, vigorous: 9.8 },
+  },
+  {
+    id: 'hiking',
+    name: 'Hiking',
+    met: { light: 5.3, moderate: 6, vigorous: 7.8 },
+  },
+  {
+    id: 'strength',
+    name: 'Strength training',
+    met: { light: 3.5, moderate: 5, vigorous: 6 },
+  },
+  {
+    id: 'circuit',
+    name: 'Circuit training (HIIT)',
+    met: { light: 4.3, moderate: 8, vigorous: 9 },
+  },
+  {
+    id: 'rowing',
+    name: 'Rowing machine',
+    met: { light: 4.8, moderate: 7, vigorous: 8.5 },
+  },
+  {
+    id: 'elliptical',
+    name: 'Elliptical trainer',
+    met: { light: 4, moderate: 5, vigorous: 6.5 },
+  },
+  {
+    id: 'jumpRope',
+    name: 'Jumping rope',
+    met: { light: 8.8, moderate: 11.8, vigorous: 12.3 },
+  },
+  {
+    id: 'yoga',
+    name: 'Yoga',
+    met: { light: 2.5, moderate: 3, vigorous: 4 },
+  },
+  {
+    id: 'dancing',
+    name: 'Dancing',
+    met: { light: 3, moderate: 5, vigorous: 7.3 },
+  },
+  {
+    id: 'tennis',
+    name: 'Tennis',
+    met: { light: 5, moderate: 7.3, vigorous: 8 },
+  },
+  {
+    id: 'soccer',
+    name: 'Soccer',
+    met: { light: 6, moderate: 7, vigorous: 10 },
+  },
+];
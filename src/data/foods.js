@@ -0,0 +1,574 @@
+/**
+ * Static local food database.
+ *
+ * This module defines and exports a constant array of common foods with their
+ * nutrition per serving, intended to be searched by the food name
+ * autocomplete in CalorieInput. Values are rounded averages from public
+ * nutrition tables. It has no dependencies and solely provides static data.
+ *
+ * Each food has:
+ * - `id`: Stable unique identifier.
+ * - `name`: Display name.
+ * - `serving`: Human-readable serving size.
+ * - `servingGrams`: Weight of one serving in grams.
+ * - `cupGrams`, `pieceGrams` (optional): Weight of one cup or one piece in
+ *   grams, where those units make sense for the food.
+ * - `basis` (optional): `'per100g'` if the nutrition values are per 100 g
+ *   rather than per serving.
+ * - `calories`, `protein`, `carbs`, `fat`: kcal and grams per serving (or
+ *   per 100 g).
+ */
+export const foods = [
+  {
+    id: 'apple',
+    name: 'Apple',
+    serving: '1 medium (182 g)',
+    servingGrams: 182,
+    pieceGrams: 182,
+    calories: 95,
+    protein: 0.5,
+    carbs: 25,
+    fat: 0.3,
+  },
+  {
+    id: 'banana',
+    name: 'Banana',
+    serving: '1 medium (118 g)',
+    servingGrams: 118,
+    pieceGrams: 118,
+    calories: 105,
+    protein: 1.3,
+    carbs: 27,
+    fat: 0.4,
+  },
+  {
+    id: 'orange',
+    name: 'Orange',
+    serving: '1 medium (131 g)',
+    servingGrams: 131,
+    pieceGrams: 131,
+    calories: 62,
+    protein: 1.2,
+    carbs: 15,
+    fat: 0.2,
+  },
+  {
+    id: 'strawberries',
+    name: 'Strawberries',
+    serving: '1 cup (152 g)',
+    servingGrams: 152,
+    cupGrams: 152,
+    calories: 49,
+    protein: 1,
+    carbs: 12,
+    fat: 0.5,
+  },
+  {
+    id: 'blueberries',
+    name: 'Blueberries',
+    serving: '1 cup (148 g)',
+    servingGrams: 148,
+    cupGrams: 148,
+    calories: 84,
+    protein: 1.1,
+    carbs: 21,
+    fat: 0.5,
+  },
+  {
+    id: 'grapes',
+    name: 'Grapes',
+    serving: '1 cup (151 g)',
+    servingGrams: 151,
+    cupGrams: 151,
+    calories: 104,
+    protein: 1.1,
+    carbs: 27,
+    fat: 0.2,
+  },
+  {
+    id: 'avocado',
+    name: 'Avocado',
+    serving: '1/2 fruit (100 g)',
+    servingGrams: 100,
+    pieceGrams: 200,
+    calories: 160,
+    protein: 2,
+    carbs: 9,
+    fat: 15,
+  },
+  {
+    id: 'broccoli-steamed',
+    name: 'Broccoli, steamed',
+    serving: '1 cup (156 g)',
+    servingGrams: 156,
+    cupGrams: 156,
+    calories: 55,
+    protein: 3.7,
+    carbs: 11,
+    fat: 0.6,
+  },
+  {
+    id: 'carrots-baby',
+    name: 'Baby carrots',
+    serving: '10 carrots (100 g)',
+    servingGrams: 100,
+    pieceGrams: 10,
+    calories: 35,
+    protein: 0.6,
+    carbs: 8,
+    fat: 0.1,
+  },
+  {
+    id: 'spinach-raw',
+    name: 'Spinach, raw',
+    serving: '2 cups (60 g)',
+    servingGrams: 60,
+    cupGrams: 30,
+    calories: 14,
+    protein: 1.7,
+    carbs: 2.2,
+    fat: 0.2,
+  },
+  {
+    id: 'sweet-potato-baked',
+    name: 'Sweet potato, baked',
+    serving: '1 medium (114 g)',
+    servingGrams: 114,
+    pieceGrams: 114,
+    calories: 103,
+    protein: 2.3,
+    carbs: 24,
+    fat: 0.2,
+  },
+  {
+    id: 'potato-baked',
+    name: 'Potato, baked',
+    serving: '1 medium (173 g)',
+    servingGrams: 173,
+    pieceGrams: 173,
+    calories: 161,
+    protein: 4.3,
+    carbs: 37,
+    fat: 0.2,
+  },
+  {
+    id: 'egg-boiled',
+    name: 'Egg, hard-boiled',
+    serving: '1 large (50 g)',
+    servingGrams: 50,
+    pieceGrams: 50,
+    calories: 78,
+    protein: 6.3,
+    carbs: 0.6,
+    fat: 5.3,
+  },
+  {
+    id: 'egg-scrambled',
+    name: 'Eggs, scrambled',
+    serving: '2 large (122 g)',
+    servingGrams: 122,
+    pieceGrams: 61,
+    calories: 182,
+    protein: 12,
+    carbs: 2,
+    fat: 14,
+  },
+  {
+    id: 'chicken-breast-grilled',
+    name: 'Chicken breast, grilled',
+    serving: '100 g',
+    servingGrams: 100,
+    calories: 165,
+    protein: 31,
+    carbs: 0,
+    fat: 3.6,
+  },
+  {
+    id: 'salmon-baked',
+    name: 'Salmon, baked',
+    serving: '100 g',
+    servingGrams: 100,
+    calories: 206,
+    protein: 22,
+    carbs: 0,
+    fat: 12,
+  },
+  {
+    id: 'tuna-canned',
+    name: 'Tuna, canned in water',
+    serving: '1 can (142 g)',
+    servingGrams: 142,
+    pieceGrams: 142,
+    calories: 179,
+    protein: 39,
+    carbs: 0,
+    fat: 1.3,
+  },
+  {
+    id: 'beef-ground-lean',
+    name: 'Ground beef, 90% lean',
+    serving: '100 g',
+    servingGrams: 100,
+    calories: 217,
+    protein: 26,
+    carbs: 0,
+    fat: 12,
+  },
+  {
+    id: 'tofu-firm',
+    name: 'Tofu, firm',
+    serving: '1/2 cup (126 g)',
+    servingGrams: 126,
+    cupGrams: 252,
+    calories: 181,
+    protein: 22,
+    carbs: 3.5,
+    fat: 11,
+  },
+  {
+    id: 'lentils-cooked',
+    name: 'Lentils, cooked',
+    serving: '1 cup (198 g)',
+    servingGrams: 198,
+    cupGrams: 198,
+    calories: 230,
+    protein: 18,
+    carbs: 40,
+    fat: 0.8,
+  },
+  {
+    id: 'black-beans-cooked',
+    name: 'Black beans, cooked',
+    serving: '1 cup (172 g)',
+    servingGrams: 172,
+    cupGrams: 172,
+    calories: 227,
+    protein: 15,
+    carbs: 41,
+    fat: 0.9,
+  },
+  {
+    id: 'edamame',
+    name: 'Edamame, steamed',
+    serving: '1 cup (155 g)',
+    servingGrams: 155,
+    cupGrams: 155,
+    calories: 188,
+    protein: 18,
+    carbs: 14,
+    fat: 8,
+  },
+  {
+    id: 'greek-yogurt-plain',
+    name: 'Greek yogurt, plain nonfat',
+    serving: '1 container (170 g)',
+    servingGrams: 170,
+    calories: 100,
+    protein: 17,
+    carbs: 6,
+    fat: 0.7,
+  },
+  {
+    id: 'cottage-cheese',
+    name: 'Cottage cheese, low-fat',
+    serving: '1/2 cup (113 g)',
+    servingGrams: 113,
+    cupGrams: 226,
+    calories: 92,
+    protein: 12,
+    carbs: 5,
+    fat: 2.6,
+  },
+  {
+    id: 'cheddar-cheese',
+    name: 'Cheddar cheese',
+    serving: '1 slice (28 g)',
+    servingGrams: 28,
+    pieceGrams: 28,
+    calories: 113,
+    protein: 7,
+    carbs: 0.4,
+    fat: 9.3,
+  },
+  {
+    id: 'milk-2-percent',
+    name: 'Milk, 2%',
+    serving: '1 cup (244 g)',
+    servingGrams: 244,
+    cupGrams: 244,
+    calories: 122,
+    protein: 8,
+    carbs: 12,
+    fat: 4.8,
+  },
+  {
+    id: 'almond-milk',
+    name: 'Almond milk, unsweetened',
+    serving: '1 cup (240 g)',
+    servingGrams: 240,
+    cupGrams: 240,
+    calories: 39,
+    protein: 1,
+    carbs: 3.4,
+    fat: 2.5,
+  },
+  {
+    id: 'oatmeal-cooked',
+    name: 'Oatmeal, cooked with water',
+    serving: '1 cup (234 g)',
+    servingGrams: 234,
+    cupGrams: 234,
+    calories: 166,
+    protein: 5.9,
+    carbs: 28,
+    fat: 3.6,
+  },
+  {
+    id: 'rice-white-cooked',
+    name: 'White rice, cooked',
+    serving: '1 cup (158 g)',
+    servingGrams: 158,
+    cupGrams: 158,
+    calories: 205,
+    protein: 4.3,
+    carbs: 45,
+    fat: 0.4,
+  },
+  {
+    id: 'rice-brown-cooked',
+    name: 'Brown rice, cooked',
+    serving: '1 cup (195 g)',
+    servingGrams: 195,
+    cupGrams: 195,
+    calories: 216,
+    protein: 5,
+    carbs: 45,
+    fat: 1.8,
+  },
+  {
+    id: 'quinoa-cooked',
+    name: 'Quinoa, cooked',
+    serving: '1 cup (185 g)',
+    servingGrams: 185,
+    cupGrams: 185,
+    calories: 222,
+    protein: 8,
+    carbs: 39,
+    fat: 3.6,
+  },
+  {
+    id: 'pasta-cooked',
+    name: 'Pasta, cooked',
+    serving: '1 cup (140 g)',
+    servingGrams: 140,
+    cupGrams: 140,
+    calories: 221,
+    protein: 8.1,
+    carbs: 43,
+    fat: 1.3,
+  },
+  {
+    id: 'bread-whole-wheat',
+    name: 'Whole wheat bread',
+    serving: '1 slice (32 g)',
+    servingGrams: 32,
+    pieceGrams: 32,
+    calories: 81,
+    protein: 4,
+    carbs: 14,
+    fat: 1.1,
+  },
+  {
+    id: 'bagel-plain',
+    name: 'Bagel, plain',
+    serving: '1 medium (105 g)',
+    servingGrams: 105,
+    pieceGrams: 105,
+    calories: 277,
+    protein: 11,
+    carbs: 55,
+    fat: 1.4,
+  },
+  {
+    id: 'tortilla-flour',
+    name: 'Flour tortilla',
+    serving: '1 medium (45 g)',
+    servingGrams: 45,
+    pieceGrams: 45,
+    calories: 140,
+    protein: 3.7,
+    carbs: 23,
+    fat: 3.6,
+  },
+  {
+    id: 'almonds',
+    name: 'Almonds',
+    serving: '1 oz (28 g)',
+    servingGrams: 28,
+    calories: 164,
+    protein: 6,
+    carbs: 6.1,
+    fat: 14,
+  },
+  {
+    id: 'peanut-butter',
+    name: 'Peanut butter',
+    serving: '2 tbsp (32 g)',
+    servingGrams: 32,
+    calories: 188,
+    protein: 8,
+    carbs: 6,
+    fat: 16,
+  },
+  {
+    id: 'almond-butter',
+    name: 'Almond butter',
+    serving: '1 tbsp (16 g)',
+    servingGrams: 16,
+    calories: 98,
+    protein: 3.4,
+    carbs: 3,
+    fat: 8.9,
+  },
+  {
+    id: 'hummus',
+    name: 'Hummus',
+    serving: '2 tbsp (30 g)',
+    servingGrams: 30,
+    calories: 70,
+    protein: 2,
+    carbs: 4,
+    fat: 5,
+  },
+  {
+    id: 'olive-oil',
+    name: 'Olive oil',
+    serving: '1 tbsp (14 g)',
+    servingGrams: 14,
+    calories: 119,
+    protein: 0,
+    carbs: 0,
+    fat: 14,
+  },
+  {
+    id: 'butter',
+    name: 'Butter',
+    serving: '1 tbsp (14 g)',
+    servingGrams: 14,
+    calories: 102,
+    protein: 0.1,
+    carbs: 0,
+    fat: 12,
+  },
+  {
+    id: 'popcorn-air-popped',
+    name: 'Popcorn, air-popped',
+    serving: '3 cups (24 g)',
+    servingGrams: 24,
+    cupGrams: 8,
+    calories: 93,
+    protein: 3,
+    carbs: 19,
+    fat: 1.1,
+  },
+  {
+    id: 'dark-chocolate',
+    name: 'Dark chocolate, 70-85%',
+    serving: '1 oz (28 g)',
+    servingGrams: 28,
+    calories: 170,
+    protein: 2.2,
+    carbs: 13,
+    fat: 12,
+  },
+  {
+    id: 'protein-shake',
+    name: 'Whey protein shake (with water)',
+    serving: '1 scoop (30 g)',
+    servingGrams: 30,
+    calories: 120,
+    protein: 24,
+    carbs: 3,
+    fat: 1.5,
+  },
+  {
+    id: 'orange-juice',
+    name: 'Orange juice',
+    serving: '1 cup (248 g)',
+    servingGrams: 248,
+    cupGrams: 248,
+    calories: 112,
+    protein: 1.7,
+    carbs: 26,
+    fat: 0.5,
+  },
+  {
+    id: 'coffee-black',
+    name: 'Coffee, black',
+    serving: '1 cup (237 g)',
+    servingGrams: 237,
+    cupGrams: 237,
+    calories: 2,
+    protein: 0.3,
+    carbs: 0,
+    fat: 0,
+  },
+  {
+    id: 'pizza-cheese',
+    name: 'Cheese pizza',
+    serving: '1 slice (107 g)',
+    servingGrams: 107,
+    pieceGrams: 107,
+    calories: 285,
+    protein: 12,
+    carbs: 36,
+    fat: 10,
+  },
+  {
+    id: 'vegetable-soup',
+    name: 'Vegetable soup',
+    serving: '1 cup (241 g)',
+    servingGrams: 241,
+    cupGrams: 241,
+    calories: 98,
+    protein: 3.4,
+    carbs: 17,
+    fat: 2.3,
+  },
+  {
+    id: 'oats-rolled-dry',
+    name: 'Rolled oats, dry',
+    basis: 'per100g',
+    serving: '100 g',
+    servingGrams: 100,
+    cupGrams: 81,
+    calories: 379,
+    protein: 13,
+    carbs: 68,
+    fat: 6.5,
+  },
+  {
+    id: 'cucumber',
+    name: 'Cucumber',
+    basis: 'per100g',
+    serving: '100 g',
+    servingGrams: 100,
+    pieceGrams: 301,
+    calories: 15,
+    protein: 0.7,
+    carbs: 3.6,
+    fat: 0.1,
+  },
+  {
+    id: 'bell-pepper-red',
+    name: 'Red bell pepper',
+    basis: 'per100g',
+    serving: '100 g',
+    servingGrams: 100,
+    pieceGrams: 119,
+    calories: 31,
+    protein: 1,
+    carbs: 6,
+    fat: 0.3,
+  },
+];
@@ -1,24 +1,262 @@
 /**
  * Static data source for food suggestions.
  *
- * This module defines and exports a constant array of strings,
- * intended to be consumed by the FoodSuggestions component.
- * It has no dependencies and solely provides static data.
+ * This module defines and exports a constant array of suggested foods,
+ * intended to be consumed by the FoodSuggestions component. Each suggestion
+ * has the calories and macros (grams) of the portion described, tags
+ * describing it, and the allergens it contains. Tags are either nutrition
+ * tags (below) or dietary requirements the food meets, and allergens use the
+ * keys from `src/utils/diet.js`. It has no dependencies and solely provides
+ * static data.
  */
+
+/**
+ * Nutrition tags a suggestion can have, in display order.
+ */
+export const SUGGESTION_TAGS = ['high-protein', 'low-carb'];
+
+/**
+ * Human-readable labels for each nutrition tag.
+ */
+export const SUGGESTION_TAG_LABELS = {
+  'high-protein': 'High protein',
+  'low-carb': 'Low carb',
+};
+
 export const suggestions = [
-  'Greek Yogurt with Berries',
-  'Apple slices with almond butter',
-  'Hard-boiled egg',
-  'Handful of almonds',
-  'Baby carrots with hummus',
-  'Oatmeal with fruit',
-  'Grilled chicken breast',
-  'Steamed broccoli',
-  'Cottage cheese with pineapple',
-  'Air-popped popcorn',
-  'Edamame (steamed)',
-  'Tuna salad (light mayo) on whole wheat crackers',
-  'Vegetable soup',
-  'Smoothie with spinach and protein powder',
-  'Celery sticks with peanut butter',
-];
\ No newline at end of file
+  {
+    id: 'greek-yogurt-berries',
+    name: 'Greek Yogurt with Berries',
+    calories: 170,
+    protein: 23,
+    carbs: 17,
+    fat: 1,
+    tags: [
+      'high-protein',
+      'vegetarian',
+      'gluten-free',
+      'nut-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: ['dairy'],
+  },
+  {
+    id: 'apple-almond-butter',
+    name: 'Apple slices with almond butter',
+    calories: 195,
+    protein: 3.5,
+    carbs: 28,
+    fat: 9,
+    tags: [
+      'vegan',
+      'vegetarian',
+      'gluten-free',
+      'dairy-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: ['tree-nuts'],
+  },
+  {
+    id: 'hard-boiled-egg',
+    name: 'Hard-boiled egg',
+    calories: 78,
+    protein: 6.3,
+    carbs: 0.6,
+    fat: 5.3,
+    tags: [
+      'low-carb',
+      'vegetarian',
+      'gluten-free',
+      'dairy-free',
+      'nut-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: ['eggs'],
+  },
+  {
+    id: 'almonds',
+    name: 'Handful of almonds',
+    calories: 164,
+    protein: 6,
+    carbs: 6,
+    fat: 14,
+    tags: [
+      'low-carb',
+      'vegan',
+      'vegetarian',
+      'gluten-free',
+      'dairy-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: ['tree-nuts'],
+  },
+  {
+    id: 'carrots-hummus',
+    name: 'Baby carrots with hummus',
+    calories: 105,
+    protein: 3,
+    carbs: 12,
+    fat: 5,
+    tags: [
+      'vegan',
+      'vegetarian',
+      'gluten-free',
+      'dairy-free',
+      'nut-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: ['sesame'],
+  },
+  {
+    id: 'oatmeal-fruit',
+    name: 'Oatmeal with fruit',
+    calories: 220,
+    protein: 6.5,
+    carbs: 42,
+    fat: 3.6,
+    tags: ['vegan', 'vegetarian', 'dairy-free', 'nut-free', 'halal', 'kosher'],
+    allergens: [],
+  },
+  {
+    id: 'grilled-chicken-breast',
+    name: 'Grilled chicken breast',
+    calories: 165,
+    protein: 31,
+    carbs: 0,
+    fat: 3.6,
+    tags: ['high-protein', 'low-carb', 'gluten-free', 'dairy-free', 'nut-free'],
+    allergens: [],
+  },
+  {
+    id: 'steamed-broccoli',
+    name: 'Steamed broccoli',
+    calories: 55,
+    protein: 3.7,
+    carbs: 11,
+    fat: 0.6,
+    tags: [
+      'vegan',
+      'vegetarian',
+      'gluten-free',
+      'dairy-free',
+      'nut-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: [],
+  },
+  {
+    id: 'cottage-cheese-pineapple',
+    name: 'Cottage cheese with pineapple',
+    calories: 150,
+    protein: 14,
+    carbs: 18,
+    fat: 2.3,
+    tags: [
+      'high-protein',
+      'vegetarian',
+      'gluten-free',
+      'nut-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: ['dairy'],
+  },
+  {
+    id: 'popcorn',
+    name: 'Air-popped popcorn',
+    calories: 93,
+    protein: 3,
+    carbs: 19,
+    fat: 1.1,
+    tags: [
+      'vegan',
+      'vegetarian',
+      'gluten-free',
+      'dairy-free',
+      'nut-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: [],
+  },
+  {
+    id: 'edamame',
+    name: 'Edamame (steamed)',
+    calories: 188,
+    protein: 18.5,
+    carbs: 13.8,
+    fat: 8.1,
+    tags: [
+      'high-protein',
+      'vegan',
+      'vegetarian',
+      'gluten-free',
+      'dairy-free',
+      'nut-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: ['soy'],
+  },
+  {
+    id: 'tuna-salad-crackers',
+    name: 'Tuna salad (light mayo) on whole wheat crackers',
+    calories: 250,
+    protein: 17,
+    carbs: 20,
+    fat: 11,
+    tags: ['high-protein', 'dairy-free', 'nut-free', 'halal', 'kosher'],
+    allergens: ['fish', 'eggs', 'gluten'],
+  },
+  {
+    id: 'vegetable-soup',
+    name: 'Vegetable soup',
+    calories: 100,
+    protein: 3,
+    carbs: 18,
+    fat: 2,
+    tags: ['vegan', 'vegetarian', 'dairy-free', 'nut-free', 'halal', 'kosher'],
+    allergens: [],
+  },
+  {
+    id: 'spinach-protein-smoothie',
+    name: 'Smoothie with spinach and protein powder',
+    calories: 230,
+    protein: 27,
+    carbs: 26,
+    fat: 2.5,
+    tags: [
+      'high-protein',
+      'vegetarian',
+      'gluten-free',
+      'nut-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: ['dairy'],
+  },
+  {
+    id: 'celery-peanut-butter',
+    name: 'Celery sticks with peanut butter',
+    calories: 200,
+    protein: 7,
+    carbs: 9,
+    fat: 16,
+    tags: [
+      'low-carb',
+      'vegan',
+      'vegetarian',
+      'gluten-free',
+      'dairy-free',
+      'halal',
+      'kosher',
+    ],
+    allergens: ['peanuts'],
+  },
+];
@@ -1,4 +1,29 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+
+/**
+ * Parses a raw localStorage value, falling back to the initial value if the
+ * key is missing or the JSON is invalid.
+ * @template T
+ * @param {string} key - The key the value was read from (for error messages).
+ * @param {string | null} raw - The raw stored string, or null if missing.
+ * @param {T} initialValue - The value to use when there is nothing usable.
+ * @returns {T} The parsed value.
+ */
+function parseStoredValue(key, raw, initialValue) {
+  if (raw === null) {
+    return initialValue;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (parseError) {
+    // If parsing fails (invalid JSON), log an error and return the initial value.
+    console.error(
+      `[useLocalStorage] Error parsing localStorage key "${key}":`,
+      parseError
+    );
+    return initialValue;
+  }
+}
 
 /**
  * A custom React hook that persists state in localStorage.
@@ -6,21 +31,40 @@ import { useState, useEffect } from 'react';
  * Handles potential errors during storage access and JSON operations gracefully.
  * Ensures safety during server-side rendering (SSR) by avoiding direct window/localStorage access.
  *
+ * State also stays in sync across browser tabs: when another tab writes the
+ * key, the `storage` event brings the new value into this tab. By default the
+ * other tab's value replaces this tab's. With `options.merge`, the two are
+ * reconciled instead, using the last value both tabs agreed on as the base;
+ * storage is also re-read just before each write so a change made by another
+ * tab a moment earlier is merged rather than overwritten.
+ *
  * @template T The type of the state value being stored.
- * @param {string} key The key under which the value is stored in localStorage.
+ * @param {string | null} key The key under which the value is stored in localStorage. With a
+ *                            null key the value is only kept in memory (e.g. when it is saved
+ *                            somewhere else).
  * @param {T} initialValue The initial value to use if no value is found in localStorage,
  *                         if localStorage is unavailable (e.g., SSR, security restrictions),
  *                         or if the stored value is invalid JSON.
+ * @param {object} [options] Optional behavior.
+ * @param {(base: T, local: T, incoming: T) => T} [options.merge] Three-way merge used when
+ *        another tab changes the value: `base` is the last synced value, `local` this tab's
+ *        value and `incoming` the other tab's.
  * @returns {[T, (value: T | ((prevState: T) => T)) => void]} A tuple containing the current state
  *                                                            value and a function to update it,
  *                                                            similar to React.useState.
  */
-function useLocalStorage(key, initialValue) {
+function useLocalStorage(key, initialValue, { merge } = {}) {
+  // The raw string and parsed value last known to be in localStorage, i.e. the
+  // last value this tab wrote or received. Used to notice changes from other
+  // tabs and as the base for merging.
+  const syncedRef = useRef({ raw: null, value: initialValue });
+
   // State initialization using the lazy initializer function form of useState.
   // This ensures localStorage access happens only once on mount, not on every render.
   const [storedValue, setStoredValue] = useState(() => {
     // Check if running in a browser environment where window is defined.
-    if (typeof window === 'undefined') {
+    // Without a key there is nothing to read either.
+    if (typeof window === 'undefined' || key === null) {
       // During SSR or in environments without window, return the initial value.
       return initialValue;
     }
@@ -28,23 +72,9 @@ function useLocalStorage(key, initialValue) {
     try {
       // Attempt to retrieve the item from localStorage using the provided key.
       const item = window.localStorage.getItem(key);
-
-      // If an item exists, try to parse it as JSON.
-      if (item !== null) {
-        try {
-          return JSON.parse(item);
-        } catch (parseError) {
-          // If parsing fails (invalid JSON), log an error and return the initial value.
-          console.error(
-            `[useLocalStorage] Error parsing localStorage key "${key}":`,
-            parseError
-          );
-          return initialValue;
-        }
-      } else {
-        // If the item does not exist in localStorage, return the initial value.
-        return initialValue;
-      }
+      const value = parseStoredValue(key, item, initialValue);
+      syncedRef.current = { raw: item, value };
+      return value;
     } catch (storageError) {
       // If accessing localStorage itself fails (e.g., due to security settings),
       // log the error and return the initial value.
@@ -56,20 +86,42 @@ function useLocalStorage(key, initialValue) {
     }
   });
 
+  // The latest options and initial value, read by the listeners below without
+  // re-subscribing when callers pass new function or object identities.
+  const latestRef = useRef({ merge, initialValue });
+  latestRef.current = { merge, initialValue };
+
   // Effect to persist state changes back to localStorage.
   // Runs after the initial render and whenever the key or the storedValue changes.
   useEffect(() => {
     // Check if running in a browser environment.
-    if (typeof window === 'undefined') {
-      // Do nothing during SSR or in environments without window.
+    if (typeof window === 'undefined' || key === null) {
+      // Do nothing during SSR, in environments without window, or without a key.
       return;
     }
 
     try {
       // Serialize the current state value to a JSON string.
       const serializedValue = JSON.stringify(storedValue);
+
+      const { merge: mergeValues, initialValue: fallback } = latestRef.current;
+      if (mergeValues) {
+        // Another tab may have written since this tab last synced and its
+        // storage event may not have arrived yet. Merge rather than overwrite.
+        const currentRaw = window.localStorage.getItem(key);
+        if (currentRaw !== syncedRef.current.raw) {
+          const incoming = parseStoredValue(key, currentRaw, fallback);
+          const base = syncedRef.current.value;
+          syncedRef.current = { raw: currentRaw, value: incoming };
+          // The merged value is written when this effect runs again.
+          setStoredValue(mergeValues(base, storedValue, incoming));
+          return;
+        }
+      }
+
       // Attempt to save the serialized value to localStorage under the given key.
       window.localStorage.setItem(key, serializedValue);
+      syncedRef.current = { raw: serializedValue, value: storedValue };
     } catch (error) {
       // If serialization or saving to localStorage fails (e.g., quota exceeded),
       // log the error. The component state remains unchanged.
@@ -80,8 +132,50 @@ function useLocalStorage(key, initialValue) {
     }
   }, [key, storedValue]); // Dependencies: Re-run effect if key or value changes.
 
+  // Effect to pick up changes made to the same key in other tabs.
+  useEffect(() => {
+    if (typeof window === 'undefined' || key === null) {
+      return undefined;
+    }
+
+    const handleStorage = (event) => {
+      // A null key means another tab cleared all of localStorage.
+      if (event.key !== key && event.key !== null) {
+        return;
+      }
+      if (event.storageArea && event.storageArea !== window.localStorage) {
+        return;
+      }
+
+      try {
+        // Read the current value rather than the event's, so events that
+        // arrive late can't roll this tab back to an older value.
+        const currentRaw = window.localStorage.getItem(key);
+        if (currentRaw === syncedRef.current.raw) {
+          return;
+        }
+        const { merge: mergeValues, initialValue: fallback } =
+          latestRef.current;
+        const incoming = parseStoredValue(key, currentRaw, fallback);
+        const base = syncedRef.current.value;
+        syncedRef.current = { raw: currentRaw, value: incoming };
+        setStoredValue((prevValue) =>
+          mergeValues ? mergeValues(base, prevValue, incoming) : incoming
+        );
+      } catch (storageError) {
+        console.error(
+          `[useLocalStorage] Error reading localStorage key "${key}":`,
+          storageError
+        );
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [key]);
+
   // Return the current state value and the setter function, mirroring the useState API.
   return [storedValue, setStoredValue];
 }
 
-export default useLocalStorage;
\ No newline at end of file
+export default useLocalStorage;
@@ -0,0 +1,214 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getMonthKeysBetween } from '../utils/dates.js';
+
+/**
+ * Date keys that bound every entry, for loading the whole log.
+ */
+const FIRST_DAY_KEY = '0000-01-01';
+const LAST_DAY_KEY = '9999-12-31';
+
+/**
+ * Adds entries to a log, replacing any with the same ID.
+ * @param {Array<object>} log - The current entries.
+ * @param {Array<object>} items - The entries to add.
+ * @returns {Array<object>} The new log, or the same one if nothing was added.
+ */
+function addOrReplaceItems(log, items) {
+  if (items.length === 0) {
+    return log;
+  }
+  const incomingById = new Map(items.map((item) => [item.id, item]));
+  const merged = log.map((item) => {
+    const incoming = incomingById.get(item.id);
+    if (incoming) {
+      incomingById.delete(item.id);
+      return incoming;
+    }
+    return item;
+  });
+  return [...merged, ...incomingById.values()];
+}
+
+/**
+ * A custom React hook that keeps the food log in a `LogStorageAdapter`
+ * (see `src/utils/logStorage.js`) instead of localStorage.
+ *
+ * Mimics the useState API for the entries loaded so far. Days are loaded on
+ * demand with `loadDays`, a calendar month at a time, and each month only
+ * once. After every change only the entries that were added, changed or
+ * deleted are passed to the adapter, so saving doesn't grow with the size of
+ * the history. Changes the adapter reports from other tabs are applied
+ * without being saved again.
+ *
+ * `loadAll` loads every remaining entry at once, for features that need the
+ * whole history (e.g. backups).
+ *
+ * The adapter's connections are closed when the hook unmounts or the adapter
+ * changes (see `LogStorageAdapter.close`).
+ *
+ * With a null adapter the hook does nothing, so it can always be called.
+ *
+ * @param {import('../utils/logStorage.js').LogStorageAdapter | null} adapter - Where the log is stored.
+ * @param {object} [options] - Optional behavior.
+ * @param {(error: Error) => void} [options.onError] - Called when loading or saving fails.
+ * @returns {{ log: Array<object>, setLog: (value: Array<object> | ((prevLog: Array<object>) => Array<object>)) => void, loading: boolean, loadDays: (fromKey: string, toKey: string) => void, loadAll: () => Promise<Array<object>> }}
+ *   The loaded entries, a setter, whether any days are still loading, a
+ *   function to load a range of `YYYY-MM-DD` days, and one to load every
+ *   entry that resolves with the complete log.
+ */
+function useLogStorage(adapter, { onError } = {}) {
+  const [log, setLog] = useState([]);
+  const [pendingLoads, setPendingLoads] = useState(0);
+
+  // The version of each entry the adapter is known to have, by ID
+  const savedRef = useRef(new Map());
+  // The log as of the last save, to find what changed since
+  const previousLogRef = useRef(log);
+  // Months (`YYYY-MM`) that are loaded or being loaded
+  const loadedMonthsRef = useRef(new Set());
+  // Whether every entry has been loaded
+  const loadedAllRef = useRef(false);
+  // The entries as of the last render, for `loadAll`
+  const latestLogRef = useRef(log);
+  latestLogRef.current = log;
+
+  const onErrorRef = useRef(onError);
+  onErrorRef.current = onError;
+
+  /**
+   * Applies entries and deletions that came from the adapter. They are
+   * recorded as saved first, so the save effect doesn't write them back.
+   * @param {Array<object>} saved - Entries to add or replace.
+   * @param {string[]} [deleted] - IDs of entries to remove.
+   */
+  const receiveChanges = useCallback((saved, deleted = []) => {
+    saved.forEach((item) => savedRef.current.set(item.id, item));
+    deleted.forEach((itemId) => savedRef.current.delete(itemId));
+    const deletedIds = new Set(deleted);
+    setLog((prevLog) =>
+      addOrReplaceItems(
+        deletedIds.size > 0
+          ? prevLog.filter((item) => !deletedIds.has(item.id))
+          : prevLog,
+        saved
+      )
+    );
+  }, []);
+
+  /**
+   * Loads every month touched by a range of days that isn't loaded yet.
+   * @param {string} fromKey - The first day, as `YYYY-MM-DD`.
+   * @param {string} toKey - The last day, as `YYYY-MM-DD`.
+   */
+  const loadDays = useCallback(
+    (fromKey, toKey) => {
+      if (!adapter || loadedAllRef.current) {
+        return;
+      }
+      const monthKeys = getMonthKeysBetween(fromKey, toKey).filter(
+        (monthKey) => !loadedMonthsRef.current.has(monthKey)
+      );
+      if (monthKeys.length === 0) {
+        return;
+      }
+      monthKeys.forEach((monthKey) => loadedMonthsRef.current.add(monthKey));
+      setPendingLoads((count) => count + 1);
+
+      // Keys compare as strings, so day 31 bounds every month
+      adapter
+        .loadDays(`${monthKeys[0]}-01`, `${monthKeys[monthKeys.length - 1]}-31`)
+        .then((items) => {
+          const savedItems = Array.isArray(items)
+            ? items.filter((item) => item?.id)
+            : [];
+          // Keep local changes made while loading
+          receiveChanges(
+            savedItems.filter((item) => !savedRef.current.has(item.id))
+          );
+        })
+        .catch((error) => {
+          // Allow another attempt
+          monthKeys.forEach((monthKey) =>
+            loadedMonthsRef.current.delete(monthKey)
+          );
+          onErrorRef.current?.(error);
+        })
+        .finally(() => setPendingLoads((count) => count - 1));
+    },
+    [adapter, receiveChanges]
+  );
+
+  /**
+   * Loads every entry not loaded yet. Rejects if the adapter fails.
+   * @returns {Promise<Array<object>>} Every entry, including changes made here.
+   */
+  const loadAll = useCallback(async () => {
+    if (!adapter) {
+      return [];
+    }
+    if (loadedAllRef.current) {
+      return latestLogRef.current;
+    }
+    setPendingLoads((count) => count + 1);
+    try {
+      const items = await adapter.loadDays(FIRST_DAY_KEY, LAST_DAY_KEY);
+      const newItems = (Array.isArray(items) ? items : []).filter(
+        (item) => item?.id && !savedRef.current.has(item.id)
+      );
+      receiveChanges(newItems);
+      loadedAllRef.current = true;
+      return addOrReplaceItems(latestLogRef.current, newItems);
+    } finally {
+      setPendingLoads((count) => count - 1);
+    }
+  }, [adapter, receiveChanges]);
+
+  // Save what changed since the last save
+  useEffect(() => {
+    const previousLog = previousLogRef.current;
+    previousLogRef.current = log;
+    if (!adapter || previousLog === log) {
+      return;
+    }
+
+    const saved = savedRef.current;
+    const previousById = new Map(previousLog.map((item) => [item.id, item]));
+    const changedItems = log.filter(
+      (item) =>
+        item !== previousById.get(item.id) && item !== saved.get(item.id)
+    );
+    const currentIds = new Set(log.map((item) => item.id));
+    // Entries removed by another tab are no longer in `saved`
+    const deletedIds = previousLog
+      .filter((item) => !currentIds.has(item.id) && saved.has(item.id))
+      .map((item) => item.id);
+
+    changedItems.forEach((item) => saved.set(item.id, item));
+    deletedIds.forEach((itemId) => saved.delete(itemId));
+
+    const reportError = (error) => onErrorRef.current?.(error);
+    if (changedItems.length > 0) {
+      adapter.saveItems(changedItems).catch(reportError);
+    }
+    if (deletedIds.length > 0) {
+      adapter.deleteItems(deletedIds).catch(reportError);
+    }
+  }, [adapter, log]);
+
+  // Release the adapter's connections, e.g. when switching profiles
+  useEffect(() => () => adapter?.close?.(), [adapter]);
+
+  // Apply changes made in other tabs
+  useEffect(() => {
+    if (!adapter?.subscribe) {
+      return undefined;
+    }
+    return adapter.subscribe(({ saved, deleted }) =>
+      receiveChanges(saved, deleted)
+    );
+  }, [adapter, receiveChanges]);
+
+  return { log, setLog, loading: pendingLoads > 0, loadDays, loadAll };
+}
+
+export default useLogStorage;
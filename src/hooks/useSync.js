@@ -0,0 +1,124 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { createSyncApi } from '../utils/syncApi.js';
+import { createSyncClient } from '../utils/syncClient.js';
+
+/**
+ * A custom React hook that syncs the calorie goal and food log with the
+ * backend at `baseUrl` (see `src/utils/syncClient.js`).
+ *
+ * After every change only the entries that were added, changed or deleted
+ * are queued; the client skips those identical to their last synced version,
+ * so changes received from the server or loaded from storage aren't sent
+ * back. Changes made on other devices are applied through the setters.
+ *
+ * Without a base URL the hook does nothing, so it can always be called.
+ *
+ * @param {string | undefined} baseUrl - The sync API's base URL.
+ * @param {object} options - The synced state.
+ * @param {number | null} options.goal - The calorie goal.
+ * @param {Array<object>} options.log - The food log entries.
+ * @param {(value: number | null, options: { initial: boolean }) => void} options.setGoal - Applies a goal from the server; `initial` is true if this device had never synced its goal.
+ * @param {(update: (prevLog: Array<object>) => Array<object>) => void} options.setLog - Applies entries from the server.
+ * @param {(itemIds: string[]) => void} [options.onRemoteDelete] - Called with the IDs of entries deleted on the server, e.g. to remove ones that aren't loaded.
+ * @param {typeof fetch} [options.fetch] - The fetch implementation, for tests.
+ * @returns {{ status: import('../utils/syncClient.js').SyncStatus | null, syncNow: () => Promise<void> }}
+ *   The sync status (null when syncing is off) and a function to sync now.
+ */
+function useSync(
+  baseUrl,
+  { goal, log, setGoal, setLog, onRemoteDelete, fetch }
+) {
+  const [status, setStatus] = useState(null);
+
+  const handlersRef = useRef({});
+  handlersRef.current = { setGoal, setLog, onRemoteDelete };
+
+  const client = useMemo(() => {
+    if (!baseUrl) {
+      return null;
+    }
+    return createSyncClient({
+      api: createSyncApi({ baseUrl, fetch }),
+      onStatusChange: setStatus,
+      onRemoteChanges: ({ goal: remoteGoal, saved, deleted }) => {
+        const handlers = handlersRef.current;
+        if (remoteGoal) {
+          handlers.setGoal(remoteGoal.value, { initial: remoteGoal.initial });
+        }
+        if (saved.length > 0 || deleted.length > 0) {
+          const savedById = new Map(saved.map((item) => [item.id, item]));
+          const deletedIds = new Set(deleted);
+          handlers.setLog((prevLog) => {
+            const kept = prevLog
+              .filter((item) => !deletedIds.has(item.id))
+              .map((item) => savedById.get(item.id) ?? item);
+            const keptIds = new Set(kept.map((item) => item.id));
+            return [...kept, ...saved.filter((item) => !keptIds.has(item.id))];
+          });
+        }
+        if (deleted.length > 0) {
+          handlers.onRemoteDelete?.(deleted);
+        }
+      },
+    });
+  }, [baseUrl, fetch]);
+
+  // The state as of the last queue, to find what changed since
+  const previousLogRef = useRef(null);
+  const previousGoalRef = useRef(undefined);
+
+  // A new client starts from scratch
+  useEffect(() => {
+    previousGoalRef.current = undefined;
+    previousLogRef.current = null;
+  }, [client]);
+
+  // Queue what changed since the last render
+  useEffect(() => {
+    if (!client || previousGoalRef.current === goal) {
+      return;
+    }
+    previousGoalRef.current = goal;
+    client.queueGoal(goal);
+  }, [client, goal]);
+
+  useEffect(() => {
+    const previousLog = previousLogRef.current;
+    if (!client || previousLog === log) {
+      return;
+    }
+    previousLogRef.current = log;
+
+    const previousById = new Map(
+      (previousLog ?? []).map((item) => [item.id, item])
+    );
+    const changedItems = log.filter(
+      (item) => item !== previousById.get(item.id)
+    );
+    const currentIds = new Set(log.map((item) => item.id));
+    const deletedIds = (previousLog ?? [])
+      .filter((item) => !currentIds.has(item.id))
+      .map((item) => item.id);
+    client.queueLogChanges(changedItems, deletedIds);
+  }, [client, log]);
+
+  // Start after the current state is queued, so the first sync sends it
+  useEffect(() => {
+    if (!client) {
+      setStatus(null);
+      return undefined;
+    }
+    setStatus(client.getStatus());
+    client.start();
+    return () => client.stop();
+  }, [client]);
+
+  const syncNow = useCallback(
+    () => (client ? client.sync() : Promise.resolve()),
+    [client]
+  );
+
+  return { status, syncNow };
+}
+
+export default useSync;
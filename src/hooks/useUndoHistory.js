@@ -0,0 +1,133 @@
+import { useState, useCallback, useRef } from 'react';
+
+/**
+ * How many changes can be undone by default.
+ */
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} label - What the change did, e.g. `Deleted "Apple"`.
+ * @property {() => void} undo - Reverts the change.
+ * @property {() => void} redo - Applies the change again after an undo.
+ * @property {boolean} [destructive] - True if the change removed something,
+ *   so the user is offered to undo it straight away.
+ */
+
+/**
+ * @typedef {object} HistoryChange
+ * @property {number} id - Increases with every change, so each can be told apart.
+ * @property {'do' | 'undo' | 'redo'} type - Whether the change was made, undone or redone.
+ * @property {string} label - The change's label.
+ * @property {boolean} destructive - Whether the change removed something.
+ */
+
+/**
+ * @typedef {object} HistoryStatus
+ * @property {boolean} canUndo - True if there is a change to undo.
+ * @property {boolean} canRedo - True if there is an undone change to redo.
+ * @property {string | null} undoLabel - The label of the change `undo` would revert.
+ * @property {string | null} redoLabel - The label of the change `redo` would apply.
+ * @property {HistoryChange | null} lastChange - The latest change, undo or redo, e.g. for a notification.
+ */
+
+/**
+ * The status of an empty history.
+ * @type {HistoryStatus}
+ */
+const EMPTY_STATUS = {
+  canUndo: false,
+  canRedo: false,
+  undoLabel: null,
+  redoLabel: null,
+  lastChange: null,
+};
+
+/**
+ * A custom React hook that keeps an undo/redo history of changes.
+ *
+ * Each change is recorded with functions that revert and re-apply it, so the
+ * history doesn't hold copies of the state. Recording a change clears the
+ * changes that were undone; only the latest `limit` changes are kept.
+ *
+ * @param {number} [limit=DEFAULT_HISTORY_LIMIT] - How many changes to keep.
+ * @returns {{ status: HistoryStatus, record: (entry: HistoryEntry) => void, undo: () => boolean, redo: () => boolean, clear: () => void }}
+ *   The history's status, and functions to record a change, undo or redo
+ *   (returning false if there was nothing to do), and forget every change.
+ */
+function useUndoHistory(limit = DEFAULT_HISTORY_LIMIT) {
+  const maxEntries =
+    Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_HISTORY_LIMIT;
+
+  // The entries live in a ref so undo and redo always act on the latest ones,
+  // even when called twice before a re-render
+  const stacksRef = useRef({ past: [], future: [] });
+  const changeCountRef = useRef(0);
+  const [status, setStatus] = useState(EMPTY_STATUS);
+
+  /**
+   * Publishes the status after the stacks changed.
+   * @param {'do' | 'undo' | 'redo'} type - What happened.
+   * @param {HistoryEntry} entry - The entry it happened to.
+   */
+  const publish = useCallback((type, entry) => {
+    const { past, future } = stacksRef.current;
+    changeCountRef.current += 1;
+    setStatus({
+      canUndo: past.length > 0,
+      canRedo: future.length > 0,
+      undoLabel: past[past.length - 1]?.label ?? null,
+      redoLabel: future[future.length - 1]?.label ?? null,
+      lastChange: {
+        id: changeCountRef.current,
+        type,
+        label: entry.label,
+        destructive: Boolean(entry.destructive),
+      },
+    });
+  }, []);
+
+  const record = useCallback(
+    (entry) => {
+      stacksRef.current = {
+        past: [...stacksRef.current.past, entry].slice(-maxEntries),
+        future: [],
+      };
+      publish('do', entry);
+    },
+    [maxEntries, publish]
+  );
+
+  const undo = useCallback(() => {
+    const { past, future } = stacksRef.current;
+    const entry = past[past.length - 1];
+    if (!entry) {
+      return false;
+    }
+    stacksRef.current = { past: past.slice(0, -1), future: [...future, entry] };
+    entry.undo();
+    publish('undo', entry);
+    return true;
+  }, [publish]);
+
+  const redo = useCallback(() => {
+    const { past, future } = stacksRef.current;
+    const entry = future[future.length - 1];
+    if (!entry) {
+      return false;
+    }
+    stacksRef.current = { past: [...past, entry], future: future.slice(0, -1) };
+    entry.redo();
+    publish('redo', entry);
+    return true;
+  }, [publish]);
+
+  const clear = useCallback(() => {
+    stacksRef.current = { past: [], future: [] };
+    setStatus(EMPTY_STATUS);
+  }, []);
+
+  return { status, record, undo, redo, clear };
+}
+
+export default useUndoHistory;
@@ -0,0 +1,428 @@
+/**
+ * Utility module for backing up all of the tracker's data to a versioned JSON
+ * document and restoring it, e.g. to move to another browser.
+ *
+ * A backup records the schema version its data was saved with, so backups
+ * from older versions of the app are upgraded with the same `MIGRATIONS` as
+ * data in localStorage. Every record is checked with the rules in
+ * `src/utils/validation.js` before it is imported; invalid records are
+ * skipped and reported rather than failing the whole import.
+ */
+import { STORAGE_KEYS, getStorageLabel } from './storage.js';
+import { MIGRATIONS, CURRENT_SCHEMA_VERSION } from './migrations.js';
+import { MACRO_KEYS } from './nutrition.js';
+import { MEAL_KEYS } from './meals.js';
+import { getFoodKey } from './foodHistory.js';
+import { toDateKey } from './dates.js';
+import { WEEKDAY_KEYS } from './goals.js';
+import {
+  validateGoal,
+  validateOptionalGoals,
+  validateDietaryPreferences,
+  validateLogItem,
+  validateCustomFood,
+  validateRecipe,
+  validateFavoriteFood,
+  validateScheduledGoal,
+  validateGoalHistoryEntry,
+  validateWeightEntry,
+  validateTargetPace,
+  validateExerciseEntry,
+  validateAddBurnedCalories,
+} from './validation.js';
+
+/**
+ * Identifies a JSON document as a backup of this app.
+ */
+export const BACKUP_FORMAT = 'health-fit-goal-tracker-backup';
+
+/**
+ * How imported data is combined with the data already saved:
+ * `merge` adds records that aren't saved yet and keeps the current settings,
+ * `replace` swaps everything for the backup's contents.
+ */
+export const IMPORT_MODES = ['merge', 'replace'];
+
+/**
+ * @typedef {object} TrackerData
+ * @property {number | null} [goal] - The daily calorie goal.
+ * @property {object} [macroGoals] - The macro goals.
+ * @property {object} [mealBudgets] - The meal budgets.
+ * @property {object} [dietaryPreferences] - The dietary preferences.
+ * @property {Array<object>} [log] - Every log entry, across all days.
+ * @property {Array<object>} [customFoods] - The saved foods.
+ * @property {Array<object>} [recipes] - The saved recipes.
+ * @property {Array<object>} [favoriteFoods] - The favorite foods.
+ * @property {object} [weekdayGoals] - The goals for days of the week.
+ * @property {Array<object>} [goalSchedule] - The goals for ranges of dates.
+ * @property {Array<object>} [goalHistory] - The goal plans that were replaced.
+ * @property {Array<object>} [weightLog] - Every weigh-in.
+ * @property {number | null} [targetPace] - The target weight change a week.
+ * @property {boolean} [addBurnedCalories] - Whether burned calories add to the budget.
+ * @property {Array<object>} [exerciseLog] - Every exercise session.
+ */
+
+/**
+ * Adds the ID check to a validator for records that don't include it.
+ * @param {(record: object, report: (message: string) => void) => object | null} validate - The validator.
+ * @param {string} kind - What the records are, for messages.
+ * @returns {(record: object, report: (message: string) => void) => object | null} The validator.
+ */
+const withId = (validate, kind) => (record, report) => {
+  if (typeof record?.id !== 'string' || record.id.trim() === '') {
+    report(`Invalid ${kind}: An ID is required.`);
+    return null;
+  }
+  const normalized = validate(record, report);
+  return normalized ? { id: record.id, ...normalized } : null;
+};
+
+/**
+ * The settings a backup can hold, with their validators.
+ */
+const SETTINGS_SECTIONS = {
+  goal: validateGoal,
+  macroGoals: (goals, report) =>
+    validateOptionalGoals(goals, MACRO_KEYS, 'goal', report),
+  mealBudgets: (budgets, report) =>
+    validateOptionalGoals(budgets, MEAL_KEYS, 'budget', report),
+  dietaryPreferences: validateDietaryPreferences,
+  weekdayGoals: (goals, report) =>
+    validateOptionalGoals(goals, WEEKDAY_KEYS, 'goal', report),
+  targetPace: validateTargetPace,
+  addBurnedCalories: validateAddBurnedCalories,
+};
+
+/**
+ * The lists a backup can hold: how to name one record, what identifies it,
+ * and its validator.
+ */
+const LIST_SECTIONS = {
+  log: {
+    itemLabel: 'Log entry',
+    keyLabel: 'ID',
+    getKey: (record) => record.id,
+    validate: validateLogItem,
+  },
+  customFoods: {
+    itemLabel: 'Saved food',
+    keyLabel: 'ID',
+    getKey: (record) => record.id,
+    validate: withId(validateCustomFood, 'custom food'),
+  },
+  recipes: {
+    itemLabel: 'Recipe',
+    keyLabel: 'ID',
+    getKey: (record) => record.id,
+    validate: withId(validateRecipe, 'recipe'),
+  },
+  favoriteFoods: {
+    itemLabel: 'Favorite',
+    keyLabel: 'name',
+    getKey: (record) => getFoodKey(record.name),
+    validate: validateFavoriteFood,
+  },
+  goalSchedule: {
+    itemLabel: 'Scheduled goal',
+    keyLabel: 'ID',
+    getKey: (record) => record.id,
+    validate: withId(validateScheduledGoal, 'scheduled goal'),
+  },
+  goalHistory: {
+    itemLabel: 'Goal history entry',
+    keyLabel: 'date',
+    getKey: (record) => record.until,
+    validate: validateGoalHistoryEntry,
+  },
+  weightLog: {
+    itemLabel: 'Weight entry',
+    keyLabel: 'ID',
+    getKey: (record) => record.id,
+    validate: withId(validateWeightEntry, 'weight entry'),
+  },
+  exerciseLog: {
+    itemLabel: 'Exercise entry',
+    keyLabel: 'ID',
+    getKey: (record) => record.id,
+    validate: withId(validateExerciseEntry, 'exercise entry'),
+  },
+};
+
+/**
+ * Every section, in the order they are saved and shown.
+ */
+const SECTIONS = [
+  ...Object.keys(SETTINGS_SECTIONS),
+  ...Object.keys(LIST_SECTIONS),
+];
+
+/**
+ * Returns the human-readable name of a section, e.g. "Food log".
+ * @param {string} section - The section, e.g. "log".
+ * @returns {string} The label.
+ */
+export const getSectionLabel = (section) =>
+  getStorageLabel(STORAGE_KEYS[section]);
+
+/**
+ * Builds a backup document of the given data.
+ * @param {TrackerData} data - The data to back up.
+ * @param {Date} [now=new Date()] - When the backup is made.
+ * @returns {{ format: string, schemaVersion: number, exportedAt: string, data: TrackerData }}
+ *   The backup, ready to be serialized.
+ */
+export function createBackup(data, now = new Date()) {
+  const backupData = {};
+  SECTIONS.forEach((section) => {
+    if (data?.[section] !== undefined) {
+      backupData[section] = data[section];
+    }
+  });
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: now.toISOString(),
+    data: backupData,
+  };
+}
+
+/**
+ * Builds the file name a backup is downloaded as.
+ * @param {Date} [now=new Date()] - When the backup is made.
+ * @returns {string} E.g. "health-fit-backup-2025-04-15.json".
+ */
+export const getBackupFileName = (now = new Date()) =>
+  `health-fit-backup-${toDateKey(now)}.json`;
+
+/**
+ * Parses and validates a backup document.
+ *
+ * The document as a whole must be a backup of this app from this or an older
+ * version; otherwise nothing is imported and `error` says why. Within it,
+ * each setting and each record is checked on its own: invalid ones, and
+ * records with the same ID (or, for favorites, name) as an earlier one, are
+ * left out and described in `problems`, as is anything the storage
+ * migrations discard while upgrading a backup from an older version.
+ * @param {string} text - The file contents.
+ * @param {Date} [now=new Date()] - When the backup is imported, passed to the migrations.
+ * @returns {{ data: TrackerData | null, error: string | null, problems: string[] }}
+ *   The valid data, the reason the file can't be used at all, and the
+ *   records that were skipped.
+ */
+export function parseBackup(text, now = new Date()) {
+  const fail = (error) => ({ data: null, error, problems: [] });
+
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    return fail('The file is not valid JSON.');
+  }
+  if (
+    backup === null ||
+    typeof backup !== 'object' ||
+    backup.format !== BACKUP_FORMAT ||
+    backup.data === null ||
+    typeof backup.data !== 'object' ||
+    Array.isArray(backup.data)
+  ) {
+    return fail('The file is not a backup from this app.');
+  }
+  const schemaVersion = Number.isInteger(backup.schemaVersion)
+    ? backup.schemaVersion
+    : 0;
+  if (schemaVersion > CURRENT_SCHEMA_VERSION) {
+    return fail(
+      'The backup was made by a newer version of the app and cannot be imported.'
+    );
+  }
+
+  const problems = [];
+  const data = {};
+
+  SECTIONS.forEach((section) => {
+    let value = backup.data[section];
+    if (value === undefined || value === null) {
+      return;
+    }
+    const label = getSectionLabel(section);
+    const context = {
+      now,
+      report: (message) => problems.push(`${label} ${message}`),
+    };
+
+    try {
+      MIGRATIONS.filter(
+        (migration) => migration.version > schemaVersion
+      ).forEach((migration) => {
+        const migrate = migration.migrate[STORAGE_KEYS[section]];
+        if (migrate) {
+          value = migrate(value, context);
+        }
+      });
+    } catch {
+      problems.push(`${label}: Could not be upgraded and was skipped.`);
+      return;
+    }
+
+    if (SETTINGS_SECTIONS[section]) {
+      const normalized = SETTINGS_SECTIONS[section](value, (message) =>
+        problems.push(`${label}: ${message}`)
+      );
+      if (normalized !== null) {
+        data[section] = normalized;
+      }
+      return;
+    }
+
+    if (!Array.isArray(value)) {
+      problems.push(`${label}: Not a list, skipped.`);
+      return;
+    }
+    const { itemLabel, keyLabel, getKey, validate } = LIST_SECTIONS[section];
+    const seenKeys = new Set();
+    data[section] = [];
+    value.forEach((record, index) => {
+      const reportRecord = (message) =>
+        problems.push(`${itemLabel} ${index + 1}: ${message}`);
+      const normalized = validate(record, reportRecord);
+      if (!normalized) {
+        return;
+      }
+      const key = getKey(normalized);
+      if (seenKeys.has(key)) {
+        reportRecord(`Same ${keyLabel} as an earlier one, skipped.`);
+        return;
+      }
+      seenKeys.add(key);
+      data[section].push(normalized);
+    });
+  });
+
+  return { data, error: null, problems };
+}
+
+/**
+ * Combines the current value of one section with the imported one.
+ * Lists are merged by ID (favorites by name): `merge` keeps every current
+ * record and adds the imported ones that aren't saved yet, `replace` uses the
+ * imported list. Settings are only changed by `replace`.
+ * @param {string} section - The section, e.g. "log".
+ * @param {*} currentValue - The current value.
+ * @param {*} importedValue - The imported value (undefined if the backup has none).
+ * @param {'merge' | 'replace'} mode - How to combine them.
+ * @returns {*} The new value.
+ */
+export function importSection(section, currentValue, importedValue, mode) {
+  if (importedValue === undefined) {
+    return currentValue;
+  }
+  if (!LIST_SECTIONS[section]) {
+    return mode === 'replace' ? importedValue : currentValue;
+  }
+  if (mode === 'replace' || !Array.isArray(currentValue)) {
+    return importedValue;
+  }
+  const { getKey } = LIST_SECTIONS[section];
+  const currentKeys = new Set(currentValue.map(getKey));
+  return [
+    ...currentValue,
+    ...importedValue.filter((record) => !currentKeys.has(getKey(record))),
+  ];
+}
+
+/**
+ * @typedef {object} ImportPreviewSection
+ * @property {string} section - The section, e.g. "log".
+ * @property {string} label - Its human-readable name.
+ * @property {number} added - Imported records that aren't saved yet.
+ * @property {number} updated - Saved records the import will overwrite.
+ * @property {number} unchanged - Imported records identical to saved ones.
+ * @property {number} skipped - Imported records that differ from a saved one with the same ID and will be ignored.
+ * @property {number} removed - Saved records the import will delete.
+ */
+
+/**
+ * Compares a saved setting with an imported one. Missing fields of an object
+ * setting count as unset (null), as they are when the app reads it.
+ * @param {*} current - The saved value.
+ * @param {*} imported - The imported value.
+ * @returns {boolean} True if importing would leave the setting as it is.
+ */
+const isSameSetting = (current, imported) => {
+  if (imported === null || typeof imported !== 'object') {
+    return imported === current;
+  }
+  const keys = new Set([
+    ...Object.keys(imported),
+    ...Object.keys(current ?? {}),
+  ]);
+  return [...keys].every(
+    (key) =>
+      JSON.stringify(imported[key] ?? null) ===
+      JSON.stringify(current?.[key] ?? null)
+  );
+};
+
+/**
+ * Works out what importing would change, without changing anything.
+ * @param {TrackerData} currentData - The data saved now.
+ * @param {TrackerData} importedData - The validated data from `parseBackup`.
+ * @param {'merge' | 'replace'} mode - How the data will be combined.
+ * @returns {{ lists: ImportPreviewSection[], settings: string[] }} A summary
+ *   for each list in the backup, and the labels of the settings that will change.
+ */
+export function previewImport(currentData, importedData, mode) {
+  const lists = Object.entries(LIST_SECTIONS)
+    .filter(([section]) => Array.isArray(importedData?.[section]))
+    .map(([section, { getKey }]) => {
+      const current = Array.isArray(currentData?.[section])
+        ? currentData[section]
+        : [];
+      const currentByKey = new Map(
+        current.map((record) => [getKey(record), record])
+      );
+      const imported = importedData[section];
+      const summary = {
+        section,
+        label: getSectionLabel(section),
+        added: 0,
+        updated: 0,
+        unchanged: 0,
+        skipped: 0,
+        removed: 0,
+      };
+      imported.forEach((record) => {
+        const existing = currentByKey.get(getKey(record));
+        if (existing === undefined) {
+          summary.added += 1;
+        } else if (JSON.stringify(existing) === JSON.stringify(record)) {
+          summary.unchanged += 1;
+        } else if (mode === 'replace') {
+          summary.updated += 1;
+        } else {
+          summary.skipped += 1;
+        }
+      });
+      if (mode === 'replace') {
+        const importedKeys = new Set(imported.map(getKey));
+        summary.removed = current.filter(
+          (record) => !importedKeys.has(getKey(record))
+        ).length;
+      }
+      return summary;
+    });
+
+  const settings =
+    mode === 'replace'
+      ? Object.keys(SETTINGS_SECTIONS)
+          .filter(
+            (section) =>
+              importedData?.[section] !== undefined &&
+              !isSameSetting(currentData?.[section], importedData[section])
+          )
+          .map(getSectionLabel)
+      : [];
+
+  return { lists, settings };
+}
@@ -0,0 +1,593 @@
+/**
+ * Utility module for moving the food log in and out of spreadsheets as CSV.
+ *
+ * Files are read and written as RFC 4180 CSV: fields containing the
+ * delimiter, quotes or line breaks are quoted, and quotes inside them are
+ * doubled. Spreadsheets in many locales write decimal commas and separate
+ * fields with semicolons instead, so both the delimiter and the decimal
+ * separator are configurable and can be detected from a file.
+ *
+ * Food names that a spreadsheet would run as a formula (starting with "=",
+ * "+", "-" or "@") are written with a leading apostrophe, which spreadsheets
+ * read as "this is text", and the apostrophe is removed again on import.
+ *
+ * Importing maps the file's columns onto log fields (guessed from the header
+ * row, and adjustable by the user), converts each row, and checks it with the
+ * same rules as `addLogItem`. Rows that can't be used are reported by their
+ * row number in the spreadsheet rather than failing the whole import.
+ */
+import { MACRO_KEYS, MACRO_LABELS } from './nutrition.js';
+import { MEAL_KEYS, MEAL_LABELS, getItemMeal } from './meals.js';
+import { getFoodKey } from './foodHistory.js';
+import { toDateKey, isValidDateKey, toTimeInputValue } from './dates.js';
+import { validateLogItemFields } from './validation.js';
+
+/**
+ * The field delimiters a file may use.
+ */
+export const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * The decimal separators numbers may use.
+ */
+export const DECIMAL_SEPARATORS = ['.', ','];
+
+/**
+ * How to read dates written with the day and month as numbers only (e.g.
+ * "04/05/2025"). Dates that start with a four-digit year are always read as
+ * year, month, day.
+ */
+export const DATE_ORDERS = ['dmy', 'mdy'];
+
+/**
+ * The log fields a CSV file can hold, in the order they are exported.
+ */
+export const LOG_CSV_FIELDS = [
+  'date',
+  'time',
+  'meal',
+  'name',
+  'calories',
+  ...MACRO_KEYS,
+];
+
+/**
+ * Display labels for each CSV field.
+ */
+export const LOG_CSV_FIELD_LABELS = {
+  date: 'Date',
+  time: 'Time',
+  meal: 'Meal',
+  name: 'Name',
+  calories: 'Calories',
+  ...MACRO_LABELS,
+};
+
+/**
+ * The fields a row can't be imported without.
+ */
+export const REQUIRED_LOG_CSV_FIELDS = ['name', 'calories'];
+
+/**
+ * Header names other trackers commonly use for each field, after
+ * `normalizeHeader`.
+ */
+const HEADER_ALIASES = {
+  date: ['date', 'day', 'logged on', 'logged at', 'datetime', 'timestamp'],
+  time: ['time', 'time of day'],
+  meal: ['meal', 'meal type', 'meal name'],
+  name: ['name', 'food', 'food name', 'item', 'description'],
+  calories: ['calories', 'kcal', 'energy', 'cal', 'energy kcal'],
+  protein: ['protein', 'proteins'],
+  carbs: ['carbs', 'carbohydrates', 'carbohydrate', 'total carbohydrates'],
+  fat: ['fat', 'fats', 'total fat'],
+};
+
+/**
+ * Meal names accepted on import besides the meal keys and labels.
+ */
+const MEAL_ALIASES = {
+  snack: 'snacks',
+  supper: 'dinner',
+};
+
+/**
+ * The hour entries without a time are logged at.
+ */
+const DEFAULT_HOUR = 12;
+
+/**
+ * Escapes a special character for use in a regular expression.
+ * @param {string} character - The character.
+ * @returns {string} The escaped character.
+ */
+const escapeRegExp = (character) =>
+  character.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Quotes a field if it contains the delimiter, a quote, a line break or
+ * surrounding spaces, doubling any quotes inside it.
+ * @param {*} value - The field's value; null and undefined become empty.
+ * @param {string} delimiter - The field delimiter.
+ * @returns {string} The field as written to the file.
+ */
+const toCsvField = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes =
+    text.includes(delimiter) || /["\r\n]/.test(text) || text.trim() !== text;
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Matches text a spreadsheet would run as a formula, after any apostrophes
+ * added to keep it as text.
+ */
+const FORMULA_PATTERN = /^'*[=+\-@]/;
+
+/**
+ * Adds an apostrophe to text a spreadsheet would run as a formula, e.g.
+ * "=HYPERLINK(1)" becomes "'=HYPERLINK(1)".
+ * @param {string} text - The text.
+ * @returns {string} The text as written to the file.
+ */
+const escapeFormula = (text) =>
+  FORMULA_PATTERN.test(text) ? `'${text}` : text;
+
+/**
+ * Removes the apostrophe `escapeFormula` adds.
+ * @param {string} text - The text as read from the file.
+ * @returns {string} The original text.
+ */
+const unescapeFormula = (text) =>
+  text.startsWith("'") && FORMULA_PATTERN.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+
+/**
+ * Serializes rows of fields as CSV, with CRLF line endings.
+ * @param {Array<Array<*>>} rows - The rows, each an array of fields.
+ * @param {string} [delimiter=','] - The field delimiter.
+ * @returns {string} The CSV text.
+ */
+export const toCsv = (rows, delimiter = ',') =>
+  rows
+    .map((row) =>
+      row.map((value) => toCsvField(value, delimiter)).join(delimiter)
+    )
+    .join('\r\n');
+
+/**
+ * Parses CSV text into rows of fields. Quoted fields may contain the
+ * delimiter, doubled quotes and line breaks. A byte order mark is ignored,
+ * and blank lines are kept as rows with one empty field so row numbers match
+ * the spreadsheet's.
+ * @param {string} text - The CSV text.
+ * @param {string} [delimiter=','] - The field delimiter.
+ * @returns {string[][]} The rows.
+ */
+export function parseCsv(text, delimiter = ',') {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const character = source[index];
+    if (inQuotes) {
+      if (character !== '"') {
+        field += character;
+      } else if (source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else {
+        inQuotes = false;
+      }
+    } else if (character === '"') {
+      inQuotes = true;
+    } else if (character === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (character === '\r' || character === '\n') {
+      if (character === '\r' && source[index + 1] === '\n') {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += character;
+    }
+  }
+  // The last line may not end with a line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Guesses a file's delimiter from the one used most in its first line,
+ * ignoring quoted text. Defaults to a comma.
+ * @param {string} text - The CSV text.
+ * @returns {string} One of `CSV_DELIMITERS`.
+ */
+export function detectDelimiter(text) {
+  const firstLine = String(text ?? '')
+    .split(/\r?\n/)[0]
+    .replace(/"[^"]*"/g, '');
+  const counts = CSV_DELIMITERS.map(
+    (delimiter) => firstLine.split(delimiter).length - 1
+  );
+  const most = Math.max(...counts);
+  return most > 0 ? CSV_DELIMITERS[counts.indexOf(most)] : ',';
+}
+
+/**
+ * Parses a number written with the given decimal separator. The other
+ * separator is accepted between groups of three digits, as are spaces and
+ * apostrophes (e.g. "1.234,5" or "1 234,5" with a decimal comma).
+ * @param {string} value - The text to parse.
+ * @param {string} [decimalSeparator='.'] - One of `DECIMAL_SEPARATORS`.
+ * @returns {number | undefined} The number, NaN if it isn't one, or
+ *   undefined for an empty field.
+ */
+export function parseLocaleNumber(value, decimalSeparator = '.') {
+  const text = String(value ?? '').replace(/[\s\u00a0\u202f']/g, '');
+  if (text === '') {
+    return undefined;
+  }
+  const groupSeparator = decimalSeparator === ',' ? '.' : ',';
+  const [integerPart, fractionPart, extra] = text.split(decimalSeparator);
+  if (extra !== undefined) {
+    return NaN;
+  }
+  const grouped = new RegExp(
+    `^[-+]?\\d{1,3}(${escapeRegExp(groupSeparator)}\\d{3})+$`
+  );
+  if (integerPart.includes(groupSeparator) && !grouped.test(integerPart)) {
+    return NaN;
+  }
+  const normalized = `${integerPart.split(groupSeparator).join('')}${
+    fractionPart === undefined ? '' : `.${fractionPart}`
+  }`;
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(normalized) ? Number(normalized) : NaN;
+}
+
+/**
+ * Formats a number with the given decimal separator, without grouping.
+ * @param {number | undefined} value - The number.
+ * @param {string} [decimalSeparator='.'] - One of `DECIMAL_SEPARATORS`.
+ * @returns {string} The formatted number, or an empty string if missing.
+ */
+export const formatLocaleNumber = (value, decimalSeparator = '.') =>
+  value === undefined || value === null
+    ? ''
+    : String(value).replace('.', decimalSeparator);
+
+/**
+ * Guesses whether numbers in a file use a decimal comma, from values like
+ * "12,5" that can only be read one way. Defaults to a decimal point.
+ * @param {string[]} values - Number fields from the file.
+ * @returns {string} One of `DECIMAL_SEPARATORS`.
+ */
+export function detectDecimalSeparator(values) {
+  let commas = 0;
+  let points = 0;
+  values.forEach((value) => {
+    const text = String(value ?? '').trim();
+    // "1,234" and "1.234" could be either, so they don't count
+    if (/^[-+]?\d+,\d+$/.test(text) && !/^[-+]?\d{1,3},\d{3}$/.test(text)) {
+      commas += 1;
+    } else if (
+      /^[-+]?\d+\.\d+$/.test(text) &&
+      !/^[-+]?\d{1,3}\.\d{3}$/.test(text)
+    ) {
+      points += 1;
+    }
+  });
+  return commas > points ? ',' : '.';
+}
+
+/**
+ * Splits a date field into its numeric parts and any time after it, e.g.
+ * "2025-04-15T08:30" or "15/04/2025 08:30".
+ * @param {string} value - The date field.
+ * @returns {{ parts: string[], time: string } | null} The parts, or null if
+ *   the field isn't a date.
+ */
+const splitDate = (value) => {
+  const match = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[T\s]+(.+))?$/.exec(
+    String(value ?? '').trim()
+  );
+  return match
+    ? { parts: [match[1], match[2], match[3]], time: match[4] ?? '' }
+    : null;
+};
+
+/**
+ * Guesses how a file writes day-and-month dates, from dates whose first or
+ * second part is above 12. Defaults to day first.
+ * @param {string[]} values - Date fields from the file.
+ * @returns {string} One of `DATE_ORDERS`.
+ */
+export function detectDateOrder(values) {
+  const monthFirst = values.some((value) => {
+    const date = splitDate(value);
+    return (
+      date !== null && date.parts[0].length <= 2 && Number(date.parts[1]) > 12
+    );
+  });
+  return monthFirst ? 'mdy' : 'dmy';
+}
+
+/**
+ * Parses a date field into a `YYYY-MM-DD` key and any time it includes.
+ * @param {string} value - The date field.
+ * @param {string} dateOrder - One of `DATE_ORDERS`.
+ * @returns {{ dateKey: string, time: string } | null} The date, or null if invalid.
+ */
+const parseCsvDate = (value, dateOrder) => {
+  const date = splitDate(value);
+  if (!date) {
+    return null;
+  }
+  const [first, second, third] = date.parts;
+  let year;
+  let month;
+  let day;
+  if (first.length === 4) {
+    [year, month, day] = [first, second, third];
+  } else {
+    [day, month] = dateOrder === 'mdy' ? [second, first] : [first, second];
+    year = third.length === 2 ? `20${third}` : third;
+  }
+  const dateKey = `${year.padStart(4, '0')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  return isValidDateKey(dateKey) ? { dateKey, time: date.time } : null;
+};
+
+/**
+ * Parses a time field such as "8:30", "08:30:15" or "8:30 PM". Time zone
+ * designators are ignored; times are read as local.
+ * @param {string} value - The time field.
+ * @returns {{ hours: number, minutes: number } | null} The time, or null if invalid.
+ */
+const parseCsvTime = (value) => {
+  const match =
+    /^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?\s*([ap]\.?m\.?)?/i.exec(
+      String(value ?? '').trim()
+    );
+  if (!match) {
+    return null;
+  }
+  let hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  const period = match[3]?.[0].toLowerCase();
+  if (period) {
+    if (hours < 1 || hours > 12) {
+      return null;
+    }
+    hours = (hours % 12) + (period === 'p' ? 12 : 0);
+  }
+  return hours <= 23 && minutes <= 59 ? { hours, minutes } : null;
+};
+
+/**
+ * Parses a meal field: a meal key or label in any case, or a common alias.
+ * @param {string} value - The meal field.
+ * @returns {string | null} The meal key, or null if unknown.
+ */
+const parseCsvMeal = (value) => {
+  const text = getFoodKey(value);
+  const meal =
+    MEAL_KEYS.find(
+      (key) => key === text || MEAL_LABELS[key].toLowerCase() === text
+    ) ?? MEAL_ALIASES[text];
+  return meal ?? null;
+};
+
+/**
+ * Normalizes a header for matching: lowercase, without units in brackets or
+ * punctuation, e.g. "Energy (kcal)" becomes "energy".
+ * @param {string} header - The header.
+ * @returns {string} The normalized header.
+ */
+const normalizeHeader = (header) =>
+  String(header ?? '')
+    .toLowerCase()
+    .replace(/[([].*?[)\]]/g, ' ')
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+
+/**
+ * Guesses which column holds each field from a file's header row. Each
+ * column is used for at most one field.
+ * @param {string[]} headers - The header row.
+ * @returns {Record<string, number | null>} The column index of each field in
+ *   `LOG_CSV_FIELDS`, or null if no column matches.
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const used = new Set();
+  return Object.fromEntries(
+    LOG_CSV_FIELDS.map((field) => {
+      const index = normalized.findIndex(
+        (header, columnIndex) =>
+          !used.has(columnIndex) && HEADER_ALIASES[field].includes(header)
+      );
+      if (index === -1) {
+        return [field, null];
+      }
+      used.add(index);
+      return [field, index];
+    })
+  );
+}
+
+/**
+ * Serializes log entries as CSV with a header row and one row per entry,
+ * oldest first. Dates and times are local; entries saved without a time have
+ * empty date and time fields. Names that look like formulas are escaped.
+ * @param {Array<object>} log - The log entries.
+ * @param {object} [options] - Formatting options.
+ * @param {string} [options.delimiter=','] - The field delimiter.
+ * @param {string} [options.decimalSeparator='.'] - The decimal separator.
+ * @returns {string} The CSV text.
+ */
+export function logToCsv(
+  log,
+  { delimiter = ',', decimalSeparator = '.' } = {}
+) {
+  const entries = (Array.isArray(log) ? log : [])
+    .map((item) => ({ item, time: new Date(item.loggedAt ?? NaN).getTime() }))
+    .sort((a, b) => (a.time || 0) - (b.time || 0))
+    .map(({ item }) => item);
+  const rows = entries.map((item) => [
+    toDateKey(item.loggedAt ?? NaN) ?? '',
+    toTimeInputValue(item.loggedAt),
+    MEAL_LABELS[getItemMeal(item)],
+    escapeFormula(String(item.name ?? '')),
+    formatLocaleNumber(item.calories, decimalSeparator),
+    ...MACRO_KEYS.map((macro) =>
+      formatLocaleNumber(item[macro], decimalSeparator)
+    ),
+  ]);
+  return toCsv([LOG_CSV_FIELDS, ...rows], delimiter);
+}
+
+/**
+ * @typedef {object} CsvRowError
+ * @property {number} row - The row number in the spreadsheet (the header is row 1).
+ * @property {string} message - What is wrong with the row.
+ */
+
+/**
+ * Converts the rows of a parsed CSV file into log entries for `addLogItems`.
+ * Rows are checked with the same rules as `addLogItem`; blank rows are
+ * ignored, and rows that can't be used are described in `errors`. Rows
+ * without a time are logged at noon; rows without a date are left for
+ * `addLogItems` to place on the selected day.
+ * @param {string[][]} table - The parsed file, starting with the header row.
+ * @param {object} options - How to read the file.
+ * @param {Record<string, number | null>} options.mapping - The column of each field.
+ * @param {string} [options.decimalSeparator='.'] - The decimal separator.
+ * @param {string} [options.dateOrder='dmy'] - How day-and-month dates are written.
+ * @returns {{ items: Array<object>, errors: CsvRowError[] }} The entries, and the rows that were skipped.
+ */
+export function parseLogCsv(
+  table,
+  { mapping, decimalSeparator = '.', dateOrder = 'dmy' }
+) {
+  const items = [];
+  const errors = [];
+
+  table.slice(1).forEach((cells, index) => {
+    const row = index + 2;
+    if (cells.every((cell) => cell.trim() === '')) {
+      return;
+    }
+    const getCell = (field) =>
+      mapping[field] === null || mapping[field] === undefined
+        ? ''
+        : (cells[mapping[field]] ?? '').trim();
+    const fail = (message) => errors.push({ row, message });
+
+    const fields = { name: unescapeFormula(getCell('name')) };
+    for (const field of ['calories', ...MACRO_KEYS]) {
+      const value = parseLocaleNumber(getCell(field), decimalSeparator);
+      if (Number.isNaN(value)) {
+        fail(
+          `${LOG_CSV_FIELD_LABELS[field]} (${getCell(field)}) is not a number.`
+        );
+        return;
+      }
+      if (value !== undefined) {
+        fields[field] = value;
+      } else if (field === 'calories') {
+        fail('Calories are missing.');
+        return;
+      }
+    }
+
+    const dateText = getCell('date');
+    const timeText = getCell('time');
+    if (dateText !== '') {
+      const date = parseCsvDate(dateText, dateOrder);
+      if (!date) {
+        fail(`Date (${dateText}) is not a valid date.`);
+        return;
+      }
+      const timeValue = timeText || date.time;
+      const time =
+        timeValue === ''
+          ? { hours: DEFAULT_HOUR, minutes: 0 }
+          : parseCsvTime(timeValue);
+      if (!time) {
+        fail(`Time (${timeValue}) is not a valid time.`);
+        return;
+      }
+      const [year, month, day] = date.dateKey.split('-').map(Number);
+      fields.loggedAt = new Date(
+        year,
+        month - 1,
+        day,
+        time.hours,
+        time.minutes
+      ).toISOString();
+    }
+
+    const mealText = getCell('meal');
+    if (mealText !== '') {
+      const meal = parseCsvMeal(mealText);
+      if (!meal) {
+        fail(`Meal (${mealText}) must be one of ${MEAL_KEYS.join(', ')}.`);
+        return;
+      }
+      fields.meal = meal;
+    }
+
+    const item = validateLogItemFields(fields, fail);
+    if (item) {
+      items.push(item);
+    }
+  });
+
+  return { items, errors };
+}
+
+/**
+ * Builds the key used to recognize an entry that is already logged: the same
+ * food and calories at the same local minute.
+ * @param {object} item - The log entry.
+ * @returns {string} The key.
+ */
+const getEntryKey = (item) =>
+  [
+    toDateKey(item.loggedAt ?? NaN),
+    toTimeInputValue(item.loggedAt),
+    getFoodKey(item.name),
+    item.calories,
+  ].join('|');
+
+/**
+ * Leaves out imported entries that are already in the log, so importing the
+ * same file twice doesn't log everything twice. Entries without a time can't
+ * be matched and are always kept.
+ * @param {Array<object>} items - The imported entries.
+ * @param {Array<object>} log - The current log.
+ * @returns {{ newItems: Array<object>, duplicateCount: number }} The entries
+ *   to add, and how many were left out.
+ */
+export function excludeLoggedEntries(items, log) {
+  const loggedKeys = new Set(
+    (Array.isArray(log) ? log : [])
+      .filter((item) => item?.loggedAt)
+      .map(getEntryKey)
+  );
+  const newItems = items.filter(
+    (item) => !item.loggedAt || !loggedKeys.has(getEntryKey(item))
+  );
+  return { newItems, duplicateCount: items.length - newItems.length };
+}
@@ -0,0 +1,230 @@
+/**
+ * Utility module containing pure date helpers for the HealthFitGoalTracker.
+ * Log entries are grouped by local calendar day using `YYYY-MM-DD` keys.
+ */
+
+/**
+ * Pads a number to two digits (e.g., 7 -> "07").
+ * @param {number} value - The number to pad.
+ * @returns {string} The zero-padded string.
+ */
+const pad2 = (value) => String(value).padStart(2, '0');
+
+/**
+ * Converts a Date (or anything accepted by the Date constructor) into a
+ * local calendar day key in the form `YYYY-MM-DD`.
+ * @param {Date | string | number} date - The date to convert.
+ * @returns {string | null} The date key, or null if the date is invalid.
+ */
+export const toDateKey = (date) => {
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (isNaN(parsed.getTime())) {
+    return null;
+  }
+  return `${parsed.getFullYear()}-${pad2(parsed.getMonth() + 1)}-${pad2(
+    parsed.getDate()
+  )}`;
+};
+
+/**
+ * Checks if a value is a well-formed `YYYY-MM-DD` key for a real calendar day.
+ * @param {*} value - The value to validate.
+ * @returns {boolean} True if the value is a valid date key, false otherwise.
+ */
+export const isValidDateKey = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  // Round-trip through Date to reject impossible days like 2024-02-31.
+  return toDateKey(parseDateKey(value)) === value;
+};
+
+/**
+ * Parses a `YYYY-MM-DD` key into a Date at local midnight of that day.
+ * @param {string} dateKey - The date key to parse.
+ * @returns {Date} The corresponding local Date (Invalid Date if malformed).
+ */
+export const parseDateKey = (dateKey) => {
+  const [year, month, day] = String(dateKey).split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Returns the date key for the current local day.
+ * @param {Date} [now=new Date()] - The reference time.
+ * @returns {string} Today's date key.
+ */
+export const getTodayKey = (now = new Date()) => toDateKey(now);
+
+/**
+ * Calculates the number of milliseconds until the next local midnight.
+ * @param {Date} [now=new Date()] - The reference time.
+ * @returns {number} Milliseconds remaining until the day rolls over.
+ */
+export const msUntilNextMidnight = (now = new Date()) => {
+  const nextMidnight = new Date(
+    now.getFullYear(),
+    now.getMonth(),
+    now.getDate() + 1
+  );
+  return nextMidnight.getTime() - now.getTime();
+};
+
+/**
+ * Lists the months a range of days touches, as `YYYY-MM` keys.
+ * @param {string} fromKey - The date key of the first day.
+ * @param {string} toKey - The date key of the last day.
+ * @returns {string[]} The month keys in order, or an empty list if the range is invalid.
+ */
+export const getMonthKeysBetween = (fromKey, toKey) => {
+  const monthKeys = [];
+  const cursor = parseDateKey(fromKey);
+  const end = parseDateKey(toKey);
+  cursor.setDate(1);
+  while (cursor <= end) {
+    monthKeys.push(toDateKey(cursor).slice(0, 7));
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return monthKeys;
+};
+
+/**
+ * Counts the days from one day to another. Rounded, so a daylight saving
+ * change in between doesn't matter.
+ * @param {string} fromKey - The date key of the first day.
+ * @param {string} toKey - The date key of the second day.
+ * @returns {number} The number of days, negative if `toKey` is earlier.
+ */
+export const getDaysBetween = (fromKey, toKey) =>
+  Math.round((parseDateKey(toKey) - parseDateKey(fromKey)) / 86400000);
+
+/**
+ * The date key log items without a valid timestamp are grouped under. A
+ * fixed day in the past, so they never count towards the current day.
+ */
+export const UNDATED_LOG_KEY = '1970-01-01';
+
+/**
+ * Groups log items by the local calendar day of their `loggedAt` timestamp.
+ * Items without a valid timestamp are placed under `fallbackKey`. The schema
+ * migration stamps entries saved before timestamps existed, so these are rare.
+ * @param {Array<{ loggedAt?: string }>} log - The flat list of log items.
+ * @param {string} [fallbackKey=UNDATED_LOG_KEY] - Date key used for items lacking a timestamp.
+ * @returns {Record<string, Array<object>>} Log items keyed by date.
+ */
+export const groupLogByDate = (log, fallbackKey = UNDATED_LOG_KEY) => {
+  if (!Array.isArray(log)) {
+    return {};
+  }
+  return log.reduce((groups, item) => {
+    const key = (item && toDateKey(item.loggedAt ?? NaN)) || fallbackKey;
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+    groups[key].push(item);
+    return groups;
+  }, {});
+};
+
+/**
+ * Formats a date key for display, using "Today" / "Yesterday" where relevant.
+ * @param {string} dateKey - The date key to format.
+ * @param {string} todayKey - The current day's date key.
+ * @returns {string} A human-readable label for the day.
+ */
+export const formatDateLabel = (dateKey, todayKey) => {
+  if (dateKey === todayKey) {
+    return 'Today';
+  }
+  const today = parseDateKey(todayKey);
+  const yesterdayKey = toDateKey(
+    new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1)
+  );
+  if (dateKey === yesterdayKey) {
+    return 'Yesterday';
+  }
+  return parseDateKey(dateKey).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+};
+
+/**
+ * Builds the calendar grid for a month, split into weeks starting on Sunday.
+ * Cells outside the month are null so the grid stays rectangular.
+ * @param {number} year - Full year (e.g., 2025).
+ * @param {number} month - Zero-based month index (0 = January).
+ * @returns {Array<Array<string | null>>} Weeks of date keys.
+ */
+export const getMonthGrid = (year, month) => {
+  const leadingBlanks = new Date(year, month, 1).getDay();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  const cells = Array(leadingBlanks).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(toDateKey(new Date(year, month, day)));
+  }
+  while (cells.length % 7 !== 0) {
+    cells.push(null);
+  }
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+};
+
+/**
+ * Converts a timestamp into the `HH:MM` local time format used by
+ * `<input type="time">`.
+ * @param {string | Date} timestamp - The timestamp to convert.
+ * @returns {string} The local time, or an empty string if invalid.
+ */
+export const toTimeInputValue = (timestamp) => {
+  const date = new Date(timestamp ?? NaN);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  return `${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+};
+
+/**
+ * Returns a copy of a timestamp moved to a different local time of day,
+ * keeping its calendar date.
+ * @param {string | Date} timestamp - The original timestamp.
+ * @param {string} time - The new local time as `HH:MM`.
+ * @returns {string | null} The new ISO timestamp, or null if either input is invalid.
+ */
+export const withTimeOfDay = (timestamp, time) => {
+  const date = new Date(timestamp ?? NaN);
+  const match = /^(\d{2}):(\d{2})$/.exec(String(time));
+  if (isNaN(date.getTime()) || !match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+  date.setHours(hours, minutes, 0, 0);
+  return date.toISOString();
+};
+
+/**
+ * Formats a timestamp as a short local time for display (e.g., "12:30 PM").
+ * @param {string | Date} timestamp - The timestamp to format.
+ * @returns {string} The formatted time, or an empty string if invalid.
+ */
+export const formatTime = (timestamp) => {
+  const date = new Date(timestamp ?? NaN);
+  if (isNaN(date.getTime())) {
+    return '';
+  }
+  return date.toLocaleTimeString(undefined, {
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+};
@@ -0,0 +1,88 @@
+/**
+ * Utility module containing the dietary preferences and allergens foods can
+ * be tagged with, and pure helpers for checking a food against the user's
+ * dietary preferences.
+ */
+
+/**
+ * Dietary requirements a food can meet, in display order.
+ */
+export const DIET_KEYS = [
+  'vegan',
+  'vegetarian',
+  'gluten-free',
+  'dairy-free',
+  'nut-free',
+  'halal',
+  'kosher',
+];
+
+/**
+ * Human-readable labels for each dietary requirement.
+ */
+export const DIET_LABELS = {
+  vegan: 'Vegan',
+  vegetarian: 'Vegetarian',
+  'gluten-free': 'Gluten-free',
+  'dairy-free': 'Dairy-free',
+  'nut-free': 'Nut-free',
+  halal: 'Halal',
+  kosher: 'Kosher',
+};
+
+/**
+ * Allergens a food can contain, in display order.
+ */
+export const ALLERGEN_KEYS = [
+  'dairy',
+  'eggs',
+  'fish',
+  'shellfish',
+  'tree-nuts',
+  'peanuts',
+  'gluten',
+  'soy',
+  'sesame',
+];
+
+/**
+ * Human-readable labels for each allergen.
+ */
+export const ALLERGEN_LABELS = {
+  dairy: 'Dairy',
+  eggs: 'Eggs',
+  fish: 'Fish',
+  shellfish: 'Shellfish',
+  'tree-nuts': 'Tree nuts',
+  peanuts: 'Peanuts',
+  gluten: 'Gluten',
+  soy: 'Soy',
+  sesame: 'Sesame',
+};
+
+/**
+ * Checks a food against the user's dietary preferences. The food must be
+ * tagged with every required diet and must not list any excluded allergen.
+ * A food that doesn't list its allergens is treated as possibly containing
+ * any of them, so it is hidden whenever an allergen is excluded.
+ * @param {{ tags?: string[], allergens?: string[] }} food - The food to check.
+ * @param {{ diets?: string[], allergens?: string[] }} [preferences] - The user's preferences.
+ * @returns {boolean} True if the food suits the preferences.
+ */
+export const matchesDietaryPreferences = (food, preferences) => {
+  const diets = Array.isArray(preferences?.diets) ? preferences.diets : [];
+  const excluded = Array.isArray(preferences?.allergens)
+    ? preferences.allergens
+    : [];
+  const tags = Array.isArray(food?.tags) ? food.tags : [];
+  if (!diets.every((diet) => tags.includes(diet))) {
+    return false;
+  }
+  if (excluded.length === 0) {
+    return true;
+  }
+  if (!Array.isArray(food?.allergens)) {
+    return false;
+  }
+  return !excluded.some((allergen) => food.allergens.includes(allergen));
+};
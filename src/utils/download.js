@@ -0,0 +1,21 @@
+/**
+ * Utility module for saving generated files (backups, exports) to the user's
+ * device.
+ */
+
+/**
+ * Saves text to a file through the browser's download prompt.
+ * @param {string} fileName - The suggested file name.
+ * @param {string} contents - The file contents.
+ * @param {string} type - The MIME type.
+ */
+export const downloadFile = (fileName, contents, type) => {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,305 @@
+/**
+ * Utility module containing pure helpers for estimating energy needs: basal
+ * metabolic rate (BMR), total daily energy expenditure (TDEE), and a calorie
+ * goal with a macro split for losing, keeping or gaining weight.
+ *
+ * Everything is calculated in metric units (centimeters, kilograms); the
+ * conversion constants below are for forms that take imperial inputs.
+ */
+import { KCAL_PER_GRAM } from './nutrition.js';
+
+/**
+ * The BMR formulas, in display order.
+ */
+export const BMR_FORMULA_KEYS = ['mifflin', 'harris', 'katch'];
+
+/**
+ * Display labels for each BMR formula.
+ */
+export const BMR_FORMULA_LABELS = {
+  mifflin: 'Mifflin-St Jeor',
+  harris: 'Harris-Benedict',
+  katch: 'Katch-McArdle (needs body fat)',
+};
+
+/**
+ * Activity levels, in display order, with the factor that turns BMR into TDEE.
+ */
+export const ACTIVITY_LEVEL_KEYS = [
+  'sedentary',
+  'light',
+  'moderate',
+  'active',
+  'veryActive',
+];
+
+/**
+ * Display labels and TDEE factors for each activity level.
+ */
+export const ACTIVITY_LEVELS = {
+  sedentary: { label: 'Sedentary (little or no exercise)', factor: 1.2 },
+  light: { label: 'Lightly active (1–3 days a week)', factor: 1.375 },
+  moderate: { label: 'Moderately active (3–5 days a week)', factor: 1.55 },
+  active: { label: 'Very active (6–7 days a week)', factor: 1.725 },
+  veryActive: {
+    label: 'Extra active (physical job or twice a day)',
+    factor: 1.9,
+  },
+};
+
+/**
+ * Weight targets, in display order.
+ */
+export const TARGET_KEYS = ['lose', 'maintain', 'gain'];
+
+/**
+ * Display labels for each weight target.
+ */
+export const TARGET_LABELS = {
+  lose: 'Lose weight',
+  maintain: 'Maintain weight',
+  gain: 'Gain weight',
+};
+
+/**
+ * Approximate energy stored in a kilogram of body weight.
+ */
+export const KCAL_PER_KG = 7700;
+
+/**
+ * The fastest rate of change offered, in kilograms per week.
+ */
+export const MAX_WEEKLY_RATE_KG = 1;
+
+/**
+ * The lowest calorie goal proposed, since eating less is not advisable
+ * without medical supervision.
+ */
+export const MIN_GOAL_CALORIES = 1200;
+
+/**
+ * Daily protein per kilogram of body weight for each target: more while
+ * losing weight, to keep muscle.
+ */
+export const PROTEIN_GRAMS_PER_KG = {
+  lose: 2,
+  maintain: 1.6,
+  gain: 1.8,
+};
+
+/**
+ * Share of the calorie goal that comes from fat; carbs make up the rest.
+ */
+export const FAT_CALORIE_SHARE = 0.25;
+
+/**
+ * Centimeters in an inch.
+ */
+export const CM_PER_INCH = 2.54;
+
+/**
+ * Kilograms in an avoirdupois pound.
+ */
+export const KG_PER_POUND = 0.45359237;
+
+/**
+ * The accepted range of each body measurement, in metric units.
+ */
+export const BODY_LIMITS = {
+  age: { min: 15, max: 100 },
+  heightCm: { min: 100, max: 250 },
+  weightKg: { min: 30, max: 300 },
+  bodyFat: { min: 3, max: 70 },
+};
+
+/**
+ * @typedef {object} BodyDetails
+ * @property {'male' | 'female'} sex - The sex the formulas were fitted for.
+ * @property {number} age - Age in years.
+ * @property {number} heightCm - Height in centimeters.
+ * @property {number} weightKg - Weight in kilograms.
+ * @property {number} [bodyFat] - Body fat percentage, needed for Katch-McArdle.
+ * @property {'mifflin' | 'harris' | 'katch'} formula - The BMR formula.
+ * @property {'sedentary' | 'light' | 'moderate' | 'active' | 'veryActive'} activity - The activity level.
+ * @property {'lose' | 'maintain' | 'gain'} target - Whether to lose, keep or gain weight.
+ * @property {number} [weeklyRateKg] - How fast to lose or gain, in kilograms per week.
+ */
+
+/**
+ * @typedef {object} GoalPlan
+ * @property {number} bmr - Basal metabolic rate (kcal a day).
+ * @property {number} tdee - Total daily energy expenditure (kcal a day).
+ * @property {number} calories - The proposed daily calorie goal.
+ * @property {{ protein: number, carbs: number, fat: number }} macros - The proposed macro goals in grams.
+ * @property {boolean} limited - True if the goal was raised to `MIN_GOAL_CALORIES`.
+ */
+
+/**
+ * Checks that a number is within one of the `BODY_LIMITS`.
+ * @param {*} value - The value to check.
+ * @param {{ min: number, max: number }} limits - The range.
+ * @returns {boolean} True if the value is a number within the range.
+ */
+const isWithin = (value, { min, max }) =>
+  typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+
+/**
+ * Formats a metric limit in the units a form uses, e.g. "100 and 250 cm".
+ * @param {{ min: number, max: number }} limits - The range in metric units.
+ * @param {number} perUnit - Metric units in one displayed unit (1 for metric).
+ * @param {string} unit - The displayed unit.
+ * @returns {string} The formatted range.
+ */
+const formatLimits = ({ min, max }, perUnit, unit) =>
+  `${Math.ceil(min / perUnit)} and ${Math.floor(max / perUnit)} ${unit}`;
+
+/**
+ * Validates the details needed to calculate a goal.
+ * Reports the first problem, with limits in the given units.
+ * @param {BodyDetails} details - The details to check.
+ * @param {(message: string) => void} report - Called with the problem, if any.
+ * @param {'metric' | 'imperial'} [units='metric'] - The units the form shows.
+ * @returns {BodyDetails | null} The details, or null if invalid.
+ */
+export function validateBodyDetails(details, report, units = 'metric') {
+  const imperial = units === 'imperial';
+  if (!details || typeof details !== 'object') {
+    report('Body details are required.');
+    return null;
+  }
+  if (details.sex !== 'male' && details.sex !== 'female') {
+    report('Choose the sex to use in the formula.');
+    return null;
+  }
+  if (!isWithin(details.age, BODY_LIMITS.age)) {
+    report(`Age must be between ${formatLimits(BODY_LIMITS.age, 1, 'years')}.`);
+    return null;
+  }
+  if (!isWithin(details.heightCm, BODY_LIMITS.heightCm)) {
+    report(
+      `Height must be between ${
+        imperial
+          ? formatLimits(BODY_LIMITS.heightCm, CM_PER_INCH, 'inches')
+          : formatLimits(BODY_LIMITS.heightCm, 1, 'cm')
+      }.`
+    );
+    return null;
+  }
+  if (!isWithin(details.weightKg, BODY_LIMITS.weightKg)) {
+    report(
+      `Weight must be between ${
+        imperial
+          ? formatLimits(BODY_LIMITS.weightKg, KG_PER_POUND, 'lb')
+          : formatLimits(BODY_LIMITS.weightKg, 1, 'kg')
+      }.`
+    );
+    return null;
+  }
+  if (!BMR_FORMULA_KEYS.includes(details.formula)) {
+    report(`Unknown formula: ${details.formula}.`);
+    return null;
+  }
+  const needsBodyFat = details.formula === 'katch';
+  if (
+    (needsBodyFat || details.bodyFat !== undefined) &&
+    !isWithin(details.bodyFat, BODY_LIMITS.bodyFat)
+  ) {
+    report(
+      `${needsBodyFat ? 'Katch-McArdle needs the body fat percentage. ' : ''}Body fat must be between ${formatLimits(BODY_LIMITS.bodyFat, 1, 'percent')}.`
+    );
+    return null;
+  }
+  if (!ACTIVITY_LEVEL_KEYS.includes(details.activity)) {
+    report(`Unknown activity level: ${details.activity}.`);
+    return null;
+  }
+  if (!TARGET_KEYS.includes(details.target)) {
+    report(`Unknown target: ${details.target}.`);
+    return null;
+  }
+  if (
+    details.target !== 'maintain' &&
+    !isWithin(details.weeklyRateKg, { min: 0, max: MAX_WEEKLY_RATE_KG })
+  ) {
+    report(
+      `The weekly rate must be at most ${
+        imperial
+          ? `${Math.round(MAX_WEEKLY_RATE_KG / KG_PER_POUND)} lb`
+          : `${MAX_WEEKLY_RATE_KG} kg`
+      }.`
+    );
+    return null;
+  }
+  return details;
+}
+
+/**
+ * Calculates the basal metabolic rate: the energy used at rest.
+ * - Mifflin-St Jeor (1990), the usual default.
+ * - Harris-Benedict, as revised by Roza and Shizgal (1984).
+ * - Katch-McArdle, from lean body mass, for people who know their body fat.
+ * @param {BodyDetails} details - Validated body details.
+ * @returns {number} The BMR in kcal a day.
+ */
+export function calculateBmr({
+  sex,
+  age,
+  heightCm,
+  weightKg,
+  bodyFat,
+  formula,
+}) {
+  const male = sex === 'male';
+  switch (formula) {
+    case 'harris':
+      return male
+        ? 88.362 + 13.397 * weightKg + 4.799 * heightCm - 5.677 * age
+        : 447.593 + 9.247 * weightKg + 3.098 * heightCm - 4.33 * age;
+    case 'katch':
+      return 370 + 21.6 * weightKg * (1 - bodyFat / 100);
+    default:
+      return 10 * weightKg + 6.25 * heightCm - 5 * age + (male ? 5 : -161);
+  }
+}
+
+/**
+ * Proposes a daily calorie goal and macro split. The goal is the TDEE
+ * adjusted by the energy of the weekly weight change, rounded to 10 kcal and
+ * never below `MIN_GOAL_CALORIES`. Protein follows body weight, fat is a fixed
+ * share of the calories, and carbs fill the rest.
+ * @param {BodyDetails} details - Validated body details.
+ * @returns {GoalPlan} The proposed goal.
+ */
+export function calculateGoalPlan(details) {
+  const bmr = calculateBmr(details);
+  const tdee = bmr * ACTIVITY_LEVELS[details.activity].factor;
+  const dailyChange =
+    details.target === 'maintain'
+      ? 0
+      : ((details.target === 'lose' ? -1 : 1) *
+          details.weeklyRateKg *
+          KCAL_PER_KG) /
+        7;
+  const proposed = Math.round((tdee + dailyChange) / 10) * 10;
+  const calories = Math.max(proposed, MIN_GOAL_CALORIES);
+
+  const protein = Math.round(
+    details.weightKg * PROTEIN_GRAMS_PER_KG[details.target]
+  );
+  const fat = Math.round((calories * FAT_CALORIE_SHARE) / KCAL_PER_GRAM.fat);
+  const carbs = Math.max(
+    0,
+    Math.round(
+      (calories - protein * KCAL_PER_GRAM.protein - fat * KCAL_PER_GRAM.fat) /
+        KCAL_PER_GRAM.carbs
+    )
+  );
+
+  return {
+    bmr: Math.round(bmr),
+    tdee: Math.round(tdee),
+    calories,
+    macros: { protein, carbs, fat },
+    limited: proposed < MIN_GOAL_CALORIES,
+  };
+}
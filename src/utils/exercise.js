@@ -0,0 +1,112 @@
+/**
+ * Utility module for the exercise log: estimating the calories a session
+ * burns from the bundled activity table (`src/data/activities.js`), and
+ * totalling them for a day.
+ *
+ * A session burns its activity's MET value times the body weight in
+ * kilograms, per hour. The estimate includes the energy the body would have
+ * used at rest anyway, so it is on the generous side.
+ */
+import { activities } from '../data/activities.js';
+import { sumCalories } from './helpers.js';
+import { toKilograms } from './weight.js';
+
+/**
+ * Exercise intensities, in display order.
+ */
+export const INTENSITY_KEYS = ['light', 'moderate', 'vigorous'];
+
+/**
+ * Display labels for each intensity.
+ */
+export const INTENSITY_LABELS = {
+  light: 'Light',
+  moderate: 'Moderate',
+  vigorous: 'Vigorous',
+};
+
+/**
+ * The body weight estimates use before the user has logged a weigh-in.
+ */
+export const DEFAULT_BODY_WEIGHT_KG = 70;
+
+/**
+ * The longest session that can be logged, in minutes.
+ */
+export const MAX_DURATION_MINUTES = 600;
+
+/**
+ * @typedef {object} ExerciseEntry
+ * @property {string} id - Unique identifier.
+ * @property {string} date - The day of the session, as `YYYY-MM-DD`.
+ * @property {string} activity - The `id` of the activity in the activity table.
+ * @property {'light' | 'moderate' | 'vigorous'} intensity - How hard the session was.
+ * @property {number} durationMinutes - How long the session was, in minutes.
+ * @property {number} calories - The calories burned, estimated when it was logged.
+ */
+
+/**
+ * Finds an activity in the activity table.
+ * @param {string} activityId - The activity's `id`.
+ * @returns {{ id: string, name: string, met: Record<string, number> } | undefined} The activity, if known.
+ */
+export const findActivity = (activityId) =>
+  activities.find((activity) => activity.id === activityId);
+
+/**
+ * Returns the body weight to estimate a day's exercise with: the latest
+ * weigh-in on or before the day, or the earliest one for days before any
+ * weigh-in, or `DEFAULT_BODY_WEIGHT_KG` without weigh-ins.
+ * @param {import('./weight.js').WeightEntry[]} weightLog - The weight log.
+ * @param {string} dateKey - The day of the exercise.
+ * @returns {number} The weight in kilograms.
+ */
+export function getBodyWeightForDate(weightLog, dateKey) {
+  const entries = (Array.isArray(weightLog) ? weightLog : [])
+    .filter((entry) => entry && typeof entry.value === 'number')
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (entries.length === 0) {
+    return DEFAULT_BODY_WEIGHT_KG;
+  }
+  const latest =
+    entries.filter((entry) => entry.date <= dateKey).pop() ?? entries[0];
+  return toKilograms(latest.value, latest.unit);
+}
+
+/**
+ * Estimates the calories a session burns.
+ * @param {{ activity: string, intensity: string, durationMinutes: number }} session - The session.
+ * @param {number} weightKg - The body weight, in kilograms.
+ * @returns {number | null} The calories, rounded, or null if the activity
+ *   or intensity is unknown.
+ */
+export function estimateExerciseCalories(
+  { activity, intensity, durationMinutes },
+  weightKg
+) {
+  const met = findActivity(activity)?.met[intensity];
+  if (typeof met !== 'number') {
+    return null;
+  }
+  return Math.round((met * weightKg * durationMinutes) / 60);
+}
+
+/**
+ * Returns the sessions logged on a day.
+ * @param {ExerciseEntry[]} exerciseLog - The exercise log.
+ * @param {string} dateKey - The day.
+ * @returns {ExerciseEntry[]} The day's sessions, in the order they were logged.
+ */
+export const getExerciseForDate = (exerciseLog, dateKey) =>
+  (Array.isArray(exerciseLog) ? exerciseLog : []).filter(
+    (entry) => entry?.date === dateKey
+  );
+
+/**
+ * Totals the calories burned on a day.
+ * @param {ExerciseEntry[]} exerciseLog - The exercise log.
+ * @param {string} dateKey - The day.
+ * @returns {number} The calories burned.
+ */
+export const getBurnedCalories = (exerciseLog, dateKey) =>
+  sumCalories(getExerciseForDate(exerciseLog, dateKey));
@@ -0,0 +1,222 @@
+/**
+ * Utility module for estimating how much energy the user actually burns,
+ * from what they ate and how their weight changed, and for suggesting a
+ * calorie goal from that estimate.
+ *
+ * Formulas like Mifflin-St Jeor (see `energy.js`) can be off by several
+ * hundred calories for a given person. Over a few weeks, though, energy
+ * balance gives the real number: whatever was eaten and not stored as body
+ * weight was burned. So the expenditure is the average intake minus the
+ * energy of the weight gained (or plus the energy of the weight lost).
+ */
+import { KCAL_PER_KG, MIN_GOAL_CALORIES } from './energy.js';
+import {
+  isValidDateKey,
+  parseDateKey,
+  toDateKey,
+  getDaysBetween,
+} from './dates.js';
+import { sumCalories } from './helpers.js';
+import { toKilograms, comparePace } from './weight.js';
+
+/**
+ * How many days back the estimate looks, not counting today.
+ */
+export const EXPENDITURE_WINDOW_DAYS = 28;
+
+/**
+ * The fewest days with food logged in the window to estimate from.
+ */
+export const MIN_LOGGED_DAYS = 10;
+
+/**
+ * The fewest weigh-ins in the window to estimate from.
+ */
+export const MIN_WEIGH_INS = 4;
+
+/**
+ * The shortest span of weigh-ins in the window to estimate from, in days.
+ */
+export const MIN_WEIGHT_SPAN_DAYS = 14;
+
+/**
+ * How far the suggested goal must be from the current one, in calories,
+ * to be worth suggesting.
+ */
+export const MIN_GOAL_CHANGE = 100;
+
+/**
+ * The confidence levels of an estimate, from least to most confident.
+ */
+export const CONFIDENCE_KEYS = ['low', 'medium', 'high'];
+
+/**
+ * Display labels for each confidence level.
+ */
+export const CONFIDENCE_LABELS = {
+  low: 'Low confidence',
+  medium: 'Medium confidence',
+  high: 'High confidence',
+};
+
+/**
+ * @typedef {object} ExpenditureEstimate
+ * @property {number} expenditure - The estimated energy burned, in kcal a day (rounded to 10).
+ * @property {number} intake - The average calories logged on days with food logged.
+ * @property {number} weeklyRateKg - How fast the weight changed, in kilograms a week.
+ * @property {number} loggedDays - How many days in the window have food logged.
+ * @property {number} weighIns - How many weigh-ins are in the window.
+ * @property {number} windowDays - How many days the window spans.
+ * @property {'low' | 'medium' | 'high'} confidence - How complete the data behind the estimate is.
+ */
+
+/**
+ * Fits a straight line to weigh-ins and returns its slope. Unlike the
+ * smoothed trend, the fitted line doesn't lag behind the weigh-ins.
+ * @param {Array<{ day: number, kilograms: number }>} points - The weigh-ins, by day number.
+ * @returns {number} The change in kilograms a day.
+ */
+const fitSlope = (points) => {
+  const meanDay =
+    points.reduce((sum, point) => sum + point.day, 0) / points.length;
+  const meanKg =
+    points.reduce((sum, point) => sum + point.kilograms, 0) / points.length;
+  let covariance = 0;
+  let variance = 0;
+  points.forEach(({ day, kilograms }) => {
+    covariance += (day - meanDay) * (kilograms - meanKg);
+    variance += (day - meanDay) ** 2;
+  });
+  return variance > 0 ? covariance / variance : 0;
+};
+
+/**
+ * Rates how complete the data behind an estimate is: the share of days with
+ * food logged, weigh-ins on at least every other day, and how much of the
+ * window the weigh-ins span. The weakest of the three decides.
+ * @param {number} coverage - The weakest share, from 0 to 1.
+ * @returns {'low' | 'medium' | 'high'} The confidence.
+ */
+const toConfidence = (coverage) => {
+  if (coverage >= 0.8) {
+    return 'high';
+  }
+  return coverage >= 0.5 ? 'medium' : 'low';
+};
+
+/**
+ * Estimates the energy burned each day over the `windowDays` before today.
+ * Intake is averaged over the days with food logged, so days the user didn't
+ * log count as typical days rather than fasts. Today isn't counted, since
+ * it may not be fully logged yet, except for today's weigh-in.
+ * @param {Record<string, Array<{ calories: number }>>} logByDate - Log items keyed by `YYYY-MM-DD` date.
+ * @param {import('./weight.js').WeightEntry[]} weightLog - The weight log.
+ * @param {string} todayKey - The current day's date key.
+ * @param {number} [windowDays=EXPENDITURE_WINDOW_DAYS] - How many days to look back.
+ * @returns {ExpenditureEstimate | null} The estimate, or null if there are
+ *   fewer than `MIN_LOGGED_DAYS` days logged, fewer than `MIN_WEIGH_INS`
+ *   weigh-ins, or the weigh-ins span less than `MIN_WEIGHT_SPAN_DAYS`.
+ */
+export function estimateExpenditure(
+  logByDate,
+  weightLog,
+  todayKey,
+  windowDays = EXPENDITURE_WINDOW_DAYS
+) {
+  if (!isValidDateKey(todayKey)) {
+    return null;
+  }
+  const today = parseDateKey(todayKey);
+  const startKey = toDateKey(
+    new Date(
+      today.getFullYear(),
+      today.getMonth(),
+      today.getDate() - windowDays
+    )
+  );
+
+  const dailyIntakes = [];
+  for (let offset = 1; offset <= windowDays; offset++) {
+    const dateKey = toDateKey(
+      new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset)
+    );
+    const total = sumCalories(logByDate?.[dateKey]);
+    if (total > 0) {
+      dailyIntakes.push(total);
+    }
+  }
+
+  const points = (Array.isArray(weightLog) ? weightLog : [])
+    .filter(
+      (entry) =>
+        entry &&
+        typeof entry.value === 'number' &&
+        entry.date >= startKey &&
+        entry.date <= todayKey
+    )
+    .map((entry) => ({
+      day: getDaysBetween(startKey, entry.date),
+      kilograms: toKilograms(entry.value, entry.unit),
+    }));
+  const days = points.map((point) => point.day);
+  const span = points.length ? Math.max(...days) - Math.min(...days) : 0;
+
+  if (
+    dailyIntakes.length < MIN_LOGGED_DAYS ||
+    points.length < MIN_WEIGH_INS ||
+    span < MIN_WEIGHT_SPAN_DAYS
+  ) {
+    return null;
+  }
+
+  const intake =
+    dailyIntakes.reduce((sum, total) => sum + total, 0) / dailyIntakes.length;
+  const dailyChangeKg = fitSlope(points);
+  const coverage = Math.min(
+    dailyIntakes.length / windowDays,
+    Math.min(1, points.length / (windowDays / 2)),
+    span / windowDays
+  );
+
+  return {
+    expenditure: Math.round((intake - dailyChangeKg * KCAL_PER_KG) / 10) * 10,
+    intake: Math.round(intake),
+    weeklyRateKg: dailyChangeKg * 7,
+    loggedDays: dailyIntakes.length,
+    weighIns: points.length,
+    windowDays,
+    confidence: toConfidence(coverage),
+  };
+}
+
+/**
+ * Suggests a new calorie goal when the weight is not changing at the target
+ * pace: the estimated expenditure adjusted by the energy of the target pace,
+ * rounded to 10 kcal and never below `MIN_GOAL_CALORIES`.
+ * @param {ExpenditureEstimate} estimate - The expenditure estimate.
+ * @param {number | null} targetPace - The target pace, in kilograms a week.
+ * @param {number | null} goal - The calorie goal that applies now (see `getGoalForDate`).
+ * @returns {number | null} The suggested goal, or null if there is no target
+ *   pace, the weight is on pace, or the suggestion is within
+ *   `MIN_GOAL_CHANGE` of the current goal.
+ */
+export function suggestGoal(estimate, targetPace, goal) {
+  if (!estimate || typeof targetPace !== 'number') {
+    return null;
+  }
+  if (comparePace(estimate.weeklyRateKg, targetPace) === 'onPace') {
+    return null;
+  }
+  const suggested = Math.max(
+    MIN_GOAL_CALORIES,
+    Math.round((estimate.expenditure + (targetPace * KCAL_PER_KG) / 7) / 10) *
+      10
+  );
+  if (
+    typeof goal === 'number' &&
+    Math.abs(suggested - goal) < MIN_GOAL_CHANGE
+  ) {
+    return null;
+  }
+  return suggested;
+}
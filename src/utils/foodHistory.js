@@ -0,0 +1,100 @@
+/**
+ * Utility module containing pure helpers that summarize the food log into a
+ * history of distinct foods (how often and how recently each was logged), for
+ * quick re-logging of foods the user eats regularly.
+ */
+import { MACRO_KEYS, isValidGrams } from './nutrition.js';
+import { isValidQuantity, isValidUnit } from './units.js';
+
+/**
+ * Default number of foods shown in each quick-add list.
+ */
+export const QUICK_ADD_LIMIT = 5;
+
+/**
+ * Builds the key foods are grouped by, so "Apple" and " apple " are the same food.
+ * @param {string} name - The food name.
+ * @returns {string} The normalized key.
+ */
+export const getFoodKey = (name) =>
+  String(name ?? '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+
+/**
+ * Copies the loggable fields of a log item or food: name, calories, and the
+ * macros and amount if recorded.
+ * @param {object} item - The log item or food.
+ * @returns {{ name: string, calories: number, protein?: number, carbs?: number, fat?: number, quantity?: number, unit?: string }}
+ *   The fields to pass to `addLogItem`.
+ */
+export const toQuickAddItem = (item) => {
+  const quickAddItem = { name: item.name, calories: item.calories };
+  MACRO_KEYS.forEach((key) => {
+    if (isValidGrams(item[key])) {
+      quickAddItem[key] = item[key];
+    }
+  });
+  if (isValidQuantity(item.quantity) && isValidUnit(item.unit)) {
+    quickAddItem.quantity = item.quantity;
+    quickAddItem.unit = item.unit;
+  }
+  return quickAddItem;
+};
+
+/**
+ * Summarizes log items into one entry per distinct food name. Each entry
+ * keeps the values from the most recent time the food was logged, how many
+ * times it was logged, and when it was last logged. Items without a valid
+ * name or calories are skipped; untimed legacy items count as least recent.
+ * @param {Array<object>} items - All log items.
+ * @returns {Array<{ key: string, item: object, count: number, lastLoggedAt: string | null }>}
+ *   The foods, most recently logged first.
+ */
+export const getFoodHistory = (items) => {
+  if (!Array.isArray(items)) {
+    return [];
+  }
+  const byKey = new Map();
+  items.forEach((item) => {
+    const key = getFoodKey(item?.name);
+    if (!key || !isValidGrams(item.calories)) {
+      return;
+    }
+    const loggedAt = item.loggedAt ?? null;
+    const entry = byKey.get(key);
+    if (!entry) {
+      byKey.set(key, { key, item, count: 1, lastLoggedAt: loggedAt });
+      return;
+    }
+    entry.count += 1;
+    // ISO timestamps compare chronologically as strings
+    if (loggedAt && (!entry.lastLoggedAt || loggedAt > entry.lastLoggedAt)) {
+      entry.item = item;
+      entry.lastLoggedAt = loggedAt;
+    }
+  });
+  return [...byKey.values()].sort((a, b) =>
+    (b.lastLoggedAt ?? '').localeCompare(a.lastLoggedAt ?? '')
+  );
+};
+
+/**
+ * Picks the most recently logged foods.
+ * @param {Array<object>} history - Entries from `getFoodHistory`.
+ * @param {number} [limit=QUICK_ADD_LIMIT] - Maximum number of foods.
+ * @returns {Array<object>} The most recent entries.
+ */
+export const getRecentFoods = (history, limit = QUICK_ADD_LIMIT) =>
+  history.slice(0, limit);
+
+/**
+ * Picks the most frequently logged foods, breaking ties by recency.
+ * @param {Array<object>} history - Entries from `getFoodHistory`.
+ * @param {number} [limit=QUICK_ADD_LIMIT] - Maximum number of foods.
+ * @returns {Array<object>} The most frequent entries.
+ */
+export const getFrequentFoods = (history, limit = QUICK_ADD_LIMIT) =>
+  // `history` is sorted by recency and sort is stable, so ties stay in that order
+  [...history].sort((a, b) => b.count - a.count).slice(0, limit);
@@ -0,0 +1,200 @@
+/**
+ * Utility module for working out which calorie goal applies on a given day.
+ *
+ * A goal plan combines three things, from most to least specific:
+ * - scheduled goals for a range of dates (e.g. 1800 until Dec 1), the latest
+ *   starting one winning where ranges overlap;
+ * - goals for particular days of the week (e.g. more on training days);
+ * - the daily goal, which applies whenever nothing more specific does.
+ *
+ * Changing the plan adds the previous plan to a goal history, so days that
+ * have passed are still judged against the goals that were active then.
+ */
+import { parseDateKey, toDateKey } from './dates.js';
+
+/**
+ * The days of the week, in display order (Monday first).
+ */
+export const WEEKDAY_KEYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+
+/**
+ * Display labels for each day of the week.
+ */
+export const WEEKDAY_LABELS = {
+  mon: 'Monday',
+  tue: 'Tuesday',
+  wed: 'Wednesday',
+  thu: 'Thursday',
+  fri: 'Friday',
+  sat: 'Saturday',
+  sun: 'Sunday',
+};
+
+/**
+ * No goals for particular days of the week.
+ */
+export const DEFAULT_WEEKDAY_GOALS = {
+  mon: null,
+  tue: null,
+  wed: null,
+  thu: null,
+  fri: null,
+  sat: null,
+  sun: null,
+};
+
+/**
+ * @typedef {object} ScheduledGoal
+ * @property {string} id - Unique identifier.
+ * @property {string} start - The first day the goal applies, as `YYYY-MM-DD`.
+ * @property {string} [end] - The last day it applies; open-ended if missing.
+ * @property {number} goal - The daily calorie goal during the range.
+ */
+
+/**
+ * @typedef {object} GoalPlan
+ * @property {number | null} goal - The daily goal.
+ * @property {Record<string, number | null>} weekdayGoals - Goals by day of the week.
+ * @property {ScheduledGoal[]} goalSchedule - Goals for ranges of dates.
+ */
+
+/**
+ * @typedef {GoalPlan & { until: string }} GoalHistoryEntry
+ * A plan that was replaced, and the last day it applied (`YYYY-MM-DD`). It
+ * applied from the day after the previous entry's `until`.
+ */
+
+/**
+ * Checks that a goal is a positive number.
+ * @param {*} value - The goal.
+ * @returns {boolean} True if the goal can be used.
+ */
+const isPositiveGoal = (value) =>
+  typeof value === 'number' && isFinite(value) && value > 0;
+
+/**
+ * Returns the day of the week of a date key.
+ * @param {string} dateKey - The day, as `YYYY-MM-DD`.
+ * @returns {string} The weekday key, e.g. "mon".
+ */
+export const getWeekdayKey = (dateKey) =>
+  WEEKDAY_KEYS[(parseDateKey(dateKey).getDay() + 6) % 7];
+
+/**
+ * Returns the date key of the day before another.
+ * @param {string} dateKey - The day, as `YYYY-MM-DD`.
+ * @returns {string} The previous day's key.
+ */
+const getPreviousDateKey = (dateKey) => {
+  const date = parseDateKey(dateKey);
+  date.setDate(date.getDate() - 1);
+  return toDateKey(date);
+};
+
+/**
+ * Finds the scheduled goal that applies on a day, if any.
+ * @param {ScheduledGoal[]} schedule - The scheduled goals.
+ * @param {string} dateKey - The day, as `YYYY-MM-DD`.
+ * @returns {ScheduledGoal | null} The scheduled goal starting last among
+ *   those whose range covers the day.
+ */
+export const findScheduledGoal = (schedule, dateKey) =>
+  (Array.isArray(schedule) ? schedule : []).reduce(
+    (found, entry) =>
+      entry &&
+      isPositiveGoal(entry.goal) &&
+      entry.start <= dateKey &&
+      (!entry.end || dateKey <= entry.end) &&
+      (!found || entry.start >= found.start)
+        ? entry
+        : found,
+    null
+  );
+
+/**
+ * Works out the goal a plan sets for a day. Date keys are zero-padded, so
+ * they compare chronologically as strings.
+ * @param {Partial<GoalPlan>} plan - The goal plan.
+ * @param {string} dateKey - The day, as `YYYY-MM-DD`.
+ * @returns {number | null} The day's calorie goal, or null if none is set.
+ */
+export function resolveGoal(plan, dateKey) {
+  const scheduled = findScheduledGoal(plan?.goalSchedule, dateKey);
+  if (scheduled) {
+    return scheduled.goal;
+  }
+  const weekdayGoal = plan?.weekdayGoals?.[getWeekdayKey(dateKey)];
+  if (isPositiveGoal(weekdayGoal)) {
+    return weekdayGoal;
+  }
+  return isPositiveGoal(plan?.goal) ? plan.goal : null;
+}
+
+/**
+ * Finds the plan that was active on a day: the current plan from today on,
+ * or the history entry covering a past day.
+ * @param {GoalHistoryEntry[]} history - The replaced plans.
+ * @param {GoalPlan} currentPlan - The plan in use now.
+ * @param {string} dateKey - The day, as `YYYY-MM-DD`.
+ * @param {string} todayKey - Today's date key.
+ * @returns {Partial<GoalPlan>} The plan for that day.
+ */
+export function getGoalPlanForDate(history, currentPlan, dateKey, todayKey) {
+  if (dateKey >= todayKey || !Array.isArray(history)) {
+    return currentPlan;
+  }
+  const entry = history
+    .filter((candidate) => candidate && candidate.until >= dateKey)
+    .reduce(
+      (earliest, candidate) =>
+        !earliest || candidate.until < earliest.until ? candidate : earliest,
+      null
+    );
+  return entry ?? currentPlan;
+}
+
+/**
+ * Compares two plans by what they contain.
+ * @param {Partial<GoalPlan>} a - A plan.
+ * @param {Partial<GoalPlan>} b - Another plan.
+ * @returns {boolean} True if both set the same goals.
+ */
+export const isSameGoalPlan = (a, b) =>
+  JSON.stringify([
+    a?.goal ?? null,
+    { ...DEFAULT_WEEKDAY_GOALS, ...a?.weekdayGoals },
+    a?.goalSchedule ?? [],
+  ]) ===
+  JSON.stringify([
+    b?.goal ?? null,
+    { ...DEFAULT_WEEKDAY_GOALS, ...b?.weekdayGoals },
+    b?.goalSchedule ?? [],
+  ]);
+
+/**
+ * Adds a replaced plan to the history. It applied until yesterday: the new
+ * plan covers today. If the plan already changed earlier today, the plan
+ * recorded then is the one that applied, so the history is left alone.
+ * @param {GoalHistoryEntry[]} history - The replaced plans.
+ * @param {Partial<GoalPlan>} previousPlan - The plan being replaced.
+ * @param {string} todayKey - Today's date key.
+ * @returns {GoalHistoryEntry[]} The new history.
+ */
+export function addGoalHistoryEntry(history, previousPlan, todayKey) {
+  const entries = Array.isArray(history) ? history : [];
+  const until = getPreviousDateKey(todayKey);
+  if (entries.some((entry) => entry?.until >= until)) {
+    return entries;
+  }
+  return [
+    ...entries,
+    {
+      until,
+      goal: previousPlan?.goal ?? null,
+      weekdayGoals: { ...DEFAULT_WEEKDAY_GOALS, ...previousPlan?.weekdayGoals },
+      goalSchedule: Array.isArray(previousPlan?.goalSchedule)
+        ? previousPlan.goalSchedule
+        : [],
+    },
+  ];
+}
@@ -28,4 +28,57 @@ export const isValidPositiveNumber = (value) => {
 export const isNonEmptyString = (value) => {
   // Check if the type is string and if its trimmed length is greater than 0.
   return typeof value === 'string' && value.trim().length > 0;
-};
\ No newline at end of file
+};
+
+/**
+ * Sums the calories of a list of log items.
+ * Skips items whose calories are missing, negative, or not numeric.
+ * @param {Array<{ calories: number }>} items - The log items to total.
+ * @returns {number} The total calories, or 0 if the input is not an array.
+ */
+export const sumCalories = (items) => {
+  if (!Array.isArray(items)) {
+    return 0;
+  }
+  return items.reduce((sum, item) => {
+    const calories = Number(item?.calories);
+    return sum + (isNaN(calories) || calories < 0 ? 0 : calories);
+  }, 0);
+};
+
+/**
+ * Fraction of the goal either side of it that still counts as "met".
+ * E.g. 0.1 means anything from 90% to 110% of the goal is on target.
+ */
+export const GOAL_MET_TOLERANCE = 0.1;
+
+/**
+ * Classifies a day's calorie total against the goal.
+ * @param {number} total - Calories consumed that day.
+ * @param {number | null} goal - The daily calorie goal.
+ * @returns {'met' | 'missed' | 'exceeded' | null} The day's status, or null
+ *          if there is no valid goal or nothing was logged.
+ */
+export const getGoalStatus = (total, goal) => {
+  if (!isValidPositiveNumber(goal) || !(total > 0)) {
+    return null;
+  }
+  if (total > goal * (1 + GOAL_MET_TOLERANCE)) {
+    return 'exceeded';
+  }
+  if (total < goal * (1 - GOAL_MET_TOLERANCE)) {
+    return 'missed';
+  }
+  return 'met';
+};
+
+/**
+ * Works out how many calories are left for the day.
+ * @param {number | null} goal - The daily calorie goal.
+ * @param {Array<{ calories: number }>} items - The day's log items.
+ * @param {number} [burned=0] - Calories burned exercising that add to the budget.
+ * @returns {number | null} Calories remaining (negative when over the goal),
+ *          or null if there is no valid goal.
+ */
+export const getRemainingCalories = (goal, items, burned = 0) =>
+  isValidPositiveNumber(goal) ? goal + burned - sumCalories(items) : null;
@@ -0,0 +1,333 @@
+/**
+ * Storage adapters for the food log, the one piece of saved data that grows
+ * without bound.
+ *
+ * By default the log is kept in localStorage under `STORAGE_KEYS.log`, as one
+ * array that is rewritten on every change (see `useLocalStorage`). An adapter
+ * stores it somewhere else instead, one record per entry, and loads it a
+ * range of days at a time. The app's other data is small and stays in
+ * localStorage either way.
+ */
+import { STORAGE_KEYS, DEFAULT_PROFILE_ID, getProfileKey } from './storage.js';
+import { toDateKey } from './dates.js';
+
+/**
+ * @typedef {object} LogChanges
+ * @property {import('../context/AppContext.jsx').LogItem[]} saved - Entries that were added or changed.
+ * @property {string[]} deleted - IDs of entries that were deleted.
+ */
+
+/**
+ * @typedef {object} LogStorageAdapter
+ * @property {string} name - Identifies the adapter, e.g. "indexedDB".
+ * @property {(fromKey: string, toKey: string) => Promise<import('../context/AppContext.jsx').LogItem[]>} loadDays -
+ *   Loads the entries logged between two `YYYY-MM-DD` keys (inclusive), plus
+ *   any untimed legacy entries.
+ * @property {(items: import('../context/AppContext.jsx').LogItem[]) => Promise<void>} saveItems -
+ *   Adds or replaces entries, matched by ID.
+ * @property {(itemIds: string[]) => Promise<void>} deleteItems - Deletes entries by ID.
+ * @property {(listener: (changes: LogChanges) => void) => () => void} [subscribe] -
+ *   Calls the listener when another tab changes the log. Returns an unsubscribe function.
+ * @property {() => void} [close] - Releases the connections the adapter holds.
+ *   Called when `AppProvider` stops using it; the adapter may be used again after.
+ */
+
+/**
+ * The storage options `AppProvider` accepts by name.
+ */
+export const LOG_STORAGE_NAMES = ['localStorage', 'indexedDB'];
+
+const DATABASE_VERSION = 1;
+const LOG_STORE = 'log';
+const DATE_INDEX = 'date';
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request's result.
+ */
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Wraps an IndexedDB transaction in a promise.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise<void>} Resolves once the transaction has committed.
+ */
+const transactionToPromise = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error ?? new Error('Transaction aborted.'));
+  });
+
+/**
+ * Wraps a log entry in the record stored for it. Entries are indexed by the
+ * local day they were eaten; untimed legacy entries get an empty day.
+ * @param {object} item - The log entry.
+ * @returns {{ id: string, date: string, item: object }} The record.
+ */
+const toRecord = (item) => ({
+  id: item.id,
+  date: toDateKey(item.loggedAt ?? NaN) || '',
+  item,
+});
+
+/**
+ * Checks that a value can be stored as a log entry.
+ * @param {*} item - The value to check.
+ * @returns {boolean} True if it is an object with an ID.
+ */
+const hasId = (item) =>
+  item !== null && typeof item === 'object' && Boolean(item.id);
+
+/**
+ * Creates an adapter that keeps each log entry as its own record in an
+ * IndexedDB database, so saving a change writes only the entries that changed
+ * and loading a day reads only that day's entries.
+ *
+ * The database is opened on first use. If the log is still in localStorage
+ * (from before this adapter was used), its entries are copied into the
+ * database and the localStorage key is removed once the copy has committed.
+ * Changes are announced to other tabs on a BroadcastChannel, where supported.
+ * `close` closes the database and the channel; both are opened again if the
+ * adapter is used after that. The database is also closed when another tab
+ * needs to upgrade it.
+ * @param {object} [options] - Optional settings.
+ * @param {IDBFactory} [options.indexedDB] - The IndexedDB implementation. Defaults to the browser's.
+ * @param {Storage} [options.storage] - Where to migrate an existing log from. Defaults to localStorage.
+ * @param {string} [options.databaseName] - The database name.
+ * @param {string} [options.logKey] - The localStorage key to migrate the log from.
+ * @returns {LogStorageAdapter} The adapter.
+ */
+export function createIndexedDbAdapter({
+  indexedDB = globalThis.indexedDB,
+  storage = globalThis.localStorage,
+  databaseName = getLogDatabaseName(),
+  logKey = STORAGE_KEYS.log,
+} = {}) {
+  let databasePromise = null;
+
+  /**
+   * Moves a log saved in localStorage into the database.
+   * @param {IDBDatabase} database - The open database.
+   * @returns {Promise<void>} Resolves once the entries are copied.
+   */
+  const migrateFromLocalStorage = async (database) => {
+    const raw = storage?.getItem(logKey);
+    if (raw === null || raw === undefined) {
+      return;
+    }
+    let items;
+    try {
+      items = JSON.parse(raw);
+    } catch {
+      // prepareStorage has already backed up and reported unreadable data
+      items = [];
+    }
+    const transaction = database.transaction(LOG_STORE, 'readwrite');
+    const store = transaction.objectStore(LOG_STORE);
+    (Array.isArray(items) ? items : [])
+      .filter(hasId)
+      .forEach((item) => store.put(toRecord(item)));
+    await transactionToPromise(transaction);
+    storage.removeItem(logKey);
+  };
+
+  /**
+   * Opens the database (once), creating and migrating it if needed.
+   * @returns {Promise<IDBDatabase>} The open database.
+   */
+  const getDatabase = () => {
+    if (!databasePromise) {
+      const request = indexedDB.open(databaseName, DATABASE_VERSION);
+      request.onupgradeneeded = () => {
+        request.result
+          .createObjectStore(LOG_STORE, { keyPath: 'id' })
+          .createIndex(DATE_INDEX, 'date');
+      };
+      const opening = requestToPromise(request).then(async (database) => {
+        // Don't block another tab upgrading to a newer DATABASE_VERSION;
+        // the next call here opens the database again
+        database.onversionchange = () => {
+          database.close();
+          if (databasePromise === opening) {
+            databasePromise = null;
+          }
+        };
+        await migrateFromLocalStorage(database);
+        return database;
+      });
+      databasePromise = opening;
+      // Let a later call try again, e.g. after the user frees up space
+      opening.catch(() => {
+        if (databasePromise === opening) {
+          databasePromise = null;
+        }
+      });
+    }
+    return databasePromise;
+  };
+
+  let channel = null;
+
+  /**
+   * Opens the channel changes are announced on (once).
+   * @returns {BroadcastChannel | null} The channel, or null if the browser has none.
+   */
+  const getChannel = () => {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel(`${databaseName}:${LOG_STORE}`);
+    }
+    return channel;
+  };
+
+  /**
+   * Tells other tabs what changed.
+   * @param {LogChanges} changes - The changes.
+   */
+  const announce = (changes) => {
+    try {
+      getChannel()?.postMessage(changes);
+    } catch (error) {
+      console.warn('[logStorage] Could not announce log changes:', error);
+    }
+  };
+
+  return {
+    name: 'indexedDB',
+
+    loadDays: async (fromKey, toKey) => {
+      const database = await getDatabase();
+      const transaction = database.transaction(LOG_STORE, 'readonly');
+      const index = transaction.objectStore(LOG_STORE).index(DATE_INDEX);
+      const dated = requestToPromise(
+        index.getAll(IDBKeyRange.bound(fromKey, toKey))
+      );
+      const untimed = requestToPromise(index.getAll(''));
+      const [datedRecords, untimedRecords] = await Promise.all([
+        dated,
+        untimed,
+      ]);
+      return [...untimedRecords, ...datedRecords].map((record) => record.item);
+    },
+
+    saveItems: async (items) => {
+      const validItems = items.filter(hasId);
+      if (validItems.length === 0) {
+        return;
+      }
+      const database = await getDatabase();
+      const transaction = database.transaction(LOG_STORE, 'readwrite');
+      const store = transaction.objectStore(LOG_STORE);
+      validItems.forEach((item) => store.put(toRecord(item)));
+      await transactionToPromise(transaction);
+      announce({ saved: validItems, deleted: [] });
+    },
+
+    deleteItems: async (itemIds) => {
+      if (itemIds.length === 0) {
+        return;
+      }
+      const database = await getDatabase();
+      const transaction = database.transaction(LOG_STORE, 'readwrite');
+      const store = transaction.objectStore(LOG_STORE);
+      itemIds.forEach((itemId) => store.delete(itemId));
+      await transactionToPromise(transaction);
+      announce({ saved: [], deleted: itemIds });
+    },
+
+    subscribe: (listener) => {
+      const subscribedChannel = getChannel();
+      if (!subscribedChannel) {
+        return () => {};
+      }
+      const handleMessage = (event) => {
+        const { saved, deleted } = event.data ?? {};
+        listener({
+          saved: Array.isArray(saved) ? saved.filter(hasId) : [],
+          deleted: Array.isArray(deleted) ? deleted : [],
+        });
+      };
+      subscribedChannel.addEventListener('message', handleMessage);
+      return () =>
+        subscribedChannel.removeEventListener('message', handleMessage);
+    },
+
+    close: () => {
+      channel?.close();
+      channel = null;
+      const closing = databasePromise;
+      databasePromise = null;
+      // Transactions already started finish before the connection closes
+      closing?.then(
+        (database) => database.close(),
+        () => {}
+      );
+    },
+  };
+}
+
+/**
+ * Returns the name of the IndexedDB database a profile's log is kept in.
+ * @param {string} [profileId] - The profile. Defaults to the default profile.
+ * @returns {string} The database name.
+ */
+export const getLogDatabaseName = (profileId = DEFAULT_PROFILE_ID) =>
+  getProfileKey('fitnessApp', profileId);
+
+/**
+ * Checks that a value implements the required parts of `LogStorageAdapter`.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for a usable adapter.
+ */
+export const isLogStorageAdapter = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  ['loadDays', 'saveItems', 'deleteItems'].every(
+    (method) => typeof value[method] === 'function'
+  );
+
+/**
+ * Turns `AppProvider`'s `storage` option into an adapter.
+ * "localStorage" (the default) returns null: the log stays under its
+ * localStorage key, read in full on load and synced across tabs by
+ * `useLocalStorage`. "indexedDB" creates an IndexedDB adapter, falling back
+ * to localStorage if the browser has no IndexedDB. An adapter object is used
+ * as is. Anything else logs a warning and falls back to localStorage.
+ * @param {string | LogStorageAdapter | undefined} storage - The option.
+ * @param {string} [profileId] - The profile whose log it is; each profile has
+ *   its own database.
+ * @returns {LogStorageAdapter | null} The adapter, or null for localStorage.
+ */
+export function resolveLogStorage(storage, profileId = DEFAULT_PROFILE_ID) {
+  if (storage === undefined || storage === 'localStorage') {
+    return null;
+  }
+  if (storage === 'indexedDB') {
+    if (
+      typeof indexedDB === 'undefined' ||
+      typeof IDBKeyRange === 'undefined'
+    ) {
+      console.warn(
+        '[logStorage] IndexedDB is not available; keeping the log in localStorage.'
+      );
+      return null;
+    }
+    return createIndexedDbAdapter({
+      databaseName: getLogDatabaseName(profileId),
+      logKey: getProfileKey(STORAGE_KEYS.log, profileId),
+    });
+  }
+  if (isLogStorageAdapter(storage)) {
+    return storage;
+  }
+  console.warn(
+    `[logStorage] Unknown storage option: ${storage}. Expected one of ${LOG_STORAGE_NAMES.join(', ')} or an adapter; keeping the log in localStorage.`
+  );
+  return null;
+}
@@ -0,0 +1,74 @@
+/**
+ * Utility module describing the meal slots log items are grouped into.
+ */
+
+/**
+ * The meal slots, in the order they are shown.
+ */
+export const MEAL_KEYS = ['breakfast', 'lunch', 'dinner', 'snacks'];
+
+/**
+ * Display labels for each meal slot.
+ */
+export const MEAL_LABELS = {
+  breakfast: 'Breakfast',
+  lunch: 'Lunch',
+  dinner: 'Dinner',
+  snacks: 'Snacks',
+};
+
+/**
+ * Checks if a value is one of the known meal slots.
+ * @param {*} value - The value to validate.
+ * @returns {boolean} True if the value is a meal key.
+ */
+export const isValidMeal = (value) => MEAL_KEYS.includes(value);
+
+/**
+ * Picks the meal slot that usually matches a time of day:
+ * breakfast 05:00–10:59, lunch 11:00–15:59, dinner 17:00–21:59,
+ * and snacks for anything in between.
+ * @param {Date | string} [time=new Date()] - The time to classify.
+ * @returns {'breakfast' | 'lunch' | 'dinner' | 'snacks'} The meal slot.
+ */
+export const getMealForTime = (time = new Date()) => {
+  const date = new Date(time ?? NaN);
+  const hour = date.getHours();
+  if (isNaN(hour)) {
+    return 'snacks';
+  }
+  if (hour >= 5 && hour < 11) {
+    return 'breakfast';
+  }
+  if (hour >= 11 && hour < 16) {
+    return 'lunch';
+  }
+  if (hour >= 17 && hour < 22) {
+    return 'dinner';
+  }
+  return 'snacks';
+};
+
+/**
+ * Returns the meal slot of a log item. Items saved before meals existed are
+ * placed by the time they were logged, or under snacks if untimed.
+ * @param {{ meal?: string, loggedAt?: string }} item - The log item.
+ * @returns {'breakfast' | 'lunch' | 'dinner' | 'snacks'} The meal slot.
+ */
+export const getItemMeal = (item) =>
+  isValidMeal(item?.meal) ? item.meal : getMealForTime(item?.loggedAt);
+
+/**
+ * Groups log items by meal slot. Every slot is present, possibly empty.
+ * @param {Array<object>} items - The log items to group.
+ * @returns {Record<string, Array<object>>} Items keyed by meal slot.
+ */
+export const groupByMeal = (items) => {
+  const groups = Object.fromEntries(MEAL_KEYS.map((key) => [key, []]));
+  if (Array.isArray(items)) {
+    items.forEach((item) => {
+      groups[getItemMeal(item)].push(item);
+    });
+  }
+  return groups;
+};
@@ -0,0 +1,116 @@
+/**
+ * Ordered migrations for the data the app saves in localStorage.
+ *
+ * Each migration upgrades saved data from the previous schema version to its
+ * `version`. `migrate` maps a storage key to a pure function that receives the
+ * parsed value saved under that key and returns the upgraded value; keys that
+ * a migration doesn't list are left alone. Migrations also receive the time
+ * of the upgrade and a `report` function for anything they had to discard. Append new migrations to the end
+ * with the next version number and never edit one that has shipped, since
+ * users' data may already have passed through it.
+ */
+import { MACRO_KEYS } from './nutrition.js';
+import { isValidMeal } from './meals.js';
+
+/**
+ * Converts numeric strings (e.g. "150") to numbers, leaving other values alone.
+ * @param {*} value - The value to convert.
+ * @returns {*} The number, or the original value.
+ */
+const toNumber = (value) =>
+  typeof value === 'string' && value.trim() !== '' && isFinite(Number(value))
+    ? Number(value)
+    : value;
+
+/**
+ * The meal slot given to legacy log entries, which have no time to place
+ * them by (as `getItemMeal` does for untimed entries).
+ */
+const LEGACY_MEAL = 'snacks';
+
+/**
+ * Returns when log entries saved before entries had a time are counted as
+ * eaten: noon on the day before the upgrade. Putting them on one fixed past
+ * day keeps them out of the current day's total, now and after midnight.
+ * @param {Date} now - When the upgrade runs.
+ * @returns {string} The ISO 8601 timestamp.
+ */
+const getLegacyLoggedAt = (now) =>
+  new Date(
+    now.getFullYear(),
+    now.getMonth(),
+    now.getDate() - 1,
+    12
+  ).toISOString();
+
+/**
+ * @typedef {object} MigrationContext
+ * @property {Date} now - When the upgrade runs.
+ * @property {(message: string) => void} report - Called with a description of
+ *   data the migration discarded, e.g. "had 1 entry without a name, which was
+ *   removed during the upgrade." (read after the data's label).
+ */
+
+/**
+ * @typedef {object} Migration
+ * @property {number} version - The schema version the migration upgrades to.
+ * @property {string} description - What the migration changes.
+ * @property {Record<string, (value: *, context: MigrationContext) => *>} migrate - Upgrade functions keyed by storage key.
+ */
+
+/**
+ * @type {Migration[]}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description:
+      'Normalize log entries: drop (and report) entries without a name, store numbers as numbers, give every entry an ID, and put entries without a time on the day before the upgrade, as snacks.',
+    migrate: {
+      fitnessAppLog: (log, { now, report }) => {
+        if (!Array.isArray(log)) {
+          return log;
+        }
+        const named = log.filter(
+          (item) =>
+            item &&
+            typeof item === 'object' &&
+            typeof item.name === 'string' &&
+            item.name.trim() !== ''
+        );
+        const dropped = log.length - named.length;
+        if (dropped > 0) {
+          report(
+            dropped === 1
+              ? 'had 1 entry without a name, which was removed during the upgrade.'
+              : `had ${dropped} entries without a name, which were removed during the upgrade.`
+          );
+        }
+        const legacyLoggedAt = getLegacyLoggedAt(now);
+        return named.map((item, index) => {
+          const migrated = {
+            ...item,
+            id: item.id ? String(item.id) : `legacy-${index}`,
+            calories: toNumber(item.calories),
+          };
+          if (typeof item.loggedAt !== 'string' || item.loggedAt === '') {
+            migrated.loggedAt = legacyLoggedAt;
+            migrated.meal = isValidMeal(item.meal) ? item.meal : LEGACY_MEAL;
+          }
+          [...MACRO_KEYS, 'quantity'].forEach((key) => {
+            if (migrated[key] !== undefined) {
+              migrated[key] = toNumber(migrated[key]);
+            }
+          });
+          return migrated;
+        });
+      },
+    },
+  },
+];
+
+/**
+ * The schema version of data saved by this build of the app.
+ */
+export const CURRENT_SCHEMA_VERSION =
+  MIGRATIONS.length > 0 ? MIGRATIONS[MIGRATIONS.length - 1].version : 0;
@@ -0,0 +1,111 @@
+/**
+ * Utility module containing pure nutrition helpers for the HealthFitGoalTracker.
+ * Covers macronutrient (protein, carbs, fat) totals and calorie cross-checks.
+ */
+
+/**
+ * The macronutrients tracked on log items, in display order.
+ */
+export const MACRO_KEYS = ['protein', 'carbs', 'fat'];
+
+/**
+ * Display labels for each macronutrient.
+ */
+export const MACRO_LABELS = {
+  protein: 'Protein',
+  carbs: 'Carbs',
+  fat: 'Fat',
+};
+
+/**
+ * Energy per gram of each macronutrient (Atwater factors).
+ */
+export const KCAL_PER_GRAM = {
+  protein: 4,
+  carbs: 4,
+  fat: 9,
+};
+
+/**
+ * Relative difference between stated calories and calories implied by macros
+ * that is still accepted, to allow for label rounding and fibre.
+ */
+export const MACRO_CALORIE_TOLERANCE = 0.15;
+
+/**
+ * Absolute difference (kcal) that is always accepted, so small items are not
+ * flagged over a few calories.
+ */
+export const MACRO_CALORIE_MIN_DIFFERENCE = 15;
+
+/**
+ * Checks if a value is a usable macro amount in grams (a finite number >= 0).
+ * @param {*} value - The value to validate.
+ * @returns {boolean} True if the value is a valid gram amount.
+ */
+export const isValidGrams = (value) =>
+  typeof value === 'number' && isFinite(value) && value >= 0;
+
+/**
+ * Checks whether a log item has any macronutrient recorded.
+ * @param {object} item - The log item.
+ * @returns {boolean} True if at least one macro is present.
+ */
+export const hasMacros = (item) =>
+  MACRO_KEYS.some((key) => isValidGrams(item?.[key]));
+
+/**
+ * Sums each macronutrient across a list of log items. Missing or invalid
+ * values count as 0.
+ * @param {Array<object>} items - The log items to total.
+ * @returns {{ protein: number, carbs: number, fat: number }} Grams per macro.
+ */
+export const sumMacros = (items) => {
+  const totals = { protein: 0, carbs: 0, fat: 0 };
+  if (!Array.isArray(items)) {
+    return totals;
+  }
+  items.forEach((item) => {
+    MACRO_KEYS.forEach((key) => {
+      if (isValidGrams(item?.[key])) {
+        totals[key] += item[key];
+      }
+    });
+  });
+  // Avoid floating point noise such as 0.30000000000000004 g
+  MACRO_KEYS.forEach((key) => {
+    totals[key] = Math.round(totals[key] * 10) / 10;
+  });
+  return totals;
+};
+
+/**
+ * Calculates the calories implied by an item's macros (4/4/9 kcal per gram).
+ * @param {{ protein?: number, carbs?: number, fat?: number }} macros - Grams per macro.
+ * @returns {number} The implied calories.
+ */
+export const caloriesFromMacros = (macros) =>
+  MACRO_KEYS.reduce(
+    (sum, key) =>
+      sum +
+      (isValidGrams(macros?.[key]) ? macros[key] * KCAL_PER_GRAM[key] : 0),
+    0
+  );
+
+/**
+ * Cross-checks an item's calories against its macros. Only items with all
+ * three macros are checked, since a partial breakdown cannot be compared.
+ * @param {{ calories: number, protein?: number, carbs?: number, fat?: number }} item - The log item.
+ * @returns {boolean} True if the macros are missing/partial or roughly match the calories.
+ */
+export const macrosMatchCalories = (item) => {
+  if (!MACRO_KEYS.every((key) => isValidGrams(item?.[key]))) {
+    return true;
+  }
+  const implied = caloriesFromMacros(item);
+  const allowed = Math.max(
+    item.calories * MACRO_CALORIE_TOLERANCE,
+    MACRO_CALORIE_MIN_DIFFERENCE
+  );
+  return Math.abs(implied - item.calories) <= allowed;
+};
@@ -0,0 +1,200 @@
+/**
+ * Utility module for user profiles: several people can track on one device,
+ * each with their own goal, log and settings (see `getProfileKey` in
+ * `src/utils/storage.js` for how their data is kept apart).
+ *
+ * A profile can be locked with a PIN. Only a salted hash of the PIN is saved.
+ * The lock keeps other people on the device from opening the profile in the
+ * app; it does not encrypt the profile's data.
+ */
+import { DEFAULT_PROFILE_ID } from './storage.js';
+
+/**
+ * The localStorage key the list of profiles is saved under.
+ */
+export const PROFILES_KEY = 'fitnessAppProfiles';
+
+/**
+ * The localStorage key of the profile that was used last, opened on start.
+ */
+export const ACTIVE_PROFILE_KEY = 'fitnessAppActiveProfile';
+
+/**
+ * Avatar colors a profile can pick, with the Tailwind classes that show them.
+ */
+export const PROFILE_COLORS = {
+  green: { label: 'Green', className: 'bg-green-600' },
+  blue: { label: 'Blue', className: 'bg-blue-600' },
+  purple: { label: 'Purple', className: 'bg-purple-600' },
+  pink: { label: 'Pink', className: 'bg-pink-600' },
+  orange: { label: 'Orange', className: 'bg-orange-500' },
+  teal: { label: 'Teal', className: 'bg-teal-600' },
+};
+
+/**
+ * The avatar color keys, in the order they are offered.
+ */
+export const PROFILE_COLOR_KEYS = Object.keys(PROFILE_COLORS);
+
+/**
+ * The longest profile name accepted.
+ */
+export const MAX_PROFILE_NAME_LENGTH = 30;
+
+/**
+ * Matches an acceptable PIN: 4 to 8 digits.
+ */
+const PIN_PATTERN = /^\d{4,8}$/;
+
+/**
+ * @typedef {object} Profile
+ * @property {string} id - Unique identifier; `DEFAULT_PROFILE_ID` for the first profile.
+ * @property {string} name - The name shown in the switcher.
+ * @property {string} color - One of `PROFILE_COLOR_KEYS`.
+ * @property {string} [pinSalt] - Random salt of the PIN hash, if the profile is locked.
+ * @property {string} [pinHash] - SHA-256 hash of the salted PIN, if the profile is locked.
+ */
+
+/**
+ * The profile that owns the data saved before profiles existed.
+ * @type {Profile}
+ */
+export const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Me',
+  color: 'green',
+};
+
+/**
+ * Validates and normalizes a profile name: trimmed, not empty, and at most
+ * `MAX_PROFILE_NAME_LENGTH` characters.
+ * @param {*} name - The name to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {string | null} The trimmed name, or null if invalid.
+ */
+export function validateProfileName(name, report = () => {}) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName) {
+    report('Profile name cannot be empty.');
+    return null;
+  }
+  if (trimmedName.length > MAX_PROFILE_NAME_LENGTH) {
+    report(
+      `Profile name must be at most ${MAX_PROFILE_NAME_LENGTH} characters.`
+    );
+    return null;
+  }
+  return trimmedName;
+}
+
+/**
+ * Checks if a value is one of the avatar colors.
+ * @param {*} value - The value to validate.
+ * @returns {boolean} True if the value is a color key.
+ */
+export const isValidProfileColor = (value) =>
+  PROFILE_COLOR_KEYS.includes(value);
+
+/**
+ * Checks if a value is an acceptable PIN (4 to 8 digits).
+ * @param {*} value - The value to validate.
+ * @returns {boolean} True for a valid PIN.
+ */
+export const isValidPin = (value) =>
+  typeof value === 'string' && PIN_PATTERN.test(value);
+
+/**
+ * Checks that a saved profile has the fields the app relies on.
+ * @param {*} profile - The value to check.
+ * @returns {boolean} True for a usable profile.
+ */
+export const isValidProfile = (profile) =>
+  typeof profile?.id === 'string' &&
+  profile.id !== '' &&
+  typeof profile.name === 'string';
+
+/**
+ * Makes sure a saved list of profiles is usable: drops broken entries and
+ * puts the default profile first, adding it if it's missing.
+ * @param {*} profiles - The saved list.
+ * @returns {Profile[]} The profiles.
+ */
+export function normalizeProfiles(profiles) {
+  const validProfiles = (Array.isArray(profiles) ? profiles : []).filter(
+    isValidProfile
+  );
+  const defaultProfile =
+    validProfiles.find((profile) => profile.id === DEFAULT_PROFILE_ID) ??
+    DEFAULT_PROFILE;
+  return [
+    defaultProfile,
+    ...validProfiles.filter((profile) => profile.id !== DEFAULT_PROFILE_ID),
+  ];
+}
+
+/**
+ * Picks a color for a new profile: the first one no profile uses yet.
+ * @param {Profile[]} profiles - The existing profiles.
+ * @returns {string} A color key.
+ */
+export const getUnusedProfileColor = (profiles) =>
+  PROFILE_COLOR_KEYS.find(
+    (key) => !profiles.some((profile) => profile.color === key)
+  ) ?? PROFILE_COLOR_KEYS[0];
+
+/**
+ * Gets the letter shown in a profile's avatar.
+ * @param {string} name - The profile name.
+ * @returns {string} The first letter, capitalized.
+ */
+export const getProfileInitial = (name) =>
+  (name?.trim()?.[0] ?? '?').toLocaleUpperCase();
+
+/**
+ * Encodes bytes as a hexadecimal string.
+ * @param {ArrayBuffer | Uint8Array} bytes - The bytes.
+ * @returns {string} The hex string.
+ */
+const toHex = (bytes) =>
+  Array.from(new Uint8Array(bytes), (byte) =>
+    byte.toString(16).padStart(2, '0')
+  ).join('');
+
+/**
+ * Hashes a PIN with a salt.
+ * @param {string} pin - The PIN.
+ * @param {string} salt - The salt, as hex.
+ * @returns {Promise<string>} The SHA-256 hash, as hex.
+ */
+const hashPin = async (pin, salt) =>
+  toHex(
+    await globalThis.crypto.subtle.digest(
+      'SHA-256',
+      new TextEncoder().encode(`${salt}:${pin}`)
+    )
+  );
+
+/**
+ * Creates the fields that lock a profile with a PIN.
+ * @param {string} pin - The PIN; must pass `isValidPin`.
+ * @returns {Promise<{ pinSalt: string, pinHash: string }>} The fields to save on the profile.
+ */
+export async function createPinLock(pin) {
+  const pinSalt = toHex(globalThis.crypto.getRandomValues(new Uint8Array(16)));
+  return { pinSalt, pinHash: await hashPin(pin, pinSalt) };
+}
+
+/**
+ * Checks a PIN against a locked profile.
+ * @param {Profile} profile - The profile.
+ * @param {string} pin - The PIN entered.
+ * @returns {Promise<boolean>} True if the PIN is right, or the profile has no PIN.
+ */
+export async function verifyPin(profile, pin) {
+  if (!profile?.pinHash) {
+    return true;
+  }
+  return (
+    (await hashPin(String(pin), profile.pinSalt ?? '')) === profile.pinHash
+  );
+}
@@ -0,0 +1,82 @@
+/**
+ * Utility module containing pure helpers for saved recipes: totalling their
+ * ingredients and presenting a recipe as a food that can be logged per serving.
+ *
+ * Ingredients store the calories and macros of the amount used, computed when
+ * the ingredient was added, so a recipe doesn't depend on the foods it was
+ * built from still existing.
+ */
+import { MACRO_KEYS, isValidGrams } from './nutrition.js';
+import { sumCalories } from './helpers.js';
+
+/**
+ * Rounds a gram amount to 0.1 g.
+ * @param {number} grams - The amount to round.
+ * @returns {number} The rounded amount.
+ */
+const roundGrams = (grams) => Math.round(grams * 10) / 10;
+
+/**
+ * Totals the calories and macros of a list of ingredients. A macro is only
+ * included if at least one ingredient lists it.
+ * @param {Array<{ calories: number, protein?: number, carbs?: number, fat?: number }>} ingredients - The ingredients.
+ * @returns {{ calories: number, protein?: number, carbs?: number, fat?: number }} The totals.
+ */
+export const getRecipeTotals = (ingredients) => {
+  const items = Array.isArray(ingredients) ? ingredients : [];
+  const totals = { calories: sumCalories(items) };
+  MACRO_KEYS.forEach((key) => {
+    const listed = items.filter((item) => isValidGrams(item?.[key]));
+    if (listed.length > 0) {
+      totals[key] = roundGrams(
+        listed.reduce((sum, item) => sum + item[key], 0)
+      );
+    }
+  });
+  return totals;
+};
+
+/**
+ * Works out the calories and macros in one serving of a recipe. Calories are
+ * rounded to whole numbers and macros to 0.1 g.
+ * @param {{ servings: number, ingredients: Array<object> }} recipe - The recipe.
+ * @returns {{ calories: number, protein?: number, carbs?: number, fat?: number } | null}
+ *   The per-serving values, or null if the recipe has no valid serving count.
+ */
+export const getRecipePerServing = (recipe) => {
+  const servings = recipe?.servings;
+  if (typeof servings !== 'number' || !isFinite(servings) || servings <= 0) {
+    return null;
+  }
+  const totals = getRecipeTotals(recipe.ingredients);
+  const perServing = { calories: Math.round(totals.calories / servings) };
+  MACRO_KEYS.forEach((key) => {
+    if (totals[key] !== undefined) {
+      perServing[key] = roundGrams(totals[key] / servings);
+    }
+  });
+  return perServing;
+};
+
+/**
+ * Presents a recipe as a food with per-serving values, so it can be searched
+ * and logged like any other food. Recipes can only be measured in servings.
+ * @param {{ id: string, name: string, servings: number, ingredients: Array<object> }} recipe - The recipe.
+ * @returns {object | null} The food, or null if the recipe is invalid.
+ */
+export const recipeToFood = (recipe) => {
+  const perServing = getRecipePerServing(recipe);
+  if (!perServing || !recipe.name) {
+    return null;
+  }
+  return {
+    id: recipe.id,
+    name: recipe.name,
+    serving:
+      recipe.servings === 1
+        ? 'whole recipe'
+        : `1 of ${recipe.servings} servings`,
+    recipeId: recipe.id,
+    ...perServing,
+  };
+};
@@ -0,0 +1,116 @@
+/**
+ * Utility module containing pure fuzzy-search helpers, used to match what the
+ * user types against food names.
+ */
+
+/**
+ * Default maximum number of search results.
+ */
+export const DEFAULT_SEARCH_LIMIT = 8;
+
+/**
+ * Lowercases text and strips accents and extra whitespace so that, for
+ * example, "Crème  Brûlée" and "creme brulee" compare equal.
+ * @param {*} text - The text to normalize.
+ * @returns {string} The normalized text.
+ */
+export const normalizeText = (text) =>
+  String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Scores how well a query matches a piece of text. Higher is better:
+ * - 100: exact match
+ * - 90: text starts with the query
+ * - 80: a word in the text starts with the query
+ * - 70: every query word starts a word in the text, in any order
+ * - 60: the query appears anywhere in the text
+ * - 1–50: the query's letters appear in order (e.g. "chkn" in "chicken"),
+ *   scored by how tightly they cluster
+ * @param {string} query - What the user typed.
+ * @param {string} text - The text to match against.
+ * @returns {number | null} The score, or null if the text does not match.
+ */
+export const fuzzyScore = (query, text) => {
+  const normalizedQuery = normalizeText(query);
+  const normalizedText = normalizeText(text);
+  if (!normalizedQuery || !normalizedText) {
+    return null;
+  }
+
+  if (normalizedText === normalizedQuery) {
+    return 100;
+  }
+  if (normalizedText.startsWith(normalizedQuery)) {
+    return 90;
+  }
+
+  const textWords = normalizedText.split(/[^a-z0-9%]+/).filter(Boolean);
+  if (textWords.some((word) => word.startsWith(normalizedQuery))) {
+    return 80;
+  }
+
+  const queryWords = normalizedQuery.split(/[^a-z0-9%]+/).filter(Boolean);
+  if (
+    queryWords.length > 1 &&
+    queryWords.every((queryWord) =>
+      textWords.some((word) => word.startsWith(queryWord))
+    )
+  ) {
+    return 70;
+  }
+
+  if (normalizedText.includes(normalizedQuery)) {
+    return 60;
+  }
+
+  // Subsequence match on letters and digits only
+  const letters = normalizedQuery.replace(/[^a-z0-9%]/g, '');
+  if (!letters) {
+    return null;
+  }
+  let firstIndex = -1;
+  let textIndex = 0;
+  for (const letter of letters) {
+    const foundIndex = normalizedText.indexOf(letter, textIndex);
+    if (foundIndex === -1) {
+      return null;
+    }
+    if (firstIndex === -1) {
+      firstIndex = foundIndex;
+    }
+    textIndex = foundIndex + 1;
+  }
+  const span = textIndex - firstIndex;
+  return Math.max(1, Math.round((50 * letters.length) / span));
+};
+
+/**
+ * Finds the items whose name best matches a query, best match first.
+ * Ties are broken by shorter names, then alphabetically.
+ * @template {{ name: string }} T
+ * @param {string} query - What the user typed.
+ * @param {T[]} items - The items to search.
+ * @param {number} [limit=DEFAULT_SEARCH_LIMIT] - Maximum number of results.
+ * @returns {T[]} The matching items, or an empty array for an empty query.
+ */
+export const searchByName = (query, items, limit = DEFAULT_SEARCH_LIMIT) => {
+  if (!normalizeText(query) || !Array.isArray(items)) {
+    return [];
+  }
+  return items
+    .map((item) => ({ item, score: fuzzyScore(query, item?.name) }))
+    .filter(({ score }) => score !== null)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.item.name.length - b.item.name.length ||
+        a.item.name.localeCompare(b.item.name)
+    )
+    .slice(0, limit)
+    .map(({ item }) => item);
+};
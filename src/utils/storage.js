@@ -0,0 +1,314 @@
+/**
+ * Utility module for the versioned data the app saves in localStorage.
+ *
+ * Every key the app persists is registered here with a label and a shape
+ * check. `prepareStorage` runs once before the app reads its saved data: it
+ * upgrades data saved by older versions through the ordered `MIGRATIONS`,
+ * stamps the current schema version, and finds values that can't be used.
+ * Raw values are copied to a backup key before they are migrated or given up
+ * on, so nothing the user saved is lost silently.
+ *
+ * Each profile (see `src/utils/profiles.js`) has its own copy of every key.
+ * The default profile uses the keys as they are, so data saved before
+ * profiles existed belongs to it; other profiles add a suffix (see
+ * `getProfileKey`).
+ */
+import { MIGRATIONS, CURRENT_SCHEMA_VERSION } from './migrations.js';
+
+/**
+ * The localStorage keys the app saves its data under.
+ */
+export const STORAGE_KEYS = {
+  goal: 'fitnessAppGoal',
+  macroGoals: 'fitnessAppMacroGoals',
+  mealBudgets: 'fitnessAppMealBudgets',
+  dietaryPreferences: 'fitnessAppDietaryPreferences',
+  log: 'fitnessAppLog',
+  customFoods: 'fitnessAppCustomFoods',
+  recipes: 'fitnessAppRecipes',
+  favoriteFoods: 'fitnessAppFavoriteFoods',
+  weekdayGoals: 'fitnessAppWeekdayGoals',
+  goalSchedule: 'fitnessAppGoalSchedule',
+  goalHistory: 'fitnessAppGoalHistory',
+  weightLog: 'fitnessAppWeightLog',
+  targetPace: 'fitnessAppTargetPace',
+  exerciseLog: 'fitnessAppExerciseLog',
+  addBurnedCalories: 'fitnessAppAddBurnedCalories',
+  sync: 'fitnessAppSync',
+};
+
+/**
+ * The key the schema version of the saved data is stored under.
+ */
+export const SCHEMA_VERSION_KEY = 'fitnessAppSchemaVersion';
+
+/**
+ * The profile whose data is saved under the plain keys.
+ */
+export const DEFAULT_PROFILE_ID = 'default';
+
+/**
+ * Builds the key a profile's copy of a value is saved under.
+ * @param {string} key - The plain key, e.g. `STORAGE_KEYS.log`.
+ * @param {string} [profileId] - The profile. Defaults to the default profile.
+ * @returns {string} The key, e.g. "fitnessAppLog:profile:x1y2".
+ */
+export const getProfileKey = (key, profileId = DEFAULT_PROFILE_ID) =>
+  profileId === DEFAULT_PROFILE_ID ? key : `${key}:profile:${profileId}`;
+
+/**
+ * Builds the storage keys of one profile.
+ * @param {string} [profileId] - The profile. Defaults to the default profile.
+ * @returns {typeof STORAGE_KEYS} The keys, by the same names as `STORAGE_KEYS`.
+ */
+export const getProfileStorageKeys = (profileId) =>
+  Object.fromEntries(
+    Object.entries(STORAGE_KEYS).map(([name, key]) => [
+      name,
+      getProfileKey(key, profileId),
+    ])
+  );
+
+/**
+ * Checks that a value is an object and not null or an array.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Human-readable labels and shape checks for each stored key.
+ */
+const STORED_DATA = {
+  [STORAGE_KEYS.goal]: {
+    label: 'Calorie goal',
+    isValid: (value) =>
+      value === null || (typeof value === 'number' && isFinite(value)),
+  },
+  [STORAGE_KEYS.macroGoals]: { label: 'Macro goals', isValid: isPlainObject },
+  [STORAGE_KEYS.mealBudgets]: { label: 'Meal budgets', isValid: isPlainObject },
+  [STORAGE_KEYS.dietaryPreferences]: {
+    label: 'Dietary preferences',
+    isValid: isPlainObject,
+  },
+  [STORAGE_KEYS.log]: { label: 'Food log', isValid: Array.isArray },
+  [STORAGE_KEYS.customFoods]: { label: 'Saved foods', isValid: Array.isArray },
+  [STORAGE_KEYS.recipes]: { label: 'Saved recipes', isValid: Array.isArray },
+  [STORAGE_KEYS.favoriteFoods]: {
+    label: 'Favorite foods',
+    isValid: Array.isArray,
+  },
+  [STORAGE_KEYS.weekdayGoals]: {
+    label: 'Weekday goals',
+    isValid: isPlainObject,
+  },
+  [STORAGE_KEYS.goalSchedule]: {
+    label: 'Scheduled goals',
+    isValid: Array.isArray,
+  },
+  [STORAGE_KEYS.goalHistory]: { label: 'Goal history', isValid: Array.isArray },
+  [STORAGE_KEYS.weightLog]: { label: 'Weight log', isValid: Array.isArray },
+  [STORAGE_KEYS.targetPace]: {
+    label: 'Target pace',
+    isValid: (value) =>
+      value === null || (typeof value === 'number' && isFinite(value)),
+  },
+  [STORAGE_KEYS.exerciseLog]: { label: 'Exercise log', isValid: Array.isArray },
+  [STORAGE_KEYS.addBurnedCalories]: {
+    label: 'Burned calories setting',
+    isValid: (value) => typeof value === 'boolean',
+  },
+  [STORAGE_KEYS.sync]: { label: 'Sync status', isValid: isPlainObject },
+};
+
+/**
+ * Returns the human-readable name of a stored key, e.g. "Food log".
+ * @param {string} key - The storage key.
+ * @returns {string} The label, or the key itself if it isn't known.
+ */
+export const getStorageLabel = (key) => STORED_DATA[key]?.label ?? key;
+
+/**
+ * Builds the key a raw value is backed up under.
+ * @param {string} key - The storage key being backed up.
+ * @param {string} reason - Why: `v<N>` before migrating from version N, or `corrupt`.
+ * @returns {string} The backup key, e.g. "fitnessAppLog:backup:v0".
+ */
+export const getBackupKey = (key, reason) => `${key}:backup:${reason}`;
+
+/**
+ * @typedef {object} StorageError
+ * @property {string} key - The storage key that couldn't be loaded.
+ * @property {string} label - A human-readable name for the data.
+ * @property {string} message - What went wrong, for display.
+ * @property {string} [backupKey] - Where the raw value was copied, if it was.
+ */
+
+/**
+ * Reads the schema version of the saved data. Data saved before versioning
+ * existed (or with an unreadable version) counts as version 0.
+ * @param {Storage} storage - The storage to read from.
+ * @param {string} versionKey - The key the version is saved under.
+ * @returns {number} The stored schema version.
+ */
+const readSchemaVersion = (storage, versionKey) => {
+  const version = Number(storage.getItem(versionKey));
+  return Number.isInteger(version) && version > 0 ? version : 0;
+};
+
+/**
+ * Upgrades, checks and version-stamps the app's saved data. Must run before
+ * the data is read (see AppProvider).
+ *
+ * For each stored key: a value that isn't valid JSON is backed up and
+ * reported, and left for `useLocalStorage` to replace with its default. A
+ * value is passed through every migration newer than the stored version; if
+ * that changes it, the raw value is backed up first. A value that can't be
+ * migrated or doesn't have the expected shape afterwards is backed up,
+ * reported and removed, so the default is used instead. Anything a migration
+ * discards is reported along with the backup of the raw value. Data saved by
+ * a newer version of the app is left untouched and reported.
+ * @param {Storage | undefined} storage - The storage to prepare, usually `window.localStorage`.
+ * @param {string} [profileId] - The profile whose data to prepare. Each
+ *   profile's data has its own schema version.
+ * @param {Date} [now=new Date()] - When the upgrade runs, passed to the migrations.
+ * @returns {{ version: number, errors: StorageError[] }} The schema version
+ *   the data is now at, and the problems found.
+ */
+export function prepareStorage(
+  storage,
+  profileId = DEFAULT_PROFILE_ID,
+  now = new Date()
+) {
+  const report = { version: CURRENT_SCHEMA_VERSION, errors: [] };
+  if (!storage) {
+    return report;
+  }
+  const versionKey = getProfileKey(SCHEMA_VERSION_KEY, profileId);
+
+  try {
+    const storedVersion = readSchemaVersion(storage, versionKey);
+    if (storedVersion > CURRENT_SCHEMA_VERSION) {
+      report.version = storedVersion;
+      report.errors.push({
+        key: versionKey,
+        label: 'Saved data',
+        message: `was saved by a newer version of the app (schema ${storedVersion}) and may not load correctly.`,
+      });
+      return report;
+    }
+
+    const pendingMigrations = MIGRATIONS.filter(
+      (migration) => migration.version > storedVersion
+    );
+
+    Object.entries(STORED_DATA).forEach(([plainKey, { label, isValid }]) => {
+      const key = getProfileKey(plainKey, profileId);
+      const raw = storage.getItem(key);
+      if (raw === null) {
+        return;
+      }
+
+      /**
+       * Backs up the raw value and reports it as unusable.
+       * @param {string} message - What went wrong.
+       */
+      const reportCorrupt = (message) => {
+        const backupKey = getBackupKey(key, 'corrupt');
+        storage.setItem(backupKey, raw);
+        report.errors.push({ key, label, message, backupKey });
+      };
+
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch {
+        reportCorrupt('could not be read and was reset.');
+        return;
+      }
+
+      const before = JSON.stringify(value);
+      const discarded = [];
+      const context = {
+        now,
+        report: (message) => discarded.push(message),
+      };
+      try {
+        pendingMigrations.forEach((migration) => {
+          const migrate = migration.migrate[plainKey];
+          if (migrate) {
+            value = migrate(value, context);
+          }
+        });
+      } catch (migrationError) {
+        console.error(
+          `[storage] Error migrating localStorage key "${key}":`,
+          migrationError
+        );
+        reportCorrupt('could not be upgraded and was reset.');
+        storage.removeItem(key);
+        return;
+      }
+
+      if (!isValid(value)) {
+        reportCorrupt('was not in the expected format and was reset.');
+        storage.removeItem(key);
+        return;
+      }
+
+      if (JSON.stringify(value) !== before) {
+        const backupKey = getBackupKey(key, `v${storedVersion}`);
+        storage.setItem(backupKey, raw);
+        storage.setItem(key, JSON.stringify(value));
+        discarded.forEach((message) => {
+          report.errors.push({ key, label, message, backupKey });
+        });
+      }
+    });
+
+    if (storedVersion !== CURRENT_SCHEMA_VERSION) {
+      storage.setItem(versionKey, JSON.stringify(CURRENT_SCHEMA_VERSION));
+    }
+  } catch (storageError) {
+    // Storage may be unavailable (e.g., security settings) or full; the app
+    // still runs on its defaults, as useLocalStorage does in that case.
+    console.error('[storage] Error preparing saved data:', storageError);
+  }
+
+  return report;
+}
+
+/**
+ * Removes everything a profile saved: its copy of every key, their backups
+ * and its schema version. The default profile's data can't be removed this
+ * way, since its keys are shared with data saved before profiles existed.
+ * @param {Storage | undefined} storage - The storage, usually `window.localStorage`.
+ * @param {string} profileId - The profile.
+ * @returns {number} How many keys were removed.
+ */
+export function removeProfileData(storage, profileId) {
+  if (!storage || profileId === DEFAULT_PROFILE_ID) {
+    return 0;
+  }
+  const profileKeys = [...Object.values(STORAGE_KEYS), SCHEMA_VERSION_KEY].map(
+    (key) => getProfileKey(key, profileId)
+  );
+  const keysToRemove = [];
+  try {
+    for (let index = 0; index < storage.length; index += 1) {
+      const key = storage.key(index);
+      if (
+        profileKeys.some(
+          (profileKey) => key === profileKey || key.startsWith(`${profileKey}:`)
+        )
+      ) {
+        keysToRemove.push(key);
+      }
+    }
+    keysToRemove.forEach((key) => storage.removeItem(key));
+  } catch (storageError) {
+    console.error('[storage] Error removing profile data:', storageError);
+  }
+  return keysToRemove.length;
+}
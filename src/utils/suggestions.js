@@ -0,0 +1,49 @@
+/**
+ * Utility module containing pure helpers for ranking food suggestions against
+ * the calories the user has left for the day.
+ */
+import { isValidGrams } from './nutrition.js';
+
+/**
+ * Default number of suggestions shown.
+ */
+export const SUGGESTION_LIMIT = 6;
+
+/**
+ * Checks that a suggestion has a name and a calorie count.
+ * @param {*} suggestion - The value to check.
+ * @returns {boolean} True if the suggestion can be shown and logged.
+ */
+export const isValidSuggestion = (suggestion) =>
+  typeof suggestion?.name === 'string' &&
+  suggestion.name.trim().length > 0 &&
+  isValidGrams(suggestion.calories);
+
+/**
+ * Orders suggestions by how well they suit the remaining calorie budget.
+ * Suggestions that fit come first, largest first, so the top suggestion uses
+ * the most of what is left without going over. Those that don't fit follow,
+ * smallest first. Without a budget (no goal set) the original order is kept
+ * and every suggestion counts as fitting.
+ * @param {Array<{ calories: number }>} suggestions - Valid suggestions.
+ * @param {number | null} remaining - Calories left for the day, or null.
+ * @returns {Array<{ suggestion: object, fits: boolean }>} The ranked suggestions.
+ */
+export const rankSuggestions = (suggestions, remaining) => {
+  if (typeof remaining !== 'number' || !isFinite(remaining)) {
+    return suggestions.map((suggestion) => ({ suggestion, fits: true }));
+  }
+  const ranked = suggestions.map((suggestion) => ({
+    suggestion,
+    fits: suggestion.calories <= remaining,
+  }));
+  // Sort is stable, so equal suggestions keep their original order
+  return ranked.sort((a, b) => {
+    if (a.fits !== b.fits) {
+      return a.fits ? -1 : 1;
+    }
+    return a.fits
+      ? b.suggestion.calories - a.suggestion.calories
+      : a.suggestion.calories - b.suggestion.calories;
+  });
+};
@@ -0,0 +1,97 @@
+/**
+ * Utility module containing pure helpers for reconciling lists of records
+ * that were changed in two places at once, e.g. the same log edited in two
+ * browser tabs.
+ */
+
+/**
+ * Compares two JSON-serializable values by content.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} True if both serialize to the same JSON.
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Indexes a list of records by key, skipping non-arrays and records without a key.
+ * @param {*} list - The records.
+ * @param {(record: object) => string} getKey - Returns a record's key.
+ * @returns {Map<string, object>} The records by key.
+ */
+const indexBy = (list, getKey) => {
+  const byKey = new Map();
+  if (Array.isArray(list)) {
+    list.forEach((record) => {
+      const key = record ? getKey(record) : undefined;
+      if (key !== undefined && key !== null && key !== '') {
+        byKey.set(key, record);
+      }
+    });
+  }
+  return byKey;
+};
+
+/**
+ * Creates a three-way merge for lists of records identified by a key.
+ *
+ * `base` is the last version both sides agreed on, `local` has this side's
+ * changes since then and `incoming` the other side's. Records added on
+ * either side are kept, so concurrent additions are never lost. A record
+ * deleted on one side is dropped unless the other side added it. An edited
+ * record takes the incoming version unless only this side changed it; if both
+ * edited it, or the other side deleted it, the other side wins.
+ * The result follows the incoming order, with this side's additions appended.
+ * @param {(record: object) => string} getKey - Returns a record's unique key.
+ * @returns {(base: Array<object>, local: Array<object>, incoming: Array<object>) => Array<object>}
+ *   The merge function.
+ */
+export const createMergeByKey = (getKey) => (base, local, incoming) => {
+  if (!Array.isArray(incoming)) {
+    return local;
+  }
+  if (!Array.isArray(local)) {
+    return incoming;
+  }
+  const baseByKey = indexBy(base, getKey);
+  const localByKey = indexBy(local, getKey);
+  const incomingByKey = indexBy(incoming, getKey);
+
+  const merged = [];
+  incoming.forEach((record) => {
+    const key = record ? getKey(record) : undefined;
+    const baseRecord = baseByKey.get(key);
+    const localRecord = localByKey.get(key);
+    if (baseRecord && !localRecord) {
+      // Deleted here since the last sync
+      return;
+    }
+    if (
+      baseRecord &&
+      !isSameValue(localRecord, baseRecord) &&
+      isSameValue(record, baseRecord)
+    ) {
+      // Edited only here
+      merged.push(localRecord);
+      return;
+    }
+    merged.push(record);
+  });
+  local.forEach((record) => {
+    const key = record ? getKey(record) : undefined;
+    // Records without a key can't be matched up, so the incoming list stands
+    if (!localByKey.has(key) || localByKey.get(key) !== record) {
+      return;
+    }
+    if (!incomingByKey.has(key) && !baseByKey.has(key)) {
+      // Added here since the last sync
+      merged.push(record);
+    }
+  });
+  return merged;
+};
+
+/**
+ * Three-way merge for lists of records with an `id` (log items, saved foods
+ * and recipes). See `createMergeByKey`.
+ */
+export const mergeById = createMergeByKey((record) => record.id);
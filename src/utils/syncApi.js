@@ -0,0 +1,165 @@
+/**
+ * Client for the REST backend the goal and food log are synced with (see
+ * "Sync API" in the README for the full contract).
+ *
+ * Every synced record carries a revision the server increments on each
+ * write. Writes send the revision the client last saw (`baseRevision`, null
+ * for a record the client has never seen); if the server's copy has moved on
+ * since, it refuses the write with 409 Conflict and returns its copy.
+ *
+ * Endpoints, relative to the base URL:
+ * - `GET /changes?since=<cursor>`: the goal, and the log entries changed
+ *   since the cursor (all entries without one), with a new cursor.
+ * - `PUT /goal`: `{ value, baseRevision }`.
+ * - `PUT /log/<id>`: `{ item, baseRevision }`.
+ * - `DELETE /log/<id>?baseRevision=<n>`: deletes an entry, keeping a
+ *   tombstone so other clients learn about it.
+ */
+
+/**
+ * @typedef {object} SyncedGoal
+ * @property {number | null} value - The calorie goal.
+ * @property {number} revision - The server's revision of the goal.
+ */
+
+/**
+ * @typedef {object} SyncedLogEntry
+ * @property {string} id - The entry's ID.
+ * @property {number} revision - The server's revision of the entry.
+ * @property {boolean} deleted - Whether the entry was deleted.
+ * @property {import('../context/AppContext.jsx').LogItem} [item] - The entry, unless deleted.
+ */
+
+/**
+ * @typedef {object} SyncChanges
+ * @property {string} cursor - Pass as `since` to get only later changes.
+ * @property {SyncedGoal | null} goal - The goal, or null if it was never set.
+ * @property {SyncedLogEntry[]} log - The entries changed since the cursor.
+ */
+
+/**
+ * @typedef {object} SyncWriteResult
+ * @property {boolean} conflict - True if the server refused the write because its copy changed.
+ * @property {object} record - The server's copy after the write (`SyncedGoal` or `SyncedLogEntry`).
+ */
+
+/**
+ * Creates an error for a failed request. Network failures, timeouts and
+ * server errors can succeed later and are marked `retryable`; other
+ * responses (e.g. 400 Bad Request) would fail again.
+ * @param {string} message - What failed.
+ * @param {object} details - `status` (if there was a response) and `retryable`.
+ * @returns {Error} The error.
+ */
+const createSyncError = (message, { status, retryable }) =>
+  Object.assign(new Error(message), { status, retryable });
+
+/**
+ * Creates a client for the sync API.
+ * @param {object} options - Settings.
+ * @param {string} options.baseUrl - The API's base URL, e.g. "http://localhost:3001/api".
+ * @param {typeof fetch} [options.fetch] - The fetch implementation. Defaults to the browser's.
+ * @returns {{ getChanges: (since: string | null) => Promise<SyncChanges>, putGoal: (value: number | null, baseRevision: number | null) => Promise<SyncWriteResult>, putLogItem: (item: object, baseRevision: number | null) => Promise<SyncWriteResult>, deleteLogItem: (itemId: string, baseRevision: number | null) => Promise<SyncWriteResult> }}
+ *   The API methods. Each rejects with an error that has `retryable` (and
+ *   `status` for HTTP errors) if the request fails.
+ */
+export function createSyncApi({ baseUrl, fetch = globalThis.fetch }) {
+  const root = String(baseUrl).replace(/\/+$/, '');
+
+  /**
+   * Sends a request and parses the JSON response. 409 Conflict is a normal
+   * result for writes; other unsuccessful responses reject.
+   * @param {string} method - The HTTP method.
+   * @param {string} path - The path below the base URL.
+   * @param {object} [body] - The JSON body.
+   * @returns {Promise<{ conflict: boolean, data: * }>} The parsed response.
+   */
+  const request = async (method, path, body) => {
+    let response;
+    try {
+      response = await fetch(`${root}${path}`, {
+        method,
+        headers: body
+          ? { 'Content-Type': 'application/json', Accept: 'application/json' }
+          : { Accept: 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+    } catch (networkError) {
+      throw createSyncError(
+        `Could not reach the sync server: ${networkError.message}`,
+        { retryable: true }
+      );
+    }
+    if (!response.ok && response.status !== 409) {
+      throw createSyncError(
+        `${method} ${path} failed with status ${response.status}.`,
+        {
+          status: response.status,
+          retryable: response.status >= 500 || response.status === 429,
+        }
+      );
+    }
+    let data;
+    try {
+      data = await response.json();
+    } catch {
+      throw createSyncError(`${method} ${path} returned invalid JSON.`, {
+        status: response.status,
+        retryable: false,
+      });
+    }
+    return { conflict: response.status === 409, data };
+  };
+
+  /**
+   * Wraps a write's response.
+   * @param {{ conflict: boolean, data: object }} response - The parsed response.
+   * @returns {SyncWriteResult} The result.
+   */
+  const toWriteResult = ({ conflict, data }) => ({ conflict, record: data });
+
+  const logPath = (itemId) => `/log/${encodeURIComponent(itemId)}`;
+
+  return {
+    getChanges: async (since) => {
+      const query = since ? `?since=${encodeURIComponent(since)}` : '';
+      const { data } = await request('GET', `/changes${query}`);
+      return {
+        cursor: data?.cursor ?? null,
+        goal: data?.goal ?? null,
+        log: Array.isArray(data?.log)
+          ? data.log.filter((entry) => entry?.id)
+          : [],
+      };
+    },
+
+    putGoal: async (value, baseRevision) =>
+      toWriteResult(await request('PUT', '/goal', { value, baseRevision })),
+
+    putLogItem: async (item, baseRevision) =>
+      toWriteResult(
+        await request('PUT', logPath(item.id), { item, baseRevision })
+      ),
+
+    deleteLogItem: async (itemId, baseRevision) => {
+      const query =
+        baseRevision === null || baseRevision === undefined
+          ? ''
+          : `?baseRevision=${baseRevision}`;
+      try {
+        return toWriteResult(
+          await request('DELETE', `${logPath(itemId)}${query}`)
+        );
+      } catch (error) {
+        // The server never had the entry, so there's nothing to delete
+        if (error.status === 404) {
+          return {
+            conflict: false,
+            record: { id: itemId, revision: null, deleted: true },
+          };
+        }
+        throw error;
+      }
+    },
+  };
+}
@@ -0,0 +1,489 @@
+/**
+ * Keeps the calorie goal and food log in sync with the backend described in
+ * `src/utils/syncApi.js`.
+ *
+ * Local changes are queued and sent in order; the queue is saved in
+ * localStorage, so changes made offline (or just before the page closes) are
+ * sent later. When a request fails because the server can't be reached or
+ * has an error, the client retries with exponential backoff, and straight
+ * away when the browser comes back online. After the queue is empty it pulls
+ * the changes other devices made.
+ *
+ * Conflicts are resolved per entry by revision: a write based on an old
+ * revision is refused by the server, and the server's copy is kept and
+ * applied here. If the entry was changed again locally while the refused
+ * write was in flight, that newer change is sent on top of the server's copy
+ * instead.
+ *
+ * Tabs share the saved queue and revisions, so a change is sent once even if
+ * several tabs are open; each tab re-reads them before every update.
+ */
+import { STORAGE_KEYS } from './storage.js';
+
+/**
+ * The states a sync client can be in.
+ * - `idle`: everything is sent and pulled.
+ * - `syncing`: sending or pulling.
+ * - `offline`: the server can't be reached; changes are kept for later.
+ * - `error`: the server returned an error; the client will retry.
+ */
+export const SYNC_STATES = ['idle', 'syncing', 'offline', 'error'];
+
+/**
+ * @typedef {object} SyncStatus
+ * @property {'idle' | 'syncing' | 'offline' | 'error'} state - What the client is doing.
+ * @property {number} pendingChanges - Changes waiting to be sent.
+ * @property {string | null} lastSyncedAt - When the last full sync finished (ISO string).
+ * @property {number} conflicts - Conflicts resolved in favor of the server since the client started.
+ * @property {string | null} error - The last error, if any.
+ */
+
+/**
+ * @typedef {object} RemoteChanges
+ * @property {{ value: number | null, initial: boolean }} [goal] - The goal, if another device changed it. `initial` is true if this device had never synced its goal, so the one it had was never shared.
+ * @property {import('../context/AppContext.jsx').LogItem[]} saved - Entries added or changed elsewhere.
+ * @property {string[]} deleted - IDs of entries deleted elsewhere.
+ */
+
+/**
+ * Builds a short fingerprint of a log entry, to tell whether it changed
+ * since it was last synced without keeping a copy of every entry.
+ * @param {object} item - The log entry.
+ * @returns {string} The fingerprint.
+ */
+export const hashLogItem = (item) => {
+  const text = JSON.stringify(item);
+  let hash = 5381;
+  for (let index = 0; index < text.length; index += 1) {
+    hash = (hash * 33) ^ text.charCodeAt(index);
+  }
+  return `${text.length.toString(36)}-${(hash >>> 0).toString(36)}`;
+};
+
+/**
+ * Creates the saved state of a client that has never synced.
+ * @returns {object} The state.
+ */
+const createInitialState = () => ({
+  cursor: null,
+  goal: { revision: null, value: null },
+  // The last synced revision and fingerprint of each entry; deleted entries
+  // keep their revision with a null fingerprint
+  log: {},
+  queue: [],
+  nextSeq: 1,
+});
+
+/**
+ * Checks the shape of saved sync state.
+ * @param {*} state - The parsed state.
+ * @returns {boolean} True if it can be used.
+ */
+const isValidState = (state) =>
+  state !== null &&
+  typeof state === 'object' &&
+  state.goal !== null &&
+  typeof state.goal === 'object' &&
+  state.log !== null &&
+  typeof state.log === 'object' &&
+  Array.isArray(state.queue) &&
+  Number.isInteger(state.nextSeq);
+
+/**
+ * Creates a sync client.
+ * @param {object} options - Settings.
+ * @param {ReturnType<import('./syncApi.js').createSyncApi>} options.api - The API client.
+ * @param {(changes: RemoteChanges) => void} options.onRemoteChanges - Applies changes from the server locally.
+ * @param {(status: SyncStatus) => void} [options.onStatusChange] - Called whenever the status changes.
+ * @param {Storage} [options.storage] - Where the queue and revisions are saved. Defaults to localStorage.
+ * @param {number} [options.retryDelay=1000] - The first retry delay in ms; it doubles with each failure.
+ * @param {number} [options.maxRetryDelay=300000] - The longest retry delay in ms.
+ * @param {number} [options.pullInterval=60000] - How often to pull changes when idle, in ms.
+ * @param {() => boolean} [options.isOnline] - Whether the browser is online.
+ * @returns {{ start: () => void, stop: () => void, sync: () => Promise<void>, queueGoal: (value: number | null) => void, queueLogChanges: (items: object[], deletedIds: string[]) => void, getStatus: () => SyncStatus }}
+ *   The client.
+ */
+export function createSyncClient({
+  api,
+  onRemoteChanges,
+  onStatusChange,
+  storage = globalThis.localStorage,
+  retryDelay = 1000,
+  maxRetryDelay = 5 * 60 * 1000,
+  pullInterval = 60 * 1000,
+  isOnline = () => globalThis.navigator?.onLine !== false,
+}) {
+  let status = {
+    state: 'idle',
+    pendingChanges: 0,
+    lastSyncedAt: null,
+    conflicts: 0,
+    error: null,
+  };
+  let running = null;
+  let syncAgain = false;
+  let failures = 0;
+  let timer = null;
+  let started = false;
+
+  // --- Saved state ---
+
+  /**
+   * Reads the saved state, falling back to a fresh one.
+   * @returns {object} The state.
+   */
+  const loadState = () => {
+    try {
+      const raw = storage?.getItem(STORAGE_KEYS.sync);
+      const state = raw === null || raw === undefined ? null : JSON.parse(raw);
+      return isValidState(state) ? state : createInitialState();
+    } catch (error) {
+      console.warn('[syncClient] Could not read the sync state:', error);
+      return createInitialState();
+    }
+  };
+
+  /**
+   * Applies a change to the saved state and saves it.
+   * @param {(state: object) => void} change - Mutates the state.
+   * @returns {object} The updated state.
+   */
+  const updateState = (change) => {
+    const state = loadState();
+    change(state);
+    try {
+      storage?.setItem(STORAGE_KEYS.sync, JSON.stringify(state));
+    } catch (error) {
+      console.warn('[syncClient] Could not save the sync state:', error);
+    }
+    setStatus({ pendingChanges: state.queue.length });
+    return state;
+  };
+
+  /**
+   * Adds an operation to the queue, replacing any queued one for the same
+   * record, since only the latest version needs to be sent.
+   * @param {object} state - The state to change.
+   * @param {object} operation - The operation, with a `key` naming its record.
+   */
+  const enqueue = (state, operation) => {
+    state.queue = state.queue.filter((queued) => queued.key !== operation.key);
+    state.queue.push({ ...operation, seq: state.nextSeq });
+    state.nextSeq += 1;
+  };
+
+  /**
+   * Checks whether a record has a queued change.
+   * @param {object} state - The state.
+   * @param {string} key - The record's key.
+   * @returns {boolean} True if a change is waiting to be sent.
+   */
+  const hasQueued = (state, key) =>
+    state.queue.some((queued) => queued.key === key);
+
+  status.pendingChanges = loadState().queue.length;
+
+  // --- Status ---
+
+  /**
+   * Updates the status and reports it if anything changed.
+   * @param {Partial<SyncStatus>} changes - The fields to change.
+   */
+  const setStatus = (changes) => {
+    const next = { ...status, ...changes };
+    if (Object.keys(next).some((key) => next[key] !== status[key])) {
+      status = next;
+      onStatusChange?.(status);
+    }
+  };
+
+  // --- Scheduling ---
+
+  /**
+   * Runs a sync after a delay, replacing any sync already scheduled.
+   * @param {number} delay - The delay in ms.
+   */
+  const schedule = (delay) => {
+    clearTimeout(timer);
+    timer = started ? setTimeout(() => sync(), delay) : null;
+  };
+
+  const handleOnline = () => sync();
+
+  // --- Sending ---
+
+  /**
+   * Sends one queued operation and records the result.
+   * @param {object} operation - The operation.
+   */
+  const send = async (operation) => {
+    const current = loadState();
+    let remote = null;
+    if (operation.type === 'goal') {
+      const { conflict, record } = await api.putGoal(
+        operation.value,
+        current.goal.revision
+      );
+      updateState((state) => {
+        state.goal = { revision: record.revision, value: record.value };
+        state.queue = state.queue.filter(({ seq }) => seq !== operation.seq);
+        if (conflict && !hasQueued(state, 'goal')) {
+          remote = {
+            goal: {
+              value: record.value,
+              initial: current.goal.revision === null,
+            },
+            saved: [],
+            deleted: [],
+          };
+        }
+      });
+      if (conflict) {
+        setStatus({ conflicts: status.conflicts + 1 });
+      }
+    } else {
+      const { itemId } = operation;
+      const baseRevision = current.log[itemId]?.revision ?? null;
+      const { conflict, record } =
+        operation.type === 'putItem'
+          ? await api.putLogItem(operation.item, baseRevision)
+          : await api.deleteLogItem(itemId, baseRevision);
+      // After a conflict the server's copy is the one to keep
+      const item = conflict ? record.item : operation.item;
+      const deleted = conflict
+        ? record.deleted || !record.item
+        : operation.type === 'deleteItem';
+      updateState((state) => {
+        state.log[itemId] = {
+          revision: record.revision,
+          hash: deleted ? null : hashLogItem(item),
+        };
+        state.queue = state.queue.filter(({ seq }) => seq !== operation.seq);
+        if (conflict && !hasQueued(state, `log:${itemId}`)) {
+          remote = deleted
+            ? { saved: [], deleted: [itemId] }
+            : { saved: [item], deleted: [] };
+        }
+      });
+      if (conflict) {
+        setStatus({ conflicts: status.conflicts + 1 });
+      }
+    }
+    if (remote) {
+      onRemoteChanges(remote);
+    }
+  };
+
+  // --- Pulling ---
+
+  /**
+   * Pulls the changes made elsewhere since the last pull and applies them.
+   * Records with a queued local change are skipped; sending that change
+   * resolves them.
+   */
+  const pull = async () => {
+    const changes = await api.getChanges(loadState().cursor);
+    const remote = { saved: [], deleted: [] };
+    updateState((state) => {
+      const { goal } = changes;
+      if (
+        goal &&
+        goal.revision > (state.goal.revision ?? -Infinity) &&
+        !hasQueued(state, 'goal')
+      ) {
+        remote.goal = {
+          value: goal.value,
+          initial: state.goal.revision === null,
+        };
+        state.goal = { revision: goal.revision, value: goal.value };
+      }
+      changes.log.forEach((entry) => {
+        const known = state.log[entry.id];
+        if (
+          (known && known.revision >= entry.revision) ||
+          hasQueued(state, `log:${entry.id}`)
+        ) {
+          return;
+        }
+        if (entry.deleted || !entry.item) {
+          state.log[entry.id] = { revision: entry.revision, hash: null };
+          if (known?.hash) {
+            remote.deleted.push(entry.id);
+          }
+        } else {
+          state.log[entry.id] = {
+            revision: entry.revision,
+            hash: hashLogItem(entry.item),
+          };
+          remote.saved.push(entry.item);
+        }
+      });
+      if (changes.cursor !== null) {
+        state.cursor = changes.cursor;
+      }
+    });
+    if (remote.goal || remote.saved.length > 0 || remote.deleted.length > 0) {
+      onRemoteChanges(remote);
+    }
+  };
+
+  // --- Public API ---
+
+  /**
+   * Sends every queued change, then pulls. Only one sync runs at a time; a
+   * call during a sync starts another one when it finishes. Resolves once
+   * done, whether or not it succeeded.
+   * @returns {Promise<void>}
+   */
+  const sync = () => {
+    if (running) {
+      syncAgain = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        syncAgain = false;
+        if (!isOnline()) {
+          setStatus({ state: 'offline', error: null });
+          return;
+        }
+        setStatus({ state: 'syncing' });
+        try {
+          let operation;
+          while ((operation = loadState().queue[0])) {
+            try {
+              await send(operation);
+            } catch (error) {
+              if (error.retryable) {
+                throw error;
+              }
+              // The server will never accept it; drop it so the rest can go
+              console.warn(
+                '[syncClient] Dropping a change the server rejected:',
+                error
+              );
+              updateState((state) => {
+                state.queue = state.queue.filter(
+                  ({ seq }) => seq !== operation.seq
+                );
+              });
+              setStatus({ error: error.message });
+            }
+          }
+          await pull();
+          failures = 0;
+          setStatus({
+            state: 'idle',
+            lastSyncedAt: new Date().toISOString(),
+            error: null,
+          });
+          schedule(pullInterval);
+        } catch (error) {
+          failures += 1;
+          setStatus({
+            state: error.status ? 'error' : 'offline',
+            error: error.message,
+          });
+          schedule(Math.min(maxRetryDelay, retryDelay * 2 ** (failures - 1)));
+          return;
+        }
+      } while (syncAgain);
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  };
+
+  return {
+    /**
+     * Starts syncing: now, whenever the browser comes back online, after
+     * failures and periodically.
+     */
+    start: () => {
+      if (started) {
+        return;
+      }
+      started = true;
+      globalThis.addEventListener?.('online', handleOnline);
+      sync();
+    },
+
+    /**
+     * Stops syncing. Queued changes stay saved for the next start.
+     */
+    stop: () => {
+      started = false;
+      clearTimeout(timer);
+      timer = null;
+      globalThis.removeEventListener?.('online', handleOnline);
+    },
+
+    sync,
+
+    /**
+     * Queues the goal to be sent, unless it's the value last synced.
+     * @param {number | null} value - The goal.
+     */
+    queueGoal: (value) => {
+      const state = loadState();
+      if (!hasQueued(state, 'goal') && state.goal.value === value) {
+        return;
+      }
+      updateState((current) =>
+        enqueue(current, { key: 'goal', type: 'goal', value })
+      );
+      if (started) {
+        sync();
+      }
+    },
+
+    /**
+     * Queues added or changed entries, and deleted ones, to be sent. Entries
+     * identical to their last synced version are skipped, as are deletions
+     * of entries the server never had.
+     * @param {object[]} items - Entries added or changed locally.
+     * @param {string[]} deletedIds - IDs of entries deleted locally.
+     */
+    queueLogChanges: (items, deletedIds) => {
+      let queued = false;
+      const state = loadState();
+      const changedItems = items.filter(
+        (item) =>
+          hasQueued(state, `log:${item.id}`) ||
+          state.log[item.id]?.hash !== hashLogItem(item)
+      );
+      const removedIds = deletedIds.filter(
+        (itemId) => hasQueued(state, `log:${itemId}`) || state.log[itemId]?.hash
+      );
+      if (changedItems.length === 0 && removedIds.length === 0) {
+        return;
+      }
+      updateState((current) => {
+        changedItems.forEach((item) => {
+          enqueue(current, {
+            key: `log:${item.id}`,
+            type: 'putItem',
+            itemId: item.id,
+            item,
+          });
+          queued = true;
+        });
+        removedIds.forEach((itemId) => {
+          const key = `log:${itemId}`;
+          if (current.log[itemId]?.hash) {
+            enqueue(current, { key, type: 'deleteItem', itemId });
+            queued = true;
+          } else {
+            // Never sent, so there's nothing to delete on the server
+            current.queue = current.queue.filter((op) => op.key !== key);
+          }
+        });
+      });
+      if (queued && started) {
+        sync();
+      }
+    },
+
+    getStatus: () => status,
+  };
+}
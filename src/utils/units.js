@@ -0,0 +1,175 @@
+/**
+ * Utility module containing pure helpers for serving sizes: converting a
+ * quantity in grams, ounces, cups, pieces or servings into the food's
+ * nutrition basis, and scaling calories and macros to match.
+ *
+ * Foods describe their nutrition either per serving (the default) or per
+ * 100 g (`basis: 'per100g'`). Weights for volume and count units are
+ * food-specific, so they come from the food itself:
+ * - `servingGrams`: grams in one serving
+ * - `cupGrams`: grams in one cup
+ * - `pieceGrams`: grams in one piece (e.g., one medium apple, one slice)
+ */
+import { MACRO_KEYS, isValidGrams } from './nutrition.js';
+
+/**
+ * The supported units, in display order.
+ */
+export const UNIT_KEYS = ['g', 'oz', 'cup', 'piece', 'serving'];
+
+/**
+ * Display labels for each unit, used in unit selectors.
+ */
+export const UNIT_LABELS = {
+  g: 'grams',
+  oz: 'ounces',
+  cup: 'cups',
+  piece: 'pieces',
+  serving: 'servings',
+};
+
+/**
+ * Short singular and plural names for each unit, used when formatting amounts.
+ */
+const UNIT_NAMES = {
+  g: ['g', 'g'],
+  oz: ['oz', 'oz'],
+  cup: ['cup', 'cups'],
+  piece: ['piece', 'pieces'],
+  serving: ['serving', 'servings'],
+};
+
+/**
+ * Grams in one avoirdupois ounce.
+ */
+export const GRAMS_PER_OUNCE = 28.349523125;
+
+/**
+ * Checks if a value is one of the supported units.
+ * @param {*} value - The value to validate.
+ * @returns {boolean} True if the value is a unit key.
+ */
+export const isValidUnit = (value) => UNIT_KEYS.includes(value);
+
+/**
+ * Checks if a value is a usable quantity (a finite number > 0).
+ * @param {*} value - The value to validate.
+ * @returns {boolean} True if the value is a valid quantity.
+ */
+export const isValidQuantity = (value) =>
+  typeof value === 'number' && isFinite(value) && value > 0;
+
+/**
+ * Returns the weight of one unit of a food in grams.
+ * @param {string} unit - The unit.
+ * @param {{ servingGrams?: number, cupGrams?: number, pieceGrams?: number }} [food] - The food, for food-specific units.
+ * @returns {number | null} Grams per unit, or null if the food doesn't define it.
+ */
+export const getUnitGrams = (unit, food) => {
+  let grams;
+  switch (unit) {
+    case 'g':
+      return 1;
+    case 'oz':
+      return GRAMS_PER_OUNCE;
+    case 'cup':
+      grams = food?.cupGrams;
+      break;
+    case 'piece':
+      grams = food?.pieceGrams;
+      break;
+    case 'serving':
+      grams = food?.servingGrams;
+      break;
+    default:
+      return null;
+  }
+  return isValidQuantity(grams) ? grams : null;
+};
+
+/**
+ * Converts a quantity of a food into grams.
+ * @param {number} quantity - How much of the unit.
+ * @param {string} unit - The unit.
+ * @param {object} [food] - The food, for food-specific units.
+ * @returns {number | null} The weight in grams, or null if it can't be converted.
+ */
+export const toGrams = (quantity, unit, food) => {
+  const unitGrams = getUnitGrams(unit, food);
+  return isValidQuantity(quantity) && unitGrams !== null
+    ? quantity * unitGrams
+    : null;
+};
+
+/**
+ * Works out how many multiples of the food's nutrition basis a quantity is:
+ * servings for per-serving foods, or 100 g portions for per-100g foods.
+ * Servings of a per-serving food need no weight, so they always convert.
+ * @param {object} food - The food.
+ * @param {number} quantity - How much of the unit.
+ * @param {string} unit - The unit.
+ * @returns {number | null} The multiplier, or null if it can't be converted.
+ */
+export const getNutritionFactor = (food, quantity, unit) => {
+  if (!food || !isValidQuantity(quantity) || !isValidUnit(unit)) {
+    return null;
+  }
+  if (food.basis === 'per100g') {
+    const grams = toGrams(quantity, unit, food);
+    return grams === null ? null : grams / 100;
+  }
+  if (unit === 'serving') {
+    return quantity;
+  }
+  const grams = toGrams(quantity, unit, food);
+  const servingGrams = getUnitGrams('serving', food);
+  return grams === null || servingGrams === null ? null : grams / servingGrams;
+};
+
+/**
+ * Lists the units a food's quantity can be given in.
+ * @param {object} food - The food.
+ * @returns {string[]} The usable unit keys, in display order.
+ */
+export const getAvailableUnits = (food) =>
+  UNIT_KEYS.filter((unit) => getNutritionFactor(food, 1, unit) !== null);
+
+/**
+ * Scales a food's calories and macros to a quantity. Calories are rounded
+ * to whole numbers and macros to 0.1 g; macros the food doesn't list are
+ * left out.
+ * @param {{ calories: number, protein?: number, carbs?: number, fat?: number, basis?: string }} food - The food.
+ * @param {number} quantity - How much of the unit.
+ * @param {string} unit - The unit.
+ * @returns {{ calories: number, protein?: number, carbs?: number, fat?: number } | null}
+ *   The scaled nutrition, or null if the quantity can't be converted.
+ */
+export const scaleNutrition = (food, quantity, unit) => {
+  const factor = getNutritionFactor(food, quantity, unit);
+  if (factor === null || !isValidGrams(food.calories)) {
+    return null;
+  }
+  const scaled = { calories: Math.round(food.calories * factor) };
+  MACRO_KEYS.forEach((key) => {
+    if (isValidGrams(food[key])) {
+      scaled[key] = Math.round(food[key] * factor * 10) / 10;
+    }
+  });
+  return scaled;
+};
+
+/**
+ * Formats an amount for display, e.g. "150 g", "1 cup" or "1.5 servings".
+ * @param {number} quantity - How much of the unit.
+ * @param {string} unit - The unit.
+ * @returns {string} The formatted amount, or an empty string if invalid.
+ */
+export const formatQuantity = (quantity, unit) => {
+  if (!isValidQuantity(quantity) || !isValidUnit(unit)) {
+    return '';
+  }
+  const [singular, plural] = UNIT_NAMES[unit];
+  // Avoid floating point noise such as 0.30000000000000004
+  const rounded = Math.round(quantity * 100) / 100;
+  return `${rounded} ${rounded === 1 ? singular : plural}`;
+};
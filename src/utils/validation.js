@@ -0,0 +1,574 @@
+/**
+ * Utility module containing the validation rules for everything the user can
+ * save: goals, log entries, saved foods, recipes, favorites, weights and
+ * exercise. Each validator returns the normalized value, or null after
+ * passing a description of the first problem to `report`. `AppContext`
+ * reports problems as console warnings; importing a backup collects them to
+ * show the user instead.
+ */
+import { MACRO_KEYS } from './nutrition.js';
+import { MEAL_KEYS, isValidMeal } from './meals.js';
+import { UNIT_KEYS, isValidUnit, isValidQuantity } from './units.js';
+import { DIET_KEYS, ALLERGEN_KEYS } from './diet.js';
+import { WEEKDAY_KEYS, DEFAULT_WEEKDAY_GOALS } from './goals.js';
+import { isValidDateKey } from './dates.js';
+import { MAX_WEEKLY_RATE_KG } from './energy.js';
+import { WEIGHT_UNITS, getWeightLimits, isValidTargetPace } from './weight.js';
+import {
+  INTENSITY_KEYS,
+  MAX_DURATION_MINUTES,
+  findActivity,
+} from './exercise.js';
+
+/**
+ * Default problem reporter: logs a console warning.
+ * @param {string} message - The problem.
+ */
+const warnInvalid = (message) => console.warn(`[validation] ${message}`);
+
+/**
+ * Validates a daily calorie goal, which must be a positive number.
+ * @param {*} goal - The goal to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {number | null} The goal as a number, or null if invalid.
+ */
+export function validateGoal(goal, report = warnInvalid) {
+  const goalNumber = Number(goal);
+  if (isNaN(goalNumber) || goalNumber <= 0) {
+    report(`Invalid goal value: ${goal}. Goal must be a positive number.`);
+    return null;
+  }
+  return goalNumber;
+}
+
+/**
+ * Validates a partial set of optional numeric goals (macro goals, meal
+ * budgets). Each provided value must be a positive number, or null to clear
+ * it; keys that are not provided are left out of the result.
+ * Reports the first invalid value, or that nothing was provided.
+ * @param {object} goals - The goals to check, keyed by name.
+ * @param {string[]} keys - The allowed goal names.
+ * @param {string} kind - What the goals are, for warnings (e.g., "goal").
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized updates, or null if invalid.
+ */
+export function validateOptionalGoals(goals, keys, kind, report = warnInvalid) {
+  const updates = {};
+  for (const key of keys) {
+    if (!goals || goals[key] === undefined) {
+      continue;
+    }
+    if (goals[key] === null) {
+      updates[key] = null;
+      continue;
+    }
+    const amount = Number(goals[key]);
+    if (!isFinite(amount) || amount <= 0) {
+      report(
+        `Invalid ${key} ${kind}: ${goals[key]}. Values must be positive numbers or null.`
+      );
+      return null;
+    }
+    updates[key] = amount;
+  }
+  if (Object.keys(updates).length === 0) {
+    report(`Invalid operation: No ${kind} values provided.`);
+    return null;
+  }
+  return updates;
+}
+
+/**
+ * Validates and normalizes log item fields. Only the fields present on
+ * `fields` are checked, so the same rules apply to new items and to partial
+ * updates: names are trimmed and must be non-empty, calories and macro grams
+ * must be non-negative numbers, `loggedAt` must parse as a date, `meal`
+ * must be a known meal slot, `quantity` must be a positive number and `unit`
+ * a known unit.
+ * A macro set to null is kept as null, meaning "clear this macro".
+ * Reports the first invalid field.
+ * @param {object} fields - The fields to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized fields, or null if any is invalid.
+ */
+export function validateLogItemFields(fields, report = warnInvalid) {
+  const normalized = {};
+
+  if ('name' in fields) {
+    const trimmedName = fields.name?.trim?.(); // Use optional chaining for safety
+    if (!trimmedName) {
+      report('Invalid log item: Name cannot be empty.');
+      return null;
+    }
+    normalized.name = trimmedName;
+  }
+
+  if ('calories' in fields) {
+    const calorieNumber = Number(fields.calories);
+    if (isNaN(calorieNumber) || calorieNumber < 0) {
+      report(
+        `Invalid log item: Calories (${fields.calories}) must be a non-negative number.`
+      );
+      return null;
+    }
+    normalized.calories = calorieNumber;
+  }
+
+  if ('loggedAt' in fields) {
+    const timestamp = new Date(fields.loggedAt ?? NaN);
+    if (isNaN(timestamp.getTime())) {
+      report(
+        `Invalid log item: loggedAt (${fields.loggedAt}) must be a valid date.`
+      );
+      return null;
+    }
+    normalized.loggedAt = timestamp.toISOString();
+  }
+
+  if ('meal' in fields) {
+    if (!isValidMeal(fields.meal)) {
+      report(
+        `Invalid log item: meal (${fields.meal}) must be one of ${MEAL_KEYS.join(', ')}.`
+      );
+      return null;
+    }
+    normalized.meal = fields.meal;
+  }
+
+  if ('quantity' in fields) {
+    const quantity = Number(fields.quantity);
+    if (fields.quantity === '' || !isValidQuantity(quantity)) {
+      report(
+        `Invalid log item: quantity (${fields.quantity}) must be a positive number.`
+      );
+      return null;
+    }
+    normalized.quantity = quantity;
+  }
+
+  if ('unit' in fields) {
+    if (!isValidUnit(fields.unit)) {
+      report(
+        `Invalid log item: unit (${fields.unit}) must be one of ${UNIT_KEYS.join(', ')}.`
+      );
+      return null;
+    }
+    normalized.unit = fields.unit;
+  }
+
+  for (const macro of MACRO_KEYS) {
+    if (!(macro in fields)) {
+      continue;
+    }
+    if (fields[macro] === null) {
+      normalized[macro] = null;
+      continue;
+    }
+    const grams = Number(fields[macro]);
+    if (fields[macro] === '' || !isFinite(grams) || grams < 0) {
+      report(
+        `Invalid log item: ${macro} (${fields[macro]}) must be a non-negative number of grams.`
+      );
+      return null;
+    }
+    normalized[macro] = grams;
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates a partial set of dietary preferences. Each provided list must
+ * only contain known keys; duplicates are dropped and the canonical order is
+ * kept so stored preferences are stable. Reports the first invalid list, or
+ * that nothing was provided.
+ * @param {object} preferences - The lists to check (`diets`, `allergens`).
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {{ diets?: string[], allergens?: string[] } | null} The normalized lists, or null if invalid.
+ */
+export function validateDietaryPreferences(preferences, report = warnInvalid) {
+  const allowedKeys = { diets: DIET_KEYS, allergens: ALLERGEN_KEYS };
+  const updates = {};
+  for (const [field, keys] of Object.entries(allowedKeys)) {
+    const values = preferences?.[field];
+    if (values === undefined) {
+      continue;
+    }
+    if (
+      !Array.isArray(values) ||
+      !values.every((value) => keys.includes(value))
+    ) {
+      report(
+        `Invalid ${field} preference: ${JSON.stringify(values)}. Values must be a list of ${keys.join(', ')}.`
+      );
+      return null;
+    }
+    updates[field] = keys.filter((key) => values.includes(key));
+  }
+  if (Object.keys(updates).length === 0) {
+    report('Invalid operation: No dietary preferences provided.');
+    return null;
+  }
+  return updates;
+}
+
+/**
+ * Validates a complete log entry, as saved: it needs an ID, plus the fields
+ * `addLogItem` accepts, checked with the same rules. `loggedAt` and `meal`
+ * may be missing on entries saved before they existed. Macros that are null
+ * are dropped.
+ * @param {object} item - The entry to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized entry, or null if invalid.
+ */
+export function validateLogItem(item, report = warnInvalid) {
+  if (typeof item?.id !== 'string' || item.id.trim() === '') {
+    report('Invalid log item: An ID is required.');
+    return null;
+  }
+  const fields = { name: item.name, calories: item.calories };
+  ['loggedAt', 'meal'].forEach((field) => {
+    if (item[field] !== undefined) {
+      fields[field] = item[field];
+    }
+  });
+  if (item.quantity !== undefined || item.unit !== undefined) {
+    fields.quantity = item.quantity;
+    fields.unit = item.unit;
+  }
+  MACRO_KEYS.forEach((macro) => {
+    if (item[macro] !== undefined && item[macro] !== null) {
+      fields[macro] = item[macro];
+    }
+  });
+  const normalized = validateLogItemFields(fields, report);
+  return normalized ? { id: item.id, ...normalized } : null;
+}
+
+/**
+ * Validates and normalizes a custom food. Name, calories and macros follow the
+ * log item rules; `serving` is an optional description and `servingGrams` an
+ * optional positive weight. Reports the first invalid field.
+ * @param {object} food - The food to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized food (without an id), or null if invalid.
+ */
+export function validateCustomFood(food, report = warnInvalid) {
+  const fields = { name: food?.name, calories: food?.calories };
+  MACRO_KEYS.forEach((macro) => {
+    if (food?.[macro] !== undefined && food[macro] !== null) {
+      fields[macro] = food[macro];
+    }
+  });
+  const normalized = validateLogItemFields(fields, report);
+  if (!normalized) {
+    return null;
+  }
+
+  const serving = food.serving?.trim?.();
+  if (serving) {
+    normalized.serving = serving;
+  }
+  if (food.servingGrams !== undefined && food.servingGrams !== null) {
+    const servingGrams = Number(food.servingGrams);
+    if (!isValidQuantity(servingGrams)) {
+      report(
+        `Invalid custom food: servingGrams (${food.servingGrams}) must be a positive number.`
+      );
+      return null;
+    }
+    normalized.servingGrams = servingGrams;
+  }
+  return normalized;
+}
+
+/**
+ * Validates and normalizes a recipe: the name must be non-empty, `servings`
+ * a positive number, and there must be at least one ingredient. Each
+ * ingredient needs a name, calories, quantity and unit (macros optional),
+ * checked with the log item rules. Reports the first problem.
+ * @param {object} recipe - The recipe to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized recipe (without an id), or null if invalid.
+ */
+export function validateRecipe(recipe, report = warnInvalid) {
+  const name = recipe?.name?.trim?.();
+  if (!name) {
+    report('Invalid recipe: Name cannot be empty.');
+    return null;
+  }
+  const servings = Number(recipe.servings);
+  if (!isValidQuantity(servings)) {
+    report(
+      `Invalid recipe: servings (${recipe.servings}) must be a positive number.`
+    );
+    return null;
+  }
+  if (!Array.isArray(recipe.ingredients) || recipe.ingredients.length === 0) {
+    report('Invalid recipe: At least one ingredient is required.');
+    return null;
+  }
+
+  const ingredients = [];
+  for (const ingredient of recipe.ingredients) {
+    const fields = {
+      name: ingredient?.name,
+      calories: ingredient?.calories,
+      quantity: ingredient?.quantity,
+      unit: ingredient?.unit,
+    };
+    MACRO_KEYS.forEach((macro) => {
+      if (ingredient?.[macro] !== undefined && ingredient[macro] !== null) {
+        fields[macro] = ingredient[macro];
+      }
+    });
+    const normalized = validateLogItemFields(fields, report);
+    if (!normalized) {
+      return null;
+    }
+    ingredients.push(normalized);
+  }
+
+  return { name, servings, ingredients };
+}
+
+/**
+ * Validates a favorite food with the log item rules: a name and calories,
+ * with optional macros and an optional amount (`quantity` and `unit`
+ * together).
+ * @param {object} food - The food to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized food, or null if invalid.
+ */
+export function validateFavoriteFood(food, report = warnInvalid) {
+  if (!food || typeof food !== 'object') {
+    report('Invalid operation: Food required to pin.');
+    return null;
+  }
+  const fields = { name: food.name, calories: food.calories };
+  if (food.quantity !== undefined || food.unit !== undefined) {
+    fields.quantity = food.quantity;
+    fields.unit = food.unit;
+  }
+  MACRO_KEYS.forEach((macro) => {
+    if (food[macro] !== undefined && food[macro] !== null) {
+      fields[macro] = food[macro];
+    }
+  });
+  return validateLogItemFields(fields, report);
+}
+
+/**
+ * Validates a goal for a range of dates: `start` must be a date key, `end`
+ * an optional date key no earlier than `start`, and `goal` a positive number.
+ * @param {object} entry - The scheduled goal to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {{ start: string, end?: string, goal: number } | null} The normalized
+ *   scheduled goal (without an id), or null if invalid.
+ */
+export function validateScheduledGoal(entry, report = warnInvalid) {
+  if (!isValidDateKey(entry?.start)) {
+    report(
+      `Invalid scheduled goal start: ${entry?.start}. Expected a YYYY-MM-DD date.`
+    );
+    return null;
+  }
+  const hasEnd =
+    entry.end !== undefined && entry.end !== null && entry.end !== '';
+  if (hasEnd && !isValidDateKey(entry.end)) {
+    report(
+      `Invalid scheduled goal end: ${entry.end}. Expected a YYYY-MM-DD date.`
+    );
+    return null;
+  }
+  // Keys are zero-padded, so string comparison orders them chronologically.
+  if (hasEnd && entry.end < entry.start) {
+    report(
+      `Invalid scheduled goal: It ends (${entry.end}) before it starts (${entry.start}).`
+    );
+    return null;
+  }
+  const goal = validateGoal(entry.goal, report);
+  if (goal === null) {
+    return null;
+  }
+  return hasEnd
+    ? { start: entry.start, end: entry.end, goal }
+    : { start: entry.start, goal };
+}
+
+/**
+ * Validates a goal history entry: the last day (`until`) a replaced goal
+ * plan applied, with the plan's daily goal (or null), weekday goals and
+ * scheduled goals.
+ * @param {object} entry - The history entry to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {object | null} The normalized entry, or null if invalid.
+ */
+export function validateGoalHistoryEntry(entry, report = warnInvalid) {
+  if (!isValidDateKey(entry?.until)) {
+    report(
+      `Invalid goal history entry: ${entry?.until} is not a YYYY-MM-DD date.`
+    );
+    return null;
+  }
+  const goal =
+    entry.goal === null || entry.goal === undefined
+      ? null
+      : validateGoal(entry.goal, report);
+  if (goal === null && entry.goal !== null && entry.goal !== undefined) {
+    return null;
+  }
+  const weekdayGoals = { ...DEFAULT_WEEKDAY_GOALS };
+  if (entry.weekdayGoals !== undefined && entry.weekdayGoals !== null) {
+    const updates = validateOptionalGoals(
+      entry.weekdayGoals,
+      WEEKDAY_KEYS,
+      'goal',
+      report
+    );
+    if (!updates) {
+      return null;
+    }
+    Object.assign(weekdayGoals, updates);
+  }
+  const goalSchedule = [];
+  const schedule = entry.goalSchedule ?? [];
+  if (!Array.isArray(schedule)) {
+    report('Invalid goal history entry: The scheduled goals must be a list.');
+    return null;
+  }
+  for (const scheduled of schedule) {
+    if (typeof scheduled?.id !== 'string' || scheduled.id.trim() === '') {
+      report('Invalid scheduled goal: An ID is required.');
+      return null;
+    }
+    const normalized = validateScheduledGoal(scheduled, report);
+    if (!normalized) {
+      return null;
+    }
+    goalSchedule.push({ id: scheduled.id, ...normalized });
+  }
+  return { until: entry.until, goal, weekdayGoals, goalSchedule };
+}
+
+/**
+ * Validates a weigh-in: the day (`YYYY-MM-DD`), the weight and its unit
+ * (kg or lb). The weight must be within the range the goal calculator
+ * accepts.
+ * @param {object} entry - The weigh-in to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {{ date: string, value: number, unit: string } | null} The normalized
+ *   weigh-in, or null if invalid.
+ */
+export function validateWeightEntry(entry, report = warnInvalid) {
+  if (!isValidDateKey(entry?.date)) {
+    report(`Invalid weight date: ${entry?.date}. Expected a YYYY-MM-DD date.`);
+    return null;
+  }
+  if (!WEIGHT_UNITS.includes(entry.unit)) {
+    report(
+      `Invalid weight unit: ${entry.unit}. Expected one of: ${WEIGHT_UNITS.join(', ')}.`
+    );
+    return null;
+  }
+  const { min, max } = getWeightLimits(entry.unit);
+  if (
+    typeof entry.value !== 'number' ||
+    !isFinite(entry.value) ||
+    entry.value < min ||
+    entry.value > max
+  ) {
+    report(
+      `Invalid weight: ${entry.value}. Weight must be between ${min} and ${max} ${entry.unit}.`
+    );
+    return null;
+  }
+  return { date: entry.date, value: entry.value, unit: entry.unit };
+}
+
+/**
+ * Validates a target pace: the weight change aimed for, in kilograms a week
+ * (negative to lose weight), at most `MAX_WEEKLY_RATE_KG` either way.
+ * @param {*} pace - The pace to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {number | null} The pace, or null if invalid.
+ */
+export function validateTargetPace(pace, report = warnInvalid) {
+  if (!isValidTargetPace(pace)) {
+    report(
+      `Invalid target pace: ${pace}. Expected kilograms a week, at most ${MAX_WEEKLY_RATE_KG} either way.`
+    );
+    return null;
+  }
+  return pace;
+}
+
+/**
+ * Validates an exercise session: the day (`YYYY-MM-DD`), an activity from
+ * the activity table, the intensity, the duration in minutes (at most
+ * `MAX_DURATION_MINUTES`) and the calories it burned.
+ * @param {object} entry - The session to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {{ date: string, activity: string, intensity: string, durationMinutes: number, calories: number } | null}
+ *   The normalized session, or null if invalid.
+ */
+export function validateExerciseEntry(entry, report = warnInvalid) {
+  if (!isValidDateKey(entry?.date)) {
+    report(
+      `Invalid exercise date: ${entry?.date}. Expected a YYYY-MM-DD date.`
+    );
+    return null;
+  }
+  if (!findActivity(entry.activity)) {
+    report(`Unknown activity: ${entry.activity}.`);
+    return null;
+  }
+  if (!INTENSITY_KEYS.includes(entry.intensity)) {
+    report(
+      `Invalid intensity: ${entry.intensity}. Expected one of: ${INTENSITY_KEYS.join(', ')}.`
+    );
+    return null;
+  }
+  const { durationMinutes, calories } = entry;
+  if (
+    typeof durationMinutes !== 'number' ||
+    !isFinite(durationMinutes) ||
+    durationMinutes <= 0 ||
+    durationMinutes > MAX_DURATION_MINUTES
+  ) {
+    report(
+      `Invalid duration: ${durationMinutes}. Duration must be more than 0 and at most ${MAX_DURATION_MINUTES} minutes.`
+    );
+    return null;
+  }
+  if (typeof calories !== 'number' || !isFinite(calories) || calories < 0) {
+    report(
+      `Invalid calories burned: ${calories}. Expected a number of 0 or more.`
+    );
+    return null;
+  }
+  return {
+    date: entry.date,
+    activity: entry.activity,
+    intensity: entry.intensity,
+    durationMinutes,
+    calories,
+  };
+}
+
+/**
+ * Validates the setting for whether burned calories add to the budget.
+ * @param {*} value - The setting to check.
+ * @param {(message: string) => void} [report] - Called with the problem, if any.
+ * @returns {boolean | null} The setting, or null if invalid.
+ */
+export function validateAddBurnedCalories(value, report = warnInvalid) {
+  if (typeof value !== 'boolean') {
+    report(
+      `Invalid setting for adding burned calories: ${value}. Expected true or false.`
+    );
+    return null;
+  }
+  return value;
+}
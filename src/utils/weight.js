@@ -0,0 +1,219 @@
+/**
+ * Utility module for the body weight log: unit conversion, a smoothed trend
+ * and the weekly rate of change.
+ *
+ * Day-to-day weight swings by a kilogram or more with water and food in the
+ * gut, so single weigh-ins say little. The trend is an exponentially smoothed
+ * moving average, as popularized by "The Hacker's Diet": each weigh-in moves
+ * the trend a tenth of the way towards it. The weekly rate comes from the
+ * trend, not the raw weights.
+ */
+import { KG_PER_POUND, BODY_LIMITS, MAX_WEEKLY_RATE_KG } from './energy.js';
+import { getDaysBetween } from './dates.js';
+
+/**
+ * The units a weight can be logged in, in display order.
+ */
+export const WEIGHT_UNITS = ['kg', 'lb'];
+
+/**
+ * How far each daily weigh-in moves the trend towards it.
+ */
+export const TREND_SMOOTHING = 0.1;
+
+/**
+ * How many days of trend the weekly rate is measured over.
+ */
+export const RATE_WINDOW_DAYS = 14;
+
+/**
+ * The shortest span of weigh-ins a weekly rate is reported for.
+ */
+export const MIN_RATE_DAYS = 7;
+
+/**
+ * How far the weekly rate may be from the target pace, in kilograms, and
+ * still count as on pace.
+ */
+export const PACE_TOLERANCE_KG = 0.1;
+
+/**
+ * The target paces offered, in kilograms a week: negative to lose weight.
+ */
+export const TARGET_PACES_KG = [-1, -0.75, -0.5, -0.25, 0, 0.25, 0.5];
+
+/**
+ * @typedef {object} WeightEntry
+ * @property {string} id - Unique identifier.
+ * @property {string} date - The day of the weigh-in, as `YYYY-MM-DD`.
+ * @property {number} value - The weight, in `unit`.
+ * @property {'kg' | 'lb'} unit - The unit the weight was logged in.
+ */
+
+/**
+ * @typedef {object} TrendPoint
+ * @property {string} date - The day, as `YYYY-MM-DD`.
+ * @property {number} weightKg - The weight logged that day, in kilograms.
+ * @property {number} trendKg - The smoothed trend that day, in kilograms.
+ */
+
+/**
+ * Converts a weight to kilograms.
+ * @param {number} value - The weight.
+ * @param {'kg' | 'lb'} unit - Its unit.
+ * @returns {number} The weight in kilograms.
+ */
+export const toKilograms = (value, unit) =>
+  unit === 'lb' ? value * KG_PER_POUND : value;
+
+/**
+ * Converts a weight from kilograms.
+ * @param {number} kilograms - The weight in kilograms.
+ * @param {'kg' | 'lb'} unit - The unit to convert to.
+ * @returns {number} The weight in `unit`.
+ */
+export const fromKilograms = (kilograms, unit) =>
+  unit === 'lb' ? kilograms / KG_PER_POUND : kilograms;
+
+/**
+ * Returns the weights accepted in a unit (`BODY_LIMITS.weightKg`, converted).
+ * @param {'kg' | 'lb'} unit - The unit.
+ * @returns {{ min: number, max: number }} The range, in whole units.
+ */
+export const getWeightLimits = (unit) => ({
+  min: Math.ceil(fromKilograms(BODY_LIMITS.weightKg.min, unit)),
+  max: Math.floor(fromKilograms(BODY_LIMITS.weightKg.max, unit)),
+});
+
+/**
+ * Returns the unit to show weights in: the one the latest weigh-in was
+ * logged in, or kilograms without weigh-ins.
+ * @param {WeightEntry[]} entries - The weight log.
+ * @returns {'kg' | 'lb'} The unit.
+ */
+export function getDisplayUnit(entries) {
+  const latest = (Array.isArray(entries) ? entries : []).reduce(
+    (found, entry) =>
+      entry && (!found || entry.date >= found.date) ? entry : found,
+    null
+  );
+  return latest?.unit === 'lb' ? 'lb' : 'kg';
+}
+
+/**
+ * Formats a weight for display, e.g. "80.2 kg".
+ * @param {number} kilograms - The weight in kilograms.
+ * @param {'kg' | 'lb'} unit - The unit to show it in.
+ * @returns {string} The formatted weight.
+ */
+export const formatWeight = (kilograms, unit) =>
+  `${fromKilograms(kilograms, unit).toFixed(1)} ${unit}`;
+
+/**
+ * Formats a weekly rate of change with its sign, e.g. "−0.4 kg/week".
+ * @param {number} kilograms - The change in kilograms a week.
+ * @param {'kg' | 'lb'} unit - The unit to show it in.
+ * @returns {string} The formatted rate.
+ */
+export const formatWeeklyRate = (kilograms, unit) => {
+  const value = fromKilograms(kilograms, unit);
+  const rounded = Math.abs(value).toFixed(1);
+  const sign = rounded === '0.0' ? '±' : value < 0 ? '−' : '+';
+  return `${sign}${rounded} ${unit}/week`;
+};
+
+/**
+ * Calculates the smoothed trend of a weight log. Entries are taken in date
+ * order, one per day (the last one logged wins). Over a gap of several days
+ * the trend moves as far as it would have with the same weight every day.
+ * @param {WeightEntry[]} entries - The weight log.
+ * @returns {TrendPoint[]} One point per day with a weigh-in, oldest first.
+ */
+export function calculateWeightTrend(entries) {
+  const byDate = new Map();
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    if (entry && typeof entry.value === 'number' && entry.date) {
+      byDate.set(entry.date, toKilograms(entry.value, entry.unit));
+    }
+  });
+
+  const points = [];
+  [...byDate.keys()].sort().forEach((date) => {
+    const weightKg = byDate.get(date);
+    const previous = points[points.length - 1];
+    if (!previous) {
+      points.push({ date, weightKg, trendKg: weightKg });
+      return;
+    }
+    const days = Math.max(1, getDaysBetween(previous.date, date));
+    const smoothing = 1 - (1 - TREND_SMOOTHING) ** days;
+    points.push({
+      date,
+      weightKg,
+      trendKg: previous.trendKg + smoothing * (weightKg - previous.trendKg),
+    });
+  });
+  return points;
+}
+
+/**
+ * Calculates how fast the trend is changing: the change over the last
+ * `RATE_WINDOW_DAYS`, scaled to a week.
+ * @param {TrendPoint[]} trend - The trend, oldest first.
+ * @returns {number | null} The change in kilograms a week, or null if the
+ *   weigh-ins in the window span less than `MIN_RATE_DAYS`.
+ */
+export function calculateWeeklyRate(trend) {
+  if (!Array.isArray(trend) || trend.length < 2) {
+    return null;
+  }
+  const last = trend[trend.length - 1];
+  const first = trend.find(
+    (point) => getDaysBetween(point.date, last.date) <= RATE_WINDOW_DAYS
+  );
+  const days = getDaysBetween(first.date, last.date);
+  if (days < MIN_RATE_DAYS) {
+    return null;
+  }
+  return ((last.trendKg - first.trendKg) / days) * 7;
+}
+
+/**
+ * Compares the weekly rate with the target pace.
+ * @param {number} rateKg - The weekly rate, in kilograms.
+ * @param {number} targetKg - The target pace, in kilograms a week.
+ * @returns {'onPace' | 'above' | 'below'} Whether the weight is changing as
+ *   planned, or trending above (heavier than) or below the target pace.
+ */
+export function comparePace(rateKg, targetKg) {
+  const difference = rateKg - targetKg;
+  if (Math.abs(difference) <= PACE_TOLERANCE_KG) {
+    return 'onPace';
+  }
+  return difference > 0 ? 'above' : 'below';
+}
+
+/**
+ * Describes a target pace, e.g. "Lose 0.5 kg a week".
+ * @param {number} paceKg - The pace in kilograms a week, negative to lose.
+ * @param {'kg' | 'lb'} [unit='kg'] - The unit to show it in.
+ * @returns {string} The description.
+ */
+export function formatTargetPace(paceKg, unit = 'kg') {
+  if (paceKg === 0) {
+    return 'Maintain weight';
+  }
+  const amount = Math.round(Math.abs(fromKilograms(paceKg, unit)) * 100) / 100;
+  return `${paceKg < 0 ? 'Lose' : 'Gain'} ${amount} ${unit} a week`;
+}
+
+/**
+ * Checks that a target pace is a number of kilograms a week no faster than
+ * `MAX_WEEKLY_RATE_KG`.
+ * @param {*} value - The pace.
+ * @returns {boolean} True if the pace can be used.
+ */
+export const isValidTargetPace = (value) =>
+  typeof value === 'number' &&
+  isFinite(value) &&
+  Math.abs(value) <= MAX_WEEKLY_RATE_KG;
@@ -0,0 +1,142 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import AdaptiveGoal from '../../src/components/AdaptiveGoal.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+import { toDateKey } from '../../src/utils/dates.js';
+import { resolveGoal } from '../../src/utils/goals.js';
+
+const TODAY_KEY = '2025-04-15';
+const DAYS = Array.from({ length: 28 }, (_, index) => index + 1);
+const daysAgo = (days) => toDateKey(new Date(2025, 3, 15 - days));
+let mockContextValue;
+
+const renderAdaptiveGoal = () =>
+  render(
+    <AppContext.Provider value={mockContextValue}>
+      <AdaptiveGoal />
+    </AppContext.Provider>
+  );
+
+describe('AdaptiveGoal Component', () => {
+  beforeEach(() => {
+    // Four weeks of 2000 calories a day while losing 0.2 kg a week, which
+    // puts the expenditure at 2220 calories
+    mockContextValue = {
+      today: TODAY_KEY,
+      goal: 2300,
+      weekdayGoals: {},
+      goalSchedule: [],
+      getGoalForDate: (dateKey) => resolveGoal(mockContextValue, dateKey),
+      setGoal: vi.fn(),
+      addScheduledGoal: vi.fn(),
+      targetPace: -0.5,
+      logByDate: Object.fromEntries(
+        DAYS.map((day) => [daysAgo(day), [{ id: `f${day}`, calories: 2000 }]])
+      ),
+      weightLog: DAYS.map((day) => ({
+        id: `w${day}`,
+        date: daysAgo(day),
+        value: 80 + (day * 0.2) / 7,
+        unit: 'kg',
+      })),
+    };
+  });
+
+  it('shows the estimate and applies the suggested goal', async () => {
+    const user = userEvent.setup();
+    renderAdaptiveGoal();
+
+    expect(screen.getByText(/^About/)).toHaveTextContent(
+      'About 2220 calories a day (high confidence)'
+    );
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'A goal of 1670 calories should get you on pace.'
+    );
+    await user.click(
+      screen.getByRole('button', { name: 'Apply Suggested Goal' })
+    );
+    expect(mockContextValue.setGoal).toHaveBeenCalledWith(1670);
+  });
+
+  it('compares with and updates an active scheduled goal', async () => {
+    const user = userEvent.setup();
+    mockContextValue.goalSchedule = [
+      { id: 's1', start: '2025-04-01', end: '2025-06-01', goal: 1800 },
+    ];
+    renderAdaptiveGoal();
+
+    expect(screen.getByRole('status')).toHaveTextContent(
+      "Today's goal of 1800 calories is scheduled until"
+    );
+    await user.click(
+      screen.getByRole('button', { name: 'Apply Suggested Goal' })
+    );
+    expect(mockContextValue.addScheduledGoal).toHaveBeenCalledWith({
+      start: TODAY_KEY,
+      end: '2025-06-01',
+      goal: 1670,
+    });
+    expect(mockContextValue.setGoal).not.toHaveBeenCalled();
+  });
+
+  it('suggests nothing when the goal that applies today already fits', () => {
+    // 2025-04-15 is a Tuesday
+    mockContextValue.weekdayGoals = { tue: 1700 };
+    renderAdaptiveGoal();
+
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Your goal already fits the target pace'
+    );
+  });
+
+  it('explains that a weekday goal overrides the daily goal', async () => {
+    const user = userEvent.setup();
+    mockContextValue.weekdayGoals = { tue: 2400 };
+    const { unmount } = renderAdaptiveGoal();
+
+    expect(screen.getByRole('status')).toHaveTextContent(
+      "Today's goal of 2400 calories is your Tuesday goal. Applying changes the daily goal"
+    );
+    await user.click(
+      screen.getByRole('button', { name: 'Apply Suggested Goal' })
+    );
+    expect(mockContextValue.setGoal).toHaveBeenCalledWith(1670);
+    unmount();
+
+    // Nothing to apply when the daily goal already matches
+    mockContextValue.goal = 1670;
+    renderAdaptiveGoal();
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'update your weekday goals to use the suggestion'
+    );
+    expect(screen.queryByRole('button')).toBeNull();
+  });
+
+  it('suggests nothing when the weight is on pace or without a pace', () => {
+    mockContextValue.targetPace = -0.25;
+    const { unmount } = renderAdaptiveGoal();
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Your weight is changing at the target pace'
+    );
+    expect(screen.queryByRole('button')).toBeNull();
+    unmount();
+
+    mockContextValue.targetPace = null;
+    renderAdaptiveGoal();
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Set a target pace to get a suggested goal.'
+    );
+  });
+
+  it('explains what it needs before it can estimate', () => {
+    mockContextValue.weightLog = [];
+    renderAdaptiveGoal();
+
+    expect(
+      screen.getByText(/Log your food on at least 10 of the last 28 days/)
+    ).toBeInTheDocument();
+    expect(screen.queryByRole('status')).toBeNull();
+  });
+});
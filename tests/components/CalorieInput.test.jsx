@@ -1,10 +1,11 @@
 import React from 'react';
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import CalorieInput from '../../src/components/CalorieInput.jsx';
 import { AppContext } from '../../src/context/AppContext.jsx';
 import { nanoid } from 'nanoid'; // Import nanoid directly
+import { getMealForTime } from '../../src/utils/meals.js';
 
 // Mock the nanoid library
 const MOCK_ID = 'mock-id-123';
@@ -12,6 +13,9 @@ vi.mock('nanoid', () => ({
   nanoid: vi.fn(() => MOCK_ID),
 }));
 
+// The meal selector defaults to the meal matching the current time
+const DEFAULT_MEAL = getMealForTime();
+
 // Mock the context value
 const mockAddLogItem = vi.fn();
 let mockContextValue;
@@ -261,6 +265,7 @@ describe('CalorieInput Component', () => {
       expect(mockAddLogItem).toHaveBeenCalledWith({
         name: 'Mixed Nuts', // Expect trimmed name
         calories: 180, // Expect numeric calories
+        meal: DEFAULT_MEAL, // Meal selector left at its time-of-day default
         // ID generation handled within AppContext, relying on mock nanoid there
         // If AppContext directly used nanoid, our mock ensures the ID. Let's assume AppContext uses it.
         // The payload check should match what AppContext sends
@@ -405,7 +410,7 @@ describe('CalorieInput Component', () => {
 
       // Verify submission occurred
       expect(mockAddLogItem).toHaveBeenCalledTimes(1);
-      expect(mockAddLogItem).toHaveBeenCalledWith({ name: 'Salad', calories: 250 });
+      expect(mockAddLogItem).toHaveBeenCalledWith({ name: 'Salad', calories: 250, meal: DEFAULT_MEAL });
 
       // Verify errors are cleared
       expect(nameErrorElement.textContent).toBe('');
@@ -415,4 +420,303 @@ describe('CalorieInput Component', () => {
       expect(nameInput).toHaveValue('');
       expect(caloriesInput).toHaveValue(null);
     });
-});
\ No newline at end of file
+});
+
+  describe('Meal Selector', () => {
+    it('defaults to the meal for the current time of day', () => {
+      renderCalorieInput(mockContextValue);
+      expect(screen.getByLabelText(/Meal:/i)).toHaveValue(DEFAULT_MEAL);
+    });
+
+    it('submits the chosen meal', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+
+      await user.type(screen.getByLabelText(/Food Name:/i), 'Pasta');
+      await user.type(screen.getByLabelText(/Calories:/i), '600');
+      await user.selectOptions(screen.getByLabelText(/Meal:/i), 'dinner');
+      await user.click(screen.getByRole('button', { name: /Add Log Entry/i }));
+
+      expect(mockAddLogItem).toHaveBeenCalledWith({
+        name: 'Pasta',
+        calories: 600,
+        meal: 'dinner',
+      });
+    });
+  });
+
+  describe('Macros', () => {
+    it('includes only the macros that were filled in', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+
+      await user.type(screen.getByLabelText(/Food Name:/i), 'Greek yogurt');
+      await user.type(screen.getByLabelText(/Calories:/i), '100');
+      await user.type(screen.getByLabelText(/Protein \(g\):/i), '17');
+      await user.type(screen.getByLabelText(/Fat \(g\):/i), '0.7');
+      await user.click(screen.getByRole('button', { name: /Add Log Entry/i }));
+
+      expect(mockAddLogItem).toHaveBeenCalledWith({
+        name: 'Greek yogurt',
+        calories: 100,
+        meal: DEFAULT_MEAL,
+        protein: 17,
+        fat: 0.7,
+      });
+      expect(screen.getByLabelText(/Protein \(g\):/i)).toHaveValue(null);
+    });
+
+    it('blocks submission when a macro is invalid', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+
+      await user.type(screen.getByLabelText(/Food Name:/i), 'Toast');
+      await user.type(screen.getByLabelText(/Calories:/i), '80');
+      await user.type(screen.getByLabelText(/Carbs \(g\):/i), '-3');
+
+      expect(
+        screen.getByText('Carbs must be a number of grams (0 or more).')
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: /Add Log Entry/i })
+      ).toBeDisabled();
+    });
+  });
+
+  describe('Food Autocomplete', () => {
+    it('exposes the food name input as a combobox', () => {
+      renderCalorieInput(mockContextValue);
+      const combobox = screen.getByRole('combobox', { name: /Food Name:/i });
+      expect(combobox).toHaveAttribute('aria-autocomplete', 'list');
+      expect(combobox).toHaveAttribute('aria-expanded', 'false');
+    });
+
+    it('shows fuzzy matches and fills in calories and macros on click', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+
+      const combobox = screen.getByRole('combobox', { name: /Food Name:/i });
+      await user.type(combobox, 'chkn brst');
+      expect(combobox).toHaveAttribute('aria-expanded', 'true');
+
+      await user.click(
+        screen.getByRole('option', { name: /Chicken breast, grilled/ })
+      );
+
+      expect(combobox).toHaveValue('Chicken breast, grilled');
+      expect(combobox).toHaveAttribute('aria-expanded', 'false');
+      expect(screen.getByLabelText(/Calories:/i)).toHaveValue(165);
+      expect(screen.getByLabelText(/Protein \(g\):/i)).toHaveValue(31);
+      expect(screen.getByText('Per serving: 100 g')).toBeInTheDocument();
+    });
+
+    it('supports keyboard navigation and selection', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+
+      const combobox = screen.getByRole('combobox', { name: /Food Name:/i });
+      await user.type(combobox, 'apple');
+      await user.keyboard('{ArrowDown}');
+
+      const firstOption = screen.getAllByRole('option')[0];
+      expect(firstOption).toHaveTextContent('Apple');
+      expect(firstOption).toHaveAttribute('aria-selected', 'true');
+      expect(combobox).toHaveAttribute('aria-activedescendant', firstOption.id);
+
+      await user.keyboard('{Enter}');
+      expect(combobox).toHaveValue('Apple');
+      expect(screen.getByLabelText(/Calories:/i)).toHaveValue(95);
+      expect(mockAddLogItem).not.toHaveBeenCalled();
+
+      // A second Enter submits the filled-in form
+      await user.keyboard('{Enter}');
+      expect(mockAddLogItem).toHaveBeenCalledWith({
+        name: 'Apple',
+        calories: 95,
+        meal: DEFAULT_MEAL,
+        protein: 0.5,
+        carbs: 25,
+        fat: 0.3,
+        quantity: 1,
+        unit: 'serving',
+      });
+    });
+
+    it('closes the list on Escape and keeps the typed text', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+
+      const combobox = screen.getByRole('combobox', { name: /Food Name:/i });
+      await user.type(combobox, 'banan');
+      expect(screen.getByRole('listbox', { hidden: true })).toBeVisible();
+
+      await user.keyboard('{Escape}');
+      expect(combobox).toHaveAttribute('aria-expanded', 'false');
+      expect(combobox).toHaveValue('banan');
+    });
+  });
+
+  describe('Quantity and Units', () => {
+    /**
+     * Picks a food from the autocomplete by typing a query and clicking the match.
+     */
+    const pickFood = async (user, query, optionName) => {
+      await user.type(
+        screen.getByRole('combobox', { name: /Food Name:/i }),
+        query
+      );
+      await user.click(screen.getByRole('option', { name: optionName }));
+    };
+
+    it('only shows quantity and unit once a food is picked', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+      expect(screen.queryByLabelText(/Quantity:/i)).not.toBeInTheDocument();
+
+      await pickFood(user, 'banana', /Banana/);
+
+      expect(screen.getByLabelText(/Quantity:/i)).toHaveValue(1);
+      expect(screen.getByLabelText(/Unit:/i)).toHaveValue('serving');
+      // Bananas have a serving and piece weight, but no cup weight
+      const unitOptions = within(screen.getByLabelText(/Unit:/i))
+        .getAllByRole('option')
+        .map((option) => option.value);
+      expect(unitOptions).toEqual(['g', 'oz', 'piece', 'serving']);
+    });
+
+    it('rescales calories and macros when the amount changes', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+      await pickFood(user, 'apple', /^Apple/);
+
+      await user.selectOptions(screen.getByLabelText(/Unit:/i), 'g');
+      const quantityInput = screen.getByLabelText(/Quantity:/i);
+      await user.clear(quantityInput);
+      await user.type(quantityInput, '91');
+
+      expect(screen.getByLabelText(/Calories:/i)).toHaveValue(48);
+      expect(screen.getByLabelText(/Carbs \(g\):/i)).toHaveValue(12.5);
+
+      await user.click(screen.getByRole('button', { name: /Add Log Entry/i }));
+      expect(mockAddLogItem).toHaveBeenCalledWith(
+        expect.objectContaining({
+          name: 'Apple',
+          calories: 48,
+          quantity: 91,
+          unit: 'g',
+        })
+      );
+      expect(screen.queryByLabelText(/Quantity:/i)).not.toBeInTheDocument();
+    });
+
+    it('scales per-100g foods by weight', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+      await pickFood(user, 'rolled oats', /Rolled oats/);
+
+      await user.selectOptions(screen.getByLabelText(/Unit:/i), 'cup');
+
+      expect(screen.getByLabelText(/Calories:/i)).toHaveValue(307);
+      expect(screen.getByLabelText(/Protein \(g\):/i)).toHaveValue(10.5);
+    });
+
+    it('blocks submission for an invalid quantity', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+      await pickFood(user, 'banana', /Banana/);
+
+      const quantityInput = screen.getByLabelText(/Quantity:/i);
+      await user.clear(quantityInput);
+      await user.type(quantityInput, '0');
+
+      expect(
+        screen.getByText('Quantity must be a positive number.')
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: /Add Log Entry/i })
+      ).toBeDisabled();
+    });
+
+    it('stops tracking the amount when the name is changed by hand', async () => {
+      const user = userEvent.setup();
+      renderCalorieInput(mockContextValue);
+      await pickFood(user, 'banana', /Banana/);
+
+      await user.type(
+        screen.getByRole('combobox', { name: /Food Name:/i }),
+        ' bread'
+      );
+      expect(screen.queryByLabelText(/Quantity:/i)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Saved Foods and Recipes', () => {
+    it('searches saved foods alongside the database', async () => {
+      const user = userEvent.setup();
+      mockContextValue.customFoods = [
+        { id: 'food-1', name: 'Granola bar', serving: '1 bar', calories: 180 },
+      ];
+      renderCalorieInput(mockContextValue);
+
+      await user.type(
+        screen.getByRole('combobox', { name: /Food Name:/i }),
+        'granola'
+      );
+      await user.click(screen.getByRole('option', { name: /Granola bar/ }));
+
+      expect(screen.getByLabelText(/Calories:/i)).toHaveValue(180);
+      expect(screen.getByLabelText(/Protein \(g\):/i)).toHaveValue(null);
+    });
+
+    it('logs a recipe per serving', async () => {
+      const user = userEvent.setup();
+      mockContextValue.recipes = [
+        {
+          id: 'recipe-1',
+          name: 'Chili',
+          servings: 4,
+          ingredients: [
+            {
+              name: 'Beef',
+              quantity: 400,
+              unit: 'g',
+              calories: 868,
+              protein: 104,
+            },
+            {
+              name: 'Beans',
+              quantity: 2,
+              unit: 'cup',
+              calories: 454,
+              protein: 30,
+            },
+          ],
+        },
+      ];
+      renderCalorieInput(mockContextValue);
+
+      await user.type(
+        screen.getByRole('combobox', { name: /Food Name:/i }),
+        'chili'
+      );
+      await user.click(screen.getByRole('option', { name: /Chili/ }));
+
+      const unitSelect = screen.getByLabelText(/Unit:/i);
+      expect(
+        within(unitSelect)
+          .getAllByRole('option')
+          .map((option) => option.value)
+      ).toEqual(['serving']);
+
+      await user.click(screen.getByRole('button', { name: /Add Log Entry/i }));
+      expect(mockAddLogItem).toHaveBeenCalledWith({
+        name: 'Chili',
+        calories: 331,
+        meal: DEFAULT_MEAL,
+        protein: 33.5,
+        quantity: 1,
+        unit: 'serving',
+      });
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CsvTransfer from '../../src/components/CsvTransfer.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+// Mock the context value
+let mockContextValue;
+
+const breakfast = {
+  id: 'log-1',
+  name: 'Oatmeal',
+  calories: 300.5,
+  loggedAt: new Date(2025, 3, 15, 8, 0).toISOString(),
+  meal: 'breakfast',
+};
+
+// Helper function to render the component with a specific context value
+const renderCsvTransfer = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <CsvTransfer />
+    </AppContext.Provider>
+  );
+};
+
+/**
+ * Builds a CSV file as the user would choose it.
+ * @param {string} text - The file contents.
+ */
+const createCsvFile = (text) =>
+  new File([text], 'export.csv', { type: 'text/csv' });
+
+describe('CsvTransfer Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      getAllData: vi.fn().mockResolvedValue({ log: [breakfast] }),
+      addLogItems: vi.fn(),
+    };
+    URL.createObjectURL = vi.fn(() => 'blob:csv');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('exports the whole log in the chosen number format', async () => {
+    const user = userEvent.setup();
+    const clickSpy = vi
+      .spyOn(HTMLAnchorElement.prototype, 'click')
+      .mockImplementation(() => {});
+    renderCsvTransfer(mockContextValue);
+
+    await user.selectOptions(
+      screen.getByLabelText('Export number format:'),
+      ','
+    );
+    await user.click(screen.getByRole('button', { name: 'Export log (CSV)' }));
+
+    expect(clickSpy.mock.instances[0].download).toMatch(
+      /^health-fit-log-\d{4}-\d{2}-\d{2}\.csv$/
+    );
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    expect((await blob.text()).split('\r\n')).toEqual([
+      'date;time;meal;name;calories;protein;carbs;fat',
+      '2025-04-15;08:00;Breakfast;Oatmeal;300,5;;;',
+    ]);
+    expect(screen.getByRole('status')).toHaveTextContent('Log exported.');
+    clickSpy.mockRestore();
+  });
+
+  it('detects the columns and formats, previews, and imports new entries', async () => {
+    const user = userEvent.setup();
+    renderCsvTransfer(mockContextValue);
+
+    await user.upload(
+      screen.getByLabelText('CSV file'),
+      createCsvFile(
+        [
+          'Date;Time;Food;Energy (kcal);Protein (g)',
+          '15/04/2025;08:00;Oatmeal;300,5;',
+          '15/04/2025;12:30;"Salad; large";450;12,5',
+          '16/04/2025;;Soup;lots;',
+        ].join('\n')
+      )
+    );
+
+    const preview = await screen.findByRole('region', { name: 'CSV import' });
+    expect(within(preview).getByLabelText(/^Name/)).toHaveDisplayValue('Food');
+    expect(within(preview).getByLabelText(/^Calories/)).toHaveDisplayValue(
+      'Energy (kcal)'
+    );
+    expect(within(preview).getByLabelText('Meal')).toHaveDisplayValue(
+      'Not in file'
+    );
+    expect(
+      within(preview).getByLabelText('Decimal separator')
+    ).toHaveDisplayValue('Comma (12,5)');
+    expect(
+      within(preview).getByText(
+        '1 entry ready to import. 1 already in your log will be skipped.'
+      )
+    ).toBeInTheDocument();
+    expect(
+      within(preview).getByText('Row 4: Calories (lots) is not a number.')
+    ).toBeInTheDocument();
+
+    await user.click(within(preview).getByRole('button', { name: 'Import' }));
+
+    expect(mockContextValue.addLogItems).toHaveBeenCalledWith([
+      {
+        name: 'Salad; large',
+        calories: 450,
+        protein: 12.5,
+        loggedAt: new Date(2025, 3, 15, 12, 30).toISOString(),
+      },
+    ]);
+    expect(screen.queryByRole('region', { name: 'CSV import' })).toBeNull();
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Imported 1 entry from export.csv.'
+    );
+  });
+
+  it('lets the user map columns the guess missed', async () => {
+    const user = userEvent.setup();
+    renderCsvTransfer(mockContextValue);
+
+    await user.upload(
+      screen.getByLabelText('CSV file'),
+      createCsvFile('Product,Amount\nApple,95\nBanana,105')
+    );
+
+    const preview = await screen.findByRole('region', { name: 'CSV import' });
+    expect(
+      within(preview).getByText('Choose the column for Name and Calories.')
+    ).toBeInTheDocument();
+    expect(
+      within(preview).getByRole('button', { name: 'Import' })
+    ).toBeDisabled();
+
+    await user.selectOptions(within(preview).getByLabelText(/^Name/), '0');
+    await user.selectOptions(within(preview).getByLabelText(/^Calories/), '1');
+
+    expect(
+      within(preview).getByText('2 entries ready to import.')
+    ).toBeInTheDocument();
+    await user.click(within(preview).getByRole('button', { name: 'Import' }));
+    expect(mockContextValue.addLogItems).toHaveBeenCalledWith([
+      { name: 'Apple', calories: 95 },
+      { name: 'Banana', calories: 105 },
+    ]);
+  });
+
+  it('reports a file without rows to import', async () => {
+    const user = userEvent.setup();
+    renderCsvTransfer(mockContextValue);
+
+    await user.upload(
+      screen.getByLabelText('CSV file'),
+      createCsvFile('date,name,calories\n')
+    );
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'The file has no rows to import.'
+    );
+    expect(mockContextValue.addLogItems).not.toHaveBeenCalled();
+  });
+});
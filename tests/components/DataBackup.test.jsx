@@ -0,0 +1,205 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DataBackup from '../../src/components/DataBackup.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+import { BACKUP_FORMAT } from '../../src/utils/backup.js';
+import { CURRENT_SCHEMA_VERSION } from '../../src/utils/migrations.js';
+
+// Mock the context value
+let mockContextValue;
+
+const breakfast = {
+  id: 'log-1',
+  name: 'Oatmeal',
+  calories: 300,
+  loggedAt: '2025-04-15T08:00:00.000Z',
+  meal: 'breakfast',
+};
+const lunch = {
+  id: 'log-2',
+  name: 'Salad',
+  calories: 450,
+  loggedAt: '2025-04-15T12:30:00.000Z',
+  meal: 'lunch',
+};
+
+// Helper function to render the component with a specific context value
+const renderDataBackup = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <DataBackup />
+    </AppContext.Provider>
+  );
+};
+
+/**
+ * Builds a backup file as the user would choose it.
+ * @param {object} data - The backup's data.
+ * @param {string} [name] - The file name.
+ */
+const createBackupFile = (data, name = 'backup.json') =>
+  new File(
+    [
+      JSON.stringify({
+        format: BACKUP_FORMAT,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: '2025-04-15T20:00:00.000Z',
+        data,
+      }),
+    ],
+    name,
+    { type: 'application/json' }
+  );
+
+describe('DataBackup Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      getAllData: vi.fn().mockResolvedValue({
+        goal: 2000,
+        macroGoals: { protein: null, carbs: null, fat: null },
+        log: [breakfast],
+        customFoods: [],
+        recipes: [],
+        favoriteFoods: [],
+      }),
+      importData: vi.fn().mockResolvedValue(undefined),
+    };
+    URL.createObjectURL = vi.fn(() => 'blob:backup');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('downloads all data as a versioned JSON backup', async () => {
+    const user = userEvent.setup();
+    const clickSpy = vi
+      .spyOn(HTMLAnchorElement.prototype, 'click')
+      .mockImplementation(() => {});
+    renderDataBackup(mockContextValue);
+
+    await user.click(screen.getByRole('button', { name: 'Export data' }));
+
+    expect(mockContextValue.getAllData).toHaveBeenCalled();
+    expect(clickSpy).toHaveBeenCalledTimes(1);
+    const link = clickSpy.mock.instances[0];
+    expect(link.download).toMatch(
+      /^health-fit-backup-\d{4}-\d{2}-\d{2}\.json$/
+    );
+    expect(link.href).toBe('blob:backup');
+
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    const backup = JSON.parse(await blob.text());
+    expect(backup.format).toBe(BACKUP_FORMAT);
+    expect(backup.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(backup.data.log).toEqual([breakfast]);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:backup');
+    expect(screen.getByRole('status')).toHaveTextContent('Backup downloaded.');
+    clickSpy.mockRestore();
+  });
+
+  it('shows an error when the chosen file is not a backup', async () => {
+    const user = userEvent.setup();
+    renderDataBackup(mockContextValue);
+
+    await user.upload(
+      screen.getByLabelText('Backup file'),
+      new File(['not json'], 'notes.json', { type: 'application/json' })
+    );
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'The file is not valid JSON.'
+    );
+    expect(screen.queryByRole('region', { name: 'Import preview' })).toBeNull();
+  });
+
+  it('previews a merge, then imports in the chosen mode', async () => {
+    const user = userEvent.setup();
+    renderDataBackup(mockContextValue);
+
+    await user.upload(
+      screen.getByLabelText('Backup file'),
+      createBackupFile({ goal: 1800, log: [breakfast, lunch] })
+    );
+
+    const preview = await screen.findByRole('region', {
+      name: 'Import preview',
+    });
+    expect(within(preview).getByText(/backup\.json/)).toBeInTheDocument();
+    expect(within(preview).getByRole('radio', { name: /Merge/ })).toBeChecked();
+    expect(
+      within(preview).getByText('1 new, 1 already saved')
+    ).toBeInTheDocument();
+    expect(within(preview).queryByText('Settings replaced:')).toBeNull();
+
+    await user.click(within(preview).getByRole('radio', { name: /Replace/ }));
+    expect(
+      within(preview).getByText('Calorie goal', { exact: false })
+    ).toBeInTheDocument();
+
+    await user.click(within(preview).getByRole('button', { name: 'Import' }));
+
+    expect(mockContextValue.importData).toHaveBeenCalledWith(
+      { goal: 1800, log: [breakfast, lunch] },
+      'replace'
+    );
+    expect(screen.queryByRole('region', { name: 'Import preview' })).toBeNull();
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Imported backup.json.'
+    );
+  });
+
+  it('lists the records that will be skipped', async () => {
+    const user = userEvent.setup();
+    renderDataBackup(mockContextValue);
+
+    await user.upload(
+      screen.getByLabelText('Backup file'),
+      createBackupFile({
+        log: [
+          breakfast,
+          { ...lunch, id: breakfast.id },
+          ...Array.from({ length: 6 }, (_, index) => ({
+            id: `bad-${index}`,
+            name: '',
+            calories: 100,
+          })),
+        ],
+      })
+    );
+
+    const preview = await screen.findByRole('region', {
+      name: 'Import preview',
+    });
+    expect(
+      within(preview).getByText(
+        '7 records in the file are invalid and will be skipped:'
+      )
+    ).toBeInTheDocument();
+    expect(
+      within(preview).getByText(
+        'Log entry 2: Same ID as an earlier one, skipped.'
+      )
+    ).toBeInTheDocument();
+    expect(within(preview).getByText('…and 2 more.')).toBeInTheDocument();
+  });
+
+  it('imports nothing when cancelled', async () => {
+    const user = userEvent.setup();
+    renderDataBackup(mockContextValue);
+
+    await user.upload(
+      screen.getByLabelText('Backup file'),
+      createBackupFile({ log: [lunch] })
+    );
+    await user.click(await screen.findByRole('button', { name: 'Cancel' }));
+
+    expect(screen.queryByRole('region', { name: 'Import preview' })).toBeNull();
+    expect(mockContextValue.importData).not.toHaveBeenCalled();
+  });
+});
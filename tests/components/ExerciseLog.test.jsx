@@ -0,0 +1,110 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ExerciseLog from '../../src/components/ExerciseLog.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+const TODAY_KEY = '2025-04-15';
+let mockContextValue;
+
+const renderExerciseLog = () =>
+  render(
+    <AppContext.Provider value={mockContextValue}>
+      <ExerciseLog />
+    </AppContext.Provider>
+  );
+
+describe('ExerciseLog Component', () => {
+  beforeEach(() => {
+    mockContextValue = {
+      today: TODAY_KEY,
+      selectedDate: TODAY_KEY,
+      exerciseLog: [],
+      weightLog: [{ id: 'w1', date: '2025-04-14', value: 80, unit: 'kg' }],
+      addExerciseEntry: vi.fn(),
+      removeExerciseEntry: vi.fn(),
+      addBurnedCalories: false,
+      setAddBurnedCalories: vi.fn(),
+    };
+  });
+
+  it('estimates the calories burned and logs the session', async () => {
+    const user = userEvent.setup();
+    renderExerciseLog();
+
+    await user.selectOptions(screen.getByLabelText('Activity:'), 'cycling');
+    await user.selectOptions(screen.getByLabelText('Intensity:'), 'vigorous');
+    await user.type(screen.getByLabelText('Duration (minutes):'), '45');
+    // 10 METs × 80 kg × 0.75 h
+    expect(screen.getByText('Burns about 600 calories.')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Log Exercise' }));
+
+    expect(mockContextValue.addExerciseEntry).toHaveBeenCalledWith({
+      activity: 'cycling',
+      intensity: 'vigorous',
+      durationMinutes: 45,
+    });
+    expect(screen.getByLabelText('Duration (minutes):')).toHaveValue(null);
+  });
+
+  it('checks the duration', async () => {
+    const user = userEvent.setup();
+    renderExerciseLog();
+
+    await user.type(screen.getByLabelText('Duration (minutes):'), '0');
+    await user.click(screen.getByRole('button', { name: 'Log Exercise' }));
+
+    expect(
+      screen.getByText('Duration must be more than 0 and at most 600 minutes.')
+    ).toBeInTheDocument();
+    expect(mockContextValue.addExerciseEntry).not.toHaveBeenCalled();
+  });
+
+  it("lists the selected day's sessions and deletes them", async () => {
+    const user = userEvent.setup();
+    mockContextValue.exerciseLog = [
+      {
+        id: 'e1',
+        date: TODAY_KEY,
+        activity: 'running',
+        intensity: 'moderate',
+        durationMinutes: 30,
+        calories: 392,
+      },
+      {
+        id: 'e2',
+        date: '2025-04-14',
+        activity: 'yoga',
+        intensity: 'light',
+        durationMinutes: 60,
+        calories: 200,
+      },
+    ];
+    renderExerciseLog();
+
+    const items = within(
+      screen.getByRole('list', { name: 'Exercise for Today' })
+    ).getAllByRole('listitem');
+    expect(items).toHaveLength(1);
+    expect(items[0]).toHaveTextContent('Running · Moderate · 30 min');
+    expect(items[0]).toHaveTextContent('392 calories');
+
+    await user.click(
+      screen.getByRole('button', { name: 'Delete Running (30 min)' })
+    );
+    expect(mockContextValue.removeExerciseEntry).toHaveBeenCalledWith('e1');
+  });
+
+  it('turns adding burned calories to the budget on', async () => {
+    const user = userEvent.setup();
+    renderExerciseLog();
+
+    await user.click(
+      screen.getByRole('checkbox', {
+        name: "Add burned calories to the day's budget",
+      })
+    );
+    expect(mockContextValue.setAddBurnedCalories).toHaveBeenCalledWith(true);
+  });
+});
@@ -0,0 +1,201 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FoodLibrary from '../../src/components/FoodLibrary.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+// Mock the context value
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderFoodLibrary = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <FoodLibrary />
+    </AppContext.Provider>
+  );
+};
+
+describe('FoodLibrary Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      customFoods: [],
+      recipes: [],
+      addCustomFood: vi.fn(),
+      updateCustomFood: vi.fn(),
+      removeCustomFood: vi.fn(),
+      addRecipe: vi.fn(),
+      updateRecipe: vi.fn(),
+      removeRecipe: vi.fn(),
+    };
+  });
+
+  describe('Custom Foods', () => {
+    it('saves a new food with only the filled-in fields', async () => {
+      const user = userEvent.setup();
+      renderFoodLibrary(mockContextValue);
+
+      await user.type(screen.getByLabelText('Food Name:'), 'Granola bar');
+      await user.type(screen.getByLabelText('Serving:'), '1 bar (40 g)');
+      await user.type(screen.getByLabelText('Calories:'), '180');
+      await user.type(screen.getByLabelText('Protein (g):'), '4');
+      await user.click(screen.getByRole('button', { name: 'Save Food' }));
+
+      expect(mockContextValue.addCustomFood).toHaveBeenCalledWith({
+        name: 'Granola bar',
+        serving: '1 bar (40 g)',
+        calories: 180,
+        protein: 4,
+      });
+      expect(screen.getByLabelText('Food Name:')).toHaveValue('');
+    });
+
+    it('shows an error instead of saving an incomplete food', async () => {
+      const user = userEvent.setup();
+      renderFoodLibrary(mockContextValue);
+
+      await user.type(screen.getByLabelText('Food Name:'), 'Granola bar');
+      await user.click(screen.getByRole('button', { name: 'Save Food' }));
+
+      expect(
+        screen.getByText('Calories must be a whole number (0 or more).')
+      ).toBeInTheDocument();
+      expect(mockContextValue.addCustomFood).not.toHaveBeenCalled();
+    });
+
+    it('edits and deletes saved foods', async () => {
+      const user = userEvent.setup();
+      mockContextValue.customFoods = [
+        { id: 'food-1', name: 'Granola bar', calories: 180 },
+      ];
+      renderFoodLibrary(mockContextValue);
+
+      await user.click(
+        screen.getByRole('button', { name: 'Edit Granola bar' })
+      );
+      const caloriesInput = screen.getByLabelText('Calories:');
+      expect(caloriesInput).toHaveValue(180);
+      await user.clear(caloriesInput);
+      await user.type(caloriesInput, '190');
+      await user.click(screen.getByRole('button', { name: 'Update Food' }));
+
+      expect(mockContextValue.updateCustomFood).toHaveBeenCalledWith('food-1', {
+        name: 'Granola bar',
+        calories: 190,
+      });
+      expect(
+        screen.getByRole('button', { name: 'Save Food' })
+      ).toBeInTheDocument();
+
+      await user.click(
+        screen.getByRole('button', { name: 'Delete Granola bar' })
+      );
+      expect(mockContextValue.removeCustomFood).toHaveBeenCalledWith('food-1');
+    });
+  });
+
+  describe('Recipes', () => {
+    it('builds a recipe from scaled ingredients and previews a serving', async () => {
+      const user = userEvent.setup();
+      renderFoodLibrary(mockContextValue);
+
+      await user.type(screen.getByLabelText('Recipe Name:'), 'Overnight oats');
+      const servingsInput = screen.getByLabelText('Servings:');
+      await user.clear(servingsInput);
+      await user.type(servingsInput, '2');
+
+      // 1 cup of dry oats (per-100g food, 81 g per cup)
+      await user.type(screen.getByLabelText('Add Ingredient:'), 'rolled oats');
+      await user.click(screen.getByRole('option', { name: /Rolled oats/ }));
+      await user.selectOptions(screen.getByLabelText('Ingredient unit'), 'cup');
+      await user.click(screen.getByRole('button', { name: 'Add' }));
+
+      // 1 cup of milk (one serving)
+      await user.type(screen.getByLabelText('Add Ingredient:'), 'milk 2%');
+      await user.click(screen.getByRole('option', { name: /Milk, 2%/ }));
+      await user.click(screen.getByRole('button', { name: 'Add' }));
+
+      const ingredients = screen.getByRole('list', { name: 'Ingredients' });
+      expect(within(ingredients).getAllByRole('listitem')).toHaveLength(2);
+      expect(
+        within(ingredients).getByText('1 cup', { exact: false })
+      ).toBeInTheDocument();
+      expect(screen.getByText('215 kcal')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Save Recipe' }));
+
+      expect(mockContextValue.addRecipe).toHaveBeenCalledWith({
+        name: 'Overnight oats',
+        servings: 2,
+        ingredients: [
+          {
+            name: 'Rolled oats, dry',
+            quantity: 1,
+            unit: 'cup',
+            calories: 307,
+            protein: 10.5,
+            carbs: 55.1,
+            fat: 5.3,
+          },
+          {
+            name: 'Milk, 2%',
+            quantity: 1,
+            unit: 'serving',
+            calories: 122,
+            protein: 8,
+            carbs: 12,
+            fat: 4.8,
+          },
+        ],
+      });
+    });
+
+    it('requires at least one ingredient', async () => {
+      const user = userEvent.setup();
+      renderFoodLibrary(mockContextValue);
+
+      await user.type(screen.getByLabelText('Recipe Name:'), 'Empty');
+      await user.click(screen.getByRole('button', { name: 'Save Recipe' }));
+
+      expect(
+        screen.getByText('Add at least one ingredient.')
+      ).toBeInTheDocument();
+      expect(mockContextValue.addRecipe).not.toHaveBeenCalled();
+    });
+
+    it('lists saved recipes per serving and edits them', async () => {
+      const user = userEvent.setup();
+      mockContextValue.recipes = [
+        {
+          id: 'recipe-1',
+          name: 'Chili',
+          servings: 4,
+          ingredients: [
+            { name: 'Beef', quantity: 400, unit: 'g', calories: 868 },
+          ],
+        },
+      ];
+      renderFoodLibrary(mockContextValue);
+
+      const savedRecipes = screen.getByRole('list', { name: 'Saved recipes' });
+      expect(
+        within(savedRecipes).getByText('217 kcal / serving')
+      ).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Edit Chili' }));
+      await user.click(screen.getByRole('button', { name: 'Remove Beef' }));
+      await user.click(screen.getByRole('button', { name: 'Update Recipe' }));
+      expect(
+        screen.getByText('Add at least one ingredient.')
+      ).toBeInTheDocument();
+      expect(mockContextValue.updateRecipe).not.toHaveBeenCalled();
+
+      await user.click(screen.getByRole('button', { name: 'Cancel' }));
+      expect(
+        screen.getByRole('button', { name: 'Save Recipe' })
+      ).toBeInTheDocument();
+    });
+  });
+});
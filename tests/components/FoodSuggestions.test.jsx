@@ -0,0 +1,202 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FoodSuggestions from '../../src/components/FoodSuggestions.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+// Mock the context value
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderFoodSuggestions = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <FoodSuggestions />
+    </AppContext.Provider>
+  );
+};
+
+const getSuggestionNames = () =>
+  within(screen.getByRole('list', { name: 'Suggested foods' }))
+    .getAllByRole('button', { name: /^Log / })
+    .map((button) => button.getAttribute('aria-label').replace(/^Log /, ''));
+
+describe('FoodSuggestions Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      goal: 2000,
+      log: [{ id: '1', name: 'Lunch', calories: 1700 }],
+      addLogItem: vi.fn(),
+      dietaryPreferences: { diets: [], allergens: [] },
+      setDietaryPreferences: vi.fn(),
+    };
+  });
+
+  it('shows the remaining budget and surfaces suggestions that fit it', () => {
+    renderFoodSuggestions(mockContextValue);
+
+    expect(
+      screen.getByText('300 kcal left — suggestions that fit come first.')
+    ).toBeInTheDocument();
+    // Largest first among those that fit in 300 kcal
+    expect(getSuggestionNames()).toEqual([
+      'Tuna salad (light mayo) on whole wheat crackers',
+      'Smoothie with spinach and protein powder',
+      'Oatmeal with fruit',
+      'Celery sticks with peanut butter',
+      'Apple slices with almond butter',
+      'Edamame (steamed)',
+    ]);
+    expect(screen.queryByText('(over budget)')).not.toBeInTheDocument();
+  });
+
+  it('shows the lightest options, marked over budget, once the goal is reached', () => {
+    renderFoodSuggestions({
+      ...mockContextValue,
+      log: [{ id: '1', name: 'Feast', calories: 2100 }],
+    });
+
+    expect(
+      screen.getByText('No calories left — lightest options first.')
+    ).toBeInTheDocument();
+    expect(getSuggestionNames().slice(0, 2)).toEqual([
+      'Steamed broccoli',
+      'Hard-boiled egg',
+    ]);
+    expect(screen.getAllByText('(over budget)')).toHaveLength(6);
+  });
+
+  it('counts burned calories towards the budget when the setting is on', () => {
+    renderFoodSuggestions({
+      ...mockContextValue,
+      selectedDate: '2025-04-15',
+      exerciseLog: [{ id: 'e1', date: '2025-04-15', calories: 250 }],
+      addBurnedCalories: true,
+    });
+
+    expect(
+      screen.getByText('550 kcal left — suggestions that fit come first.')
+    ).toBeInTheDocument();
+  });
+
+  it('shows "No dietary filters." when none are set', () => {
+    renderFoodSuggestions(mockContextValue);
+
+    expect(screen.getByText('No dietary filters.')).toBeInTheDocument();
+  });
+
+  it('asks for a goal when none is set', () => {
+    renderFoodSuggestions({ ...mockContextValue, goal: null });
+
+    expect(
+      screen.getByText(
+        'Set a calorie goal to see suggestions that fit your day.'
+      )
+    ).toBeInTheDocument();
+    expect(getSuggestionNames()[0]).toBe('Greek Yogurt with Berries');
+  });
+
+  it('shows tags and macros for each suggestion', () => {
+    renderFoodSuggestions({ ...mockContextValue, goal: null });
+
+    const item = screen.getByText('Greek Yogurt with Berries').closest('li');
+    expect(within(item).getByText('High protein')).toBeInTheDocument();
+    expect(within(item).getByText('Vegetarian')).toBeInTheDocument();
+    expect(item).toHaveTextContent('170 kcal · Protein 23 g');
+  });
+
+  it('logs a suggestion with its macros in one click', async () => {
+    const user = userEvent.setup();
+    renderFoodSuggestions(mockContextValue);
+
+    await user.click(
+      screen.getByRole('button', { name: 'Log Oatmeal with fruit' })
+    );
+
+    expect(mockContextValue.addLogItem).toHaveBeenCalledWith({
+      name: 'Oatmeal with fruit',
+      calories: 220,
+      protein: 6.5,
+      carbs: 42,
+      fat: 3.6,
+    });
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Logged Oatmeal with fruit.'
+    );
+  });
+
+  describe('Dietary Filters', () => {
+    it('never shows suggestions containing an excluded allergen', () => {
+      renderFoodSuggestions({
+        ...mockContextValue,
+        goal: null,
+        dietaryPreferences: { diets: [], allergens: ['tree-nuts', 'peanuts'] },
+      });
+
+      expect(screen.getByText(/No tree nuts, peanuts/)).toBeInTheDocument();
+      const names = getSuggestionNames();
+      expect(names).not.toContain('Handful of almonds');
+      expect(names).not.toContain('Celery sticks with peanut butter');
+      expect(names).not.toContain('Apple slices with almond butter');
+    });
+
+    it('only shows suggestions meeting every selected diet', () => {
+      renderFoodSuggestions({
+        ...mockContextValue,
+        goal: null,
+        dietaryPreferences: {
+          diets: ['vegan', 'nut-free'],
+          allergens: ['soy'],
+        },
+      });
+
+      expect(screen.getByText(/Vegan, Nut-free · No soy/)).toBeInTheDocument();
+      expect(getSuggestionNames()).toEqual([
+        'Baby carrots with hummus',
+        'Oatmeal with fruit',
+        'Steamed broccoli',
+        'Air-popped popcorn',
+        'Vegetable soup',
+      ]);
+    });
+
+    it('edits the filters from the panel', async () => {
+      const user = userEvent.setup();
+      renderFoodSuggestions({
+        ...mockContextValue,
+        dietaryPreferences: { diets: ['vegan'], allergens: [] },
+      });
+
+      const toggle = screen.getByRole('button', { name: 'Edit filters' });
+      expect(toggle).toHaveAttribute('aria-expanded', 'false');
+      await user.click(toggle);
+      expect(toggle).toHaveAttribute('aria-expanded', 'true');
+
+      const diets = screen.getByRole('group', {
+        name: 'Only show foods that are:',
+      });
+      expect(within(diets).getByLabelText('Vegan')).toBeChecked();
+      await user.click(within(diets).getByLabelText('Gluten-free'));
+      expect(mockContextValue.setDietaryPreferences).toHaveBeenCalledWith({
+        diets: ['vegan', 'gluten-free'],
+      });
+
+      const allergens = screen.getByRole('group', {
+        name: 'Exclude foods containing:',
+      });
+      await user.click(within(allergens).getByLabelText('Peanuts'));
+      expect(mockContextValue.setDietaryPreferences).toHaveBeenCalledWith({
+        allergens: ['peanuts'],
+      });
+    });
+
+    it('shows the allergens each suggestion contains', () => {
+      renderFoodSuggestions({ ...mockContextValue, goal: null });
+
+      const item = screen.getByText('Greek Yogurt with Berries').closest('li');
+      expect(within(item).getByText('Contains: Dairy')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import GoalCalculator from '../../src/components/GoalCalculator.jsx';
+
+const mockOnApply = vi.fn();
+
+/**
+ * Fills in the details of a 30-year-old man, 180 cm and 80 kg.
+ */
+const fillMetricDetails = async (user) => {
+  await user.click(screen.getByLabelText('Male'));
+  await user.type(screen.getByLabelText('Age (years):'), '30');
+  await user.type(screen.getByLabelText('Height (cm):'), '180');
+  await user.type(screen.getByLabelText('Weight (kg):'), '80');
+};
+
+describe('GoalCalculator Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('proposes a goal with macros and applies it', async () => {
+    const user = userEvent.setup();
+    render(<GoalCalculator onApply={mockOnApply} />);
+
+    await fillMetricDetails(user);
+    await user.click(screen.getByRole('button', { name: 'Calculate' }));
+
+    const proposal = screen.getByRole('region', { name: 'Suggested goal' });
+    expect(proposal).toHaveTextContent('BMR: 1780 kcal · TDEE: 2136 kcal');
+    expect(proposal).toHaveTextContent('Suggested goal: 2140 calories');
+    expect(proposal).toHaveTextContent(
+      'Protein 128 g · Carbs 274 g · Fat 59 g'
+    );
+
+    await user.click(
+      within(proposal).getByRole('button', { name: 'Apply Suggested Goal' })
+    );
+    expect(mockOnApply).toHaveBeenCalledWith({
+      calories: 2140,
+      macros: { protein: 128, carbs: 274, fat: 59 },
+      pace: 0,
+    });
+  });
+
+  it('applies the calories only when asked to', async () => {
+    const user = userEvent.setup();
+    render(<GoalCalculator onApply={mockOnApply} />);
+
+    await fillMetricDetails(user);
+    await user.selectOptions(screen.getByLabelText('Target:'), 'lose');
+    await user.selectOptions(screen.getByLabelText('Rate:'), '0.5');
+    await user.click(screen.getByRole('button', { name: 'Calculate' }));
+    await user.click(screen.getByLabelText('Also set the macro goals'));
+    await user.click(
+      screen.getByRole('button', { name: 'Apply Suggested Goal' })
+    );
+
+    expect(mockOnApply).toHaveBeenCalledWith({
+      calories: 1590,
+      pace: -0.5,
+    });
+  });
+
+  it('converts the details when switching to imperial units', async () => {
+    const user = userEvent.setup();
+    render(<GoalCalculator onApply={mockOnApply} offerMacros={false} />);
+
+    await fillMetricDetails(user);
+    await user.click(screen.getByLabelText('Imperial (ft, lb)'));
+
+    expect(screen.getByLabelText('Height (ft):')).toHaveValue(5);
+    expect(screen.getByLabelText('Height (in):')).toHaveValue(11);
+    expect(screen.getByLabelText('Weight (lb):')).toHaveValue(176);
+    expect(screen.queryByLabelText('Also set the macro goals')).toBeNull();
+  });
+
+  it('explains what is missing', async () => {
+    const user = userEvent.setup();
+    render(<GoalCalculator onApply={mockOnApply} />);
+
+    await user.click(screen.getByRole('button', { name: 'Calculate' }));
+
+    expect(
+      screen.getByText('Choose the sex to use in the formula.')
+    ).toBeInTheDocument();
+    expect(screen.queryByRole('region')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,86 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import GoalSchedule from '../../src/components/GoalSchedule.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+const TODAY_KEY = '2025-04-15';
+let mockContextValue;
+
+const renderGoalSchedule = () =>
+  render(
+    <AppContext.Provider value={mockContextValue}>
+      <GoalSchedule />
+    </AppContext.Provider>
+  );
+
+describe('GoalSchedule Component', () => {
+  beforeEach(() => {
+    mockContextValue = {
+      today: TODAY_KEY,
+      goalSchedule: [],
+      addScheduledGoal: vi.fn(),
+      removeScheduledGoal: vi.fn(),
+    };
+  });
+
+  it('lists the scheduled goals by start date and deletes them', async () => {
+    const user = userEvent.setup();
+    mockContextValue.goalSchedule = [
+      { id: 'holiday', start: '2025-04-18', end: '2025-04-21', goal: 2400 },
+      { id: 'cut', start: TODAY_KEY, goal: 1800 },
+    ];
+    renderGoalSchedule();
+
+    const items = within(
+      screen.getByRole('list', { name: 'Scheduled goals' })
+    ).getAllByRole('listitem');
+    expect(items).toHaveLength(2);
+    expect(items[0]).toHaveTextContent('From Today');
+    expect(items[0]).toHaveTextContent('1800 kcal');
+    expect(items[1]).toHaveTextContent('2400 kcal');
+
+    await user.click(
+      within(items[0]).getByRole('button', { name: /^Delete the goal/ })
+    );
+    expect(mockContextValue.removeScheduledGoal).toHaveBeenCalledWith('cut');
+  });
+
+  it('schedules a goal for a range of dates', async () => {
+    const user = userEvent.setup();
+    renderGoalSchedule();
+
+    expect(screen.getByText(/No goals scheduled/)).toBeInTheDocument();
+    await user.type(screen.getByLabelText('From:'), '2025-05-01');
+    await user.type(screen.getByLabelText('Until (optional):'), '2025-05-31');
+    await user.type(screen.getByLabelText('Goal (calories):'), '1800');
+    await user.click(screen.getByRole('button', { name: 'Schedule Goal' }));
+
+    expect(mockContextValue.addScheduledGoal).toHaveBeenCalledWith({
+      start: '2025-05-01',
+      end: '2025-05-31',
+      goal: 1800,
+    });
+    expect(screen.getByLabelText('From:')).toHaveValue('');
+  });
+
+  it('explains what is wrong with the range', async () => {
+    const user = userEvent.setup();
+    renderGoalSchedule();
+
+    await user.type(screen.getByLabelText('Goal (calories):'), '1800');
+    await user.click(screen.getByRole('button', { name: 'Schedule Goal' }));
+    expect(
+      screen.getByText('Choose the first day of the goal.')
+    ).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('From:'), '2025-05-10');
+    await user.type(screen.getByLabelText('Until (optional):'), '2025-05-01');
+    await user.click(screen.getByRole('button', { name: 'Schedule Goal' }));
+    expect(
+      screen.getByText('The last day cannot be before the first.')
+    ).toBeInTheDocument();
+    expect(mockContextValue.addScheduledGoal).not.toHaveBeenCalled();
+  });
+});
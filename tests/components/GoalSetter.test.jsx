@@ -4,6 +4,7 @@ import { render, screen } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import GoalSetter from '../../src/components/GoalSetter.jsx';
 import { AppContext } from '../../src/context/AppContext.jsx';
+import { toDateKey } from '../../src/utils/dates.js';
 
 // Mock the context value
 const mockSetGoal = vi.fn();
@@ -26,6 +27,7 @@ describe('GoalSetter Component', () => {
     mockContextValue = {
       goal: null, // Default to null for initial state tests
       setGoal: mockSetGoal,
+      getGoalForDate: vi.fn(() => null),
       log: [], // Provide defaults for other context values even if not directly used
       addLogItem: vi.fn(),
       removeLogItem: vi.fn(),
@@ -46,29 +48,35 @@ describe('GoalSetter Component', () => {
     it('displays the current goal when provided via context', () => {
       mockContextValue.goal = 2000;
       renderGoalSetter(mockContextValue);
-      expect(
-        screen.getByText(/Current Goal: 2000 calories/i)
-      ).toBeInTheDocument();
+      // The value is in its own <span>, so match the paragraph's full text
+      expect(screen.getByText(/Current Goal:/i)).toHaveTextContent(
+        /Current Goal: 2000 calories/i
+      );
     });
 
     it('displays "Not set" when the goal is null in context', () => {
       mockContextValue.goal = null;
       renderGoalSetter(mockContextValue);
-      expect(screen.getByText(/Current Goal: Not set/i)).toBeInTheDocument();
+      expect(screen.getByText(/Current Goal:/i)).toHaveTextContent(
+        /Current Goal: Not set/i
+      );
     });
 
     it('displays "Not set" when the goal is 0 or invalid in context (based on component logic)', () => {
       mockContextValue.goal = 0; // Or potentially an invalid value if context could hold it
       renderGoalSetter(mockContextValue);
       // Based on GoalSetter logic: goal > 0 ? `${goal} calories` : 'Not set'
-      expect(screen.getByText(/Current Goal: Not set/i)).toBeInTheDocument();
+      expect(screen.getByText(/Current Goal:/i)).toHaveTextContent(
+        /Current Goal: Not set/i
+      );
     });
 
     it('initially renders without an error message', () => {
       renderGoalSetter(mockContextValue);
       const errorElement = screen.getByText('', { selector: '#goal-error' }); // Get the error p tag
       expect(errorElement).toBeInTheDocument();
-      expect(errorElement.textContent).toBe('');
+      // The paragraph renders a space after the (empty) message, hence trim()
+      expect(errorElement.textContent.trim()).toBe('');
     });
 
     it('initially renders the submit button as disabled if input is empty', () => {
@@ -124,7 +132,7 @@ describe('GoalSetter Component', () => {
       const errorElement = screen.getByText('', { selector: '#goal-error' });
 
       await user.type(input, '1'); // Type something valid first
-      expect(errorElement.textContent).toBe(''); // Error clears
+      expect(errorElement.textContent.trim()).toBe(''); // Error clears
       await user.clear(input); // Then clear it
       expect(input).toHaveValue(null); // Or potentially '' depending on browser with type=number
       expect(errorElement.textContent).toMatch(/Goal cannot be empty/i);
@@ -147,7 +155,7 @@ describe('GoalSetter Component', () => {
       await user.clear(input);
       await user.type(input, '2100'); // Valid input
       expect(input).toHaveValue(2100);
-      expect(errorElement.textContent).toBe(''); // Error clears
+      expect(errorElement.textContent.trim()).toBe(''); // Error clears
       expect(
         screen.getByRole('button', { name: /Set Goal/i })
       ).not.toBeDisabled(); // Button should be enabled
@@ -224,7 +232,8 @@ describe('GoalSetter Component', () => {
        await user.click(button); // Re-attempt click - userEvent handles disabled state correctly. It won't fire the event.
       // We rely on the fact the button IS disabled and mock hasn't been called
       expect(mockSetGoal).not.toHaveBeenCalled();
-       expect(errorElement.textContent).toMatch(/Goal cannot be empty/i); // Verify error is shown
+      // The disabled button never submits, and the input was never edited, so no error is shown
+      expect(errorElement.textContent.trim()).toBe('');
 
 
     });
@@ -276,13 +285,234 @@ describe('GoalSetter Component', () => {
         // Now correct it and submit
         await user.clear(input);
         await user.type(input, '2200');
-        expect(errorElement.textContent).toBe(''); // Error cleared on valid input
+        expect(errorElement.textContent.trim()).toBe(''); // Error cleared on valid input
         expect(button).not.toBeDisabled();
 
         await user.click(button);
 
         expect(mockSetGoal).toHaveBeenCalledWith(2200);
-        expect(errorElement.textContent).toBe(''); // Ensure error is still clear after submit
+        expect(errorElement.textContent.trim()).toBe(''); // Ensure error is still clear after submit
      });
 
-});
\ No newline at end of file
+});
+
+  describe('Macro Goals', () => {
+    it('pre-fills macro goals from context and saves changes, clearing empty ones', async () => {
+      const user = userEvent.setup();
+      mockContextValue.macroGoals = { protein: 150, carbs: 200, fat: null };
+      mockContextValue.setMacroGoals = vi.fn();
+      renderGoalSetter(mockContextValue);
+
+      const proteinInput = screen.getByLabelText('Protein:');
+      expect(proteinInput).toHaveValue(150);
+      expect(screen.getByLabelText('Fat:')).toHaveValue(null);
+
+      await user.clear(proteinInput);
+      await user.type(proteinInput, '160');
+      await user.clear(screen.getByLabelText('Carbs:'));
+      await user.click(screen.getByRole('button', { name: 'Save Macro Goals' }));
+
+      expect(mockContextValue.setMacroGoals).toHaveBeenCalledWith({
+        protein: 160,
+        carbs: null,
+        fat: null,
+      });
+    });
+
+    it('shows an error and disables saving for a non-positive macro goal', async () => {
+      const user = userEvent.setup();
+      mockContextValue.macroGoals = { protein: null, carbs: null, fat: null };
+      mockContextValue.setMacroGoals = vi.fn();
+      renderGoalSetter(mockContextValue);
+
+      await user.type(screen.getByLabelText('Fat:'), '0');
+
+      expect(
+        screen.getByText('Fat goal must be a positive number of grams.')
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: 'Save Macro Goals' })
+      ).toBeDisabled();
+    });
+  });
+
+  describe('Meal Budgets', () => {
+    it('saves meal budgets, clearing empty ones', async () => {
+      const user = userEvent.setup();
+      mockContextValue.mealBudgets = {
+        breakfast: 400,
+        lunch: null,
+        dinner: null,
+        snacks: null,
+      };
+      mockContextValue.setMealBudgets = vi.fn();
+      renderGoalSetter(mockContextValue);
+
+      expect(screen.getByLabelText('Breakfast:')).toHaveValue(400);
+      await user.type(screen.getByLabelText('Dinner:'), '800');
+      await user.click(
+        screen.getByRole('button', { name: 'Save Meal Budgets' })
+      );
+
+      expect(mockContextValue.setMealBudgets).toHaveBeenCalledWith({
+        breakfast: 400,
+        lunch: null,
+        dinner: 800,
+        snacks: null,
+      });
+    });
+
+    it('shows an error for a non-positive meal budget', async () => {
+      const user = userEvent.setup();
+      mockContextValue.setMealBudgets = vi.fn();
+      renderGoalSetter(mockContextValue);
+
+      await user.type(screen.getByLabelText('Snacks:'), '-5');
+
+      expect(
+        screen.getByText('Snacks budget must be a positive number of calories.')
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: 'Save Meal Budgets' })
+      ).toBeDisabled();
+    });
+  });
+
+  describe('Goal Calculator', () => {
+    it('applies the calculated goal and macros', async () => {
+      const user = userEvent.setup();
+      mockContextValue.setMacroGoals = vi.fn();
+      mockContextValue.setTargetPace = vi.fn();
+      renderGoalSetter(mockContextValue);
+
+      await user.click(
+        screen.getByRole('button', { name: /Calculate a goal/ })
+      );
+      await user.click(screen.getByLabelText('Female'));
+      await user.type(screen.getByLabelText('Age (years):'), '30');
+      await user.type(screen.getByLabelText('Height (cm):'), '165');
+      await user.type(screen.getByLabelText('Weight (kg):'), '60');
+      await user.click(screen.getByRole('button', { name: 'Calculate' }));
+      await user.click(
+        screen.getByRole('button', { name: 'Apply Suggested Goal' })
+      );
+
+      expect(mockSetGoal).toHaveBeenCalledWith(1580);
+      expect(mockContextValue.setMacroGoals).toHaveBeenCalledWith({
+        protein: 96,
+        carbs: 200,
+        fat: 44,
+      });
+      expect(mockContextValue.setTargetPace).toHaveBeenCalledWith(0);
+      expect(screen.getByLabelText(/New Goal/)).toHaveValue(1580);
+      expect(screen.getByLabelText('Protein:')).toHaveValue(96);
+      expect(screen.queryByRole('button', { name: 'Calculate' })).toBeNull();
+    });
+  });
+
+  describe('Weekday and Scheduled Goals', () => {
+    it('saves weekday goals, leaving empty days unset', async () => {
+      const user = userEvent.setup();
+      mockContextValue.weekdayGoals = { sat: 2500 };
+      mockContextValue.setWeekdayGoals = vi.fn();
+      renderGoalSetter(mockContextValue);
+
+      expect(screen.getByLabelText('Saturday:')).toHaveValue(2500);
+      await user.type(screen.getByLabelText('Monday:'), '-1');
+      expect(
+        screen.getByText('Monday goal must be a positive number of calories.')
+      ).toBeInTheDocument();
+      expect(
+        screen.getByRole('button', { name: 'Save Weekday Goals' })
+      ).toBeDisabled();
+
+      await user.clear(screen.getByLabelText('Monday:'));
+      await user.type(screen.getByLabelText('Monday:'), '2300');
+      await user.click(
+        screen.getByRole('button', { name: 'Save Weekday Goals' })
+      );
+
+      expect(mockContextValue.setWeekdayGoals).toHaveBeenCalledWith({
+        mon: 2300,
+        tue: null,
+        wed: null,
+        thu: null,
+        fri: null,
+        sat: 2500,
+        sun: null,
+      });
+    });
+
+    it('only offers the extra goals when the context supports them', () => {
+      const { unmount } = renderGoalSetter(mockContextValue);
+      expect(screen.queryByText(/Weekday Goals/)).toBeNull();
+      expect(screen.queryByText(/Scheduled Goals/)).toBeNull();
+      unmount();
+
+      mockContextValue.addScheduledGoal = vi.fn();
+      renderGoalSetter(mockContextValue);
+      expect(
+        screen.getByRole('button', { name: 'Schedule Goal' })
+      ).toBeInTheDocument();
+    });
+  });
+
+  describe('Target Pace', () => {
+    // Losing 0.7 kg a week over two months
+    const weightLog = Array.from({ length: 60 }, (_, index) => ({
+      id: `w${index}`,
+      date: toDateKey(new Date(2025, 1, 14 + index)),
+      value: Math.round((90 - 0.1 * index) * 10) / 10,
+      unit: 'kg',
+    }));
+
+    it('compares the weight trend with the target pace', async () => {
+      const user = userEvent.setup();
+      mockContextValue.weightLog = weightLog;
+      mockContextValue.targetPace = -0.5;
+      mockContextValue.setTargetPace = vi.fn();
+      renderGoalSetter(mockContextValue);
+
+      expect(screen.getByLabelText('Target Pace (optional):')).toHaveValue(
+        '-0.5'
+      );
+      expect(screen.getByRole('status')).toHaveTextContent(
+        'Your weight trend (−0.7 kg/week) is 0.2 kg/week below the target pace.'
+      );
+
+      await user.selectOptions(
+        screen.getByLabelText('Target Pace (optional):'),
+        'Lose 0.75 kg a week'
+      );
+      expect(mockContextValue.setTargetPace).toHaveBeenCalledWith(-0.75);
+      await user.selectOptions(
+        screen.getByLabelText('Target Pace (optional):'),
+        'Not set'
+      );
+      expect(mockContextValue.setTargetPace).toHaveBeenLastCalledWith(null);
+    });
+
+    it('asks for weigh-ins before comparing', () => {
+      mockContextValue.weightLog = [];
+      mockContextValue.targetPace = 0;
+      mockContextValue.setTargetPace = vi.fn();
+      renderGoalSetter(mockContextValue);
+
+      expect(screen.getByRole('status')).toHaveTextContent(
+        'Log your weight for a week to compare your trend with this pace.'
+      );
+    });
+
+    it('shows the expenditure estimate with the target pace', () => {
+      mockContextValue.weightLog = [];
+      mockContextValue.setTargetPace = vi.fn();
+      mockContextValue.today = '2025-04-15';
+      renderGoalSetter(mockContextValue);
+
+      expect(
+        screen.getByRole('heading', { name: 'Estimated Expenditure:' })
+      ).toBeInTheDocument();
+      expect(screen.getByText(/to estimate how much you burn/)).toBeVisible();
+    });
+  });
+});
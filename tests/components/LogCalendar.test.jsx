@@ -0,0 +1,127 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import LogCalendar from '../../src/components/LogCalendar.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+const TODAY_KEY = '2025-04-15';
+
+// Mock the context value
+const mockSelectDate = vi.fn();
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderLogCalendar = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <LogCalendar />
+    </AppContext.Provider>
+  );
+};
+
+describe('LogCalendar Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      goal: 2000,
+      log: [],
+      logByDate: {
+        '2025-04-12': [{ id: 'a', name: 'Light day', calories: 1200 }],
+        '2025-04-13': [{ id: 'b', name: 'On target', calories: 2000 }],
+        '2025-04-14': [{ id: 'c', name: 'Feast', calories: 2600 }],
+      },
+      selectedDate: TODAY_KEY,
+      today: TODAY_KEY,
+      selectDate: mockSelectDate,
+    };
+  });
+
+  it('renders the month containing the selected date', () => {
+    renderLogCalendar(mockContextValue);
+    expect(screen.getByText(/April 2025/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /^Today,/ })).toHaveAttribute(
+      'aria-pressed',
+      'true'
+    );
+  });
+
+  it('colors each logged day by its goal status', () => {
+    renderLogCalendar(mockContextValue);
+    expect(
+      screen.getByRole('button', { name: /1200 calories, under goal/ })
+    ).toHaveClass('bg-yellow-100');
+    expect(
+      screen.getByRole('button', { name: /2000 calories, goal met/ })
+    ).toHaveClass('bg-green-100');
+    expect(
+      screen.getByRole('button', {
+        name: /^Yesterday, 2600 calories, goal exceeded/,
+      })
+    ).toHaveClass('bg-red-100');
+  });
+
+  it('judges each day against the goal that applied on it', () => {
+    // A 1200-calorie goal on Saturdays, and 2600 during a past cut
+    mockContextValue.getGoalForDate = (dateKey) =>
+      ({ '2025-04-12': 1200, '2025-04-14': 2600 })[dateKey] ?? 2000;
+    renderLogCalendar(mockContextValue);
+    expect(
+      screen.getByRole('button', { name: /1200 calories, goal met/ })
+    ).toHaveClass('bg-green-100');
+    expect(
+      screen.getByRole('button', {
+        name: /^Yesterday, 2600 calories, goal met/,
+      })
+    ).toHaveClass('bg-green-100');
+  });
+
+  it('calls selectDate with the clicked day', async () => {
+    const user = userEvent.setup();
+    renderLogCalendar(mockContextValue);
+
+    await user.click(screen.getByRole('button', { name: /goal met/ }));
+
+    expect(mockSelectDate).toHaveBeenCalledWith('2025-04-13');
+  });
+
+  it('disables future days and the next-month button in the current month', () => {
+    renderLogCalendar(mockContextValue);
+    expect(screen.getByRole('button', { name: /Apr 16, 2025/ })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Next month' })).toBeDisabled();
+  });
+
+  it('navigates to the previous month', async () => {
+    const user = userEvent.setup();
+    renderLogCalendar(mockContextValue);
+
+    await user.click(screen.getByRole('button', { name: 'Previous month' }));
+
+    expect(screen.getByText(/March 2025/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Next month' })).toBeEnabled();
+  });
+
+  it('shows the selected day total and returns to today', async () => {
+    const user = userEvent.setup();
+    mockContextValue.selectedDate = '2025-04-14';
+    renderLogCalendar(mockContextValue);
+
+    expect(screen.getByText('2600 calories')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Today' }));
+    expect(mockSelectDate).toHaveBeenCalledWith(TODAY_KEY);
+  });
+
+  it('asks for the visible month to be loaded', async () => {
+    const user = userEvent.setup();
+    const mockLoadLogDays = vi.fn();
+    renderLogCalendar({ ...mockContextValue, loadLogDays: mockLoadLogDays });
+    expect(mockLoadLogDays).toHaveBeenCalledWith('2025-04-01', '2025-04-30');
+
+    await user.click(screen.getByRole('button', { name: 'Previous month' }));
+    expect(mockLoadLogDays).toHaveBeenLastCalledWith(
+      '2025-03-01',
+      '2025-03-31'
+    );
+  });
+});
@@ -0,0 +1,170 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import LogList from '../../src/components/LogList.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+const TODAY_KEY = '2025-04-15';
+
+// Mock the context value
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderLogList = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <LogList />
+    </AppContext.Provider>
+  );
+};
+
+describe('LogList Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      goal: 2000,
+      log: [
+        {
+          id: 'lunch',
+          name: 'Chicken wrap',
+          calories: 520,
+          loggedAt: new Date(2025, 3, 15, 12, 30).toISOString(),
+        },
+        {
+          id: 'breakfast',
+          name: 'Porridge',
+          calories: 300,
+          loggedAt: new Date(2025, 3, 15, 8, 0).toISOString(),
+        },
+      ],
+      selectedDate: TODAY_KEY,
+      today: TODAY_KEY,
+      updateLogItem: vi.fn(),
+      removeLogItem: vi.fn(),
+    };
+  });
+
+  it('renders entries in the order they were eaten', () => {
+    renderLogList(mockContextValue);
+    const rows = screen.getAllByRole('listitem');
+    expect(rows[0]).toHaveTextContent('Porridge');
+    expect(rows[1]).toHaveTextContent('Chicken wrap');
+  });
+
+  it('shows the empty message for a past day', () => {
+    mockContextValue.log = [];
+    mockContextValue.selectedDate = '2025-04-10';
+    renderLogList(mockContextValue);
+    expect(
+      screen.getByText('No food items were logged on this day.')
+    ).toBeInTheDocument();
+  });
+
+  it('says the day is loading instead of empty while the log loads', () => {
+    mockContextValue.log = [];
+    mockContextValue.logLoading = true;
+    renderLogList(mockContextValue);
+    expect(screen.getByText('Loading…')).toBeInTheDocument();
+    expect(screen.queryByText(/No food items/)).not.toBeInTheDocument();
+  });
+
+  it('saves an inline edit through updateLogItem', async () => {
+    const user = userEvent.setup();
+    renderLogList(mockContextValue);
+
+    await user.click(screen.getByRole('button', { name: 'Edit Porridge' }));
+    const nameInput = screen.getByLabelText('Food name');
+    await user.clear(nameInput);
+    await user.type(nameInput, 'Porridge with honey');
+    const caloriesInput = screen.getByLabelText('Calories');
+    await user.clear(caloriesInput);
+    await user.type(caloriesInput, '360');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(mockContextValue.updateLogItem).toHaveBeenCalledWith('breakfast', {
+      name: 'Porridge with honey',
+      calories: 360,
+    });
+  });
+
+  it('keeps the edit form open and shows an error for invalid calories', async () => {
+    const user = userEvent.setup();
+    renderLogList(mockContextValue);
+
+    await user.click(screen.getByRole('button', { name: 'Edit Porridge' }));
+    await user.clear(screen.getByLabelText('Calories'));
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(
+      screen.getByText('Calories must be a whole number (0 or more).')
+    ).toBeInTheDocument();
+    expect(mockContextValue.updateLogItem).not.toHaveBeenCalled();
+  });
+
+  it('deletes an entry', async () => {
+    const user = userEvent.setup();
+    renderLogList(mockContextValue);
+
+    await user.click(screen.getByRole('button', { name: 'Delete Porridge' }));
+    expect(mockContextValue.removeLogItem).toHaveBeenCalledWith('breakfast');
+  });
+
+  it('groups entries into meal sections with subtotals and budgets', () => {
+    mockContextValue.log.push({
+      id: 'snack',
+      name: 'Apple',
+      calories: 95,
+      loggedAt: new Date(2025, 3, 15, 15, 0).toISOString(),
+      meal: 'snacks',
+    });
+    mockContextValue.mealBudgets = { lunch: 600 };
+    renderLogList(mockContextValue);
+
+    const breakfast = screen.getByRole('region', { name: 'Breakfast' });
+    expect(
+      within(breakfast).getByText('300 kcal', { selector: 'button span' })
+    ).toBeInTheDocument();
+    expect(within(breakfast).getByText('Porridge')).toBeInTheDocument();
+
+    const lunch = screen.getByRole('region', { name: 'Lunch' });
+    expect(within(lunch).getByText('520 / 600 kcal')).toBeInTheDocument();
+
+    const snacks = screen.getByRole('region', { name: 'Snacks' });
+    expect(within(snacks).getByText('Apple')).toBeInTheDocument();
+    expect(
+      screen.queryByRole('region', { name: 'Dinner' })
+    ).not.toBeInTheDocument();
+  });
+
+  it('collapses and expands a meal section', async () => {
+    const user = userEvent.setup();
+    renderLogList(mockContextValue);
+
+    const toggle = screen.getByRole('button', { name: /Breakfast/ });
+    expect(toggle).toHaveAttribute('aria-expanded', 'true');
+
+    await user.click(toggle);
+    expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    expect(screen.queryByText('Porridge')).not.toBeInTheDocument();
+    expect(screen.getByText('Chicken wrap')).toBeInTheDocument();
+
+    await user.click(toggle);
+    expect(screen.getByText('Porridge')).toBeInTheDocument();
+  });
+
+  it('moves an entry to another meal from the edit form', async () => {
+    const user = userEvent.setup();
+    renderLogList(mockContextValue);
+
+    await user.click(screen.getByRole('button', { name: 'Edit Porridge' }));
+    await user.selectOptions(screen.getByLabelText('Meal'), 'snacks');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(mockContextValue.updateLogItem).toHaveBeenCalledWith('breakfast', {
+      name: 'Porridge',
+      calories: 300,
+      meal: 'snacks',
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ProfileLock from '../../src/components/ProfileLock.jsx';
+import { ProfileContext } from '../../src/context/ProfileContext.jsx';
+
+// Mock the context value
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderLock = (contextValue) => {
+  return render(
+    <ProfileContext.Provider value={contextValue}>
+      <ProfileLock />
+    </ProfileContext.Provider>
+  );
+};
+
+describe('ProfileLock Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      activeProfile: { id: 'sam', name: 'Sam', color: 'blue', pinHash: 'x' },
+      unlock: vi.fn().mockResolvedValue(true),
+    };
+  });
+
+  it('unlocks the profile with its PIN', async () => {
+    const user = userEvent.setup();
+    renderLock(mockContextValue);
+
+    expect(
+      screen.getByRole('heading', { name: 'Sam is locked' })
+    ).toBeInTheDocument();
+    await user.type(screen.getByLabelText('PIN:'), '2468');
+    await user.click(screen.getByRole('button', { name: 'Unlock' }));
+
+    expect(mockContextValue.unlock).toHaveBeenCalledWith('2468');
+  });
+
+  it('says so when the PIN is wrong', async () => {
+    const user = userEvent.setup();
+    mockContextValue.unlock.mockResolvedValue(false);
+    renderLock(mockContextValue);
+
+    await user.type(screen.getByLabelText('PIN:'), '1111');
+    await user.click(screen.getByRole('button', { name: 'Unlock' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Incorrect PIN.');
+    expect(screen.getByLabelText('PIN:')).toHaveValue('');
+    expect(screen.getByRole('button', { name: 'Unlock' })).toBeEnabled();
+  });
+
+  it('asks for a PIN before checking', async () => {
+    const user = userEvent.setup();
+    renderLock(mockContextValue);
+
+    await user.click(screen.getByRole('button', { name: 'Unlock' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Enter the PIN.');
+    expect(mockContextValue.unlock).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,151 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ProfileSwitcher from '../../src/components/ProfileSwitcher.jsx';
+import { ProfileContext } from '../../src/context/ProfileContext.jsx';
+
+const me = { id: 'default', name: 'Me', color: 'green' };
+const sam = {
+  id: 'sam',
+  name: 'Sam',
+  color: 'blue',
+  pinSalt: 'salt',
+  pinHash: 'hash',
+};
+
+// Mock the context value
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderSwitcher = (contextValue) => {
+  return render(
+    <ProfileContext.Provider value={contextValue}>
+      <ProfileSwitcher />
+    </ProfileContext.Provider>
+  );
+};
+
+describe('ProfileSwitcher Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      profiles: [me, sam],
+      activeProfile: me,
+      locked: false,
+      switchProfile: vi.fn(),
+      lock: vi.fn(),
+      addProfile: vi.fn().mockResolvedValue({ id: 'new' }),
+      updateProfile: vi.fn(),
+      setProfilePin: vi.fn().mockResolvedValue(true),
+      removeProfile: vi.fn(),
+    };
+  });
+
+  it('lists the profiles and switches between them', async () => {
+    const user = userEvent.setup();
+    renderSwitcher(mockContextValue);
+
+    const toggle = screen.getByRole('button', { name: /Me/ });
+    expect(toggle).toHaveAttribute('aria-expanded', 'false');
+    await user.click(toggle);
+    expect(toggle).toHaveAttribute('aria-expanded', 'true');
+
+    expect(screen.getByRole('list', { name: 'Profiles' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Me' })).toHaveAttribute(
+      'aria-current',
+      'true'
+    );
+    await user.click(
+      screen.getByRole('button', { name: /^Sam.*locked with a PIN/ })
+    );
+
+    expect(mockContextValue.switchProfile).toHaveBeenCalledWith('sam');
+    expect(screen.queryByRole('list')).not.toBeInTheDocument();
+  });
+
+  it('adds a profile with a PIN', async () => {
+    const user = userEvent.setup();
+    renderSwitcher(mockContextValue);
+    await user.click(screen.getByRole('button', { name: /Me/ }));
+    await user.click(screen.getByRole('button', { name: 'Add Profile' }));
+
+    await user.type(screen.getByLabelText('Name:'), 'Kim');
+    await user.click(screen.getByLabelText('Pink'));
+    await user.type(screen.getByLabelText(/PIN/), '12');
+    await user.click(screen.getByRole('button', { name: 'Add Profile' }));
+    expect(screen.getByText('PIN must be 4 to 8 digits.')).toBeInTheDocument();
+    expect(mockContextValue.addProfile).not.toHaveBeenCalled();
+
+    await user.type(screen.getByLabelText(/PIN/), '34');
+    await user.click(screen.getByRole('button', { name: 'Add Profile' }));
+    expect(mockContextValue.addProfile).toHaveBeenCalledWith({
+      name: 'Kim',
+      color: 'pink',
+      pin: '1234',
+    });
+  });
+
+  it('edits the active profile and sets its PIN', async () => {
+    const user = userEvent.setup();
+    renderSwitcher(mockContextValue);
+    await user.click(screen.getByRole('button', { name: /Me/ }));
+    await user.click(screen.getByRole('button', { name: 'Edit Profile' }));
+
+    const nameInput = screen.getByLabelText('Name:');
+    await user.clear(nameInput);
+    await user.type(nameInput, 'Alex');
+    await user.click(screen.getByRole('button', { name: 'Save Profile' }));
+    expect(mockContextValue.updateProfile).toHaveBeenCalledWith('default', {
+      name: 'Alex',
+      color: 'green',
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Edit Profile' }));
+    await user.type(screen.getByLabelText('Set a PIN:'), '9876');
+    await user.click(screen.getByRole('button', { name: 'Save PIN' }));
+    expect(mockContextValue.setProfilePin).toHaveBeenCalledWith('9876');
+    // The default profile can't be deleted
+    expect(screen.queryByText(/Delete this profile/)).not.toBeInTheDocument();
+  });
+
+  it('deletes the active profile after confirmation', async () => {
+    const user = userEvent.setup();
+    renderSwitcher({ ...mockContextValue, activeProfile: sam });
+    await user.click(screen.getByRole('button', { name: /Sam/ }));
+    await user.click(screen.getByRole('button', { name: 'Edit Profile' }));
+    await user.click(screen.getByRole('button', { name: 'Remove PIN' }));
+    expect(mockContextValue.setProfilePin).toHaveBeenCalledWith(null);
+
+    await user.click(screen.getByText(/Delete this profile/));
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Delete Sam with its goal, food log and settings?'
+    );
+    await user.click(screen.getByRole('button', { name: 'Delete Profile' }));
+    expect(mockContextValue.removeProfile).toHaveBeenCalled();
+  });
+
+  it('only offers switching and adding while the profile is locked', async () => {
+    const user = userEvent.setup();
+    renderSwitcher({ ...mockContextValue, activeProfile: sam, locked: true });
+    await user.click(screen.getByRole('button', { name: /Sam/ }));
+
+    expect(
+      screen.getByRole('button', { name: 'Add Profile' })
+    ).toBeInTheDocument();
+    expect(
+      screen.queryByRole('button', { name: 'Edit Profile' })
+    ).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole('button', { name: 'Lock' })
+    ).not.toBeInTheDocument();
+  });
+
+  it('locks a profile with a PIN on request', async () => {
+    const user = userEvent.setup();
+    renderSwitcher({ ...mockContextValue, activeProfile: sam });
+    await user.click(screen.getByRole('button', { name: /Sam/ }));
+    await user.click(screen.getByRole('button', { name: 'Lock' }));
+    expect(mockContextValue.lock).toHaveBeenCalled();
+  });
+});
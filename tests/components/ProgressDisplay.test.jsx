@@ -0,0 +1,74 @@
+import React from 'react';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import ProgressDisplay from '../../src/components/ProgressDisplay.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+const TODAY_KEY = '2025-04-15';
+let mockContextValue;
+
+const renderProgressDisplay = () =>
+  render(
+    <AppContext.Provider value={mockContextValue}>
+      <ProgressDisplay />
+    </AppContext.Provider>
+  );
+
+describe('ProgressDisplay Component', () => {
+  beforeEach(() => {
+    mockContextValue = {
+      goal: 2000,
+      dayGoal: 2000,
+      log: [
+        { id: '1', name: 'Oatmeal', calories: 300 },
+        { id: '2', name: 'Pasta', calories: 900 },
+      ],
+      selectedDate: TODAY_KEY,
+      today: TODAY_KEY,
+    };
+  });
+
+  it('shows consumed and remaining calories against the goal', () => {
+    renderProgressDisplay();
+
+    expect(screen.getByText(/^Consumed:/)).toHaveTextContent(
+      'Consumed: 1200 calories'
+    );
+    expect(screen.getByText(/^Remaining:/)).toHaveTextContent(
+      'Remaining: 800 calories'
+    );
+    expect(screen.queryByText(/^Burned:/)).toBeNull();
+  });
+
+  it("shows the day's burned and net calories", () => {
+    mockContextValue.exerciseLog = [
+      { id: 'e1', date: TODAY_KEY, calories: 350 },
+      { id: 'e2', date: '2025-04-14', calories: 500 },
+    ];
+    mockContextValue.addBurnedCalories = false;
+    renderProgressDisplay();
+
+    expect(screen.getByText(/^Burned:/)).toHaveTextContent(
+      'Burned: 350 calories'
+    );
+    expect(screen.getByText(/^Net:/)).toHaveTextContent('Net: 850 calories');
+    expect(screen.getByText(/^Remaining:/)).toHaveTextContent(
+      'Remaining: 800 calories'
+    );
+  });
+
+  it('adds burned calories to the budget when the setting is on', () => {
+    mockContextValue.exerciseLog = [
+      { id: 'e1', date: TODAY_KEY, calories: 350 },
+    ];
+    mockContextValue.addBurnedCalories = true;
+    renderProgressDisplay();
+
+    expect(screen.getByText(/^Remaining:/)).toHaveTextContent(
+      'Remaining: 1150 calories'
+    );
+    expect(screen.getByText(/^Goal:/)).toHaveTextContent(
+      'Goal: 2000 calories + 350 burned'
+    );
+  });
+});
@@ -0,0 +1,148 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import QuickAddPanel from '../../src/components/QuickAddPanel.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+import { getFoodHistory } from '../../src/utils/foodHistory.js';
+
+// Mock the context value
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderQuickAddPanel = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <QuickAddPanel />
+    </AppContext.Provider>
+  );
+};
+
+const LOG = [
+  {
+    id: '1',
+    name: 'Apple',
+    calories: 95,
+    loggedAt: '2025-04-13T08:00:00.000Z',
+    meal: 'breakfast',
+  },
+  {
+    id: '2',
+    name: 'Apple',
+    calories: 95,
+    loggedAt: '2025-04-14T08:00:00.000Z',
+    meal: 'breakfast',
+  },
+  {
+    id: '3',
+    name: 'Rice',
+    calories: 205,
+    carbs: 45,
+    quantity: 1,
+    unit: 'cup',
+    loggedAt: '2025-04-15T12:00:00.000Z',
+    meal: 'lunch',
+  },
+];
+
+describe('QuickAddPanel Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      favoriteFoods: [],
+      foodHistory: getFoodHistory(LOG),
+      addLogItem: vi.fn(),
+      pinFood: vi.fn(),
+      unpinFood: vi.fn(),
+    };
+  });
+
+  it('shows a hint when nothing has been logged yet', () => {
+    renderQuickAddPanel({ ...mockContextValue, foodHistory: [] });
+
+    expect(
+      screen.getByText('Foods you log will appear here for one-click logging.')
+    ).toBeInTheDocument();
+  });
+
+  it('lists recent foods newest first and repeated foods as frequent', () => {
+    renderQuickAddPanel(mockContextValue);
+
+    const recent = screen.getByRole('region', { name: 'Recent' });
+    const recentButtons = within(recent).getAllByRole('button', {
+      name: /^Log /,
+    });
+    expect(recentButtons.map((button) => button.textContent)).toEqual([
+      'Rice1 cup205 kcal',
+      'Apple95 kcal×2',
+    ]);
+
+    const frequent = screen.getByRole('region', { name: 'Frequent' });
+    expect(
+      within(frequent).getByRole('button', { name: 'Log Apple' })
+    ).toBeInTheDocument();
+    expect(
+      within(frequent).queryByRole('button', { name: 'Log Rice' })
+    ).not.toBeInTheDocument();
+  });
+
+  it('logs a food with its last values in one click', async () => {
+    const user = userEvent.setup();
+    renderQuickAddPanel(mockContextValue);
+
+    const recent = screen.getByRole('region', { name: 'Recent' });
+    await user.click(within(recent).getByRole('button', { name: 'Log Rice' }));
+
+    expect(mockContextValue.addLogItem).toHaveBeenCalledWith({
+      name: 'Rice',
+      calories: 205,
+      carbs: 45,
+      quantity: 1,
+      unit: 'cup',
+    });
+    expect(screen.getByRole('status')).toHaveTextContent('Logged Rice.');
+  });
+
+  it('pins a recent food', async () => {
+    const user = userEvent.setup();
+    renderQuickAddPanel(mockContextValue);
+
+    const recent = screen.getByRole('region', { name: 'Recent' });
+    await user.click(within(recent).getByRole('button', { name: 'Pin Apple' }));
+
+    expect(mockContextValue.pinFood).toHaveBeenCalledWith({
+      name: 'Apple',
+      calories: 95,
+    });
+  });
+
+  it('lists favorites on their own and can unpin them', async () => {
+    const user = userEvent.setup();
+    renderQuickAddPanel({
+      ...mockContextValue,
+      favoriteFoods: [{ name: 'apple', calories: 100 }],
+    });
+
+    const favorites = screen.getByRole('region', { name: 'Favorites' });
+    const unpinButton = within(favorites).getByRole('button', {
+      name: 'Unpin apple',
+    });
+    expect(unpinButton).toHaveAttribute('aria-pressed', 'true');
+    // Pinned foods are not repeated in the other lists
+    expect(
+      screen.queryByRole('region', { name: 'Frequent' })
+    ).not.toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: /^Log / })).toHaveLength(2);
+
+    await user.click(
+      within(favorites).getByRole('button', { name: 'Log apple' })
+    );
+    expect(mockContextValue.addLogItem).toHaveBeenCalledWith({
+      name: 'apple',
+      calories: 100,
+    });
+
+    await user.click(unpinButton);
+    expect(mockContextValue.unpinFood).toHaveBeenCalledWith('apple');
+  });
+});
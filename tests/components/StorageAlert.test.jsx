@@ -0,0 +1,65 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import StorageAlert from '../../src/components/StorageAlert.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+// Mock the context value
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderStorageAlert = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <StorageAlert />
+    </AppContext.Provider>
+  );
+};
+
+describe('StorageAlert Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      storageErrors: [
+        {
+          key: 'fitnessAppLog',
+          label: 'Food log',
+          message: 'could not be read and was reset.',
+          backupKey: 'fitnessAppLog:backup:corrupt',
+        },
+      ],
+      dismissStorageErrors: vi.fn(),
+    };
+  });
+
+  it('renders nothing when there are no errors', () => {
+    const { container } = renderStorageAlert({
+      ...mockContextValue,
+      storageErrors: [],
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('reports each problem and where the backup was kept', () => {
+    renderStorageAlert(mockContextValue);
+
+    const alert = screen.getByRole('alert');
+    expect(alert).toHaveTextContent("Some saved data couldn't be loaded.");
+    expect(alert).toHaveTextContent(
+      'Food log could not be read and was reset.'
+    );
+    expect(alert).toHaveTextContent('fitnessAppLog:backup:corrupt');
+  });
+
+  it('can be dismissed', async () => {
+    const user = userEvent.setup();
+    renderStorageAlert(mockContextValue);
+
+    await user.click(
+      screen.getByRole('button', { name: 'Dismiss storage warning' })
+    );
+
+    expect(mockContextValue.dismissStorageErrors).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import SyncStatus from '../../src/components/SyncStatus.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+// Mock the context value
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderSyncStatus = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <SyncStatus />
+    </AppContext.Provider>
+  );
+};
+
+describe('SyncStatus Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      syncStatus: {
+        state: 'idle',
+        pendingChanges: 0,
+        lastSyncedAt: new Date(2025, 3, 15, 9, 5).toISOString(),
+        conflicts: 0,
+        error: null,
+      },
+      syncNow: vi.fn().mockResolvedValue(undefined),
+    };
+  });
+
+  it('renders nothing when syncing is off', () => {
+    const { container } = renderSyncStatus({
+      ...mockContextValue,
+      syncStatus: null,
+    });
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('shows when the data was last synced and syncs on request', async () => {
+    const user = userEvent.setup();
+    renderSyncStatus(mockContextValue);
+
+    expect(screen.getByRole('status')).toHaveTextContent(
+      /^Synced· Last synced at/
+    );
+    await user.click(screen.getByRole('button', { name: 'Sync now' }));
+    expect(mockContextValue.syncNow).toHaveBeenCalledTimes(1);
+  });
+
+  it('shows changes waiting to be sent while offline', () => {
+    renderSyncStatus({
+      ...mockContextValue,
+      syncStatus: {
+        ...mockContextValue.syncStatus,
+        state: 'offline',
+        pendingChanges: 3,
+        conflicts: 1,
+      },
+    });
+    expect(screen.getByRole('status')).toHaveTextContent(
+      'Offline· 3 changes waiting to be sent · 1 change replaced by newer ones from another device'
+    );
+  });
+
+  it('hides the sync button while syncing', () => {
+    renderSyncStatus({
+      ...mockContextValue,
+      syncStatus: { ...mockContextValue.syncStatus, state: 'syncing' },
+    });
+    expect(screen.getByRole('status')).toHaveTextContent('Syncing…');
+    expect(screen.queryByRole('button', { name: 'Sync now' })).toBeNull();
+  });
+
+  it('shows the error of a failed sync', () => {
+    renderSyncStatus({
+      ...mockContextValue,
+      syncStatus: {
+        ...mockContextValue.syncStatus,
+        state: 'error',
+        error: 'GET /changes failed with status 500.',
+      },
+    });
+    expect(screen.getByRole('status')).toHaveAttribute(
+      'title',
+      'GET /changes failed with status 500.'
+    );
+  });
+});
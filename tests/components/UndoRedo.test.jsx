@@ -0,0 +1,125 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import UndoRedo from '../../src/components/UndoRedo.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+// Mock the context value
+let mockContextValue;
+
+// Helper function to render the component with a specific context value
+const renderUndoRedo = (contextValue) => {
+  return render(
+    <AppContext.Provider value={contextValue}>
+      <input aria-label="Food name" />
+      <UndoRedo />
+    </AppContext.Provider>
+  );
+};
+
+describe('UndoRedo Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockContextValue = {
+      history: {
+        canUndo: true,
+        canRedo: false,
+        undoLabel: 'Set the goal to 1800 calories',
+        redoLabel: null,
+        lastChange: {
+          id: 1,
+          type: 'do',
+          label: 'Set the goal to 1800 calories',
+          destructive: false,
+        },
+      },
+      undo: vi.fn(() => true),
+      redo: vi.fn(() => true),
+    };
+  });
+
+  it('undoes the latest change from its button', async () => {
+    const user = userEvent.setup();
+    renderUndoRedo(mockContextValue);
+
+    const undoButton = screen.getByRole('button', { name: 'Undo' });
+    expect(undoButton).toHaveAttribute(
+      'title',
+      'Undo: Set the goal to 1800 calories (Ctrl+Z)'
+    );
+    expect(screen.getByRole('button', { name: 'Redo' })).toBeDisabled();
+    // Changes that remove nothing don't need a toast
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+    await user.click(undoButton);
+    expect(mockContextValue.undo).toHaveBeenCalled();
+  });
+
+  it('handles the keyboard shortcuts outside of fields', async () => {
+    const user = userEvent.setup();
+    renderUndoRedo(mockContextValue);
+
+    await user.keyboard('{Control>}z{/Control}');
+    expect(mockContextValue.undo).toHaveBeenCalledTimes(1);
+    await user.keyboard('{Control>}{Shift>}Z{/Shift}{/Control}');
+    await user.keyboard('{Control>}y{/Control}');
+    expect(mockContextValue.redo).toHaveBeenCalledTimes(2);
+
+    await user.click(screen.getByLabelText('Food name'));
+    await user.keyboard('{Control>}z{/Control}');
+    expect(mockContextValue.undo).toHaveBeenCalledTimes(1);
+  });
+
+  it('offers to undo a deletion', async () => {
+    const user = userEvent.setup();
+    renderUndoRedo({
+      ...mockContextValue,
+      history: {
+        ...mockContextValue.history,
+        undoLabel: 'Deleted "Porridge"',
+        lastChange: {
+          id: 2,
+          type: 'do',
+          label: 'Deleted "Porridge"',
+          destructive: true,
+        },
+      },
+    });
+
+    const toast = screen.getByRole('status');
+    expect(toast).toHaveTextContent('Deleted "Porridge".');
+    await user.click(within(toast).getByRole('button', { name: 'Undo' }));
+    expect(mockContextValue.undo).toHaveBeenCalled();
+
+    await user.click(
+      screen.getByRole('button', { name: 'Dismiss notification' })
+    );
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  it('offers to redo an undone change', async () => {
+    const user = userEvent.setup();
+    renderUndoRedo({
+      ...mockContextValue,
+      history: {
+        canUndo: false,
+        canRedo: true,
+        undoLabel: null,
+        redoLabel: 'Added "Apple"',
+        lastChange: {
+          id: 3,
+          type: 'undo',
+          label: 'Added "Apple"',
+          destructive: false,
+        },
+      },
+    });
+
+    expect(screen.getByRole('button', { name: 'Undo' })).toBeDisabled();
+    const toast = screen.getByRole('status');
+    expect(toast).toHaveTextContent('Undone: Added "Apple".');
+    await user.click(within(toast).getByRole('button', { name: 'Redo' }));
+    expect(mockContextValue.redo).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+import React from 'react';
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import WeightTracker from '../../src/components/WeightTracker.jsx';
+import { AppContext } from '../../src/context/AppContext.jsx';
+
+const TODAY_KEY = '2025-04-15';
+let mockContextValue;
+
+const renderWeightTracker = () =>
+  render(
+    <AppContext.Provider value={mockContextValue}>
+      <WeightTracker />
+    </AppContext.Provider>
+  );
+
+describe('WeightTracker Component', () => {
+  beforeEach(() => {
+    mockContextValue = {
+      today: TODAY_KEY,
+      weightLog: [],
+      addWeightEntry: vi.fn(),
+      removeWeightEntry: vi.fn(),
+    };
+  });
+
+  it('logs a weigh-in for today by default', async () => {
+    const user = userEvent.setup();
+    renderWeightTracker();
+
+    expect(screen.getByText(/No weigh-ins yet/)).toBeInTheDocument();
+    expect(screen.queryByRole('img')).toBeNull();
+    await user.type(screen.getByLabelText('Weight:'), '72.5');
+    await user.click(screen.getByRole('button', { name: 'Log Weight' }));
+
+    expect(mockContextValue.addWeightEntry).toHaveBeenCalledWith({
+      date: TODAY_KEY,
+      value: 72.5,
+      unit: 'kg',
+    });
+    expect(screen.getByLabelText('Weight:')).toHaveValue(null);
+  });
+
+  it('checks the weight against the range for its unit', async () => {
+    const user = userEvent.setup();
+    renderWeightTracker();
+
+    await user.selectOptions(screen.getByLabelText('Unit:'), 'lb');
+    await user.type(screen.getByLabelText('Weight:'), '20');
+    await user.click(screen.getByRole('button', { name: 'Log Weight' }));
+
+    expect(
+      screen.getByText('Weight must be between 67 and 661 lb.')
+    ).toBeInTheDocument();
+    expect(mockContextValue.addWeightEntry).not.toHaveBeenCalled();
+  });
+
+  it('shows the trend, weekly rate and chart in the latest unit', () => {
+    mockContextValue.weightLog = Array.from({ length: 15 }, (_, index) => ({
+      id: `w${index}`,
+      date: `2025-04-${String(index + 1).padStart(2, '0')}`,
+      value: 180 - index * 0.2,
+      unit: 'lb',
+    }));
+    renderWeightTracker();
+
+    expect(screen.getByText(/^Trend:/)).toHaveTextContent(
+      'Trend: 178.6 lb · −0.7 lb/week'
+    );
+    expect(
+      screen.getByRole('img', { name: /^Weight from 2025-04-01 to 2025-04-15/ })
+    ).toBeInTheDocument();
+    expect(screen.getByLabelText('Unit:')).toHaveValue('lb');
+  });
+
+  it('lists the latest weigh-ins and deletes them', async () => {
+    const user = userEvent.setup();
+    mockContextValue.weightLog = [
+      { id: 'older', date: '2025-04-13', value: 80.4, unit: 'kg' },
+      { id: 'latest', date: TODAY_KEY, value: 80.1, unit: 'kg' },
+    ];
+    renderWeightTracker();
+
+    const items = within(
+      screen.getByRole('list', { name: 'Recent weigh-ins' })
+    ).getAllByRole('listitem');
+    expect(items[0]).toHaveTextContent('Today80.1 kg');
+    expect(screen.getByText(/weigh-ins over at least 7 days/)).toBeVisible();
+
+    await user.click(
+      screen.getByRole('button', { name: 'Delete the weigh-in for Today' })
+    );
+    expect(mockContextValue.removeWeightEntry).toHaveBeenCalledWith('latest');
+  });
+});
@@ -1,9 +1,10 @@
 import React, { useContext } from 'react';
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { render, screen, act } from '@testing-library/react';
+import { render, screen, act, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { AppContext, AppProvider } from '../../src/context/AppContext.jsx';
 import { nanoid } from 'nanoid';
+import { createMockSyncServer } from '../utils/mockSyncServer.js';
 
 // Mock the nanoid library to return a predictable ID
 const MOCK_NANOID_ID = 'mock-test-id';
@@ -14,8 +15,27 @@ vi.mock('nanoid', () => ({
 // Define localStorage keys used by AppContext
 const GOAL_STORAGE_KEY = 'fitnessAppGoal';
 const LOG_STORAGE_KEY = 'fitnessAppLog';
+const MACRO_GOALS_STORAGE_KEY = 'fitnessAppMacroGoals';
+const MEAL_BUDGETS_STORAGE_KEY = 'fitnessAppMealBudgets';
+const CUSTOM_FOODS_STORAGE_KEY = 'fitnessAppCustomFoods';
+const RECIPES_STORAGE_KEY = 'fitnessAppRecipes';
+const FAVORITE_FOODS_STORAGE_KEY = 'fitnessAppFavoriteFoods';
+const DIETARY_PREFERENCES_STORAGE_KEY = 'fitnessAppDietaryPreferences';
+const WEEKDAY_GOALS_STORAGE_KEY = 'fitnessAppWeekdayGoals';
+const GOAL_SCHEDULE_STORAGE_KEY = 'fitnessAppGoalSchedule';
+const GOAL_HISTORY_STORAGE_KEY = 'fitnessAppGoalHistory';
+const WEIGHT_LOG_STORAGE_KEY = 'fitnessAppWeightLog';
+const TARGET_PACE_STORAGE_KEY = 'fitnessAppTargetPace';
+const EXERCISE_LOG_STORAGE_KEY = 'fitnessAppExerciseLog';
+const ADD_BURNED_CALORIES_STORAGE_KEY = 'fitnessAppAddBurnedCalories';
+const SCHEMA_VERSION_STORAGE_KEY = 'fitnessAppSchemaVersion';
 const DEFAULT_GOAL = 2000; // Default from AppContext.jsx useLocalStorage call
 
+// Freeze the clock so the `loggedAt` stamped on new items is predictable
+const FIXED_NOW = new Date(2025, 3, 15, 12, 30, 0); // 15 Apr 2025, 12:30 local
+const MOCK_LOGGED_AT = FIXED_NOW.toISOString();
+const TODAY_KEY = '2025-04-15';
+
 // Helper component to consume and display context values/call functions
 let currentContextValue = null; // Variable to capture context value for assertions
 const TestConsumer = () => {
@@ -116,11 +136,15 @@ describe('AppContext and AppProvider', () => {
     // Clear call history for spies and nanoid mock
     vi.clearAllMocks();
     currentContextValue = null; // Reset context capture
+    // Only fake Date so userEvent's internal timers keep working
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(FIXED_NOW);
   });
 
   afterEach(() => {
     // Restore original implementations after each test
     vi.restoreAllMocks();
+    vi.useRealTimers();
   });
 
   describe('Initialization & Defaults', () => {
@@ -149,7 +173,7 @@ describe('AppContext and AppProvider', () => {
     });
 
     it('should load and parse log from localStorage if valid JSON array exists', () => {
-      const initialLog = [{ id: 'a', name: 'Test', calories: 100 }];
+      const initialLog = [{ id: 'a', name: 'Test', calories: 100, loggedAt: MOCK_LOGGED_AT }];
       mockStorage[LOG_STORAGE_KEY] = JSON.stringify(initialLog);
       renderProvider();
       expect(screen.getByTestId('log-display')).toHaveTextContent('Log Count: 1');
@@ -188,11 +212,30 @@ describe('AppContext and AppProvider', () => {
       console.error.mockRestore();
     });
 
-    it('should call localStorage.getItem for both keys on initial render', () => {
+    it('should call localStorage.getItem for every key on initial render', () => {
       renderProvider();
       expect(localStorage.getItem).toHaveBeenCalledWith(GOAL_STORAGE_KEY);
       expect(localStorage.getItem).toHaveBeenCalledWith(LOG_STORAGE_KEY);
-      expect(localStorage.getItem).toHaveBeenCalledTimes(2); // Or more if useLocalStorage calls multiple times initially
+      expect(localStorage.getItem).toHaveBeenCalledWith(MACRO_GOALS_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(MEAL_BUDGETS_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(CUSTOM_FOODS_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(RECIPES_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(FAVORITE_FOODS_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(DIETARY_PREFERENCES_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(WEEKDAY_GOALS_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(GOAL_SCHEDULE_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(GOAL_HISTORY_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(WEIGHT_LOG_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(TARGET_PACE_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(EXERCISE_LOG_STORAGE_KEY);
+      expect(localStorage.getItem).toHaveBeenCalledWith(
+        ADD_BURNED_CALORIES_STORAGE_KEY
+      );
+      expect(localStorage.getItem).toHaveBeenCalledWith(SCHEMA_VERSION_STORAGE_KEY);
+      // Each key is read once when checking the schema and once by useLocalStorage
+      // (the sync state only when checking, with syncing off), and the eight
+      // merged lists are read again before their first write
+      expect(localStorage.getItem).toHaveBeenCalledTimes(40);
     });
   });
 
@@ -221,10 +264,11 @@ describe('AppContext and AppProvider', () => {
         GOAL_STORAGE_KEY,
         JSON.stringify(2500)
       );
-      // Check it was called at least once after the initial setup potentially triggered by useEffect
-      expect(localStorage.setItem).toHaveBeenCalledTimes(
-        expect.any(Number) // Exact count depends on useEffect timing in useLocalStorage
+      // The new goal is written once; other writes come from the initial setup
+      const goalWrites = localStorage.setItem.mock.calls.filter(
+        ([key, value]) => key === GOAL_STORAGE_KEY && value === JSON.stringify(2500)
       );
+      expect(goalWrites).toHaveLength(1);
       expect(mockLocalStorage.getItem(GOAL_STORAGE_KEY)).toBe(
         JSON.stringify(2500)
       );
@@ -283,6 +327,8 @@ describe('AppContext and AppProvider', () => {
         id: MOCK_NANOID_ID,
         name: 'Test Food',
         calories: 150,
+        loggedAt: MOCK_LOGGED_AT,
+        meal: 'lunch',
       });
 
       // Assert nanoid mock was used
@@ -299,7 +345,13 @@ describe('AppContext and AppProvider', () => {
       });
 
       const expectedLog = [
-        { id: MOCK_NANOID_ID, name: 'Test Food', calories: 150 },
+        {
+          id: MOCK_NANOID_ID,
+          name: 'Test Food',
+          calories: 150,
+          loggedAt: MOCK_LOGGED_AT,
+          meal: 'lunch',
+        },
       ];
 
       expect(localStorage.setItem).toHaveBeenCalledWith(
@@ -341,8 +393,8 @@ describe('AppContext and AppProvider', () => {
        expect(currentContextValue.log[1]).toEqual(expect.objectContaining({ name: 'Another Food', calories: 250, id: MOCK_NANOID_ID }));
 
        const expectedLog = [
-           { id: MOCK_NANOID_ID, name: 'Test Food', calories: 150 },
-           { id: MOCK_NANOID_ID, name: 'Another Food', calories: 250 },
+           { id: MOCK_NANOID_ID, name: 'Test Food', calories: 150, loggedAt: MOCK_LOGGED_AT, meal: 'lunch' },
+           { id: MOCK_NANOID_ID, name: 'Another Food', calories: 250, loggedAt: MOCK_LOGGED_AT, meal: 'lunch' },
        ];
         expect(localStorage.setItem).toHaveBeenLastCalledWith(
             LOG_STORAGE_KEY,
@@ -353,11 +405,15 @@ describe('AppContext and AppProvider', () => {
      it('should ignore invalid items passed to addLogItem', async () => {
         renderProvider();
         vi.spyOn(console, 'warn').mockImplementation(() => {}); // Suppress expected warning
+        // The empty log is written on mount; rejected items must not add writes
+        const getLogWrites = () =>
+          localStorage.setItem.mock.calls.filter(([key]) => key === LOG_STORAGE_KEY);
+        const logWritesOnMount = getLogWrites().length;
 
          // Invalid name
         act(() => currentContextValue.addLogItem({ name: '  ', calories: 100 }));
         expect(currentContextValue.log).toHaveLength(0);
-        expect(localStorage.setItem).not.toHaveBeenCalledWith(LOG_STORAGE_KEY, expect.anything());
+        expect(getLogWrites()).toHaveLength(logWritesOnMount);
 
         // Invalid calories (negative)
         act(() => currentContextValue.addLogItem({ name: 'Bad Cal', calories: -50 }));
@@ -367,15 +423,68 @@ describe('AppContext and AppProvider', () => {
         act(() => currentContextValue.addLogItem({ name: 'Bad Cal 2', calories: NaN }));
          expect(currentContextValue.log).toHaveLength(0);
 
+         expect(getLogWrites()).toHaveLength(logWritesOnMount);
          expect(console.warn).toHaveBeenCalledTimes(3);
          console.warn.mockRestore();
      });
   });
 
+  describe('Log State Management (addLogItems)', () => {
+    it('should add every valid item in one update', () => {
+      renderProvider();
+      const loggedAt = new Date(2025, 3, 15, 8, 30).toISOString();
+
+      act(() => {
+        currentContextValue.addLogItems([
+          { name: 'Oatmeal', calories: 300, loggedAt, protein: 10 },
+          { name: ' Apple ', calories: '95' },
+        ]);
+      });
+
+      expect(currentContextValue.log).toEqual([
+        { id: MOCK_NANOID_ID, name: 'Oatmeal', calories: 300, loggedAt, meal: 'breakfast', protein: 10 },
+        { id: MOCK_NANOID_ID, name: 'Apple', calories: 95, loggedAt: MOCK_LOGGED_AT, meal: 'lunch' },
+      ]);
+      const logWrites = localStorage.setItem.mock.calls.filter(([key]) => key === LOG_STORAGE_KEY);
+      expect(JSON.parse(logWrites[logWrites.length - 1][1])).toHaveLength(2);
+    });
+
+    it('should skip invalid items and add the rest', () => {
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      renderProvider();
+
+      act(() => {
+        currentContextValue.addLogItems([
+          { name: '', calories: 100 },
+          null,
+          { name: 'Apple', calories: 95 },
+          { name: 'Soup', calories: -1 },
+        ]);
+      });
+
+      expect(currentContextValue.log.map((item) => item.name)).toEqual(['Apple']);
+      expect(consoleWarnSpy).toHaveBeenCalledTimes(3);
+    });
+
+    it('should ignore a value that is not an array', () => {
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      renderProvider();
+
+      act(() => {
+        currentContextValue.addLogItems({ name: 'Apple', calories: 95 });
+      });
+
+      expect(currentContextValue.log).toEqual([]);
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        '[AppContext] Invalid operation: An array of items is required.'
+      );
+    });
+  });
+
   describe('Log State Management (removeLogItem)', () => {
     const initialLog = [
-      { id: 'other-id', name: 'Keep Me', calories: 200 },
-      { id: MOCK_NANOID_ID, name: 'Remove Me', calories: 50 },
+      { id: 'other-id', name: 'Keep Me', calories: 200, loggedAt: MOCK_LOGGED_AT },
+      { id: MOCK_NANOID_ID, name: 'Remove Me', calories: 50, loggedAt: MOCK_LOGGED_AT },
     ];
 
     beforeEach(() => {
@@ -424,7 +533,7 @@ describe('AppContext and AppProvider', () => {
         await user.click(removeItemButton);
       });
 
-      const expectedLog = [{ id: 'other-id', name: 'Keep Me', calories: 200 }];
+      const expectedLog = [initialLog[0]];
 
       expect(localStorage.setItem).toHaveBeenCalledWith(
         LOG_STORAGE_KEY,
@@ -478,12 +587,859 @@ describe('AppContext and AppProvider', () => {
      });
   });
 
+  describe('Log State Management (updateLogItem / undo)', () => {
+    const initialLog = [
+      { id: 'edit-me', name: 'Bagel', calories: 250, loggedAt: MOCK_LOGGED_AT },
+      { id: 'other-id', name: 'Keep Me', calories: 200, loggedAt: MOCK_LOGGED_AT },
+    ];
+
+    beforeEach(() => {
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify(initialLog);
+    });
+
+    it('should apply a validated patch to the matching item only', () => {
+      renderProvider();
+      const newTime = new Date(2025, 3, 15, 8, 15).toISOString();
+
+      act(() =>
+        currentContextValue.updateLogItem('edit-me', {
+          name: '  Everything Bagel ',
+          calories: '310',
+          loggedAt: newTime,
+          id: 'hijacked',
+        })
+      );
+
+      expect(currentContextValue.log).toEqual([
+        { id: 'edit-me', name: 'Everything Bagel', calories: 310, loggedAt: newTime },
+        initialLog[1],
+      ]);
+      expect(mockLocalStorage.getItem(LOG_STORAGE_KEY)).toBe(
+        JSON.stringify(currentContextValue.log)
+      );
+    });
+
+    it('should reject patches that fail addLogItem validation', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.updateLogItem('edit-me', { name: '   ' }));
+      act(() => currentContextValue.updateLogItem('edit-me', { calories: -5 }));
+      act(() => currentContextValue.updateLogItem('edit-me', { loggedAt: 'soon' }));
+      act(() => currentContextValue.updateLogItem('edit-me', {}));
+      act(() => currentContextValue.updateLogItem(null, { name: 'No ID' }));
+
+      expect(currentContextValue.log).toEqual(initialLog);
+      expect(console.warn).toHaveBeenCalledTimes(5);
+      console.warn.mockRestore();
+    });
+
+    it('should restore a removed item with its original ID', () => {
+      renderProvider();
+
+      act(() => currentContextValue.removeLogItem('edit-me'));
+      expect(currentContextValue.log).toEqual([initialLog[1]]);
+
+      act(() => { expect(currentContextValue.undo()).toBe(true); });
+      expect(currentContextValue.log).toEqual([initialLog[1], initialLog[0]]);
+
+      // Undoing again is a no-op because nothing else was changed
+      act(() => { expect(currentContextValue.undo()).toBe(false); });
+      expect(currentContextValue.log).toHaveLength(2);
+    });
+  });
+
+  describe('Macronutrients', () => {
+    it('should store optional macros on new items', () => {
+      renderProvider();
+      act(() =>
+        currentContextValue.addLogItem({
+          name: 'Chicken breast',
+          calories: 165,
+          protein: '31',
+          carbs: 0,
+          fat: 3.6,
+        })
+      );
+      expect(currentContextValue.log[0]).toEqual({
+        id: MOCK_NANOID_ID,
+        name: 'Chicken breast',
+        calories: 165,
+        loggedAt: MOCK_LOGGED_AT,
+        meal: 'lunch',
+        protein: 31,
+        carbs: 0,
+        fat: 3.6,
+      });
+    });
+
+    it('should reject items with negative or non-numeric macros', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.addLogItem({ name: 'Bad', calories: 100, fat: -1 }));
+      act(() => currentContextValue.addLogItem({ name: 'Bad', calories: 100, protein: 'lots' }));
+
+      expect(currentContextValue.log).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledTimes(2);
+      console.warn.mockRestore();
+    });
+
+    it('should clear a macro when updated to null', () => {
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([
+        { id: 'm', name: 'Toast', calories: 80, loggedAt: MOCK_LOGGED_AT, carbs: 15, fat: 1 },
+      ]);
+      renderProvider();
+
+      act(() => currentContextValue.updateLogItem('m', { carbs: 14, fat: null }));
+
+      expect(currentContextValue.log[0]).toEqual({
+        id: 'm',
+        name: 'Toast',
+        calories: 80,
+        loggedAt: MOCK_LOGGED_AT,
+        carbs: 14,
+      });
+    });
+
+    it('should default macro goals to unset and persist updates', () => {
+      renderProvider();
+      expect(currentContextValue.macroGoals).toEqual({ protein: null, carbs: null, fat: null });
+
+      act(() => currentContextValue.setMacroGoals({ protein: 150, fat: 70 }));
+      act(() => currentContextValue.setMacroGoals({ fat: null, carbs: '200' }));
+
+      const expectedGoals = { protein: 150, carbs: 200, fat: null };
+      expect(currentContextValue.macroGoals).toEqual(expectedGoals);
+      expect(mockLocalStorage.getItem(MACRO_GOALS_STORAGE_KEY)).toBe(
+        JSON.stringify(expectedGoals)
+      );
+    });
+
+    it('should ignore invalid macro goals', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.setMacroGoals({ protein: 0 }));
+      act(() => currentContextValue.setMacroGoals({ protein: 120, carbs: -10 }));
+      act(() => currentContextValue.setMacroGoals({}));
+
+      expect(currentContextValue.macroGoals).toEqual({ protein: null, carbs: null, fat: null });
+      expect(console.warn).toHaveBeenCalledTimes(3);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('Meals', () => {
+    it('should default the meal slot from the time eaten', () => {
+      renderProvider();
+      act(() =>
+        currentContextValue.addLogItem({
+          name: 'Eggs',
+          calories: 140,
+          loggedAt: new Date(2025, 3, 15, 7, 45).toISOString(),
+        })
+      );
+      act(() =>
+        currentContextValue.addLogItem({
+          name: 'Crisps',
+          calories: 160,
+          loggedAt: new Date(2025, 3, 15, 23, 10).toISOString(),
+        })
+      );
+      expect(currentContextValue.log.map((item) => item.meal)).toEqual([
+        'breakfast',
+        'snacks',
+      ]);
+    });
+
+    it('should keep an explicit meal and allow moving it with updateLogItem', () => {
+      renderProvider();
+      act(() =>
+        currentContextValue.addLogItem({ name: 'Soup', calories: 200, meal: 'dinner' })
+      );
+      expect(currentContextValue.log[0].meal).toBe('dinner');
+
+      act(() => currentContextValue.updateLogItem(MOCK_NANOID_ID, { meal: 'lunch' }));
+      expect(currentContextValue.log[0].meal).toBe('lunch');
+    });
+
+    it('should reject unknown meal slots', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() =>
+        currentContextValue.addLogItem({ name: 'Pie', calories: 400, meal: 'brunch' })
+      );
+
+      expect(currentContextValue.log).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      console.warn.mockRestore();
+    });
+
+    it('should update and clear meal budgets, ignoring invalid values', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.setMealBudgets({ breakfast: 400, dinner: '800' }));
+      act(() => currentContextValue.setMealBudgets({ breakfast: null }));
+      act(() => currentContextValue.setMealBudgets({ lunch: -100 }));
+
+      const expectedBudgets = { breakfast: null, lunch: null, dinner: 800, snacks: null };
+      expect(currentContextValue.mealBudgets).toEqual(expectedBudgets);
+      expect(mockLocalStorage.getItem(MEAL_BUDGETS_STORAGE_KEY)).toBe(
+        JSON.stringify(expectedBudgets)
+      );
+      expect(console.warn).toHaveBeenCalledTimes(1);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('Amounts', () => {
+    it('should store the quantity and unit eaten when given', () => {
+      renderProvider();
+      act(() =>
+        currentContextValue.addLogItem({
+          name: 'Rolled oats',
+          calories: 307,
+          quantity: '1',
+          unit: 'cup',
+        })
+      );
+      expect(currentContextValue.log[0]).toMatchObject({
+        quantity: 1,
+        unit: 'cup',
+      });
+    });
+
+    it('should reject an invalid quantity, unit, or a quantity without a unit', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() =>
+        currentContextValue.addLogItem({ name: 'Rice', calories: 200, quantity: 0, unit: 'g' })
+      );
+      act(() =>
+        currentContextValue.addLogItem({ name: 'Rice', calories: 200, quantity: 150, unit: 'kg' })
+      );
+      act(() =>
+        currentContextValue.addLogItem({ name: 'Rice', calories: 200, quantity: 150 })
+      );
+
+      expect(currentContextValue.log).toHaveLength(0);
+      expect(console.warn).toHaveBeenCalledTimes(3);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('Food Library', () => {
+    const CHILI = {
+      name: ' Chili ',
+      servings: 4,
+      ingredients: [
+        { name: 'Ground beef', quantity: 400, unit: 'g', calories: 868, protein: 104, fat: 48 },
+        { name: 'Black beans', quantity: 2, unit: 'cup', calories: 454, protein: 30, carbs: 82 },
+      ],
+    };
+
+    it('should add, update and remove custom foods, persisting them', () => {
+      renderProvider();
+      act(() =>
+        currentContextValue.addCustomFood({
+          name: ' Granola bar ',
+          serving: '1 bar (40 g)',
+          calories: '180',
+          protein: 4,
+        })
+      );
+      expect(currentContextValue.customFoods).toEqual([
+        {
+          id: MOCK_NANOID_ID,
+          name: 'Granola bar',
+          serving: '1 bar (40 g)',
+          calories: 180,
+          protein: 4,
+        },
+      ]);
+      expect(JSON.parse(mockStorage[CUSTOM_FOODS_STORAGE_KEY])).toEqual(
+        currentContextValue.customFoods
+      );
+
+      // Updates replace the details, so omitted macros are dropped
+      act(() =>
+        currentContextValue.updateCustomFood(MOCK_NANOID_ID, {
+          name: 'Granola bar',
+          calories: 190,
+        })
+      );
+      expect(currentContextValue.customFoods).toEqual([
+        { id: MOCK_NANOID_ID, name: 'Granola bar', calories: 190 },
+      ]);
+
+      act(() => currentContextValue.removeCustomFood(MOCK_NANOID_ID));
+      expect(currentContextValue.customFoods).toEqual([]);
+    });
+
+    it('should reject invalid custom foods', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.addCustomFood({ name: '', calories: 100 }));
+      act(() => currentContextValue.addCustomFood({ name: 'Bar', calories: -1 }));
+      act(() =>
+        currentContextValue.addCustomFood({ name: 'Bar', calories: 100, servingGrams: 0 })
+      );
+
+      expect(currentContextValue.customFoods).toEqual([]);
+      expect(console.warn).toHaveBeenCalledTimes(3);
+      console.warn.mockRestore();
+    });
+
+    it('should add, update and remove recipes', () => {
+      renderProvider();
+      act(() => currentContextValue.addRecipe(CHILI));
+      expect(currentContextValue.recipes).toEqual([
+        { id: MOCK_NANOID_ID, ...CHILI, name: 'Chili' },
+      ]);
+      expect(JSON.parse(mockStorage[RECIPES_STORAGE_KEY])).toHaveLength(1);
+
+      act(() =>
+        currentContextValue.updateRecipe(MOCK_NANOID_ID, { ...CHILI, servings: 6 })
+      );
+      expect(currentContextValue.recipes[0].servings).toBe(6);
+
+      act(() => currentContextValue.removeRecipe(MOCK_NANOID_ID));
+      expect(currentContextValue.recipes).toEqual([]);
+    });
+
+    it('should reject recipes without a name, servings or valid ingredients', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.addRecipe({ ...CHILI, name: ' ' }));
+      act(() => currentContextValue.addRecipe({ ...CHILI, servings: 0 }));
+      act(() => currentContextValue.addRecipe({ ...CHILI, ingredients: [] }));
+      act(() =>
+        currentContextValue.addRecipe({
+          ...CHILI,
+          ingredients: [{ name: 'Salt', calories: 0, quantity: 1, unit: 'pinch' }],
+        })
+      );
+
+      expect(currentContextValue.recipes).toEqual([]);
+      expect(console.warn).toHaveBeenCalledTimes(4);
+      console.warn.mockRestore();
+    });
+
+    it('should not change logged entries when a recipe is edited', () => {
+      renderProvider();
+      act(() => currentContextValue.addRecipe(CHILI));
+      act(() =>
+        currentContextValue.addLogItem({
+          name: 'Chili',
+          calories: 331,
+          quantity: 1,
+          unit: 'serving',
+        })
+      );
+
+      act(() =>
+        currentContextValue.updateRecipe(MOCK_NANOID_ID, { ...CHILI, servings: 2 })
+      );
+
+      expect(currentContextValue.log[0].calories).toBe(331);
+    });
+  });
+
+  describe('Dietary Preferences', () => {
+    it('should default to no restrictions', () => {
+      renderProvider();
+      expect(currentContextValue.dietaryPreferences).toEqual({
+        diets: [],
+        allergens: [],
+      });
+    });
+
+    it('should replace the provided lists in a stable order and persist them', () => {
+      renderProvider();
+      act(() =>
+        currentContextValue.setDietaryPreferences({
+          diets: ['kosher', 'vegan', 'vegan'],
+        })
+      );
+      act(() =>
+        currentContextValue.setDietaryPreferences({ allergens: ['peanuts'] })
+      );
+
+      expect(currentContextValue.dietaryPreferences).toEqual({
+        diets: ['vegan', 'kosher'],
+        allergens: ['peanuts'],
+      });
+      expect(JSON.parse(mockStorage[DIETARY_PREFERENCES_STORAGE_KEY])).toEqual(
+        currentContextValue.dietaryPreferences
+      );
+    });
+
+    it('should reject unknown diets or allergens', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.setDietaryPreferences({ diets: ['keto'] }));
+      act(() =>
+        currentContextValue.setDietaryPreferences({
+          diets: ['vegan'],
+          allergens: 'peanuts',
+        })
+      );
+      act(() => currentContextValue.setDietaryPreferences({}));
+
+      expect(currentContextValue.dietaryPreferences).toEqual({
+        diets: [],
+        allergens: [],
+      });
+      expect(console.warn).toHaveBeenCalledTimes(3);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('Quick Add', () => {
+    it('should summarize the whole log into food history', () => {
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([
+        { id: '1', name: 'Apple', calories: 95, loggedAt: '2025-04-13T08:00:00.000Z', meal: 'breakfast' },
+        { id: '2', name: 'Oatmeal', calories: 150, loggedAt: '2025-04-14T08:00:00.000Z', meal: 'breakfast' },
+        { id: '3', name: 'apple', calories: 100, loggedAt: '2025-04-15T08:00:00.000Z', meal: 'breakfast' },
+      ]);
+      renderProvider();
+
+      expect(
+        currentContextValue.foodHistory.map(({ key, count }) => [key, count])
+      ).toEqual([
+        ['apple', 2],
+        ['oatmeal', 1],
+      ]);
+      expect(currentContextValue.foodHistory[0].item.calories).toBe(100);
+    });
+
+    it('should pin and unpin favorites, persisting them', () => {
+      renderProvider();
+      act(() =>
+        currentContextValue.pinFood({
+          name: ' Greek yogurt ',
+          calories: 100,
+          protein: 17,
+          quantity: 1,
+          unit: 'cup',
+        })
+      );
+      expect(currentContextValue.favoriteFoods).toEqual([
+        { name: 'Greek yogurt', calories: 100, protein: 17, quantity: 1, unit: 'cup' },
+      ]);
+      expect(JSON.parse(mockStorage[FAVORITE_FOODS_STORAGE_KEY])).toEqual(
+        currentContextValue.favoriteFoods
+      );
+
+      // Pinning the same food again replaces it rather than duplicating it
+      act(() => currentContextValue.pinFood({ name: 'greek yogurt', calories: 120 }));
+      expect(currentContextValue.favoriteFoods).toEqual([
+        { name: 'greek yogurt', calories: 120 },
+      ]);
+
+      act(() => currentContextValue.unpinFood('Greek Yogurt'));
+      expect(currentContextValue.favoriteFoods).toEqual([]);
+    });
+
+    it('should reject invalid favorites', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.pinFood(null));
+      act(() => currentContextValue.pinFood({ name: '', calories: 100 }));
+      act(() => currentContextValue.pinFood({ name: 'Apple', calories: 95, quantity: 1 }));
+      act(() => currentContextValue.unpinFood(' '));
+
+      expect(currentContextValue.favoriteFoods).toEqual([]);
+      expect(console.warn).toHaveBeenCalledTimes(4);
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('Schema Versioning', () => {
+    it('should stamp the schema version on first run', () => {
+      renderProvider();
+      expect(mockStorage[SCHEMA_VERSION_STORAGE_KEY]).toBe('1');
+      expect(currentContextValue.storageErrors).toEqual([]);
+    });
+
+    it('should migrate unversioned data before loading it, keeping a backup', () => {
+      const legacyLog = JSON.stringify([
+        { name: 'Old Entry', calories: '80' },
+        null,
+        { id: 'b', name: 'Other Entry', calories: 120 },
+      ]);
+      mockStorage[LOG_STORAGE_KEY] = legacyLog;
+      renderProvider();
+
+      // Entries saved before they had a time go on the day before the upgrade
+      const legacyLoggedAt = new Date(2025, 3, 14, 12).toISOString();
+      expect(currentContextValue.logByDate['2025-04-14']).toEqual([
+        { id: 'legacy-0', name: 'Old Entry', calories: 80, loggedAt: legacyLoggedAt, meal: 'snacks' },
+        { id: 'b', name: 'Other Entry', calories: 120, loggedAt: legacyLoggedAt, meal: 'snacks' },
+      ]);
+      expect(mockStorage[`${LOG_STORAGE_KEY}:backup:v0`]).toBe(legacyLog);
+      expect(currentContextValue.storageErrors).toEqual([
+        {
+          key: LOG_STORAGE_KEY,
+          label: 'Food log',
+          message: 'had 1 entry without a name, which was removed during the upgrade.',
+          backupKey: `${LOG_STORAGE_KEY}:backup:v0`,
+        },
+      ]);
+    });
+
+    it('should report unreadable data to the UI and keep a copy of it', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {}); // Suppress expected error
+      mockStorage[LOG_STORAGE_KEY] = '[{invalid_json';
+      renderProvider();
+
+      expect(currentContextValue.storageErrors).toEqual([
+        {
+          key: LOG_STORAGE_KEY,
+          label: 'Food log',
+          message: 'could not be read and was reset.',
+          backupKey: `${LOG_STORAGE_KEY}:backup:corrupt`,
+        },
+      ]);
+      expect(mockStorage[`${LOG_STORAGE_KEY}:backup:corrupt`]).toBe(
+        '[{invalid_json'
+      );
+
+      act(() => currentContextValue.dismissStorageErrors());
+      expect(currentContextValue.storageErrors).toEqual([]);
+      console.error.mockRestore();
+    });
+
+    it('should reset data with the wrong shape to its default', () => {
+      mockStorage[SCHEMA_VERSION_STORAGE_KEY] = '1';
+      mockStorage[RECIPES_STORAGE_KEY] = JSON.stringify({ not: 'a list' });
+      renderProvider();
+
+      expect(currentContextValue.recipes).toEqual([]);
+      expect(currentContextValue.storageErrors).toHaveLength(1);
+      expect(currentContextValue.storageErrors[0].key).toBe(RECIPES_STORAGE_KEY);
+    });
+  });
+
+  describe('Cross-tab Sync', () => {
+    /**
+     * Simulates another tab writing a key: localStorage changes, then this
+     * tab receives a storage event.
+     */
+    const writeFromOtherTab = (key, value) => {
+      mockStorage[key] = JSON.stringify(value);
+      act(() => {
+        window.dispatchEvent(new StorageEvent('storage', { key }));
+      });
+    };
+
+    it('should pick up a goal set in another tab', () => {
+      renderProvider();
+      writeFromOtherTab(GOAL_STORAGE_KEY, 1800);
+      expect(currentContextValue.goal).toBe(1800);
+    });
+
+    it('should keep entries added in both tabs at once', () => {
+      const shared = { id: 'shared', name: 'Toast', calories: 80, loggedAt: MOCK_LOGGED_AT };
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([shared]);
+      renderProvider();
+
+      // The other tab adds an entry; this tab adds one before hearing about it
+      const otherEntry = { id: 'other-tab', name: 'Egg', calories: 78, loggedAt: MOCK_LOGGED_AT };
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([shared, otherEntry]);
+      act(() => currentContextValue.addLogItem({ name: 'Apple', calories: 95 }));
+      // The other tab's storage event arrives late
+      act(() => {
+        window.dispatchEvent(new StorageEvent('storage', { key: LOG_STORAGE_KEY }));
+      });
+
+      expect(currentContextValue.log.map((item) => item.id)).toEqual([
+        'shared',
+        'other-tab',
+        MOCK_NANOID_ID,
+      ]);
+      expect(JSON.parse(mockStorage[LOG_STORAGE_KEY])).toHaveLength(3);
+    });
+
+    it('should apply deletions made in another tab', () => {
+      const keep = { id: 'keep', name: 'Toast', calories: 80, loggedAt: MOCK_LOGGED_AT };
+      const remove = { id: 'remove', name: 'Egg', calories: 78, loggedAt: MOCK_LOGGED_AT };
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([keep, remove]);
+      renderProvider();
+
+      writeFromOtherTab(LOG_STORAGE_KEY, [keep]);
+
+      expect(currentContextValue.log).toEqual([keep]);
+    });
+
+    it('should ignore events for unrelated keys and stale events', () => {
+      renderProvider();
+      act(() => currentContextValue.setGoal(2500));
+
+      // The event's value is ignored; storage already holds this tab's goal
+      act(() => {
+        window.dispatchEvent(
+          new StorageEvent('storage', { key: GOAL_STORAGE_KEY, newValue: '1500' })
+        );
+        window.dispatchEvent(new StorageEvent('storage', { key: 'unrelated' }));
+      });
+
+      expect(currentContextValue.goal).toBe(2500);
+    });
+  });
+
+  describe('Log Storage Adapter', () => {
+    const april = { id: 'april', name: 'Toast', calories: 80, loggedAt: MOCK_LOGGED_AT };
+    const january = { id: 'january', name: 'Egg', calories: 78, loggedAt: new Date(2025, 0, 10, 8).toISOString() };
+
+    /**
+     * Creates an in-memory adapter holding the given entries.
+     */
+    const createMemoryAdapter = (items) => ({
+      name: 'memory',
+      loadDays: vi.fn(async (fromKey, toKey) =>
+        items.filter((item) => {
+          const date = new Date(item.loggedAt);
+          const dateKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+          return dateKey >= fromKey && dateKey <= toKey;
+        })
+      ),
+      saveItems: vi.fn(async () => {}),
+      deleteItems: vi.fn(async () => {}),
+    });
+
+    const renderWithAdapter = (adapter) =>
+      render(
+        <AppProvider storage={adapter}>
+          <TestConsumer />
+        </AppProvider>
+      );
+
+    it('should load the current and previous month on start', async () => {
+      const adapter = createMemoryAdapter([april, january]);
+      renderWithAdapter(adapter);
+
+      expect(currentContextValue.logLoading).toBe(true);
+      await waitFor(() => expect(currentContextValue.logLoading).toBe(false));
+
+      expect(adapter.loadDays).toHaveBeenCalledWith('2025-03-01', '2025-04-31');
+      expect(currentContextValue.log).toEqual([april]);
+      expect(Object.keys(currentContextValue.logByDate)).toEqual([TODAY_KEY]);
+    });
+
+    it('should load older days when they are selected or requested', async () => {
+      const adapter = createMemoryAdapter([april, january]);
+      renderWithAdapter(adapter);
+      await waitFor(() => expect(currentContextValue.logLoading).toBe(false));
+
+      act(() => currentContextValue.selectDate('2025-01-10'));
+      await waitFor(() => expect(currentContextValue.log).toEqual([january]));
+
+      act(() => currentContextValue.loadLogDays('2024-12-01', '2024-12-31'));
+      expect(adapter.loadDays).toHaveBeenLastCalledWith('2024-12-01', '2024-12-31');
+    });
+
+    it('should save only changed entries through the adapter, not localStorage', async () => {
+      const adapter = createMemoryAdapter([april]);
+      renderWithAdapter(adapter);
+      await waitFor(() => expect(currentContextValue.log).toHaveLength(1));
+
+      act(() => currentContextValue.addLogItem({ name: 'Apple', calories: 95 }));
+      expect(adapter.saveItems).toHaveBeenCalledWith([
+        expect.objectContaining({ id: MOCK_NANOID_ID, name: 'Apple' }),
+      ]);
+
+      act(() => currentContextValue.removeLogItem(april.id));
+      expect(adapter.deleteItems).toHaveBeenCalledWith([april.id]);
+
+      expect(localStorage.setItem).not.toHaveBeenCalledWith(
+        LOG_STORAGE_KEY,
+        expect.anything()
+      );
+    });
+
+    it('should report storage that fails to load', async () => {
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const adapter = createMemoryAdapter([]);
+      adapter.loadDays.mockRejectedValue(new Error('blocked'));
+      renderWithAdapter(adapter);
+
+      await waitFor(() =>
+        expect(currentContextValue.storageErrors).toEqual([
+          expect.objectContaining({ key: LOG_STORAGE_KEY, label: 'Food log' }),
+        ])
+      );
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        '[AppContext] Error accessing the food log storage:',
+        expect.any(Error)
+      );
+    });
+
+    it('should keep using localStorage by default', () => {
+      renderProvider();
+      expect(currentContextValue.logLoading).toBe(false);
+      expect(localStorage.getItem).toHaveBeenCalledWith(LOG_STORAGE_KEY);
+    });
+  });
+
+  describe('Backup', () => {
+    const breakfast = { id: 'breakfast', name: 'Oatmeal', calories: 300, loggedAt: MOCK_LOGGED_AT };
+    const lunch = { id: 'lunch', name: 'Salad', calories: 450, loggedAt: MOCK_LOGGED_AT };
+
+    it('should return all data with defaults filled in', async () => {
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(1800);
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([breakfast]);
+      mockStorage[MACRO_GOALS_STORAGE_KEY] = JSON.stringify({ protein: 150 });
+      renderProvider();
+
+      const data = await currentContextValue.getAllData();
+
+      expect(data).toEqual(
+        expect.objectContaining({
+          goal: 1800,
+          macroGoals: { protein: 150, carbs: null, fat: null },
+          log: [breakfast],
+          customFoods: [],
+          recipes: [],
+          favoriteFoods: [],
+        })
+      );
+    });
+
+    it('should merge by adding new records and keeping settings', async () => {
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(1800);
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([breakfast]);
+      renderProvider();
+
+      await act(() =>
+        currentContextValue.importData(
+          { goal: 2500, log: [{ ...breakfast, calories: 999 }, lunch] },
+          'merge'
+        )
+      );
+
+      expect(currentContextValue.goal).toBe(1800);
+      expect(currentContextValue.log).toEqual([breakfast, lunch]);
+      expect(JSON.parse(mockStorage[LOG_STORAGE_KEY])).toEqual([breakfast, lunch]);
+    });
+
+    it('should replace the sections the backup contains', async () => {
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(1800);
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([breakfast]);
+      mockStorage[CUSTOM_FOODS_STORAGE_KEY] = JSON.stringify([
+        { id: 'food-1', name: 'Granola bar', calories: 180 },
+      ]);
+      renderProvider();
+
+      await act(() =>
+        currentContextValue.importData({ goal: 2500, log: [lunch] }, 'replace')
+      );
+
+      expect(currentContextValue.goal).toBe(2500);
+      expect(currentContextValue.log).toEqual([lunch]);
+      expect(currentContextValue.customFoods).toHaveLength(1);
+    });
+
+    it('should load the whole log from an adapter before exporting or importing', async () => {
+      const january = { ...lunch, loggedAt: new Date(2024, 0, 10).toISOString() };
+      const adapter = {
+        name: 'memory',
+        loadDays: vi.fn(async (fromKey) => (fromKey === '0000-01-01' ? [breakfast, january] : [breakfast])),
+        saveItems: vi.fn(async () => {}),
+        deleteItems: vi.fn(async () => {}),
+      };
+      render(
+        <AppProvider storage={adapter}>
+          <TestConsumer />
+        </AppProvider>
+      );
+      await waitFor(() => expect(currentContextValue.log).toEqual([breakfast]));
+
+      let data;
+      await act(async () => {
+        data = await currentContextValue.getAllData();
+      });
+      expect(data.log).toEqual([breakfast, january]);
+
+      await act(() => currentContextValue.importData({ log: [breakfast] }, 'replace'));
+      expect(adapter.deleteItems).toHaveBeenCalledWith([january.id]);
+    });
+
+    it('should ignore an invalid import mode', async () => {
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(1800);
+      renderProvider();
+
+      await act(() => currentContextValue.importData({ goal: 2500 }, 'overwrite'));
+
+      expect(currentContextValue.goal).toBe(1800);
+      expect(consoleWarnSpy).toHaveBeenCalledWith(
+        '[AppContext] Invalid import mode: overwrite. Expected one of merge, replace.'
+      );
+    });
+  });
+
+  describe('Backend Sync', () => {
+    const SYNC_URL = 'http://localhost:3001/api';
+    const remoteItem = { id: 'remote', name: 'Bagel', calories: 250, loggedAt: MOCK_LOGGED_AT, meal: 'lunch' };
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    const renderWithSync = () =>
+      render(
+        <AppProvider syncUrl={SYNC_URL}>
+          <TestConsumer />
+        </AppProvider>
+      );
+
+    it('should leave syncing off without a sync URL', () => {
+      renderProvider();
+      expect(currentContextValue.syncStatus).toBeNull();
+    });
+
+    it('should pull changes from other devices and send local ones', async () => {
+      const server = createMockSyncServer();
+      // Another device already synced a goal and an entry
+      await server.fetch(`${SYNC_URL}/goal`, { method: 'PUT', body: JSON.stringify({ value: 1800, baseRevision: null }) });
+      await server.fetch(`${SYNC_URL}/log/remote`, { method: 'PUT', body: JSON.stringify({ item: remoteItem, baseRevision: null }) });
+      vi.stubGlobal('fetch', server.fetch);
+
+      renderWithSync();
+      await waitFor(() => expect(currentContextValue.syncStatus).toMatchObject({ state: 'idle', pendingChanges: 0 }));
+      // The server's goal wins over this device's default, which never
+      // applied and so isn't kept as the goal of past days
+      expect(currentContextValue.goal).toBe(1800);
+      expect(currentContextValue.getGoalForDate('2025-04-10')).toBe(1800);
+      expect(mockStorage[GOAL_HISTORY_STORAGE_KEY] ?? '[]').toBe('[]');
+      expect(currentContextValue.log).toEqual([remoteItem]);
+      expect(currentContextValue.syncStatus.conflicts).toBe(1);
+
+      act(() => currentContextValue.addLogItem({ name: 'Apple', calories: 95 }));
+      await waitFor(() => expect(server.getItem(MOCK_NANOID_ID)).toMatchObject({ item: { name: 'Apple', calories: 95 } }));
+
+      act(() => currentContextValue.removeLogItem('remote'));
+      await waitFor(() => expect(server.getItem('remote')).toMatchObject({ deleted: true }));
+      // Entries received from the server are not sent back
+      expect(server.requests.filter(({ method, path }) => method === 'PUT' && path === '/log/remote')).toHaveLength(1);
+    });
+  });
+
   describe('Persistence', () => {
     it('should re-initialize state correctly from localStorage on subsequent renders', () => {
       // Step 1: Set initial values in mock storage
       const storedGoal = 2200;
       const storedLog = [
-        { id: 'persist-1', name: 'Persisted Item', calories: 300 },
+        { id: 'persist-1', name: 'Persisted Item', calories: 300, loggedAt: MOCK_LOGGED_AT },
       ];
       mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(storedGoal);
       mockStorage[LOG_STORAGE_KEY] = JSON.stringify(storedLog);
@@ -525,7 +1481,7 @@ describe('AppContext and AppProvider', () => {
          await act(async () => {
              await user.click(screen.getByRole('button', { name: 'Add Item'}));
          });
-          const expectedLogAfterAdd = [{ id: MOCK_NANOID_ID, name: 'Test Food', calories: 150 }];
+          const expectedLogAfterAdd = [{ id: MOCK_NANOID_ID, name: 'Test Food', calories: 150, loggedAt: MOCK_LOGGED_AT, meal: 'lunch' }];
          expect(localStorage.setItem).toHaveBeenCalledWith(LOG_STORAGE_KEY, JSON.stringify(expectedLogAfterAdd));
 
          // Remove item
@@ -538,4 +1494,472 @@ describe('AppContext and AppProvider', () => {
 
     });
   });
+  describe('Date-keyed History', () => {
+    const yesterdayItem = {
+      id: 'yesterday-1',
+      name: 'Yesterday Dinner',
+      calories: 700,
+      loggedAt: new Date(2025, 3, 14, 19, 0).toISOString(),
+    };
+    const todayItem = {
+      id: 'today-1',
+      name: 'Today Lunch',
+      calories: 450,
+      loggedAt: new Date(2025, 3, 15, 12, 0).toISOString(),
+    };
+
+    beforeEach(() => {
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([yesterdayItem, todayItem]);
+    });
+
+    it('should expose only the selected day in log, defaulting to today', () => {
+      renderProvider();
+      expect(currentContextValue.today).toBe(TODAY_KEY);
+      expect(currentContextValue.selectedDate).toBe(TODAY_KEY);
+      expect(currentContextValue.log).toEqual([todayItem]);
+      expect(currentContextValue.logByDate).toEqual({
+        '2025-04-14': [yesterdayItem],
+        [TODAY_KEY]: [todayItem],
+      });
+    });
+
+    it('should switch log to another day via selectDate', () => {
+      renderProvider();
+      act(() => currentContextValue.selectDate('2025-04-14'));
+      expect(currentContextValue.selectedDate).toBe('2025-04-14');
+      expect(currentContextValue.log).toEqual([yesterdayItem]);
+
+      act(() => currentContextValue.selectDate(new Date(2025, 3, 10)));
+      expect(currentContextValue.selectedDate).toBe('2025-04-10');
+      expect(currentContextValue.log).toEqual([]);
+    });
+
+    it('should ignore invalid and future dates passed to selectDate', () => {
+      renderProvider();
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.selectDate('2025-02-31'));
+      act(() => currentContextValue.selectDate('not-a-date'));
+      act(() => currentContextValue.selectDate('2025-04-16'));
+      expect(currentContextValue.selectedDate).toBe(TODAY_KEY);
+
+      expect(console.warn).toHaveBeenCalledTimes(3);
+      console.warn.mockRestore();
+    });
+
+    it('should stamp items added while viewing a past day with that date', () => {
+      renderProvider();
+      act(() => currentContextValue.selectDate('2025-04-14'));
+      act(() => currentContextValue.addLogItem({ name: 'Late Snack', calories: 120 }));
+
+      expect(currentContextValue.log).toHaveLength(2);
+      expect(currentContextValue.log[1]).toEqual({
+        id: MOCK_NANOID_ID,
+        name: 'Late Snack',
+        calories: 120,
+        loggedAt: new Date(2025, 3, 14, 12, 30).toISOString(),
+        meal: 'lunch',
+      });
+    });
+
+    it('should keep items saved without loggedAt out of today', () => {
+      const legacyItem = { id: 'legacy', name: 'Old Entry', calories: 80 };
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([legacyItem]);
+      renderProvider();
+      expect(currentContextValue.log).toEqual([]);
+      expect(currentContextValue.logByDate['2025-04-14']).toEqual([
+        expect.objectContaining({ id: 'legacy', meal: 'snacks' }),
+      ]);
+    });
+
+    it('should group untimed items in upgraded data on a fixed past day, not today', () => {
+      const untimedItem = { id: 'untimed', name: 'Old Entry', calories: 80 };
+      mockStorage[SCHEMA_VERSION_STORAGE_KEY] = '1';
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([untimedItem]);
+      renderProvider();
+      expect(currentContextValue.log).toEqual([]);
+      expect(currentContextValue.logByDate).toEqual({ '1970-01-01': [untimedItem] });
+    });
+
+    it('should roll over to the new day at local midnight', () => {
+      // Swap the Date-only fake for full fake timers to drive the rollover
+      vi.useRealTimers();
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2025, 3, 15, 23, 59, 0));
+      renderProvider();
+      expect(currentContextValue.log).toEqual([todayItem]);
+
+      act(() => {
+        vi.advanceTimersByTime(2 * 60 * 1000);
+      });
+
+      expect(currentContextValue.today).toBe('2025-04-16');
+      expect(currentContextValue.selectedDate).toBe('2025-04-16');
+      expect(currentContextValue.log).toEqual([]);
+      expect(currentContextValue.logByDate[TODAY_KEY]).toEqual([todayItem]);
+    });
+
+    it('should keep a past day selected when the day rolls over', () => {
+      // Swap the Date-only fake for full fake timers to drive the rollover
+      vi.useRealTimers();
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date(2025, 3, 15, 23, 59, 0));
+      renderProvider();
+      act(() => currentContextValue.selectDate('2025-04-14'));
+
+      act(() => {
+        vi.advanceTimersByTime(2 * 60 * 1000);
+      });
+
+      expect(currentContextValue.today).toBe('2025-04-16');
+      expect(currentContextValue.selectedDate).toBe('2025-04-14');
+      expect(currentContextValue.log).toEqual([yesterdayItem]);
+    });
+  });
+
+  describe('Profiles', () => {
+    const renderProfile = (profileId) =>
+      render(
+        <AppProvider profileId={profileId}>
+          <TestConsumer />
+        </AppProvider>
+      );
+
+    it('should keep each profile\'s data under its own keys', () => {
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(2500);
+      mockStorage[`${GOAL_STORAGE_KEY}:profile:sam`] = JSON.stringify(1700);
+      renderProfile('sam');
+      expect(currentContextValue.goal).toBe(1700);
+
+      act(() => currentContextValue.addLogItem({ name: 'Apple', calories: 95 }));
+      expect(JSON.parse(mockStorage[`${LOG_STORAGE_KEY}:profile:sam`])).toHaveLength(1);
+      // The default profile's data is untouched
+      expect(mockStorage[LOG_STORAGE_KEY]).toBeUndefined();
+      expect(mockStorage[GOAL_STORAGE_KEY]).toBe('2500');
+      expect(mockStorage[`${SCHEMA_VERSION_STORAGE_KEY}:profile:sam`]).toBeDefined();
+    });
+
+    it('should use the plain keys for the default profile', () => {
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(2500);
+      renderProfile('default');
+      expect(currentContextValue.goal).toBe(2500);
+    });
+  });
+
+  describe('Undo History', () => {
+    const breakfast = { id: 'breakfast', name: 'Oatmeal', calories: 300, loggedAt: MOCK_LOGGED_AT };
+    const lunch = { id: 'lunch', name: 'Salad', calories: 450, loggedAt: MOCK_LOGGED_AT };
+
+    it('should undo and redo a removal, keeping the other entries', () => {
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([breakfast, lunch]);
+      renderProvider();
+
+      act(() => currentContextValue.removeLogItem('breakfast'));
+      expect(currentContextValue.history).toMatchObject({ canUndo: true, undoLabel: 'Deleted "Oatmeal"', lastChange: { type: 'do', destructive: true } });
+
+      act(() => { expect(currentContextValue.undo()).toBe(true); });
+      expect(currentContextValue.log).toEqual([lunch, breakfast]);
+      expect(JSON.parse(mockStorage[LOG_STORAGE_KEY])).toEqual([lunch, breakfast]);
+      expect(currentContextValue.history).toMatchObject({ canUndo: false, canRedo: true, redoLabel: 'Deleted "Oatmeal"' });
+
+      act(() => { currentContextValue.redo(); });
+      expect(currentContextValue.log).toEqual([lunch]);
+    });
+
+    it('should undo an edit in place and an addition', () => {
+      mockStorage[LOG_STORAGE_KEY] = JSON.stringify([breakfast, lunch]);
+      renderProvider();
+
+      act(() => currentContextValue.updateLogItem('breakfast', { calories: 350 }));
+      act(() => currentContextValue.addLogItem({ name: 'Apple', calories: 95 }));
+      expect(currentContextValue.history.undoLabel).toBe('Added "Apple"');
+
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.log).toEqual([{ ...breakfast, calories: 350 }, lunch]);
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.log).toEqual([breakfast, lunch]);
+    });
+
+    it('should undo goal and settings changes', () => {
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(1800);
+      renderProvider();
+
+      act(() => currentContextValue.setGoal(2200));
+      act(() => currentContextValue.setMacroGoals({ protein: 150 }));
+      // Setting the same goal again isn't a change
+      act(() => currentContextValue.setGoal(2200));
+      expect(currentContextValue.history.undoLabel).toBe('Changed the macro goals');
+
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.macroGoals.protein).toBeNull();
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.goal).toBe(1800);
+      expect(mockStorage[GOAL_STORAGE_KEY]).toBe('1800');
+      expect(currentContextValue.history.redoLabel).toBe('Set the goal to 2200 calories');
+    });
+
+    it('should undo library changes', () => {
+      renderProvider();
+
+      act(() => currentContextValue.addCustomFood({ name: 'Granola', calories: 200 }));
+      act(() => currentContextValue.pinFood({ name: 'Apple', calories: 95 }));
+      act(() => currentContextValue.removeCustomFood(MOCK_NANOID_ID));
+      expect(currentContextValue.history.lastChange).toMatchObject({ label: 'Deleted the food "Granola"', destructive: true });
+
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.customFoods).toEqual([{ id: MOCK_NANOID_ID, name: 'Granola', calories: 200 }]);
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.favoriteFoods).toEqual([]);
+      act(() => { currentContextValue.redo(); });
+      expect(currentContextValue.favoriteFoods).toEqual([{ name: 'Apple', calories: 95 }]);
+    });
+
+    it('should keep only the latest changes', () => {
+      render(
+        <AppProvider historyLimit={2}>
+          <TestConsumer />
+        </AppProvider>
+      );
+
+      [1800, 1900, 2000].forEach((value) => act(() => currentContextValue.setGoal(value)));
+      act(() => { while (currentContextValue.undo()); });
+
+      expect(currentContextValue.goal).toBe(1800);
+    });
+
+    it('should forget the history after an import', async () => {
+      renderProvider();
+      act(() => currentContextValue.setGoal(1800));
+
+      await act(() => currentContextValue.importData({ goal: 2500 }, 'replace'));
+
+      expect(currentContextValue.history.canUndo).toBe(false);
+      expect(currentContextValue.goal).toBe(2500);
+    });
+  });
+
+  describe('Goal Schedule', () => {
+    // TODAY_KEY (15 Apr 2025) is a Tuesday
+    it('should resolve weekday and scheduled goals over the daily goal', () => {
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(2000);
+      renderProvider();
+
+      act(() => currentContextValue.setWeekdayGoals({ tue: 2300, sat: 2500 }));
+      expect(currentContextValue.dayGoal).toBe(2300);
+      expect(currentContextValue.getGoalForDate('2025-04-19')).toBe(2500);
+      expect(currentContextValue.getGoalForDate('2025-04-16')).toBe(2000);
+      expect(JSON.parse(mockStorage[WEEKDAY_GOALS_STORAGE_KEY])).toMatchObject({ tue: 2300, sat: 2500, mon: null });
+
+      act(() => currentContextValue.addScheduledGoal({ start: '2025-04-15', end: '2025-04-30', goal: 1800 }));
+      expect(currentContextValue.goalSchedule).toEqual([{ id: MOCK_NANOID_ID, start: '2025-04-15', end: '2025-04-30', goal: 1800 }]);
+      expect(currentContextValue.dayGoal).toBe(1800);
+      expect(currentContextValue.getGoalForDate('2025-04-19')).toBe(1800);
+      expect(currentContextValue.getGoalForDate('2025-05-03')).toBe(2500);
+      expect(JSON.parse(mockStorage[GOAL_SCHEDULE_STORAGE_KEY])).toHaveLength(1);
+    });
+
+    it('should ignore invalid scheduled goals', () => {
+      renderProvider();
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.addScheduledGoal({ start: '2025-04-20', end: '2025-04-10', goal: 1800 }));
+      act(() => currentContextValue.addScheduledGoal({ start: 'soon', goal: 1800 }));
+
+      expect(currentContextValue.goalSchedule).toEqual([]);
+      expect(consoleWarnSpy).toHaveBeenCalledTimes(2);
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should keep judging past days against the goal active then', () => {
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(2000);
+      renderProvider();
+
+      act(() => currentContextValue.setGoal(1800));
+
+      expect(currentContextValue.dayGoal).toBe(1800);
+      expect(currentContextValue.getGoalForDate('2025-04-14')).toBe(2000);
+      expect(JSON.parse(mockStorage[GOAL_HISTORY_STORAGE_KEY])).toEqual([
+        expect.objectContaining({ until: '2025-04-14', goal: 2000 }),
+      ]);
+
+      // A second change on the same day doesn't rewrite the past
+      act(() => currentContextValue.setGoal(1700));
+      expect(currentContextValue.getGoalForDate('2025-04-14')).toBe(2000);
+      expect(JSON.parse(mockStorage[GOAL_HISTORY_STORAGE_KEY])).toHaveLength(1);
+    });
+
+    it('should keep the imported goal history when replacing with a backup', async () => {
+      mockStorage[GOAL_STORAGE_KEY] = JSON.stringify(2000);
+      renderProvider();
+      const goalHistory = [{ until: '2025-03-31', goal: null, weekdayGoals: {}, goalSchedule: [] }];
+
+      await act(() => currentContextValue.importData({ goal: 1800, goalHistory }, 'replace'));
+
+      // Days after the backup's history use its goal, not the one it replaced
+      expect(currentContextValue.getGoalForDate('2025-04-10')).toBe(1800);
+      expect(currentContextValue.getGoalForDate('2025-03-20')).toBeNull();
+      expect(JSON.parse(mockStorage[GOAL_HISTORY_STORAGE_KEY])).toEqual(goalHistory);
+
+      // Later changes are added to the history again
+      act(() => currentContextValue.setGoal(1700));
+      expect(currentContextValue.getGoalForDate('2025-04-10')).toBe(1800);
+      expect(JSON.parse(mockStorage[GOAL_HISTORY_STORAGE_KEY])).toHaveLength(2);
+    });
+
+    it('should undo the removal of a scheduled goal', () => {
+      const cut = { id: 'cut', start: '2025-04-01', goal: 1800 };
+      mockStorage[GOAL_SCHEDULE_STORAGE_KEY] = JSON.stringify([cut]);
+      renderProvider();
+
+      act(() => currentContextValue.removeScheduledGoal('cut'));
+      expect(currentContextValue.goalSchedule).toEqual([]);
+      expect(currentContextValue.history).toMatchObject({ undoLabel: 'Deleted the goal of 1800 calories from 2025-04-01', lastChange: { destructive: true } });
+
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.goalSchedule).toEqual([cut]);
+    });
+  });
+
+  describe('Weight Log', () => {
+    it('should log one weigh-in per day, replacing the earlier one', () => {
+      renderProvider();
+
+      act(() => currentContextValue.addWeightEntry({ date: '2025-04-14', value: 80.4, unit: 'kg' }));
+      act(() => currentContextValue.addWeightEntry({ date: '2025-04-14', value: 177, unit: 'lb' }));
+
+      expect(currentContextValue.weightLog).toEqual([{ id: MOCK_NANOID_ID, date: '2025-04-14', value: 177, unit: 'lb' }]);
+      expect(JSON.parse(mockStorage[WEIGHT_LOG_STORAGE_KEY])).toEqual(currentContextValue.weightLog);
+      expect(currentContextValue.history.undoLabel).toBe('Changed the weight for 2025-04-14 to 177 lb');
+
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.weightLog).toEqual([{ id: MOCK_NANOID_ID, date: '2025-04-14', value: 80.4, unit: 'kg' }]);
+    });
+
+    it('should ignore invalid weigh-ins', () => {
+      renderProvider();
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.addWeightEntry({ date: '2025-04-14', value: 15, unit: 'kg' }));
+      act(() => currentContextValue.addWeightEntry({ date: '2025-04-14', value: 80, unit: 'stone' }));
+      act(() => currentContextValue.addWeightEntry({ date: 'today', value: 80, unit: 'kg' }));
+
+      expect(currentContextValue.weightLog).toEqual([]);
+      expect(consoleWarnSpy).toHaveBeenCalledTimes(3);
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should delete a weigh-in so it can be undone', () => {
+      const entry = { id: 'w1', date: '2025-04-14', value: 80.4, unit: 'kg' };
+      mockStorage[WEIGHT_LOG_STORAGE_KEY] = JSON.stringify([entry]);
+      renderProvider();
+
+      act(() => currentContextValue.removeWeightEntry('w1'));
+      expect(currentContextValue.weightLog).toEqual([]);
+      expect(currentContextValue.history.lastChange).toMatchObject({ label: 'Deleted the weight of 80.4 kg for 2025-04-14', destructive: true });
+
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.weightLog).toEqual([entry]);
+    });
+
+    it('should set and clear the target pace', () => {
+      renderProvider();
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(currentContextValue.targetPace).toBeNull();
+
+      act(() => currentContextValue.setTargetPace(-0.5));
+      expect(currentContextValue.targetPace).toBe(-0.5);
+      expect(mockStorage[TARGET_PACE_STORAGE_KEY]).toBe('-0.5');
+      expect(currentContextValue.history.undoLabel).toBe('Set the target pace to lose 0.5 kg a week');
+
+      act(() => currentContextValue.setTargetPace(-3));
+      expect(currentContextValue.targetPace).toBe(-0.5);
+      expect(consoleWarnSpy).toHaveBeenCalledTimes(1);
+
+      act(() => currentContextValue.setTargetPace(null));
+      expect(currentContextValue.targetPace).toBeNull();
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should include the weight log and target pace in backups', async () => {
+      const entry = { id: 'w1', date: '2025-04-14', value: 80.4, unit: 'kg' };
+      renderProvider();
+
+      await act(() => currentContextValue.importData({ weightLog: [entry], targetPace: 0.25 }, 'replace'));
+
+      expect(currentContextValue.weightLog).toEqual([entry]);
+      expect(currentContextValue.targetPace).toBe(0.25);
+      const data = await currentContextValue.getAllData();
+      expect(data).toMatchObject({ weightLog: [entry], targetPace: 0.25 });
+    });
+  });
+
+  describe('Exercise Log', () => {
+    it('should log exercise on the selected day with the calories it burned', () => {
+      mockStorage[WEIGHT_LOG_STORAGE_KEY] = JSON.stringify([
+        { id: 'w1', date: '2025-04-14', value: 80, unit: 'kg' },
+      ]);
+      renderProvider();
+
+      act(() =>
+        currentContextValue.addExerciseEntry({
+          activity: 'walking',
+          intensity: 'moderate',
+          durationMinutes: 60,
+        })
+      );
+
+      // 3.5 METs × 80 kg × 1 h
+      const entry = {
+        id: MOCK_NANOID_ID,
+        date: TODAY_KEY,
+        activity: 'walking',
+        intensity: 'moderate',
+        durationMinutes: 60,
+        calories: 280,
+      };
+      expect(currentContextValue.exerciseLog).toEqual([entry]);
+      expect(JSON.parse(mockStorage[EXERCISE_LOG_STORAGE_KEY])).toEqual([entry]);
+      expect(currentContextValue.history.undoLabel).toBe(
+        'Logged 60 minutes of walking for 2025-04-15'
+      );
+
+      act(() => currentContextValue.removeExerciseEntry(MOCK_NANOID_ID));
+      expect(currentContextValue.exerciseLog).toEqual([]);
+      expect(currentContextValue.history.lastChange).toMatchObject({
+        label: 'Deleted 60 minutes of walking for 2025-04-15',
+        destructive: true,
+      });
+
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.exerciseLog).toEqual([entry]);
+    });
+
+    it('should ignore invalid exercise', () => {
+      renderProvider();
+      const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      act(() => currentContextValue.addExerciseEntry({ activity: 'chess', intensity: 'light', durationMinutes: 30 }));
+      act(() => currentContextValue.addExerciseEntry({ activity: 'yoga', intensity: 'extreme', durationMinutes: 30 }));
+      act(() => currentContextValue.addExerciseEntry({ activity: 'yoga', intensity: 'light', durationMinutes: 0 }));
+
+      expect(currentContextValue.exerciseLog).toEqual([]);
+      expect(consoleWarnSpy).toHaveBeenCalledTimes(3);
+      consoleWarnSpy.mockRestore();
+    });
+
+    it('should save whether burned calories add to the budget', () => {
+      renderProvider();
+      expect(currentContextValue.addBurnedCalories).toBe(false);
+
+      act(() => currentContextValue.setAddBurnedCalories(true));
+      expect(currentContextValue.addBurnedCalories).toBe(true);
+      expect(mockStorage[ADD_BURNED_CALORIES_STORAGE_KEY]).toBe('true');
+      expect(currentContextValue.history.undoLabel).toBe(
+        'Turned on adding burned calories to the budget'
+      );
+
+      act(() => { currentContextValue.undo(); });
+      expect(currentContextValue.addBurnedCalories).toBe(false);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,176 @@
+import React, { useContext } from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, act } from '@testing-library/react';
+import {
+  ProfileContext,
+  ProfileProvider,
+} from '../../src/context/ProfileContext.jsx';
+
+// Predictable IDs for new profiles
+let nextId = 0;
+vi.mock('nanoid', () => ({
+  nanoid: vi.fn(() => `profile-${(nextId += 1)}`),
+}));
+
+const PROFILES_KEY = 'fitnessAppProfiles';
+const ACTIVE_PROFILE_KEY = 'fitnessAppActiveProfile';
+
+// Captures the latest context value for assertions
+let currentContextValue = null;
+const TestConsumer = () => {
+  currentContextValue = useContext(ProfileContext);
+  return null;
+};
+
+const renderProvider = () =>
+  render(
+    <ProfileProvider>
+      <TestConsumer />
+    </ProfileProvider>
+  );
+
+describe('ProfileContext and ProfileProvider', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    nextId = 0;
+    currentContextValue = null;
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('starts with the default profile, unlocked', () => {
+    renderProvider();
+    expect(currentContextValue.profiles).toEqual([
+      { id: 'default', name: 'Me', color: 'green' },
+    ]);
+    expect(currentContextValue.activeProfile.id).toBe('default');
+    expect(currentContextValue.locked).toBe(false);
+  });
+
+  it('adds a profile, switches to it and remembers it', async () => {
+    renderProvider();
+    await act(() => currentContextValue.addProfile({ name: ' Sam ' }));
+
+    expect(currentContextValue.activeProfile).toEqual({
+      id: 'profile-1',
+      name: 'Sam',
+      color: 'blue',
+    });
+    expect(JSON.parse(localStorage.getItem(PROFILES_KEY))).toHaveLength(2);
+    expect(localStorage.getItem(ACTIVE_PROFILE_KEY)).toBe('profile-1');
+
+    act(() => currentContextValue.switchProfile('default'));
+    expect(currentContextValue.activeProfile.id).toBe('default');
+    expect(localStorage.getItem(ACTIVE_PROFILE_KEY)).toBe('default');
+  });
+
+  it('rejects invalid profiles', async () => {
+    renderProvider();
+    expect(
+      await act(() => currentContextValue.addProfile({ name: '' }))
+    ).toBeNull();
+    expect(
+      await act(() =>
+        currentContextValue.addProfile({ name: 'Sam', pin: '12' })
+      )
+    ).toBeNull();
+    act(() => currentContextValue.switchProfile('nobody'));
+
+    expect(currentContextValue.profiles).toHaveLength(1);
+    expect(console.warn).toHaveBeenCalledTimes(3);
+  });
+
+  it('locks a profile with a PIN until the PIN is entered', async () => {
+    renderProvider();
+    await act(() =>
+      currentContextValue.addProfile({ name: 'Sam', pin: '2468' })
+    );
+    // The PIN was just chosen, so the new profile is open
+    expect(currentContextValue.locked).toBe(false);
+    expect(localStorage.getItem(PROFILES_KEY)).not.toContain('2468');
+
+    act(() => currentContextValue.switchProfile('default'));
+    act(() => currentContextValue.switchProfile('profile-1'));
+    expect(currentContextValue.locked).toBe(true);
+
+    expect(await act(() => currentContextValue.unlock('1111'))).toBe(false);
+    expect(currentContextValue.locked).toBe(true);
+    expect(await act(() => currentContextValue.unlock('2468'))).toBe(true);
+    expect(currentContextValue.locked).toBe(false);
+
+    act(() => currentContextValue.lock());
+    expect(currentContextValue.locked).toBe(true);
+  });
+
+  it('opens the last profile locked after a restart', async () => {
+    const { unmount } = renderProvider();
+    await act(() =>
+      currentContextValue.addProfile({ name: 'Sam', pin: '2468' })
+    );
+    unmount();
+
+    renderProvider();
+    expect(currentContextValue.activeProfile.name).toBe('Sam');
+    expect(currentContextValue.locked).toBe(true);
+  });
+
+  it('sets and removes the PIN of the unlocked profile only', async () => {
+    renderProvider();
+    expect(await act(() => currentContextValue.setProfilePin('1357'))).toBe(
+      true
+    );
+    expect(currentContextValue.activeProfile.pinHash).toBeDefined();
+
+    act(() => currentContextValue.lock());
+    expect(await act(() => currentContextValue.setProfilePin(null))).toBe(
+      false
+    );
+
+    await act(() => currentContextValue.unlock('1357'));
+    await act(() => currentContextValue.setProfilePin(null));
+    expect(currentContextValue.activeProfile.pinHash).toBeUndefined();
+    expect(currentContextValue.locked).toBe(false);
+  });
+
+  it('renames a profile and changes its color', () => {
+    renderProvider();
+    act(() =>
+      currentContextValue.updateProfile('default', {
+        name: 'Alex',
+        color: 'teal',
+      })
+    );
+    expect(currentContextValue.activeProfile).toEqual({
+      id: 'default',
+      name: 'Alex',
+      color: 'teal',
+    });
+
+    act(() => currentContextValue.updateProfile('default', { color: 'gold' }));
+    expect(currentContextValue.activeProfile.color).toBe('teal');
+  });
+
+  it('deletes a profile with its data, but never the default one', async () => {
+    localStorage.setItem('fitnessAppGoal', '2000');
+    renderProvider();
+    await act(() => currentContextValue.addProfile({ name: 'Sam' }));
+    localStorage.setItem('fitnessAppGoal:profile:profile-1', '1800');
+    localStorage.setItem('fitnessAppLog:profile:profile-1', '[]');
+
+    act(() => currentContextValue.removeProfile());
+    expect(currentContextValue.profiles).toHaveLength(1);
+    expect(currentContextValue.activeProfile.id).toBe('default');
+    expect(localStorage.getItem('fitnessAppGoal:profile:profile-1')).toBeNull();
+    expect(localStorage.getItem('fitnessAppLog:profile:profile-1')).toBeNull();
+    expect(localStorage.getItem('fitnessAppGoal')).toBe('2000');
+
+    act(() => currentContextValue.removeProfile());
+    expect(currentContextValue.profiles).toHaveLength(1);
+    expect(console.warn).toHaveBeenCalledWith(
+      '[ProfileContext] The default profile cannot be deleted.'
+    );
+  });
+});
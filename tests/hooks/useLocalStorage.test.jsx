@@ -0,0 +1,115 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useLocalStorage from '../../src/hooks/useLocalStorage.js';
+import { mergeById } from '../../src/utils/sync.js';
+
+const KEY = 'testKey';
+
+/**
+ * Simulates another tab writing the key: localStorage changes, then this tab
+ * receives a storage event.
+ */
+const writeFromOtherTab = (value) => {
+  localStorage.setItem(KEY, JSON.stringify(value));
+  act(() => {
+    window.dispatchEvent(new StorageEvent('storage', { key: KEY }));
+  });
+};
+
+describe('useLocalStorage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('loads the stored value and persists updates', () => {
+    localStorage.setItem(KEY, JSON.stringify(5));
+    const { result } = renderHook(() => useLocalStorage(KEY, 0));
+
+    expect(result.current[0]).toBe(5);
+    act(() => result.current[1](6));
+    expect(localStorage.getItem(KEY)).toBe('6');
+  });
+
+  it('replaces the value when another tab changes it', () => {
+    const { result } = renderHook(() => useLocalStorage(KEY, 0));
+
+    writeFromOtherTab(42);
+
+    expect(result.current[0]).toBe(42);
+  });
+
+  it('falls back to the initial value when another tab removes the key', () => {
+    localStorage.setItem(KEY, JSON.stringify(5));
+    const { result } = renderHook(() => useLocalStorage(KEY, 0));
+
+    localStorage.removeItem(KEY);
+    act(() => {
+      window.dispatchEvent(new StorageEvent('storage', { key: null }));
+    });
+
+    expect(result.current[0]).toBe(0);
+  });
+
+  it('merges changes from another tab when a merge is given', () => {
+    const a = { id: 'a' };
+    const b = { id: 'b' };
+    localStorage.setItem(KEY, JSON.stringify([a, b]));
+    const merge = vi.fn(mergeById);
+    const { result } = renderHook(() => useLocalStorage(KEY, [], { merge }));
+
+    writeFromOtherTab([b, { id: 'remote' }]);
+
+    expect(merge).toHaveBeenCalledWith([a, b], [a, b], [b, { id: 'remote' }]);
+    expect(result.current[0]).toEqual([b, { id: 'remote' }]);
+  });
+
+  it('merges with a write from another tab that has not been announced yet', () => {
+    const a = { id: 'a' };
+    localStorage.setItem(KEY, JSON.stringify([a]));
+    const { result } = renderHook(() =>
+      useLocalStorage(KEY, [], { merge: mergeById })
+    );
+
+    // The other tab writes, but its storage event hasn't arrived yet
+    localStorage.setItem(KEY, JSON.stringify([a, { id: 'remote' }]));
+    act(() => result.current[1]((prev) => [...prev, { id: 'local' }]));
+
+    expect(JSON.parse(localStorage.getItem(KEY))).toEqual([
+      a,
+      { id: 'remote' },
+      { id: 'local' },
+    ]);
+
+    // The late event changes nothing
+    act(() => {
+      window.dispatchEvent(new StorageEvent('storage', { key: KEY }));
+    });
+    expect(result.current[0]).toHaveLength(3);
+  });
+
+  it('keeps the value in memory only with a null key', () => {
+    const setItemSpy = vi.spyOn(Storage.prototype, 'setItem');
+    const { result } = renderHook(() => useLocalStorage(null, 0));
+
+    act(() => result.current[1](6));
+
+    expect(result.current[0]).toBe(6);
+    expect(setItemSpy).not.toHaveBeenCalled();
+  });
+
+  it('stops listening when unmounted', () => {
+    const removeListener = vi.spyOn(window, 'removeEventListener');
+    const { unmount } = renderHook(() => useLocalStorage(KEY, 0));
+
+    unmount();
+
+    expect(removeListener).toHaveBeenCalledWith(
+      'storage',
+      expect.any(Function)
+    );
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, it, expect, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import useLogStorage from '../../src/hooks/useLogStorage.js';
+
+const april = { id: 'april', name: 'Toast', loggedAt: '2025-04-15T08:00:00' };
+const march = { id: 'march', name: 'Egg', loggedAt: '2025-03-02T08:00:00' };
+
+/**
+ * Creates an in-memory adapter holding the given entries.
+ */
+const createMemoryAdapter = (items = []) => {
+  const records = new Map(items.map((item) => [item.id, item]));
+  let listener = null;
+  return {
+    name: 'memory',
+    loadDays: vi.fn(async (fromKey, toKey) =>
+      [...records.values()].filter((item) => {
+        const dateKey = item.loggedAt.slice(0, 10);
+        return dateKey >= fromKey && dateKey <= toKey;
+      })
+    ),
+    saveItems: vi.fn(async (saved) => {
+      saved.forEach((item) => records.set(item.id, item));
+    }),
+    deleteItems: vi.fn(async (itemIds) => {
+      itemIds.forEach((itemId) => records.delete(itemId));
+    }),
+    subscribe: vi.fn((newListener) => {
+      listener = newListener;
+      return () => {
+        listener = null;
+      };
+    }),
+    emit: (changes) => listener?.(changes),
+  };
+};
+
+describe('useLogStorage', () => {
+  it('loads the months a range of days touches, once', async () => {
+    const adapter = createMemoryAdapter([april, march]);
+    const { result } = renderHook(() => useLogStorage(adapter));
+
+    act(() => result.current.loadDays('2025-04-10', '2025-04-15'));
+    expect(result.current.loading).toBe(true);
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    expect(adapter.loadDays).toHaveBeenCalledWith('2025-04-01', '2025-04-31');
+    expect(result.current.log).toEqual([april]);
+
+    act(() => result.current.loadDays('2025-03-30', '2025-04-02'));
+    await waitFor(() => expect(result.current.log).toHaveLength(2));
+    expect(adapter.loadDays).toHaveBeenLastCalledWith(
+      '2025-03-01',
+      '2025-03-31'
+    );
+
+    act(() => result.current.loadDays('2025-04-01', '2025-04-30'));
+    expect(adapter.loadDays).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not save entries it loaded', async () => {
+    const adapter = createMemoryAdapter([april]);
+    const { result } = renderHook(() => useLogStorage(adapter));
+
+    act(() => result.current.loadDays('2025-04-15', '2025-04-15'));
+    await waitFor(() => expect(result.current.log).toHaveLength(1));
+
+    expect(adapter.saveItems).not.toHaveBeenCalled();
+    expect(adapter.deleteItems).not.toHaveBeenCalled();
+  });
+
+  it('saves only the entries that were added, changed or deleted', async () => {
+    const other = {
+      id: 'other',
+      name: 'Apple',
+      loggedAt: '2025-04-15T09:00:00',
+    };
+    const adapter = createMemoryAdapter([april, other]);
+    const { result } = renderHook(() => useLogStorage(adapter));
+    act(() => result.current.loadDays('2025-04-15', '2025-04-15'));
+    await waitFor(() => expect(result.current.log).toHaveLength(2));
+
+    const added = { id: 'new', name: 'Rice', loggedAt: '2025-04-15T12:00:00' };
+    act(() => result.current.setLog((prevLog) => [...prevLog, added]));
+    expect(adapter.saveItems).toHaveBeenLastCalledWith([added]);
+
+    const edited = { ...april, name: 'Brown toast' };
+    act(() =>
+      result.current.setLog((prevLog) =>
+        prevLog.map((item) => (item.id === april.id ? edited : item))
+      )
+    );
+    expect(adapter.saveItems).toHaveBeenLastCalledWith([edited]);
+
+    act(() =>
+      result.current.setLog((prevLog) =>
+        prevLog.filter((item) => item.id !== other.id)
+      )
+    );
+    expect(adapter.deleteItems).toHaveBeenCalledWith([other.id]);
+    expect(adapter.saveItems).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps entries added while a month was loading', async () => {
+    const adapter = createMemoryAdapter([april]);
+    const { result } = renderHook(() => useLogStorage(adapter));
+    const added = { id: 'new', name: 'Rice', loggedAt: '2025-04-15T12:00:00' };
+
+    act(() => {
+      result.current.loadDays('2025-04-15', '2025-04-15');
+      result.current.setLog((prevLog) => [...prevLog, added]);
+    });
+    await waitFor(() => expect(result.current.loading).toBe(false));
+
+    expect(result.current.log).toEqual([added, april]);
+  });
+
+  it('applies changes from other tabs without saving them again', async () => {
+    const adapter = createMemoryAdapter([april]);
+    const { result } = renderHook(() => useLogStorage(adapter));
+    act(() => result.current.loadDays('2025-04-15', '2025-04-15'));
+    await waitFor(() => expect(result.current.log).toHaveLength(1));
+
+    const remote = {
+      id: 'remote',
+      name: 'Soup',
+      loggedAt: '2025-04-15T13:00:00',
+    };
+    act(() => adapter.emit({ saved: [remote], deleted: [april.id] }));
+
+    expect(result.current.log).toEqual([remote]);
+    expect(adapter.saveItems).not.toHaveBeenCalled();
+    expect(adapter.deleteItems).not.toHaveBeenCalled();
+  });
+
+  it('reports failures and allows loading again', async () => {
+    const adapter = createMemoryAdapter();
+    const error = new Error('blocked');
+    adapter.loadDays.mockRejectedValueOnce(error);
+    const onError = vi.fn();
+    const { result } = renderHook(() => useLogStorage(adapter, { onError }));
+
+    act(() => result.current.loadDays('2025-04-15', '2025-04-15'));
+    await waitFor(() => expect(onError).toHaveBeenCalledWith(error));
+    expect(result.current.loading).toBe(false);
+
+    act(() => result.current.loadDays('2025-04-15', '2025-04-15'));
+    expect(adapter.loadDays).toHaveBeenCalledTimes(2);
+  });
+
+  it('closes the adapter when unmounted', () => {
+    const adapter = { ...createMemoryAdapter(), close: vi.fn() };
+    const { unmount } = renderHook(() => useLogStorage(adapter));
+
+    expect(adapter.close).not.toHaveBeenCalled();
+    unmount();
+    expect(adapter.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('does nothing without an adapter', () => {
+    const { result } = renderHook(() => useLogStorage(null));
+
+    act(() => result.current.loadDays('2025-04-15', '2025-04-15'));
+
+    expect(result.current.log).toEqual([]);
+    expect(result.current.loading).toBe(false);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import useUndoHistory from '../../src/hooks/useUndoHistory.js';
+
+/**
+ * Records a change to a counter kept in `state`, like a provider would.
+ */
+const recordIncrement = (result, state, label) => {
+  const before = state.count;
+  state.count += 1;
+  const after = state.count;
+  act(() =>
+    result.current.record({
+      label,
+      undo: () => {
+        state.count = before;
+      },
+      redo: () => {
+        state.count = after;
+      },
+    })
+  );
+};
+
+describe('useUndoHistory', () => {
+  it('undoes and redoes changes in order', () => {
+    const state = { count: 0 };
+    const { result } = renderHook(() => useUndoHistory());
+
+    recordIncrement(result, state, 'First');
+    recordIncrement(result, state, 'Second');
+    expect(result.current.status).toMatchObject({
+      canUndo: true,
+      canRedo: false,
+      undoLabel: 'Second',
+      lastChange: { type: 'do', label: 'Second', destructive: false },
+    });
+
+    act(() => {
+      expect(result.current.undo()).toBe(true);
+      expect(result.current.undo()).toBe(true);
+      expect(result.current.undo()).toBe(false);
+    });
+    expect(state.count).toBe(0);
+    expect(result.current.status).toMatchObject({
+      canUndo: false,
+      canRedo: true,
+      redoLabel: 'First',
+      lastChange: { type: 'undo', label: 'First' },
+    });
+
+    act(() => {
+      result.current.redo();
+    });
+    expect(state.count).toBe(1);
+    expect(result.current.status.undoLabel).toBe('First');
+    expect(result.current.status.redoLabel).toBe('Second');
+  });
+
+  it('forgets undone changes once a new change is recorded', () => {
+    const state = { count: 0 };
+    const { result } = renderHook(() => useUndoHistory());
+
+    recordIncrement(result, state, 'First');
+    act(() => {
+      result.current.undo();
+    });
+    recordIncrement(result, state, 'Other');
+
+    expect(result.current.status.canRedo).toBe(false);
+    act(() => {
+      expect(result.current.redo()).toBe(false);
+    });
+  });
+
+  it('keeps only the latest changes', () => {
+    const state = { count: 0 };
+    const { result } = renderHook(() => useUndoHistory(2));
+
+    recordIncrement(result, state, 'First');
+    recordIncrement(result, state, 'Second');
+    recordIncrement(result, state, 'Third');
+    act(() => {
+      while (result.current.undo());
+    });
+
+    expect(state.count).toBe(1);
+    expect(result.current.status.redoLabel).toBe('Second');
+  });
+
+  it('clears every change', () => {
+    const state = { count: 0 };
+    const { result } = renderHook(() => useUndoHistory());
+
+    recordIncrement(result, state, 'First');
+    act(() => result.current.clear());
+
+    expect(result.current.status).toEqual({
+      canUndo: false,
+      canRedo: false,
+      undoLabel: null,
+      redoLabel: null,
+      lastChange: null,
+    });
+  });
+});
@@ -0,0 +1,344 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BACKUP_FORMAT,
+  createBackup,
+  getBackupFileName,
+  parseBackup,
+  importSection,
+  previewImport,
+} from '../../src/utils/backup.js';
+import { CURRENT_SCHEMA_VERSION } from '../../src/utils/migrations.js';
+
+const breakfast = {
+  id: 'log-1',
+  name: 'Oatmeal',
+  calories: 300,
+  loggedAt: '2025-04-15T08:00:00.000Z',
+  meal: 'breakfast',
+};
+const lunch = {
+  id: 'log-2',
+  name: 'Salad',
+  calories: 450,
+  loggedAt: '2025-04-15T12:30:00.000Z',
+  meal: 'lunch',
+};
+
+/**
+ * Serializes a backup document the way the app exports it.
+ * @param {object} data - The backup's data.
+ * @param {object} [overrides] - Fields to change on the document.
+ */
+const toBackupText = (data, overrides = {}) =>
+  JSON.stringify({
+    format: BACKUP_FORMAT,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt: '2025-04-15T20:00:00.000Z',
+    data,
+    ...overrides,
+  });
+
+describe('backup', () => {
+  describe('createBackup', () => {
+    it('wraps the data with the format, schema version and export time', () => {
+      const now = new Date('2025-04-15T20:00:00.000Z');
+      const backup = createBackup({ goal: 2000, log: [breakfast] }, now);
+
+      expect(backup).toEqual({
+        format: BACKUP_FORMAT,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        exportedAt: '2025-04-15T20:00:00.000Z',
+        data: { goal: 2000, log: [breakfast] },
+      });
+    });
+
+    it('leaves out unknown sections', () => {
+      const backup = createBackup({ goal: 2000, somethingElse: true });
+      expect(backup.data).toEqual({ goal: 2000 });
+    });
+
+    it('round-trips through parseBackup', () => {
+      const data = {
+        goal: 2000,
+        macroGoals: { protein: 150, carbs: null, fat: null },
+        log: [breakfast, lunch],
+        customFoods: [{ id: 'food-1', name: 'Granola bar', calories: 180 }],
+        favoriteFoods: [{ name: 'Apple', calories: 95 }],
+      };
+      const {
+        data: parsed,
+        error,
+        problems,
+      } = parseBackup(JSON.stringify(createBackup(data)));
+
+      expect(error).toBeNull();
+      expect(problems).toEqual([]);
+      expect(parsed).toEqual(data);
+    });
+  });
+
+  describe('getBackupFileName', () => {
+    it('names the file after the local date', () => {
+      expect(getBackupFileName(new Date(2025, 3, 5, 23, 30))).toBe(
+        'health-fit-backup-2025-04-05.json'
+      );
+    });
+  });
+
+  describe('parseBackup', () => {
+    it('rejects text that is not JSON', () => {
+      expect(parseBackup('not json')).toEqual({
+        data: null,
+        error: 'The file is not valid JSON.',
+        problems: [],
+      });
+    });
+
+    it('rejects JSON that is not a backup from this app', () => {
+      expect(parseBackup('[1, 2, 3]').error).toBe(
+        'The file is not a backup from this app.'
+      );
+      expect(parseBackup(JSON.stringify({ data: {} })).error).toBe(
+        'The file is not a backup from this app.'
+      );
+      expect(parseBackup(toBackupText([breakfast])).error).toBe(
+        'The file is not a backup from this app.'
+      );
+    });
+
+    it('rejects backups from a newer version of the app', () => {
+      const { data, error } = parseBackup(
+        toBackupText(
+          { goal: 2000 },
+          { schemaVersion: CURRENT_SCHEMA_VERSION + 1 }
+        )
+      );
+      expect(data).toBeNull();
+      expect(error).toMatch(/newer version/);
+    });
+
+    it('upgrades backups from older versions with the storage migrations', () => {
+      const { data, problems } = parseBackup(
+        toBackupText(
+          { log: [{ name: 'Toast', calories: '120' }, { calories: 50 }] },
+          { schemaVersion: 0 }
+        ),
+        new Date(2025, 3, 15, 9)
+      );
+
+      expect(problems).toEqual([
+        'Food log had 1 entry without a name, which was removed during the upgrade.',
+      ]);
+      expect(data.log).toEqual([
+        {
+          id: 'legacy-0',
+          name: 'Toast',
+          calories: 120,
+          loggedAt: new Date(2025, 3, 14, 12).toISOString(),
+          meal: 'snacks',
+        },
+      ]);
+    });
+
+    it('skips and reports invalid settings and records', () => {
+      const { data, problems } = parseBackup(
+        toBackupText({
+          goal: -5,
+          macroGoals: { protein: 150 },
+          log: [breakfast, { ...lunch, calories: 'lots' }, { name: 'No ID' }],
+          recipes: 'not a list',
+        })
+      );
+
+      expect(data).toEqual({
+        macroGoals: { protein: 150 },
+        log: [breakfast],
+      });
+      expect(problems).toHaveLength(4);
+      expect(problems[0]).toMatch(/^Calorie goal: /);
+      expect(problems[1]).toMatch(/^Log entry 2: /);
+      expect(problems[2]).toBe(
+        'Log entry 3: Invalid log item: An ID is required.'
+      );
+      expect(problems[3]).toMatch(/: Not a list, skipped\.$/);
+    });
+
+    it('validates weekday goals, scheduled goals and the goal history', () => {
+      const cut = { id: 'cut', start: '2025-04-01', goal: 1800 };
+      const { data, problems } = parseBackup(
+        toBackupText({
+          weekdayGoals: { sat: 2500, sun: null },
+          goalSchedule: [
+            cut,
+            { id: 'bad', start: '2025-05-10', end: '2025-05-01', goal: 2000 },
+          ],
+          goalHistory: [
+            { until: '2025-03-31', goal: 2200, goalSchedule: [cut] },
+            { until: 'yesterday', goal: 2000 },
+          ],
+        })
+      );
+
+      expect(data.weekdayGoals).toEqual({ sat: 2500, sun: null });
+      expect(data.goalSchedule).toEqual([cut]);
+      expect(data.goalHistory).toEqual([
+        {
+          until: '2025-03-31',
+          goal: 2200,
+          weekdayGoals: expect.objectContaining({ sat: null }),
+          goalSchedule: [cut],
+        },
+      ]);
+      expect(problems).toHaveLength(2);
+      expect(problems[0]).toMatch(/^Scheduled goal 2: .*ends/);
+      expect(problems[1]).toMatch(/^Goal history entry 2: /);
+    });
+
+    it('validates the weight log and target pace', () => {
+      const weighIn = {
+        id: 'w1',
+        date: '2025-04-14',
+        value: 176.4,
+        unit: 'lb',
+      };
+      const { data, problems } = parseBackup(
+        toBackupText({
+          weightLog: [
+            weighIn,
+            { id: 'w2', date: '2025-04-15', value: 9, unit: 'kg' },
+          ],
+          targetPace: 5,
+        })
+      );
+
+      expect(data.weightLog).toEqual([weighIn]);
+      expect(data.targetPace).toBeUndefined();
+      expect(problems).toHaveLength(2);
+      expect(problems).toEqual(
+        expect.arrayContaining([
+          expect.stringMatching(/^Weight entry 2: Invalid weight/),
+        ])
+      );
+    });
+
+    it('validates the exercise log and its budget setting', () => {
+      const run = {
+        id: 'e1',
+        date: '2025-04-14',
+        activity: 'running',
+        intensity: 'moderate',
+        durationMinutes: 30,
+        calories: 343,
+      };
+      const { data, problems } = parseBackup(
+        toBackupText({
+          exerciseLog: [run, { ...run, id: 'e2', activity: 'chess' }],
+          addBurnedCalories: 'yes',
+        })
+      );
+
+      expect(data.exerciseLog).toEqual([run]);
+      expect(data.addBurnedCalories).toBeUndefined();
+      expect(problems).toHaveLength(2);
+      expect(problems).toEqual(
+        expect.arrayContaining(['Exercise entry 2: Unknown activity: chess.'])
+      );
+    });
+
+    it('skips records with the same ID as an earlier one', () => {
+      const { data, problems } = parseBackup(
+        toBackupText({
+          log: [breakfast, { ...lunch, id: breakfast.id }],
+          favoriteFoods: [
+            { name: 'Apple', calories: 95 },
+            { name: ' apple ', calories: 80 },
+          ],
+        })
+      );
+
+      expect(data.log).toEqual([breakfast]);
+      expect(data.favoriteFoods).toEqual([{ name: 'Apple', calories: 95 }]);
+      expect(problems).toEqual([
+        'Log entry 2: Same ID as an earlier one, skipped.',
+        'Favorite 2: Same name as an earlier one, skipped.',
+      ]);
+    });
+  });
+
+  describe('importSection', () => {
+    it('merges lists by adding only records that are not saved yet', () => {
+      const changedBreakfast = { ...breakfast, calories: 999 };
+      expect(
+        importSection('log', [breakfast], [changedBreakfast, lunch], 'merge')
+      ).toEqual([breakfast, lunch]);
+    });
+
+    it('replaces lists with the imported records', () => {
+      expect(importSection('log', [breakfast], [lunch], 'replace')).toEqual([
+        lunch,
+      ]);
+    });
+
+    it('only changes settings when replacing', () => {
+      expect(importSection('goal', 2000, 1800, 'merge')).toBe(2000);
+      expect(importSection('goal', 2000, 1800, 'replace')).toBe(1800);
+    });
+
+    it('keeps the current value when the backup has none for a section', () => {
+      expect(importSection('log', [breakfast], undefined, 'replace')).toEqual([
+        breakfast,
+      ]);
+    });
+  });
+
+  describe('previewImport', () => {
+    const current = {
+      goal: 2000,
+      macroGoals: { protein: 150, carbs: null, fat: null },
+      log: [breakfast, lunch],
+    };
+    const imported = {
+      goal: 1800,
+      macroGoals: { protein: 150 },
+      log: [
+        breakfast,
+        { ...lunch, calories: 500 },
+        { id: 'log-3', name: 'Apple', calories: 95 },
+      ],
+    };
+
+    it('counts new, unchanged and skipped records when merging', () => {
+      expect(previewImport(current, imported, 'merge')).toEqual({
+        lists: [
+          {
+            section: 'log',
+            label: 'Food log',
+            added: 1,
+            updated: 0,
+            unchanged: 1,
+            skipped: 1,
+            removed: 0,
+          },
+        ],
+        settings: [],
+      });
+    });
+
+    it('counts updated and removed records and changed settings when replacing', () => {
+      const preview = previewImport(
+        current,
+        { ...imported, log: [{ ...lunch, calories: 500 }] },
+        'replace'
+      );
+
+      expect(preview.lists[0]).toMatchObject({
+        added: 0,
+        updated: 1,
+        unchanged: 0,
+        removed: 1,
+      });
+      // The macro goals only differ by fields that are unset either way
+      expect(preview.settings).toEqual(['Calorie goal']);
+    });
+  });
+});
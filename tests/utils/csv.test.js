@@ -0,0 +1,353 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toCsv,
+  parseCsv,
+  detectDelimiter,
+  parseLocaleNumber,
+  detectDecimalSeparator,
+  detectDateOrder,
+  guessColumnMapping,
+  logToCsv,
+  parseLogCsv,
+  excludeLoggedEntries,
+} from '../../src/utils/csv.js';
+
+const FULL_MAPPING = {
+  date: 0,
+  time: 1,
+  meal: 2,
+  name: 3,
+  calories: 4,
+  protein: 5,
+  carbs: 6,
+  fat: 7,
+};
+
+describe('csv', () => {
+  describe('toCsv / parseCsv', () => {
+    it('quotes fields with delimiters, quotes, line breaks or edge spaces', () => {
+      const csv = toCsv([
+        ['name', 'note'],
+        ['Mac, cheese', 'said "yum"'],
+        ['Two\nlines', ' padded'],
+      ]);
+      expect(csv).toBe(
+        'name,note\r\n"Mac, cheese","said ""yum"""\r\n"Two\nlines"," padded"'
+      );
+    });
+
+    it('round-trips quoted fields', () => {
+      const rows = [
+        ['a', 'b;c', '"quoted"'],
+        ['line\r\nbreak', '', 'end'],
+      ];
+      expect(parseCsv(toCsv(rows, ';'), ';')).toEqual(rows);
+    });
+
+    it('handles LF and CRLF line endings, a byte order mark and a trailing line break', () => {
+      expect(parseCsv('\uFEFFa,b\nc,d\r\ne,f\r\n')).toEqual([
+        ['a', 'b'],
+        ['c', 'd'],
+        ['e', 'f'],
+      ]);
+    });
+
+    it('keeps blank lines so row numbers match the spreadsheet', () => {
+      expect(parseCsv('a\n\nb')).toEqual([['a'], [''], ['b']]);
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('picks the delimiter used most in the header', () => {
+      expect(detectDelimiter('date;name;calories\n1;2;3')).toBe(';');
+      expect(detectDelimiter('date\tname\tcalories')).toBe('\t');
+      expect(detectDelimiter('"a;b",c,d')).toBe(',');
+      expect(detectDelimiter('name')).toBe(',');
+    });
+  });
+
+  describe('parseLocaleNumber', () => {
+    it('reads numbers with a decimal point', () => {
+      expect(parseLocaleNumber('12.5')).toBe(12.5);
+      expect(parseLocaleNumber('1,234.5')).toBe(1234.5);
+      expect(parseLocaleNumber(' 80 ')).toBe(80);
+    });
+
+    it('reads numbers with a decimal comma', () => {
+      expect(parseLocaleNumber('12,5', ',')).toBe(12.5);
+      expect(parseLocaleNumber('1.234,5', ',')).toBe(1234.5);
+      expect(parseLocaleNumber('1 234,5', ',')).toBe(1234.5);
+    });
+
+    it('returns NaN for text and misplaced separators', () => {
+      expect(parseLocaleNumber('lots')).toBeNaN();
+      expect(parseLocaleNumber('1.5', ',')).toBeNaN();
+      expect(parseLocaleNumber('12,5')).toBeNaN();
+      expect(parseLocaleNumber('1.2.3')).toBeNaN();
+    });
+
+    it('returns undefined for empty fields', () => {
+      expect(parseLocaleNumber('')).toBeUndefined();
+      expect(parseLocaleNumber('  ')).toBeUndefined();
+    });
+  });
+
+  describe('detectDecimalSeparator', () => {
+    it('detects decimal commas from unambiguous values', () => {
+      expect(detectDecimalSeparator(['120', '12,5', '3,25'])).toBe(',');
+    });
+
+    it('defaults to a decimal point when values are ambiguous', () => {
+      expect(detectDecimalSeparator(['1,234', '80'])).toBe('.');
+      expect(detectDecimalSeparator(['12.5', '1,234'])).toBe('.');
+    });
+  });
+
+  describe('detectDateOrder', () => {
+    it('detects month-first dates', () => {
+      expect(detectDateOrder(['04/05/2025', '04/15/2025'])).toBe('mdy');
+    });
+
+    it('defaults to day first', () => {
+      expect(detectDateOrder(['04/05/2025', '2025-04-15'])).toBe('dmy');
+    });
+  });
+
+  describe('guessColumnMapping', () => {
+    it('matches common header names, ignoring case and units', () => {
+      expect(
+        guessColumnMapping([
+          'Food',
+          'Energy (kcal)',
+          'Date',
+          'Meal Type',
+          'Carbohydrates (g)',
+          'Notes',
+        ])
+      ).toEqual({
+        date: 2,
+        time: null,
+        meal: 3,
+        name: 0,
+        calories: 1,
+        protein: null,
+        carbs: 4,
+        fat: null,
+      });
+    });
+  });
+
+  describe('logToCsv', () => {
+    const log = [
+      {
+        id: '2',
+        name: 'Salad, large',
+        calories: 450.5,
+        loggedAt: new Date(2025, 3, 15, 12, 30).toISOString(),
+        meal: 'lunch',
+        protein: 12,
+      },
+      {
+        id: '1',
+        name: 'Oatmeal',
+        calories: 300,
+        loggedAt: new Date(2025, 3, 15, 8, 5).toISOString(),
+        meal: 'breakfast',
+      },
+    ];
+
+    it('writes a header and one row per entry, oldest first', () => {
+      expect(logToCsv(log).split('\r\n')).toEqual([
+        'date,time,meal,name,calories,protein,carbs,fat',
+        '2025-04-15,08:05,Breakfast,Oatmeal,300,,,',
+        '2025-04-15,12:30,Lunch,"Salad, large",450.5,12,,',
+      ]);
+    });
+
+    it('writes decimal commas with semicolons', () => {
+      expect(
+        logToCsv(log, { delimiter: ';', decimalSeparator: ',' }).split(
+          '\r\n'
+        )[2]
+      ).toBe('2025-04-15;12:30;Lunch;Salad, large;450,5;12;;');
+    });
+
+    it('can be imported again', () => {
+      const table = parseCsv(logToCsv(log));
+      const { items, errors } = parseLogCsv(table, {
+        mapping: guessColumnMapping(table[0]),
+      });
+      expect(errors).toEqual([]);
+      expect(items).toEqual([
+        {
+          name: 'Oatmeal',
+          calories: 300,
+          loggedAt: log[1].loggedAt,
+          meal: 'breakfast',
+        },
+        {
+          name: 'Salad, large',
+          calories: 450.5,
+          loggedAt: log[0].loggedAt,
+          meal: 'lunch',
+          protein: 12,
+        },
+      ]);
+    });
+
+    it('keeps names that look like formulas from running in a spreadsheet', () => {
+      const names = ['=HYPERLINK(1)', '+1 egg', '-', '@SUM(A1)', "'=quoted"];
+      const formulaLog = names.map((name, index) => ({
+        id: String(index),
+        name,
+        calories: 100,
+        loggedAt: log[1].loggedAt,
+      }));
+      const table = parseCsv(logToCsv(formulaLog));
+
+      expect(table.slice(1).map((row) => row[3])).toEqual([
+        "'=HYPERLINK(1)",
+        "'+1 egg",
+        "'-",
+        "'@SUM(A1)",
+        "''=quoted",
+      ]);
+      const { items } = parseLogCsv(table, {
+        mapping: guessColumnMapping(table[0]),
+      });
+      expect(items.map((item) => item.name)).toEqual(names);
+    });
+  });
+
+  describe('parseLogCsv', () => {
+    const header = [
+      'date',
+      'time',
+      'meal',
+      'name',
+      'calories',
+      'protein',
+      'carbs',
+      'fat',
+    ];
+
+    it('reads locale numbers, day-first dates and 12-hour times', () => {
+      const { items, errors } = parseLogCsv(
+        [
+          header,
+          [
+            '15.04.2025',
+            '7:45 PM',
+            'dinner',
+            'Pasta',
+            '1.050,5',
+            '30,5',
+            '',
+            '',
+          ],
+        ],
+        { mapping: FULL_MAPPING, decimalSeparator: ',', dateOrder: 'dmy' }
+      );
+
+      expect(errors).toEqual([]);
+      expect(items).toEqual([
+        {
+          name: 'Pasta',
+          calories: 1050.5,
+          loggedAt: new Date(2025, 3, 15, 19, 45).toISOString(),
+          meal: 'dinner',
+          protein: 30.5,
+        },
+      ]);
+    });
+
+    it('logs rows without a time at noon and leaves rows without a date undated', () => {
+      const { items } = parseLogCsv(
+        [
+          ['date', 'name', 'calories'],
+          ['2025-04-15', 'Apple', '95'],
+          ['', 'Banana', '105'],
+        ],
+        { mapping: { date: 0, name: 1, calories: 2 } }
+      );
+
+      expect(items[0].loggedAt).toBe(new Date(2025, 3, 15, 12).toISOString());
+      expect(items[1]).toEqual({ name: 'Banana', calories: 105 });
+    });
+
+    it('reads the time from a date column that includes one', () => {
+      const { items } = parseLogCsv(
+        [
+          ['date', 'name', 'calories'],
+          ['2025-04-15 08:30', 'Toast', '80'],
+        ],
+        { mapping: { date: 0, name: 1, calories: 2 } }
+      );
+      expect(items[0].loggedAt).toBe(
+        new Date(2025, 3, 15, 8, 30).toISOString()
+      );
+    });
+
+    it('reports each invalid row by its spreadsheet row number and keeps the rest', () => {
+      const { items, errors } = parseLogCsv(
+        [
+          header,
+          ['2025-04-15', '08:00', 'Breakfast', 'Oatmeal', '300', '', '', ''],
+          ['', '', '', '', '', '', '', ''],
+          ['2025-02-30', '', '', 'Toast', '80', '', '', ''],
+          ['2025-04-15', '25:00', '', 'Toast', '80', '', '', ''],
+          ['', '', 'brunch', 'Eggs', '150', '', '', ''],
+          ['', '', '', 'Soup', 'lots', '', '', ''],
+          ['', '', '', 'Water', '', '', '', ''],
+          ['', '', '', '', '50', '', '', ''],
+          ['', '', '', 'Shake', '200', '-5', '', ''],
+        ],
+        { mapping: FULL_MAPPING }
+      );
+
+      expect(items).toHaveLength(1);
+      expect(errors.map(({ row }) => row)).toEqual([4, 5, 6, 7, 8, 9, 10]);
+      expect(errors.slice(0, 5).map(({ message }) => message)).toEqual([
+        'Date (2025-02-30) is not a valid date.',
+        'Time (25:00) is not a valid time.',
+        'Meal (brunch) must be one of breakfast, lunch, dinner, snacks.',
+        'Calories (lots) is not a number.',
+        'Calories are missing.',
+      ]);
+      expect(errors[5].message).toMatch(/Name cannot be empty/);
+      expect(errors[6].message).toMatch(/protein/i);
+    });
+
+    it('accepts month-first dates when told to', () => {
+      const { items } = parseLogCsv(
+        [
+          ['date', 'name', 'calories'],
+          ['4/5/25', 'Apple', '95'],
+        ],
+        { mapping: { date: 0, name: 1, calories: 2 }, dateOrder: 'mdy' }
+      );
+      expect(items[0].loggedAt).toBe(new Date(2025, 3, 5, 12).toISOString());
+    });
+  });
+
+  describe('excludeLoggedEntries', () => {
+    it('leaves out entries already logged at the same minute', () => {
+      const loggedAt = new Date(2025, 3, 15, 8, 5, 42).toISOString();
+      const log = [{ id: '1', name: 'Oatmeal', calories: 300, loggedAt }];
+      const items = [
+        {
+          name: ' oatmeal ',
+          calories: 300,
+          loggedAt: new Date(2025, 3, 15, 8, 5).toISOString(),
+        },
+        { name: 'Oatmeal', calories: 350, loggedAt },
+        { name: 'Oatmeal', calories: 300 },
+      ];
+
+      expect(excludeLoggedEntries(items, log)).toEqual({
+        newItems: items.slice(1),
+        duplicateCount: 1,
+      });
+    });
+  });
+});
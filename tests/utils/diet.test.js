@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DIET_KEYS,
+  ALLERGEN_KEYS,
+  matchesDietaryPreferences,
+} from '../../src/utils/diet.js';
+import { suggestions, SUGGESTION_TAGS } from '../../src/data/suggestions.js';
+
+const ALMONDS = {
+  name: 'Almonds',
+  tags: ['vegan', 'vegetarian', 'gluten-free'],
+  allergens: ['tree-nuts'],
+};
+
+describe('diet utils', () => {
+  describe('matchesDietaryPreferences', () => {
+    it('matches everything without preferences', () => {
+      expect(matchesDietaryPreferences(ALMONDS)).toBe(true);
+      expect(
+        matchesDietaryPreferences(ALMONDS, { diets: [], allergens: [] })
+      ).toBe(true);
+    });
+
+    it('requires every selected diet', () => {
+      expect(
+        matchesDietaryPreferences(ALMONDS, { diets: ['vegan', 'gluten-free'] })
+      ).toBe(true);
+      expect(
+        matchesDietaryPreferences(ALMONDS, { diets: ['vegan', 'kosher'] })
+      ).toBe(false);
+    });
+
+    it('excludes foods containing an excluded allergen', () => {
+      expect(
+        matchesDietaryPreferences(ALMONDS, { allergens: ['peanuts'] })
+      ).toBe(true);
+      expect(
+        matchesDietaryPreferences(ALMONDS, {
+          allergens: ['peanuts', 'tree-nuts'],
+        })
+      ).toBe(false);
+    });
+
+    it('excludes foods without allergen information when any are excluded', () => {
+      const unknown = { name: 'Mystery', tags: ['vegan'] };
+      expect(matchesDietaryPreferences(unknown, { diets: ['vegan'] })).toBe(
+        true
+      );
+      expect(matchesDietaryPreferences(unknown, { allergens: ['soy'] })).toBe(
+        false
+      );
+    });
+  });
+
+  describe('suggestions data', () => {
+    it('only uses known tags and allergens', () => {
+      suggestions.forEach((suggestion) => {
+        suggestion.tags.forEach((tag) =>
+          expect([...SUGGESTION_TAGS, ...DIET_KEYS]).toContain(tag)
+        );
+        expect(Array.isArray(suggestion.allergens)).toBe(true);
+        suggestion.allergens.forEach((allergen) =>
+          expect(ALLERGEN_KEYS).toContain(allergen)
+        );
+      });
+    });
+
+    it('never suggests nuts to someone avoiding them', () => {
+      const names = suggestions
+        .filter((suggestion) =>
+          matchesDietaryPreferences(suggestion, {
+            allergens: ['tree-nuts', 'peanuts'],
+          })
+        )
+        .map((suggestion) => suggestion.name);
+      expect(names).not.toContain('Handful of almonds');
+      expect(names).not.toContain('Celery sticks with peanut butter');
+      expect(names).not.toContain('Apple slices with almond butter');
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MIN_GOAL_CALORIES,
+  validateBodyDetails,
+  calculateBmr,
+  calculateGoalPlan,
+} from '../../src/utils/energy.js';
+
+const MAN = {
+  sex: 'male',
+  age: 30,
+  heightCm: 180,
+  weightKg: 80,
+  formula: 'mifflin',
+  activity: 'sedentary',
+  target: 'maintain',
+};
+
+const WOMAN = {
+  sex: 'female',
+  age: 30,
+  heightCm: 165,
+  weightKg: 60,
+  formula: 'mifflin',
+  activity: 'sedentary',
+  target: 'maintain',
+};
+
+describe('energy utils', () => {
+  describe('calculateBmr', () => {
+    it('uses Mifflin-St Jeor by default', () => {
+      expect(calculateBmr(MAN)).toBe(1780);
+      expect(calculateBmr(WOMAN)).toBeCloseTo(1320.25);
+    });
+
+    it('supports Harris-Benedict and Katch-McArdle', () => {
+      expect(calculateBmr({ ...MAN, formula: 'harris' })).toBeCloseTo(1853.632);
+      expect(
+        calculateBmr({ ...MAN, formula: 'katch', bodyFat: 20 })
+      ).toBeCloseTo(1752.4);
+    });
+  });
+
+  describe('calculateGoalPlan', () => {
+    it('keeps the weight at the TDEE with a macro split', () => {
+      expect(calculateGoalPlan(MAN)).toEqual({
+        bmr: 1780,
+        tdee: 2136,
+        calories: 2140,
+        macros: { protein: 128, carbs: 274, fat: 59 },
+        limited: false,
+      });
+    });
+
+    it('takes the weekly rate off the TDEE to lose weight', () => {
+      const plan = calculateGoalPlan({
+        ...MAN,
+        activity: 'moderate',
+        target: 'lose',
+        weeklyRateKg: 0.5,
+      });
+      expect(plan.tdee).toBe(2759);
+      expect(plan.calories).toBe(2210);
+      expect(plan.macros.protein).toBe(160);
+    });
+
+    it('never proposes less than the minimum goal', () => {
+      const plan = calculateGoalPlan({
+        ...WOMAN,
+        target: 'lose',
+        weeklyRateKg: 1,
+      });
+      expect(plan.calories).toBe(MIN_GOAL_CALORIES);
+      expect(plan.limited).toBe(true);
+    });
+  });
+
+  describe('validateBodyDetails', () => {
+    it('accepts complete details', () => {
+      expect(validateBodyDetails(MAN, () => {})).toBe(MAN);
+    });
+
+    it('reports the first problem in the form units', () => {
+      const problems = [];
+      const report = (message) => problems.push(message);
+
+      expect(validateBodyDetails({ ...MAN, sex: '' }, report)).toBeNull();
+      expect(validateBodyDetails({ ...MAN, age: NaN }, report)).toBeNull();
+      expect(
+        validateBodyDetails({ ...MAN, weightKg: 400 }, report, 'imperial')
+      ).toBeNull();
+      expect(
+        validateBodyDetails({ ...MAN, formula: 'katch' }, report)
+      ).toBeNull();
+      expect(
+        validateBodyDetails({ ...MAN, target: 'gain', weeklyRateKg: 2 }, report)
+      ).toBeNull();
+      expect(problems).toEqual([
+        'Choose the sex to use in the formula.',
+        'Age must be between 15 and 100 years.',
+        'Weight must be between 67 and 661 lb.',
+        'Katch-McArdle needs the body fat percentage. Body fat must be between 3 and 70 percent.',
+        'The weekly rate must be at most 1 kg.',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_BODY_WEIGHT_KG,
+  INTENSITY_KEYS,
+  estimateExerciseCalories,
+  getBodyWeightForDate,
+  getBurnedCalories,
+} from '../../src/utils/exercise.js';
+import { activities } from '../../src/data/activities.js';
+
+describe('exercise utils', () => {
+  describe('estimateExerciseCalories', () => {
+    it('multiplies the MET value by the body weight and hours', () => {
+      // Moderate running is 9.8 METs: 9.8 × 70 kg × 0.5 h
+      expect(
+        estimateExerciseCalories(
+          { activity: 'running', intensity: 'moderate', durationMinutes: 30 },
+          70
+        )
+      ).toBe(343);
+    });
+
+    it('returns null for an unknown activity or intensity', () => {
+      expect(
+        estimateExerciseCalories(
+          { activity: 'chess', intensity: 'moderate', durationMinutes: 30 },
+          70
+        )
+      ).toBeNull();
+      expect(
+        estimateExerciseCalories(
+          { activity: 'running', intensity: 'extreme', durationMinutes: 30 },
+          70
+        )
+      ).toBeNull();
+    });
+
+    it('has a MET value for every activity at every intensity', () => {
+      activities.forEach((activity) => {
+        INTENSITY_KEYS.forEach((intensity) => {
+          expect(activity.met[intensity]).toBeGreaterThan(1);
+        });
+        expect(activity.met.light).toBeLessThanOrEqual(activity.met.moderate);
+        expect(activity.met.moderate).toBeLessThanOrEqual(
+          activity.met.vigorous
+        );
+      });
+      expect(new Set(activities.map((activity) => activity.id)).size).toBe(
+        activities.length
+      );
+    });
+  });
+
+  describe('getBodyWeightForDate', () => {
+    const weightLog = [
+      { id: 'b', date: '2025-04-10', value: 176.37, unit: 'lb' },
+      { id: 'a', date: '2025-04-01', value: 82, unit: 'kg' },
+    ];
+
+    it('uses the latest weigh-in on or before the day', () => {
+      expect(getBodyWeightForDate(weightLog, '2025-04-05')).toBe(82);
+      expect(getBodyWeightForDate(weightLog, '2025-04-15')).toBeCloseTo(80);
+    });
+
+    it('falls back to the first weigh-in, then to a default weight', () => {
+      expect(getBodyWeightForDate(weightLog, '2025-03-01')).toBe(82);
+      expect(getBodyWeightForDate([], '2025-04-15')).toBe(
+        DEFAULT_BODY_WEIGHT_KG
+      );
+    });
+  });
+
+  describe('getBurnedCalories', () => {
+    it('totals the calories burned on a day', () => {
+      const exerciseLog = [
+        { id: '1', date: '2025-04-15', calories: 300 },
+        { id: '2', date: '2025-04-14', calories: 500 },
+        { id: '3', date: '2025-04-15', calories: 120 },
+      ];
+      expect(getBurnedCalories(exerciseLog, '2025-04-15')).toBe(420);
+      expect(getBurnedCalories(undefined, '2025-04-15')).toBe(0);
+    });
+  });
+});
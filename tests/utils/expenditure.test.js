@@ -0,0 +1,140 @@
+import { describe, it, expect } from 'vitest';
+import {
+  estimateExpenditure,
+  suggestGoal,
+} from '../../src/utils/expenditure.js';
+import { toDateKey } from '../../src/utils/dates.js';
+
+const TODAY_KEY = '2025-04-15';
+
+/**
+ * Returns the date key a number of days before 2025-04-15.
+ * @param {number} daysAgo - How many days back.
+ */
+const daysAgo = (daysAgo) => toDateKey(new Date(2025, 3, 15 - daysAgo));
+
+/**
+ * Builds a log of the same intake on each of the given days back.
+ * @param {number[]} days - The days back with food logged.
+ * @param {number} calories - The calories logged each day.
+ */
+const buildLog = (days, calories) =>
+  Object.fromEntries(
+    days.map((day) => [daysAgo(day), [{ id: `f${day}`, calories }]])
+  );
+
+/**
+ * Builds weigh-ins losing 0.5 kg a week, with the given days back.
+ * @param {number[]} days - The days back with a weigh-in.
+ */
+const buildWeights = (days) =>
+  days.map((day) => ({
+    id: `w${day}`,
+    date: daysAgo(day),
+    value: 80 + (day * 0.5) / 7,
+    unit: 'kg',
+  }));
+
+const everyDay = Array.from({ length: 28 }, (_, index) => index + 1);
+
+describe('expenditure utils', () => {
+  describe('estimateExpenditure', () => {
+    it('adds the energy of the weight lost to the intake', () => {
+      const estimate = estimateExpenditure(
+        buildLog(everyDay, 2000),
+        buildWeights([0, ...everyDay]),
+        TODAY_KEY
+      );
+      // 0.5 kg a week is 550 calories a day
+      expect(estimate).toMatchObject({
+        expenditure: 2550,
+        intake: 2000,
+        loggedDays: 28,
+        weighIns: 29,
+        windowDays: 28,
+        confidence: 'high',
+      });
+      expect(estimate.weeklyRateKg).toBeCloseTo(-0.5);
+    });
+
+    it('skips days without food logged and ignores today', () => {
+      const log = {
+        ...buildLog([2, 4, 6, 8, 10, 12, 14, 16, 18, 20], 1800),
+        [TODAY_KEY]: [{ id: 'today', calories: 400 }],
+        [daysAgo(29)]: [{ id: 'old', calories: 5000 }],
+      };
+      const estimate = estimateExpenditure(
+        log,
+        buildWeights([1, 8, 15, 22]),
+        TODAY_KEY
+      );
+      expect(estimate).toMatchObject({
+        intake: 1800,
+        loggedDays: 10,
+        expenditure: 2350,
+        confidence: 'low',
+      });
+    });
+
+    it('needs enough days logged and weigh-ins spanning two weeks', () => {
+      const weights = buildWeights(everyDay);
+      expect(
+        estimateExpenditure(
+          buildLog(everyDay.slice(0, 9), 2000),
+          weights,
+          TODAY_KEY
+        )
+      ).toBeNull();
+      expect(
+        estimateExpenditure(
+          buildLog(everyDay, 2000),
+          buildWeights([1, 5, 9, 13]),
+          TODAY_KEY
+        )
+      ).toBeNull();
+      expect(
+        estimateExpenditure(
+          buildLog(everyDay, 2000),
+          weights.slice(0, 3),
+          TODAY_KEY
+        )
+      ).toBeNull();
+      expect(estimateExpenditure({}, [], 'today')).toBeNull();
+    });
+
+    it('converts weigh-ins in pounds', () => {
+      const estimate = estimateExpenditure(
+        buildLog(everyDay, 2000),
+        buildWeights(everyDay).map((entry) => ({
+          ...entry,
+          value: entry.value / 0.45359237,
+          unit: 'lb',
+        })),
+        TODAY_KEY
+      );
+      expect(estimate.expenditure).toBe(2550);
+    });
+  });
+
+  describe('suggestGoal', () => {
+    const estimate = { expenditure: 2550, weeklyRateKg: -0.2 };
+
+    it('suggests the goal that would reach the target pace', () => {
+      expect(suggestGoal(estimate, -0.5, 2300)).toBe(2000);
+      expect(suggestGoal(estimate, 0, 2300)).toBe(2550);
+    });
+
+    it('suggests nothing without a target pace, on pace or near the goal', () => {
+      expect(suggestGoal(estimate, null, 2300)).toBeNull();
+      expect(suggestGoal(estimate, -0.25, 2300)).toBeNull();
+      expect(suggestGoal(estimate, -0.5, 2050)).toBeNull();
+      expect(suggestGoal(null, -0.5, 2300)).toBeNull();
+    });
+
+    it('never suggests less than the lowest advisable goal', () => {
+      expect(
+        suggestGoal({ expenditure: 1500, weeklyRateKg: 0 }, -1, 1500)
+      ).toBe(1200);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getFoodKey,
+  toQuickAddItem,
+  getFoodHistory,
+  getRecentFoods,
+  getFrequentFoods,
+} from '../../src/utils/foodHistory.js';
+
+const item = (id, name, calories, loggedAt, extra = {}) => ({
+  id,
+  name,
+  calories,
+  loggedAt,
+  meal: 'lunch',
+  ...extra,
+});
+
+describe('foodHistory utils', () => {
+  describe('getFoodKey', () => {
+    it('ignores case and extra whitespace', () => {
+      expect(getFoodKey('  Greek   Yogurt ')).toBe('greek yogurt');
+      expect(getFoodKey(undefined)).toBe('');
+    });
+  });
+
+  describe('toQuickAddItem', () => {
+    it('keeps only the loggable fields', () => {
+      expect(
+        toQuickAddItem(
+          item('1', 'Rice', 205, '2025-04-15T12:00:00.000Z', {
+            protein: 4.3,
+            quantity: 1,
+            unit: 'cup',
+          })
+        )
+      ).toEqual({
+        name: 'Rice',
+        calories: 205,
+        protein: 4.3,
+        quantity: 1,
+        unit: 'cup',
+      });
+    });
+
+    it('drops an amount without a valid unit', () => {
+      expect(
+        toQuickAddItem({ name: 'Rice', calories: 205, quantity: 1 })
+      ).toEqual({ name: 'Rice', calories: 205 });
+    });
+  });
+
+  describe('getFoodHistory', () => {
+    const log = [
+      item('1', 'Apple', 95, '2025-04-13T08:00:00.000Z'),
+      item('2', 'Rice', 205, '2025-04-14T12:00:00.000Z'),
+      item('3', ' apple', 100, '2025-04-15T08:00:00.000Z'),
+      item('4', 'Apple', 90, '2025-04-12T08:00:00.000Z'),
+      { id: '5', name: 'Legacy toast', calories: 80 },
+      { id: '6', name: '', calories: 10 },
+    ];
+
+    it('groups entries by name, newest first, with counts', () => {
+      const history = getFoodHistory(log);
+      expect(history.map(({ key, count }) => [key, count])).toEqual([
+        ['apple', 3],
+        ['rice', 1],
+        ['legacy toast', 1],
+      ]);
+      expect(history[0].item.id).toBe('3');
+      expect(history[0].lastLoggedAt).toBe('2025-04-15T08:00:00.000Z');
+      expect(history[2].lastLoggedAt).toBeNull();
+    });
+
+    it('returns an empty history for invalid input', () => {
+      expect(getFoodHistory(null)).toEqual([]);
+    });
+  });
+
+  describe('getRecentFoods / getFrequentFoods', () => {
+    const history = getFoodHistory([
+      item('1', 'Apple', 95, '2025-04-13T08:00:00.000Z'),
+      item('2', 'Apple', 95, '2025-04-13T09:00:00.000Z'),
+      item('3', 'Rice', 205, '2025-04-14T12:00:00.000Z'),
+      item('4', 'Eggs', 155, '2025-04-15T07:00:00.000Z'),
+    ]);
+
+    it('orders by recency', () => {
+      expect(getRecentFoods(history, 2).map((entry) => entry.key)).toEqual([
+        'eggs',
+        'rice',
+      ]);
+    });
+
+    it('orders by count, breaking ties by recency', () => {
+      expect(getFrequentFoods(history).map((entry) => entry.key)).toEqual([
+        'apple',
+        'eggs',
+        'rice',
+      ]);
+    });
+  });
+});
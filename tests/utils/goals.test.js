@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_WEEKDAY_GOALS,
+  getWeekdayKey,
+  findScheduledGoal,
+  resolveGoal,
+  getGoalPlanForDate,
+  isSameGoalPlan,
+  addGoalHistoryEntry,
+} from '../../src/utils/goals.js';
+
+const PLAN = {
+  goal: 2000,
+  weekdayGoals: { ...DEFAULT_WEEKDAY_GOALS, sat: 2500 },
+  goalSchedule: [
+    { id: 'cut', start: '2025-04-01', end: '2025-04-30', goal: 1800 },
+    { id: 'holiday', start: '2025-04-18', end: '2025-04-21', goal: 2400 },
+  ],
+};
+
+describe('goals utils', () => {
+  describe('getWeekdayKey', () => {
+    it('returns the day of the week, Monday first', () => {
+      expect(getWeekdayKey('2025-04-14')).toBe('mon');
+      expect(getWeekdayKey('2025-04-20')).toBe('sun');
+    });
+  });
+
+  describe('findScheduledGoal', () => {
+    it('picks the latest starting goal covering the day', () => {
+      expect(findScheduledGoal(PLAN.goalSchedule, '2025-04-19').id).toBe(
+        'holiday'
+      );
+      expect(findScheduledGoal(PLAN.goalSchedule, '2025-04-22').id).toBe('cut');
+      expect(findScheduledGoal(PLAN.goalSchedule, '2025-05-01')).toBeNull();
+      expect(findScheduledGoal(undefined, '2025-05-01')).toBeNull();
+    });
+
+    it('treats a goal without an end as open-ended', () => {
+      const schedule = [{ id: 'open', start: '2025-04-01', goal: 1700 }];
+      expect(findScheduledGoal(schedule, '2026-01-01').goal).toBe(1700);
+      expect(findScheduledGoal(schedule, '2025-03-31')).toBeNull();
+    });
+  });
+
+  describe('resolveGoal', () => {
+    it('prefers a scheduled goal, then the weekday goal, then the daily goal', () => {
+      expect(resolveGoal(PLAN, '2025-04-19')).toBe(2400);
+      expect(resolveGoal(PLAN, '2025-04-26')).toBe(1800);
+      expect(resolveGoal(PLAN, '2025-05-03')).toBe(2500);
+      expect(resolveGoal(PLAN, '2025-05-05')).toBe(2000);
+    });
+
+    it('returns null when no goal is set', () => {
+      expect(resolveGoal({ goal: null }, '2025-05-05')).toBeNull();
+      expect(resolveGoal(undefined, '2025-05-05')).toBeNull();
+    });
+  });
+
+  describe('getGoalPlanForDate', () => {
+    const history = [
+      { until: '2025-03-31', goal: 2200 },
+      { until: '2025-04-10', goal: 2100 },
+    ];
+
+    it('uses the history entry covering a past day', () => {
+      expect(
+        getGoalPlanForDate(history, PLAN, '2025-03-01', '2025-04-15').goal
+      ).toBe(2200);
+      expect(
+        getGoalPlanForDate(history, PLAN, '2025-04-01', '2025-04-15').goal
+      ).toBe(2100);
+    });
+
+    it('uses the current plan after the last change and from today on', () => {
+      expect(
+        getGoalPlanForDate(history, PLAN, '2025-04-11', '2025-04-15')
+      ).toBe(PLAN);
+      expect(
+        getGoalPlanForDate(history, PLAN, '2025-03-01', '2025-03-01')
+      ).toBe(PLAN);
+    });
+  });
+
+  describe('isSameGoalPlan', () => {
+    it('compares plans by content, filling in missing weekday goals', () => {
+      expect(
+        isSameGoalPlan(
+          { goal: 2000, weekdayGoals: {}, goalSchedule: [] },
+          { goal: 2000, weekdayGoals: DEFAULT_WEEKDAY_GOALS }
+        )
+      ).toBe(true);
+      expect(isSameGoalPlan(PLAN, { ...PLAN, goal: 2100 })).toBe(false);
+    });
+  });
+
+  describe('addGoalHistoryEntry', () => {
+    it('records the replaced plan as applying until yesterday', () => {
+      expect(addGoalHistoryEntry([], { goal: 2000 }, '2025-04-01')).toEqual([
+        {
+          until: '2025-03-31',
+          goal: 2000,
+          weekdayGoals: DEFAULT_WEEKDAY_GOALS,
+          goalSchedule: [],
+        },
+      ]);
+    });
+
+    it('keeps the first plan replaced on a day', () => {
+      const history = addGoalHistoryEntry([], { goal: 2000 }, '2025-04-15');
+      expect(addGoalHistoryEntry(history, { goal: 2100 }, '2025-04-15')).toBe(
+        history
+      );
+    });
+  });
+});
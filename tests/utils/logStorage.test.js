@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  createIndexedDbAdapter,
+  resolveLogStorage,
+  isLogStorageAdapter,
+  getLogDatabaseName,
+} from '../../src/utils/logStorage.js';
+
+const adapter = {
+  name: 'memory',
+  loadDays: async () => [],
+  saveItems: async () => {},
+  deleteItems: async () => {},
+};
+
+/**
+ * A minimal IndexedDB stand-in (jsdom has none) whose requests and
+ * transactions succeed on the next tick.
+ */
+const createFakeIndexedDb = () => {
+  const databases = [];
+  const indexedDB = {
+    open: vi.fn(() => {
+      const database = {
+        close: vi.fn(),
+        transaction: vi.fn(() => {
+          const transaction = { objectStore: () => ({ put: vi.fn() }) };
+          setTimeout(() => transaction.oncomplete());
+          return transaction;
+        }),
+      };
+      databases.push(database);
+      const request = { result: database };
+      setTimeout(() => request.onsuccess());
+      return request;
+    }),
+  };
+  return { indexedDB, databases };
+};
+
+/**
+ * Waits for pending promise callbacks to run.
+ */
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve));
+
+describe('logStorage utils', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('isLogStorageAdapter', () => {
+    it('requires the load, save and delete methods', () => {
+      expect(isLogStorageAdapter(adapter)).toBe(true);
+      expect(isLogStorageAdapter({ ...adapter, deleteItems: undefined })).toBe(
+        false
+      );
+      expect(isLogStorageAdapter(null)).toBe(false);
+      expect(isLogStorageAdapter('indexedDB')).toBe(false);
+    });
+  });
+
+  describe('resolveLogStorage', () => {
+    it('keeps the log in localStorage by default', () => {
+      expect(resolveLogStorage(undefined)).toBeNull();
+      expect(resolveLogStorage('localStorage')).toBeNull();
+    });
+
+    it('uses an adapter as is', () => {
+      expect(resolveLogStorage(adapter)).toBe(adapter);
+    });
+
+    it('falls back to localStorage when IndexedDB is unavailable', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      // jsdom has no IndexedDB
+      expect(resolveLogStorage('indexedDB')).toBeNull();
+      expect(warnSpy).toHaveBeenCalledWith(
+        expect.stringContaining('IndexedDB is not available')
+      );
+    });
+
+    it('warns about unknown options', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(resolveLogStorage('sessionStorage')).toBeNull();
+      expect(resolveLogStorage({ loadDays: () => [] })).toBeNull();
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('createIndexedDbAdapter', () => {
+    const entry = { id: 'a', name: 'Toast', calories: 80 };
+
+    /**
+     * Creates an adapter on a fake database with no log in localStorage.
+     */
+    const createAdapter = (indexedDB) =>
+      createIndexedDbAdapter({
+        indexedDB,
+        storage: { getItem: () => null },
+        databaseName: 'test',
+      });
+
+    it('closes the database and the channel, and opens them again when used', async () => {
+      const closeChannel = vi.spyOn(BroadcastChannel.prototype, 'close');
+      const { indexedDB, databases } = createFakeIndexedDb();
+      const logAdapter = createAdapter(indexedDB);
+      const unsubscribe = logAdapter.subscribe(() => {});
+      await logAdapter.saveItems([entry]);
+
+      unsubscribe();
+      logAdapter.close();
+      await flushPromises();
+
+      expect(databases[0].close).toHaveBeenCalledTimes(1);
+      expect(closeChannel).toHaveBeenCalledTimes(1);
+
+      await logAdapter.saveItems([entry]);
+      expect(indexedDB.open).toHaveBeenCalledTimes(2);
+      logAdapter.close();
+    });
+
+    it('closes the database when another tab upgrades it', async () => {
+      const { indexedDB, databases } = createFakeIndexedDb();
+      const logAdapter = createAdapter(indexedDB);
+      await logAdapter.saveItems([entry]);
+
+      databases[0].onversionchange();
+
+      expect(databases[0].close).toHaveBeenCalledTimes(1);
+      await logAdapter.saveItems([entry]);
+      expect(indexedDB.open).toHaveBeenCalledTimes(2);
+      logAdapter.close();
+    });
+  });
+
+  describe('getLogDatabaseName', () => {
+    it('gives each profile its own database', () => {
+      expect(getLogDatabaseName()).toBe('fitnessApp');
+      expect(getLogDatabaseName('default')).toBe('fitnessApp');
+      expect(getLogDatabaseName('sam')).toBe('fitnessApp:profile:sam');
+    });
+  });
+});
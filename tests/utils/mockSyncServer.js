@@ -0,0 +1,104 @@
+/**
+ * An in-memory implementation of the sync API (see `src/utils/syncApi.js`),
+ * exposed as a `fetch` function so the real client code can run against it.
+ * Goal and entries keep a revision; a write whose `baseRevision` doesn't
+ * match is refused with 409 and the current copy.
+ *
+ * `failNext(count, failure)` makes the next requests fail with a network
+ * error (`'network'`) or an HTTP status, to test retries.
+ * @returns {{ fetch: Function, requests: Array<{ method: string, path: string, body: * }>, failNext: (count: number, failure: 'network' | number) => void, getItem: (itemId: string) => object | undefined, getGoal: () => object | null }}
+ */
+export function createMockSyncServer() {
+  let sequence = 0;
+  let goal = null;
+  const log = new Map();
+  const requests = [];
+  const failures = [];
+
+  const respond = (status, data) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => data,
+  });
+
+  const publicEntry = ({ id, revision, deleted, item }) =>
+    deleted ? { id, revision, deleted } : { id, revision, deleted, item };
+
+  const handle = (method, path, query, body) => {
+    if (method === 'GET' && path === '/changes') {
+      const since = Number(query.get('since')) || 0;
+      return respond(200, {
+        cursor: String(sequence),
+        goal: goal && { value: goal.value, revision: goal.revision },
+        log: [...log.values()]
+          .filter((entry) => entry.sequence > since)
+          .map(publicEntry),
+      });
+    }
+
+    if (method === 'PUT' && path === '/goal') {
+      if (goal && goal.revision !== body.baseRevision) {
+        return respond(409, goal);
+      }
+      sequence += 1;
+      goal = { value: body.value, revision: (goal?.revision ?? 0) + 1 };
+      return respond(200, goal);
+    }
+
+    const match = path.match(/^\/log\/(.+)$/);
+    if (match) {
+      const itemId = decodeURIComponent(match[1]);
+      const entry = log.get(itemId);
+      if (method === 'DELETE' && (!entry || entry.deleted)) {
+        return respond(404, { error: 'Not found' });
+      }
+      const baseRevision =
+        method === 'DELETE'
+          ? query.has('baseRevision')
+            ? Number(query.get('baseRevision'))
+            : null
+          : body.baseRevision;
+      // Creating a record never conflicts
+      if (entry && entry.revision !== baseRevision) {
+        return respond(409, publicEntry(entry));
+      }
+      sequence += 1;
+      const next = {
+        id: itemId,
+        revision: (entry?.revision ?? 0) + 1,
+        deleted: method === 'DELETE',
+        item: method === 'DELETE' ? undefined : body.item,
+        sequence,
+      };
+      log.set(itemId, next);
+      return respond(200, publicEntry(next));
+    }
+
+    return respond(404, { error: 'Not found' });
+  };
+
+  return {
+    requests,
+    fetch: async (url, { method = 'GET', body } = {}) => {
+      const { pathname, searchParams } = new URL(url);
+      const path = pathname.replace(/^\/api/, '');
+      const parsedBody = body ? JSON.parse(body) : undefined;
+      requests.push({ method, path, body: parsedBody });
+      const failure = failures.shift();
+      if (failure === 'network') {
+        throw new TypeError('Failed to fetch');
+      }
+      if (failure) {
+        return respond(failure, { error: 'Failure' });
+      }
+      return handle(method, path, searchParams, parsedBody);
+    },
+    failNext: (count, failure) => {
+      for (let index = 0; index < count; index += 1) {
+        failures.push(failure);
+      }
+    },
+    getItem: (itemId) => log.get(itemId),
+    getGoal: () => goal,
+  };
+}
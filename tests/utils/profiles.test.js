@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PROFILE,
+  PROFILE_COLOR_KEYS,
+  validateProfileName,
+  isValidPin,
+  normalizeProfiles,
+  getUnusedProfileColor,
+  getProfileInitial,
+  createPinLock,
+  verifyPin,
+} from '../../src/utils/profiles.js';
+
+describe('profile utils', () => {
+  describe('validateProfileName', () => {
+    it('trims valid names', () => {
+      expect(validateProfileName('  Sam ')).toBe('Sam');
+    });
+
+    it('reports empty and overlong names', () => {
+      const problems = [];
+      const report = (message) => problems.push(message);
+
+      expect(validateProfileName('   ', report)).toBeNull();
+      expect(validateProfileName('x'.repeat(31), report)).toBeNull();
+      expect(validateProfileName(42, report)).toBeNull();
+      expect(problems).toEqual([
+        'Profile name cannot be empty.',
+        'Profile name must be at most 30 characters.',
+        'Profile name cannot be empty.',
+      ]);
+    });
+  });
+
+  describe('isValidPin', () => {
+    it('accepts 4 to 8 digits only', () => {
+      expect(isValidPin('1234')).toBe(true);
+      expect(isValidPin('12345678')).toBe(true);
+      expect(isValidPin('123')).toBe(false);
+      expect(isValidPin('123456789')).toBe(false);
+      expect(isValidPin('12a4')).toBe(false);
+      expect(isValidPin(1234)).toBe(false);
+    });
+  });
+
+  describe('normalizeProfiles', () => {
+    it('puts the default profile first, adding it if missing', () => {
+      const sam = { id: 'sam', name: 'Sam', color: 'blue' };
+      const renamedDefault = { ...DEFAULT_PROFILE, name: 'Alex' };
+
+      expect(normalizeProfiles([sam, renamedDefault])).toEqual([
+        renamedDefault,
+        sam,
+      ]);
+      expect(normalizeProfiles([sam])).toEqual([DEFAULT_PROFILE, sam]);
+    });
+
+    it('drops broken entries and survives garbage', () => {
+      expect(normalizeProfiles([null, { id: '' }, { id: 'x' }])).toEqual([
+        DEFAULT_PROFILE,
+      ]);
+      expect(normalizeProfiles('junk')).toEqual([DEFAULT_PROFILE]);
+    });
+  });
+
+  describe('getUnusedProfileColor', () => {
+    it('picks the first color nobody has, or the first color', () => {
+      expect(getUnusedProfileColor([DEFAULT_PROFILE])).toBe('blue');
+      expect(
+        getUnusedProfileColor(
+          PROFILE_COLOR_KEYS.map((color) => ({ id: color, name: color, color }))
+        )
+      ).toBe(PROFILE_COLOR_KEYS[0]);
+    });
+  });
+
+  describe('getProfileInitial', () => {
+    it('returns the capitalized first letter', () => {
+      expect(getProfileInitial(' émile')).toBe('É');
+      expect(getProfileInitial('')).toBe('?');
+    });
+  });
+
+  describe('PIN lock', () => {
+    it('saves a salted hash that only the right PIN matches', async () => {
+      const lock = await createPinLock('4321');
+      expect(lock.pinHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(JSON.stringify(lock)).not.toContain('4321');
+
+      const profile = { id: 'sam', name: 'Sam', ...lock };
+      expect(await verifyPin(profile, '4321')).toBe(true);
+      expect(await verifyPin(profile, '1234')).toBe(false);
+    });
+
+    it('salts every lock differently', async () => {
+      const first = await createPinLock('4321');
+      const second = await createPinLock('4321');
+      expect(first.pinHash).not.toBe(second.pinHash);
+    });
+
+    it('lets anyone into a profile without a PIN', async () => {
+      expect(await verifyPin(DEFAULT_PROFILE, '')).toBe(true);
+    });
+  });
+});
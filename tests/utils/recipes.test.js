@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getRecipeTotals,
+  getRecipePerServing,
+  recipeToFood,
+} from '../../src/utils/recipes.js';
+
+const CHILI = {
+  id: 'chili',
+  name: 'Chili',
+  servings: 4,
+  ingredients: [
+    {
+      name: 'Ground beef',
+      quantity: 400,
+      unit: 'g',
+      calories: 868,
+      protein: 104,
+      fat: 48,
+    },
+    {
+      name: 'Black beans',
+      quantity: 2,
+      unit: 'cup',
+      calories: 454,
+      protein: 30,
+      carbs: 82,
+    },
+    { name: 'Tomatoes', quantity: 1, unit: 'cup', calories: 41 },
+  ],
+};
+
+describe('recipes utils', () => {
+  describe('getRecipeTotals', () => {
+    it('sums calories and only the macros some ingredient lists', () => {
+      expect(getRecipeTotals(CHILI.ingredients)).toEqual({
+        calories: 1363,
+        protein: 134,
+        carbs: 82,
+        fat: 48,
+      });
+      expect(getRecipeTotals([{ name: 'Water', calories: 0 }])).toEqual({
+        calories: 0,
+      });
+    });
+
+    it('treats a missing ingredient list as empty', () => {
+      expect(getRecipeTotals(undefined)).toEqual({ calories: 0 });
+    });
+  });
+
+  describe('getRecipePerServing', () => {
+    it('divides the totals by the number of servings and rounds', () => {
+      expect(getRecipePerServing(CHILI)).toEqual({
+        calories: 341,
+        protein: 33.5,
+        carbs: 20.5,
+        fat: 12,
+      });
+    });
+
+    it('returns null without a valid serving count', () => {
+      expect(getRecipePerServing({ ...CHILI, servings: 0 })).toBeNull();
+      expect(getRecipePerServing({ ...CHILI, servings: '4' })).toBeNull();
+      expect(getRecipePerServing(null)).toBeNull();
+    });
+  });
+
+  describe('recipeToFood', () => {
+    it('presents a recipe as a per-serving food', () => {
+      expect(recipeToFood(CHILI)).toEqual({
+        id: 'chili',
+        name: 'Chili',
+        serving: '1 of 4 servings',
+        recipeId: 'chili',
+        calories: 341,
+        protein: 33.5,
+        carbs: 20.5,
+        fat: 12,
+      });
+      expect(recipeToFood({ ...CHILI, servings: 1 }).serving).toBe(
+        'whole recipe'
+      );
+    });
+
+    it('returns null for an invalid recipe', () => {
+      expect(recipeToFood({ ...CHILI, servings: -1 })).toBeNull();
+      expect(recipeToFood({ ...CHILI, name: '' })).toBeNull();
+    });
+  });
+});
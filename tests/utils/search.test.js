@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeText,
+  fuzzyScore,
+  searchByName,
+} from '../../src/utils/search.js';
+
+const ITEMS = [
+  { name: 'Chicken breast, grilled' },
+  { name: 'Chickpeas' },
+  { name: 'Peach' },
+  { name: 'Crème brûlée' },
+];
+
+describe('search utils', () => {
+  describe('normalizeText', () => {
+    it('lowercases, strips accents and collapses whitespace', () => {
+      expect(normalizeText('  Crème   Brûlée ')).toBe('creme brulee');
+      expect(normalizeText(null)).toBe('');
+    });
+  });
+
+  describe('fuzzyScore', () => {
+    it('ranks exact, prefix, word, substring and subsequence matches in order', () => {
+      const scores = [
+        fuzzyScore('peach', 'Peach'),
+        fuzzyScore('chick', 'Chicken breast'),
+        fuzzyScore('breast', 'Chicken breast'),
+        fuzzyScore('brea chi', 'Chicken breast'),
+        fuzzyScore('ken', 'Chicken breast'),
+        fuzzyScore('chkn', 'Chicken breast'),
+      ];
+      expect(scores).toEqual([...scores].sort((a, b) => b - a));
+      expect(new Set(scores).size).toBe(scores.length);
+    });
+
+    it('returns null when the letters are missing or out of order', () => {
+      expect(fuzzyScore('xyz', 'Chicken')).toBeNull();
+      expect(fuzzyScore('nekc', 'Chicken')).toBeNull();
+      expect(fuzzyScore('', 'Chicken')).toBeNull();
+    });
+  });
+
+  describe('searchByName', () => {
+    it('returns the best matches first', () => {
+      expect(searchByName('chick', ITEMS).map((item) => item.name)).toEqual([
+        'Chickpeas',
+        'Chicken breast, grilled',
+      ]);
+    });
+
+    it('matches accented names from plain text', () => {
+      expect(searchByName('creme', ITEMS)).toEqual([ITEMS[3]]);
+    });
+
+    it('respects the limit and ignores empty queries', () => {
+      expect(searchByName('e', ITEMS, 2)).toHaveLength(2);
+      expect(searchByName('   ', ITEMS)).toEqual([]);
+      expect(searchByName('peach', null)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  prepareStorage,
+  removeProfileData,
+  getBackupKey,
+  getProfileKey,
+  getProfileStorageKeys,
+  DEFAULT_PROFILE_ID,
+  SCHEMA_VERSION_KEY,
+  STORAGE_KEYS,
+} from '../../src/utils/storage.js';
+import {
+  MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
+} from '../../src/utils/migrations.js';
+
+/**
+ * A minimal in-memory Storage for exercising prepareStorage.
+ * @param {Record<string, string>} initial - The initial contents.
+ */
+const createStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: vi.fn((key) => (key in data ? data[key] : null)),
+    setItem: vi.fn((key, value) => {
+      data[key] = String(value);
+    }),
+    removeItem: vi.fn((key) => {
+      delete data[key];
+    }),
+    get length() {
+      return Object.keys(data).length;
+    },
+    key: (index) => Object.keys(data)[index] ?? null,
+  };
+};
+
+describe('storage utils', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('migrations', () => {
+    it('are numbered in order from 1', () => {
+      MIGRATIONS.forEach((migration, index) => {
+        expect(migration.version).toBe(index + 1);
+      });
+      expect(CURRENT_SCHEMA_VERSION).toBe(MIGRATIONS.length);
+    });
+  });
+
+  describe('prepareStorage', () => {
+    it('stamps the current version on empty storage', () => {
+      const storage = createStorage();
+      expect(prepareStorage(storage)).toEqual({
+        version: CURRENT_SCHEMA_VERSION,
+        errors: [],
+      });
+      expect(storage.data).toEqual({
+        [SCHEMA_VERSION_KEY]: String(CURRENT_SCHEMA_VERSION),
+      });
+    });
+
+    it('normalizes legacy log entries and backs up the raw value', () => {
+      const now = new Date(2025, 3, 15, 9);
+      const legacyLoggedAt = new Date(2025, 3, 14, 12).toISOString();
+      const raw = JSON.stringify([
+        { name: 'Toast', calories: '80', protein: '3.5' },
+        { name: '  ', calories: 10 },
+        'junk',
+        { id: 7, name: 'Egg', calories: 78 },
+      ]);
+      const storage = createStorage({ [STORAGE_KEYS.log]: raw });
+
+      expect(prepareStorage(storage, DEFAULT_PROFILE_ID, now).errors).toEqual([
+        {
+          key: STORAGE_KEYS.log,
+          label: 'Food log',
+          message:
+            'had 2 entries without a name, which were removed during the upgrade.',
+          backupKey: getBackupKey(STORAGE_KEYS.log, 'v0'),
+        },
+      ]);
+      expect(JSON.parse(storage.data[STORAGE_KEYS.log])).toEqual([
+        {
+          id: 'legacy-0',
+          name: 'Toast',
+          calories: 80,
+          protein: 3.5,
+          loggedAt: legacyLoggedAt,
+          meal: 'snacks',
+        },
+        {
+          id: '7',
+          name: 'Egg',
+          calories: 78,
+          loggedAt: legacyLoggedAt,
+          meal: 'snacks',
+        },
+      ]);
+      expect(storage.data[getBackupKey(STORAGE_KEYS.log, 'v0')]).toBe(raw);
+    });
+
+    it('does not rewrite or back up data the migrations leave unchanged', () => {
+      const raw = JSON.stringify([
+        {
+          id: 'a',
+          name: 'Egg',
+          calories: 78,
+          loggedAt: new Date(2025, 3, 10, 8).toISOString(),
+        },
+      ]);
+      const storage = createStorage({
+        [STORAGE_KEYS.log]: raw,
+        [STORAGE_KEYS.goal]: '1800',
+      });
+
+      prepareStorage(storage);
+
+      expect(storage.setItem).toHaveBeenCalledTimes(1);
+      expect(storage.setItem).toHaveBeenCalledWith(
+        SCHEMA_VERSION_KEY,
+        String(CURRENT_SCHEMA_VERSION)
+      );
+    });
+
+    it('does nothing but check shapes when already at the current version', () => {
+      const storage = createStorage({
+        [SCHEMA_VERSION_KEY]: String(CURRENT_SCHEMA_VERSION),
+        [STORAGE_KEYS.log]: JSON.stringify([{ name: 'Toast', calories: '80' }]),
+      });
+
+      prepareStorage(storage);
+
+      expect(storage.setItem).not.toHaveBeenCalled();
+    });
+
+    it('reports unreadable JSON, keeping the value for useLocalStorage to replace', () => {
+      const storage = createStorage({ [STORAGE_KEYS.goal]: '{oops' });
+
+      expect(prepareStorage(storage).errors).toEqual([
+        {
+          key: STORAGE_KEYS.goal,
+          label: 'Calorie goal',
+          message: 'could not be read and was reset.',
+          backupKey: getBackupKey(STORAGE_KEYS.goal, 'corrupt'),
+        },
+      ]);
+      expect(storage.data[getBackupKey(STORAGE_KEYS.goal, 'corrupt')]).toBe(
+        '{oops'
+      );
+      expect(storage.data[STORAGE_KEYS.goal]).toBe('{oops');
+    });
+
+    it('backs up and removes values with the wrong shape', () => {
+      const storage = createStorage({
+        [STORAGE_KEYS.macroGoals]: '[1, 2]',
+        [STORAGE_KEYS.customFoods]: '"granola"',
+      });
+
+      const { errors } = prepareStorage(storage);
+
+      expect(errors.map((error) => error.key)).toEqual([
+        STORAGE_KEYS.macroGoals,
+        STORAGE_KEYS.customFoods,
+      ]);
+      expect(storage.data[STORAGE_KEYS.macroGoals]).toBeUndefined();
+      expect(
+        storage.data[getBackupKey(STORAGE_KEYS.customFoods, 'corrupt')]
+      ).toBe('"granola"');
+    });
+
+    it('leaves data from a newer version untouched and reports it', () => {
+      const storage = createStorage({
+        [SCHEMA_VERSION_KEY]: String(CURRENT_SCHEMA_VERSION + 1),
+        [STORAGE_KEYS.log]: '{"future": true}',
+      });
+
+      const report = prepareStorage(storage);
+
+      expect(report.version).toBe(CURRENT_SCHEMA_VERSION + 1);
+      expect(report.errors).toHaveLength(1);
+      expect(report.errors[0].key).toBe(SCHEMA_VERSION_KEY);
+      expect(storage.setItem).not.toHaveBeenCalled();
+      expect(storage.removeItem).not.toHaveBeenCalled();
+    });
+
+    it('survives storage that throws', () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const storage = {
+        getItem: () => {
+          throw new Error('denied');
+        },
+      };
+
+      expect(prepareStorage(storage).errors).toEqual([]);
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('[storage] Error preparing saved data'),
+        expect.any(Error)
+      );
+    });
+
+    it('returns an empty report without storage', () => {
+      expect(prepareStorage(undefined).errors).toEqual([]);
+    });
+
+    it("migrates only the given profile's data, with its own version", () => {
+      const raw = JSON.stringify([{ name: 'Toast', calories: '80' }]);
+      const logKey = getProfileKey(STORAGE_KEYS.log, 'sam');
+      const storage = createStorage({ [STORAGE_KEYS.log]: raw, [logKey]: raw });
+
+      expect(prepareStorage(storage, 'sam').errors).toEqual([]);
+      expect(JSON.parse(storage.data[logKey])).toEqual([
+        expect.objectContaining({
+          id: 'legacy-0',
+          name: 'Toast',
+          calories: 80,
+        }),
+      ]);
+      expect(storage.data[getBackupKey(logKey, 'v0')]).toBe(raw);
+      expect(storage.data[getProfileKey(SCHEMA_VERSION_KEY, 'sam')]).toBe(
+        String(CURRENT_SCHEMA_VERSION)
+      );
+      // The default profile's data waits for its own prepareStorage
+      expect(storage.data[STORAGE_KEYS.log]).toBe(raw);
+      expect(storage.data[SCHEMA_VERSION_KEY]).toBeUndefined();
+    });
+  });
+
+  describe('profile keys', () => {
+    it('keeps the plain keys for the default profile', () => {
+      expect(getProfileKey(STORAGE_KEYS.goal, DEFAULT_PROFILE_ID)).toBe(
+        STORAGE_KEYS.goal
+      );
+      expect(getProfileStorageKeys(DEFAULT_PROFILE_ID)).toEqual(STORAGE_KEYS);
+    });
+
+    it('namespaces every key for other profiles', () => {
+      const keys = getProfileStorageKeys('sam');
+      expect(keys.goal).toBe('fitnessAppGoal:profile:sam');
+      expect(Object.keys(keys)).toEqual(Object.keys(STORAGE_KEYS));
+      expect(new Set(Object.values(keys)).size).toBe(
+        Object.keys(STORAGE_KEYS).length
+      );
+    });
+  });
+
+  describe('removeProfileData', () => {
+    it("removes a profile's keys and backups, and nothing else", () => {
+      const goalKey = getProfileKey(STORAGE_KEYS.goal, 'sam');
+      const logKey = getProfileKey(STORAGE_KEYS.log, 'sam');
+      const storage = createStorage({
+        [STORAGE_KEYS.goal]: '2000',
+        [goalKey]: '1800',
+        [logKey]: '[]',
+        [getBackupKey(logKey, 'v0')]: '[]',
+        [getProfileKey(SCHEMA_VERSION_KEY, 'sam')]: '3',
+        [getProfileKey(STORAGE_KEYS.goal, 'alex')]: '2500',
+      });
+
+      expect(removeProfileData(storage, 'sam')).toBe(4);
+      expect(storage.data).toEqual({
+        [STORAGE_KEYS.goal]: '2000',
+        [getProfileKey(STORAGE_KEYS.goal, 'alex')]: '2500',
+      });
+    });
+
+    it("never removes the default profile's data", () => {
+      const storage = createStorage({ [STORAGE_KEYS.goal]: '2000' });
+      expect(removeProfileData(storage, DEFAULT_PROFILE_ID)).toBe(0);
+      expect(storage.removeItem).not.toHaveBeenCalled();
+    });
+  });
+});
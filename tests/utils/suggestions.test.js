@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isValidSuggestion,
+  rankSuggestions,
+} from '../../src/utils/suggestions.js';
+import { suggestions } from '../../src/data/suggestions.js';
+import { macrosMatchCalories } from '../../src/utils/nutrition.js';
+
+const EGG = { name: 'Egg', calories: 78 };
+const TUNA = { name: 'Tuna', calories: 250 };
+const OATS = { name: 'Oats', calories: 220 };
+const SMOOTHIE = { name: 'Smoothie', calories: 330 };
+
+describe('suggestions utils', () => {
+  describe('isValidSuggestion', () => {
+    it('requires a name and calories', () => {
+      expect(isValidSuggestion(EGG)).toBe(true);
+      expect(isValidSuggestion({ name: ' ', calories: 10 })).toBe(false);
+      expect(isValidSuggestion({ name: 'Egg', calories: -1 })).toBe(false);
+      expect(isValidSuggestion('Egg')).toBe(false);
+    });
+  });
+
+  describe('rankSuggestions', () => {
+    it('puts suggestions that fit first, largest first', () => {
+      const ranked = rankSuggestions([EGG, SMOOTHIE, TUNA, OATS], 300);
+      expect(ranked.map(({ suggestion }) => suggestion.name)).toEqual([
+        'Tuna',
+        'Oats',
+        'Egg',
+        'Smoothie',
+      ]);
+      expect(ranked.map(({ fits }) => fits)).toEqual([true, true, true, false]);
+    });
+
+    it('orders everything smallest first when nothing fits', () => {
+      const ranked = rankSuggestions([TUNA, EGG, OATS], -50);
+      expect(ranked.map(({ suggestion }) => suggestion.name)).toEqual([
+        'Egg',
+        'Oats',
+        'Tuna',
+      ]);
+      expect(ranked.every(({ fits }) => !fits)).toBe(true);
+    });
+
+    it('keeps the original order without a budget', () => {
+      const ranked = rankSuggestions([TUNA, EGG], null);
+      expect(ranked).toEqual([
+        { suggestion: TUNA, fits: true },
+        { suggestion: EGG, fits: true },
+      ]);
+    });
+  });
+
+  describe('suggestions data', () => {
+    it('has valid suggestions whose macros match their calories', () => {
+      suggestions.forEach((suggestion) => {
+        expect(isValidSuggestion(suggestion)).toBe(true);
+        expect(macrosMatchCalories(suggestion)).toBe(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { mergeById, createMergeByKey } from '../../src/utils/sync.js';
+
+const a = { id: 'a', name: 'Toast', calories: 80 };
+const b = { id: 'b', name: 'Egg', calories: 78 };
+const c = { id: 'c', name: 'Apple', calories: 95 };
+
+describe('sync utils', () => {
+  describe('mergeById', () => {
+    it('keeps records added on both sides', () => {
+      expect(mergeById([a], [a, b], [a, c])).toEqual([a, c, b]);
+    });
+
+    it('drops records deleted on either side', () => {
+      expect(mergeById([a, b], [a], [a, b])).toEqual([a]);
+      expect(mergeById([a, b], [a, b], [a])).toEqual([a]);
+    });
+
+    it('keeps a local edit the other side has not changed', () => {
+      const editedA = { ...a, calories: 90 };
+      expect(mergeById([a, b], [editedA, b], [a, b, c])).toEqual([
+        editedA,
+        b,
+        c,
+      ]);
+    });
+
+    it('lets the other side win when both edited a record', () => {
+      const localA = { ...a, calories: 90 };
+      const incomingA = { ...a, calories: 100 };
+      expect(mergeById([a], [localA], [incomingA])).toEqual([incomingA]);
+    });
+
+    it('lets a deletion on the other side win over a local edit', () => {
+      expect(mergeById([a, b], [{ ...a, calories: 90 }, b], [b])).toEqual([b]);
+    });
+
+    it('falls back to whichever side is a list', () => {
+      expect(mergeById([a], [a, b], null)).toEqual([a, b]);
+      expect(mergeById([a], null, [a, c])).toEqual([a, c]);
+    });
+  });
+
+  describe('createMergeByKey', () => {
+    it('matches records by the given key', () => {
+      const mergeByName = createMergeByKey((food) => food.name.toLowerCase());
+      expect(
+        mergeByName(
+          [{ name: 'Toast' }],
+          [{ name: 'toast' }, { name: 'Egg' }],
+          [{ name: 'Toast' }, { name: 'Apple' }]
+        )
+      ).toEqual([{ name: 'toast' }, { name: 'Apple' }, { name: 'Egg' }]);
+    });
+  });
+});
@@ -0,0 +1,297 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createSyncApi } from '../../src/utils/syncApi.js';
+import { createSyncClient, hashLogItem } from '../../src/utils/syncClient.js';
+import { createMockSyncServer } from './mockSyncServer.js';
+
+const BASE_URL = 'http://localhost:3001/api';
+
+const apple = {
+  id: 'apple',
+  name: 'Apple',
+  calories: 95,
+  loggedAt: '2025-04-15T10:00:00.000Z',
+  meal: 'breakfast',
+};
+
+/**
+ * Creates an in-memory Storage stand-in, one per simulated device.
+ */
+const createMemoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key),
+  };
+};
+
+/**
+ * Creates a client for one device talking to the mock server.
+ */
+const createDevice = (server, options = {}) => {
+  const onRemoteChanges = vi.fn();
+  const onStatusChange = vi.fn();
+  const storage = options.storage ?? createMemoryStorage();
+  const client = createSyncClient({
+    api: createSyncApi({ baseUrl: BASE_URL, fetch: server.fetch }),
+    onRemoteChanges,
+    onStatusChange,
+    storage,
+    ...options,
+  });
+  return { client, onRemoteChanges, onStatusChange, storage };
+};
+
+describe('syncClient', () => {
+  let server;
+
+  beforeEach(() => {
+    server = createMockSyncServer();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('sends queued changes and another device pulls them', async () => {
+    const laptop = createDevice(server);
+    laptop.client.queueGoal(1800);
+    laptop.client.queueLogChanges([apple], []);
+    expect(laptop.client.getStatus().pendingChanges).toBe(2);
+
+    await laptop.client.sync();
+
+    expect(server.getGoal()).toEqual({ value: 1800, revision: 1 });
+    expect(server.getItem('apple')).toMatchObject({ revision: 1, item: apple });
+    expect(laptop.client.getStatus()).toMatchObject({
+      state: 'idle',
+      pendingChanges: 0,
+      error: null,
+    });
+    expect(laptop.onRemoteChanges).not.toHaveBeenCalled();
+
+    const phone = createDevice(server);
+    await phone.client.sync();
+    expect(phone.onRemoteChanges).toHaveBeenCalledWith({
+      goal: { value: 1800, initial: true },
+      saved: [apple],
+      deleted: [],
+    });
+
+    // Only changes since the last pull are fetched
+    await phone.client.sync();
+    expect(phone.onRemoteChanges).toHaveBeenCalledTimes(1);
+    expect(server.requests.at(-1).path).toBe('/changes');
+  });
+
+  it('does not send entries identical to their synced version', async () => {
+    const { client } = createDevice(server);
+    client.queueLogChanges([apple], []);
+    await client.sync();
+
+    client.queueLogChanges([{ ...apple }], []);
+    expect(client.getStatus().pendingChanges).toBe(0);
+
+    client.queueLogChanges([{ ...apple, calories: 100 }], []);
+    expect(client.getStatus().pendingChanges).toBe(1);
+  });
+
+  it('keeps only the latest queued change for each entry', async () => {
+    const { client } = createDevice(server);
+    client.queueLogChanges([apple], []);
+    client.queueLogChanges([{ ...apple, calories: 100 }], []);
+    await client.sync();
+
+    expect(
+      server.requests.filter(({ method }) => method === 'PUT')
+    ).toHaveLength(1);
+    expect(server.getItem('apple').item.calories).toBe(100);
+
+    // An entry deleted before it was ever sent is not sent at all
+    const banana = { ...apple, id: 'banana', name: 'Banana' };
+    client.queueLogChanges([banana], []);
+    client.queueLogChanges([], ['banana']);
+    expect(client.getStatus().pendingChanges).toBe(0);
+  });
+
+  it('sends deletions and other devices remove the entry', async () => {
+    const laptop = createDevice(server);
+    const phone = createDevice(server);
+    laptop.client.queueLogChanges([apple], []);
+    await laptop.client.sync();
+    await phone.client.sync();
+
+    laptop.client.queueLogChanges([], ['apple']);
+    await laptop.client.sync();
+    expect(server.getItem('apple')).toMatchObject({ deleted: true });
+
+    await phone.client.sync();
+    expect(phone.onRemoteChanges).toHaveBeenLastCalledWith({
+      saved: [],
+      deleted: ['apple'],
+    });
+
+    // Restoring the entry (undo) writes over the deletion
+    laptop.client.queueLogChanges([apple], []);
+    await laptop.client.sync();
+    expect(server.getItem('apple')).toMatchObject({
+      revision: 3,
+      deleted: false,
+    });
+  });
+
+  it("resolves a conflict by keeping the server's copy", async () => {
+    const laptop = createDevice(server);
+    const phone = createDevice(server);
+    laptop.client.queueLogChanges([apple], []);
+    await laptop.client.sync();
+    await phone.client.sync();
+
+    laptop.client.queueLogChanges([{ ...apple, calories: 110 }], []);
+    await laptop.client.sync();
+    // The phone edits its older copy
+    phone.client.queueLogChanges([{ ...apple, name: 'Green apple' }], []);
+    await phone.client.sync();
+
+    expect(server.getItem('apple')).toMatchObject({
+      revision: 2,
+      item: { name: 'Apple', calories: 110 },
+    });
+    expect(phone.onRemoteChanges).toHaveBeenLastCalledWith({
+      saved: [{ ...apple, calories: 110 }],
+      deleted: [],
+    });
+    expect(phone.client.getStatus()).toMatchObject({
+      state: 'idle',
+      conflicts: 1,
+      pendingChanges: 0,
+    });
+
+    // The server's copy now counts as synced
+    phone.client.queueLogChanges([{ ...apple, calories: 110 }], []);
+    expect(phone.client.getStatus().pendingChanges).toBe(0);
+  });
+
+  it('keeps the goal from the server when it changed elsewhere', async () => {
+    const laptop = createDevice(server);
+    const phone = createDevice(server);
+    laptop.client.queueGoal(1800);
+    await laptop.client.sync();
+
+    phone.client.queueGoal(2000);
+    await phone.client.sync();
+
+    expect(server.getGoal().value).toBe(1800);
+    expect(phone.onRemoteChanges).toHaveBeenCalledWith({
+      goal: { value: 1800, initial: true },
+      saved: [],
+      deleted: [],
+    });
+  });
+
+  it('tells a goal changed elsewhere from the first one a device receives', async () => {
+    const laptop = createDevice(server);
+    const phone = createDevice(server);
+    laptop.client.queueGoal(1800);
+    await laptop.client.sync();
+    await phone.client.sync();
+    expect(phone.onRemoteChanges).toHaveBeenLastCalledWith(
+      expect.objectContaining({ goal: { value: 1800, initial: true } })
+    );
+
+    laptop.client.queueGoal(1700);
+    await laptop.client.sync();
+    await phone.client.sync();
+    expect(phone.onRemoteChanges).toHaveBeenLastCalledWith(
+      expect.objectContaining({ goal: { value: 1700, initial: false } })
+    );
+  });
+
+  it('keeps changes made offline and retries with growing delays', async () => {
+    vi.useFakeTimers();
+    const { client } = createDevice(server, {
+      retryDelay: 1000,
+      pullInterval: 60000,
+    });
+    server.failNext(3, 'network');
+    client.queueLogChanges([apple], []);
+    client.start();
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(client.getStatus()).toMatchObject({
+      state: 'offline',
+      pendingChanges: 1,
+    });
+    expect(server.requests).toHaveLength(1);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(server.requests).toHaveLength(2);
+    // The second retry waits twice as long
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(server.requests).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(server.requests).toHaveLength(3);
+
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(server.getItem('apple')).toMatchObject({ item: apple });
+    expect(client.getStatus()).toMatchObject({
+      state: 'idle',
+      pendingChanges: 0,
+    });
+    client.stop();
+  });
+
+  it('syncs when the browser comes back online', async () => {
+    let online = false;
+    const { client } = createDevice(server, { isOnline: () => online });
+    client.queueLogChanges([apple], []);
+    client.start();
+    await client.sync();
+    expect(client.getStatus().state).toBe('offline');
+    expect(server.requests).toHaveLength(0);
+
+    online = true;
+    window.dispatchEvent(new Event('online'));
+    await vi.waitFor(() => expect(server.getItem('apple')).toBeDefined());
+    client.stop();
+  });
+
+  it('reports server errors and drops changes the server rejects', async () => {
+    const { client } = createDevice(server);
+    client.queueLogChanges([apple], []);
+    server.failNext(1, 503);
+    await client.sync();
+    expect(client.getStatus()).toMatchObject({
+      state: 'error',
+      pendingChanges: 1,
+      error: 'PUT /log/apple failed with status 503.',
+    });
+
+    server.failNext(1, 400);
+    await client.sync();
+    expect(client.getStatus()).toMatchObject({
+      state: 'idle',
+      pendingChanges: 0,
+    });
+    expect(server.getItem('apple')).toBeUndefined();
+  });
+
+  it('keeps the queue across reloads', async () => {
+    const first = createDevice(server, { isOnline: () => false });
+    first.client.queueLogChanges([apple], []);
+
+    const reloaded = createDevice(server, { storage: first.storage });
+    expect(reloaded.client.getStatus().pendingChanges).toBe(1);
+    await reloaded.client.sync();
+    expect(server.getItem('apple')).toMatchObject({ item: apple });
+  });
+
+  it('hashes entries by content', () => {
+    expect(hashLogItem(apple)).toBe(hashLogItem({ ...apple }));
+    expect(hashLogItem(apple)).not.toBe(
+      hashLogItem({ ...apple, calories: 96 })
+    );
+  });
+});
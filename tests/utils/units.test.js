@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import {
+  UNIT_KEYS,
+  GRAMS_PER_OUNCE,
+  isValidUnit,
+  isValidQuantity,
+  getUnitGrams,
+  toGrams,
+  getNutritionFactor,
+  getAvailableUnits,
+  scaleNutrition,
+  formatQuantity,
+} from '../../src/utils/units.js';
+
+// Per-serving food: one medium apple
+const APPLE = {
+  name: 'Apple',
+  servingGrams: 182,
+  pieceGrams: 182,
+  calories: 95,
+  protein: 0.5,
+  carbs: 25,
+  fat: 0.3,
+};
+
+// Per-100g food with a cup weight
+const OATS = {
+  name: 'Rolled oats',
+  basis: 'per100g',
+  servingGrams: 100,
+  cupGrams: 81,
+  calories: 379,
+  protein: 13,
+  carbs: 68,
+  fat: 6.5,
+};
+
+// Per-serving food with no known weight
+const SANDWICH = { name: 'Sandwich', calories: 350, protein: 20 };
+
+describe('units utils', () => {
+  describe('isValidUnit', () => {
+    it('accepts each supported unit and rejects anything else', () => {
+      UNIT_KEYS.forEach((unit) => expect(isValidUnit(unit)).toBe(true));
+      expect(isValidUnit('kg')).toBe(false);
+      expect(isValidUnit(undefined)).toBe(false);
+    });
+  });
+
+  describe('isValidQuantity', () => {
+    it('accepts positive finite numbers only', () => {
+      expect(isValidQuantity(1.5)).toBe(true);
+      expect(isValidQuantity(0)).toBe(false);
+      expect(isValidQuantity(-1)).toBe(false);
+      expect(isValidQuantity(Infinity)).toBe(false);
+      expect(isValidQuantity(NaN)).toBe(false);
+      expect(isValidQuantity('2')).toBe(false);
+    });
+  });
+
+  describe('getUnitGrams', () => {
+    it('uses fixed weights for grams and ounces', () => {
+      expect(getUnitGrams('g')).toBe(1);
+      expect(getUnitGrams('oz')).toBe(GRAMS_PER_OUNCE);
+    });
+
+    it('uses the food for cups, pieces and servings', () => {
+      expect(getUnitGrams('cup', OATS)).toBe(81);
+      expect(getUnitGrams('piece', APPLE)).toBe(182);
+      expect(getUnitGrams('serving', APPLE)).toBe(182);
+    });
+
+    it('returns null when the food has no usable weight', () => {
+      expect(getUnitGrams('cup', APPLE)).toBeNull();
+      expect(getUnitGrams('piece', { pieceGrams: 0 })).toBeNull();
+      expect(getUnitGrams('serving', undefined)).toBeNull();
+      expect(getUnitGrams('kg', APPLE)).toBeNull();
+    });
+  });
+
+  describe('toGrams', () => {
+    it('converts quantities to grams', () => {
+      expect(toGrams(250, 'g')).toBe(250);
+      expect(toGrams(2, 'oz')).toBeCloseTo(56.699, 3);
+      expect(toGrams(0.5, 'cup', OATS)).toBe(40.5);
+    });
+
+    it('returns null for invalid quantities or unknown weights', () => {
+      expect(toGrams(0, 'g')).toBeNull();
+      expect(toGrams(1, 'cup', APPLE)).toBeNull();
+    });
+  });
+
+  describe('getNutritionFactor', () => {
+    it('counts servings for per-serving foods', () => {
+      expect(getNutritionFactor(APPLE, 2, 'serving')).toBe(2);
+      expect(getNutritionFactor(APPLE, 91, 'g')).toBe(0.5);
+      expect(getNutritionFactor(APPLE, 1, 'piece')).toBe(1);
+    });
+
+    it('counts 100 g portions for per-100g foods', () => {
+      expect(getNutritionFactor(OATS, 50, 'g')).toBe(0.5);
+      expect(getNutritionFactor(OATS, 1, 'cup')).toBe(0.81);
+      expect(getNutritionFactor(OATS, 1, 'serving')).toBe(1);
+    });
+
+    it('allows servings of a food without a known weight, but nothing else', () => {
+      expect(getNutritionFactor(SANDWICH, 1.5, 'serving')).toBe(1.5);
+      expect(getNutritionFactor(SANDWICH, 100, 'g')).toBeNull();
+    });
+
+    it('returns null for invalid input', () => {
+      expect(getNutritionFactor(null, 1, 'g')).toBeNull();
+      expect(getNutritionFactor(APPLE, -1, 'g')).toBeNull();
+      expect(getNutritionFactor(APPLE, 1, 'kg')).toBeNull();
+    });
+  });
+
+  describe('getAvailableUnits', () => {
+    it('lists only the units the food can be measured in', () => {
+      expect(getAvailableUnits(APPLE)).toEqual(['g', 'oz', 'piece', 'serving']);
+      expect(getAvailableUnits(OATS)).toEqual(['g', 'oz', 'cup', 'serving']);
+      expect(getAvailableUnits(SANDWICH)).toEqual(['serving']);
+    });
+  });
+
+  describe('scaleNutrition', () => {
+    it('scales per-serving values', () => {
+      expect(scaleNutrition(APPLE, 2, 'piece')).toEqual({
+        calories: 190,
+        protein: 1,
+        carbs: 50,
+        fat: 0.6,
+      });
+    });
+
+    it('scales per-100g values and rounds the results', () => {
+      expect(scaleNutrition(OATS, 1, 'cup')).toEqual({
+        calories: 307,
+        protein: 10.5,
+        carbs: 55.1,
+        fat: 5.3,
+      });
+      expect(scaleNutrition(OATS, 1, 'oz').calories).toBe(107);
+    });
+
+    it('leaves out macros the food does not list', () => {
+      expect(scaleNutrition(SANDWICH, 2, 'serving')).toEqual({
+        calories: 700,
+        protein: 40,
+      });
+    });
+
+    it('returns null when the amount cannot be converted', () => {
+      expect(scaleNutrition(SANDWICH, 100, 'g')).toBeNull();
+      expect(scaleNutrition(APPLE, 0, 'serving')).toBeNull();
+      expect(scaleNutrition({ servingGrams: 10 }, 1, 'serving')).toBeNull();
+    });
+  });
+
+  describe('formatQuantity', () => {
+    it('formats amounts with singular and plural unit names', () => {
+      expect(formatQuantity(150, 'g')).toBe('150 g');
+      expect(formatQuantity(1, 'cup')).toBe('1 cup');
+      expect(formatQuantity(2, 'piece')).toBe('2 pieces');
+      expect(formatQuantity(1.5, 'serving')).toBe('1.5 servings');
+      expect(formatQuantity(0.1 + 0.2, 'oz')).toBe('0.3 oz');
+    });
+
+    it('returns an empty string for invalid amounts', () => {
+      expect(formatQuantity(undefined, undefined)).toBe('');
+      expect(formatQuantity(0, 'g')).toBe('');
+      expect(formatQuantity(1, 'kg')).toBe('');
+    });
+  });
+});
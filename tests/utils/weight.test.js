@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  calculateWeightTrend,
+  calculateWeeklyRate,
+  comparePace,
+  formatTargetPace,
+  formatWeeklyRate,
+  getDisplayUnit,
+  getWeightLimits,
+} from '../../src/utils/weight.js';
+import { toDateKey } from '../../src/utils/dates.js';
+
+/**
+ * Builds a daily weight log losing 0.1 kg a day (0.7 kg a week), with
+ * 0.6 kg of water weight swinging up and down every other day.
+ * @param {number} days - How many days to log.
+ */
+const buildNoisyLoss = (days) =>
+  Array.from({ length: days }, (_, index) => ({
+    id: `w${index}`,
+    date: toDateKey(new Date(2025, 2, 1 + index)),
+    value: Math.round((90 - 0.1 * index + (index % 2 ? 0.6 : -0.6)) * 10) / 10,
+    unit: 'kg',
+  }));
+
+describe('weight utils', () => {
+  describe('calculateWeightTrend', () => {
+    it('moves the trend a tenth of the way towards each weigh-in', () => {
+      const trend = calculateWeightTrend([
+        { id: 'b', date: '2025-04-02', value: 81, unit: 'kg' },
+        { id: 'a', date: '2025-04-01', value: 80, unit: 'kg' },
+      ]);
+      expect(trend).toEqual([
+        { date: '2025-04-01', weightKg: 80, trendKg: 80 },
+        { date: '2025-04-02', weightKg: 81, trendKg: 80.1 },
+      ]);
+    });
+
+    it('converts pounds and catches up over gaps', () => {
+      const trend = calculateWeightTrend([
+        { id: 'a', date: '2025-04-01', value: 80, unit: 'kg' },
+        { id: 'b', date: '2025-04-03', value: 178.574, unit: 'lb' },
+      ]);
+      expect(trend[1].weightKg).toBeCloseTo(81);
+      // Two days move the trend 1 - 0.9² = 19% of the way
+      expect(trend[1].trendKg).toBeCloseTo(80.19);
+    });
+
+    it('returns no points for an empty or missing log', () => {
+      expect(calculateWeightTrend([])).toEqual([]);
+      expect(calculateWeightTrend(undefined)).toEqual([]);
+    });
+  });
+
+  describe('calculateWeeklyRate', () => {
+    it('finds the underlying rate through the daily noise', () => {
+      const rate = calculateWeeklyRate(
+        calculateWeightTrend(buildNoisyLoss(60))
+      );
+      expect(rate).toBeCloseTo(-0.7, 1);
+    });
+
+    it('needs weigh-ins spanning at least a week', () => {
+      expect(
+        calculateWeeklyRate(calculateWeightTrend(buildNoisyLoss(7)))
+      ).toBeNull();
+      expect(
+        calculateWeeklyRate(calculateWeightTrend(buildNoisyLoss(8)))
+      ).not.toBeNull();
+      expect(calculateWeeklyRate([])).toBeNull();
+    });
+  });
+
+  describe('comparePace', () => {
+    it('allows a little leeway around the target pace', () => {
+      expect(comparePace(-0.45, -0.5)).toBe('onPace');
+      expect(comparePace(-0.2, -0.5)).toBe('above');
+      expect(comparePace(-0.8, -0.5)).toBe('below');
+      expect(comparePace(0.3, 0)).toBe('above');
+    });
+  });
+
+  describe('formatting', () => {
+    it('formats rates and paces in either unit', () => {
+      expect(formatWeeklyRate(-0.43, 'kg')).toBe('−0.4 kg/week');
+      expect(formatWeeklyRate(0.25, 'lb')).toBe('+0.6 lb/week');
+      expect(formatWeeklyRate(0.01, 'kg')).toBe('±0.0 kg/week');
+      expect(formatTargetPace(-0.5)).toBe('Lose 0.5 kg a week');
+      expect(formatTargetPace(-0.5, 'lb')).toBe('Lose 1.1 lb a week');
+      expect(formatTargetPace(0)).toBe('Maintain weight');
+    });
+
+    it('shows weights in the unit of the latest weigh-in', () => {
+      expect(getDisplayUnit([])).toBe('kg');
+      expect(
+        getDisplayUnit([
+          { date: '2025-04-02', value: 176, unit: 'lb' },
+          { date: '2025-04-01', value: 80, unit: 'kg' },
+        ])
+      ).toBe('lb');
+    });
+
+    it('converts the accepted range to whole units', () => {
+      expect(getWeightLimits('kg')).toEqual({ min: 30, max: 300 });
+      expect(getWeightLimits('lb')).toEqual({ min: 67, max: 661 });
+    });
+  });
+});